@@ -46,7 +46,111 @@ window.AdminClientModal = (() => {
     return `<span class="cm-pill ${map[status] || 'cm-pill-gray'}">${esc(status || '—')}</span>`;
   }
 
-  function renderContent(client) {
+  const LEDGER_LABELS = {
+    purchase: 'Purchase',
+    extension: 'Extension',
+    refund: 'Refund',
+    admin_grant: 'Admin Grant',
+    trial: 'Free Trial',
+  };
+
+  function fmtMoney(amount, currency) {
+    if (!amount) return '—';
+    try {
+      return new Intl.NumberFormat('en-US', { style: 'currency', currency: currency || 'USD' }).format(amount);
+    } catch {
+      return `${amount} ${esc(currency)}`;
+    }
+  }
+
+  function billingHistoryHtml(entries) {
+    if (!entries.length) return '<div class="cm-field-val">No billing history</div>';
+    return `
+      <table class="cm-ledger">
+        <thead><tr><th>Date</th><th>Type</th><th>Plan</th><th>Days</th><th>Amount</th><th></th></tr></thead>
+        <tbody>
+          ${entries.map(e => `
+            <tr>
+              <td>${fmtDate(e.createdAt)}</td>
+              <td>${esc(LEDGER_LABELS[e.type] || e.type)}</td>
+              <td>${esc(e.plan || '—')}</td>
+              <td>${e.daysAdded ? `${e.daysAdded > 0 ? '+' : ''}${e.daysAdded}` : '—'}</td>
+              <td class="${e.amount < 0 ? 'cm-ledger-neg' : ''}">${fmtMoney(e.amount, e.currency)}${e.reviewReason
+                ? ` <span class="cm-ledger-review" title="${esc(e.reviewReason)}">Review</span>`
+                : ''}</td>
+              <td>${e.invoice
+                ? `<button class="cm-ledger-action" data-invoice="${esc(e.invoice.id)}" data-invoice-number="${esc(e.invoice.number)}">Invoice</button>`
+                : ''}${e.type === 'purchase' && e.provider !== 'admin' && e.subscriptionId
+                ? `<button class="cm-ledger-action" data-refund-entry="${esc(e._id)}" data-subscription="${esc(e.subscriptionId)}" data-currency="${esc(e.currency)}">Refund</button>`
+                : ''}</td>
+            </tr>`).join('')}
+        </tbody>
+      </table>`;
+  }
+
+  async function loadBillingHistory(clientId) {
+    const container = document.getElementById('cm-billing-history');
+    if (!container) return;
+    try {
+      const res = await fetch(`${API}/api/v1/admin/clients/${clientId}/billing-history?limit=10`, { credentials: 'include' });
+      if (!res.ok) throw new Error(res.status);
+      const { entries } = await res.json();
+      container.innerHTML = billingHistoryHtml(entries || []);
+      container.querySelectorAll('[data-refund-entry]').forEach((btn) => {
+        btn.addEventListener('click', () => refundPurchase(btn.dataset, clientId));
+      });
+      container.querySelectorAll('[data-invoice]').forEach((btn) => {
+        btn.addEventListener('click', () => downloadInvoice(btn.dataset));
+      });
+    } catch {
+      container.innerHTML = '<div class="cm-field-val" style="color:#f87171">Failed to load billing history</div>';
+    }
+  }
+
+  // Fetched rather than linked so the admin session cookie is sent
+  async function downloadInvoice({ invoice, invoiceNumber }) {
+    try {
+      const res = await fetch(`${API}/api/v1/admin/invoices/${invoice}`, { credentials: 'include' });
+      if (!res.ok) throw new Error('Failed to download invoice');
+      const url = URL.createObjectURL(await res.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${invoiceNumber}.pdf`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  // Blank amount refunds whatever is left of the payment
+  async function refundPurchase({ refundEntry, subscription, currency }, clientId) {
+    const input = prompt(`Refund amount in ${currency} (leave blank for a full refund):`, '');
+    if (input === null) return;
+    const amount = input.trim() === '' ? undefined : Number(input);
+    if (amount !== undefined && !(amount > 0)) {
+      alert('Enter a positive amount.');
+      return;
+    }
+    if (!confirm('Issue this refund through PayPal? Membership time will be reduced to match.')) return;
+
+    try {
+      const res = await fetch(`${API}/api/v1/admin/subscriptions/${subscription}/refund`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ entryId: refundEntry, amount }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Refund failed');
+      alert(`${data.message}. ${data.daysRemoved} day(s) removed.`);
+      loadBillingHistory(clientId);
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  function renderContent(client, { showBilling = false } = {}) {
     const sub = client.subscription;
     const days = sub ? daysLeft(sub.expiresAt) : null;
     const color = avatarColor(client.firstName);
@@ -98,6 +202,11 @@ window.AdminClientModal = (() => {
             <span style="font-size:13px;font-weight:700;color:${daysColor}">${days}d</span>
           </div>
         </div>` : ''}
+        ${showBilling ? `
+        <div class="cm-field cm-field-full">
+          <div class="cm-field-label">Billing History</div>
+          <div id="cm-billing-history"><div class="cm-field-val">Loading…</div></div>
+        </div>` : ''}
       </div>
 
       <div class="cm-footer">
@@ -139,7 +248,9 @@ window.AdminClientModal = (() => {
       .then(r => r.ok ? r.json() : Promise.reject(r.status))
       .then((data) => {
         // Admin returns { client }, trainer returns { client, appointmentHistory, ... }
-        box.innerHTML = renderContent(data.client);
+        const isAdmin = role !== 'trainer';
+        box.innerHTML = renderContent(data.client, { showBilling: isAdmin });
+        if (isAdmin) loadBillingHistory(clientId);
 
         document.getElementById('cm-close-btn')?.addEventListener('click', close);
         document.getElementById('cm-cancel-btn')?.addEventListener('click', close);
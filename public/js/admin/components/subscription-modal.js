@@ -43,13 +43,22 @@ window.AdminSubModal = (() => {
       const res = await fetch(`${API}/api/v1/plans`, { credentials: 'include' });
       if (!res.ok) return;
       const { plans } = await res.json();
-      // Merge real prices into PLANS by lookupKey
-      PLANS = PLANS.map((p) => {
-        const stripe = plans.find((s) => s.lookupKey === p.key);
-        if (!stripe) return p;
-        const jmd = Math.round(stripe.unitAmount / 100);
-        return { ...p, price: `JMD $${jmd.toLocaleString()}` };
+      if (!plans?.length) return;
+      // The catalogue is admin-editable; PLAN_META only adds calendar months and badges
+      PLANS = plans.map((plan) => {
+        const meta = PLAN_META[plan.key] || {};
+        return {
+          key: plan.key,
+          label: plan.name,
+          months: meta.months || null,
+          badge: meta.badge || null,
+          days: plan.durationDays,
+          price: plan.priceJMD != null
+            ? `JMD $${Math.round(plan.priceJMD).toLocaleString()}`
+            : plan.displayPrice,
+        };
       });
+      selectedPlan = PLANS.find((p) => p.key === selectedPlan.key) || PLANS[0];
     } catch (_) { /* keep placeholder prices on error */ }
   }
 
@@ -68,7 +77,7 @@ window.AdminSubModal = (() => {
   }
 
   function planDays(plan) {
-    return computeFixedDays(new Date(), plan.months);
+    return plan.months ? computeFixedDays(new Date(), plan.months) : plan.days;
   }
 
   function getEffectiveDays() {
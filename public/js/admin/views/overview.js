@@ -6,8 +6,8 @@ window.AdminOverview = (() => {
   const { escapeHtml, daysLeft, statusPill, avatarColor, initials } = window.AdminViewHelpers;
   let logPollInterval = null;
 
-  function formatJMD(cents) {
-    return 'JMD $' + (cents / 100).toLocaleString('en-US', { minimumFractionDigits: 0 });
+  function formatMoney(amount, currency = 'USD') {
+    return `${currency} ${amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
   }
 
   // ── Fetch helpers ────────────────────────────────────────
@@ -65,8 +65,9 @@ window.AdminOverview = (() => {
         </div>
         <div class="card stat-card stat-blue">
           <div class="stat-label">Revenue (Month)</div>
-          <div class="stat-value" style="font-size:18px">${formatJMD(revenue.revenue || 0)}</div>
+          <div class="stat-value" style="font-size:18px">${formatMoney(revenue.revenue || 0, revenue.currency)}</div>
           <div class="stat-sub">${revenue.month || ''}</div>
+          ${(revenue.byCurrency || []).length > 1 ? `<div class="stat-sub">${revenue.byCurrency.map(row => escapeHtml(formatMoney(row.revenue, row.currency))).join(' &middot; ')}</div>` : ''}
         </div>
         <div class="card stat-card stat-red">
           <div class="stat-label">Log Errors (1h)</div>
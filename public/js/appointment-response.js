@@ -0,0 +1,67 @@
+(function () {
+  const API_BASE = window.ApiConfig.getAPI_BASE();
+  const STATES = ['stateLoading', 'stateConfirmCancel', 'stateSuccess', 'stateError'];
+
+  function show(id) {
+    STATES.forEach(s => {
+      document.getElementById(s).classList.toggle('d-none', s !== id);
+    });
+  }
+
+  function describe(appointment) {
+    if (!appointment?.date) return '';
+    const date = new Date(appointment.date).toLocaleDateString('en-US', {
+      weekday: 'long',
+      month: 'long',
+      day: 'numeric',
+      timeZone: 'UTC',
+    });
+    return `${date} at ${appointment.time}`;
+  }
+
+  // ── Send the response from the email link ────────────────────────────────
+  async function respond(token, action) {
+    show('stateLoading');
+    try {
+      const res = await fetch(`${API_BASE}/api/v1/appointment-responses`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token, action }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        document.getElementById('errorMessage').textContent =
+          data.msg || 'This link is invalid or has expired.';
+        show('stateError');
+        return;
+      }
+
+      const when = describe(data.appointment);
+      const cancelled = action === 'cancel';
+      document.getElementById('successTitle').textContent = cancelled ? 'Session Cancelled' : 'Session Confirmed';
+      document.getElementById('successIcon').className = cancelled
+        ? 'bi bi-calendar-x text-danger'
+        : 'bi bi-check-circle-fill text-success';
+      document.getElementById('successMessage').textContent = when ? `${data.msg} (${when})` : data.msg;
+      show('stateSuccess');
+    } catch {
+      document.getElementById('errorMessage').textContent = 'Network error. Please try again.';
+      show('stateError');
+    }
+  }
+
+  // ── Init ──────────────────────────────────────────────────────────────────
+  const params = new URLSearchParams(window.location.search);
+  const token = params.get('token');
+  const action = params.get('action');
+
+  if (!token || !['confirm', 'cancel'].includes(action)) {
+    show('stateError');
+  } else if (action === 'cancel') {
+    document.getElementById('cancelSessionBtn').addEventListener('click', () => respond(token, 'cancel'));
+    document.getElementById('keepSessionBtn').addEventListener('click', () => respond(token, 'confirm'));
+    show('stateConfirmCancel');
+  } else {
+    respond(token, 'confirm');
+  }
+})();
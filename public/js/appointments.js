@@ -33,6 +33,8 @@ document.addEventListener('DOMContentLoaded', async () => {
     const trainerSelect = document.getElementById('trainerSelect');
     if (trainerSelect) await window.ApptBooking.loadTrainersInto(trainerSelect);
     await window.ApptList.loadAppointments();
+    window.ApptWaitlist.loadWaitlist();
+    window.ApptWaitlist.handleOfferLink();
   }
 
   const today = new Date().toISOString().split('T')[0];
@@ -42,10 +44,16 @@ document.addEventListener('DOMContentLoaded', async () => {
   });
 
   const bookingTrainerSel = document.getElementById('trainerSelect');
+  const bookingSessionSel = document.getElementById('sessionTypeSelect');
   const bookingDateInput = document.getElementById('appointmentDate');
   const bookingTimeSel = document.getElementById('appointmentTime');
-  const reloadBookingSlots = () => window.ApptBooking.loadTrainerSlots(bookingTrainerSel?.value, bookingDateInput?.value, bookingTimeSel);
-  bookingTrainerSel?.addEventListener('change', reloadBookingSlots);
+  // Full slots stay listed so clients can join their waitlist
+  const reloadBookingSlots = () => window.ApptBooking.loadTrainerSlots(bookingTrainerSel?.value, bookingDateInput?.value, bookingTimeSel, bookingSessionSel?.value, true);
+  bookingTrainerSel?.addEventListener('change', async () => {
+    await window.ApptBooking.loadSessionTypes(bookingTrainerSel.value, bookingSessionSel);
+    reloadBookingSlots();
+  });
+  bookingSessionSel?.addEventListener('change', reloadBookingSlots);
   bookingDateInput?.addEventListener('change', reloadBookingSlots);
 
   const editTrainerSel = document.getElementById('editTrainerSelect');
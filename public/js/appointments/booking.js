@@ -22,36 +22,82 @@
     }
   }
 
-  async function loadTrainerSlots(trainerId, dateStr, selectEl) {
+  function formatHour12(time) {
+    const [h, m] = time.split(':').map(Number);
+    const displayHour = h === 0 || h === 24 ? 12 : h > 12 ? h - 12 : h;
+    const ampm = h < 12 || h === 24 ? 'AM' : 'PM';
+    return `${displayHour}:${String(m).padStart(2, '0')} ${ampm}`;
+  }
+
+  // Fill the session type picker; it stays hidden for trainers with no session types
+  async function loadSessionTypes(trainerId, selectEl) {
     if (!selectEl) return;
+    const group = document.getElementById('sessionTypeGroup');
+    selectEl.innerHTML = '<option value="">Training session (60 min)</option>';
+    group?.classList.add('d-none');
+    if (!trainerId) return;
+
+    try {
+      const data = await authFetch(`${window.API_BASE}/api/v1/trainer/${trainerId}/session-types`);
+      const sessionTypes = data.sessionTypes || [];
+      if (sessionTypes.length === 0) return;
+
+      sessionTypes.forEach(type => {
+        const option = document.createElement('option');
+        option.value = type._id;
+        option.textContent = `${type.name} (${type.durationMinutes} min)`;
+        selectEl.appendChild(option);
+      });
+      group?.classList.remove('d-none');
+    } catch (err) {
+      console.error('Error loading session types:', err);
+    }
+  }
+
+  // Slot times are local to the trainer; say so when that isn't the browser's timezone
+  function showTimeZoneNote(selectEl, timeZone) {
+    const note = document.getElementById(`${selectEl.id}TimeZoneNote`);
+    if (!note) return;
+    const browserZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const show = Boolean(timeZone) && timeZone !== browserZone;
+    note.textContent = show ? `Times are shown in the trainer's timezone (${timeZone.replace(/_/g, ' ')}).` : '';
+    note.classList.toggle('d-none', !show);
+  }
+
+  async function loadTrainerSlots(trainerId, dateStr, selectEl, sessionTypeId = '', includeFull = false) {
+    if (!selectEl) return;
+    showTimeZoneNote(selectEl, null);
     if (!trainerId || !dateStr) {
       selectEl.innerHTML = '<option value="">Select a trainer and date first...</option>';
       return;
     }
 
     try {
-      const data = await authFetch(`${window.API_BASE}/api/v1/trainer/${trainerId}/availability`);
-      const availability = data.availability || [];
-      const dayOfWeek = new Date(dateStr + 'T00:00:00').getDay();
-      const daySlot = availability.find(s => s.dayOfWeek === dayOfWeek);
-
-      if (!daySlot) {
+      const sessionQuery = sessionTypeId ? `&sessionType=${encodeURIComponent(sessionTypeId)}` : '';
+      const fullQuery = includeFull ? '&includeFull=true' : '';
+      const data = await authFetch(
+        `${window.API_BASE}/api/v1/trainer/${trainerId}/availability?from=${dateStr}&to=${dateStr}${sessionQuery}${fullQuery}`
+      );
+      // Slots for the day with time off and extra hours applied; full ones only with includeFull
+      const slots = data.dates?.[0]?.slots || [];
+      showTimeZoneNote(selectEl, data.timezone);
+
+      if (slots.length === 0) {
         selectEl.innerHTML = '<option value="">Trainer unavailable on this day</option>';
         return;
       }
 
       selectEl.innerHTML = '<option value="">Choose a time...</option>';
 
-      for (let h = daySlot.startHour; h < daySlot.endHour; h++) {
-        const padded = String(h).padStart(2, '0') + ':00';
-        const displayHour = h === 0 ? 12 : h > 12 ? h - 12 : h;
-        const ampm = h < 12 ? 'AM' : 'PM';
-
+      slots.forEach(slot => {
         const option = document.createElement('option');
-        option.value = padded;
-        option.textContent = `${displayHour}:00 ${ampm}`;
+        option.value = slot.time;
+        const spots = slot.remaining > 0
+          ? `${slot.remaining} ${slot.remaining === 1 ? 'spot' : 'spots'} left`
+          : 'full – join waitlist';
+        option.textContent = `${formatHour12(slot.time)} – ${formatHour12(slot.endTime)} (${spots})`;
         selectEl.appendChild(option);
-      }
+      });
     } catch (err) {
       console.error('Error loading trainer slots:', err);
       selectEl.innerHTML = '<option value="">Failed to load times</option>';
@@ -59,6 +105,10 @@
   }
 
   function attachCreateListener() {
+    document.getElementById('appointmentRepeat')?.addEventListener('change', e => {
+      document.getElementById('appointmentRepeatCountGroup')?.classList.toggle('d-none', !e.target.value);
+    });
+
     document.getElementById('appointmentForm')?.addEventListener('submit', async e => {
       e.preventDefault();
 
@@ -74,15 +124,28 @@
           notes: document.getElementById('appointmentNotes').value,
           trainerId: document.getElementById('trainerSelect').value
         };
+        const sessionTypeId = document.getElementById('sessionTypeSelect')?.value;
+        if (sessionTypeId) payload.sessionTypeId = sessionTypeId;
+        const frequency = document.getElementById('appointmentRepeat')?.value;
+        if (frequency) {
+          payload.recurrence = {
+            frequency,
+            count: Number(document.getElementById('appointmentRepeatCount').value)
+          };
+        }
 
         if (!payload.date || !payload.time || !payload.trainerId) {
           window.Toast?.warning?.('Date, time, and trainer are required.') || alert('Date, time, and trainer are required.');
           return;
         }
 
-        showConfirm('Do you want to book this appointment?', async () => {
+        const confirmMsg = payload.recurrence
+          ? `Do you want to book ${payload.recurrence.count} recurring appointments?`
+          : 'Do you want to book this appointment?';
+
+        showConfirm(confirmMsg, async () => {
           try {
-            await authFetch(`${window.API_BASE}/api/v1/appointments`, {
+            const data = await authFetch(`${window.API_BASE}/api/v1/appointments`, {
               method: 'POST',
               body: JSON.stringify(payload)
             });
@@ -91,20 +154,38 @@
             if (bookingModal) bookingModal.hide();
 
             e.target.reset();
+            document.getElementById('appointmentRepeatCountGroup')?.classList.add('d-none');
             window.ApptList.loadAppointments();
-            window.Toast?.success?.('Appointment booked successfully!') || alert('Appointment booked successfully!');
+
+            if (data.series) {
+              let msg = `${data.appointments.length} appointments booked.`;
+              if (data.conflicts.length) {
+                const skipped = data.conflicts.map(c => c.date).join(', ');
+                msg += ` Could not book: ${skipped}.`;
+                window.Toast?.warning?.(msg) || alert(msg);
+              } else {
+                window.Toast?.success?.(msg) || alert(msg);
+              }
+            } else {
+              window.Toast?.success?.('Appointment booked successfully!') || alert('Appointment booked successfully!');
+            }
           } catch (innerErr) {
             console.error('Error creating appointment:', innerErr);
             let errorMsg = innerErr.message || 'Failed to create appointment.';
-            if (errorMsg.startsWith('HTTP 400 - ')) {
+            const httpError = errorMsg.match(/^HTTP (400|409) - /);
+            if (httpError) {
               try {
-                const jsonStr = errorMsg.replace('HTTP 400 - ', '');
+                const jsonStr = errorMsg.slice(httpError[0].length);
                 const parsed = JSON.parse(jsonStr);
                 errorMsg = parsed.msg || parsed.error || errorMsg;
               } catch (e) {
                 // keep original
               }
             }
+            if (!payload.recurrence && errorMsg.startsWith('Time slot is fully booked')) {
+              window.ApptWaitlist?.offerToJoin(payload);
+              return;
+            }
             window.Toast?.error?.(errorMsg) || alert(errorMsg);
           }
         });
@@ -114,5 +195,5 @@
     });
   }
 
-  window.ApptBooking = { loadTrainersInto, loadTrainerSlots, attachCreateListener };
+  window.ApptBooking = { loadTrainersInto, loadSessionTypes, loadTrainerSlots, attachCreateListener };
 })();
@@ -12,6 +12,11 @@
         document.activeElement?.blur();
       });
     }
+
+    // The series scope picker is only shown for recurring appointments
+    document.getElementById('confirmModal')?.addEventListener('hidden.bs.modal', () => {
+      document.getElementById('confirmSeriesScopeGroup')?.classList.add('d-none');
+    });
   }
 
   async function editAppointment(id) {
@@ -30,6 +35,9 @@
       await window.ApptBooking.loadTrainerSlots(app.trainerId?._id, editDateVal, editTimeSel);
       editTimeSel.value = app.time || '';
 
+      document.getElementById('editSeriesScope').value = 'this';
+      document.getElementById('editSeriesScopeGroup').classList.toggle('d-none', !app.seriesId);
+
       editModal.show();
     } catch (err) {
       console.error('Error editing appointment:', err);
@@ -49,6 +57,9 @@
           notes: document.getElementById('editAppointmentNotes').value,
           trainerId: document.getElementById('editTrainerSelect').value
         };
+        if (!document.getElementById('editSeriesScopeGroup').classList.contains('d-none')) {
+          payload.scope = document.getElementById('editSeriesScope').value;
+        }
 
         await authFetch(`${window.API_BASE}/api/v1/appointments/${state.currentEditAppointmentId}`, {
           method: 'PUT',
@@ -65,12 +76,28 @@
     });
   }
 
-  async function deleteAppointment(id) {
-    showConfirm('Are you sure you want to delete this appointment?', async () => {
+  async function deleteAppointment(id, inSeries = false) {
+    const scopeSel = document.getElementById('confirmSeriesScope');
+    if (scopeSel) scopeSel.value = 'this';
+    document.getElementById('confirmSeriesScopeGroup')?.classList.toggle('d-none', !inSeries);
+
+    const message = inSeries
+      ? 'This appointment is part of a recurring series. Delete it?'
+      : 'Are you sure you want to delete this appointment?';
+
+    showConfirm(message, async () => {
       try {
-        await authFetch(`${window.API_BASE}/api/v1/appointments/${id}`, { method: 'DELETE' });
+        const scope = inSeries && scopeSel ? scopeSel.value : 'this';
+        const query = scope === 'following' ? '?scope=following' : '';
+        const data = await authFetch(`${window.API_BASE}/api/v1/appointments/${id}${query}`, { method: 'DELETE' });
         window.ApptList.loadAppointments();
-        window.Toast?.success?.('Appointment deleted successfully.') || alert('Appointment deleted successfully.');
+        if (data.lateCancellation || data.lateCancellations > 0) {
+          const msg = data.lateCancellation ? data.msg : `${data.msg} ${data.lateCancellations} counted as late cancellation(s).`;
+          window.Toast?.warning?.(msg) || alert(msg);
+          return;
+        }
+        const msg = data.deleted > 1 ? `${data.deleted} appointments deleted.` : 'Appointment deleted successfully.';
+        window.Toast?.success?.(msg) || alert(msg);
       } catch (err) {
         console.error('Error deleting appointment:', err);
         window.Toast?.error?.('Failed to delete appointment.') || alert('Failed to delete appointment.');
@@ -59,7 +59,7 @@
       row.innerHTML = `
         <td class="ps-4">
           <div class="fw-bold">${date}</div>
-          <div class="text-muted small"><i class="bi bi-clock me-1"></i>${escapeHtml(app.time || '')}</div>
+          <div class="text-muted small"><i class="bi bi-clock me-1"></i>${escapeHtml(app.time || '')}${app.seriesId ? '<i class="bi bi-arrow-repeat ms-2" title="Recurring"></i>' : ''}</div>
         </td>
         <td>
           <div class="d-flex align-items-center gap-2">
@@ -80,7 +80,7 @@
             <button data-id="${escapeHtml(app._id)}" class="btn btn-sm btn-outline-secondary edit-btn" title="Edit">
               <i class="bi bi-pencil"></i>
             </button>
-            <button data-id="${escapeHtml(app._id)}" class="btn btn-sm btn-outline-danger delete-btn" title="Delete">
+            <button data-id="${escapeHtml(app._id)}" data-series="${app.seriesId ? '1' : ''}" class="btn btn-sm btn-outline-danger delete-btn" title="Delete">
               <i class="bi bi-trash"></i>
             </button>
           </div>
@@ -94,7 +94,7 @@
     );
 
     tbody.querySelectorAll('.delete-btn').forEach(btn =>
-      btn.addEventListener('click', () => window.ApptEdit.deleteAppointment(btn.dataset.id))
+      btn.addEventListener('click', () => window.ApptEdit.deleteAppointment(btn.dataset.id, Boolean(btn.dataset.series)))
     );
   }
 
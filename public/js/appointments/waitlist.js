@@ -0,0 +1,153 @@
+(function () {
+  const { escapeHtml, authFetch, showConfirm } = window.ApptShared;
+
+  // Pull the server's { msg } out of an authFetch error
+  function errorMessage(err, fallback) {
+    const match = (err.message || '').match(/^HTTP \d+ - (.*)$/s);
+    if (!match) return err.message || fallback;
+    try {
+      const parsed = JSON.parse(match[1]);
+      return parsed.msg || parsed.error || fallback;
+    } catch (e) {
+      return fallback;
+    }
+  }
+
+  // Run once the confirm modal has finished closing, so it can be reopened
+  function afterConfirmClosed(fn) {
+    const confirmModalEl = document.getElementById('confirmModal');
+    if (confirmModalEl && confirmModalEl.style.display === 'block') {
+      confirmModalEl.addEventListener('hidden.bs.modal', fn, { once: true });
+    } else {
+      fn();
+    }
+  }
+
+  async function loadWaitlist() {
+    const section = document.getElementById('waitlistSection');
+    const list = document.getElementById('waitlistList');
+    if (!section || !list) return;
+
+    try {
+      const data = await authFetch(`${window.API_BASE}/api/v1/appointments/waitlist`);
+      const entries = data.entries || [];
+      section.classList.toggle('d-none', entries.length === 0);
+      list.innerHTML = entries.map(renderEntry).join('');
+
+      list.querySelectorAll('.waitlist-confirm-btn').forEach(btn =>
+        btn.addEventListener('click', () => confirmOffer(btn.dataset.id))
+      );
+      list.querySelectorAll('.waitlist-leave-btn').forEach(btn =>
+        btn.addEventListener('click', () => leaveWaitlist(btn.dataset.id, btn.dataset.offered === '1'))
+      );
+    } catch (err) {
+      console.error('Error loading waitlist:', err);
+    }
+  }
+
+  function renderEntry(entry) {
+    const date = new Date(entry.date).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+      timeZone: 'UTC'
+    });
+    const trainerName = entry.trainerId?.firstName
+      ? `${escapeHtml(entry.trainerId.firstName)} ${escapeHtml(entry.trainerId.lastName || '')}`.trim()
+      : 'Trainer';
+    const sessionName = entry.sessionTypeId?.name ? ` · ${escapeHtml(entry.sessionTypeId.name)}` : '';
+    const offered = entry.status === 'offered';
+    const holdUntil = offered
+      ? new Date(entry.holdExpiresAt).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })
+      : '';
+    const statusText = offered
+      ? `<span class="text-success fw-semibold">A place is held for you until ${escapeHtml(holdUntil)}</span>`
+      : `<span class="text-muted">#${escapeHtml(entry.position)} in line</span>`;
+
+    return `
+      <li class="list-group-item d-flex flex-column flex-md-row justify-content-between align-items-md-center gap-2 bg-transparent">
+        <div>
+          <div class="fw-bold">${date} · ${escapeHtml(entry.time)}</div>
+          <div class="small">${trainerName}${sessionName} — ${statusText}</div>
+        </div>
+        <div class="btn-group">
+          ${offered ? `<button data-id="${escapeHtml(entry._id)}" class="btn btn-sm btn-success waitlist-confirm-btn">Book It</button>` : ''}
+          <button data-id="${escapeHtml(entry._id)}" data-offered="${offered ? '1' : ''}" class="btn btn-sm btn-outline-danger waitlist-leave-btn">
+            ${offered ? 'Decline' : 'Leave'}
+          </button>
+        </div>
+      </li>`;
+  }
+
+  // Called when a booking comes back fully booked
+  function offerToJoin({ trainerId, date, time, sessionTypeId }) {
+    afterConfirmClosed(() => {
+      showConfirm('That time is fully booked. Join the waitlist and get an email if a place opens up?', async () => {
+        try {
+          const payload = { trainerId, date, time };
+          if (sessionTypeId) payload.sessionTypeId = sessionTypeId;
+          const data = await authFetch(`${window.API_BASE}/api/v1/appointments/waitlist`, {
+            method: 'POST',
+            body: JSON.stringify(payload)
+          });
+
+          const bookingModal = bootstrap.Modal.getInstance(document.getElementById('bookingModal'));
+          if (bookingModal) bookingModal.hide();
+
+          const msg = `You're #${data.position} on the waitlist. We'll email you if a place opens up.`;
+          window.Toast?.success?.(msg) || alert(msg);
+          loadWaitlist();
+        } catch (err) {
+          console.error('Error joining waitlist:', err);
+          const msg = errorMessage(err, 'Failed to join the waitlist.');
+          window.Toast?.error?.(msg) || alert(msg);
+        }
+      });
+    });
+  }
+
+  async function confirmOffer(id) {
+    try {
+      await authFetch(`${window.API_BASE}/api/v1/appointments/waitlist/${id}/confirm`, { method: 'POST' });
+      window.Toast?.success?.('Appointment booked successfully!') || alert('Appointment booked successfully!');
+    } catch (err) {
+      console.error('Error confirming waitlist offer:', err);
+      const msg = errorMessage(err, 'Failed to book the offered place.');
+      window.Toast?.error?.(msg) || alert(msg);
+    }
+    loadWaitlist();
+    window.ApptList.loadAppointments();
+  }
+
+  function leaveWaitlist(id, offered) {
+    const message = offered
+      ? 'Decline this place? It will be offered to the next person on the waitlist.'
+      : 'Leave the waitlist for this time?';
+
+    showConfirm(message, async () => {
+      try {
+        await authFetch(`${window.API_BASE}/api/v1/appointments/waitlist/${id}`, { method: 'DELETE' });
+        window.Toast?.success?.('Removed from waitlist.') || alert('Removed from waitlist.');
+        loadWaitlist();
+      } catch (err) {
+        console.error('Error leaving waitlist:', err);
+        window.Toast?.error?.('Failed to leave the waitlist.') || alert('Failed to leave the waitlist.');
+      }
+    });
+  }
+
+  // Links in waitlist offer emails land here with ?waitlistOffer=<entryId>
+  function handleOfferLink() {
+    const params = new URLSearchParams(window.location.search);
+    const entryId = params.get('waitlistOffer');
+    if (!entryId) return;
+
+    params.delete('waitlistOffer');
+    const query = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+
+    showConfirm('A place you were waiting for is available. Book it now?', () => confirmOffer(entryId));
+  }
+
+  window.ApptWaitlist = { loadWaitlist, offerToJoin, handleOfferLink };
+})();
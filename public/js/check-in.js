@@ -0,0 +1,60 @@
+(function () {
+  const API_BASE = window.ApiConfig.getAPI_BASE();
+  const STATES = ['stateLoading', 'stateCode', 'stateSuccess', 'stateError'];
+
+  function show(id) {
+    STATES.forEach(s => {
+      document.getElementById(s).classList.toggle('d-none', s !== id);
+    });
+  }
+
+  function showError(msg) {
+    document.getElementById('errorMessage').textContent = msg;
+    show('stateError');
+  }
+
+  // ── Send the scanned or typed code ──────────────────────────────────────
+  async function checkIn(appointmentId, code) {
+    show('stateLoading');
+    try {
+      const res = await fetch(`${API_BASE}/api/v1/appointments/${encodeURIComponent(appointmentId)}/check-in`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ code }),
+      });
+      if (res.status === 401) {
+        // Log in first, then come back to this link
+        const back = window.location.pathname + window.location.search;
+        window.location.href = `/login?redirect=${encodeURIComponent(back)}`;
+        return;
+      }
+      const data = await res.json();
+      if (!res.ok) {
+        showError(data.msg || 'Check-in failed. Please ask your trainer.');
+        return;
+      }
+      document.getElementById('successMessage').textContent = data.msg;
+      show('stateSuccess');
+    } catch {
+      showError('Network error. Please try again.');
+    }
+  }
+
+  // ── Init ──────────────────────────────────────────────────────────────────
+  const params = new URLSearchParams(window.location.search);
+  const appointmentId = params.get('appointment');
+  const code = params.get('code');
+
+  if (!appointmentId) {
+    show('stateError');
+  } else if (code) {
+    checkIn(appointmentId, code);
+  } else {
+    document.getElementById('stateCode').addEventListener('submit', e => {
+      e.preventDefault();
+      checkIn(appointmentId, document.getElementById('checkInCode').value);
+    });
+    show('stateCode');
+  }
+})();
@@ -144,16 +144,23 @@
       goalsEl.innerHTML = goals.map(g => `
         <div class="goal-item">
           <span class="goal-achieved">${g.achieved ? '✅' : '🎯'}</span>
-          <div class="goal-exercise">${esc(g.exercise)}</div>
-          <span class="goal-target">${g.targetWeight ? `${g.targetWeight} lbs` : ''} ${g.targetDate ? '· ' + fmtDate(g.targetDate) : ''}</span>
+          <div class="goal-exercise">${g.metric === 'bodyweight' ? 'Body weight' : esc(g.exercise)}</div>
+          <span class="goal-target">${goalTarget(g)} ${g.targetDate ? '· ' + fmtDate(g.targetDate) : ''}</span>
         </div>`).join('');
     }
   }
 
+  function goalTarget(g) {
+    if (g.metric === 'reps') return `${g.targetReps} reps at ${g.targetWeight ? `${g.targetWeight} lbs` : 'body weight'}`;
+    if (g.metric === 'volume') return `${g.targetVolume} lbs in one session`;
+    return g.targetWeight ? `${g.targetWeight} lbs` : '';
+  }
+
   // ── Render workouts ───────────────────────────────────────
   function renderWorkouts(client) {
-    const logs = (client.workoutLogs || []).filter(w => !w.deletedAt).slice().reverse();
-    document.getElementById('tc-workouts').textContent = logs.length;
+    // Most recent logs, newest first; the count covers all of them
+    const logs = client.workoutLogs || [];
+    document.getElementById('tc-workouts').textContent = client.workoutLogCount ?? logs.length;
     const tbody = document.getElementById('tbody-workouts');
     if (!logs.length) {
       tbody.innerHTML = `<tr><td colspan="4">${empty('🏋️', 'No workout logs')}</td></tr>`;
@@ -173,8 +180,8 @@
 
   // ── Render nutrition ──────────────────────────────────────
   function renderNutrition(client) {
-    const logs = (client.mealLogs || []).filter(m => !m.deletedAt).slice().reverse();
-    document.getElementById('tc-nutrition').textContent = logs.length;
+    const logs = client.mealLogs || [];
+    document.getElementById('tc-nutrition').textContent = client.mealLogCount ?? logs.length;
     const tbody = document.getElementById('tbody-nutrition');
     if (!logs.length) {
       tbody.innerHTML = `<tr><td colspan="4">${empty('🍽️', 'No meal logs')}</td></tr>`;
@@ -245,6 +252,26 @@
     }
   }
 
+  // ── Render attendance ─────────────────────────────────────
+  function renderAttendance(attendance) {
+    const el = document.getElementById('attendance-card');
+    if (!attendance) { el.innerHTML = empty('📋', 'No attendance record'); return; }
+    const rate = attendance.attendanceRate === null ? '—' : `${attendance.attendanceRate}%`;
+    const blocked = attendance.bookingBlockedUntil
+      ? `<span style="color:var(--red)">Paused until ${fmtDate(attendance.bookingBlockedUntil)}</span>`
+      : '<span style="color:var(--green)">Allowed</span>';
+    el.innerHTML = `<div class="data-grid">
+      ${cell('Attendance Rate', rate, true)}
+      ${cell('Completed', attendance.completed, true)}
+      ${cell('Arrived Late', attendance.late, true)}
+      ${cell('No-Shows', attendance.noShows, true)}
+      ${cell('Cancelled', attendance.cancelled, true)}
+      ${cell('Late Cancellations', attendance.lateCancellations, true)}
+      ${cell('Upcoming', attendance.upcoming, true)}
+      ${cell('Booking', blocked)}
+    </div>`;
+  }
+
   // ── Render appointments (inline — data already fetched) ───
   function renderAppointmentsInline(appts) {
     const el = document.getElementById('appointments-card');
@@ -370,8 +397,8 @@
     }
     document.getElementById('hero-meta').innerHTML = meta.join('');
 
-    document.getElementById('stat-workouts').textContent = (client.workoutLogs || []).filter(w => !w.deletedAt).length;
-    document.getElementById('stat-meals').textContent = (client.mealLogs || []).filter(m => !m.deletedAt).length;
+    document.getElementById('stat-workouts').textContent = client.workoutLogCount ?? 0;
+    document.getElementById('stat-meals').textContent = client.mealLogCount ?? 0;
     document.getElementById('stat-goals').textContent = (client.workoutGoals || []).length;
   }
 
@@ -411,6 +438,7 @@
       renderPrograms(client);
       renderMedical(client);
       renderGdpr(client);
+      renderAttendance(data.attendance);
       // Trainer response already includes appointmentHistory; admins fetch separately
       if (data.appointmentHistory) {
         renderAppointmentsInline(data.appointmentHistory);
@@ -1,6 +1,9 @@
 window.API_BASE = window.ApiConfig.getAPI_BASE();
 
 let exerciseCount = 0;
+// Program and day the prefilled workout comes from, sent with the log for adherence
+let programLink = null;
+let suggestTimer = null;
 
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
@@ -18,8 +21,99 @@ document.addEventListener('DOMContentLoaded', () => {
     document.getElementById('cancelBtn').addEventListener('click', () => {
         window.location.href = '/dashboard';
     });
+    document.getElementById('programClearBtn').addEventListener('click', clearProgramWorkout);
+    document.getElementById('exercisesContainer').addEventListener('input', e => {
+        if (e.target.classList.contains('exercise-name')) suggestExercises(e.target.value);
+    });
+
+    loadTodaysWorkout();
 });
 
+function localDateString(date = new Date()) {
+    const y = date.getFullYear();
+    const m = String(date.getMonth() + 1).padStart(2, '0');
+    const d = String(date.getDate()).padStart(2, '0');
+    return `${y}-${m}-${d}`;
+}
+
+// Prefill the form with today's workout from the client's program, if any
+async function loadTodaysWorkout() {
+    try {
+        const response = await fetch(`${window.API_BASE}/api/v1/workouts/program/today?date=${localDateString()}`, {
+            credentials: 'include'
+        });
+        if (!response.ok) return;
+        const { workout } = await response.json();
+        if (!workout || workout.logged) return;
+
+        const { day } = workout;
+        const title = `${workout.programName} · Week ${workout.week}`;
+        document.getElementById('programBannerTitle').textContent = title;
+        document.getElementById('programBannerText').textContent =
+            `Today's workout${day.name ? `: ${day.name}` : ''} is filled in below. Enter the weights you lift.`;
+        document.getElementById('programBanner').classList.remove('d-none');
+
+        document.getElementById('workoutName').value = day.name ? `${day.name} (${title})` : title;
+        document.getElementById('exercisesContainer').innerHTML = '';
+        day.exercises.forEach(exercise => {
+            addExercise();
+            const card = document.querySelector('#exercisesContainer .exercise-card:last-child');
+            card.querySelector('.exercise-name').value = exercise.exerciseName;
+
+            const hints = [
+                exercise.percent1RM ? `${exercise.percent1RM}% of 1RM` : null,
+                exercise.restSeconds ? `${exercise.restSeconds}s rest` : null,
+            ].filter(Boolean);
+            if (hints.length) {
+                const hint = document.createElement('div');
+                hint.className = 'form-text mb-2';
+                hint.textContent = `Target: ${exercise.sets} × ${exercise.reps}, ${hints.join(', ')}`;
+                card.querySelector('.sets-container').before(hint);
+            }
+
+            const setsContainer = card.querySelector('.sets-container');
+            for (let i = 1; i < exercise.sets; i++) addSet(setsContainer);
+            setsContainer.querySelectorAll('.set-reps').forEach(input => {
+                input.value = exercise.reps;
+            });
+        });
+
+        programLink = { programId: workout.programId, programDayId: day._id };
+    } catch (error) {
+        // The form works without a program, so just log it
+        console.error('Error loading today\'s program workout:', error);
+    }
+}
+
+// Offer catalogue names as the member types, so logs use the names progress is tracked under
+function suggestExercises(query) {
+    clearTimeout(suggestTimer);
+    suggestTimer = setTimeout(async () => {
+        const term = query.trim();
+        if (term.length < 2) return;
+        try {
+            const response = await fetch(`${window.API_BASE}/api/v1/exercises?q=${encodeURIComponent(term)}&limit=8`, {
+                credentials: 'include'
+            });
+            if (!response.ok) return;
+            const { exercises } = await response.json();
+            const list = document.getElementById('exerciseSuggestions');
+            list.innerHTML = '';
+            exercises.forEach(exercise => list.appendChild(new Option(exercise.name)));
+        } catch (error) {
+            console.error('Error searching exercises:', error);
+        }
+    }, 250);
+}
+
+function clearProgramWorkout() {
+    programLink = null;
+    document.getElementById('programBanner').classList.add('d-none');
+    document.getElementById('workoutName').value = '';
+    document.getElementById('exercisesContainer').innerHTML = '';
+    addExercise();
+}
+
 function addExercise() {
     exerciseCount++;
     const exerciseHtml = `
@@ -33,7 +127,7 @@ function addExercise() {
             <div class="card-body">
                 <div class="mb-3">
                     <label class="form-label fw-bold">Exercise Name <span class="text-danger">*</span></label>
-                    <input type="text" class="form-control exercise-name" placeholder="e.g., Bench Press" required maxlength="100">
+                    <input type="text" class="form-control exercise-name" placeholder="e.g., Bench Press" required maxlength="100" list="exerciseSuggestions" autocomplete="off">
                 </div>
 
                 <div class="sets-container">
@@ -146,7 +240,8 @@ async function handleSubmit(e) {
             date: document.getElementById('workoutDate').value,
             duration: parseInt(document.getElementById('duration').value) || undefined,
             notes: document.getElementById('notes').value.trim() || undefined,
-            exercises: []
+            exercises: [],
+            ...programLink
         };
         
         // Collect exercises
@@ -206,7 +301,13 @@ async function handleSubmit(e) {
         }
         
         window.Toast.success('Workout logged successfully!');
-        
+
+        // Stay on the page to celebrate new records and goals; the banner links onward
+        if (data.personalRecords?.length || data.goalsAchieved?.length) {
+            showAchievements(data.personalRecords || [], data.goalsAchieved || []);
+            return;
+        }
+
         // Reset form or redirect
         setTimeout(() => {
             window.location.href = '/dashboard';
@@ -221,3 +322,49 @@ async function handleSubmit(e) {
     }
 }
 
+function describePersonalRecord(record) {
+    switch (record.type) {
+        case 'heaviest_weight':
+            return `Heaviest ${record.exerciseName}: ${record.value} lbs (was ${record.previous} lbs)`;
+        case 'rep_max':
+            return `${record.exerciseName}: ${record.value} reps at ${record.weight} lbs (was ${record.previous})`;
+        case 'estimated_1rm':
+            return `${record.exerciseName} estimated 1RM: ${record.value} lbs (was ${record.previous} lbs)`;
+        case 'session_volume':
+            return `${record.exerciseName} volume: ${record.value} lbs (was ${record.previous} lbs)`;
+        default:
+            return record.exerciseName;
+    }
+}
+
+function describeGoal(goal) {
+    switch (goal.metric) {
+        case 'reps':
+            return `${goal.exercise}: ${goal.targetReps} reps at ${goal.targetWeight ? `${goal.targetWeight} lbs` : 'body weight'}`;
+        case 'volume':
+            return `${goal.exercise}: ${goal.targetVolume} lbs in one session`;
+        default:
+            return `${goal.exercise}: ${goal.targetWeight} lbs`;
+    }
+}
+
+function fillList(id, items) {
+    const list = document.getElementById(id);
+    list.innerHTML = '';
+    items.forEach(text => {
+        const item = document.createElement('li');
+        item.textContent = text;
+        list.appendChild(item);
+    });
+}
+
+function showAchievements(records, goals) {
+    fillList('prList', records.map(describePersonalRecord));
+    fillList('goalsReachedList', goals.map(describeGoal));
+    document.getElementById('prSection').classList.toggle('d-none', records.length === 0);
+    document.getElementById('goalsReachedSection').classList.toggle('d-none', goals.length === 0);
+    document.getElementById('workoutForm').classList.add('d-none');
+    document.getElementById('programBanner').classList.add('d-none');
+    document.getElementById('prBanner').classList.remove('d-none');
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+}
@@ -1,17 +1,44 @@
-(async () => {
-  try {
-    const apiBase = window.ApiConfig ? window.ApiConfig.getAPI_BASE() : '/api';
-    const res = await fetch(`${apiBase}/api/v1/subscriptions/config/paypal-client-id`, { credentials: 'include' });
-    const data = res.ok ? await res.json() : {};
-    const clientId = data.clientId || 'sb-test';
-    await new Promise((resolve, reject) => {
+// The SDK is tied to one currency per page load, so paying in another currency
+// swaps the script for one loaded with that currency
+window.PaypalSdk = (() => {
+  let clientIdPromise = null;
+  let loaded = null;
+
+  function getClientId() {
+    if (!clientIdPromise) {
+      const apiBase = window.ApiConfig ? window.ApiConfig.getAPI_BASE() : '/api';
+      clientIdPromise = fetch(`${apiBase}/api/v1/subscriptions/config/paypal-client-id`, { credentials: 'include' })
+        .then(res => (res.ok ? res.json() : {}))
+        .then(data => data.clientId || 'sb-test');
+    }
+    return clientIdPromise;
+  }
+
+  async function load(currency = 'USD') {
+    if (loaded && loaded.currency === currency) return loaded.promise;
+
+    document.getElementById('paypal-sdk')?.remove();
+    delete window.paypal;
+
+    const promise = getClientId().then(clientId => new Promise((resolve, reject) => {
       const s = document.createElement('script');
-      s.src = `https://www.paypal.com/sdk/js?client-id=${encodeURIComponent(clientId)}&currency=USD&components=buttons&intent=capture&disable-funding=venmo,paylater`;
+      s.id = 'paypal-sdk';
+      s.src = `https://www.paypal.com/sdk/js?client-id=${encodeURIComponent(clientId)}&currency=${encodeURIComponent(currency)}&components=buttons&intent=capture&disable-funding=venmo,paylater`;
       s.onload = resolve;
       s.onerror = reject;
       document.head.appendChild(s);
-    });
-  } catch (e) {
-    console.error('PayPal SDK load failed:', e);
+    }));
+    loaded = { currency, promise };
+
+    try {
+      await promise;
+    } catch (e) {
+      loaded = null;
+      console.error('PayPal SDK load failed:', e);
+    }
   }
+
+  load();
+
+  return { load };
 })();
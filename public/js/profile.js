@@ -263,6 +263,102 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    // Notification preferences
+    const preferenceToggles = [
+        {
+            toggle: document.getElementById('appointmentRemindersToggle'),
+            field: 'appointmentReminders',
+            label: 'Session reminders',
+        },
+        {
+            toggle: document.getElementById('goalUpdatesToggle'),
+            field: 'goalUpdates',
+            label: 'Goal emails',
+        },
+    ].filter(({ toggle }) => toggle);
+
+    async function loadNotificationPreferences() {
+        if (preferenceToggles.length === 0) return;
+        try {
+            const res = await fetch(`${window.API_BASE}/api/v1/users/notification-preferences`, {
+                credentials: 'include',
+            });
+            if (!res.ok) throw new Error('Failed to load notification preferences');
+            const data = await res.json();
+            preferenceToggles.forEach(({ toggle, field }) => {
+                toggle.checked = data.notificationPreferences?.[field] !== false;
+            });
+        } catch (err) {
+            console.error('Error loading notification preferences:', err);
+        }
+    }
+
+    preferenceToggles.forEach(({ toggle, field, label }) => {
+        toggle.addEventListener('change', async () => {
+            try {
+                const res = await fetch(`${window.API_BASE}/api/v1/users/notification-preferences`, {
+                    method: 'PUT',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    credentials: 'include',
+                    body: JSON.stringify({ [field]: toggle.checked }),
+                });
+                if (!res.ok) throw new Error('Failed to save notification preferences');
+                window.Toast.success(`${label} turned ${toggle.checked ? 'on' : 'off'}.`);
+            } catch (err) {
+                toggle.checked = !toggle.checked;
+                window.Toast.error(err.message);
+            }
+        });
+    });
+
+    // Calendar feed
+    const calendarFeedInput = document.getElementById('calendarFeedUrl');
+
+    async function loadCalendarFeed() {
+        if (!calendarFeedInput) return;
+        try {
+            const res = await fetch(`${window.API_BASE}/api/v1/users/calendar-feed`, {
+                credentials: 'include',
+            });
+            if (!res.ok) throw new Error('Failed to load calendar link');
+            const data = await res.json();
+            calendarFeedInput.value = data.url;
+        } catch (err) {
+            console.error('Error loading calendar link:', err);
+            calendarFeedInput.placeholder = 'Calendar link unavailable';
+        }
+    }
+
+    document.getElementById('copyCalendarFeedBtn')?.addEventListener('click', async () => {
+        if (!calendarFeedInput?.value) return;
+        try {
+            await navigator.clipboard.writeText(calendarFeedInput.value);
+            window.Toast.success('Calendar link copied.');
+        } catch {
+            calendarFeedInput.select();
+        }
+    });
+
+    document.getElementById('rotateCalendarFeedBtn')?.addEventListener('click', async () => {
+        if (!confirm('Replace your calendar link? Calendars subscribed to the old link will stop updating.')) return;
+        try {
+            const res = await fetch(`${window.API_BASE}/api/v1/users/calendar-feed/rotate`, {
+                method: 'POST',
+                credentials: 'include',
+            });
+            if (!res.ok) throw new Error('Failed to replace calendar link');
+            const data = await res.json();
+            calendarFeedInput.value = data.url;
+            window.Toast.success('Calendar link replaced. Subscribe again with the new link.');
+        } catch (err) {
+            window.Toast.error(err.message);
+        }
+    });
+
+    loadNotificationPreferences();
+    loadCalendarFeed();
     loadMeasurements();
     // Set today's date as default for measurement form
     const measDateInput = document.getElementById('measDate');
@@ -23,12 +23,40 @@ const SubscriptionService = {
     return handle(res);
   },
 
-  createCheckout: async (planId) => {
+  getHistory: async (page = 1) => {
+    const res = await fetch(`${getApiBase()}/api/v1/subscriptions/history?page=${page}`, { credentials: 'include' });
+    return handle(res);
+  },
+
+  getInvoices: async (page = 1) => {
+    const res = await fetch(`${getApiBase()}/api/v1/subscriptions/invoices?page=${page}&limit=5`, { credentials: 'include' });
+    return handle(res);
+  },
+
+  // Resolves to the invoice PDF as a Blob
+  downloadInvoice: async (invoiceId) => {
+    const res = await fetch(`${getApiBase()}/api/v1/subscriptions/invoices/${invoiceId}`, { credentials: 'include' });
+    if (!res.ok) throw new Error('Failed to download invoice');
+    return res.blob();
+  },
+
+  createCheckout: async (planId, couponCode, currency) => {
+    const body = { plan: planId };
+    if (couponCode) body.couponCode = couponCode;
+    if (currency) body.currency = currency;
     const res = await fetch(`${getApiBase()}/api/v1/subscriptions/checkout`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       credentials: 'include',
-      body: JSON.stringify({ plan: planId })
+      body: JSON.stringify(body)
+    });
+    return handle(res);
+  },
+
+  startTrial: async () => {
+    const res = await fetch(`${getApiBase()}/api/v1/subscriptions/trial`, {
+      method: 'POST',
+      credentials: 'include'
     });
     return handle(res);
   },
@@ -47,6 +75,14 @@ const SubscriptionService = {
       credentials: 'include'
     });
     return handle(res);
+  },
+
+  resumeSubscription: async () => {
+    const res = await fetch(`${getApiBase()}/api/v1/subscriptions/resume`, {
+      method: 'POST',
+      credentials: 'include'
+    });
+    return handle(res);
   }
 };
 
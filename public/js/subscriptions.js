@@ -25,6 +25,10 @@ window.API_BASE = window.ApiConfig ? window.ApiConfig.getAPI_BASE() : '/api';
       e.preventDefault();
       if (btn.dataset.action === 'cancel-plan') {
         window.SubManager.openCancelModal();
+      } else if (btn.dataset.action === 'resume-plan') {
+        window.SubManager.handleResume();
+      } else if (btn.dataset.action === 'download-invoice') {
+        window.SubManager.downloadInvoice(btn.dataset.invoiceId, btn.dataset.invoiceNumber);
       }
     });
 
@@ -23,14 +23,42 @@
     }
 
     // Update modal summary
-    const planMeta = {
-      '1-month':  '1 Month Plan',
-      '3-month':  '3 Month Plan',
-      '6-month':  '6 Month Plan',
-      '12-month': '12 Month Plan',
-    };
-    document.getElementById('checkout-plan-name').textContent = planMeta[planId] || planId;
-    document.getElementById('checkout-plan-price').textContent = window.SubShared.formatCurrency(plan.price || 0);
+    document.getElementById('checkout-plan-name').textContent = `${plan.name || planId} Plan`;
+    document.getElementById('checkout-coupon').value = '';
+    renderCurrencyOptions(plan);
+
+    getModal().show();
+
+    await prepareOrder(planId, null);
+  }
+
+  // Offer every currency the plan can be paid in, keeping the member's last choice
+  function renderCurrencyOptions(plan) {
+    const select = getElement('checkout-currency');
+    if (!select) return;
+
+    const currencies = [...(plan.checkoutCurrencies || [])];
+    if (!currencies.length) currencies.push(plan.currency || 'USD');
+    const selected = [state.checkoutCurrency, plan.currency].find(code => currencies.includes(code)) || currencies[0];
+
+    select.innerHTML = '';
+    currencies.forEach(code => select.add(new Option(code, code, false, code === selected)));
+  }
+
+  function selectedCurrency(plan) {
+    return getElement('checkout-currency')?.value || plan?.currency || 'USD';
+  }
+
+  // Create (or re-create, when a promo code or currency changes) the PayPal order
+  async function prepareOrder(planId, couponCode) {
+    const plan = state.availablePlans.find(p => p.id === planId);
+    const priceEl = document.getElementById('checkout-plan-price');
+    const discountEl = getElement('checkout-discount');
+    const currency = selectedCurrency(plan);
+    state.checkoutCurrency = currency;
+
+    priceEl.textContent = window.SubShared.formatCurrency(plan?.prices?.[currency] ?? plan?.price ?? 0, currency);
+    safeHide(discountEl);
 
     // Reset modal state: show loading, hide buttons and error
     safeShow(getElement('checkout-loading'));
@@ -38,13 +66,27 @@
     safeHide(getElement('checkout-error'));
     document.getElementById('card-button-container').innerHTML = '';
 
-    getModal().show();
-
     try {
-      const data = await SubscriptionService.createCheckout(planId);
+      const data = await SubscriptionService.createCheckout(planId, couponCode, currency);
       const orderId = data?.data?.orderId;
       if (!orderId) throw new Error('Failed to create payment order');
 
+      if (data.data.couponCode && discountEl) {
+        priceEl.textContent = window.SubShared.formatCurrency(data.data.finalPrice, data.data.currency);
+        discountEl.textContent = `${data.data.couponCode} applied: -${window.SubShared.formatCurrency(data.data.discount, data.data.currency)}`;
+        safeShow(discountEl);
+      }
+
+      // The fake provider (local development) approves orders immediately and
+      // returns straight to this page, like PayPal's redirect flow
+      if (data.data.provider === 'fake') {
+        window.location.href = data.data.approvalLink;
+        return;
+      }
+
+      // The SDK must be loaded in the order's currency
+      await window.PaypalSdk?.load(data.data.currency);
+
       safeHide(getElement('checkout-loading'));
       safeShow(getElement('checkout-buttons'));
 
@@ -145,5 +187,20 @@
     }
   }
 
+  async function applyCoupon() {
+    const code = document.getElementById('checkout-coupon').value.trim();
+    if (!code || !state.selectedPlanId) return;
+    await prepareOrder(state.selectedPlanId, code);
+  }
+
+  async function changeCurrency() {
+    if (!state.selectedPlanId) return;
+    const code = document.getElementById('checkout-coupon').value.trim();
+    await prepareOrder(state.selectedPlanId, code || null);
+  }
+
+  document.getElementById('checkout-coupon-apply')?.addEventListener('click', applyCoupon);
+  document.getElementById('checkout-currency')?.addEventListener('change', changeCurrency);
+
   window.SubCheckout = { selectPlan, handleSuccessRedirect };
 })();
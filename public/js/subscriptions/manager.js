@@ -10,6 +10,7 @@
     parseDate,
     safeFormatDate,
     hasActiveSubscription,
+    escapeHtml,
     DEBUG,
   } = window.SubShared;
 
@@ -52,9 +53,14 @@
     const expiresAt = parseDate(sub.expiresAt, new Date(Date.now() + 30 * 86_400_000));
     const daysLeft = sub.daysLeft ?? 0;
     const isActiveNow = sub.active && expiresAt > new Date();
+    const isEnding = isActiveNow && sub.status === 'cancel_at_period_end';
 
-    const statusClass = isActiveNow ? 'active' : 'expired';
-    const statusText = isActiveNow ? 'ACTIVE' : 'EXPIRED';
+    const statusClass = isEnding ? 'warning' : isActiveNow ? 'active' : 'expired';
+    // Lapsed periods still read 'active' until the hourly cleanup job runs
+    const displayStatus = isActiveNow || (sub.status && sub.status !== 'active')
+      ? sub.status || 'active'
+      : 'expired';
+    const statusText = displayStatus.replace(/_/g, ' ').toUpperCase();
 
     container.innerHTML = `
       <div class="row g-4 align-items-center">
@@ -70,7 +76,7 @@
                 <span class="detail-value">${formatCurrency(sub.amount || 0, sub.currency || 'USD')}</span>
               </div>
               <div class="detail-item">
-                <span class="detail-label">Expires</span>
+                <span class="detail-label">${isEnding ? 'Access Until' : 'Expires'}</span>
                 <span class="detail-value">${safeFormatDate(expiresAt)}</span>
               </div>
               <div class="detail-item">
@@ -83,7 +89,11 @@
         <div class="col-lg-4">
           <div class="actions-card">
             <h5 class="mb-3 fw-bold">Manage</h5>
-            ${isActiveNow
+            ${isEnding
+              ? `<button data-action="resume-plan" class="btn btn-outline-success w-100 btn-sm">
+                  <i class="bi bi-arrow-counterclockwise me-2"></i>Keep Subscription
+                 </button>`
+              : isActiveNow
               ? `<button data-action="cancel-plan" class="btn btn-outline-danger w-100 btn-sm">
                   <i class="bi bi-x-circle me-2"></i>Cancel Subscription
                  </button>`
@@ -91,10 +101,53 @@
                   <i class="bi bi-clock me-2"></i>Subscription Expired
                  </button>`
             }
+            <div id="subscriptionInvoices" class="mt-4"></div>
           </div>
         </div>
       </div>
     `;
+
+    loadInvoices();
+  }
+
+  // Receipts for the most recent payments; older ones are in the payment emails
+  async function loadInvoices() {
+    const container = getElement('subscriptionInvoices');
+    if (!container) return;
+
+    try {
+      const data = await SubscriptionService.getInvoices();
+      const invoices = data?.data?.invoices || [];
+      if (!invoices.length) return;
+
+      container.innerHTML = `
+        <h6 class="fw-bold mb-2">Receipts</h6>
+        <ul class="list-unstyled small mb-0">
+          ${invoices.map(inv => `
+            <li class="d-flex justify-content-between align-items-center mb-1">
+              <span>${safeFormatDate(inv.issuedAt)} &middot; ${formatCurrency(inv.total, inv.currency)}</span>
+              <button data-action="download-invoice" data-invoice-id="${escapeHtml(inv._id)}"
+                      data-invoice-number="${escapeHtml(inv.number)}" class="btn btn-link btn-sm p-0">
+                <i class="bi bi-download"></i> PDF
+              </button>
+            </li>`).join('')}
+        </ul>`;
+    } catch (err) {
+      log('Failed to load invoices:', err);
+    }
+  }
+
+  async function downloadInvoice(invoiceId, invoiceNumber) {
+    try {
+      const url = URL.createObjectURL(await SubscriptionService.downloadInvoice(invoiceId));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${invoiceNumber}.pdf`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (err) {
+      showAlert(err.message || 'Failed to download invoice.', 'error');
+    }
   }
 
   function openCancelModal() {
@@ -111,8 +164,8 @@
     if (btn) { btn.disabled = true; btn.textContent = 'Cancelling...'; }
 
     try {
-      await SubscriptionService.cancelSubscription();
-      showAlert('Subscription cancelled successfully.', 'success');
+      const result = await SubscriptionService.cancelSubscription();
+      showAlert(result?.message || 'Subscription cancelled successfully.', 'success');
       bootstrap.Modal.getInstance(document.getElementById('cancelConfirmModal'))?.hide();
       setTimeout(loadUserSubscriptions, 1000);
     } catch (err) {
@@ -123,10 +176,23 @@
     }
   }
 
+  async function handleResume() {
+    try {
+      await SubscriptionService.resumeSubscription();
+      showAlert('Your subscription will continue.', 'success');
+      await loadUserSubscriptions();
+    } catch (err) {
+      if (DEBUG) console.error('Resume failed:', err);
+      showAlert(err.message || 'Failed to resume. Please try again.', 'error');
+    }
+  }
+
   window.SubManager = {
     loadUserSubscriptions,
     renderActiveSubscriptionSummary,
     openCancelModal,
     handleConfirmCancel,
+    handleResume,
+    downloadInvoice,
   };
 })();
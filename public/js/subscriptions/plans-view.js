@@ -2,6 +2,7 @@
   const {
     state,
     getElement,
+    escapeHtml,
     safeShow,
     safeHide,
     showAlert,
@@ -16,6 +17,7 @@
       const data = await SubscriptionService.getPlans();
       const plansObj = data?.data?.plans || {};
       state.availablePlans = Object.entries(plansObj).map(([id, plan]) => ({ id, ...plan }));
+      state.trialDays = data?.data?.trialDays || 0;
       renderPlans();
     } catch (err) {
       if (DEBUG) console.error('Load plans failed:', err);
@@ -33,16 +35,22 @@
 
     plansContainer.innerHTML = '';
 
-    const planMeta = {
-      '1-month':  { months: 1,  displayName: '1 Month',   featured: false },
-      '3-month':  { months: 3,  displayName: '3 Months',  featured: false },
-      '6-month':  { months: 6,  displayName: '6 Months',  featured: true  },
-      '12-month': { months: 12, displayName: '12 Months', featured: false },
-    };
+    // Trials are only for members who have never held a subscription
+    if (state.trialDays > 0 && state.userSubscriptions.length === 0) {
+      plansContainer.appendChild(renderTrialOffer());
+    }
+
+    // Name, price and features come from the admin-managed catalogue
+    const featuredPlans = ['6-month'];
 
     state.availablePlans.forEach(plan => {
       const planId = plan.id;
-      const meta = planMeta[planId] || { months: 1, displayName: '1 Month', featured: false };
+      const meta = {
+        months: Math.max(1, Math.round(plan.durationDays / 30)),
+        displayName: escapeHtml(plan.name || planId),
+        featured: featuredPlans.includes(planId),
+      };
+      const features = plan.features || [];
 
       const totalJMD = plan.priceJMD || 0;
       const monthlyJMD = totalJMD / meta.months;
@@ -67,10 +75,7 @@
               </div>
               ${meta.months > 1 ? `<div class="plan-total">Total: ${formatJMD(totalJMD)}</div>` : '<div class="plan-total">&nbsp;</div>'}
               <ul class="plan-features mt-3">
-                <li>Personal trainer access</li>
-                <li>Workout tracking</li>
-                <li>Nutrition coaching</li>
-                <li>Progress analytics</li>
+                ${features.map(feature => `<li>${escapeHtml(feature)}</li>`).join('')}
               </ul>
             </div>
             <button class="btn plan-button w-100 mt-2" ${isCurrent ? 'disabled' : ''}>
@@ -91,5 +96,37 @@
     safeShow(getElement('plansSection'));
   }
 
+  function renderTrialOffer() {
+    const offer = document.createElement('div');
+    offer.className = 'col-12';
+    offer.innerHTML = `
+      <div class="card plan-card">
+        <div class="card-body d-flex flex-column flex-md-row align-items-md-center justify-content-between gap-3">
+          <div>
+            <div class="fw-bold">Try JE Fitness free for ${state.trialDays} days</div>
+            <div class="small text-muted">No payment needed. Pick a plan any time to keep going.</div>
+          </div>
+          <button class="btn plan-button">Start ${state.trialDays}-day free trial</button>
+        </div>
+      </div>
+    `;
+
+    const button = offer.querySelector('button');
+    button.addEventListener('click', async () => {
+      button.disabled = true;
+      try {
+        await SubscriptionService.startTrial();
+        showAlert('Your free trial has started!', 'success');
+        await window.SubManager.loadUserSubscriptions();
+      } catch (err) {
+        if (DEBUG) console.error('Start trial failed:', err);
+        showAlert(err.message || 'Could not start your free trial', 'error');
+        button.disabled = false;
+      }
+    });
+
+    return offer;
+  }
+
   window.SubPlansView = { loadPlans, renderPlans };
 })();
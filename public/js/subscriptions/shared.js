@@ -3,7 +3,9 @@
 
   const state = {
     selectedPlanId: null,
+    checkoutCurrency: null,
     availablePlans: [],
+    trialDays: 0,
     userSubscriptions: [],
     isLoadingSubscriptions: false,
   };
@@ -11,6 +13,12 @@
   const isActive = (active) => active === true;
   const isCancelled = (active) => active === false;
 
+  const escapeHtml = (str) => {
+    const div = document.createElement('div');
+    div.textContent = String(str ?? '');
+    return div.innerHTML;
+  };
+
   function getElement(id, fallback = null) {
     const el = document.getElementById(id);
     if (!el && DEBUG) console.warn(`Element #${id} not found`);
@@ -130,6 +138,7 @@
     isActive,
     isCancelled,
     getElement,
+    escapeHtml,
     safeShow,
     safeHide,
     handleApiResponse,
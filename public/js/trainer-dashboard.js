@@ -46,18 +46,21 @@ window.API_BASE = window.ApiConfig.getAPI_BASE();
 
         document.getElementById('panelSchedule').classList.toggle('d-none', tab !== 'schedule');
         document.getElementById('panelClients').classList.toggle('d-none', tab !== 'clients');
+        document.getElementById('panelPrograms').classList.toggle('d-none', tab !== 'programs');
         document.getElementById('panelAvailability').classList.toggle('d-none', tab !== 'availability');
         document.getElementById('panelNotifications').classList.toggle('d-none', tab !== 'notifications');
 
         document.getElementById('scheduleSubtabs').classList.toggle('d-none', tab !== 'schedule');
         document.getElementById('clientsSearchBar').classList.toggle('d-none', tab !== 'clients');
+        document.getElementById('programsHeader').classList.toggle('d-none', tab !== 'programs');
         document.getElementById('availabilityHeader').classList.toggle('d-none', tab !== 'availability');
         document.getElementById('notificationsHeader').classList.toggle('d-none', tab !== 'notifications');
 
-        const titles = { schedule: 'Schedule Manager', clients: 'My Clients', availability: 'Weekly Availability', notifications: 'Email Notifications' };
+        const titles = { schedule: 'Schedule Manager', clients: 'My Clients', programs: 'Training Programs', availability: 'Weekly Availability', notifications: 'Email Notifications' };
         document.getElementById('windowTitleText').textContent = titles[tab] || 'Trainer Portal';
 
         if (tab === 'clients' && state.allClients.length === 0) window.TrainerClients.load();
+        if (tab === 'programs') window.TrainerPrograms.load();
         if (tab === 'availability') window.TrainerAvailability.load();
         if (tab === 'notifications') window.TrainerNotifications.load();
     }
@@ -65,6 +68,7 @@ window.API_BASE = window.ApiConfig.getAPI_BASE();
     function refreshCurrentTab() {
         if (state.currentTab === 'schedule') window.TrainerSchedule.load(1);
         else if (state.currentTab === 'clients') window.TrainerClients.load(1);
+        else if (state.currentTab === 'programs') window.TrainerPrograms.load();
         else if (state.currentTab === 'availability') window.TrainerAvailability.load();
     }
 
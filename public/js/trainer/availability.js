@@ -1,5 +1,5 @@
 (function () {
-    const { state, apiFetch, setFooter } = window.TrainerShared;
+    const { state, apiFetch, setFooter, showConfirm } = window.TrainerShared;
 
     const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
 
@@ -38,13 +38,17 @@
             }
         }
 
-        let existing = {};
+        const existing = {};
+        let timezone = null;
         if (state.myTrainerId) {
             try {
                 const res = await apiFetch(`/api/v1/trainer/${state.myTrainerId}/availability`);
                 if (res.ok) {
                     const data = await res.json();
-                    (data.availability || []).forEach(s => { existing[s.dayOfWeek] = s; });
+                    timezone = data.timezone;
+                    (data.availability || []).forEach(s => {
+                        (existing[s.dayOfWeek] = existing[s.dayOfWeek] || []).push(s);
+                    });
                 } else {
                     console.error('Failed to load availability:', res.status);
                     window.Toast.error('Failed to load availability.');
@@ -58,40 +62,58 @@
         }
 
         renderGrid(existing);
+        window.TrainerTimezone?.load(timezone);
         setFooter('Availability loaded');
 
         document.getElementById('saveAvailabilityBtn')?.addEventListener('click', save);
+        initOverrideForm();
+        loadOverrides();
+        window.TrainerSessionTypes?.load();
     }
 
+    function windowRowHtml(win) {
+        return `
+            <div class="avail-window d-flex align-items-center gap-2 flex-wrap">
+                <select class="form-select form-select-sm avail-start avail-select bg-dark text-light border-secondary" aria-label="Start">
+                    ${buildHourOptions(win.startHour, 0, 23)}
+                </select>
+                <span class="text-muted avail-sep">to</span>
+                <select class="form-select form-select-sm avail-end avail-select bg-dark text-light border-secondary" aria-label="End">
+                    ${buildHourOptions(win.endHour, 1, 24)}
+                </select>
+                <span class="text-muted avail-sep">·</span>
+                <label class="text-muted avail-day-label mb-0">Cap</label>
+                <input type="number" class="form-control form-control-sm avail-cap bg-dark text-light border-secondary"
+                       min="1" max="50" value="${win.slotCapacity ?? 6}" aria-label="Clients per slot">
+                <button type="button" class="btn btn-sm btn-link text-muted p-0 avail-remove" title="Remove window">
+                    <i class="bi bi-x-lg"></i>
+                </button>
+            </div>`;
+    }
+
+    // A day can hold several windows (split shifts), each with its own capacity
     function renderGrid(existing) {
         const grid = document.getElementById('availabilityGrid');
 
         grid.innerHTML = DAYS.map((day, dow) => {
-            const slot = existing[dow];
-            const isActive = slot ? slot.isActive : false;
-            const start = slot ? slot.startHour : 6;
-            const end = slot ? slot.endHour : 20;
-            const capacity = slot ? (slot.slotCapacity ?? 6) : 6;
+            const windows = existing[dow] || [];
+            const isActive = windows.some(w => w.isActive);
+            const shown = windows.length > 0 ? windows : [{ startHour: 6, endHour: 20, slotCapacity: 6 }];
 
             return `
                 <div class="avail-row apt-row mb-2 p-3" data-dow="${dow}">
-                    <div class="d-flex align-items-center gap-3 flex-wrap">
+                    <div class="d-flex align-items-start gap-3 flex-wrap">
                         <div class="form-check form-switch mb-0 avail-day-check">
                             <input class="form-check-input avail-toggle" type="checkbox" id="toggle-${dow}" ${isActive ? 'checked' : ''} data-dow="${dow}">
                             <label class="form-check-label fw-bold avail-day-label" for="toggle-${dow}">${day}</label>
                         </div>
-                        <div class="avail-hours d-flex align-items-center gap-2 flex-wrap ${isActive ? '' : 'd-none'}" id="hours-${dow}">
-                            <select class="form-select form-select-sm avail-start avail-select bg-dark text-light border-secondary" id="start-${dow}">
-                                ${buildHourOptions(start, 0, 23)}
-                            </select>
-                            <span class="text-muted avail-sep">to</span>
-                            <select class="form-select form-select-sm avail-end avail-select bg-dark text-light border-secondary" id="end-${dow}">
-                                ${buildHourOptions(end, 1, 24)}
-                            </select>
-                            <span class="text-muted avail-sep">·</span>
-                            <label class="text-muted avail-day-label mb-0" for="cap-${dow}">Cap</label>
-                            <input type="number" class="form-control form-control-sm avail-cap bg-dark text-light border-secondary"
-                                   id="cap-${dow}" min="1" max="50" value="${capacity}">
+                        <div class="avail-hours d-flex flex-column gap-2 ${isActive ? '' : 'd-none'}" id="hours-${dow}">
+                            <div class="avail-windows d-flex flex-column gap-2">
+                                ${shown.map(windowRowHtml).join('')}
+                            </div>
+                            <button type="button" class="btn btn-sm btn-link text-start p-0 avail-add" data-dow="${dow}">
+                                <i class="bi bi-plus-lg me-1"></i>Add window
+                            </button>
                         </div>
                         <span class="text-muted small ${isActive ? 'd-none' : ''}" id="offLabel-${dow}">Unavailable</span>
                     </div>
@@ -114,39 +136,67 @@
             });
         });
 
-        grid.querySelectorAll('.avail-start, .avail-end, .avail-cap').forEach(input => {
-            input.addEventListener('change', () => {
+        grid.querySelectorAll('.avail-add').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const list = btn.closest('.avail-hours').querySelector('.avail-windows');
+                const last = [...list.querySelectorAll('.avail-end')].pop();
+                const start = Math.min(23, last ? parseInt(last.value) : 6);
+                list.insertAdjacentHTML('beforeend', windowRowHtml({ startHour: start, endHour: Math.min(24, start + 4) }));
                 state.availabilityDirty = true;
             });
         });
+
+        // Delegated so windows added after render are covered too; the grid
+        // element outlives re-renders, so bind these once
+        if (grid.dataset.bound) return;
+        grid.dataset.bound = 'true';
+
+        grid.addEventListener('click', e => {
+            const remove = e.target.closest('.avail-remove');
+            if (!remove) return;
+            const list = remove.closest('.avail-windows');
+            if (list.children.length === 1) {
+                window.Toast.error('A day needs at least one window. Switch the day off instead.');
+                return;
+            }
+            remove.closest('.avail-window').remove();
+            state.availabilityDirty = true;
+        });
+
+        grid.addEventListener('change', e => {
+            if (e.target.matches('.avail-start, .avail-end, .avail-cap')) state.availabilityDirty = true;
+        });
     }
 
     async function save() {
         const availability = [];
         for (let dow = 0; dow < 7; dow++) {
             const toggle = document.getElementById(`toggle-${dow}`);
-            const startSel = document.getElementById(`start-${dow}`);
-            const endSel = document.getElementById(`end-${dow}`);
             if (!toggle) continue;
 
-            const capEl = document.getElementById(`cap-${dow}`);
             const isActive = toggle.checked;
-            const startHour = parseInt(startSel?.value ?? 6);
-            const endHour = parseInt(endSel?.value ?? 20);
-            const slotCapacity = Math.min(50, Math.max(1, parseInt(capEl?.value) || 6));
-
-            if (isActive && endHour <= startHour) {
-                window.Toast.error(`${DAYS[dow]}: end time must be after start time`);
-                return;
-            }
-
-            if (isActive && (slotCapacity < 1 || slotCapacity > 50)) {
-                window.Toast.error(`${DAYS[dow]}: capacity must be between 1 and 50`);
-                return;
-            }
+            const windows = [...document.querySelectorAll(`#hours-${dow} .avail-window`)].map(row => ({
+                dayOfWeek: dow,
+                startHour: parseInt(row.querySelector('.avail-start').value),
+                endHour: parseInt(row.querySelector('.avail-end').value),
+                slotCapacity: Math.min(50, Math.max(1, parseInt(row.querySelector('.avail-cap').value) || 6)),
+                isActive,
+            }));
 
             if (isActive) {
-                availability.push({ dayOfWeek: dow, startHour, endHour, isActive: true, slotCapacity });
+                if (windows.some(w => w.endHour <= w.startHour)) {
+                    window.Toast.error(`${DAYS[dow]}: end time must be after start time`);
+                    return;
+                }
+                const sorted = [...windows].sort((a, b) => a.startHour - b.startHour);
+                if (sorted.some((w, i) => i > 0 && w.startHour < sorted[i - 1].endHour)) {
+                    window.Toast.error(`${DAYS[dow]}: windows must not overlap`);
+                    return;
+                }
+                availability.push(...windows);
+            } else {
+                // Saved as inactive so the day's old windows are replaced
+                availability.push(...windows.map(w => ({ ...w, endHour: Math.max(w.endHour, w.startHour + 1) })));
             }
         }
 
@@ -154,16 +204,14 @@
         if (btn) { btn.disabled = true; btn.innerHTML = '<span class="spinner-border spinner-border-sm me-1"></span>Saving…'; }
 
         try {
-            if (availability.length === 0) {
-                window.Toast.success('Schedule saved (no active days).');
-                state.availabilityDirty = false;
-                return;
-            }
             const res = await apiFetch('/api/v1/trainer/availability', {
                 method: 'PUT',
                 body: JSON.stringify({ availability }),
             });
-            if (!res.ok) throw new Error('Save failed');
+            if (!res.ok) {
+                const data = await res.json().catch(() => ({}));
+                throw new Error(data.error || 'Save failed');
+            }
             state.availabilityDirty = false;
             window.Toast.success('Availability saved!');
             setFooter('Schedule saved');
@@ -176,5 +224,164 @@
         }
     }
 
-    window.TrainerAvailability = { load, renderGrid, save };
+    // ── Time off & extra hours ──────────────────────────────────
+
+    function initOverrideForm() {
+        const form = document.getElementById('overrideForm');
+        if (!form || form.dataset.bound) return;
+        form.dataset.bound = 'true';
+
+        const startHour = document.getElementById('overrideStartHour');
+        const endHour = document.getElementById('overrideEndHour');
+        startHour.innerHTML = '<option value="">All day</option>' + buildHourOptions(null, 0, 23);
+        endHour.innerHTML = '<option value="">—</option>' + buildHourOptions(null, 1, 24);
+
+        const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        document.getElementById('overrideStart').min = tomorrow;
+        document.getElementById('overrideEnd').min = tomorrow;
+
+        form.addEventListener('submit', e => {
+            e.preventDefault();
+            addOverride();
+        });
+    }
+
+    function formatDateRange(startDate, endDate) {
+        const fmt = d => new Date(d).toLocaleDateString('en-US', {
+            weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC',
+        });
+        const start = fmt(startDate);
+        const end = fmt(endDate);
+        return start === end ? start : `${start} – ${end}`;
+    }
+
+    async function loadOverrides() {
+        const list = document.getElementById('overrideList');
+        if (!list) return;
+
+        try {
+            const res = await apiFetch('/api/v1/trainer/availability/overrides');
+            if (!res.ok) throw new Error('Load failed');
+            const data = await res.json();
+            renderOverrides(data.overrides || []);
+        } catch (err) {
+            if (err.message === 'Unauthorized' || err.message === 'Forbidden') return;
+            console.error('Error loading overrides:', err);
+            list.innerHTML = '<p class="text-muted small mb-0">Unable to load time off.</p>';
+        }
+    }
+
+    function renderOverrides(overrides) {
+        const list = document.getElementById('overrideList');
+
+        if (overrides.length === 0) {
+            list.innerHTML = '<p class="text-muted small mb-0">No upcoming time off or extra hours.</p>';
+            return;
+        }
+
+        list.innerHTML = overrides.map(o => {
+            const isBlock = o.type === 'blocked';
+            const hours = o.startHour === null || o.startHour === undefined
+                ? 'All day'
+                : `${hourLabel(o.startHour)} – ${hourLabel(o.endHour)}`;
+            const capacity = isBlock ? '' : `<span class="text-muted small">· Cap ${o.slotCapacity}</span>`;
+
+            return `
+                <div class="apt-row mb-2 p-3 d-flex align-items-center gap-3 flex-wrap" data-override-id="${o._id}">
+                    <span class="badge ${isBlock ? 'bg-danger' : 'bg-success'}">${isBlock ? 'Time off' : 'Extra hours'}</span>
+                    <span class="fw-bold small">${formatDateRange(o.startDate, o.endDate)}</span>
+                    <span class="text-muted small">${hours}</span>
+                    ${capacity}
+                    <span class="text-muted small flex-grow-1 override-reason"></span>
+                    <button class="btn btn-sm btn-outline-danger rounded-pill override-delete" title="Remove">
+                        <i class="bi bi-trash"></i>
+                    </button>
+                </div>`;
+        }).join('');
+
+        // Reasons are free text, so set them as text rather than markup
+        list.querySelectorAll('[data-override-id]').forEach((row, i) => {
+            row.querySelector('.override-reason').textContent = overrides[i].reason || '';
+            row.querySelector('.override-delete').addEventListener('click', () => deleteOverride(row.dataset.overrideId));
+        });
+    }
+
+    async function addOverride() {
+        const type = document.getElementById('overrideType').value;
+        const startDate = document.getElementById('overrideStart').value;
+        const endDate = document.getElementById('overrideEnd').value || startDate;
+        const startHourVal = document.getElementById('overrideStartHour').value;
+        const endHourVal = document.getElementById('overrideEndHour').value;
+        const reason = document.getElementById('overrideReason').value.trim();
+        const notifyClients = document.getElementById('overrideNotify').checked;
+
+        if (!startDate) { window.Toast.error('Pick a start date.'); return; }
+        if (endDate < startDate) { window.Toast.error('End date must not be before start date.'); return; }
+
+        const body = { type, startDate, endDate, reason, notifyClients };
+        if (startHourVal !== '' || endHourVal !== '') {
+            const startHour = parseInt(startHourVal);
+            const endHour = parseInt(endHourVal);
+            if (isNaN(startHour) || isNaN(endHour) || endHour <= startHour) {
+                window.Toast.error('End time must be after start time.');
+                return;
+            }
+            body.startHour = startHour;
+            body.endHour = endHour;
+        } else if (type === 'extra') {
+            window.Toast.error('Choose the hours you will be available.');
+            return;
+        }
+
+        const btn = document.querySelector('#overrideForm button[type="submit"]');
+        if (btn) btn.disabled = true;
+
+        try {
+            const res = await apiFetch('/api/v1/trainer/availability/overrides', {
+                method: 'POST',
+                body: JSON.stringify(body),
+            });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok) {
+                window.Toast.error(data.error || 'Failed to save time off.');
+                return;
+            }
+
+            const affected = data.affectedAppointments?.length || 0;
+            if (affected > 0) {
+                const emailed = data.notified ? ` ${data.notified} client(s) emailed.` : '';
+                window.Toast.success(`Saved. ${affected} booked session(s) fall in this time — please reschedule them.${emailed}`);
+            } else {
+                window.Toast.success(type === 'blocked' ? 'Time off saved!' : 'Extra hours saved!');
+            }
+            document.getElementById('overrideForm').reset();
+            setFooter('Availability updated');
+            loadOverrides();
+        } catch (err) {
+            if (err.message === 'Unauthorized' || err.message === 'Forbidden') return;
+            console.error(err);
+            window.Toast.error('Failed to save time off.');
+        } finally {
+            if (btn) btn.disabled = false;
+        }
+    }
+
+    function deleteOverride(overrideId) {
+        showConfirm('Remove this time off / extra hours entry?', () => removeOverride(overrideId));
+    }
+
+    async function removeOverride(overrideId) {
+        try {
+            const res = await apiFetch(`/api/v1/trainer/availability/overrides/${overrideId}`, { method: 'DELETE' });
+            if (!res.ok) throw new Error('Delete failed');
+            window.Toast.success('Removed.');
+            loadOverrides();
+        } catch (err) {
+            if (err.message === 'Unauthorized' || err.message === 'Forbidden') return;
+            console.error(err);
+            window.Toast.error('Failed to remove entry.');
+        }
+    }
+
+    window.TrainerAvailability = { load, renderGrid, save, loadOverrides };
 })();
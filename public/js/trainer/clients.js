@@ -72,12 +72,18 @@
             viewBtn.textContent = 'View';
             viewBtn.addEventListener('click', () => openDetail(viewBtn.dataset.clientId));
 
+            const programBtn = document.createElement('button');
+            programBtn.className = 'btn btn-sm btn-outline-secondary rounded-pill px-3 flex-shrink-0';
+            programBtn.textContent = 'Program';
+            programBtn.addEventListener('click', () => window.TrainerPrograms.openAssign(c));
+
             info.appendChild(nameDiv);
             info.appendChild(emailDiv);
             info.appendChild(badge);
 
             card.appendChild(avatar);
             card.appendChild(info);
+            card.appendChild(programBtn);
             card.appendChild(viewBtn);
 
             col.appendChild(card);
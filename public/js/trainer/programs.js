@@ -0,0 +1,454 @@
+(function () {
+    const { apiFetch, setFooter, showConfirm } = window.TrainerShared;
+
+    const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+    let programs = [];
+    // Program being edited: { _id?, name, description, weeks: [{ days: [{ _id?, dayOfWeek, name, exercises }] }] }
+    let draft = null;
+    let assignClient = null;
+    let suggestTimer = null;
+
+    function localDateString(date = new Date()) {
+        const y = date.getFullYear();
+        const m = String(date.getMonth() + 1).padStart(2, '0');
+        const d = String(date.getDate()).padStart(2, '0');
+        return `${y}-${m}-${d}`;
+    }
+
+    function formatDate(value) {
+        return new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+    }
+
+    function newExercise() {
+        return { exerciseName: '', sets: 3, reps: 10, percent1RM: null, restSeconds: null };
+    }
+
+    function newDay(dayOfWeek = 1) {
+        return { dayOfWeek, name: '', exercises: [newExercise()] };
+    }
+
+    function errorMessage(data, fallback) {
+        return data.error?.message || data.error || fallback;
+    }
+
+    function initEditor() {
+        const form = document.getElementById('programEditor');
+        if (!form || form.dataset.bound) return;
+        form.dataset.bound = 'true';
+
+        document.getElementById('newProgramBtn').addEventListener('click', () => openEditor(null));
+        document.getElementById('cancelProgramBtn').addEventListener('click', closeEditor);
+        document.getElementById('addProgramWeekBtn').addEventListener('click', () => {
+            readEditor();
+            draft.weeks.push({ days: [newDay()] });
+            renderWeeks();
+        });
+        form.addEventListener('submit', e => {
+            e.preventDefault();
+            save();
+        });
+
+        document.getElementById('programAssignBtn').addEventListener('click', assign);
+        document.getElementById('programEndBtn').addEventListener('click', endCurrent);
+    }
+
+    // ── Program list ─────────────────────────────────────────────────────────
+    async function load() {
+        initEditor();
+        const list = document.getElementById('programList');
+        if (!list) return;
+
+        try {
+            const res = await apiFetch('/api/v1/trainer/programs');
+            if (!res.ok) throw new Error('Load failed');
+            const data = await res.json();
+            programs = data.programs || [];
+            render();
+        } catch (err) {
+            if (err.message === 'Unauthorized' || err.message === 'Forbidden') return;
+            console.error('Error loading programs:', err);
+            list.innerHTML = '<p class="text-muted small mb-0">Unable to load programs.</p>';
+        }
+    }
+
+    function render() {
+        const list = document.getElementById('programList');
+        const active = programs.filter(p => p.isActive);
+
+        if (active.length === 0) {
+            list.innerHTML = '<p class="text-muted small mb-0">No programs yet. Build one with New Program, then assign it from a client\'s card.</p>';
+            return;
+        }
+
+        list.innerHTML = active.map(p => {
+            const days = p.weeks.reduce((n, w) => n + w.days.length, 0);
+            return `
+            <div class="apt-row mb-2 p-3 d-flex align-items-center gap-3 flex-wrap" data-program-id="${p._id}">
+                <div class="flex-grow-1" style="min-width:0;">
+                    <div class="fw-bold small program-name"></div>
+                    <div class="text-muted small program-description text-truncate"></div>
+                </div>
+                <span class="text-muted small">${p.weeks.length} week${p.weeks.length === 1 ? '' : 's'} · ${days} workout${days === 1 ? '' : 's'}</span>
+                <button class="btn btn-sm btn-outline-secondary rounded-pill px-3 program-edit">Edit</button>
+                <button class="btn btn-sm btn-outline-danger rounded-pill program-archive" title="Archive">
+                    <i class="bi bi-archive"></i>
+                </button>
+            </div>`;
+        }).join('');
+
+        // Names are free text, so set them as text rather than markup
+        list.querySelectorAll('[data-program-id]').forEach((row, i) => {
+            row.querySelector('.program-name').textContent = active[i].name;
+            row.querySelector('.program-description').textContent = active[i].description || '';
+            row.querySelector('.program-edit').addEventListener('click', () => openEditor(active[i]));
+            row.querySelector('.program-archive').addEventListener('click', () => archive(row.dataset.programId));
+        });
+    }
+
+    function archive(programId) {
+        showConfirm(['Archive this program?', 'Clients already on it keep following it.'], async () => {
+            try {
+                const res = await apiFetch(`/api/v1/trainer/programs/${programId}`, { method: 'DELETE' });
+                if (!res.ok) throw new Error('Archive failed');
+                window.Toast.success('Program archived.');
+                load();
+            } catch (err) {
+                if (err.message === 'Unauthorized' || err.message === 'Forbidden') return;
+                console.error(err);
+                window.Toast.error('Failed to archive program.');
+            }
+        });
+    }
+
+    // ── Program builder ──────────────────────────────────────────────────────
+    function openEditor(program) {
+        draft = program
+            ? JSON.parse(JSON.stringify({ _id: program._id, name: program.name, description: program.description || '', weeks: program.weeks }))
+            : { name: '', description: '', weeks: [{ days: [newDay()] }] };
+
+        document.getElementById('programEditorTitle').textContent = program ? 'Edit program' : 'New program';
+        document.getElementById('programName').value = draft.name;
+        document.getElementById('programDescription').value = draft.description;
+        renderWeeks();
+
+        document.getElementById('programList').classList.add('d-none');
+        document.getElementById('programEditor').classList.remove('d-none');
+        document.getElementById('newProgramBtn').disabled = true;
+    }
+
+    function closeEditor() {
+        draft = null;
+        document.getElementById('programEditor').classList.add('d-none');
+        document.getElementById('programList').classList.remove('d-none');
+        document.getElementById('newProgramBtn').disabled = false;
+    }
+
+    function numberInput(className, value, min, max, placeholder) {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = min;
+        input.max = max;
+        input.className = `form-control form-control-sm bg-dark text-light border-secondary ${className}`;
+        input.placeholder = placeholder;
+        input.value = value ?? '';
+        return input;
+    }
+
+    function textInput(className, value, maxLength, placeholder) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.maxLength = maxLength;
+        input.className = `form-control form-control-sm bg-dark text-light border-secondary ${className}`;
+        input.placeholder = placeholder;
+        input.value = value || '';
+        return input;
+    }
+
+    function iconButton(icon, title, className, onClick) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = `btn btn-sm ${className} rounded-pill`;
+        btn.title = title;
+        btn.innerHTML = `<i class="bi ${icon}"></i>`;
+        btn.addEventListener('click', () => {
+            readEditor();
+            onClick();
+            renderWeeks();
+        });
+        return btn;
+    }
+
+    function renderExercise(day, exercise, e) {
+        const row = document.createElement('div');
+        row.className = 'program-exercise d-flex gap-2 align-items-center mb-2 flex-wrap';
+        const nameInput = textInput('program-exercise-name flex-grow-1', exercise.exerciseName, 100, 'Exercise');
+        nameInput.setAttribute('list', 'programExerciseSuggestions');
+        nameInput.autocomplete = 'off';
+        nameInput.addEventListener('input', () => suggestExercises(nameInput.value));
+        row.appendChild(nameInput);
+        [
+            ['program-exercise-sets', exercise.sets, 1, 20, 'Sets'],
+            ['program-exercise-reps', exercise.reps, 1, 100, 'Reps'],
+            ['program-exercise-percent', exercise.percent1RM, 1, 100, '%1RM'],
+            ['program-exercise-rest', exercise.restSeconds, 0, 600, 'Rest s'],
+        ].forEach(([className, value, min, max, placeholder]) => {
+            const input = numberInput(className, value, min, max, placeholder);
+            input.style.width = '80px';
+            input.title = placeholder;
+            row.appendChild(input);
+        });
+        row.appendChild(iconButton('bi-x-lg', 'Remove exercise', 'btn-outline-danger', () => {
+            day.exercises.splice(e, 1);
+        }));
+        return row;
+    }
+
+    // Offer catalogue names so clients' logs match the exercises they track
+    function suggestExercises(query) {
+        clearTimeout(suggestTimer);
+        suggestTimer = setTimeout(async () => {
+            const term = query.trim();
+            if (term.length < 2) return;
+            try {
+                const res = await apiFetch(`/api/v1/exercises?q=${encodeURIComponent(term)}&limit=8`);
+                if (!res.ok) return;
+                const { exercises } = await res.json();
+                const list = document.getElementById('programExerciseSuggestions');
+                list.innerHTML = '';
+                exercises.forEach(exercise => list.appendChild(new Option(exercise.name)));
+            } catch (err) {
+                if (err.message === 'Unauthorized' || err.message === 'Forbidden') return;
+                console.error('Error searching exercises:', err);
+            }
+        }, 250);
+    }
+
+    function renderDay(week, day, d) {
+        const card = document.createElement('div');
+        card.className = 'program-day apt-row p-3 mb-2';
+
+        const header = document.createElement('div');
+        header.className = 'd-flex gap-2 align-items-center mb-2 flex-wrap';
+        const select = document.createElement('select');
+        select.className = 'form-select form-select-sm bg-dark text-light border-secondary program-day-of-week';
+        select.style.width = '140px';
+        DAY_NAMES.forEach((name, i) => select.add(new Option(name, i, false, i === day.dayOfWeek)));
+        header.appendChild(select);
+        header.appendChild(textInput('program-day-name flex-grow-1', day.name, 60, 'Name, e.g. Lower body'));
+        header.appendChild(iconButton('bi-trash', 'Remove day', 'btn-outline-danger', () => {
+            week.days.splice(d, 1);
+        }));
+        card.appendChild(header);
+
+        day.exercises.forEach((exercise, e) => card.appendChild(renderExercise(day, exercise, e)));
+
+        const addExercise = document.createElement('button');
+        addExercise.type = 'button';
+        addExercise.className = 'btn btn-sm btn-link text-decoration-none px-0';
+        addExercise.textContent = '+ Add exercise';
+        addExercise.addEventListener('click', () => {
+            readEditor();
+            day.exercises.push(newExercise());
+            renderWeeks();
+        });
+        card.appendChild(addExercise);
+        return card;
+    }
+
+    function renderWeeks() {
+        const container = document.getElementById('programWeeks');
+        container.innerHTML = '';
+
+        draft.weeks.forEach((week, w) => {
+            const section = document.createElement('div');
+            section.className = 'program-week mb-3';
+
+            const header = document.createElement('div');
+            header.className = 'd-flex align-items-center gap-2 mb-2';
+            const title = document.createElement('span');
+            title.className = 'fw-bold small flex-grow-1';
+            title.textContent = `Week ${w + 1}`;
+            header.appendChild(title);
+            header.appendChild(iconButton('bi-plus-lg', 'Add day', 'btn-outline-primary', () => {
+                const used = new Set(week.days.map(day => day.dayOfWeek));
+                const free = [1, 2, 3, 4, 5, 6, 0].find(i => !used.has(i));
+                if (free !== undefined) week.days.push(newDay(free));
+            }));
+            header.appendChild(iconButton('bi-files', 'Copy week', 'btn-outline-secondary', () => {
+                // Copies are new days, so drop the IDs logged workouts point at
+                const copy = JSON.parse(JSON.stringify(week));
+                copy.days.forEach(day => delete day._id);
+                draft.weeks.splice(w + 1, 0, copy);
+            }));
+            if (draft.weeks.length > 1) {
+                header.appendChild(iconButton('bi-trash', 'Remove week', 'btn-outline-danger', () => {
+                    draft.weeks.splice(w, 1);
+                }));
+            }
+            section.appendChild(header);
+
+            week.days.forEach((day, d) => section.appendChild(renderDay(week, day, d)));
+            container.appendChild(section);
+        });
+    }
+
+    // Copy what the trainer typed back into the draft before re-rendering or saving
+    function readEditor() {
+        draft.name = document.getElementById('programName').value.trim();
+        draft.description = document.getElementById('programDescription').value.trim();
+
+        const optional = input => (input.value === '' ? null : Number(input.value));
+        document.querySelectorAll('#programWeeks .program-week').forEach((section, w) => {
+            section.querySelectorAll('.program-day').forEach((card, d) => {
+                const day = draft.weeks[w].days[d];
+                day.dayOfWeek = Number(card.querySelector('.program-day-of-week').value);
+                day.name = card.querySelector('.program-day-name').value.trim();
+                card.querySelectorAll('.program-exercise').forEach((row, e) => {
+                    Object.assign(day.exercises[e], {
+                        exerciseName: row.querySelector('.program-exercise-name').value.trim(),
+                        sets: Number(row.querySelector('.program-exercise-sets').value),
+                        reps: Number(row.querySelector('.program-exercise-reps').value),
+                        percent1RM: optional(row.querySelector('.program-exercise-percent')),
+                        restSeconds: optional(row.querySelector('.program-exercise-rest')),
+                    });
+                });
+            });
+        });
+    }
+
+    async function save() {
+        readEditor();
+        if (!draft.name) { window.Toast.error('Give the program a name.'); return; }
+
+        const btn = document.getElementById('saveProgramBtn');
+        btn.disabled = true;
+
+        try {
+            const res = await apiFetch(draft._id ? `/api/v1/trainer/programs/${draft._id}` : '/api/v1/trainer/programs', {
+                method: draft._id ? 'PUT' : 'POST',
+                body: JSON.stringify({ name: draft.name, description: draft.description, weeks: draft.weeks }),
+            });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok) {
+                window.Toast.error(errorMessage(data, 'Failed to save program.'));
+                return;
+            }
+            window.Toast.success('Program saved!');
+            setFooter('Programs updated');
+            closeEditor();
+            load();
+        } catch (err) {
+            if (err.message === 'Unauthorized' || err.message === 'Forbidden') return;
+            console.error(err);
+            window.Toast.error('Failed to save program.');
+        } finally {
+            btn.disabled = false;
+        }
+    }
+
+    // ── Client assignment ────────────────────────────────────────────────────
+    async function openAssign(client) {
+        initEditor();
+        assignClient = client;
+        document.getElementById('programAssignClient').textContent = `${client.firstName} ${client.lastName}`;
+        document.getElementById('programAssignStart').value = localDateString();
+        document.getElementById('programAssignCurrent').innerHTML =
+            '<div class="spinner-border spinner-border-sm text-primary"></div>';
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('programAssignModal')).show();
+
+        try {
+            const [programsRes, currentRes] = await Promise.all([
+                apiFetch('/api/v1/trainer/programs'),
+                apiFetch(`/api/v1/trainer/client/${client._id}/program?date=${localDateString()}`),
+            ]);
+            if (!programsRes.ok || !currentRes.ok) throw new Error('Load failed');
+            programs = (await programsRes.json()).programs || [];
+            renderAssign((await currentRes.json()).current);
+        } catch (err) {
+            if (err.message === 'Unauthorized' || err.message === 'Forbidden') return;
+            console.error('Error loading client program:', err);
+            document.getElementById('programAssignCurrent').innerHTML =
+                '<p class="text-muted small mb-0">Unable to load this client\'s program.</p>';
+        }
+    }
+
+    function renderAssign(current) {
+        const select = document.getElementById('programAssignSelect');
+        select.innerHTML = '';
+        programs.filter(p => p.isActive).forEach(p => select.add(new Option(p.name, p._id)));
+        document.getElementById('programAssignBtn').disabled = select.options.length === 0;
+        document.getElementById('programEndBtn').classList.toggle('d-none', !current);
+
+        const box = document.getElementById('programAssignCurrent');
+        if (!current) {
+            box.innerHTML = `<p class="text-muted small mb-0">${select.options.length ? 'Not on a program.' : 'Not on a program. Build one in the Programs tab first.'}</p>`;
+            return;
+        }
+
+        const { program, adherence, currentWeek } = current;
+        const progress = currentWeek === 0
+            ? `Starts ${formatDate(current.startDate)}`
+            : currentWeek > program.weeks.length
+                ? `Finished ${formatDate(current.endDate)}`
+                : `Week ${currentWeek} of ${program.weeks.length}`;
+        const rate = adherence.adherenceRate === null ? '—' : `${adherence.adherenceRate}%`;
+
+        box.innerHTML = `
+            <div class="apt-row p-3">
+                <div class="fw-bold small program-assign-name"></div>
+                <div class="text-muted small">${progress}</div>
+                <div class="small mt-1">Adherence <strong>${rate}</strong>
+                    <span class="text-muted">· ${adherence.completedDays} of ${adherence.dueDays} workouts done</span>
+                </div>
+            </div>`;
+        box.querySelector('.program-assign-name').textContent = program.name;
+    }
+
+    async function assign() {
+        const programId = document.getElementById('programAssignSelect').value;
+        if (!assignClient || !programId) return;
+
+        const btn = document.getElementById('programAssignBtn');
+        btn.disabled = true;
+        try {
+            const res = await apiFetch(`/api/v1/trainer/client/${assignClient._id}/program?date=${localDateString()}`, {
+                method: 'POST',
+                body: JSON.stringify({ programId, startDate: document.getElementById('programAssignStart').value }),
+            });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok) {
+                window.Toast.error(errorMessage(data, 'Failed to assign program.'));
+                return;
+            }
+            window.Toast.success('Program assigned!');
+            renderAssign(data.current);
+        } catch (err) {
+            if (err.message === 'Unauthorized' || err.message === 'Forbidden') return;
+            console.error(err);
+            window.Toast.error('Failed to assign program.');
+        } finally {
+            btn.disabled = false;
+        }
+    }
+
+    async function endCurrent() {
+        if (!assignClient) return;
+        try {
+            const res = await apiFetch(`/api/v1/trainer/client/${assignClient._id}/program`, { method: 'DELETE' });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok) {
+                window.Toast.error(errorMessage(data, 'Failed to end program.'));
+                return;
+            }
+            window.Toast.success('Program ended.');
+            renderAssign(null);
+        } catch (err) {
+            if (err.message === 'Unauthorized' || err.message === 'Forbidden') return;
+            console.error(err);
+            window.Toast.error('Failed to end program.');
+        }
+    }
+
+    window.TrainerPrograms = { load, openAssign };
+})();
@@ -70,6 +70,14 @@
                          data-client-name="${clientName}"
                          data-time="${timeLabel}"
                          data-date="${dayLabel}, ${dateLabel}">
+                        <button class="apt-btn apt-btn-ontime checkin-btn" title="Mark arrived now — on time or late is set from the clock">
+                            <i class="bi bi-person-check-fill"></i>
+                            <span>Check In</span>
+                        </button>
+                        <button class="apt-btn code-btn" title="Show a code for the client to scan">
+                            <i class="bi bi-qr-code"></i>
+                            <span>Code</span>
+                        </button>
                         <button class="apt-btn apt-btn-ontime ontime-btn">
                             <i class="bi bi-check-circle-fill"></i>
                             <span>On Time</span>
@@ -131,6 +139,8 @@
             const actionsEl = e.target.closest('.apt-card-actions');
             if (!actionsEl) return;
             const { appointmentId, clientName, time, date } = actionsEl.dataset;
+            if (e.target.closest('.checkin-btn')) { checkIn(appointmentId, clientName); return; }
+            if (e.target.closest('.code-btn')) { showCheckInCode(appointmentId, clientName); return; }
             let status, label;
             if (e.target.closest('.ontime-btn'))  { status = 'completed'; label = 'On Time'; }
             else if (e.target.closest('.late-btn'))   { status = 'late';      label = 'Late'; }
@@ -301,6 +311,44 @@
         });
     }
 
-    window.TrainerSchedule = { load, render, setupListeners, updateBulkActionPanel, bulkUpdateStatus, updateStatus };
+    async function checkIn(id, clientName) {
+        const who = clientName || 'this client';
+        showConfirm([`Check ${who} in now?`, 'Arriving after the late threshold is logged as Late.'], async () => {
+            try {
+                const res = await apiFetch(`/api/v1/trainer/appointments/${id}/check-in`, { method: 'POST' });
+                const data = await res.json().catch(() => ({}));
+                if (!res.ok) {
+                    window.Toast.error(data.error?.message || data.message || 'Failed to check in.');
+                    await load();
+                    return;
+                }
+                window.Toast.success(`${who} checked in (${data.status === 'late' ? 'Late' : 'On Time'}).`);
+                await load(state.appointmentsPagination.currentPage);
+            } catch (err) {
+                if (err.message === 'Unauthorized' || err.message === 'Forbidden') return;
+                console.error('Check-in error:', err);
+                window.Toast.error('Failed to check in.');
+            }
+        });
+    }
+
+    async function showCheckInCode(id, clientName) {
+        try {
+            const res = await apiFetch(`/api/v1/trainer/appointments/${id}/check-in-code`);
+            if (!res.ok) throw new Error('Failed to load check-in code');
+            const data = await res.json();
+            const el = document.getElementById('checkInCodeModal');
+            document.getElementById('checkInCodeClient').textContent = clientName || '';
+            document.getElementById('checkInCodeImage').src = data.qrCode;
+            document.getElementById('checkInCodeText').textContent = data.code;
+            new bootstrap.Modal(el).show();
+        } catch (err) {
+            if (err.message === 'Unauthorized' || err.message === 'Forbidden') return;
+            console.error(err);
+            window.Toast.error('Failed to load check-in code.');
+        }
+    }
+
+    window.TrainerSchedule = { load, render, setupListeners, updateBulkActionPanel, bulkUpdateStatus, updateStatus, checkIn, showCheckInCode };
     window.updateStatus = updateStatus;
 })();
@@ -0,0 +1,128 @@
+(function () {
+    const { apiFetch, setFooter, showConfirm } = window.TrainerShared;
+
+    const DURATIONS = [15, 30, 45, 60, 75, 90, 120, 150, 180, 240];
+    const BUFFERS = [0, 15, 30, 45, 60];
+
+    function minutesLabel(minutes) {
+        if (minutes < 60) return `${minutes} min`;
+        const h = Math.floor(minutes / 60);
+        const m = minutes % 60;
+        return m ? `${h} h ${m} min` : `${h} h`;
+    }
+
+    function initForm() {
+        const form = document.getElementById('sessionTypeForm');
+        if (!form || form.dataset.bound) return;
+        form.dataset.bound = 'true';
+
+        document.getElementById('sessionTypeDuration').innerHTML = DURATIONS
+            .map(m => `<option value="${m}" ${m === 60 ? 'selected' : ''}>${minutesLabel(m)}</option>`)
+            .join('');
+        document.getElementById('sessionTypeBuffer').innerHTML = BUFFERS
+            .map(m => `<option value="${m}">${m ? minutesLabel(m) : 'None'}</option>`)
+            .join('');
+
+        form.addEventListener('submit', e => {
+            e.preventDefault();
+            add();
+        });
+    }
+
+    async function load() {
+        initForm();
+        const list = document.getElementById('sessionTypeList');
+        if (!list) return;
+
+        try {
+            const res = await apiFetch('/api/v1/trainer/session-types');
+            if (!res.ok) throw new Error('Load failed');
+            const data = await res.json();
+            render(data.sessionTypes || []);
+        } catch (err) {
+            if (err.message === 'Unauthorized' || err.message === 'Forbidden') return;
+            console.error('Error loading session types:', err);
+            list.innerHTML = '<p class="text-muted small mb-0">Unable to load session types.</p>';
+        }
+    }
+
+    function render(sessionTypes) {
+        const list = document.getElementById('sessionTypeList');
+        const active = sessionTypes.filter(t => t.isActive);
+
+        if (active.length === 0) {
+            list.innerHTML = '<p class="text-muted small mb-0">No session types yet — clients book 60-minute sessions.</p>';
+            return;
+        }
+
+        list.innerHTML = active.map(t => `
+            <div class="apt-row mb-2 p-3 d-flex align-items-center gap-3 flex-wrap" data-session-type-id="${t._id}">
+                <span class="fw-bold small flex-grow-1 session-type-name"></span>
+                <span class="text-muted small">${minutesLabel(t.durationMinutes)}</span>
+                <span class="text-muted small">· ${t.capacity ? `${t.capacity} client${t.capacity === 1 ? '' : 's'}` : 'Weekly capacity'}</span>
+                ${t.bufferMinutes ? `<span class="text-muted small">· ${minutesLabel(t.bufferMinutes)} buffer</span>` : ''}
+                <button class="btn btn-sm btn-outline-danger rounded-pill session-type-archive" title="Remove">
+                    <i class="bi bi-trash"></i>
+                </button>
+            </div>`).join('');
+
+        // Names are free text, so set them as text rather than markup
+        list.querySelectorAll('[data-session-type-id]').forEach((row, i) => {
+            row.querySelector('.session-type-name').textContent = active[i].name;
+            row.querySelector('.session-type-archive').addEventListener('click', () => archive(row.dataset.sessionTypeId));
+        });
+    }
+
+    async function add() {
+        const body = {
+            name: document.getElementById('sessionTypeName').value.trim(),
+            durationMinutes: parseInt(document.getElementById('sessionTypeDuration').value),
+            capacity: Math.min(50, Math.max(1, parseInt(document.getElementById('sessionTypeCapacity').value) || 1)),
+            bufferMinutes: parseInt(document.getElementById('sessionTypeBuffer').value) || 0,
+        };
+        if (!body.name) { window.Toast.error('Give the session type a name.'); return; }
+
+        const btn = document.querySelector('#sessionTypeForm button[type="submit"]');
+        if (btn) btn.disabled = true;
+
+        try {
+            const res = await apiFetch('/api/v1/trainer/session-types', {
+                method: 'POST',
+                body: JSON.stringify(body),
+            });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok) {
+                window.Toast.error(data.error || 'Failed to add session type.');
+                return;
+            }
+            window.Toast.success('Session type added!');
+            document.getElementById('sessionTypeForm').reset();
+            document.getElementById('sessionTypeDuration').value = '60';
+            setFooter('Session types updated');
+            load();
+        } catch (err) {
+            if (err.message === 'Unauthorized' || err.message === 'Forbidden') return;
+            console.error(err);
+            window.Toast.error('Failed to add session type.');
+        } finally {
+            if (btn) btn.disabled = false;
+        }
+    }
+
+    function archive(sessionTypeId) {
+        showConfirm(['Remove this session type?', 'Sessions already booked are not affected.'], async () => {
+            try {
+                const res = await apiFetch(`/api/v1/trainer/session-types/${sessionTypeId}`, { method: 'DELETE' });
+                if (!res.ok) throw new Error('Archive failed');
+                window.Toast.success('Session type removed.');
+                load();
+            } catch (err) {
+                if (err.message === 'Unauthorized' || err.message === 'Forbidden') return;
+                console.error(err);
+                window.Toast.error('Failed to remove session type.');
+            }
+        });
+    }
+
+    window.TrainerSessionTypes = { load };
+})();
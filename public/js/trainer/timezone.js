@@ -0,0 +1,48 @@
+(function () {
+    const { apiFetch, setFooter } = window.TrainerShared;
+
+    function timeZones(current) {
+        const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+        return zones.includes(current) ? zones : [current, ...zones];
+    }
+
+    // timezone: the zone the trainer's schedule is currently kept in
+    function load(timezone) {
+        const select = document.getElementById('trainerTimezone');
+        if (!select || !timezone) return;
+
+        select.innerHTML = timeZones(timezone)
+            .map(z => `<option value="${z}" ${z === timezone ? 'selected' : ''}>${z.replace(/_/g, ' ')}</option>`)
+            .join('');
+
+        const btn = document.getElementById('saveTimezoneBtn');
+        if (btn && !btn.dataset.bound) {
+            btn.dataset.bound = 'true';
+            btn.addEventListener('click', save);
+        }
+    }
+
+    async function save() {
+        const select = document.getElementById('trainerTimezone');
+        const btn = document.getElementById('saveTimezoneBtn');
+        btn.disabled = true;
+
+        try {
+            const res = await apiFetch('/api/v1/trainer/timezone', {
+                method: 'PUT',
+                body: JSON.stringify({ timezone: select.value }),
+            });
+            if (!res.ok) throw new Error('Save failed');
+            window.Toast.success('Timezone saved!');
+            setFooter('Timezone saved');
+        } catch (err) {
+            if (err.message === 'Unauthorized' || err.message === 'Forbidden') return;
+            console.error(err);
+            window.Toast.error('Failed to save timezone.');
+        } finally {
+            btn.disabled = false;
+        }
+    }
+
+    window.TrainerTimezone = { load, save };
+})();
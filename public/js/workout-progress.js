@@ -8,35 +8,89 @@ document.addEventListener('DOMContentLoaded', async () => {
     // auth enforced by httpOnly cookie
     await loadExercises();
     await loadWorkoutHistory();
+    await loadPersonalRecords();
     await loadGoals();
 
     document.getElementById('viewProgressBtn').addEventListener('click', viewProgress);
 
+    document.getElementById('goalMetric')?.addEventListener('change', showGoalFields);
+
     document.getElementById('goalForm')?.addEventListener('submit', async e => {
         e.preventDefault();
-        const exercise = document.getElementById('goalExercise').value.trim();
-        const targetWeight = parseFloat(document.getElementById('goalTargetWeight').value);
-        const targetDate = document.getElementById('goalTargetDate').value || undefined;
-        if (!exercise || isNaN(targetWeight)) return;
+        const metric = document.getElementById('goalMetric').value;
+        const goal = {
+            metric,
+            targetDate: document.getElementById('goalTargetDate').value || undefined,
+        };
+        if (metric !== 'bodyweight') {
+            goal.exercise = document.getElementById('goalExercise').value.trim();
+            if (!goal.exercise) return;
+        }
+        for (const [field, id] of GOAL_TARGET_INPUTS[metric]) {
+            const value = parseFloat(document.getElementById(id).value);
+            // A rep goal without a weight is at body weight
+            if (isNaN(value) && !(metric === 'reps' && field === 'targetWeight')) return;
+            if (!isNaN(value)) goal[field] = value;
+        }
 
         try {
             const res = await fetch(`${window.API_BASE}/api/v1/workouts/goals`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 credentials: 'include',
-                body: JSON.stringify({ exercise, targetWeight, targetDate }),
+                body: JSON.stringify(goal),
             });
-            if (!res.ok) throw new Error('Failed to save goal');
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to save goal');
             e.target.reset();
+            showGoalFields();
             const collapse = bootstrap.Collapse.getInstance(document.getElementById('goalFormCollapse'));
             if (collapse) collapse.hide();
             await loadGoals();
         } catch (err) {
             console.error('Error saving goal:', err);
+            window.Toast.error(err.message);
         }
     });
 });
 
+// Inputs each kind of goal is set with, as [field, input ID]
+const GOAL_TARGET_INPUTS = {
+    weight: [['targetWeight', 'goalTargetWeight']],
+    reps: [['targetReps', 'goalTargetReps'], ['targetWeight', 'goalTargetWeight']],
+    volume: [['targetVolume', 'goalTargetVolume']],
+    bodyweight: [['targetWeight', 'goalTargetWeight']],
+};
+
+function showGoalFields() {
+    const metric = document.getElementById('goalMetric').value;
+    const shown = new Set(GOAL_TARGET_INPUTS[metric].map(([, id]) => id));
+    document.querySelectorAll('[data-goal-field]').forEach(field => {
+        const input = field.querySelector('input');
+        const visible = field.dataset.goalField === 'exercise' ? metric !== 'bodyweight' : shown.has(input.id);
+        field.classList.toggle('d-none', !visible);
+    });
+    document.getElementById('goalTargetWeight').placeholder =
+        metric === 'reps' ? 'At weight (lbs, optional)' : 'Target (lbs)';
+}
+
+function describeGoal(goal) {
+    switch (goal.metric) {
+        case 'reps':
+            return {
+                title: goal.exercise,
+                target: `${goal.targetReps} reps at ${goal.targetWeight ? `${goal.targetWeight} lbs` : 'body weight'}`,
+                unit: 'reps',
+            };
+        case 'volume':
+            return { title: goal.exercise, target: `${goal.targetVolume} lbs in one session`, unit: 'lbs' };
+        case 'bodyweight':
+            return { title: 'Body weight', target: `${goal.targetWeight} lbs`, unit: 'lbs' };
+        default:
+            return { title: goal.exercise, target: `${goal.targetWeight} lbs`, unit: 'lbs' };
+    }
+}
+
 async function loadExercises() {
     const select = document.getElementById('exerciseSelect');
 
@@ -120,6 +174,62 @@ async function loadWorkoutHistory() {
     }
 }
 
+async function loadPersonalRecords() {
+    const container = document.getElementById('personalRecords');
+
+    try {
+        const response = await fetch(`${window.API_BASE}/api/v1/workouts/records`, {
+            credentials: 'include'
+        });
+
+        if (!response.ok) throw new Error('Failed to fetch personal records');
+
+        const data = await response.json();
+        const records = data.records || [];
+
+        if (records.length === 0) {
+            container.innerHTML = '<p class="text-muted small">Log a workout to start setting records</p>';
+            return;
+        }
+
+        const list = document.createElement('div');
+        list.className = 'list-group list-group-flush';
+        records.forEach(record => {
+            const item = document.createElement('div');
+            item.className = 'list-group-item px-0';
+
+            const name = document.createElement('h6');
+            name.className = 'mb-1 small';
+            name.textContent = record.exerciseName;
+
+            const details = [
+                record.heaviestWeight ? `Heaviest ${record.heaviestWeight.weight} lbs × ${record.heaviestWeight.reps}` : null,
+                record.estimatedOneRepMax ? `Est. 1RM ${record.estimatedOneRepMax.value} lbs` : null,
+                record.sessionVolume ? `Best volume ${record.sessionVolume.volume} lbs` : null,
+            ].filter(Boolean);
+            const summary = document.createElement('small');
+            summary.className = 'text-muted d-block';
+            summary.textContent = details.join(' · ');
+
+            const repMaxes = document.createElement('small');
+            repMaxes.className = 'text-muted d-block';
+            repMaxes.textContent = 'Rep maxes: ' + record.repMaxes
+                .map(lift => `${lift.reps} × ${lift.weight} lbs`)
+                .join(', ');
+
+            item.append(name, summary, repMaxes);
+            list.appendChild(item);
+        });
+
+        container.innerHTML = '';
+        container.appendChild(list);
+
+    } catch (error) {
+        console.error('Error loading personal records:', error);
+        container.innerHTML = '<p class="text-muted small">Error loading records</p>';
+    }
+}
+
 async function viewProgress() {
     const exerciseName = document.getElementById('exerciseSelect').value;
     if (!exerciseName) {
@@ -174,22 +284,8 @@ async function loadGoals() {
             return;
         }
 
-        container.innerHTML = goals.map(g => {
-            const achieved = g.achieved;
-            const due = g.targetDate ? ` · Due ${new Date(g.targetDate).toLocaleDateString()}` : '';
-            return `
-                <div class="d-flex align-items-center justify-content-between py-1 border-bottom">
-                    <div>
-                        <span class="${achieved ? 'text-decoration-line-through text-muted' : ''}">${g.exercise}</span>
-                        <small class="text-muted ms-2">${g.targetWeight} lbs${due}</small>
-                        ${achieved ? '<span class="badge bg-success ms-2 small">Achieved</span>' : ''}
-                    </div>
-                    <div class="btn-group btn-group-sm">
-                        ${!achieved ? `<button class="btn btn-outline-success achieve-goal-btn" data-id="${g._id}" title="Mark achieved"><i class="bi bi-check2"></i></button>` : ''}
-                        <button class="btn btn-outline-danger delete-goal-btn" data-id="${g._id}" title="Delete"><i class="bi bi-trash"></i></button>
-                    </div>
-                </div>`;
-        }).join('');
+        container.innerHTML = '';
+        goals.forEach(g => container.appendChild(renderGoal(g)));
 
         container.querySelectorAll('.achieve-goal-btn').forEach(btn => {
             btn.addEventListener('click', async () => {
@@ -216,6 +312,54 @@ async function loadGoals() {
     }
 }
 
+function renderGoal(g) {
+    const { title, target, unit } = describeGoal(g);
+    const item = document.createElement('div');
+    item.className = 'py-2 border-bottom';
+
+    const header = document.createElement('div');
+    header.className = 'd-flex align-items-center justify-content-between';
+    const label = document.createElement('div');
+    const name = document.createElement('span');
+    name.className = g.achieved ? 'text-decoration-line-through text-muted' : '';
+    name.textContent = title;
+    const details = document.createElement('small');
+    details.className = 'text-muted ms-2';
+    const due = g.targetDate ? ` · Due ${new Date(g.targetDate).toLocaleDateString(undefined, { timeZone: 'UTC' })}` : '';
+    details.textContent = target + due;
+    label.append(name, details);
+    if (g.achieved) {
+        label.insertAdjacentHTML('beforeend', '<span class="badge bg-success ms-2 small">Achieved</span>');
+    } else if (g.missedAt) {
+        label.insertAdjacentHTML('beforeend', '<span class="badge bg-secondary ms-2 small">Date passed</span>');
+    }
+
+    const buttons = document.createElement('div');
+    buttons.className = 'btn-group btn-group-sm';
+    buttons.innerHTML = `
+        ${!g.achieved ? `<button class="btn btn-outline-success achieve-goal-btn" data-id="${g._id}" title="Mark achieved"><i class="bi bi-check2"></i></button>` : ''}
+        <button class="btn btn-outline-danger delete-goal-btn" data-id="${g._id}" title="Delete"><i class="bi bi-trash"></i></button>`;
+    header.append(label, buttons);
+    item.appendChild(header);
+
+    if (!g.achieved) {
+        const bar = document.createElement('div');
+        bar.className = 'progress mt-1';
+        bar.style.height = '6px';
+        bar.innerHTML = `<div class="progress-bar" role="progressbar" style="width: ${g.progress}%" aria-valuenow="${g.progress}" aria-valuemin="0" aria-valuemax="100"></div>`;
+
+        const status = document.createElement('small');
+        status.className = 'text-muted d-block mt-1';
+        const parts = [g.currentValue === null ? 'Nothing logged yet' : `Now ${g.currentValue} ${unit} · ${g.progress}%`];
+        if (g.projectedCompletionDate) {
+            parts.push(`On pace for ${new Date(g.projectedCompletionDate).toLocaleDateString()}`);
+        }
+        status.textContent = parts.join(' · ');
+        item.append(bar, status);
+    }
+    return item;
+}
+
 function displayProgressData(exerciseName, data) {
     // Show progress content, hide empty state
     document.getElementById('progressContent').classList.remove('d-none');
@@ -224,6 +368,8 @@ function displayProgressData(exerciseName, data) {
     // Update title and stats
     document.getElementById('exerciseTitle').innerHTML = `<i class="bi bi-bar-chart-line me-2"></i>${exerciseName}`;
     document.getElementById('statMaxWeight').textContent = `${data.maxWeight} lbs`;
+    document.getElementById('statEstimated1rm').textContent =
+        data.bestEstimatedOneRepMax !== null ? `${data.bestEstimatedOneRepMax} lbs` : '-';
     document.getElementById('statAvgVolume').textContent = `${data.averageVolume} lbs`;
     document.getElementById('statFrequency').textContent = `${data.frequency}x`;
 
@@ -0,0 +1,90 @@
+/**
+ * Link logged exercises to the exercise catalogue.
+ * Seeds the catalogue, then links every logged exercise whose name matches a
+ * catalogue name or alias (ignoring case and punctuation) to that entry.
+ * Personal records kept under the linked names move to the entry.
+ * Names nothing matches are listed at the end; map them with
+ * POST /api/v1/admin/exercises/merge. Safe to re-run.
+ *
+ * Usage: node scripts/link-exercise-names.js [--dry-run]
+ */
+const mongoose = require('mongoose');
+
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { logger } = require('../src/services/logger');
+const Exercise = require('../src/models/Exercise');
+const WorkoutLog = require('../src/models/WorkoutLog');
+const {
+  findExercisesByNames,
+  mergeExerciseNames,
+  seedExerciseCatalogue,
+} = require('../src/services/exercises');
+const { recomputeMergedRecords } = require('../src/services/personalRecords');
+const { normalizeExerciseName } = require('../src/utils/exerciseNames');
+const configDb = require('../config/db');
+
+async function linkExerciseNames({ dryRun = false } = {}) {
+  try {
+    await configDb();
+
+    if (!dryRun) {
+      await Promise.all([Exercise.syncIndexes(), WorkoutLog.syncIndexes()]);
+      await seedExerciseCatalogue();
+    }
+
+    const rows = await WorkoutLog.aggregate([
+      { $match: { 'exercises.exerciseId': null } },
+      { $unwind: '$exercises' },
+      { $match: { 'exercises.exerciseId': null } },
+      { $group: { _id: '$exercises.exerciseName', count: { $sum: 1 } } },
+    ]);
+
+    const byTerm = await findExercisesByNames(rows.map(row => row._id));
+    const merges = new Map();
+    const unmatched = [];
+    for (const row of rows) {
+      const exercise = byTerm.get(normalizeExerciseName(row._id));
+      if (!exercise) {
+        unmatched.push(row);
+        continue;
+      }
+      const merge = merges.get(exercise._id.toString()) || { exercise, names: [] };
+      merge.names.push(row._id);
+      merges.set(exercise._id.toString(), merge);
+    }
+
+    let logsUpdated = 0;
+    for (const { exercise, names } of merges.values()) {
+      if (dryRun) {
+        logger.info('Would link exercise names', { exercise: exercise.name, names });
+        continue;
+      }
+      // Every name already matches the entry, so there is nothing to add as an alias
+      const result = await mergeExerciseNames(names, exercise._id, { addAliases: false });
+      logsUpdated += result?.logsUpdated || 0;
+      await recomputeMergedRecords(names, exercise._id);
+    }
+
+    logger.info(dryRun ? 'Would link logged exercises' : 'Linked logged exercises', {
+      catalogueEntries: merges.size,
+      logsUpdated,
+    });
+
+    if (unmatched.length) {
+      unmatched.sort((a, b) => b.count - a.count);
+      logger.info('Exercise names with no catalogue match', {
+        names: unmatched.map(row => `${row._id} (${row.count})`),
+      });
+    }
+  } catch (err) {
+    logger.error('Linking exercise names failed', { error: err.message });
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+linkExerciseNames({ dryRun: process.argv.includes('--dry-run') });
@@ -0,0 +1,67 @@
+/**
+ * One-off migration: store appointments as real instants.
+ * Appointments booked before timezones existed have only a UTC-midnight date
+ * and a local "HH:MM" time. Each one gets its trainer's timezone (their own,
+ * else their location's, else DEFAULT_TIMEZONE) and the startsAt instant
+ * those describe, and the startsAt index is built.
+ *
+ * Usage: node scripts/migrate-appointment-instants.js [--dry-run]
+ */
+const mongoose = require('mongoose');
+
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { logger } = require('../src/services/logger');
+const Appointment = require('../src/models/Appointment');
+const { getTrainerTimezone } = require('../src/services/timezones');
+const { zonedTimeToUtc } = require('../src/utils/dateUtils');
+const configDb = require('../config/db');
+
+async function migrate({ dryRun = false } = {}) {
+  try {
+    await configDb();
+
+    const appointments = await Appointment.collection
+      .find({ startsAt: { $exists: false } })
+      .project({ trainerId: 1, date: 1, time: 1, timezone: 1 })
+      .toArray();
+
+    const timezones = new Map();
+    let updated = 0;
+    for (const appointment of appointments) {
+      const trainerId = appointment.trainerId?.toString();
+      if (!timezones.has(trainerId)) {
+        timezones.set(trainerId, await getTrainerTimezone(appointment.trainerId));
+      }
+      const timezone = appointment.timezone || timezones.get(trainerId);
+      const startsAt = zonedTimeToUtc(appointment.date, appointment.time, timezone);
+
+      if (!dryRun) {
+        // Straight to the collection so no other validation or hooks run
+        await Appointment.collection.updateOne(
+          { _id: appointment._id },
+          { $set: { timezone, startsAt } }
+        );
+      }
+      updated++;
+    }
+
+    logger.info(
+      dryRun ? 'Would backfill appointment instants' : 'Backfilled appointment instants',
+      { count: updated }
+    );
+
+    if (!dryRun) await Appointment.syncIndexes();
+
+    logger.info('Appointment instants migration complete');
+  } catch (err) {
+    logger.error('Appointment instants migration failed', { error: err.message });
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+migrate({ dryRun: process.argv.includes('--dry-run') });
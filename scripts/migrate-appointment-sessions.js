@@ -0,0 +1,49 @@
+/**
+ * One-off migration: allow group sessions and session types of any length.
+ * Drops the unique_trainer_slot index (one booking per trainer per start time),
+ * which blocked a second client from joining a session with spare capacity,
+ * and builds the indexes the Appointment schema now declares. Appointments
+ * booked before session types existed read as the default 60-minute session.
+ *
+ * Usage: node scripts/migrate-appointment-sessions.js [--dry-run]
+ */
+const mongoose = require('mongoose');
+
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { logger } = require('../src/services/logger');
+const Appointment = require('../src/models/Appointment');
+const configDb = require('../config/db');
+
+const LEGACY_INDEX = 'unique_trainer_slot';
+
+async function migrate({ dryRun = false } = {}) {
+  try {
+    await configDb();
+
+    const indexes = await Appointment.collection.indexes();
+    const legacy = indexes.find(index => index.name === LEGACY_INDEX);
+
+    if (!legacy) {
+      logger.info('Legacy appointment index not found', { index: LEGACY_INDEX });
+    } else if (dryRun) {
+      logger.info('Would drop legacy appointment index', { index: LEGACY_INDEX });
+    } else {
+      await Appointment.collection.dropIndex(LEGACY_INDEX);
+      logger.info('Dropped legacy appointment index', { index: LEGACY_INDEX });
+    }
+
+    if (!dryRun) await Appointment.syncIndexes();
+
+    logger.info('Appointment sessions migration complete');
+  } catch (err) {
+    logger.error('Appointment sessions migration failed', { error: err.message });
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+migrate({ dryRun: process.argv.includes('--dry-run') });
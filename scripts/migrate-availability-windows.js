@@ -0,0 +1,48 @@
+/**
+ * One-off migration: allow several availability windows per trainer per day.
+ * Drops the old unique { trainerId, dayOfWeek } index on traineravailabilities
+ * and builds the indexes the TrainerAvailability schema now declares. Existing
+ * windows are kept as they are.
+ *
+ * Usage: node scripts/migrate-availability-windows.js [--dry-run]
+ */
+const mongoose = require('mongoose');
+
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { logger } = require('../src/services/logger');
+const TrainerAvailability = require('../src/models/TrainerAvailability');
+const configDb = require('../config/db');
+
+const LEGACY_INDEX = 'trainerId_1_dayOfWeek_1';
+
+async function migrate({ dryRun = false } = {}) {
+  try {
+    await configDb();
+
+    const indexes = await TrainerAvailability.collection.indexes();
+    const legacy = indexes.find(index => index.name === LEGACY_INDEX);
+
+    if (!legacy) {
+      logger.info('Legacy availability index not found', { index: LEGACY_INDEX });
+    } else if (dryRun) {
+      logger.info('Would drop legacy availability index', { index: LEGACY_INDEX });
+    } else {
+      await TrainerAvailability.collection.dropIndex(LEGACY_INDEX);
+      logger.info('Dropped legacy availability index', { index: LEGACY_INDEX });
+    }
+
+    if (!dryRun) await TrainerAvailability.syncIndexes();
+
+    logger.info('Availability windows migration complete');
+  } catch (err) {
+    logger.error('Availability windows migration failed', { error: err.message });
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+migrate({ dryRun: process.argv.includes('--dry-run') });
@@ -0,0 +1,68 @@
+/**
+ * One-off migration: backfill lifecycle `status` on subscriptions created
+ * before the status field existed (they only carry `active` + `expiresAt`).
+ *
+ *   active + future expiresAt  → active
+ *   active + past expiresAt    → expired
+ *   inactive + future expiresAt → cancelled (old cancel endpoint ended access immediately)
+ *   inactive + past expiresAt  → expired
+ *
+ * Usage: node scripts/migrate-subscription-status.js [--dry-run]
+ */
+const mongoose = require('mongoose');
+
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { logger } = require('../src/services/logger');
+const Subscription = require('../src/models/Subscription');
+const configDb = require('../config/db');
+
+async function migrate({ dryRun = false } = {}) {
+  try {
+    await configDb();
+    const now = new Date();
+
+    // Read raw documents so the status is not filled in on load
+    const legacy = await Subscription.collection
+      .find({ status: { $exists: false } })
+      .toArray();
+
+    logger.info('Subscriptions missing status', { count: legacy.length });
+
+    for (const doc of legacy) {
+      const status = Subscription.legacyStatus(doc, now);
+
+      if (dryRun) {
+        logger.info('Would migrate subscription', { subId: doc._id, status });
+        continue;
+      }
+
+      await Subscription.collection.updateOne(
+        { _id: doc._id },
+        {
+          $set: {
+            status,
+            active: status === 'active',
+            currentPeriodStart: doc.purchasedAt || doc.createdAt || null,
+            statusHistory: [
+              { from: null, status, changedAt: now, reason: 'migrated', changedBy: null },
+            ],
+          },
+        }
+      );
+    }
+
+    logger.info('Subscription status migration complete', {
+      migrated: dryRun ? 0 : legacy.length,
+    });
+  } catch (err) {
+    logger.error('Subscription status migration failed', { error: err.message });
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+migrate({ dryRun: process.argv.includes('--dry-run') });
@@ -0,0 +1,123 @@
+/**
+ * One-off migration: move workout and meal logs off the User document.
+ * Logs used to be embedded in each user's workoutLogs and mealLogs arrays.
+ * Each one is copied into the WorkoutLog or MealLog collection with its
+ * original _id and the owner's userId, then the arrays and their indexes are
+ * removed from users. Copies are upserts by _id, so the script can be re-run
+ * after a partial failure.
+ *
+ * Usage: node scripts/migrate-workout-meal-logs.js [--dry-run]
+ */
+const mongoose = require('mongoose');
+
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { logger } = require('../src/services/logger');
+const User = require('../src/models/User');
+const WorkoutLog = require('../src/models/WorkoutLog');
+const MealLog = require('../src/models/MealLog');
+const configDb = require('../config/db');
+
+const OLD_USER_INDEXES = [
+  'workoutLogs.date_-1',
+  'workoutLogs.exercises.exerciseName_1',
+  'mealLogs.date_-1',
+];
+
+function copyOps(userId, logs) {
+  return logs.map(log => {
+    const { _id, ...fields } = log;
+    return {
+      updateOne: {
+        filter: { _id },
+        update: {
+          $setOnInsert: {
+            ...fields,
+            userId,
+            createdAt: log.date || new Date(),
+            updatedAt: new Date(),
+          },
+        },
+        upsert: true,
+      },
+    };
+  });
+}
+
+async function migrate({ dryRun = false } = {}) {
+  try {
+    await configDb();
+
+    if (!dryRun) await Promise.all([WorkoutLog.syncIndexes(), MealLog.syncIndexes()]);
+
+    const users = User.collection
+      .find({
+        $or: [
+          { 'workoutLogs.0': { $exists: true } },
+          { 'mealLogs.0': { $exists: true } },
+        ],
+      })
+      .project({ workoutLogs: 1, mealLogs: 1 });
+
+    let migratedUsers = 0;
+    let workoutCount = 0;
+    let mealCount = 0;
+    for await (const user of users) {
+      const workoutLogs = user.workoutLogs || [];
+      const mealLogs = user.mealLogs || [];
+
+      if (!dryRun) {
+        // Straight to the collections so logs keep their stored totals
+        if (workoutLogs.length) {
+          await WorkoutLog.collection.bulkWrite(copyOps(user._id, workoutLogs));
+        }
+        if (mealLogs.length) {
+          await MealLog.collection.bulkWrite(copyOps(user._id, mealLogs));
+        }
+        await User.collection.updateOne(
+          { _id: user._id },
+          { $unset: { workoutLogs: '', mealLogs: '' } }
+        );
+      }
+      migratedUsers++;
+      workoutCount += workoutLogs.length;
+      mealCount += mealLogs.length;
+    }
+
+    logger.info(
+      dryRun ? 'Would move workout and meal logs' : 'Moved workout and meal logs',
+      {
+        users: migratedUsers,
+        workoutLogs: workoutCount,
+        mealLogs: mealCount,
+      }
+    );
+
+    if (!dryRun) {
+      // Users left with empty arrays had nothing to copy
+      await User.collection.updateMany(
+        { $or: [{ workoutLogs: { $exists: true } }, { mealLogs: { $exists: true } }] },
+        { $unset: { workoutLogs: '', mealLogs: '' } }
+      );
+
+      const existing = await User.collection.indexes();
+      for (const index of existing) {
+        if (OLD_USER_INDEXES.includes(index.name)) {
+          await User.collection.dropIndex(index.name);
+          logger.info('Dropped user index', { index: index.name });
+        }
+      }
+    }
+
+    logger.info('Workout and meal log migration complete');
+  } catch (err) {
+    logger.error('Workout and meal log migration failed', { error: err.message });
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+migrate({ dryRun: process.argv.includes('--dry-run') });
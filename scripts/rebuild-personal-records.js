@@ -0,0 +1,51 @@
+/**
+ * Rebuild every member's personal records from their workout logs.
+ * Records are otherwise only built for an exercise when it is next logged,
+ * so run this once to fill them in for workouts logged before records
+ * existed, or to repair them. Safe to re-run.
+ *
+ * Usage: node scripts/rebuild-personal-records.js [--dry-run]
+ */
+const mongoose = require('mongoose');
+
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { logger } = require('../src/services/logger');
+const PersonalRecord = require('../src/models/PersonalRecord');
+const WorkoutLog = require('../src/models/WorkoutLog');
+const { recomputeRecords } = require('../src/services/personalRecords');
+const configDb = require('../config/db');
+
+async function rebuildPersonalRecords({ dryRun = false } = {}) {
+  try {
+    await configDb();
+
+    if (!dryRun) await PersonalRecord.syncIndexes();
+
+    const userIds = await WorkoutLog.distinct('userId', { deletedAt: null });
+    for (const userId of userIds) {
+      const [logs, existing] = await Promise.all([
+        WorkoutLog.find({ userId, deletedAt: null })
+          .select('exercises.exerciseId exercises.exerciseName')
+          .lean(),
+        PersonalRecord.find({ userId }).select('exerciseId exerciseName').lean(),
+      ]);
+      // Existing records are included so ones with no logs left are removed
+      const exercises = [...logs.flatMap(log => log.exercises), ...existing];
+      if (!dryRun) await recomputeRecords(userId, exercises);
+    }
+
+    logger.info(dryRun ? 'Would rebuild personal records' : 'Rebuilt personal records', {
+      members: userIds.length,
+    });
+  } catch (err) {
+    logger.error('Rebuilding personal records failed', { error: err.message });
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+rebuildPersonalRecords({ dryRun: process.argv.includes('--dry-run') });
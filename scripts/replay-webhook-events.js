@@ -0,0 +1,112 @@
+/**
+ * Replay PayPal webhook events from a JSON file through the same handlers the
+ * webhook route uses, without PayPal in the loop (no signature check, no API
+ * calls). Point MONGO_URI at a local or staging database to reproduce a
+ * missed capture or refund; each event is stored and tracked in the webhook
+ * event store exactly as if PayPal had delivered it.
+ *
+ * The file may hold one event or an array of events (the `event` body PayPal
+ * sends, as shown in the developer dashboard or GET /admin/webhook-events/:id).
+ *
+ * Usage: node scripts/replay-webhook-events.js <events.json> [--force] [--dry-run]
+ *   --force             re-run events the store already marks as processed
+ *   --dry-run           list what would run without touching the database
+ *   --allow-production  required when NODE_ENV=production
+ */
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { logger } = require('../src/services/logger');
+const { ALLOWED_WEBHOOK_EVENTS } = require('../src/config/subscriptionConstants');
+const { recordWebhookEvent, runWebhookEvent } = require('../src/services/webhookUtils');
+const { dispatchPaypalEvent } = require('../src/services/paypalWebhooks');
+const configDb = require('../config/db');
+
+function loadEvents(file) {
+  const parsed = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+  const events = Array.isArray(parsed) ? parsed : [parsed];
+
+  events.forEach((event, i) => {
+    if (!event?.id || !event?.event_type) {
+      throw new Error(`Event ${i} is missing id or event_type`);
+    }
+  });
+  return events;
+}
+
+async function replay(file, { force = false, dryRun = false } = {}) {
+  const events = loadEvents(file);
+  const supported = events.filter(event =>
+    ALLOWED_WEBHOOK_EVENTS.includes(event.event_type)
+  );
+  const unsupported = events.length - supported.length;
+
+  logger.info('Webhook events loaded', { file, total: events.length, unsupported });
+
+  if (dryRun) {
+    supported.forEach(event =>
+      logger.info('Would replay webhook event', {
+        eventId: event.id,
+        eventType: event.event_type,
+      })
+    );
+    return;
+  }
+
+  try {
+    await configDb();
+
+    const summary = { processed: 0, failed: 0, skipped: 0 };
+
+    for (const event of supported) {
+      const stored = await recordWebhookEvent(event);
+      const result = await runWebhookEvent(stored._id, dispatchPaypalEvent, { force });
+
+      if (result.skipped) {
+        summary.skipped++;
+        logger.info('Skipped webhook event', {
+          eventId: event.id,
+          status: stored.status,
+        });
+      } else {
+        summary[result.status]++;
+      }
+    }
+
+    logger.info('Webhook replay complete', summary);
+    if (summary.failed > 0) process.exitCode = 1;
+  } catch (err) {
+    logger.error('Webhook replay failed', { error: err.message });
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+const args = process.argv.slice(2);
+const file = args.find(arg => !arg.startsWith('--'));
+
+if (!file) {
+  console.error(
+    'Usage: node scripts/replay-webhook-events.js <events.json> [--force] [--dry-run]'
+  );
+  process.exit(1);
+}
+
+if (process.env.NODE_ENV === 'production' && !args.includes('--allow-production')) {
+  console.error('Refusing to replay against production without --allow-production');
+  process.exit(1);
+}
+
+replay(file, {
+  force: args.includes('--force'),
+  dryRun: args.includes('--dry-run'),
+}).catch(err => {
+  logger.error('Webhook replay failed', { error: err.message });
+  process.exitCode = 1;
+});
@@ -0,0 +1,556 @@
+/**
+ * Exercise catalogue vocabulary and seed data.
+ * `key` identifies a catalogue entry for seeding and never changes; names and
+ * aliases may be edited by admins once seeded.
+ */
+
+const MUSCLE_GROUPS = [
+  'chest',
+  'front_delts',
+  'side_delts',
+  'rear_delts',
+  'triceps',
+  'biceps',
+  'forearms',
+  'upper_back',
+  'lats',
+  'traps',
+  'lower_back',
+  'abs',
+  'obliques',
+  'glutes',
+  'quads',
+  'hamstrings',
+  'adductors',
+  'abductors',
+  'calves',
+  'hip_flexors',
+];
+
+const EQUIPMENT = [
+  'barbell',
+  'dumbbell',
+  'kettlebell',
+  'cable',
+  'machine',
+  'smith_machine',
+  'ez_bar',
+  'trap_bar',
+  'band',
+  'bodyweight',
+  'other',
+];
+
+const MOVEMENT_PATTERNS = [
+  'horizontal_push',
+  'vertical_push',
+  'horizontal_pull',
+  'vertical_pull',
+  'squat',
+  'hinge',
+  'lunge',
+  'carry',
+  'core',
+  'isolation',
+  'conditioning',
+];
+
+// Seed data for the Exercise collection; entries missing from the database are
+// added on startup, existing ones are left as admins edited them
+const DEFAULT_EXERCISES = [
+  // Push
+  {
+    key: 'barbell-bench-press',
+    name: 'Bench Press',
+    aliases: ['Barbell Bench Press', 'BB Bench', 'BB Bench Press', 'Flat Bench', 'Bench'],
+    primaryMuscles: ['chest'],
+    secondaryMuscles: ['front_delts', 'triceps'],
+    equipment: 'barbell',
+    movementPattern: 'horizontal_push',
+  },
+  {
+    key: 'incline-barbell-bench-press',
+    name: 'Incline Bench Press',
+    aliases: ['Incline Barbell Bench Press', 'Incline Bench', 'Incline BB Bench'],
+    primaryMuscles: ['chest', 'front_delts'],
+    secondaryMuscles: ['triceps'],
+    equipment: 'barbell',
+    movementPattern: 'horizontal_push',
+  },
+  {
+    key: 'close-grip-bench-press',
+    name: 'Close-Grip Bench Press',
+    aliases: ['CGBP', 'Close Grip Bench'],
+    primaryMuscles: ['triceps', 'chest'],
+    secondaryMuscles: ['front_delts'],
+    equipment: 'barbell',
+    movementPattern: 'horizontal_push',
+  },
+  {
+    key: 'dumbbell-bench-press',
+    name: 'Dumbbell Bench Press',
+    aliases: ['DB Bench', 'DB Bench Press', 'Dumbbell Press'],
+    primaryMuscles: ['chest'],
+    secondaryMuscles: ['front_delts', 'triceps'],
+    equipment: 'dumbbell',
+    movementPattern: 'horizontal_push',
+  },
+  {
+    key: 'incline-dumbbell-press',
+    name: 'Incline Dumbbell Press',
+    aliases: ['Incline DB Press', 'Incline Dumbbell Bench Press'],
+    primaryMuscles: ['chest', 'front_delts'],
+    secondaryMuscles: ['triceps'],
+    equipment: 'dumbbell',
+    movementPattern: 'horizontal_push',
+  },
+  {
+    key: 'machine-chest-press',
+    name: 'Machine Chest Press',
+    aliases: ['Chest Press', 'Seated Chest Press'],
+    primaryMuscles: ['chest'],
+    secondaryMuscles: ['front_delts', 'triceps'],
+    equipment: 'machine',
+    movementPattern: 'horizontal_push',
+  },
+  {
+    key: 'push-up',
+    name: 'Push-Up',
+    aliases: ['Push Up', 'Pushup', 'Press-Up'],
+    primaryMuscles: ['chest'],
+    secondaryMuscles: ['front_delts', 'triceps', 'abs'],
+    equipment: 'bodyweight',
+    movementPattern: 'horizontal_push',
+  },
+  {
+    key: 'dip',
+    name: 'Dip',
+    aliases: ['Dips', 'Parallel Bar Dip', 'Chest Dip'],
+    primaryMuscles: ['chest', 'triceps'],
+    secondaryMuscles: ['front_delts'],
+    equipment: 'bodyweight',
+    movementPattern: 'vertical_push',
+  },
+  {
+    key: 'cable-fly',
+    name: 'Cable Fly',
+    aliases: ['Cable Crossover', 'Cable Flye', 'Cable Chest Fly'],
+    primaryMuscles: ['chest'],
+    secondaryMuscles: ['front_delts'],
+    equipment: 'cable',
+    movementPattern: 'isolation',
+  },
+  {
+    key: 'dumbbell-fly',
+    name: 'Dumbbell Fly',
+    aliases: ['DB Fly', 'Dumbbell Flye', 'Chest Fly'],
+    primaryMuscles: ['chest'],
+    secondaryMuscles: ['front_delts'],
+    equipment: 'dumbbell',
+    movementPattern: 'isolation',
+  },
+  {
+    key: 'overhead-press',
+    name: 'Overhead Press',
+    aliases: [
+      'OHP',
+      'Military Press',
+      'Standing Press',
+      'Barbell Shoulder Press',
+      'Press',
+    ],
+    primaryMuscles: ['front_delts'],
+    secondaryMuscles: ['side_delts', 'triceps', 'upper_back'],
+    equipment: 'barbell',
+    movementPattern: 'vertical_push',
+  },
+  {
+    key: 'dumbbell-shoulder-press',
+    name: 'Dumbbell Shoulder Press',
+    aliases: ['DB Shoulder Press', 'Seated Dumbbell Press', 'DB OHP'],
+    primaryMuscles: ['front_delts'],
+    secondaryMuscles: ['side_delts', 'triceps'],
+    equipment: 'dumbbell',
+    movementPattern: 'vertical_push',
+  },
+  {
+    key: 'lateral-raise',
+    name: 'Lateral Raise',
+    aliases: ['Side Raise', 'Dumbbell Lateral Raise', 'DB Lateral Raise', 'Lat Raise'],
+    primaryMuscles: ['side_delts'],
+    secondaryMuscles: ['traps'],
+    equipment: 'dumbbell',
+    movementPattern: 'isolation',
+  },
+  {
+    key: 'rear-delt-fly',
+    name: 'Rear Delt Fly',
+    aliases: ['Reverse Fly', 'Rear Delt Raise', 'Reverse Pec Deck'],
+    primaryMuscles: ['rear_delts'],
+    secondaryMuscles: ['upper_back'],
+    equipment: 'dumbbell',
+    movementPattern: 'isolation',
+  },
+  {
+    key: 'triceps-pushdown',
+    name: 'Triceps Pushdown',
+    aliases: ['Tricep Pushdown', 'Cable Pushdown', 'Rope Pushdown', 'Tricep Pressdown'],
+    primaryMuscles: ['triceps'],
+    secondaryMuscles: [],
+    equipment: 'cable',
+    movementPattern: 'isolation',
+  },
+  {
+    key: 'skull-crusher',
+    name: 'Skull Crusher',
+    aliases: ['Skullcrusher', 'Lying Triceps Extension', 'EZ Bar Skull Crusher'],
+    primaryMuscles: ['triceps'],
+    secondaryMuscles: [],
+    equipment: 'ez_bar',
+    movementPattern: 'isolation',
+  },
+  {
+    key: 'overhead-triceps-extension',
+    name: 'Overhead Triceps Extension',
+    aliases: ['Overhead Tricep Extension', 'French Press', 'Cable Overhead Extension'],
+    primaryMuscles: ['triceps'],
+    secondaryMuscles: [],
+    equipment: 'cable',
+    movementPattern: 'isolation',
+  },
+
+  // Pull
+  {
+    key: 'pull-up',
+    name: 'Pull-Up',
+    aliases: ['Pull Up', 'Pullup', 'Chin-Up', 'Chin Up', 'Chinup'],
+    primaryMuscles: ['lats'],
+    secondaryMuscles: ['biceps', 'upper_back'],
+    equipment: 'bodyweight',
+    movementPattern: 'vertical_pull',
+  },
+  {
+    key: 'lat-pulldown',
+    name: 'Lat Pulldown',
+    aliases: ['Lat Pull Down', 'Pulldown', 'Cable Pulldown', 'Wide Grip Pulldown'],
+    primaryMuscles: ['lats'],
+    secondaryMuscles: ['biceps', 'upper_back'],
+    equipment: 'cable',
+    movementPattern: 'vertical_pull',
+  },
+  {
+    key: 'barbell-row',
+    name: 'Barbell Row',
+    aliases: ['Bent Over Row', 'Bent-Over Row', 'BB Row', 'Pendlay Row'],
+    primaryMuscles: ['upper_back', 'lats'],
+    secondaryMuscles: ['biceps', 'rear_delts', 'lower_back'],
+    equipment: 'barbell',
+    movementPattern: 'horizontal_pull',
+  },
+  {
+    key: 'dumbbell-row',
+    name: 'Dumbbell Row',
+    aliases: ['DB Row', 'One Arm Dumbbell Row', 'Single Arm Row'],
+    primaryMuscles: ['lats', 'upper_back'],
+    secondaryMuscles: ['biceps', 'rear_delts'],
+    equipment: 'dumbbell',
+    movementPattern: 'horizontal_pull',
+    unilateral: true,
+  },
+  {
+    key: 'seated-cable-row',
+    name: 'Seated Cable Row',
+    aliases: ['Cable Row', 'Seated Row', 'Low Row'],
+    primaryMuscles: ['upper_back', 'lats'],
+    secondaryMuscles: ['biceps', 'rear_delts'],
+    equipment: 'cable',
+    movementPattern: 'horizontal_pull',
+  },
+  {
+    key: 'chest-supported-row',
+    name: 'Chest-Supported Row',
+    aliases: ['Chest Supported Row', 'Machine Row', 'T-Bar Row', 'T Bar Row'],
+    primaryMuscles: ['upper_back'],
+    secondaryMuscles: ['lats', 'biceps', 'rear_delts'],
+    equipment: 'machine',
+    movementPattern: 'horizontal_pull',
+  },
+  {
+    key: 'inverted-row',
+    name: 'Inverted Row',
+    aliases: ['Bodyweight Row', 'Australian Pull-Up'],
+    primaryMuscles: ['upper_back'],
+    secondaryMuscles: ['lats', 'biceps'],
+    equipment: 'bodyweight',
+    movementPattern: 'horizontal_pull',
+  },
+  {
+    key: 'face-pull',
+    name: 'Face Pull',
+    aliases: ['Cable Face Pull', 'Facepull'],
+    primaryMuscles: ['rear_delts'],
+    secondaryMuscles: ['upper_back', 'traps'],
+    equipment: 'cable',
+    movementPattern: 'horizontal_pull',
+  },
+  {
+    key: 'barbell-shrug',
+    name: 'Shrug',
+    aliases: ['Barbell Shrug', 'Dumbbell Shrug', 'Shrugs'],
+    primaryMuscles: ['traps'],
+    secondaryMuscles: ['forearms'],
+    equipment: 'barbell',
+    movementPattern: 'isolation',
+  },
+  {
+    key: 'barbell-curl',
+    name: 'Barbell Curl',
+    aliases: ['BB Curl', 'Bicep Curl', 'Biceps Curl', 'EZ Bar Curl'],
+    primaryMuscles: ['biceps'],
+    secondaryMuscles: ['forearms'],
+    equipment: 'barbell',
+    movementPattern: 'isolation',
+  },
+  {
+    key: 'dumbbell-curl',
+    name: 'Dumbbell Curl',
+    aliases: ['DB Curl', 'Alternating Dumbbell Curl'],
+    primaryMuscles: ['biceps'],
+    secondaryMuscles: ['forearms'],
+    equipment: 'dumbbell',
+    movementPattern: 'isolation',
+  },
+  {
+    key: 'hammer-curl',
+    name: 'Hammer Curl',
+    aliases: ['DB Hammer Curl', 'Dumbbell Hammer Curl'],
+    primaryMuscles: ['biceps', 'forearms'],
+    secondaryMuscles: [],
+    equipment: 'dumbbell',
+    movementPattern: 'isolation',
+  },
+
+  // Legs
+  {
+    key: 'back-squat',
+    name: 'Back Squat',
+    aliases: ['Squat', 'Barbell Squat', 'BB Squat', 'High Bar Squat', 'Low Bar Squat'],
+    primaryMuscles: ['quads', 'glutes'],
+    secondaryMuscles: ['adductors', 'lower_back'],
+    equipment: 'barbell',
+    movementPattern: 'squat',
+  },
+  {
+    key: 'front-squat',
+    name: 'Front Squat',
+    aliases: ['Barbell Front Squat'],
+    primaryMuscles: ['quads'],
+    secondaryMuscles: ['glutes', 'upper_back', 'abs'],
+    equipment: 'barbell',
+    movementPattern: 'squat',
+  },
+  {
+    key: 'goblet-squat',
+    name: 'Goblet Squat',
+    aliases: ['DB Goblet Squat', 'KB Goblet Squat'],
+    primaryMuscles: ['quads', 'glutes'],
+    secondaryMuscles: ['abs'],
+    equipment: 'dumbbell',
+    movementPattern: 'squat',
+  },
+  {
+    key: 'leg-press',
+    name: 'Leg Press',
+    aliases: ['Machine Leg Press', 'Seated Leg Press'],
+    primaryMuscles: ['quads', 'glutes'],
+    secondaryMuscles: ['adductors'],
+    equipment: 'machine',
+    movementPattern: 'squat',
+  },
+  {
+    key: 'hack-squat',
+    name: 'Hack Squat',
+    aliases: ['Machine Hack Squat'],
+    primaryMuscles: ['quads'],
+    secondaryMuscles: ['glutes'],
+    equipment: 'machine',
+    movementPattern: 'squat',
+  },
+  {
+    key: 'bulgarian-split-squat',
+    name: 'Bulgarian Split Squat',
+    aliases: ['BSS', 'Rear Foot Elevated Split Squat', 'RFESS', 'Split Squat'],
+    primaryMuscles: ['quads', 'glutes'],
+    secondaryMuscles: ['adductors'],
+    equipment: 'dumbbell',
+    movementPattern: 'lunge',
+    unilateral: true,
+  },
+  {
+    key: 'walking-lunge',
+    name: 'Walking Lunge',
+    aliases: ['Lunge', 'Lunges', 'Dumbbell Lunge', 'Reverse Lunge'],
+    primaryMuscles: ['quads', 'glutes'],
+    secondaryMuscles: ['adductors', 'hamstrings'],
+    equipment: 'dumbbell',
+    movementPattern: 'lunge',
+    unilateral: true,
+  },
+  {
+    key: 'step-up',
+    name: 'Step-Up',
+    aliases: ['Step Up', 'Box Step-Up', 'Dumbbell Step-Up'],
+    primaryMuscles: ['quads', 'glutes'],
+    secondaryMuscles: ['hamstrings'],
+    equipment: 'dumbbell',
+    movementPattern: 'lunge',
+    unilateral: true,
+  },
+  {
+    key: 'leg-extension',
+    name: 'Leg Extension',
+    aliases: ['Leg Extensions', 'Quad Extension'],
+    primaryMuscles: ['quads'],
+    secondaryMuscles: [],
+    equipment: 'machine',
+    movementPattern: 'isolation',
+  },
+  {
+    key: 'leg-curl',
+    name: 'Leg Curl',
+    aliases: ['Hamstring Curl', 'Lying Leg Curl', 'Seated Leg Curl'],
+    primaryMuscles: ['hamstrings'],
+    secondaryMuscles: ['calves'],
+    equipment: 'machine',
+    movementPattern: 'isolation',
+  },
+  {
+    key: 'standing-calf-raise',
+    name: 'Calf Raise',
+    aliases: ['Standing Calf Raise', 'Seated Calf Raise', 'Calf Raises'],
+    primaryMuscles: ['calves'],
+    secondaryMuscles: [],
+    equipment: 'machine',
+    movementPattern: 'isolation',
+  },
+
+  // Hinge
+  {
+    key: 'deadlift',
+    name: 'Deadlift',
+    aliases: ['Conventional Deadlift', 'Barbell Deadlift', 'DL', 'Sumo Deadlift'],
+    primaryMuscles: ['glutes', 'hamstrings', 'lower_back'],
+    secondaryMuscles: ['quads', 'upper_back', 'traps', 'forearms'],
+    equipment: 'barbell',
+    movementPattern: 'hinge',
+  },
+  {
+    key: 'romanian-deadlift',
+    name: 'Romanian Deadlift',
+    aliases: ['RDL', 'Stiff Leg Deadlift', 'SLDL', 'Dumbbell RDL'],
+    primaryMuscles: ['hamstrings', 'glutes'],
+    secondaryMuscles: ['lower_back', 'forearms'],
+    equipment: 'barbell',
+    movementPattern: 'hinge',
+  },
+  {
+    key: 'trap-bar-deadlift',
+    name: 'Trap Bar Deadlift',
+    aliases: ['Hex Bar Deadlift', 'Trap Bar DL'],
+    primaryMuscles: ['glutes', 'quads', 'hamstrings'],
+    secondaryMuscles: ['lower_back', 'traps', 'forearms'],
+    equipment: 'trap_bar',
+    movementPattern: 'hinge',
+  },
+  {
+    key: 'hip-thrust',
+    name: 'Hip Thrust',
+    aliases: ['Barbell Hip Thrust', 'Glute Bridge', 'Hip Thrusts'],
+    primaryMuscles: ['glutes'],
+    secondaryMuscles: ['hamstrings'],
+    equipment: 'barbell',
+    movementPattern: 'hinge',
+  },
+  {
+    key: 'kettlebell-swing',
+    name: 'Kettlebell Swing',
+    aliases: ['KB Swing', 'Russian Swing', 'Swings'],
+    primaryMuscles: ['glutes', 'hamstrings'],
+    secondaryMuscles: ['lower_back', 'abs'],
+    equipment: 'kettlebell',
+    movementPattern: 'hinge',
+  },
+  {
+    key: 'back-extension',
+    name: 'Back Extension',
+    aliases: ['Hyperextension', 'Back Extensions', '45 Degree Back Extension'],
+    primaryMuscles: ['lower_back', 'glutes'],
+    secondaryMuscles: ['hamstrings'],
+    equipment: 'bodyweight',
+    movementPattern: 'hinge',
+  },
+
+  // Core and carries
+  {
+    key: 'plank',
+    name: 'Plank',
+    aliases: ['Front Plank', 'Forearm Plank'],
+    primaryMuscles: ['abs'],
+    secondaryMuscles: ['obliques'],
+    equipment: 'bodyweight',
+    movementPattern: 'core',
+  },
+  {
+    key: 'hanging-leg-raise',
+    name: 'Hanging Leg Raise',
+    aliases: ['Leg Raise', 'Hanging Knee Raise', 'Knee Raise'],
+    primaryMuscles: ['abs', 'hip_flexors'],
+    secondaryMuscles: ['obliques'],
+    equipment: 'bodyweight',
+    movementPattern: 'core',
+  },
+  {
+    key: 'cable-crunch',
+    name: 'Cable Crunch',
+    aliases: ['Kneeling Cable Crunch', 'Crunch', 'Crunches'],
+    primaryMuscles: ['abs'],
+    secondaryMuscles: ['obliques'],
+    equipment: 'cable',
+    movementPattern: 'core',
+  },
+  {
+    key: 'russian-twist',
+    name: 'Russian Twist',
+    aliases: ['Russian Twists', 'Seated Twist'],
+    primaryMuscles: ['obliques'],
+    secondaryMuscles: ['abs'],
+    equipment: 'bodyweight',
+    movementPattern: 'core',
+  },
+  {
+    key: 'pallof-press',
+    name: 'Pallof Press',
+    aliases: ['Cable Pallof Press', 'Anti-Rotation Press'],
+    primaryMuscles: ['obliques', 'abs'],
+    secondaryMuscles: [],
+    equipment: 'cable',
+    movementPattern: 'core',
+    unilateral: true,
+  },
+  {
+    key: 'farmers-carry',
+    name: "Farmer's Carry",
+    aliases: ['Farmers Carry', "Farmer's Walk", 'Farmers Walk', 'Suitcase Carry'],
+    primaryMuscles: ['forearms', 'traps'],
+    secondaryMuscles: ['abs', 'obliques', 'glutes'],
+    equipment: 'dumbbell',
+    movementPattern: 'carry',
+  },
+];
+
+module.exports = {
+  MUSCLE_GROUPS,
+  EQUIPMENT,
+  MOVEMENT_PATTERNS,
+  DEFAULT_EXERCISES,
+};
@@ -0,0 +1,53 @@
+// IANA timezone of the gym; used for trainers and locations that don't set their own
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'America/Jamaica';
+
+// Local hour (0-23) at which trainers on the daily digest get their schedule email
+const TRAINER_SCHEDULE_HOUR =
+  Number.parseInt(process.env.TRAINER_SCHEDULE_HOUR ?? '6', 10) || 0;
+
+// Hours before a session that clients are reminded, e.g. "24,2"; largest first
+const APPOINTMENT_REMINDER_HOURS = (process.env.APPOINTMENT_REMINDER_HOURS ?? '24,2')
+  .split(',')
+  .map(h => Number.parseFloat(h))
+  .filter(h => h > 0)
+  .sort((a, b) => b - a);
+
+// Attendance policy. A client who cancels less than LATE_CANCEL_HOURS before a
+// session is recorded as a late cancellation. NO_SHOW_LIMIT no-shows within
+// NO_SHOW_WINDOW_DAYS pause booking for NO_SHOW_BLOCK_DAYS after the last one;
+// a limit of 0 turns the block off.
+const LATE_CANCEL_HOURS = Number.parseFloat(process.env.LATE_CANCEL_HOURS ?? '24') || 0;
+const NO_SHOW_LIMIT = Number.parseInt(process.env.NO_SHOW_LIMIT ?? '3', 10) || 0;
+const NO_SHOW_WINDOW_DAYS =
+  Number.parseInt(process.env.NO_SHOW_WINDOW_DAYS ?? '30', 10) || 0;
+const NO_SHOW_BLOCK_DAYS =
+  Number.parseInt(process.env.NO_SHOW_BLOCK_DAYS ?? '14', 10) || 0;
+
+// Check-in. Clients can check in from CHECK_IN_OPENS_MINUTES before a session
+// until it ends; arriving more than CHECK_IN_LATE_MINUTES after the start is
+// recorded as late. A scheduled session nobody checked in to becomes a no-show
+// NO_SHOW_GRACE_MINUTES after it ends; 0 turns the automatic no-show off.
+const CHECK_IN_OPENS_MINUTES =
+  Number.parseInt(process.env.CHECK_IN_OPENS_MINUTES ?? '30', 10) || 0;
+const CHECK_IN_LATE_MINUTES =
+  Number.parseInt(process.env.CHECK_IN_LATE_MINUTES ?? '10', 10) || 0;
+const NO_SHOW_GRACE_MINUTES =
+  Number.parseInt(process.env.NO_SHOW_GRACE_MINUTES ?? '60', 10) || 0;
+
+// Days of past sessions kept in subscribed calendar feeds, next to upcoming ones
+const CALENDAR_FEED_PAST_DAYS =
+  Number.parseInt(process.env.CALENDAR_FEED_PAST_DAYS ?? '7', 10) || 0;
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  TRAINER_SCHEDULE_HOUR,
+  APPOINTMENT_REMINDER_HOURS,
+  LATE_CANCEL_HOURS,
+  NO_SHOW_LIMIT,
+  NO_SHOW_WINDOW_DAYS,
+  NO_SHOW_BLOCK_DAYS,
+  CHECK_IN_OPENS_MINUTES,
+  CHECK_IN_LATE_MINUTES,
+  NO_SHOW_GRACE_MINUTES,
+  CALENDAR_FEED_PAST_DAYS,
+};
@@ -1,37 +1,165 @@
-const PLANS = {
+const DEFAULT_FEATURES = [
+  'Personal trainer access',
+  'Workout tracking',
+  'Nutrition coaching',
+  'Progress analytics',
+];
+
+// Seed data for the Plan collection; the database is the source of truth once seeded
+const DEFAULT_PLANS = {
   '1-month': {
+    name: '1 Month',
     durationDays: 30,
-    price: 115.00,
-    priceJMD: 18000,
+    prices: { USD: 115.0, JMD: 18000 },
     currency: 'USD',
+    displayOrder: 1,
+    features: DEFAULT_FEATURES,
   },
   '3-month': {
+    name: '3 Months',
     durationDays: 90,
-    price: 230.00,
-    priceJMD: 36000,
+    prices: { USD: 230.0, JMD: 36000 },
     currency: 'USD',
+    displayOrder: 2,
+    features: DEFAULT_FEATURES,
   },
   '6-month': {
+    name: '6 Months',
     durationDays: 180,
-    price: 459.00,
-    priceJMD: 72000,
+    prices: { USD: 459.0, JMD: 72000 },
     currency: 'USD',
+    displayOrder: 3,
+    features: DEFAULT_FEATURES,
   },
   '12-month': {
+    name: '12 Months',
     durationDays: 365,
-    price: 765.00,
-    priceJMD: 120000,
+    prices: { USD: 765.0, JMD: 120000 },
     currency: 'USD',
+    displayOrder: 4,
+    features: DEFAULT_FEATURES,
   },
 };
 
+// Length of the one-time free trial for new members; set TRIAL_DAYS=0 to disable
+const TRIAL_DAYS = Number.parseInt(process.env.TRIAL_DAYS ?? '7', 10) || 0;
+
+// Seller details printed on invoices; copied onto each invoice when it is issued
+const INVOICE_SELLER = {
+  name: process.env.INVOICE_BUSINESS_NAME || 'JE Fitness',
+  address: process.env.INVOICE_BUSINESS_ADDRESS || null,
+  email: process.env.INVOICE_BUSINESS_EMAIL || null,
+  taxId: process.env.INVOICE_TAX_ID || null,
+};
+
+// Plan prices include tax; invoices break the included amount out on its own line
+const INVOICE_TAX = {
+  label: process.env.INVOICE_TAX_LABEL || 'GCT',
+  rate: Number.parseFloat(process.env.INVOICE_TAX_RATE ?? '0') || 0, // percent
+};
+
+// Invoice numbers look like JEF-2026-000042 (sequence restarts each year)
+const INVOICE_NUMBER_PREFIX = process.env.INVOICE_NUMBER_PREFIX || 'JEF';
+
+// Units of each currency per 1 USD, used to convert fixed coupon discounts and
+// to total revenue across currencies. Override or extend with
+// EXCHANGE_RATES='{"JMD":157.25}'
+const EXCHANGE_RATES = Object.freeze({
+  USD: 1,
+  JMD: 156,
+  ...(process.env.EXCHANGE_RATES ? JSON.parse(process.env.EXCHANGE_RATES) : {}),
+});
+
+// Currency revenue reports are totalled in
+const REPORTING_CURRENCY = (process.env.REPORTING_CURRENCY || 'USD').toUpperCase();
+
+// Currencies PayPal can charge in. Plans may also list prices in others (e.g.
+// JMD) for display, but those can never be sent to the provider.
+const PAYPAL_CURRENCIES = Object.freeze([
+  'AUD',
+  'BRL',
+  'CAD',
+  'CHF',
+  'CNY',
+  'CZK',
+  'DKK',
+  'EUR',
+  'GBP',
+  'HKD',
+  'HUF',
+  'ILS',
+  'JPY',
+  'MXN',
+  'MYR',
+  'NOK',
+  'NZD',
+  'PHP',
+  'PLN',
+  'SEK',
+  'SGD',
+  'THB',
+  'TWD',
+  'USD',
+]);
+
 const ALLOWED_WEBHOOK_EVENTS = [
   'PAYMENT.CAPTURE.COMPLETED',
   'PAYMENT.CAPTURE.DENIED',
   'PAYMENT.CAPTURE.REFUNDED',
 ];
 
+/**
+ * Subscription lifecycle states.
+ *   trialing             - free trial, no payment taken yet
+ *   active               - paid and within the current period
+ *   past_due             - a payment was denied; access suspended until resolved
+ *   cancel_at_period_end - member cancelled but keeps access until expiresAt
+ *   cancelled            - ended early or cancellation took effect
+ *   expired              - period ran out without renewal
+ *   refunded             - payment returned; access revoked
+ */
+const SUBSCRIPTION_STATUSES = [
+  'trialing',
+  'active',
+  'past_due',
+  'cancel_at_period_end',
+  'cancelled',
+  'expired',
+  'refunded',
+];
+
+// Statuses that grant access to member-only features (kept in sync with `active`)
+const ACCESS_STATUSES = ['trialing', 'active', 'cancel_at_period_end'];
+
+// Allowed moves between statuses; anything not listed is rejected
+const SUBSCRIPTION_TRANSITIONS = {
+  trialing: ['active', 'cancelled', 'expired'],
+  active: [
+    'active',
+    'past_due',
+    'cancel_at_period_end',
+    'cancelled',
+    'expired',
+    'refunded',
+  ],
+  past_due: ['active', 'cancelled', 'expired', 'refunded'],
+  cancel_at_period_end: ['active', 'cancelled', 'expired', 'refunded'],
+  cancelled: ['active', 'trialing'],
+  expired: ['active'],
+  refunded: ['active'],
+};
+
 module.exports = {
-  PLANS,
+  DEFAULT_PLANS,
+  TRIAL_DAYS,
+  INVOICE_SELLER,
+  INVOICE_TAX,
+  INVOICE_NUMBER_PREFIX,
+  EXCHANGE_RATES,
+  REPORTING_CURRENCY,
+  PAYPAL_CURRENCIES,
   ALLOWED_WEBHOOK_EVENTS,
+  SUBSCRIPTION_STATUSES,
+  ACCESS_STATUSES,
+  SUBSCRIPTION_TRANSITIONS,
 };
@@ -1,24 +1,75 @@
+const mongoose = require('mongoose');
+
 const User = require('../models/User');
 const Subscription = require('../models/Subscription');
+const SubscriptionLedger = require('../models/SubscriptionLedger');
+const Invoice = require('../models/Invoice');
+const { EXCHANGE_RATES, REPORTING_CURRENCY } = require('../config/subscriptionConstants');
 const { logger } = require('../services/logger');
-const { daysLeftUntil, addDays } = require('../utils/dateUtils');
-const { PLANS } = require('../config/subscriptionConstants');
+const { daysLeftUntil } = require('../utils/dateUtils');
+const {
+  hasAccess,
+  transitionSubscription,
+} = require('../services/subscriptionLifecycle');
+const { computeRenewalWindow } = require('../services/subscriptionRenewal');
+const { recordLedgerEntry, getLedgerForUser } = require('../services/subscriptionLedger');
+const { getPlan, listPlans } = require('../services/plans');
+const { applyRefund, getRefundablePurchase } = require('../services/subscriptionRefunds');
+const { getPaymentProvider } = require('../services/payments');
+const { convertAmount } = require('../services/currency');
+const { getAttendanceRecord } = require('../services/attendancePolicy');
+const { getRecentLogs, deleteMemberLogs } = require('../services/memberLogs');
 
+/**
+ * GET /api/v1/admin/revenue
+ * Net revenue (purchases less refunds) for the current month from the billing
+ * ledger, per currency and converted to REPORTING_CURRENCY with EXCHANGE_RATES.
+ * Currencies without a rate are listed in `unconverted` and left out of `revenue`.
+ */
 async function getMonthlyRevenue(req, res) {
   try {
     const now = new Date();
     const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
     const monthEnd = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59, 999);
 
-    const activeSubs = await Subscription.find({
-      active: true,
-      purchasedAt: { $gte: monthStart, $lte: monthEnd },
-    }).lean();
+    const totals = await SubscriptionLedger.aggregate([
+      {
+        $match: {
+          type: { $in: ['purchase', 'refund'] },
+          createdAt: { $gte: monthStart, $lte: monthEnd },
+        },
+      },
+      {
+        $group: {
+          _id: { $toUpper: '$currency' },
+          revenue: { $sum: '$amount' },
+          payments: { $sum: { $cond: [{ $eq: ['$type', 'purchase'] }, 1, 0] } },
+          refunds: { $sum: { $cond: [{ $eq: ['$type', 'refund'] }, 1, 0] } },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]);
 
-    const revenue = activeSubs.reduce((sum, sub) => sum + (sub.amount || 0), 0);
+    const byCurrency = totals.map(row => ({
+      currency: row._id,
+      revenue: Math.round(row.revenue * 100) / 100,
+      payments: row.payments,
+      refunds: row.refunds,
+      converted: convertAmount(row.revenue, row._id, REPORTING_CURRENCY),
+    }));
+    const revenue = byCurrency.reduce((sum, row) => sum + (row.converted ?? 0), 0);
     const monthLabel = now.toLocaleString('default', { month: 'long', year: 'numeric' });
 
-    res.json({ revenue, currency: 'USD', month: monthLabel });
+    res.json({
+      revenue: Math.round(revenue * 100) / 100,
+      currency: REPORTING_CURRENCY,
+      month: monthLabel,
+      byCurrency,
+      unconverted: byCurrency
+        .filter(row => row.converted === null)
+        .map(row => row.currency),
+      exchangeRates: EXCHANGE_RATES,
+    });
   } catch (err) {
     logger.error('Failed to calculate monthly revenue', { error: err.message });
     res.status(500).json({ msg: 'Failed to calculate revenue' });
@@ -58,6 +109,7 @@ async function bulkDeleteClients(req, res) {
 
     await Subscription.deleteMany({ userId: { $in: safeIds } });
     await User.deleteMany({ _id: { $in: safeIds } });
+    await deleteMemberLogs(safeIds);
 
     logger.logAdminAction(
       'bulk_delete_clients',
@@ -84,8 +136,9 @@ async function createSubscription(req, res) {
     const { userId, planKey, overrideDays } = req.body;
     const adminId = req.user.id;
 
-    if (!planKey || !PLANS[planKey]) {
-      const validPlans = Object.keys(PLANS).join(', ');
+    const planData = await getPlan(planKey);
+    if (!planData) {
+      const validPlans = (await listPlans()).map(plan => plan.key).join(', ');
       return res.status(400).json({ msg: `Invalid planKey. Must be one of: ${validPlans}` });
     }
 
@@ -96,38 +149,47 @@ async function createSubscription(req, res) {
     if (user.role === 'admin') return res.status(400).json({ msg: 'Cannot add subscription to admin account' });
 
     const now = new Date();
-    const planData = PLANS[planKey];
     const days = overrideDays || planData.durationDays;
-    const expiresAt = addDays(now, days);
-
-    const existingSub = await Subscription.findOne({ userId });
-
-    let subscription;
-    if (existingSub) {
-      subscription = await Subscription.findByIdAndUpdate(
-        existingSub._id,
-        {
-          $set: {
-            active: true,
-            expiresAt,
-            amount: planData.price,
-            currency: planData.currency,
-            purchasedAt: now,
-          },
-        },
-        { new: true }
-      );
-    } else {
-      subscription = await Subscription.create({
-        userId: user._id,
-        active: true,
-        expiresAt,
-        amount: planData.price,
-        currency: planData.currency,
-        purchasedAt: now,
-      });
+
+    let subscription = await Subscription.findOne({ userId });
+    if (!subscription) {
+      subscription = new Subscription({ userId: user._id });
     }
 
+    // Remaining paid time is kept; the grant starts when it runs out
+    const {
+      from,
+      periodStart,
+      periodEnd: expiresAt,
+    } = computeRenewalWindow(subscription, days, now);
+
+    subscription.plan = planKey;
+    subscription.currentPeriodStart = periodStart;
+    subscription.expiresAt = expiresAt;
+    subscription.amount = planData.price;
+    subscription.currency = planData.currency;
+    subscription.purchasedAt = now;
+    transitionSubscription(subscription, 'active', {
+      reason: 'admin_granted',
+      changedBy: adminId,
+      at: now,
+    });
+    await subscription.save();
+
+    await recordLedgerEntry({
+      userId: user._id,
+      subscriptionId: subscription._id,
+      type: 'admin_grant',
+      provider: 'admin',
+      plan: planKey,
+      amount: planData.price,
+      currency: planData.currency,
+      daysAdded: days,
+      periodStart: from,
+      periodEnd: expiresAt,
+      actorId: adminId,
+    });
+
     logger.logAdminAction(
       'subscription_created',
       adminId,
@@ -144,6 +206,7 @@ async function createSubscription(req, res) {
       msg: 'Subscription created successfully',
       subscription: {
         planKey,
+        status: subscription.status,
         active: true,
         expiresAt,
         daysLeft: daysLeftUntil(expiresAt),
@@ -159,25 +222,63 @@ async function getClientProfile(req, res) {
   try {
     const { id } = req.params;
 
-    const [user, subscription] = await Promise.all([
+    const [user, subscription, attendance, logs] = await Promise.all([
       User.findById(id)
         .select(
           '-password -tokenVersion -emailVerificationToken -emailVerificationExpires -passwordResetToken -resetPasswordExpires -twoFactorSecret -twoFactorBackupCodes'
         )
         .lean(),
       Subscription.findOne({ userId: id }).lean(),
+      getAttendanceRecord(id),
+      getRecentLogs(id),
     ]);
 
     if (!user) return res.status(404).json({ msg: 'Client not found' });
     if (user.role === 'admin') return res.status(403).json({ msg: 'Cannot view admin accounts' });
 
-    res.json({ client: { ...user, subscription: subscription || null } });
+    res.json({
+      client: { ...user, ...logs, subscription: subscription || null },
+      attendance,
+    });
   } catch (err) {
     logger.error('Failed to fetch client profile', { error: err.message });
     res.status(500).json({ msg: 'Failed to fetch client profile' });
   }
 }
 
+/**
+ * GET /api/v1/admin/clients/:id/billing-history
+ * Paginated billing ledger for a client, newest first.
+ */
+async function getClientBillingHistory(req, res) {
+  try {
+    const { id } = req.params;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, parseInt(req.query.limit) || 20);
+
+    const { entries, pagination } = await getLedgerForUser(id, { page, limit });
+
+    // Purchases link to their invoice
+    const invoices = await Invoice.find({
+      ledgerEntryId: { $in: entries.map(entry => entry._id) },
+    })
+      .select('number ledgerEntryId')
+      .lean();
+    const invoiceByEntry = new Map(
+      invoices.map(invoice => [invoice.ledgerEntryId.toString(), invoice])
+    );
+    entries.forEach(entry => {
+      const invoice = invoiceByEntry.get(entry._id.toString());
+      entry.invoice = invoice ? { id: invoice._id, number: invoice.number } : null;
+    });
+
+    res.json({ entries, pagination });
+  } catch (err) {
+    logger.error('Failed to fetch billing history', { error: err.message });
+    res.status(500).json({ msg: 'Failed to fetch billing history' });
+  }
+}
+
 async function extendSubscription(req, res, next) {
   try {
     const { id: subscriptionId } = req.params;
@@ -191,9 +292,36 @@ async function extendSubscription(req, res, next) {
     const subscription = await Subscription.findById(subscriptionId);
     if (!subscription) return res.status(404).json({ error: 'Subscription not found' });
 
-    const newExpiresAt = addDays(subscription.expiresAt, daysToAdd);
-
-    await Subscription.findByIdAndUpdate(subscriptionId, { $set: { expiresAt: newExpiresAt } });
+    // Lapsed memberships are extended from today, not from the old expiry
+    const now = new Date();
+    const {
+      from,
+      periodStart,
+      periodEnd: newExpiresAt,
+    } = computeRenewalWindow(subscription, daysToAdd, now);
+
+    subscription.currentPeriodStart = periodStart;
+    subscription.expiresAt = newExpiresAt;
+    if (!hasAccess(subscription.status)) {
+      transitionSubscription(subscription, 'active', {
+        reason: 'admin_extended',
+        changedBy: adminId,
+        at: now,
+      });
+    }
+    await subscription.save();
+
+    await recordLedgerEntry({
+      userId: subscription.userId,
+      subscriptionId: subscription._id,
+      type: 'extension',
+      provider: 'admin',
+      plan: subscription.plan,
+      daysAdded: daysToAdd,
+      periodStart: from,
+      periodEnd: newExpiresAt,
+      actorId: adminId,
+    });
 
     logger.logAdminAction(
       'subscription_extended',
@@ -213,55 +341,112 @@ async function extendSubscription(req, res, next) {
   }
 }
 
-async function reLinkCustomer(req, res) {
+/**
+ * POST /api/v1/admin/subscriptions/:id/refund
+ * Refund all or part of a purchase through the payment provider and shorten
+ * the membership to match.
+ * Body: { entryId?, amount?, note? } — defaults to the latest purchase
+ * and whatever of it has not been refunded yet.
+ */
+async function refundSubscription(req, res, next) {
   try {
-    const { userId } = req.body;
+    const { id: subscriptionId } = req.params;
+    const { entryId, amount, note } = req.body;
     const adminId = req.user.id;
 
-    if (!userId) {
-      return res.status(400).json({ msg: 'userId required' });
+    if (amount !== undefined && (typeof amount !== 'number' || !(amount > 0))) {
+      return res.status(400).json({ error: 'amount must be a positive number' });
+    }
+    if (entryId !== undefined && !mongoose.isValidObjectId(entryId)) {
+      return res.status(400).json({ error: 'entryId is invalid' });
     }
 
-    const user = await User.findById(userId);
-    if (!user) {
-      return res.status(404).json({ msg: 'User not found' });
+    const subscription = await Subscription.findById(subscriptionId);
+    if (!subscription) return res.status(404).json({ error: 'Subscription not found' });
+
+    const paymentProvider = getPaymentProvider();
+    const purchaseFilter = {
+      userId: subscription.userId,
+      type: 'purchase',
+      provider: paymentProvider.name,
+    };
+    const purchase = entryId
+      ? await SubscriptionLedger.findOne({ ...purchaseFilter, _id: entryId }).lean()
+      : await SubscriptionLedger.findOne(purchaseFilter).sort({ createdAt: -1 }).lean();
+    if (!purchase) {
+      return res.status(404).json({ error: 'No payment found to refund' });
     }
 
-    if (user.role === 'admin') {
-      return res.status(400).json({ msg: 'Cannot re-link admin accounts' });
+    let { captureId } = purchase;
+    if (!captureId) {
+      // Purchases recorded before capture IDs were stored on the ledger
+      const order = await paymentProvider.getOrder(purchase.providerTransactionId);
+      captureId = order.captureId;
+    }
+    if (!captureId) {
+      return res.status(409).json({ error: 'Payment has no capture to refund' });
     }
 
-    const stripeService = require('../services/stripe');
-    // Create fresh customer with jefitness metadata (old ID cleared)
-    user.stripeCustomerId = null;
-    await user.save();
+    const { previouslyRefunded } = await getRefundablePurchase(subscription, captureId);
+    const refundable = Math.round((purchase.amount - previouslyRefunded) * 100) / 100;
+    if (refundable <= 0) {
+      return res.status(409).json({ error: 'Payment has already been fully refunded' });
+    }
+
+    const refundAmount = amount ?? refundable;
+    if (refundAmount > refundable) {
+      return res.status(400).json({
+        error: `amount cannot exceed the refundable balance of ${refundable.toFixed(2)}`,
+      });
+    }
 
-    const customer = await stripeService.createOrRetrieveCustomer(user.email, null, {
-      userId: user._id.toString()
+    const providerRefund = await paymentProvider.refund(captureId, {
+      amount: refundAmount,
+      currency: purchase.currency,
+      note,
     });
+    if (['failed', 'cancelled'].includes(providerRefund.status)) {
+      return res.status(502).json({ error: `Refund ${providerRefund.status}` });
+    }
 
-    user.stripeCustomerId = customer.id;
-    await user.save();
+    const result = await applyRefund({
+      userId: subscription.userId,
+      refundId: providerRefund.id,
+      captureId,
+      amount: refundAmount,
+      currency: purchase.currency,
+      provider: paymentProvider.name,
+      reason: 'admin_refunded',
+      actorId: adminId,
+      note,
+    });
+    const updated = result.subscription;
 
     logger.logAdminAction(
-      'stripe_customer_relink',
+      'subscription_refunded',
       adminId,
       {
-        userId,
-        oldCustomerId: null, // cleared
-        newCustomerId: customer.id
+        subscriptionId: subscriptionId.toString(),
+        refundId: providerRefund.id,
+        captureId,
+        amount: refundAmount,
+        daysRemoved: result.daysRemoved ?? 0,
       },
       req
     );
 
     res.json({
-      msg: 'Stripe customer re-linked successfully',
-      customerId: customer.id,
-      email: customer.email
+      message: `Refunded ${refundAmount.toFixed(2)} ${purchase.currency}`,
+      refundId: providerRefund.id,
+      amount: refundAmount,
+      status: updated.status,
+      expiresAt: updated.expiresAt,
+      daysRemoved: result.daysRemoved ?? 0,
+      daysLeft: daysLeftUntil(updated.expiresAt),
     });
-  } catch (err) {
-    logger.error('Re-link customer failed', { error: err.message });
-    res.status(500).json({ msg: 'Re-link failed' });
+  } catch (error) {
+    logger.error('Failed to refund subscription', { error: error.message });
+    next(error);
   }
 }
 
@@ -270,6 +455,7 @@ module.exports = {
   bulkDeleteClients,
   createSubscription,
   getClientProfile,
+  getClientBillingHistory,
   extendSubscription,
-  reLinkCustomer,
+  refundSubscription,
 };
@@ -1,15 +1,505 @@
 const Appointment = require('../models/Appointment');
-const TrainerAvailability = require('../models/TrainerAvailability');
+const AppointmentSeries = require('../models/AppointmentSeries');
+const WaitlistEntry = require('../models/WaitlistEntry');
 const User = require('../models/User');
 const { logger, logAdminAction, logUserAction } = require('../services/logger');
+const {
+  resolveSessionType,
+  getDaySlots,
+  confirmBooking,
+} = require('../services/trainerAvailability');
+const { parseRecurrence, seriesDates } = require('../services/appointmentSeries');
+const {
+  OPEN_WAITLIST_STATUSES,
+  countHolds,
+  queuePosition,
+  releaseSlots,
+  markWaitlistBooked,
+} = require('../services/waitlist');
 const {
   normalizeAppointmentDate,
   formatApptDateForEmail,
   extractApptNames,
   populateAppointmentParticipants,
   sendApptEmails,
+  sendSeriesEmails,
   validateStatusTransition,
 } = require('../services/appointmentEmails');
+const { trainerTimezone, getTrainerTimezone } = require('../services/timezones');
+const { verifyReminderToken } = require('../services/appointmentReminders');
+const {
+  isLateCancellation,
+  getBookingBlock,
+  bookingBlockMessage,
+} = require('../services/attendancePolicy');
+const {
+  setAppointmentStatus,
+  statusSource,
+  checkIn,
+  checkInCodeMatches,
+} = require('../services/appointmentStatus');
+const { buildCalendarFeed } = require('../services/calendarFeed');
+const { localDateString } = require('../utils/dateUtils');
+
+const CONCURRENT_BOOKING_MSG = 'Time slot is fully booked (concurrent booking conflict)';
+
+/**
+ * Refuse a booking from a client whose no-shows have paused booking.
+ * @returns {Promise<boolean>} true when the response has been sent
+ */
+async function rejectBlockedClient(clientId, res) {
+  const block = await getBookingBlock(clientId);
+  if (!block) return false;
+  res.status(403).json({ msg: bookingBlockMessage(block), blockedUntil: block.until });
+  return true;
+}
+
+/**
+ * Check one requested occurrence against the trainer's open slots, the
+ * one-per-day rule, advance booking and slot capacity.
+ * `excludeIds` leaves existing appointments out of the checks, so occurrences
+ * being moved do not clash with their own old times.
+ * @returns {Promise<{ slot?: Object, status?: number, msg?: string }>} slot when bookable
+ */
+async function checkOccurrence({
+  clientId,
+  trainerId,
+  date,
+  time,
+  sessionType,
+  timezone,
+  excludeIds = [],
+}) {
+  // Start times for this session type, with the trainer's time off, extra
+  // hours and existing bookings applied
+  const daySlots = await getDaySlots(trainerId, date, sessionType, { excludeIds });
+
+  if (daySlots.length === 0) {
+    return { status: 400, msg: 'Trainer is not available on this day' };
+  }
+
+  const slot = daySlots.find(s => s.time === time);
+  if (!slot) {
+    const open = daySlots.filter(s => s.remaining > 0).map(s => s.time);
+    return {
+      status: 400,
+      msg: `Trainer is not available at ${time} on this day. Open times: ${
+        open.join(', ') || 'none'
+      }`,
+    };
+  }
+
+  const dateStr = date.toISOString().slice(0, 10);
+  const startOfDay = new Date(dateStr + 'T00:00:00.000Z');
+  const endOfDay = new Date(dateStr + 'T23:59:59.999Z');
+
+  const clientExistingOnDate = await Appointment.findOne({
+    clientId,
+    date: { $gte: startOfDay, $lt: endOfDay },
+    status: { $ne: 'cancelled' },
+    ...(excludeIds.length > 0 && { _id: { $nin: excludeIds } }),
+  });
+
+  if (clientExistingOnDate) {
+    logger.info('Client already has appointment on this day', {
+      clientId,
+      requestedDate: dateStr,
+      existingAppointmentId: clientExistingOnDate._id,
+    });
+    return { status: 400, msg: 'You can only book one appointment per day' };
+  }
+
+  // "Today" is the trainer's local date, not the server's
+  if (dateStr <= localDateString(new Date(), timezone)) {
+    return {
+      status: 400,
+      msg: 'Appointments must be booked at least one day in advance',
+    };
+  }
+
+  // Places held for waitlisted clients count as taken for everyone else
+  const held =
+    slot.remaining > 0
+      ? await countHolds(
+          { trainerId, date, time, sessionTypeId: sessionType._id },
+          clientId
+        )
+      : 0;
+  if (slot.remaining - held <= 0) {
+    return { status: 409, msg: `Time slot is fully booked (max ${slot.capacity})` };
+  }
+
+  return { slot };
+}
+
+/**
+ * Save a checked occurrence. Returns null when another booking took the last
+ * place between the check and the save.
+ */
+async function saveOccurrence(
+  { clientId, trainerId, date, time, timezone, sessionType, notes, seriesId = null },
+  capacity
+) {
+  const appointment = new Appointment({
+    clientId,
+    trainerId,
+    date,
+    time,
+    timezone,
+    sessionTypeId: sessionType._id,
+    sessionName: sessionType._id ? sessionType.name : null,
+    durationMinutes: sessionType.durationMinutes,
+    bufferMinutes: sessionType.bufferMinutes || 0,
+    notes,
+    seriesId,
+  });
+
+  try {
+    await appointment.save();
+  } catch (saveErr) {
+    if (saveErr.code === 11000) return null;
+    throw saveErr;
+  }
+
+  if (!(await confirmBooking(appointment, capacity))) {
+    await Appointment.deleteOne({ _id: appointment._id });
+    return null;
+  }
+  return appointment;
+}
+
+/**
+ * Book a single appointment and notify both participants. Shared by
+ * POST /appointments and waitlist offer confirmations.
+ */
+async function bookSingle(req, res, booking) {
+  const check = await checkOccurrence(booking);
+  if (check.msg) {
+    return res.status(check.status).json({ msg: check.msg });
+  }
+
+  const appointment = await saveOccurrence(booking, check.slot.capacity);
+  if (!appointment) {
+    return res.status(409).json({ msg: CONCURRENT_BOOKING_MSG });
+  }
+
+  markWaitlistBooked(appointment).catch(e =>
+    logger.warn('Failed to update waitlist after booking', { error: e.message })
+  );
+
+  await populateAppointmentParticipants(appointment);
+  const { clientName, trainerName } = extractApptNames(appointment);
+  const emailDateStr = formatApptDateForEmail(appointment.date);
+
+  logUserAction('book_appointment', req.user.id, {
+    appointmentId: appointment._id,
+    clientName,
+    clientEmail: appointment.clientId.email,
+    trainerName,
+    trainerEmail: appointment.trainerId.email,
+    date: appointment.date,
+    time: appointment.time,
+  });
+
+  await sendApptEmails(appointment, 'created', clientName, trainerName, emailDateStr);
+  await sendApptEmails(
+    appointment,
+    'created_trainer_individual',
+    clientName,
+    trainerName,
+    emailDateStr
+  );
+
+  res.status(201).json(appointment);
+}
+
+/**
+ * Book every free occurrence of a recurring series. Occurrences that clash
+ * are reported in `conflicts` and skipped; the request fails only when none
+ * can be booked.
+ */
+async function bookSeries(req, res, { startDate, recurrence, ...booking }) {
+  const { rule, error } = parseRecurrence(recurrence, startDate);
+  if (error) {
+    return res.status(400).json({ msg: error });
+  }
+
+  const series = await AppointmentSeries.create({
+    clientId: booking.clientId,
+    trainerId: booking.trainerId,
+    sessionTypeId: booking.sessionType._id,
+    time: booking.time,
+    startDate,
+    ...rule,
+  });
+
+  const appointments = [];
+  const conflicts = [];
+  for (const date of seriesDates(startDate, rule)) {
+    const dateStr = date.toISOString().slice(0, 10);
+    const check = await checkOccurrence({ ...booking, date });
+    if (check.msg) {
+      conflicts.push({ date: dateStr, status: check.status, msg: check.msg });
+      continue;
+    }
+
+    const appointment = await saveOccurrence(
+      { ...booking, date, seriesId: series._id },
+      check.slot.capacity
+    );
+    if (appointment) appointments.push(appointment);
+    else conflicts.push({ date: dateStr, status: 409, msg: CONCURRENT_BOOKING_MSG });
+  }
+
+  if (appointments.length === 0) {
+    await AppointmentSeries.deleteOne({ _id: series._id });
+    return res
+      .status(409)
+      .json({ msg: 'None of the requested dates could be booked', conflicts });
+  }
+
+  for (const appointment of appointments) {
+    await populateAppointmentParticipants(appointment, {
+      trainer: 'firstName lastName email trainerEmailPreference',
+    });
+  }
+  const { clientName, trainerName } = extractApptNames(appointments[0]);
+
+  logUserAction('book_appointment_series', req.user.id, {
+    seriesId: series._id,
+    appointmentIds: appointments.map(a => a._id),
+    clientName,
+    trainerName,
+    frequency: rule.frequency,
+    date: startDate,
+    time: booking.time,
+    conflicts: conflicts.length,
+  });
+
+  sendSeriesEmails(
+    appointments,
+    'created',
+    clientName,
+    trainerName,
+    conflicts.map(c => formatApptDateForEmail(c.date))
+  );
+
+  res.status(201).json({ series, appointments, conflicts });
+}
+
+// Shown on the reminder response page, which is not logged in
+const reminderSummary = ({ date, time, timezone, status }) => ({
+  date,
+  time,
+  timezone,
+  status,
+});
+
+const SERIES_SCOPES = ['this', 'following'];
+
+// This occurrence plus the later, still scheduled ones in its series, in date order
+function followingOccurrences(appointment) {
+  return Appointment.find({
+    seriesId: appointment.seriesId,
+    date: { $gte: appointment.date },
+    $or: [{ _id: appointment._id }, { status: 'scheduled' }],
+  }).sort({ date: 1 });
+}
+
+async function populateSeries(occurrences) {
+  for (const occurrence of occurrences) {
+    await populateAppointmentParticipants(occurrence, {
+      trainer: 'firstName lastName email trainerEmailPreference',
+    });
+  }
+}
+
+/**
+ * Check every occurrence of a series edit at its new trainer, date and time.
+ * The occurrences being moved are left out of the checks so they only clash
+ * with other bookings.
+ * @returns {Promise<{ conflicts: Array<Object>, error?: string }>}
+ */
+async function checkMovedOccurrences(
+  occurrences,
+  { trainerId, shiftMs, time, timezone }
+) {
+  const first = occurrences[0];
+  const targetTrainerId = trainerId || first.trainerId.toString();
+  const sessionType = await resolveSessionType(
+    targetTrainerId,
+    first.sessionTypeId?.toString()
+  );
+  if (!sessionType) {
+    return { conflicts: [], error: 'Trainer does not offer this session type' };
+  }
+
+  const excludeIds = occurrences.map(o => o._id);
+  const conflicts = [];
+  for (const occurrence of occurrences) {
+    const date = new Date(occurrence.date.getTime() + shiftMs);
+    const check = await checkOccurrence({
+      clientId: occurrence.clientId,
+      trainerId: targetTrainerId,
+      date,
+      time: time || occurrence.time,
+      sessionType,
+      timezone: timezone || occurrence.timezone,
+      excludeIds,
+    });
+    if (check.msg) {
+      conflicts.push({
+        appointmentId: occurrence._id,
+        date: date.toISOString().slice(0, 10),
+        status: check.status,
+        msg: check.msg,
+      });
+    }
+  }
+  return { conflicts };
+}
+
+/**
+ * PUT /appointments/:id with scope "following": apply the change to this
+ * occurrence and every later one. A new date moves each occurrence by the
+ * same number of days. Moves are all or nothing: if any occurrence would
+ * clash at its new time, nothing is changed and the clashes are returned.
+ */
+async function updateFollowing(req, res, appointment) {
+  const { trainerId, date, time, status, notes } = req.body;
+
+  if (status && status !== 'cancelled') {
+    return res
+      .status(400)
+      .json({ msg: 'Only cancellation can be applied to following appointments' });
+  }
+  let timezone;
+  if (trainerId) {
+    const trainer = await User.findById(trainerId).populate('locationId', 'timezone');
+    if (!trainer || trainer.role !== 'trainer') {
+      return res.status(400).json({ msg: 'Invalid trainer' });
+    }
+    timezone = trainerTimezone(trainer);
+  }
+
+  const occurrences = await followingOccurrences(appointment);
+  const previousSlots = occurrences.map(o => ({ trainerId: o.trainerId, date: o.date }));
+  const shiftMs = date
+    ? normalizeAppointmentDate(date).getTime() - appointment.date.getTime()
+    : 0;
+
+  if (!status && (shiftMs || time || trainerId)) {
+    const { conflicts, error } = await checkMovedOccurrences(occurrences, {
+      trainerId,
+      shiftMs,
+      time,
+      timezone,
+    });
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        msg: 'Some appointments cannot be moved; none were changed',
+        conflicts,
+      });
+    }
+  }
+
+  for (const occurrence of occurrences) {
+    if (trainerId) {
+      occurrence.trainerId = trainerId;
+      occurrence.timezone = timezone;
+    }
+    if (shiftMs) occurrence.date = new Date(occurrence.date.getTime() + shiftMs);
+    if (time) occurrence.time = time;
+    if (status) {
+      setAppointmentStatus(occurrence, status, {
+        changedBy: req.user.id,
+        source: 'admin',
+        reason: 'series_update',
+      });
+    }
+    if (notes !== undefined) occurrence.notes = notes;
+    await occurrence.save();
+  }
+  if (status || shiftMs || time || trainerId) releaseSlots(previousSlots);
+
+  await populateSeries(occurrences);
+  const { clientName, trainerName } = extractApptNames(occurrences[0]);
+
+  logAdminAction(
+    'update_appointment_series',
+    req.user.id,
+    {
+      seriesId: appointment.seriesId,
+      appointmentIds: occurrences.map(o => o._id),
+      clientName,
+      trainerName,
+      updates: req.body,
+    },
+    req
+  );
+
+  if (status === 'cancelled') {
+    sendSeriesEmails(occurrences, 'cancelled', clientName, trainerName);
+  } else if (date || time || trainerId) {
+    sendSeriesEmails(occurrences, 'updated', clientName, trainerName);
+  }
+
+  res.json({ updated: occurrences.length, appointments: occurrences });
+}
+
+/**
+ * DELETE /appointments/:id?scope=following: remove this occurrence and every
+ * later one in its series.
+ */
+async function deleteFollowing(req, res, appointment) {
+  const occurrences = await followingOccurrences(appointment);
+  await populateSeries(occurrences);
+  const { clientName, trainerName } = extractApptNames(occurrences[0]);
+
+  const details = {
+    seriesId: appointment.seriesId,
+    appointmentIds: occurrences.map(o => o._id),
+    clientName,
+    trainerName,
+  };
+  const isAdminOrTrainer =
+    req.user.role === 'admin' || appointment.trainerId?.toString() === req.user.id;
+  if (isAdminOrTrainer) {
+    logAdminAction('delete_appointment_series', req.user.id, details, req);
+  } else {
+    logUserAction('delete_appointment_series', req.user.id, details);
+  }
+
+  // A client's occurrences inside the cutoff stay on record as late cancellations
+  const now = new Date();
+  const late = isAdminOrTrainer
+    ? []
+    : occurrences.filter(o => isLateCancellation(o, now));
+  for (const occurrence of late) {
+    setAppointmentStatus(occurrence, 'cancelled', {
+      changedBy: req.user.id,
+      source: 'client',
+      reason: 'late_cancellation',
+      at: now,
+    });
+    occurrence.lateCancellation = true;
+    await occurrence.save();
+  }
+  await Appointment.deleteMany({
+    _id: { $in: occurrences.filter(o => !late.includes(o)).map(o => o._id) },
+  });
+  releaseSlots(occurrences);
+  sendSeriesEmails(occurrences, 'cancelled', clientName, trainerName);
+
+  res.json({
+    msg: `${occurrences.length} appointment(s) deleted successfully`,
+    deleted: occurrences.length,
+    lateCancellations: late.length,
+  });
+}
 
 const appointmentController = {
   /**
@@ -202,7 +692,7 @@ const appointmentController = {
    */
   createAppointment: async (req, res) => {
     try {
-      const { trainerId, date, time, notes } = req.body;
+      const { trainerId, date, time, notes, sessionTypeId, recurrence } = req.body;
 
       if (!trainerId || !date || !time) {
         logger.warn('Validation failed: missing required fields', {
@@ -213,123 +703,43 @@ const appointmentController = {
         return res.status(400).json({ msg: 'Please provide all required fields' });
       }
 
+      if (await rejectBlockedClient(req.user.id, res)) return;
+
       const appointmentDate = normalizeAppointmentDate(date);
 
-      const trainer = await User.findById(trainerId);
+      const trainer = await User.findById(trainerId).populate('locationId', 'timezone');
       if (!trainer || trainer.role !== 'trainer') {
         return res.status(400).json({ msg: 'Invalid trainer' });
       }
 
-      const dayOfWeek = appointmentDate.getUTCDay();
-      const [hours, minutes] = time.split(':').map(Number);
-
-      const availability = await TrainerAvailability.findOne({
-        trainerId,
-        dayOfWeek,
-        isActive: true,
-      });
-
-      if (!availability) {
-        return res.status(400).json({ msg: 'Trainer is not available on this day' });
+      if (!/^\d{2}:\d{2}$/.test(time)) {
+        return res.status(400).json({ msg: 'Time must be in HH:MM format' });
       }
 
-      if (hours < availability.startHour || hours >= availability.endHour) {
-        return res.status(400).json({
-          msg: `Trainer is only available from ${availability.startHour}:00 to ${availability.endHour}:00 on this day`,
-        });
+      const sessionType = await resolveSessionType(trainerId, sessionTypeId);
+      if (!sessionType) {
+        return res.status(400).json({ msg: 'Invalid session type' });
       }
 
       const clientId = req.user.id;
-      const dateStr = appointmentDate.toISOString().slice(0, 10);
-      const startOfDay = new Date(dateStr + 'T00:00:00.000Z');
-      const endOfDay = new Date(dateStr + 'T23:59:59.999Z');
-
-      const clientExistingOnDate = await Appointment.findOne({
-        clientId,
-        date: { $gte: startOfDay, $lt: endOfDay },
-        status: { $ne: 'cancelled' },
-      });
-
-      if (clientExistingOnDate) {
-        logger.info('Client already has appointment on this day', {
-          clientId,
-          requestedDate: dateStr,
-          existingAppointmentId: clientExistingOnDate._id,
-        });
-        return res.status(400).json({ msg: 'You can only book one appointment per day' });
-      }
-
-      const todayUTCStr = new Date().toISOString().slice(0, 10);
-      if (dateStr <= todayUTCStr) {
-        return res
-          .status(400)
-          .json({ msg: 'Appointments must be booked at least one day in advance' });
-      }
-
-      if (minutes !== 0) {
-        return res.status(400).json({
-          msg: 'Appointments can only be booked on the hour (e.g., 5:00, 6:00)',
-        });
-      }
-
-      const slotCapacity = availability.slotCapacity ?? 6;
-
-      const existingCount = await Appointment.countDocuments({
-        trainerId,
-        date: appointmentDate,
-        time,
-        status: { $ne: 'cancelled' },
-      });
-
-      if (existingCount >= slotCapacity) {
-        return res
-          .status(409)
-          .json({ msg: `Time slot is fully booked (max ${slotCapacity})` });
-      }
-
-      const appointment = new Appointment({
+      const booking = {
         clientId,
         trainerId,
-        date: appointmentDate,
         time,
+        timezone: trainerTimezone(trainer),
+        sessionType,
         notes,
-      });
+      };
 
-      try {
-        await appointment.save();
-      } catch (saveErr) {
-        if (saveErr.code === 11000) {
-          return res
-            .status(409)
-            .json({ msg: 'Time slot is fully booked (concurrent booking conflict)' });
-        }
-        throw saveErr;
+      if (recurrence) {
+        return await bookSeries(req, res, {
+          ...booking,
+          startDate: appointmentDate,
+          recurrence,
+        });
       }
 
-      await populateAppointmentParticipants(appointment);
-      const { clientName, trainerName } = extractApptNames(appointment);
-      const emailDateStr = formatApptDateForEmail(appointment.date);
-
-      logUserAction('book_appointment', req.user.id, {
-        appointmentId: appointment._id,
-        clientName,
-        clientEmail: appointment.clientId.email,
-        trainerName,
-        trainerEmail: appointment.trainerId.email,
-        date,
-        time,
-      });
-
-      await sendApptEmails(appointment, 'created', clientName, trainerName, emailDateStr);
-      await sendApptEmails(
-        appointment,
-        'created_trainer_individual',
-        clientName,
-        trainerName,
-        emailDateStr
-      );
-
-      res.status(201).json(appointment);
+      return await bookSingle(req, res, { ...booking, date: appointmentDate });
     } catch (err) {
       logger.error('Failed to create appointment', { error: err.message });
       res.status(500).json({ msg: 'Server error' });
@@ -351,14 +761,27 @@ const appointmentController = {
         return res.status(403).json({ msg: 'Access denied' });
       }
 
+      const { scope = 'this' } = req.body;
+      if (!SERIES_SCOPES.includes(scope)) {
+        return res.status(400).json({ msg: 'scope must be "this" or "following"' });
+      }
+      if (scope === 'following') {
+        if (!appointment.seriesId) {
+          return res.status(400).json({ msg: 'Appointment is not part of a series' });
+        }
+        return await updateFollowing(req, res, appointment);
+      }
+
       const { trainerId, date, time, status, notes } = req.body;
+      const previousSlot = { trainerId: appointment.trainerId, date: appointment.date };
 
       if (trainerId) {
-        const trainer = await User.findById(trainerId);
+        const trainer = await User.findById(trainerId).populate('locationId', 'timezone');
         if (!trainer || trainer.role !== 'trainer') {
           return res.status(400).json({ msg: 'Invalid trainer' });
         }
         appointment.trainerId = trainerId;
+        appointment.timezone = trainerTimezone(trainer);
       }
       if (date) appointment.date = date;
       if (time) appointment.time = time;
@@ -383,11 +806,17 @@ const appointmentController = {
                 : 'Access denied';
           return res.status(400).json({ msg });
         }
-        appointment.status = status;
+        setAppointmentStatus(appointment, status, {
+          changedBy: req.user.id,
+          source: statusSource(req.user, appointment),
+        });
       }
       if (notes !== undefined) appointment.notes = notes;
 
       await appointment.save();
+      if (status === 'cancelled' || date || time || trainerId) {
+        releaseSlots([previousSlot]);
+      }
       await populateAppointmentParticipants(appointment, {
         trainer: 'firstName lastName email trainerEmailPreference',
       });
@@ -466,6 +895,17 @@ const appointmentController = {
         return res.status(403).json({ msg: 'Access denied' });
       }
 
+      const { scope = 'this' } = req.query;
+      if (!SERIES_SCOPES.includes(scope)) {
+        return res.status(400).json({ msg: 'scope must be "this" or "following"' });
+      }
+      if (scope === 'following') {
+        if (!appointment.seriesId) {
+          return res.status(400).json({ msg: 'Appointment is not part of a series' });
+        }
+        return await deleteFollowing(req, res, appointment);
+      }
+
       await populateAppointmentParticipants(appointment, {
         trainer: 'firstName lastName email trainerEmailPreference',
       });
@@ -498,17 +938,356 @@ const appointmentController = {
         });
       }
 
-      await Appointment.findByIdAndDelete(req.params.id);
+      // A client cancelling inside the cutoff keeps the session on record as a late cancellation
+      const lateCancellation = !isAdminOrTrainer && isLateCancellation(appointment);
+      if (lateCancellation) {
+        setAppointmentStatus(appointment, 'cancelled', {
+          changedBy: req.user.id,
+          source: 'client',
+          reason: 'late_cancellation',
+        });
+        appointment.lateCancellation = true;
+        await appointment.save();
+      } else {
+        await Appointment.findByIdAndDelete(req.params.id);
+      }
+      releaseSlots([appointment]);
 
       const emailDateStr = formatApptDateForEmail(appointment.date);
       await sendApptEmails(appointment, 'deleted', clientName, trainerName, emailDateStr);
 
+      if (lateCancellation) {
+        return res.json({
+          msg: 'Appointment cancelled. This counts as a late cancellation.',
+          lateCancellation: true,
+        });
+      }
       res.json({ msg: 'Appointment deleted successfully' });
     } catch (err) {
       logger.error('Failed to delete appointment', { error: err.message });
       res.status(500).json({ msg: 'Server error' });
     }
   },
+
+  /**
+   * POST /appointments/waitlist — join the queue for a fully booked slot.
+   */
+  joinWaitlist: async (req, res) => {
+    try {
+      const { trainerId, date, time, sessionTypeId } = req.body;
+
+      if (!trainerId || !date || !time) {
+        return res.status(400).json({ msg: 'Please provide all required fields' });
+      }
+      if (!/^\d{2}:\d{2}$/.test(time)) {
+        return res.status(400).json({ msg: 'Time must be in HH:MM format' });
+      }
+
+      const trainer = await User.findById(trainerId).populate('locationId', 'timezone');
+      if (!trainer || trainer.role !== 'trainer') {
+        return res.status(400).json({ msg: 'Invalid trainer' });
+      }
+
+      const sessionType = await resolveSessionType(trainerId, sessionTypeId);
+      if (!sessionType) {
+        return res.status(400).json({ msg: 'Invalid session type' });
+      }
+
+      const clientId = req.user.id;
+      if (await rejectBlockedClient(clientId, res)) return;
+
+      const slotDate = normalizeAppointmentDate(date);
+
+      // Same rules as booking; only a full slot can be waitlisted
+      const check = await checkOccurrence({
+        clientId,
+        trainerId,
+        date: slotDate,
+        time,
+        sessionType,
+        timezone: trainerTimezone(trainer),
+      });
+      if (check.slot) {
+        return res
+          .status(400)
+          .json({ msg: 'This time still has open places; book it directly' });
+      }
+      if (check.status !== 409) {
+        return res.status(check.status).json({ msg: check.msg });
+      }
+
+      const slot = { trainerId, date: slotDate, time, sessionTypeId: sessionType._id };
+      const existing = await WaitlistEntry.findOne({
+        ...slot,
+        clientId,
+        status: { $in: OPEN_WAITLIST_STATUSES },
+      });
+      if (existing) {
+        return res
+          .status(409)
+          .json({ msg: 'You are already on the waitlist for this time' });
+      }
+
+      const entry = await WaitlistEntry.create({ ...slot, clientId });
+      const position = await queuePosition(entry);
+
+      logUserAction('join_waitlist', req.user.id, {
+        entryId: entry._id,
+        trainerId,
+        date: slotDate,
+        time,
+        position,
+      });
+
+      res.status(201).json({ entry, position });
+    } catch (err) {
+      logger.error('Failed to join waitlist', { error: err.message });
+      res.status(500).json({ msg: 'Server error' });
+    }
+  },
+
+  /**
+   * GET /appointments/waitlist — the client's active waitlist entries.
+   */
+  getWaitlist: async (req, res) => {
+    try {
+      const entries = await WaitlistEntry.find({
+        clientId: req.user.id,
+        status: { $in: OPEN_WAITLIST_STATUSES },
+      })
+        .populate('trainerId', 'firstName lastName')
+        .populate('sessionTypeId', 'name durationMinutes')
+        .sort({ date: 1, time: 1 });
+
+      const withPositions = [];
+      for (const entry of entries) {
+        withPositions.push({ ...entry.toObject(), position: await queuePosition(entry) });
+      }
+
+      res.json({ entries: withPositions });
+    } catch (err) {
+      logger.error('Failed to fetch waitlist', { error: err.message });
+      res.status(500).json({ msg: 'Server error' });
+    }
+  },
+
+  /**
+   * DELETE /appointments/waitlist/:id — leave the waitlist or turn down an offer.
+   */
+  leaveWaitlist: async (req, res) => {
+    try {
+      const entry = await WaitlistEntry.findOne({
+        _id: req.params.id,
+        clientId: req.user.id,
+      });
+      if (!entry) {
+        return res.status(404).json({ msg: 'Waitlist entry not found' });
+      }
+      if (!OPEN_WAITLIST_STATUSES.includes(entry.status)) {
+        return res.status(400).json({ msg: 'This waitlist entry is no longer active' });
+      }
+
+      const wasOffered = entry.status === 'offered';
+      entry.status = 'cancelled';
+      entry.holdExpiresAt = null;
+      await entry.save();
+
+      // A declined offer goes straight to the next client
+      if (wasOffered) releaseSlots([entry]);
+
+      logUserAction('leave_waitlist', req.user.id, { entryId: entry._id, wasOffered });
+
+      res.json({ msg: 'Removed from waitlist' });
+    } catch (err) {
+      logger.error('Failed to leave waitlist', { error: err.message });
+      res.status(500).json({ msg: 'Server error' });
+    }
+  },
+
+  /**
+   * POST /appointments/waitlist/:id/confirm — book a place offered to the client.
+   */
+  confirmWaitlistOffer: async (req, res) => {
+    try {
+      const entry = await WaitlistEntry.findOne({
+        _id: req.params.id,
+        clientId: req.user.id,
+      });
+      if (!entry) {
+        return res.status(404).json({ msg: 'Waitlist entry not found' });
+      }
+      if (entry.status !== 'offered' || entry.holdExpiresAt <= new Date()) {
+        return res.status(410).json({ msg: 'This offer is no longer available' });
+      }
+      if (await rejectBlockedClient(req.user.id, res)) return;
+
+      const sessionType = await resolveSessionType(entry.trainerId, entry.sessionTypeId);
+      if (!sessionType) {
+        return res.status(400).json({ msg: 'Invalid session type' });
+      }
+
+      return await bookSingle(req, res, {
+        clientId: req.user.id,
+        trainerId: entry.trainerId,
+        date: entry.date,
+        time: entry.time,
+        timezone: await getTrainerTimezone(entry.trainerId),
+        sessionType,
+      });
+    } catch (err) {
+      logger.error('Failed to confirm waitlist offer', { error: err.message });
+      res.status(500).json({ msg: 'Server error' });
+    }
+  },
+
+  /**
+   * POST /appointment-responses — confirm or cancel from a reminder email.
+   * The signed token in the email link stands in for a login.
+   */
+  respondToReminder: async (req, res) => {
+    try {
+      const { token, action } = req.body;
+      if (!['confirm', 'cancel'].includes(action)) {
+        return res.status(400).json({ msg: 'action must be "confirm" or "cancel"' });
+      }
+
+      const payload = verifyReminderToken(token);
+      if (!payload) {
+        return res.status(401).json({ msg: 'This link is invalid or has expired' });
+      }
+
+      const appointment = await Appointment.findById(payload.appointmentId);
+      if (!appointment) {
+        return res.status(404).json({ msg: 'Appointment not found' });
+      }
+      if (appointment.status !== 'scheduled') {
+        return res.status(409).json({
+          msg: `This session is already ${appointment.status.replace('_', ' ')}`,
+        });
+      }
+
+      if (action === 'confirm') {
+        appointment.clientConfirmedAt = appointment.clientConfirmedAt || new Date();
+        await appointment.save();
+        logUserAction('confirm_appointment', appointment.clientId.toString(), {
+          appointmentId: appointment._id,
+        });
+        return res.json({
+          msg: 'Thanks for confirming. See you there!',
+          appointment: reminderSummary(appointment),
+        });
+      }
+
+      setAppointmentStatus(appointment, 'cancelled', {
+        changedBy: appointment.clientId,
+        source: 'client',
+        reason: 'reminder_email',
+      });
+      appointment.lateCancellation = isLateCancellation(appointment);
+      await appointment.save();
+      releaseSlots([appointment]);
+
+      await populateAppointmentParticipants(appointment, {
+        trainer: 'firstName lastName email trainerEmailPreference',
+      });
+      const { clientName, trainerName } = extractApptNames(appointment);
+
+      logUserAction('cancel_appointment', appointment.clientId._id.toString(), {
+        appointmentId: appointment._id,
+        clientName,
+        clientEmail: appointment.clientId.email,
+        trainerName,
+        trainerEmail: appointment.trainerId?.email,
+        lateCancellation: appointment.lateCancellation,
+        via: 'reminder_email',
+      });
+
+      const emailDateStr = formatApptDateForEmail(appointment.date);
+      await sendApptEmails(
+        appointment,
+        'cancelled',
+        clientName,
+        trainerName,
+        emailDateStr
+      );
+
+      res.json({
+        msg: appointment.lateCancellation
+          ? 'Your session has been cancelled. This counts as a late cancellation.'
+          : 'Your session has been cancelled',
+        appointment: reminderSummary(appointment),
+      });
+    } catch (err) {
+      logger.error('Failed to respond to appointment reminder', { error: err.message });
+      res.status(500).json({ msg: 'Server error' });
+    }
+  },
+
+  /**
+   * GET /appointments/calendar/:token.ics — subscribable calendar feed.
+   * The secret token in the URL stands in for a login.
+   */
+  getCalendarFeed: async (req, res) => {
+    try {
+      const ics = await buildCalendarFeed(req.params.token);
+      if (!ics) {
+        return res.status(404).json({ msg: 'Calendar not found' });
+      }
+      res.set('Content-Type', 'text/calendar; charset=utf-8');
+      res.set('Cache-Control', 'private, max-age=900');
+      res.send(ics);
+    } catch (err) {
+      logger.error('Failed to build calendar feed', { error: err.message });
+      res.status(500).json({ msg: 'Server error' });
+    }
+  },
+
+  /**
+   * POST /appointments/:id/check-in — the client checks in with the code
+   * their trainer shows them.
+   */
+  checkIn: async (req, res) => {
+    try {
+      const appointment = await Appointment.findById(req.params.id).select(
+        '+checkInCode'
+      );
+      if (!appointment) {
+        return res.status(404).json({ msg: 'Appointment not found' });
+      }
+      if (appointment.clientId?.toString() !== req.user.id) {
+        return res.status(403).json({ msg: 'Access denied' });
+      }
+      if (!checkInCodeMatches(appointment.checkInCode, req.body.code)) {
+        return res.status(400).json({ msg: 'That check-in code is not valid' });
+      }
+
+      try {
+        checkIn(appointment, { method: 'code', changedBy: req.user.id });
+      } catch (err) {
+        if (!err.statusCode) throw err;
+        return res.status(err.statusCode).json({ msg: err.message });
+      }
+      await appointment.save();
+
+      logUserAction('check_in_appointment', req.user.id, {
+        appointmentId: appointment._id,
+        trainerId: appointment.trainerId,
+        status: appointment.status,
+        method: 'code',
+      });
+
+      res.json({
+        msg:
+          appointment.status === 'late'
+            ? "You're checked in. This session is recorded as a late arrival."
+            : "You're checked in. Enjoy your session!",
+        appointment: reminderSummary(appointment),
+      });
+    } catch (err) {
+      logger.error('Failed to check in to appointment', { error: err.message });
+      res.status(500).json({ msg: 'Server error' });
+    }
+  },
 };
 
 module.exports = appointmentController;
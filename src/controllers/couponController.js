@@ -0,0 +1,135 @@
+const Coupon = require('../models/Coupon');
+const {
+  asyncHandler,
+  ValidationError,
+  NotFoundError,
+  AppError,
+} = require('../middleware/errorHandler');
+const { logAdminAction } = require('../services/logger');
+const { listPlans } = require('../services/plans');
+
+const EDITABLE_FIELDS = [
+  'description',
+  'discountType',
+  'discountValue',
+  'plans',
+  'maxRedemptions',
+  'expiresAt',
+  'firstTimeOnly',
+  'active',
+];
+
+function pickEditable(body) {
+  return EDITABLE_FIELDS.reduce((acc, field) => {
+    if (body[field] !== undefined) acc[field] = body[field];
+    return acc;
+  }, {});
+}
+
+async function assertKnownPlans(plans) {
+  if (plans === undefined) return;
+  if (!Array.isArray(plans)) {
+    throw new ValidationError('Plans must be a list of known plan keys.');
+  }
+
+  const known = new Set(
+    (await listPlans({ includeInactive: true })).map(plan => plan.key)
+  );
+  if (plans.some(plan => !known.has(plan))) {
+    throw new ValidationError('Plans must be a list of known plan keys.');
+  }
+}
+
+/**
+ * Save a coupon, turning schema and duplicate-key failures into 4xx errors.
+ */
+async function saveCoupon(coupon) {
+  try {
+    return await coupon.save();
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      const first = Object.values(err.errors)[0];
+      throw new ValidationError(first?.message || 'Invalid coupon.');
+    }
+    if (err.code === 11000) {
+      throw new AppError('A coupon with this code already exists.', 409);
+    }
+    throw err;
+  }
+}
+
+// ── Admin: List coupons ───────────────────────────────────────────────────────
+const listCoupons = asyncHandler(async (req, res) => {
+  const filter = {};
+  if (req.query.active === 'true') filter.active = true;
+  if (req.query.active === 'false') filter.active = false;
+
+  const coupons = await Coupon.find(filter).sort({ createdAt: -1 }).lean();
+
+  res.json({ success: true, data: { coupons } });
+});
+
+// ── Admin: Create coupon ──────────────────────────────────────────────────────
+const createCoupon = asyncHandler(async (req, res) => {
+  if (!req.body.code) throw new ValidationError('Code is required.');
+  await assertKnownPlans(req.body.plans);
+
+  const coupon = await saveCoupon(
+    new Coupon({
+      ...pickEditable(req.body),
+      code: req.body.code,
+      createdBy: req.user.id,
+    })
+  );
+
+  logAdminAction(
+    'create_coupon',
+    req.user.id,
+    { couponId: coupon._id, code: coupon.code },
+    req
+  );
+
+  res.status(201).json({ success: true, data: { coupon } });
+});
+
+// ── Admin: Update coupon ──────────────────────────────────────────────────────
+const updateCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id);
+  if (!coupon) throw new NotFoundError('Coupon');
+
+  const updates = pickEditable(req.body);
+  await assertKnownPlans(updates.plans);
+  coupon.set(updates);
+  await saveCoupon(coupon);
+
+  logAdminAction(
+    'update_coupon',
+    req.user.id,
+    { couponId: coupon._id, fields: Object.keys(updates) },
+    req
+  );
+
+  res.json({ success: true, data: { coupon } });
+});
+
+// ── Admin: Deactivate coupon ──────────────────────────────────────────────────
+// Coupons are referenced from the billing ledger, so they are never deleted.
+const deactivateCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findByIdAndUpdate(
+    req.params.id,
+    { active: false },
+    { new: true }
+  );
+  if (!coupon) throw new NotFoundError('Coupon');
+
+  logAdminAction('deactivate_coupon', req.user.id, { couponId: coupon._id }, req);
+
+  res.json({ success: true, data: { coupon } });
+});
+
+module.exports = {
+  listCoupons,
+  createCoupon,
+  updateCoupon,
+  deactivateCoupon,
+};
@@ -0,0 +1,230 @@
+const mongoose = require('mongoose');
+
+const { logger, logAdminAction } = require('../services/logger');
+const Exercise = require('../models/Exercise');
+const { MUSCLE_GROUPS, EQUIPMENT } = require('../config/exerciseCatalog');
+const {
+  searchExercises,
+  unmatchedExerciseNames,
+  mergeExerciseNames,
+} = require('../services/exercises');
+const { recomputeMergedRecords } = require('../services/personalRecords');
+
+const EDITABLE_FIELDS = [
+  'name',
+  'aliases',
+  'primaryMuscles',
+  'secondaryMuscles',
+  'equipment',
+  'movementPattern',
+  'unilateral',
+  'isActive',
+];
+
+function pickEditable(body) {
+  return EDITABLE_FIELDS.reduce((acc, field) => {
+    if (body[field] !== undefined) acc[field] = body[field];
+    return acc;
+  }, {});
+}
+
+/**
+ * Map schema and duplicate-key failures to a 4xx response.
+ * Returns true when the response has been sent.
+ */
+function handleSaveError(err, res) {
+  if (err.name === 'ValidationError') {
+    const first = Object.values(err.errors)[0];
+    res.status(400).json({ success: false, error: first?.message || 'Invalid exercise' });
+    return true;
+  }
+  if (err.code === 11000) {
+    res
+      .status(409)
+      .json({ success: false, error: 'An exercise with this key already exists' });
+    return true;
+  }
+  return false;
+}
+
+const exerciseController = {
+  /**
+   * GET /api/v1/exercises — autocomplete search of the catalogue.
+   * Query: q, muscle, equipment, limit.
+   */
+  searchExercises: async (req, res) => {
+    try {
+      const { q, muscle, equipment } = req.query;
+      if (muscle && !MUSCLE_GROUPS.includes(muscle)) {
+        return res.status(400).json({ success: false, error: 'Unknown muscle group' });
+      }
+      if (equipment && !EQUIPMENT.includes(equipment)) {
+        return res.status(400).json({ success: false, error: 'Unknown equipment' });
+      }
+
+      const exercises = await searchExercises(String(q || '').slice(0, 100), {
+        muscle,
+        equipment,
+        limit: parseInt(req.query.limit) || undefined,
+      });
+      res.json({ success: true, exercises });
+    } catch (err) {
+      logger.error('Exercise search error', { error: err.message });
+      res.status(500).json({ success: false, error: 'Failed to search exercises' });
+    }
+  },
+
+  /**
+   * GET /api/v1/exercises/:id
+   */
+  getExercise: async (req, res) => {
+    try {
+      const exercise = mongoose.isValidObjectId(req.params.id)
+        ? await Exercise.findOne({ _id: req.params.id, isActive: true })
+            .select('-searchTerms')
+            .lean()
+        : null;
+      if (!exercise) {
+        return res.status(404).json({ success: false, error: 'Exercise not found' });
+      }
+
+      res.json({ success: true, exercise });
+    } catch (err) {
+      logger.error('Exercise lookup error', { error: err.message });
+      res.status(500).json({ success: false, error: 'Server error' });
+    }
+  },
+
+  /**
+   * GET /api/v1/admin/exercises/unmatched — logged names not linked to the
+   * catalogue, with suggested entries to merge them into.
+   */
+  adminListUnmatchedNames: async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const names = await unmatchedExerciseNames({ limit });
+      res.json({ success: true, names });
+    } catch (err) {
+      logger.error('Unmatched exercise names error', { error: err.message });
+      res.status(500).json({ success: false, error: 'Failed to fetch exercise names' });
+    }
+  },
+
+  /**
+   * POST /api/v1/admin/exercises/merge — link every logged exercise with one of
+   * `names` to the catalogue entry `exerciseId`. Body: { names, exerciseId,
+   * addAliases }; the names become aliases of the entry unless addAliases is false.
+   */
+  adminMergeExerciseNames: async (req, res) => {
+    try {
+      const { names, exerciseId, addAliases } = req.body;
+      if (
+        !Array.isArray(names) ||
+        names.length === 0 ||
+        names.some(name => typeof name !== 'string')
+      ) {
+        return res
+          .status(400)
+          .json({ success: false, error: 'names must be a list of exercise names' });
+      }
+      if (!mongoose.isValidObjectId(exerciseId)) {
+        return res.status(404).json({ success: false, error: 'Exercise not found' });
+      }
+
+      const result = await mergeExerciseNames(names, exerciseId, {
+        addAliases: addAliases !== false,
+      });
+      if (!result) {
+        return res.status(404).json({ success: false, error: 'Exercise not found' });
+      }
+      await recomputeMergedRecords(names, result.exercise._id);
+
+      logAdminAction(
+        'merge_exercise_names',
+        req.user.id,
+        {
+          exerciseId: result.exercise._id,
+          exerciseName: result.exercise.name,
+          names,
+          logsUpdated: result.logsUpdated,
+        },
+        req
+      );
+
+      res.json({
+        success: true,
+        exercise: result.exercise,
+        logsUpdated: result.logsUpdated,
+        aliasesAdded: result.aliasesAdded,
+      });
+    } catch (err) {
+      if (handleSaveError(err, res)) return;
+      logger.error('Exercise merge failed', { error: err.message });
+      res.status(500).json({ success: false, error: 'Failed to merge exercise names' });
+    }
+  },
+
+  /**
+   * POST /api/v1/admin/exercises — add a catalogue entry, e.g. for a logged
+   * name nothing matches.
+   */
+  adminCreateExercise: async (req, res) => {
+    try {
+      if (!req.body.key) {
+        return res.status(400).json({ success: false, error: 'Key is required' });
+      }
+
+      const exercise = await Exercise.create({
+        ...pickEditable(req.body),
+        key: req.body.key,
+      });
+
+      logAdminAction(
+        'create_exercise',
+        req.user.id,
+        { exerciseId: exercise._id, key: exercise.key, name: exercise.name },
+        req
+      );
+
+      res.status(201).json({ success: true, exercise });
+    } catch (err) {
+      if (handleSaveError(err, res)) return;
+      logger.error('Exercise creation failed', { error: err.message });
+      res.status(500).json({ success: false, error: 'Failed to create exercise' });
+    }
+  },
+
+  /**
+   * PATCH /api/v1/admin/exercises/:id — the key cannot be changed. Logs
+   * already linked keep their link when the entry is deactivated.
+   */
+  adminUpdateExercise: async (req, res) => {
+    try {
+      const exercise = mongoose.isValidObjectId(req.params.id)
+        ? await Exercise.findById(req.params.id)
+        : null;
+      if (!exercise) {
+        return res.status(404).json({ success: false, error: 'Exercise not found' });
+      }
+
+      const updates = pickEditable(req.body);
+      exercise.set(updates);
+      await exercise.save();
+
+      logAdminAction(
+        'update_exercise',
+        req.user.id,
+        { exerciseId: exercise._id, key: exercise.key, fields: Object.keys(updates) },
+        req
+      );
+
+      res.json({ success: true, exercise });
+    } catch (err) {
+      if (handleSaveError(err, res)) return;
+      logger.error('Exercise update failed', { error: err.message });
+      res.status(500).json({ success: false, error: 'Failed to update exercise' });
+    }
+  },
+};
+
+module.exports = exerciseController;
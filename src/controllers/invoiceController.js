@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const Invoice = require('../models/Invoice');
+const {
+  asyncHandler,
+  ValidationError,
+  NotFoundError,
+} = require('../middleware/errorHandler');
+const {
+  getInvoicesForUser,
+  renderInvoiceHtml,
+  renderInvoicePdf,
+} = require('../services/invoices');
+
+const FORMATS = ['pdf', 'html'];
+
+function assertObjectId(id) {
+  if (!mongoose.isValidObjectId(id)) throw new ValidationError('Invalid invoice id.');
+}
+
+// ?format=html renders a printable page; anything else downloads the PDF
+function sendInvoice(req, res, invoice) {
+  const format = req.query.format || 'pdf';
+  if (!FORMATS.includes(format)) {
+    throw new ValidationError(`Format must be one of: ${FORMATS.join(', ')}.`);
+  }
+
+  if (format === 'html') {
+    return res.type('html').send(renderInvoiceHtml(invoice));
+  }
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${invoice.number}.pdf"`,
+  });
+  res.send(renderInvoicePdf(invoice));
+}
+
+// ── Member: List own invoices ─────────────────────────────────────────────────
+const listMyInvoices = asyncHandler(async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const limit = Math.min(50, parseInt(req.query.limit) || 20);
+
+  const { invoices, pagination } = await getInvoicesForUser(req.user._id, {
+    page,
+    limit,
+  });
+
+  res.json({ success: true, data: { invoices, pagination } });
+});
+
+// ── Member: Download one of their invoices ────────────────────────────────────
+const getMyInvoice = asyncHandler(async (req, res) => {
+  assertObjectId(req.params.id);
+
+  const invoice = await Invoice.findOne({
+    _id: req.params.id,
+    userId: req.user._id,
+  }).lean();
+  if (!invoice) throw new NotFoundError('Invoice');
+
+  sendInvoice(req, res, invoice);
+});
+
+// ── Admin: Download any invoice ───────────────────────────────────────────────
+const adminGetInvoice = asyncHandler(async (req, res) => {
+  assertObjectId(req.params.id);
+
+  const invoice = await Invoice.findById(req.params.id).lean();
+  if (!invoice) throw new NotFoundError('Invoice');
+
+  sendInvoice(req, res, invoice);
+});
+
+module.exports = {
+  listMyInvoices,
+  getMyInvoice,
+  adminGetInvoice,
+};
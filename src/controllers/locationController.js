@@ -0,0 +1,99 @@
+const { logger, logAdminAction } = require('../services/logger');
+const Location = require('../models/Location');
+
+const EDITABLE_FIELDS = ['name', 'address', 'timezone', 'isActive'];
+
+function pickEditable(body) {
+  return EDITABLE_FIELDS.reduce((acc, field) => {
+    if (body[field] !== undefined) acc[field] = body[field];
+    return acc;
+  }, {});
+}
+
+/**
+ * Map schema and duplicate-key failures to a 4xx response.
+ * Returns true when the response has been sent.
+ */
+function handleSaveError(err, res) {
+  if (err.name === 'ValidationError') {
+    const first = Object.values(err.errors)[0];
+    res.status(400).json({ success: false, error: first?.message || 'Invalid location' });
+    return true;
+  }
+  if (err.code === 11000) {
+    res
+      .status(409)
+      .json({ success: false, error: 'A location with this name already exists' });
+    return true;
+  }
+  return false;
+}
+
+const locationController = {
+  /**
+   * GET /api/v1/admin/locations — every location, including inactive ones.
+   */
+  adminListLocations: async (req, res) => {
+    try {
+      const locations = await Location.find().sort({ name: 1 }).lean();
+      res.json({ success: true, locations });
+    } catch (err) {
+      logger.error('Admin location list error', { error: err.message });
+      res.status(500).json({ success: false, error: 'Failed to fetch locations' });
+    }
+  },
+
+  /**
+   * POST /api/v1/admin/locations
+   */
+  adminCreateLocation: async (req, res) => {
+    try {
+      const location = await Location.create(pickEditable(req.body));
+
+      logAdminAction(
+        'create_location',
+        req.user.id,
+        { locationId: location._id, name: location.name, timezone: location.timezone },
+        req
+      );
+
+      res.status(201).json({ success: true, location });
+    } catch (err) {
+      if (handleSaveError(err, res)) return;
+      logger.error('Location creation failed', { error: err.message });
+      res.status(500).json({ success: false, error: 'Failed to create location' });
+    }
+  },
+
+  /**
+   * PATCH /api/v1/admin/locations/:id — a new timezone applies to bookings made
+   * from then on; existing appointments keep the instant they were booked for.
+   */
+  adminUpdateLocation: async (req, res) => {
+    try {
+      const location = await Location.findById(req.params.id);
+      if (!location) {
+        return res.status(404).json({ success: false, error: 'Location not found' });
+      }
+
+      const updates = pickEditable(req.body);
+      location.set(updates);
+      await location.save();
+
+      logAdminAction(
+        'update_location',
+        req.user.id,
+        { locationId: location._id, name: location.name, fields: Object.keys(updates) },
+        req
+      );
+
+      res.json({ success: true, location });
+    } catch (err) {
+      if (handleSaveError(err, res)) return;
+      logger.error('Location update failed', { error: err.message });
+      res.status(500).json({ success: false, error: 'Failed to update location' });
+    }
+  },
+};
+
+module.exports = locationController;
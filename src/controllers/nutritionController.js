@@ -2,6 +2,7 @@ const mongoose = require('mongoose');
 
 const sanitizeHtml = require('sanitize-html');
 
+const MealLog = require('../models/MealLog');
 const User = require('../models/User');
 const {
   asyncHandler,
@@ -63,13 +64,10 @@ const nutritionController = {
         : undefined,
     };
 
-    const user = await User.findById(userId).select('mealLogs firstName lastName email');
+    const user = await User.findById(userId).select('firstName lastName email');
     if (!user) throw new NotFoundError('User');
 
-    user.mealLogs.push(mealLog);
-    await user.save();
-
-    const createdLog = user.mealLogs[user.mealLogs.length - 1];
+    const createdLog = await MealLog.create({ userId, ...mealLog });
     logUserAction('meal_logged', userId, {
       userName: `${user.firstName} ${user.lastName}`,
       userEmail: user.email,
@@ -90,33 +88,33 @@ const nutritionController = {
     const sortOrder = req.query.sortOrder === 'asc' ? 1 : -1;
     const { startDate, endDate, mealType } = req.query;
 
-    const user = await User.findById(userId).select('mealLogs');
-    if (!user) throw new NotFoundError('User');
-
-    let meals = user.mealLogs.filter(log => !log.deletedAt);
-
+    const filter = { userId, deletedAt: null };
     if (mealType && VALID_MEAL_TYPES.includes(mealType)) {
-      meals = meals.filter(m => m.mealType === mealType);
+      filter.mealType = mealType;
     }
-    if (startDate) {
-      const start = new Date(startDate);
-      meals = meals.filter(m => new Date(m.date) >= start);
-    }
-    if (endDate) {
-      const end = new Date(endDate);
-      end.setHours(23, 59, 59, 999);
-      meals = meals.filter(m => new Date(m.date) <= end);
+    if (startDate || endDate) {
+      filter.date = {};
+      if (startDate) filter.date.$gte = new Date(startDate);
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        filter.date.$lte = end;
+      }
     }
 
-    meals.sort((a, b) => sortOrder * (new Date(b.date) - new Date(a.date)));
-
-    const total = meals.length;
     const startIndex = (page - 1) * limit;
-    const paginated = meals.slice(startIndex, startIndex + limit);
+    const [meals, total] = await Promise.all([
+      MealLog.find(filter)
+        .sort({ date: sortOrder, _id: sortOrder })
+        .skip(startIndex)
+        .limit(limit)
+        .lean(),
+      MealLog.countDocuments(filter),
+    ]);
 
     res.json({
       success: true,
-      meals: paginated,
+      meals,
       pagination: {
         currentPage: page,
         totalPages: Math.ceil(total / limit) || 1,
@@ -137,11 +135,12 @@ const nutritionController = {
       throw new ValidationError('Invalid meal ID');
     }
 
-    const user = await User.findById(req.user.id).select('mealLogs');
-    if (!user) throw new NotFoundError('User');
-
-    const meal = user.mealLogs.id(id);
-    if (!meal || meal.deletedAt) throw new NotFoundError('Meal');
+    const meal = await MealLog.findOne({
+      _id: id,
+      userId: req.user.id,
+      deletedAt: null,
+    }).lean();
+    if (!meal) throw new NotFoundError('Meal');
 
     res.json({ success: true, meal });
   }),
@@ -156,16 +155,14 @@ const nutritionController = {
       throw new ValidationError('Invalid meal ID');
     }
 
-    const user = await User.findById(req.user.id).select(
-      'mealLogs firstName lastName email'
-    );
+    const user = await User.findById(req.user.id).select('firstName lastName email');
     if (!user) throw new NotFoundError('User');
 
-    const meal = user.mealLogs.id(id);
-    if (!meal || meal.deletedAt) throw new NotFoundError('Meal');
+    const meal = await MealLog.findOne({ _id: id, userId: req.user.id, deletedAt: null });
+    if (!meal) throw new NotFoundError('Meal');
 
     meal.deletedAt = new Date();
-    await user.save();
+    await meal.save();
 
     logUserAction('meal_deleted', req.user.id, {
       userName: `${user.firstName} ${user.lastName}`,
@@ -179,12 +176,50 @@ const nutritionController = {
    * Get nutrition stats summary
    */
   getStatsSummary: asyncHandler(async (req, res) => {
-    const user = await User.findById(req.user.id).select('mealLogs');
-    if (!user) throw new NotFoundError('User');
+    const sevenDaysAgo = new Date();
+    sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
 
-    const active = user.mealLogs.filter(m => !m.deletedAt);
+    const [summary] = await MealLog.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(req.user.id), deletedAt: null } },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                totalMeals: { $sum: 1 },
+                totalCalories: { $sum: '$totalCalories' },
+                last7DaysCalories: {
+                  $sum: {
+                    $cond: [{ $gte: ['$date', sevenDaysAgo] }, '$totalCalories', 0],
+                  },
+                },
+                days: {
+                  $addToSet: { $dateToString: { format: '%Y-%m-%d', date: '$date' } },
+                },
+              },
+            },
+          ],
+          // Top 5 foods by frequency
+          topFoods: [
+            { $unwind: '$foods' },
+            { $group: { _id: '$foods.foodName', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: 5 },
+          ],
+          mealTypes: [{ $group: { _id: '$mealType', count: { $sum: 1 } } }],
+          lastMeal: [
+            { $sort: { date: -1 } },
+            { $limit: 1 },
+            { $project: { _id: 0, mealType: 1, date: 1, totalCalories: 1 } },
+          ],
+        },
+      },
+    ]);
 
-    if (active.length === 0) {
+    const mealTypeBreakdown = { breakfast: 0, lunch: 0, dinner: 0, snack: 0 };
+    const totals = summary?.totals[0];
+    if (!totals) {
       return res.json({
         success: true,
         stats: {
@@ -192,63 +227,25 @@ const nutritionController = {
           dailyAverageCalories: 0,
           last7DaysCalories: 0,
           topFoods: [],
-          mealTypeBreakdown: { breakfast: 0, lunch: 0, dinner: 0, snack: 0 },
+          mealTypeBreakdown,
           lastMeal: null,
         },
       });
     }
 
-    // Group by date to compute daily averages
-    const dayMap = {};
-    active.forEach(m => {
-      const day = new Date(m.date).toISOString().slice(0, 10);
-      dayMap[day] = (dayMap[day] || 0) + m.totalCalories;
-    });
-    const uniqueDays = Object.keys(dayMap).length;
-    const totalCals = Object.values(dayMap).reduce((s, c) => s + c, 0);
-    const dailyAverageCalories = uniqueDays > 0 ? Math.round(totalCals / uniqueDays) : 0;
-
-    // Last 7 days calories
-    const sevenDaysAgo = new Date();
-    sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-    const last7DaysCalories = active
-      .filter(m => new Date(m.date) >= sevenDaysAgo)
-      .reduce((s, m) => s + m.totalCalories, 0);
-
-    // Top 5 foods by frequency
-    const foodCount = {};
-    active.forEach(m =>
-      m.foods.forEach(f => {
-        foodCount[f.foodName] = (foodCount[f.foodName] || 0) + 1;
-      })
-    );
-    const topFoods = Object.entries(foodCount)
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 5)
-      .map(([name]) => name);
-
-    // Meal type breakdown
-    const mealTypeBreakdown = { breakfast: 0, lunch: 0, dinner: 0, snack: 0 };
-    active.forEach(m => {
-      mealTypeBreakdown[m.mealType]++;
+    summary.mealTypes.forEach(({ _id, count }) => {
+      mealTypeBreakdown[_id] = count;
     });
 
-    const sorted = [...active].sort((a, b) => new Date(b.date) - new Date(a.date));
-    const lastMeal = sorted[0];
-
     res.json({
       success: true,
       stats: {
-        totalMeals: active.length,
-        dailyAverageCalories,
-        last7DaysCalories,
-        topFoods,
+        totalMeals: totals.totalMeals,
+        dailyAverageCalories: Math.round(totals.totalCalories / totals.days.length),
+        last7DaysCalories: totals.last7DaysCalories,
+        topFoods: summary.topFoods.map(f => f._id),
         mealTypeBreakdown,
-        lastMeal: {
-          mealType: lastMeal.mealType,
-          date: lastMeal.date,
-          totalCalories: lastMeal.totalCalories,
-        },
+        lastMeal: summary.lastMeal[0],
       },
     });
   }),
@@ -259,45 +256,38 @@ const nutritionController = {
   getDailyTotals: asyncHandler(async (req, res) => {
     const days = Math.min(parseInt(req.query.days) || 30, 90);
 
-    const user = await User.findById(req.user.id).select('mealLogs');
-    if (!user) throw new NotFoundError('User');
-
     const cutoff = new Date();
     cutoff.setDate(cutoff.getDate() - days);
 
-    const active = user.mealLogs.filter(m => !m.deletedAt && new Date(m.date) >= cutoff);
-
-    const dayMap = {};
-    active.forEach(m => {
-      const day = new Date(m.date).toISOString().slice(0, 10);
-      if (!dayMap[day]) {
-        dayMap[day] = {
-          date: day,
-          totalCalories: 0,
-          totalProtein: 0,
-          totalCarbs: 0,
-          totalFat: 0,
-          mealCount: 0,
-        };
-      }
-      dayMap[day].totalCalories += m.totalCalories;
-      dayMap[day].mealCount++;
-      m.foods.forEach(f => {
-        dayMap[day].totalProtein += f.protein || 0;
-        dayMap[day].totalCarbs += f.carbs || 0;
-        dayMap[day].totalFat += f.fat || 0;
-      });
-    });
-
-    const dailyTotals = Object.values(dayMap)
-      .sort((a, b) => a.date.localeCompare(b.date))
-      .map(d => ({
-        ...d,
-        totalCalories: Math.round(d.totalCalories),
-        totalProtein: Math.round(d.totalProtein),
-        totalCarbs: Math.round(d.totalCarbs),
-        totalFat: Math.round(d.totalFat),
-      }));
+    const totals = await MealLog.aggregate([
+      {
+        $match: {
+          userId: new mongoose.Types.ObjectId(req.user.id),
+          deletedAt: null,
+          date: { $gte: cutoff },
+        },
+      },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$date' } },
+          totalCalories: { $sum: '$totalCalories' },
+          totalProtein: { $sum: { $sum: '$foods.protein' } },
+          totalCarbs: { $sum: { $sum: '$foods.carbs' } },
+          totalFat: { $sum: { $sum: '$foods.fat' } },
+          mealCount: { $sum: 1 },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]);
+
+    const dailyTotals = totals.map(d => ({
+      date: d._id,
+      totalCalories: Math.round(d.totalCalories),
+      totalProtein: Math.round(d.totalProtein),
+      totalCarbs: Math.round(d.totalCarbs),
+      totalFat: Math.round(d.totalFat),
+      mealCount: d.mealCount,
+    }));
 
     res.json({ success: true, dailyTotals });
   }),
@@ -1,55 +1,63 @@
-const { logger } = require('../services/logger');
-const StripePlan = require('../models/StripePlan');
+const { logger, logAdminAction } = require('../services/logger');
+const Plan = require('../models/Plan');
+const { listPlans, getPlan, toPlanData } = require('../services/plans');
+
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'durationDays',
+  'prices',
+  'currency',
+  'active',
+  'displayOrder',
+  'features',
+];
+
+function pickEditable(body) {
+  return EDITABLE_FIELDS.reduce((acc, field) => {
+    if (body[field] !== undefined) acc[field] = body[field];
+    return acc;
+  }, {});
+}
+
+/**
+ * Map schema and duplicate-key failures to a 4xx response.
+ * Returns true when the response has been sent.
+ */
+function handleSaveError(err, res) {
+  if (err.name === 'ValidationError') {
+    const first = Object.values(err.errors)[0];
+    res.status(400).json({ success: false, error: first?.message || 'Invalid plan' });
+    return true;
+  }
+  if (err.code === 11000) {
+    res
+      .status(409)
+      .json({ success: false, error: 'A plan with this key already exists' });
+    return true;
+  }
+  return false;
+}
+
+// Price in the plan's own billing currency, e.g. "$115.00" or "JMD 18,000.00"
+function displayPrice(plan) {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: plan.currency,
+  }).format(plan.price);
+}
 
 const planController = {
   /**
-   * GET /api/v1/plans — public plan catalog query.
+   * GET /api/v1/plans — public plan catalog, in display order.
    */
   getAllPlans: async (req, res) => {
     try {
-      const { lookupKey, active = 'true', sort = 'interval' } = req.query;
-
-      const matchFilter = { active: active === 'true' };
-      if (lookupKey) matchFilter.lookupKey = lookupKey;
-
-      // Compute monthsEquivalent for interval sorting (1m=1,3m=3,...,12m=12)
-      const pipeline = [
-        { $match: matchFilter },
-        {
-          $addFields: {
-            monthsEquivalent: {
-              $cond: {
-                if: { $eq: ['$interval', 'year'] },
-                then: { $multiply: ['$intervalCount', 12] },
-                else: '$intervalCount',
-              },
-            },
-          },
-        },
-      ];
-
-      let sortStage;
-      switch (sort) {
-        case 'name':
-          sortStage = { $sort: { name: 1 } };
-          break;
-        case 'unitAmount':
-          sortStage = { $sort: { unitAmount: 1 } };
-          break;
-        case 'interval':
-        default:
-          sortStage = { $sort: { monthsEquivalent: 1, unitAmount: 1 } };
-          break;
-      }
-      pipeline.push(sortStage);
-
-      const plans = await StripePlan.aggregate(pipeline);
+      const plans = await listPlans();
 
       const formatted = plans.map(plan => ({
         ...plan,
-        _id: plan._id?.toString(),
-        displayPrice: `$${(plan.unitAmount / 100).toFixed(2)}`,
-        intervalDisplay: `${plan.interval}${plan.intervalCount > 1 ? ` x${plan.intervalCount}` : ''}`,
+        displayPrice: displayPrice(plan),
       }));
 
       res.json({ success: true, count: formatted.length, plans: formatted });
@@ -60,14 +68,11 @@ const planController = {
   },
 
   /**
-   * GET /api/v1/plans/:lookupKey — single active plan by lookup key.
+   * GET /api/v1/plans/:key — single active plan by key.
    */
-  getPlanByLookupKey: async (req, res) => {
+  getPlanByKey: async (req, res) => {
     try {
-      const plan = await StripePlan.findOne({
-        lookupKey: req.params.lookupKey,
-        active: true,
-      }).lean();
+      const plan = await getPlan(req.params.key);
 
       if (!plan) {
         return res.status(404).json({ success: false, error: 'Plan not found' });
@@ -77,7 +82,7 @@ const planController = {
         success: true,
         plan: {
           ...plan,
-          displayPrice: `$${(plan.unitAmount / 100).toFixed(2)}`,
+          displayPrice: displayPrice(plan),
         },
       });
     } catch (err) {
@@ -85,6 +90,109 @@ const planController = {
       res.status(500).json({ success: false, error: 'Server error' });
     }
   },
+
+  /**
+   * GET /api/v1/admin/plans — every plan, including retired ones.
+   */
+  adminListPlans: async (req, res) => {
+    try {
+      const plans = await Plan.find().sort({ displayOrder: 1, durationDays: 1 }).lean();
+
+      res.json({
+        success: true,
+        plans: plans.map(plan => ({ _id: plan._id, ...toPlanData(plan) })),
+      });
+    } catch (err) {
+      logger.error('Admin plan list error', { error: err.message });
+      res.status(500).json({ success: false, error: 'Failed to fetch plans' });
+    }
+  },
+
+  /**
+   * POST /api/v1/admin/plans
+   */
+  adminCreatePlan: async (req, res) => {
+    try {
+      if (!req.body.key) {
+        return res.status(400).json({ success: false, error: 'Key is required' });
+      }
+
+      const plan = await Plan.create({ ...pickEditable(req.body), key: req.body.key });
+
+      logAdminAction(
+        'create_plan',
+        req.user.id,
+        { planId: plan._id, key: plan.key },
+        req
+      );
+
+      res
+        .status(201)
+        .json({ success: true, plan: { _id: plan._id, ...toPlanData(plan) } });
+    } catch (err) {
+      if (handleSaveError(err, res)) return;
+      logger.error('Plan creation failed', { error: err.message });
+      res.status(500).json({ success: false, error: 'Failed to create plan' });
+    }
+  },
+
+  /**
+   * PATCH /api/v1/admin/plans/:id — the key cannot be changed.
+   */
+  adminUpdatePlan: async (req, res) => {
+    try {
+      const plan = await Plan.findById(req.params.id);
+      if (!plan) {
+        return res.status(404).json({ success: false, error: 'Plan not found' });
+      }
+
+      const updates = pickEditable(req.body);
+      plan.set(updates);
+      await plan.save();
+
+      logAdminAction(
+        'update_plan',
+        req.user.id,
+        { planId: plan._id, key: plan.key, fields: Object.keys(updates) },
+        req
+      );
+
+      res.json({ success: true, plan: { _id: plan._id, ...toPlanData(plan) } });
+    } catch (err) {
+      if (handleSaveError(err, res)) return;
+      logger.error('Plan update failed', { error: err.message });
+      res.status(500).json({ success: false, error: 'Failed to update plan' });
+    }
+  },
+
+  /**
+   * DELETE /api/v1/admin/plans/:id — retires the plan. Subscriptions, the
+   * billing ledger and coupons refer to plans by key, so they are never removed.
+   */
+  adminDeactivatePlan: async (req, res) => {
+    try {
+      const plan = await Plan.findByIdAndUpdate(
+        req.params.id,
+        { active: false },
+        { new: true }
+      );
+      if (!plan) {
+        return res.status(404).json({ success: false, error: 'Plan not found' });
+      }
+
+      logAdminAction(
+        'deactivate_plan',
+        req.user.id,
+        { planId: plan._id, key: plan.key },
+        req
+      );
+
+      res.json({ success: true, plan: { _id: plan._id, ...toPlanData(plan) } });
+    } catch (err) {
+      logger.error('Plan deactivation failed', { error: err.message });
+      res.status(500).json({ success: false, error: 'Failed to deactivate plan' });
+    }
+  },
 };
 
 module.exports = planController;
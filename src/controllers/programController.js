@@ -0,0 +1,239 @@
+const mongoose = require('mongoose');
+
+const sanitizeHtml = require('sanitize-html');
+
+const Appointment = require('../models/Appointment');
+const Program = require('../models/Program');
+const User = require('../models/User');
+const {
+  asyncHandler,
+  ValidationError,
+  NotFoundError,
+  AuthorizationError,
+} = require('../middleware/errorHandler');
+const { DEFAULT_TIMEZONE } = require('../config/schedulingConstants');
+const { logUserAction } = require('../services/logger');
+const { getProgramStatus, assignProgram, endProgram } = require('../services/programs');
+const { localDateString } = require('../utils/dateUtils');
+
+const cleanText = (value, maxLength) =>
+  sanitizeHtml(String(value ?? ''), { allowedTags: [], allowedAttributes: {} })
+    .trim()
+    .substring(0, maxLength);
+
+const optionalNumber = value =>
+  value === undefined || value === null || value === '' ? null : Number(value);
+
+// Parse a YYYY-MM-DD value to a UTC midnight, or null
+function parseDateOnly(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const date = new Date(`${value}T00:00:00.000Z`);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Today as a UTC midnight: the client's local date when sent, else the gym's
+function requestToday(value) {
+  return (
+    parseDateOnly(value) ||
+    new Date(`${localDateString(new Date(), DEFAULT_TIMEZONE)}T00:00:00.000Z`)
+  );
+}
+
+// Shape the request's weeks for the Program schema; ranges are left to it
+function buildWeeks(weeks) {
+  if (!Array.isArray(weeks) || weeks.length === 0) {
+    throw new ValidationError('A program needs at least one week');
+  }
+  return weeks.map((week, w) => {
+    if (!Array.isArray(week?.days)) {
+      throw new ValidationError(`Week ${w + 1} needs a list of days`);
+    }
+    return {
+      days: week.days.map(day => ({
+        ...(mongoose.isValidObjectId(day._id) ? { _id: day._id } : {}),
+        dayOfWeek: Number(day.dayOfWeek),
+        name: cleanText(day.name, 60),
+        exercises: (Array.isArray(day.exercises) ? day.exercises : []).map(ex => ({
+          exerciseName: cleanText(ex.exerciseName, 100),
+          sets: Number(ex.sets),
+          reps: Number(ex.reps),
+          percent1RM: optionalNumber(ex.percent1RM),
+          restSeconds: optionalNumber(ex.restSeconds),
+          notes: ex.notes ? cleanText(ex.notes, 200) : undefined,
+        })),
+      })),
+    };
+  });
+}
+
+// Throw the first schema error as a ValidationError
+function validateProgram(program) {
+  const err = program.validateSync();
+  if (err) {
+    throw new ValidationError(Object.values(err.errors)[0]?.message || err.message);
+  }
+}
+
+async function findOwnProgram(programId, trainerId) {
+  if (!mongoose.isValidObjectId(programId)) throw new NotFoundError('Program');
+  const program = await Program.findOne({ _id: programId, trainerId });
+  if (!program) throw new NotFoundError('Program');
+  return program;
+}
+
+async function requireClientRelationship(trainerId, clientId) {
+  if (!mongoose.isValidObjectId(clientId)) throw new NotFoundError('Client');
+  const hasRelationship = await Appointment.exists({ trainerId, clientId });
+  if (!hasRelationship) throw new AuthorizationError();
+}
+
+const programController = {
+  /**
+   * List the trainer's programs, archived ones last
+   */
+  listPrograms: asyncHandler(async (req, res) => {
+    const programs = await Program.find({ trainerId: req.user.id })
+      .sort({ isActive: -1, updatedAt: -1 })
+      .lean();
+    res.json({ success: true, programs });
+  }),
+
+  /**
+   * Get one of the trainer's programs
+   */
+  getProgram: asyncHandler(async (req, res) => {
+    const program = await findOwnProgram(req.params.programId, req.user.id);
+    res.json({ success: true, program });
+  }),
+
+  /**
+   * Create a program
+   */
+  createProgram: asyncHandler(async (req, res) => {
+    const { name, description, weeks } = req.body;
+
+    const program = new Program({
+      trainerId: req.user.id,
+      name: cleanText(name, 100),
+      description: description ? cleanText(description, 1000) : undefined,
+      weeks: buildWeeks(weeks),
+    });
+    validateProgram(program);
+    await program.save();
+
+    logUserAction('program_created', req.user.id, {
+      programId: program._id.toString(),
+      programName: program.name,
+    });
+    res.status(201).json({ success: true, program });
+  }),
+
+  /**
+   * Update a program. Clients on it follow the new version from now on.
+   */
+  updateProgram: asyncHandler(async (req, res) => {
+    const program = await findOwnProgram(req.params.programId, req.user.id);
+    const { name, description, weeks, isActive } = req.body;
+
+    if (name !== undefined) program.name = cleanText(name, 100);
+    if (description !== undefined) program.description = cleanText(description, 1000);
+    if (weeks !== undefined) program.weeks = buildWeeks(weeks);
+    if (isActive !== undefined) program.isActive = Boolean(isActive);
+    validateProgram(program);
+    await program.save();
+
+    res.json({ success: true, program });
+  }),
+
+  /**
+   * Archive a program. Clients already on it keep following it.
+   */
+  archiveProgram: asyncHandler(async (req, res) => {
+    const program = await findOwnProgram(req.params.programId, req.user.id);
+    program.isActive = false;
+    await program.save();
+
+    res.json({ success: true, program });
+  }),
+
+  /**
+   * A client's current program and adherence
+   */
+  getClientProgram: asyncHandler(async (req, res) => {
+    const { clientId } = req.params;
+    await requireClientRelationship(req.user.id, clientId);
+
+    const status = await getProgramStatus(clientId, requestToday(req.query.date));
+    res.json({ success: true, current: status });
+  }),
+
+  /**
+   * Put a client on one of the trainer's programs, ending their current one
+   */
+  assignClientProgram: asyncHandler(async (req, res) => {
+    const { clientId } = req.params;
+    const { programId, startDate } = req.body;
+    await requireClientRelationship(req.user.id, clientId);
+
+    const program = await findOwnProgram(programId, req.user.id);
+    if (!program.isActive) throw new ValidationError('This program is archived');
+    const start = startDate === undefined ? requestToday() : parseDateOnly(startDate);
+    if (!start) throw new ValidationError('startDate must be a date (YYYY-MM-DD)');
+
+    const client = await User.findById(clientId).select('firstName lastName email');
+    if (!client) throw new NotFoundError('Client');
+
+    await assignProgram(clientId, program._id, {
+      assignedBy: req.user.id,
+      startDate: start,
+    });
+
+    logUserAction('program_assigned', req.user.id, {
+      clientName: `${client.firstName} ${client.lastName}`,
+      clientEmail: client.email,
+      programName: program.name,
+    });
+    const status = await getProgramStatus(clientId, requestToday(req.query.date));
+    res.status(201).json({ success: true, current: status });
+  }),
+
+  /**
+   * Take a client off their current program
+   */
+  endClientProgram: asyncHandler(async (req, res) => {
+    const { clientId } = req.params;
+    await requireClientRelationship(req.user.id, clientId);
+
+    if (!(await endProgram(clientId))) throw new NotFoundError('Current program');
+    res.json({ success: true, message: 'Program ended' });
+  }),
+
+  /**
+   * The signed-in client's current program and adherence
+   */
+  getMyProgram: asyncHandler(async (req, res) => {
+    const status = await getProgramStatus(req.user.id, requestToday(req.query.date));
+    res.json({ success: true, current: status });
+  }),
+
+  /**
+   * The workout the signed-in client's program has for today, to prefill the log form
+   */
+  getTodaysWorkout: asyncHandler(async (req, res) => {
+    const status = await getProgramStatus(req.user.id, requestToday(req.query.date));
+    if (!status?.today) return res.json({ success: true, workout: null });
+
+    res.json({
+      success: true,
+      workout: {
+        programId: status.program._id,
+        programName: status.program.name,
+        week: status.today.week,
+        day: status.today.day,
+        logged: status.today.logged,
+      },
+    });
+  }),
+};
+
+module.exports = programController;
@@ -1,45 +1,170 @@
 const Subscription = require('../models/Subscription');
-const paypalService = require('../services/paypal');
-const { PLANS } = require('../config/subscriptionConstants');
-const { asyncHandler } = require('../middleware/errorHandler');
-const { daysLeftUntil } = require('../utils/dateUtils');
+const { TRIAL_DAYS } = require('../config/subscriptionConstants');
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
+const { daysLeftUntil, addDays } = require('../utils/dateUtils');
 const { logger } = require('../services/logger');
+const { recordLedgerEntry, getLedgerForUser } = require('../services/subscriptionLedger');
+const { validateCoupon } = require('../services/coupons');
+const { listPlans, getPlan, priceInCurrency } = require('../services/plans');
+const {
+  hasAccess,
+  canTransition,
+  transitionSubscription,
+} = require('../services/subscriptionLifecycle');
+const { applyPaidRenewal, checkoutMismatch } = require('../services/subscriptionRenewal');
+const { getPaymentProvider } = require('../services/payments');
+
+/**
+ * Look up a plan priced in the currency the member chose (the plan's billing
+ * currency when none was given). Prices in currencies the payment provider
+ * cannot charge, such as JMD with PayPal, are for display only.
+ * @returns {Promise<{ planData?: Object, error?: string }>}
+ */
+async function resolveCheckoutPlan(planKey, currency) {
+  const plan = await getPlan(planKey);
+  if (!plan) return { error: 'Invalid plan' };
+
+  const planData = priceInCurrency(plan, currency);
+  if (!planData) {
+    return {
+      error: `${plan.name} is not available in ${String(currency).toUpperCase()}`,
+    };
+  }
+  if (!getPaymentProvider().currencies.includes(planData.currency)) {
+    return { error: `Payments in ${planData.currency} are not supported` };
+  }
+  return { planData };
+}
 
 const subscriptionController = {
   getPlans: asyncHandler(async (req, res) => {
+    const plans = await listPlans();
+    const { currencies } = getPaymentProvider();
+
     res.json({
       success: true,
       data: {
-        plans: Object.entries(PLANS).reduce((acc, [key, config]) => {
-          acc[key] = {
-            durationDays: config.durationDays,
-            price: config.price,
-            priceJMD: config.priceJMD,
-            currency: config.currency,
+        // Keyed by plan key, in display order
+        plans: plans.reduce((acc, plan) => {
+          acc[plan.key] = {
+            name: plan.name,
+            description: plan.description,
+            durationDays: plan.durationDays,
+            price: plan.price,
+            priceJMD: plan.priceJMD,
+            prices: plan.prices,
+            currency: plan.currency,
+            // The subset of `prices` a member can actually pay in
+            checkoutCurrencies: Object.keys(plan.prices).filter(code =>
+              currencies.includes(code)
+            ),
+            features: plan.features,
           };
           return acc;
         }, {}),
+        trialDays: TRIAL_DAYS,
       },
     });
   }),
 
+  /**
+   * Preview a coupon against a plan without creating an order.
+   */
+  previewCoupon: asyncHandler(async (req, res) => {
+    const { plan, couponCode, currency } = req.body;
+    const { planData, error } = await resolveCheckoutPlan(plan, currency);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    try {
+      const { coupon, discount, finalPrice } = await validateCoupon({
+        code: couponCode,
+        planKey: planData.key,
+        price: planData.price,
+        currency: planData.currency,
+        userId: req.user._id,
+      });
+
+      res.json({
+        success: true,
+        data: {
+          couponCode: coupon.code,
+          description: coupon.description,
+          originalPrice: planData.price,
+          discount,
+          finalPrice,
+          currency: planData.currency,
+        },
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+  }),
+
   createCheckout: asyncHandler(async (req, res) => {
-    const { plan } = req.body;
+    const resolved = await resolveCheckoutPlan(req.body.plan, req.body.currency);
 
-    if (!plan || !PLANS[plan]) {
-      return res.status(400).json({ error: 'Invalid plan' });
+    if (resolved.error) {
+      return res.status(400).json({ error: resolved.error });
     }
 
-    const planData = PLANS[plan];
+    let { planData } = resolved;
+
+    const plan = planData.key;
+    let pricing = {
+      originalPrice: planData.price,
+      discount: 0,
+      finalPrice: planData.price,
+    };
+    let couponCode = null;
+
+    if (req.body.couponCode) {
+      try {
+        const result = await validateCoupon({
+          code: req.body.couponCode,
+          planKey: plan,
+          price: planData.price,
+          currency: planData.currency,
+          userId: req.user._id,
+        });
+        couponCode = result.coupon.code;
+        pricing = {
+          ...pricing,
+          discount: result.discount,
+          finalPrice: result.finalPrice,
+        };
+        planData = { ...planData, price: result.finalPrice };
+      } catch (error) {
+        if (error instanceof ValidationError) {
+          return res.status(400).json({ error: error.message });
+        }
+        throw error;
+      }
+    }
 
     try {
-      const paymentLink = await paypalService.createPaymentLink(plan, planData, req.user._id.toString());
+      const provider = getPaymentProvider();
+      const paymentLink = await provider.createCheckout({
+        planKey: plan,
+        planData,
+        userId: req.user._id.toString(),
+        couponCode,
+      });
 
       res.json({
         success: true,
         data: {
+          provider: provider.name,
           orderId: paymentLink.orderId,
           approvalLink: paymentLink.approvalLink,
+          couponCode,
+          ...pricing,
+          currency: planData.currency,
         },
       });
     } catch (error) {
@@ -58,13 +183,15 @@ const subscriptionController = {
     }
 
     const daysLeft = daysLeftUntil(subscription.expiresAt);
-    const isActive = subscription.active && subscription.expiresAt > new Date();
+    const isActive =
+      hasAccess(subscription.status) && subscription.expiresAt > new Date();
 
     res.json({
       success: true,
       data: {
         ...subscription.toObject(),
         active: isActive,
+        cancelAtPeriodEnd: subscription.status === 'cancel_at_period_end',
         daysLeft: Math.max(0, daysLeft),
       },
     });
@@ -78,39 +205,64 @@ const subscriptionController = {
     }
 
     try {
-      const order = await paypalService.getOrderDetails(orderId);
+      const provider = getPaymentProvider();
+      const order = await provider.getOrder(orderId);
 
-      if (order.status !== 'APPROVED' && order.status !== 'COMPLETED') {
+      if (order.status !== 'approved' && order.status !== 'completed') {
         return res.status(400).json({ error: 'Payment not approved' });
       }
 
-      let subscription = await Subscription.findOne({ userId: req.user._id });
+      // Orders without an owner cannot be claimed by whoever verifies them first
+      if (!order.userId || order.userId !== req.user._id.toString()) {
+        return res.status(403).json({ error: 'Order belongs to another account' });
+      }
 
-      if (!subscription) {
-        subscription = new Subscription({
-          userId: req.user._id,
-        });
+      // Approved orders still need capturing before any time is granted
+      let payment = order;
+      if (order.status === 'approved') {
+        // Nothing has been charged yet, so an order that no longer matches its
+        // checkout price is refused rather than captured
+        const mismatch = checkoutMismatch(order);
+        if (mismatch) {
+          logger.warn('Order does not match its checkout price', { orderId, mismatch });
+          return res
+            .status(400)
+            .json({ error: 'Payment amount does not match the checkout price' });
+        }
+
+        payment = await provider.capture(orderId);
+        if (payment.status !== 'completed') {
+          return res.status(402).json({ error: 'Payment could not be captured' });
+        }
       }
 
-      const purchaseUnit = order.purchase_units?.[0];
-      const rawCustomId = purchaseUnit?.custom_id || '';
-      const planKey = rawCustomId.includes(':') ? rawCustomId.split(':')[1] : (rawCustomId || 'custom');
-      const planData = PLANS[planKey] || PLANS['1-month'];
+      const { subscription, applied } = await applyPaidRenewal({
+        userId: req.user._id,
+        orderId,
+        captureId: payment.captureId,
+        planKey: order.planKey,
+        amount: payment.amount,
+        currency: payment.currency,
+        expectedAmount: order.expectedAmount,
+        expectedCurrency: order.expectedCurrency,
+        couponCode: order.couponCode,
+        provider: provider.name,
+        reason: 'payment_verified',
+        changedBy: req.user._id,
+      });
 
-      subscription.paypalTransactionId = orderId;
-      subscription.amount = parseFloat(purchaseUnit?.amount?.value || 0);
-      subscription.currency = purchaseUnit?.amount?.currency_code || 'USD';
-      subscription.purchasedAt = new Date();
-      subscription.expiresAt = new Date(Date.now() + planData.durationDays * 24 * 60 * 60 * 1000);
-      subscription.active = true;
+      if (!applied) {
+        logger.info('Order already applied to subscription', { orderId });
+      }
 
-      await subscription.save();
+      const data = subscription.toObject();
+      delete data.appliedTransactionIds;
 
       res.json({
         success: true,
         data: {
-          ...subscription.toObject(),
-          daysLeft: planData.durationDays,
+          ...data,
+          daysLeft: daysLeftUntil(subscription.expiresAt),
         },
       });
     } catch (error) {
@@ -119,6 +271,99 @@ const subscriptionController = {
     }
   }),
 
+  /**
+   * Start the one-time free trial. Only members who have never had a
+   * subscription (paid, granted or trial) are eligible.
+   */
+  startTrial: asyncHandler(async (req, res) => {
+    if (!TRIAL_DAYS) {
+      return res.status(400).json({ error: 'Free trials are not currently offered' });
+    }
+
+    const existing = await Subscription.exists({ userId: req.user._id });
+    if (existing) {
+      return res
+        .status(409)
+        .json({ error: 'Free trials are only available to new members' });
+    }
+
+    const now = new Date();
+    const subscription = new Subscription({
+      userId: req.user._id,
+      currentPeriodStart: now,
+      expiresAt: addDays(now, TRIAL_DAYS),
+      amount: 0,
+      purchasedAt: now,
+    });
+    transitionSubscription(subscription, 'trialing', {
+      reason: 'trial_started',
+      changedBy: req.user._id,
+      at: now,
+    });
+
+    try {
+      await subscription.save();
+    } catch (error) {
+      // Unique userId: a concurrent request already created the subscription
+      if (error.code === 11000) {
+        return res
+          .status(409)
+          .json({ error: 'Free trials are only available to new members' });
+      }
+      throw error;
+    }
+
+    await recordLedgerEntry({
+      userId: req.user._id,
+      subscriptionId: subscription._id,
+      type: 'trial',
+      provider: 'admin',
+      amount: 0,
+      daysAdded: TRIAL_DAYS,
+      periodStart: now,
+      periodEnd: subscription.expiresAt,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...subscription.toObject(),
+        daysLeft: daysLeftUntil(subscription.expiresAt),
+      },
+    });
+  }),
+
+  /**
+   * Billing history for the signed-in member, newest first.
+   */
+  getHistory: asyncHandler(async (req, res) => {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(50, parseInt(req.query.limit) || 20);
+
+    const { entries, pagination } = await getLedgerForUser(req.user._id, {
+      page,
+      limit,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        // actorId and reviewReason are only meaningful to staff
+        entries: entries.map(entry => ({
+          ...entry,
+          actorId: undefined,
+          reviewReason: undefined,
+        })),
+        pagination,
+      },
+    });
+  }),
+
+  /**
+   * Cancel the member's subscription.
+   * Paid time is kept: active subscriptions move to cancel_at_period_end and
+   * only end when the cleanup job reaches expiresAt. Trials end immediately.
+   */
   cancel: asyncHandler(async (req, res) => {
     const subscription = await Subscription.findOne({
       userId: req.user._id,
@@ -128,12 +373,65 @@ const subscriptionController = {
       return res.status(404).json({ error: 'No subscription found' });
     }
 
-    subscription.active = false;
+    const target =
+      subscription.status === 'trialing' ? 'cancelled' : 'cancel_at_period_end';
+
+    if (!canTransition(subscription.status, target)) {
+      return res
+        .status(409)
+        .json({ error: `Subscription cannot be cancelled while ${subscription.status}` });
+    }
+
+    transitionSubscription(subscription, target, {
+      reason: 'member_cancelled',
+      changedBy: req.user._id,
+    });
+    await subscription.save();
+
+    res.json({
+      success: true,
+      message:
+        target === 'cancelled'
+          ? 'Trial cancelled'
+          : 'Subscription will end at the close of the current period',
+      data: {
+        status: subscription.status,
+        expiresAt: subscription.expiresAt,
+        daysLeft: target === 'cancelled' ? 0 : daysLeftUntil(subscription.expiresAt),
+      },
+    });
+  }),
+
+  /**
+   * Undo a pending cancellation before the period ends.
+   */
+  resume: asyncHandler(async (req, res) => {
+    const subscription = await Subscription.findOne({
+      userId: req.user._id,
+    });
+
+    if (!subscription || subscription.status !== 'cancel_at_period_end') {
+      return res.status(400).json({ error: 'No pending cancellation to resume' });
+    }
+
+    if (subscription.expiresAt <= new Date()) {
+      return res.status(400).json({ error: 'Subscription period has already ended' });
+    }
+
+    transitionSubscription(subscription, 'active', {
+      reason: 'member_resumed',
+      changedBy: req.user._id,
+    });
     await subscription.save();
 
     res.json({
       success: true,
-      message: 'Subscription cancelled',
+      message: 'Subscription resumed',
+      data: {
+        status: subscription.status,
+        expiresAt: subscription.expiresAt,
+        daysLeft: daysLeftUntil(subscription.expiresAt),
+      },
     });
   }),
 };
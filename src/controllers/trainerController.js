@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 
+const QRCode = require('qrcode');
+
 const Appointment = require('../models/Appointment');
 const User = require('../models/User');
 const Subscription = require('../models/Subscription');
@@ -9,6 +11,17 @@ const {
   AuthorizationError,
 } = require('../middleware/errorHandler');
 const { logger, logUserAction } = require('../services/logger');
+const { releaseSlots } = require('../services/waitlist');
+const { getAttendanceRecord } = require('../services/attendancePolicy');
+const { getRecentLogs } = require('../services/memberLogs');
+const {
+  setAppointmentStatus,
+  checkIn,
+  checkInWindow,
+  generateCheckInCode,
+} = require('../services/appointmentStatus');
+const { getPrimaryAppUrl } = require('../config/security');
+const { ACCESS_STATUSES } = require('../config/subscriptionConstants');
 
 const trainerController = {
   /**
@@ -17,7 +30,7 @@ const trainerController = {
   getMe: asyncHandler(async (req, res) => {
     const trainerId = req.user.id;
     const trainer = await User.findById(trainerId)
-      .select('_id firstName lastName email trainerEmailPreference')
+      .select('_id firstName lastName email trainerEmailPreference timezone locationId')
       .lean();
     if (!trainer) throw new NotFoundError('Trainer');
     res.json({ trainerId: trainer._id, ...trainer });
@@ -304,6 +317,8 @@ const trainerController = {
           time: 1,
           status: 1,
           notes: 1,
+          statusUpdatedAt: 1,
+          checkedInAt: 1,
           createdAt: 1,
           updatedAt: 1,
           clientId: {
@@ -364,8 +379,10 @@ const trainerController = {
 
     const { status, notes } = req.body;
     if (status) {
-      appointment.status = status;
-      appointment.statusUpdatedAt = new Date();
+      setAppointmentStatus(appointment, status, {
+        changedBy: req.user.id,
+        source: 'trainer',
+      });
     }
     // Append log note so history accumulates rather than getting overwritten
     if (notes !== undefined) {
@@ -373,6 +390,7 @@ const trainerController = {
     }
 
     await appointment.save();
+    if (status === 'cancelled') releaseSlots([appointment]);
     await appointment.populate('clientId', 'firstName lastName email');
     await appointment.populate('trainerId', 'firstName lastName email');
 
@@ -395,7 +413,8 @@ const trainerController = {
   }),
 
   /**
-   * Get specific client info (trainer must have at least one appointment with this client)
+   * Get specific client info (trainer must have at least one appointment with this client).
+   * The attendance record covers the client's sessions with every trainer.
    */
   getClientInfo: asyncHandler(async (req, res) => {
     const trainerId = req.user.id;
@@ -405,25 +424,28 @@ const trainerController = {
     const hasRelationship = await Appointment.exists({ trainerId, clientId });
     if (!hasRelationship) throw new AuthorizationError();
 
-    const [client, appointments, subscription] = await Promise.all([
+    const [client, appointments, subscription, attendance, logs] = await Promise.all([
       User.findById(clientId).select(
         'firstName lastName email phone dob gender activityStatus hasMedical medicalConditions medicalDocuments ' +
-          'workoutLogs mealLogs workoutGoals measurements assignedPrograms purchasedPrograms ' +
+          'workoutGoals measurements assignedPrograms purchasedPrograms ' +
           'startWeight currentWeight height goals createdAt lastLoggedIn isEmailVerified'
       ),
       Appointment.find({ trainerId, clientId }).sort({ date: -1 }),
       Subscription.findOne({
         userId: clientId,
-        status: { $in: ['active', 'trialing'] },
+        status: { $in: ACCESS_STATUSES },
       }).lean(),
+      getAttendanceRecord(clientId),
+      getRecentLogs(clientId),
     ]);
     if (!client) throw new NotFoundError('Client');
 
     res.json({
-      client: { ...client.toObject(), subscription: subscription || null },
+      client: { ...client.toObject(), ...logs, subscription: subscription || null },
       appointmentHistory: appointments,
       appointmentCount: appointments.length,
       completedCount: appointments.filter(apt => apt.status === 'completed').length,
+      attendance,
     });
   }),
 
@@ -464,14 +486,21 @@ const trainerController = {
     });
     const logNote = `[${ts}] Bulk marked as ${status.replace('_', ' ')}.`;
 
-    // Update all appointments
-    const result = await Appointment.updateMany(
-      { _id: { $in: appointmentIds }, trainerId },
-      {
-        $set: { status, statusUpdatedAt: now },
-        $push: { notes: logNote },
-      }
-    );
+    // Saved one by one so the model keeps cancelledAt and lateCancellation in
+    // step with the status, as for a single update
+    for (const appointment of appointments) {
+      setAppointmentStatus(appointment, status, {
+        changedBy: trainerId,
+        source: 'trainer',
+        reason: 'bulk_update',
+        at: now,
+      });
+      appointment.notes = appointment.notes
+        ? `${appointment.notes}\n${logNote}`
+        : logNote;
+      await appointment.save();
+    }
+    if (status === 'cancelled') releaseSlots(appointments);
 
     // Fetch trainer info for logging
     const trainer = await User.findById(trainerId)
@@ -488,7 +517,55 @@ const trainerController = {
       status,
     });
 
-    res.json({ success: true, updatedCount: result.modifiedCount });
+    res.json({ success: true, updatedCount: appointments.length });
+  }),
+
+  /**
+   * Mark the client as arrived; the session becomes completed, or late when
+   * they arrived after the late threshold
+   */
+  checkInAppointment: asyncHandler(async (req, res) => {
+    const appointment = await Appointment.findById(req.params.id);
+    if (!appointment) throw new NotFoundError('Appointment');
+    if (appointment.trainerId.toString() !== req.user.id) throw new AuthorizationError();
+
+    checkIn(appointment, { method: 'trainer', changedBy: req.user.id });
+    await appointment.save();
+
+    logUserAction('appointment_checked_in', req.user.id, {
+      appointmentId: appointment._id,
+      clientId: appointment.clientId,
+      status: appointment.status,
+      method: 'trainer',
+    });
+    res.json(appointment);
+  }),
+
+  /**
+   * Check-in code for the client to scan on arrival, as text and as a QR code
+   * of the check-in page link
+   */
+  getCheckInCode: asyncHandler(async (req, res) => {
+    const appointment = await Appointment.findById(req.params.id).select('+checkInCode');
+    if (!appointment) throw new NotFoundError('Appointment');
+    if (appointment.trainerId.toString() !== req.user.id) throw new AuthorizationError();
+
+    if (!appointment.checkInCode) {
+      appointment.checkInCode = generateCheckInCode();
+      await appointment.save();
+    }
+
+    const checkInUrl =
+      `${getPrimaryAppUrl()}/check-in?appointment=${appointment._id}` +
+      `&code=${appointment.checkInCode}`;
+    const { opensAt, closesAt } = checkInWindow(appointment);
+    res.json({
+      code: appointment.checkInCode,
+      checkInUrl,
+      qrCode: await QRCode.toDataURL(checkInUrl),
+      opensAt,
+      closesAt,
+    });
   }),
 };
 
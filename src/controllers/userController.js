@@ -2,7 +2,10 @@ const { validationResult } = require('express-validator');
 
 const User = require('../models/User');
 const { incrementUserTokenVersion } = require('../middleware/auth');
-const { logger } = require('../services/logger');
+const { logger, logUserAction } = require('../services/logger');
+const { getFeedToken, feedUrl } = require('../services/calendarFeed');
+const { deleteMemberLogs } = require('../services/memberLogs');
+const { evaluateGoals } = require('../services/workoutGoals');
 
 /**
  * GET /users/trainers — Paginated trainer list.
@@ -107,7 +110,7 @@ async function getAllUsers(req, res) {
     // SECURITY: Exclude sensitive fields AND large embedded arrays
     const users = await User.find(query)
       .select(
-        '-password -emailVerificationToken -passwordResetToken -pushSubscription -workoutLogs -auditLog -medicalDocuments -purchasedPrograms -assignedPrograms'
+        '-password -emailVerificationToken -passwordResetToken -pushSubscription -auditLog -medicalDocuments -purchasedPrograms -assignedPrograms'
       )
       .skip(skip)
       .limit(limit)
@@ -213,6 +216,7 @@ async function deleteUserById(req, res) {
     }
 
     await User.findByIdAndDelete(req.params.id);
+    await deleteMemberLogs(req.params.id);
 
     res.json({ success: true, message: 'User deleted successfully' });
   } catch (err) {
@@ -401,6 +405,94 @@ async function updatePrivacySettings(req, res) {
   }
 }
 
+/**
+ * GET /users/notification-preferences — Current notification preferences.
+ */
+async function getNotificationPreferences(req, res) {
+  try {
+    const user = await User.findById(req.user.id).select('notificationPreferences');
+    if (!user) return res.status(404).json({ msg: 'User not found' });
+
+    res.json({
+      notificationPreferences: {
+        appointmentReminders:
+          user.notificationPreferences?.appointmentReminders !== false,
+        goalUpdates: user.notificationPreferences?.goalUpdates !== false,
+      },
+    });
+  } catch (err) {
+    logger.error('Notification preferences error', { error: err.message });
+    res.status(500).json({ msg: 'Server error' });
+  }
+}
+
+/**
+ * PUT /users/notification-preferences — Update notification preferences.
+ */
+async function updateNotificationPreferences(req, res) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const updates = {};
+    if (req.body.appointmentReminders !== undefined) {
+      updates['notificationPreferences.appointmentReminders'] =
+        req.body.appointmentReminders === true ||
+        req.body.appointmentReminders === 'true';
+    }
+    if (req.body.goalUpdates !== undefined) {
+      updates['notificationPreferences.goalUpdates'] =
+        req.body.goalUpdates === true || req.body.goalUpdates === 'true';
+    }
+
+    const user = await User.findByIdAndUpdate(req.user.id, updates, { new: true }).select(
+      'notificationPreferences'
+    );
+    if (!user) return res.status(404).json({ msg: 'User not found' });
+
+    res.json({
+      msg: 'Notification preferences updated successfully',
+      notificationPreferences: user.notificationPreferences,
+    });
+  } catch (err) {
+    logger.error('Notification preferences update error', { error: err.message });
+    res.status(500).json({ msg: 'Server error' });
+  }
+}
+
+/**
+ * GET /users/calendar-feed — URL of the user's calendar feed, created on first use.
+ */
+async function getCalendarFeed(req, res) {
+  try {
+    const token = await getFeedToken(req.user.id);
+    if (!token) return res.status(404).json({ msg: 'User not found' });
+
+    res.json({ url: feedUrl(token) });
+  } catch (err) {
+    logger.error('Calendar feed error', { error: err.message });
+    res.status(500).json({ msg: 'Server error' });
+  }
+}
+
+/**
+ * POST /users/calendar-feed/rotate — Replace the feed URL; the old one stops working.
+ */
+async function rotateCalendarFeed(req, res) {
+  try {
+    const token = await getFeedToken(req.user.id, { rotate: true });
+    if (!token) return res.status(404).json({ msg: 'User not found' });
+
+    logUserAction('rotate_calendar_feed', req.user.id, {});
+    res.json({ msg: 'Calendar link replaced', url: feedUrl(token) });
+  } catch (err) {
+    logger.error('Calendar feed rotation error', { error: err.message });
+    res.status(500).json({ msg: 'Server error' });
+  }
+}
+
 /**
  * POST /users/change-password — Change password + invalidate sessions.
  */
@@ -492,7 +584,21 @@ async function addMeasurement(req, res) {
 
     if (!user) return res.status(404).json({ success: false, error: 'User not found' });
 
-    res.status(201).json({ success: true, measurements: user.measurements });
+    // Body weight goals are checked against the new weight
+    const goalsAchieved =
+      entry.weight === undefined
+        ? []
+        : await evaluateGoals(req.user.id).catch(err => {
+            logger.error('Workout goal evaluation failed', {
+              userId: req.user.id,
+              error: err.message,
+            });
+            return [];
+          });
+
+    res
+      .status(201)
+      .json({ success: true, measurements: user.measurements, goalsAchieved });
   } catch (err) {
     logger.error('Add measurement error', { userId: req.user.id, error: err.message });
     res.status(500).json({ success: false, error: 'Server error' });
@@ -574,6 +680,10 @@ module.exports = {
   deleteAllData,
   getPrivacySettings,
   updatePrivacySettings,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  getCalendarFeed,
+  rotateCalendarFeed,
   changePassword,
   getMeasurements,
   addMeasurement,
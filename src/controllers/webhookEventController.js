@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+const WebhookEvent = require('../models/WebhookEvent');
+const {
+  asyncHandler,
+  ValidationError,
+  NotFoundError,
+  AppError,
+} = require('../middleware/errorHandler');
+const { logAdminAction } = require('../services/logger');
+const { runWebhookEvent } = require('../services/webhookUtils');
+const { dispatchPaypalEvent } = require('../services/paypalWebhooks');
+
+function assertObjectId(id) {
+  if (!mongoose.isValidObjectId(id)) throw new ValidationError('Invalid event id.');
+}
+
+// ── Admin: List webhook events (defaults to the dead-letter queue) ────────────
+const listWebhookEvents = asyncHandler(async (req, res) => {
+  const status = req.query.status || 'failed';
+  if (status !== 'all' && !WebhookEvent.STATUSES.includes(status)) {
+    throw new ValidationError(
+      `Status must be one of: all, ${WebhookEvent.STATUSES.join(', ')}.`
+    );
+  }
+
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const limit = Math.min(100, parseInt(req.query.limit) || 20);
+  const filter = status === 'all' ? {} : { status };
+
+  const [events, total] = await Promise.all([
+    WebhookEvent.find(filter)
+      .select('-payload')
+      .sort({ receivedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    WebhookEvent.countDocuments(filter),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      events,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    },
+  });
+});
+
+// ── Admin: Get one event with its payload ─────────────────────────────────────
+const getWebhookEvent = asyncHandler(async (req, res) => {
+  assertObjectId(req.params.id);
+
+  const event = await WebhookEvent.findById(req.params.id).lean();
+  if (!event) throw new NotFoundError('Webhook event');
+
+  res.json({ success: true, data: { event } });
+});
+
+// ── Admin: Re-run a failed event ──────────────────────────────────────────────
+// Processed events can be re-run with { force: true }; handlers are idempotent.
+const replayWebhookEvent = asyncHandler(async (req, res) => {
+  assertObjectId(req.params.id);
+
+  const existing = await WebhookEvent.findById(req.params.id)
+    .select('eventId status')
+    .lean();
+  if (!existing) throw new NotFoundError('Webhook event');
+
+  const result = await runWebhookEvent(existing._id, dispatchPaypalEvent, {
+    force: req.body?.force === true,
+  });
+
+  if (result.skipped) {
+    throw new AppError(`Event is ${existing.status} and was not replayed.`, 409);
+  }
+
+  logAdminAction(
+    'replay_webhook_event',
+    req.user.id,
+    { eventId: existing.eventId, status: result.status },
+    req
+  );
+
+  const event = result.event.toObject();
+  delete event.payload;
+
+  res.json({
+    success: result.status === 'processed',
+    data: { event, error: result.error || null },
+  });
+});
+
+module.exports = {
+  listWebhookEvents,
+  getWebhookEvent,
+  replayWebhookEvent,
+};
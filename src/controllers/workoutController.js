@@ -2,13 +2,59 @@ const mongoose = require('mongoose');
 
 const sanitizeHtml = require('sanitize-html');
 
+const PersonalRecord = require('../models/PersonalRecord');
+const Program = require('../models/Program');
 const User = require('../models/User');
+const WorkoutLog = require('../models/WorkoutLog');
 const {
   asyncHandler,
   ValidationError,
   NotFoundError,
 } = require('../middleware/errorHandler');
-const { logUserAction } = require('../services/logger');
+const {
+  EXERCISE_NAME_COLLATION,
+  findExercisesByNames,
+  linkExercises,
+} = require('../services/exercises');
+const { logger, logUserAction } = require('../services/logger');
+const {
+  bestOneRepMaxEstimate,
+  recomputeRecords,
+  updateRecordsForWorkout,
+} = require('../services/personalRecords');
+const { findProgramDay } = require('../services/programs');
+const { evaluateGoals } = require('../services/workoutGoals');
+
+// A workout may only link to a program the user was put on or bought, and to a day in it
+async function resolveProgramLink(user, programId, programDayId) {
+  if (!programId) {
+    if (programDayId) throw new ValidationError('programDayId requires programId');
+    return {};
+  }
+  const onProgram =
+    mongoose.isValidObjectId(programId) &&
+    [...(user.assignedPrograms || []), ...(user.purchasedPrograms || [])].some(
+      a => a.programId?.toString() === String(programId)
+    );
+  if (!onProgram) throw new ValidationError('You are not on this program');
+  if (!programDayId) return { programId };
+
+  const program = await Program.findById(programId).lean();
+  if (!program || !findProgramDay(program, programDayId)) {
+    throw new ValidationError('Program day not found');
+  }
+  return { programId, programDayId };
+}
+
+// Catalogue details shown alongside exercise progress
+const catalogueSummary = exercise => ({
+  _id: exercise._id,
+  name: exercise.name,
+  primaryMuscles: exercise.primaryMuscles,
+  secondaryMuscles: exercise.secondaryMuscles,
+  equipment: exercise.equipment,
+  unilateral: exercise.unilateral,
+});
 
 const workoutController = {
   /**
@@ -16,7 +62,8 @@ const workoutController = {
    */
   logWorkout: asyncHandler(async (req, res) => {
     const userId = req.user.id;
-    const { workoutName, date, programId, exercises, duration, notes } = req.body;
+    const { workoutName, date, programId, programDayId, exercises, duration, notes } =
+      req.body;
 
     // Validation
     if (
@@ -35,7 +82,6 @@ const workoutController = {
         allowedAttributes: {},
       }).substring(0, 100),
       date: date ? new Date(date) : new Date(),
-      programId: programId || undefined,
       exercises: exercises.map(exercise => ({
         exerciseName: sanitizeHtml(exercise.exerciseName, {
           allowedTags: [],
@@ -59,23 +105,40 @@ const workoutController = {
     };
 
     const user = await User.findById(userId).select(
-      'workoutLogs firstName lastName email'
+      'firstName lastName email assignedPrograms purchasedPrograms'
     );
     if (!user) {
       throw new NotFoundError('User');
     }
 
-    user.workoutLogs.push(workoutLog);
-    await user.save();
-
-    const createdLog = user.workoutLogs[user.workoutLogs.length - 1];
+    const programLink = await resolveProgramLink(user, programId, programDayId);
+    workoutLog.exercises = await linkExercises(workoutLog.exercises);
+    const createdLog = await WorkoutLog.create({ userId, ...workoutLog, ...programLink });
+    // The workout is already saved, so a failed record update only costs the badges
+    const personalRecords = await updateRecordsForWorkout(userId, createdLog).catch(
+      err => {
+        logger.error('Personal record update failed', {
+          userId,
+          workoutId: createdLog._id,
+          error: err.message,
+        });
+        return [];
+      }
+    );
+    // Goals are checked against the records just updated
+    const goalsAchieved = await evaluateGoals(userId).catch(err => {
+      logger.error('Workout goal evaluation failed', { userId, error: err.message });
+      return [];
+    });
     logUserAction('workout_logged', userId, {
       userName: `${user.firstName} ${user.lastName}`,
       userEmail: user.email,
       workoutName: workoutLog.workoutName,
     });
 
-    res.status(201).json({ success: true, workout: createdLog });
+    res
+      .status(201)
+      .json({ success: true, workout: createdLog, personalRecords, goalsAchieved });
   }),
 
   /**
@@ -87,28 +150,25 @@ const workoutController = {
     const limit = Math.min(parseInt(req.query.limit) || 20, 100);
     const sortOrder = req.query.sortOrder === 'asc' ? 1 : -1;
 
-    const user = await User.findById(userId).select('workoutLogs');
-    if (!user) {
-      throw new NotFoundError('User');
-    }
-
-    const activeWorkouts = user.workoutLogs.filter(log => !log.deletedAt);
-    const sortedWorkouts = activeWorkouts.sort((a, b) => {
-      return sortOrder * (new Date(b.date) - new Date(a.date));
-    });
-
-    const startIndex = (page - 1) * limit;
-    const endIndex = startIndex + limit;
-    const paginatedWorkouts = sortedWorkouts.slice(startIndex, endIndex);
+    const filter = { userId, deletedAt: null };
+    const skip = (page - 1) * limit;
+    const [workouts, total] = await Promise.all([
+      WorkoutLog.find(filter)
+        .sort({ date: sortOrder, _id: sortOrder })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      WorkoutLog.countDocuments(filter),
+    ]);
 
     res.json({
       success: true,
-      workouts: paginatedWorkouts,
+      workouts,
       pagination: {
         currentPage: page,
-        totalPages: Math.ceil(sortedWorkouts.length / limit),
-        totalWorkouts: sortedWorkouts.length,
-        hasNextPage: endIndex < sortedWorkouts.length,
+        totalPages: Math.ceil(total / limit),
+        totalWorkouts: total,
+        hasNextPage: skip + limit < total,
         hasPrevPage: page > 1,
       },
     });
@@ -125,13 +185,12 @@ const workoutController = {
       throw new ValidationError('Invalid workout ID');
     }
 
-    const user = await User.findById(userId).select('workoutLogs');
-    if (!user) {
-      throw new NotFoundError('User');
-    }
-
-    const workout = user.workoutLogs.id(workoutId);
-    if (!workout || workout.deletedAt) {
+    const workout = await WorkoutLog.findOne({
+      _id: workoutId,
+      userId,
+      deletedAt: null,
+    }).lean();
+    if (!workout) {
       throw new NotFoundError('Workout');
     }
 
@@ -149,20 +208,25 @@ const workoutController = {
       throw new ValidationError('Invalid workout ID');
     }
 
-    const user = await User.findById(userId).select(
-      'workoutLogs firstName lastName email'
-    );
+    const user = await User.findById(userId).select('firstName lastName email');
     if (!user) {
       throw new NotFoundError('User');
     }
 
-    const workout = user.workoutLogs.id(workoutId);
-    if (!workout || workout.deletedAt) {
+    const workout = await WorkoutLog.findOne({ _id: workoutId, userId, deletedAt: null });
+    if (!workout) {
       throw new NotFoundError('Workout');
     }
 
     workout.deletedAt = new Date();
-    await user.save();
+    await workout.save();
+    await recomputeRecords(userId, workout.exercises).catch(err => {
+      logger.error('Personal record recompute failed', {
+        userId,
+        workoutId,
+        error: err.message,
+      });
+    });
 
     logUserAction('workout_deleted', userId, {
       userName: `${user.firstName} ${user.lastName}`,
@@ -180,28 +244,32 @@ const workoutController = {
     const exerciseName = decodeURIComponent(req.params.exerciseName);
     const limit = Math.min(parseInt(req.query.limit) || 30, 100);
 
-    const user = await User.findById(userId).select('workoutLogs');
-    if (!user) {
-      throw new NotFoundError('User');
-    }
-
-    const workoutsWithExercise = user.workoutLogs
-      .filter(log => !log.deletedAt)
-      .filter(log =>
-        log.exercises.some(
-          ex => ex.exerciseName.toLowerCase() === exerciseName.toLowerCase()
-        )
-      )
-      .sort((a, b) => new Date(b.date) - new Date(a.date))
-      .slice(0, limit);
+    // Logs linked to the catalogue entry for the name, plus unlinked logs with
+    // the name in any case (served by the collated exercise index)
+    const [exercise] = (await findExercisesByNames([exerciseName])).values();
+    const nameMatch = { 'exercises.exerciseName': exerciseName };
+    const workoutsWithExercise = await WorkoutLog.find({
+      userId,
+      deletedAt: null,
+      ...(exercise
+        ? { $or: [{ 'exercises.exerciseId': exercise._id }, nameMatch] }
+        : nameMatch),
+    })
+      .collation(EXERCISE_NAME_COLLATION)
+      .sort({ date: -1 })
+      .limit(limit)
+      .select('date workoutName exercises')
+      .lean();
 
     if (workoutsWithExercise.length === 0) {
       return res.json({
         success: true,
         exerciseName,
+        exercise: exercise ? catalogueSummary(exercise) : null,
         data: {
           sessions: [],
           maxWeight: 0,
+          bestEstimatedOneRepMax: null,
           totalSets: 0,
           totalReps: 0,
           averageVolume: 0,
@@ -210,28 +278,30 @@ const workoutController = {
       });
     }
 
+    const isMatch = ex =>
+      (exercise && String(ex.exerciseId) === String(exercise._id)) ||
+      ex.exerciseName.toLowerCase() === exerciseName.toLowerCase();
+
     const sessions = workoutsWithExercise.map(workout => {
-      const exercise = workout.exercises.find(
-        ex => ex.exerciseName.toLowerCase() === exerciseName.toLowerCase()
-      );
-      const maxWeight = Math.max(...exercise.sets.map(s => s.weight));
-      const totalVolume = exercise.sets.reduce(
-        (sum, set) => sum + set.reps * set.weight,
-        0
-      );
-      const totalReps = exercise.sets.reduce((sum, set) => sum + set.reps, 0);
+      const sets = workout.exercises.filter(isMatch).flatMap(ex => ex.sets);
+      const maxWeight = Math.max(...sets.map(s => s.weight));
+      const totalVolume = sets.reduce((sum, set) => sum + set.reps * set.weight, 0);
+      const totalReps = sets.reduce((sum, set) => sum + set.reps, 0);
+      const estimate = bestOneRepMaxEstimate(sets.filter(set => set.completed !== false));
 
       return {
         date: workout.date,
         workoutName: workout.workoutName,
         maxWeight,
+        estimatedOneRepMax: estimate ? estimate.value : null,
         totalVolume,
-        sets: exercise.sets.length,
+        sets: sets.length,
         totalReps,
       };
     });
 
     const maxWeight = Math.max(...sessions.map(s => s.maxWeight));
+    const estimates = sessions.map(s => s.estimatedOneRepMax).filter(e => e !== null);
     const totalSets = sessions.reduce((sum, s) => sum + s.sets, 0);
     const totalReps = sessions.reduce((sum, s) => sum + s.totalReps, 0);
     const averageVolume =
@@ -244,9 +314,11 @@ const workoutController = {
     res.json({
       success: true,
       exerciseName,
+      exercise: exercise ? catalogueSummary(exercise) : null,
       data: {
         sessions,
         maxWeight,
+        bestEstimatedOneRepMax: estimates.length ? Math.max(...estimates) : null,
         totalSets,
         totalReps,
         averageVolume: Math.round(averageVolume),
@@ -255,20 +327,77 @@ const workoutController = {
     });
   }),
 
+  /**
+   * Get the user's personal records, by exercise name
+   */
+  getPersonalRecords: asyncHandler(async (req, res) => {
+    const records = await PersonalRecord.find({ userId: req.user.id })
+      .collation(EXERCISE_NAME_COLLATION)
+      .sort({ exerciseName: 1 })
+      .select('-userId -exerciseKey -__v')
+      .lean();
+
+    res.json({ success: true, records });
+  }),
+
   /**
    * Get workout stats summary
    */
   getStatsSummary: asyncHandler(async (req, res) => {
     const userId = req.user.id;
 
-    const user = await User.findById(userId).select('workoutLogs');
-    if (!user) {
-      throw new NotFoundError('User');
-    }
+    const sevenDaysAgo = new Date();
+    sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
 
-    const activeWorkouts = user.workoutLogs.filter(log => !log.deletedAt);
+    const [summary] = await WorkoutLog.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(userId), deletedAt: null } },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                totalWorkouts: { $sum: 1 },
+                totalVolume: { $sum: '$totalVolume' },
+                weeklyVolume: {
+                  $sum: {
+                    $cond: [{ $gte: ['$date', sevenDaysAgo] }, '$totalVolume', 0],
+                  },
+                },
+              },
+            },
+          ],
+          lastWorkout: [
+            { $sort: { date: -1 } },
+            { $limit: 1 },
+            {
+              $project: { _id: 0, workoutName: 1, date: 1, duration: 1, totalVolume: 1 },
+            },
+          ],
+          // Counted per catalogue entry, or per name for unlinked exercises
+          mostTrainedExercise: [
+            { $unwind: '$exercises' },
+            {
+              $group: {
+                _id: {
+                  $ifNull: [
+                    '$exercises.exerciseId',
+                    { $toLower: '$exercises.exerciseName' },
+                  ],
+                },
+                name: { $last: '$exercises.exerciseName' },
+                count: { $sum: 1 },
+              },
+            },
+            { $sort: { count: -1, name: 1 } },
+            { $limit: 1 },
+          ],
+        },
+      },
+    ]);
 
-    if (activeWorkouts.length === 0) {
+    const totals = summary?.totals[0];
+    if (!totals) {
       return res.json({
         success: true,
         stats: {
@@ -281,47 +410,14 @@ const workoutController = {
       });
     }
 
-    const sortedWorkouts = [...activeWorkouts].sort(
-      (a, b) => new Date(b.date) - new Date(a.date)
-    );
-    const lastWorkout = sortedWorkouts[0];
-
-    const sevenDaysAgo = new Date();
-    sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-    const weeklyVolume = activeWorkouts
-      .filter(log => new Date(log.date) >= sevenDaysAgo)
-      .reduce((sum, log) => sum + (log.totalVolume || 0), 0);
-
-    const exerciseCount = {};
-    activeWorkouts.forEach(log => {
-      log.exercises.forEach(ex => {
-        exerciseCount[ex.exerciseName] = (exerciseCount[ex.exerciseName] || 0) + 1;
-      });
-    });
-
-    const mostTrainedExercise =
-      Object.keys(exerciseCount).length > 0
-        ? Object.entries(exerciseCount).sort((a, b) => b[1] - a[1])[0][0]
-        : null;
-
-    const totalVolume = activeWorkouts.reduce(
-      (sum, log) => sum + (log.totalVolume || 0),
-      0
-    );
-
     res.json({
       success: true,
       stats: {
-        totalWorkouts: activeWorkouts.length,
-        lastWorkout: {
-          workoutName: lastWorkout.workoutName,
-          date: lastWorkout.date,
-          duration: lastWorkout.duration,
-          totalVolume: lastWorkout.totalVolume,
-        },
-        mostTrainedExercise,
-        weeklyVolume: Math.round(weeklyVolume),
-        totalVolume: Math.round(totalVolume),
+        totalWorkouts: totals.totalWorkouts,
+        lastWorkout: summary.lastWorkout[0],
+        mostTrainedExercise: summary.mostTrainedExercise[0]?.name || null,
+        weeklyVolume: Math.round(totals.weeklyVolume),
+        totalVolume: Math.round(totals.totalVolume),
       },
     });
   }),
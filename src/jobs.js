@@ -8,23 +8,50 @@ const {
   sendTrainerDailySchedule,
 } = require('./services/email');
 const Appointment = require('./models/Appointment');
-const { daysBetween, addDays } = require('./utils/dateUtils');
+const {
+  daysBetween,
+  addDays,
+  zonedParts,
+  localDateString,
+} = require('./utils/dateUtils');
+const { transitionSubscription } = require('./services/subscriptionLifecycle');
+const { expireWaitlistHolds } = require('./services/waitlist');
+const { sendAppointmentReminders } = require('./services/appointmentReminders');
+const { markMissedSessions } = require('./services/appointmentStatus');
+const { notifyMissedGoals } = require('./services/workoutGoals');
+const { trainerTimezone } = require('./services/timezones');
+const { TRAINER_SCHEDULE_HOUR } = require('./config/schedulingConstants');
 
 /**
- * Daily cleanup for expired subscriptions.
- * Finds active subs past expiresAt and sets active = false.
+ * Hourly cleanup for subscriptions whose period has ended.
+ * cancel_at_period_end → cancelled; trialing/active/past_due → expired.
  */
 const cleanupExpiredSubscriptions = async () => {
   try {
     const now = new Date();
 
-    const result = await Subscription.updateMany(
-      { active: true, expiresAt: { $lt: now } },
-      { $set: { active: false } }
-    );
+    const subs = await Subscription.find({
+      status: { $in: ['trialing', 'active', 'past_due', 'cancel_at_period_end'] },
+      expiresAt: { $lt: now },
+    });
+
+    let ended = 0;
+    for (const sub of subs) {
+      try {
+        const target = sub.status === 'cancel_at_period_end' ? 'cancelled' : 'expired';
+        transitionSubscription(sub, target, { reason: 'period_ended', at: now });
+        await sub.save();
+        ended++;
+      } catch (subErr) {
+        logger.error('Failed to end expired subscription', {
+          subId: sub._id,
+          error: subErr.message,
+        });
+      }
+    }
 
-    if (result.modifiedCount > 0) {
-      logger.info('Deactivated expired subscriptions', { count: result.modifiedCount });
+    if (ended > 0) {
+      logger.info('Ended expired subscriptions', { count: ended });
     }
   } catch (error) {
     logger.error('cleanupExpiredSubscriptions error', { error: error.message });
@@ -49,7 +76,7 @@ const startRenewalReminderJob = () => {
 
       const broadEnd = addDays(now, Math.max(...REMINDER_DAYS) + 1);
       const subs = await Subscription.find({
-        active: true,
+        status: { $in: ['trialing', 'active'] },
         expiresAt: { $gt: now, $lte: broadEnd },
       });
 
@@ -97,41 +124,48 @@ const startRenewalReminderJob = () => {
 };
 
 /**
- * Daily trainer schedule email — runs at 6 AM.
- * For each trainer who has appointments today, sends a schedule email listing
- * client names and times.
+ * Daily trainer schedule email — runs hourly.
+ * Each trainer on the daily digest gets their email at TRAINER_SCHEDULE_HOUR
+ * in their own timezone, listing client names and times for their local today.
  */
 const startTrainerDailyEmailJob = () => {
-  cron.schedule('0 4 * * *', async () => {
+  cron.schedule('0 * * * *', async () => {
     logger.info('Running daily trainer schedule email job');
     try {
       const now = new Date();
-      const dayStart = new Date(now);
-      dayStart.setUTCHours(0, 0, 0, 0);
-      const dayEnd = new Date(now);
-      dayEnd.setUTCHours(23, 59, 59, 999);
+      // Local "today" is within a day of the UTC date in every timezone
+      const rangeStart = addDays(
+        new Date(`${now.toISOString().slice(0, 10)}T00:00:00.000Z`),
+        -1
+      );
+      const rangeEnd = addDays(rangeStart, 2);
 
       const appointments = await Appointment.find({
-        date: { $gte: dayStart, $lte: dayEnd },
+        date: { $gte: rangeStart, $lte: rangeEnd },
         status: { $ne: 'cancelled' },
       })
-        .populate('trainerId', 'firstName email trainerEmailPreference')
+        .populate({
+          path: 'trainerId',
+          select: 'firstName email trainerEmailPreference timezone locationId',
+          populate: { path: 'locationId', select: 'timezone' },
+        })
         .populate('clientId', 'firstName lastName')
         .lean();
 
-      if (!appointments.length) {
-        logger.info('No trainer appointments today — skipping schedule emails');
-        return;
-      }
-
-      // Group by trainer — only include trainers who prefer the daily digest
+      // Group by trainer — only trainers on the daily digest whose local
+      // schedule hour it is now, and only their appointments for local today
       const byTrainer = {};
       for (const apt of appointments) {
         if (!apt.trainerId || !apt.trainerId.email) continue;
         if (apt.trainerId.trainerEmailPreference === 'individual') continue;
+        const timezone = trainerTimezone(apt.trainerId);
+        if (zonedParts(now, timezone).hour !== TRAINER_SCHEDULE_HOUR) continue;
+        const today = localDateString(now, timezone);
+        if (new Date(apt.date).toISOString().slice(0, 10) !== today) continue;
+
         const tid = apt.trainerId._id.toString();
         if (!byTrainer[tid]) {
-          byTrainer[tid] = { trainer: apt.trainerId, appointments: [] };
+          byTrainer[tid] = { trainer: apt.trainerId, today, appointments: [] };
         }
         const clientName = apt.clientId
           ? `${apt.clientId.firstName} ${apt.clientId.lastName}`
@@ -139,16 +173,23 @@ const startTrainerDailyEmailJob = () => {
         byTrainer[tid].appointments.push({ clientName, time: apt.time });
       }
 
-      const dateStr = now.toLocaleDateString('en-US', {
-        weekday: 'long',
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric',
-        timeZone: 'UTC',
-      });
+      if (!Object.keys(byTrainer).length) {
+        logger.info('No trainer schedules due this hour — skipping schedule emails');
+        return;
+      }
 
-      for (const { trainer, appointments: trainerApts } of Object.values(byTrainer)) {
+      for (const { trainer, today, appointments: trainerApts } of Object.values(
+        byTrainer
+      )) {
         trainerApts.sort((a, b) => a.time.localeCompare(b.time));
+        // today is a local calendar date, so format it as a plain date
+        const dateStr = new Date(`${today}T00:00:00.000Z`).toLocaleDateString('en-US', {
+          weekday: 'long',
+          year: 'numeric',
+          month: 'long',
+          day: 'numeric',
+          timeZone: 'UTC',
+        });
         try {
           await sendTrainerDailySchedule(
             trainer.email,
@@ -176,7 +217,9 @@ const startTrainerDailyEmailJob = () => {
     }
   });
 
-  logger.info('Trainer daily schedule email job scheduled (0 4 * * * — 4 AM daily)');
+  logger.info(
+    `Trainer daily schedule email job scheduled (0 * * * * — ${TRAINER_SCHEDULE_HOUR}:00 trainer-local)`
+  );
 };
 
 /**
@@ -191,7 +234,7 @@ const startTenMinuteReminderJob = () => {
       const windowEnd = new Date(now.getTime() + 11 * 60 * 1000);
 
       const subs = await Subscription.find({
-        active: true,
+        status: { $in: ['trialing', 'active'] },
         expiresAt: { $gte: now, $lte: windowEnd },
       });
 
@@ -238,10 +281,110 @@ const startTenMinuteReminderJob = () => {
   logger.info('10-min expiry reminder cron job scheduled (*/1 * * * *)');
 };
 
+/**
+ * Waitlist job — runs every 5 minutes.
+ * Expires waitlist holds that were not confirmed in time and offers the places
+ * to the next clients in line.
+ */
+const startWaitlistHoldJob = () => {
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      const { expiredHolds, expiredEntries } = await expireWaitlistHolds();
+      if (expiredHolds || expiredEntries) {
+        logger.info('Expired waitlist holds', { expiredHolds, expiredEntries });
+      }
+    } catch (err) {
+      logger.error('Waitlist hold job error', { error: err.message });
+      logSecurityEvent('SYSTEM_JOB_ERROR', null, {
+        jobName: 'waitlistHolds',
+        error: err.message,
+      });
+    }
+  });
+
+  logger.info('Waitlist hold expiry job scheduled (*/5 * * * *)');
+};
+
+/**
+ * Client appointment reminder job — runs every 5 minutes.
+ * Emails clients ahead of their sessions at each APPOINTMENT_REMINDER_HOURS
+ * offset, with links to confirm or cancel.
+ */
+const startAppointmentReminderJob = () => {
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      const { sent, skipped } = await sendAppointmentReminders();
+      if (sent || skipped) {
+        logger.info('Appointment reminders processed', { sent, skipped });
+      }
+    } catch (err) {
+      logger.error('Appointment reminder job error', { error: err.message });
+      logSecurityEvent('SYSTEM_JOB_ERROR', null, {
+        jobName: 'appointmentReminders',
+        error: err.message,
+      });
+    }
+  });
+
+  logger.info('Appointment reminder job scheduled (*/5 * * * *)');
+};
+
+/**
+ * Missed session job — runs every 15 minutes.
+ * Moves scheduled sessions nobody checked in to over to no_show once
+ * NO_SHOW_GRACE_MINUTES have passed since they ended.
+ */
+const startMissedSessionJob = () => {
+  cron.schedule('*/15 * * * *', async () => {
+    try {
+      const { marked } = await markMissedSessions();
+      if (marked) {
+        logger.info('Marked missed sessions as no-show', { count: marked });
+      }
+    } catch (err) {
+      logger.error('Missed session job error', { error: err.message });
+      logSecurityEvent('SYSTEM_JOB_ERROR', null, {
+        jobName: 'missedSessions',
+        error: err.message,
+      });
+    }
+  });
+
+  logger.info('Missed session no-show job scheduled (*/15 * * * *)');
+};
+
+/**
+ * Missed goal job — runs daily at 9 AM.
+ * Emails members once about each workout goal whose target date has passed
+ * before they reached it.
+ */
+const startMissedGoalJob = () => {
+  cron.schedule('0 9 * * *', async () => {
+    try {
+      const { missed } = await notifyMissedGoals();
+      if (missed) {
+        logger.info('Marked workout goals as missed', { count: missed });
+      }
+    } catch (err) {
+      logger.error('Missed goal job error', { error: err.message });
+      logSecurityEvent('SYSTEM_JOB_ERROR', null, {
+        jobName: 'missedGoals',
+        error: err.message,
+      });
+    }
+  });
+
+  logger.info('Missed workout goal job scheduled (0 9 * * *)');
+};
+
 module.exports = {
   cleanupExpiredSubscriptions,
   startSubscriptionCleanupJob,
   startRenewalReminderJob,
   startTrainerDailyEmailJob,
   startTenMinuteReminderJob,
+  startWaitlistHoldJob,
+  startAppointmentReminderJob,
+  startMissedSessionJob,
+  startMissedGoalJob,
 };
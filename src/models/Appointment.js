@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+const { DEFAULT_TIMEZONE } = require('../config/schedulingConstants');
+const { zonedTimeToUtc } = require('../utils/dateUtils');
+
 const AppointmentSchema = new mongoose.Schema(
   {
     clientId: {
@@ -12,14 +15,44 @@ const AppointmentSchema = new mongoose.Schema(
       ref: 'User',
       required: true,
     },
+    // Local calendar date in `timezone`, stored as UTC midnight
     date: {
       type: Date,
       required: true,
     },
+    // Local start time in `timezone`, "HH:MM" in 24-hour format
     time: {
       type: String,
       required: true,
     },
+    // Trainer's IANA timezone when booked
+    timezone: {
+      type: String,
+      default: DEFAULT_TIMEZONE,
+    },
+    // Real start instant of date + time in timezone; set on save
+    startsAt: {
+      type: Date,
+    },
+    // Copied from the SessionType when booked; null for the default one-hour session
+    sessionTypeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SessionType',
+      default: null,
+    },
+    sessionName: {
+      type: String,
+      default: null,
+    },
+    durationMinutes: {
+      type: Number,
+      default: 60,
+    },
+    // Trainer's free time after the session; no other session may start within it
+    bufferMinutes: {
+      type: Number,
+      default: 0,
+    },
     status: {
       type: String,
       enum: ['scheduled', 'completed', 'cancelled', 'no_show', 'late'],
@@ -28,10 +61,78 @@ const AppointmentSchema = new mongoose.Schema(
     notes: {
       type: String,
     },
+    // Set on every occurrence of a recurring booking
+    seriesId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AppointmentSeries',
+      default: null,
+    },
     statusUpdatedAt: {
       type: Date,
       default: Date.now,
     },
+    // Every status change, oldest first; see services/appointmentStatus
+    statusHistory: [
+      {
+        _id: false,
+        from: { type: String, default: null },
+        status: { type: String, required: true },
+        changedAt: { type: Date, required: true },
+        // null for changes made by the system (e.g. the no-show job)
+        changedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          default: null,
+        },
+        source: {
+          type: String,
+          enum: ['trainer', 'client', 'admin', 'system'],
+          default: 'system',
+        },
+        reason: { type: String, default: null },
+      },
+    ],
+    // Code the trainer shows for the client to scan on arrival; made on first request
+    checkInCode: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    checkedInAt: {
+      type: Date,
+      default: null,
+    },
+    // 'trainer' when the trainer marked the arrival, 'code' when the client scanned in
+    checkInMethod: {
+      type: String,
+      enum: ['trainer', 'code', null],
+      default: null,
+    },
+    // Set when the status becomes cancelled
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+    // Client cancelled inside the LATE_CANCEL_HOURS cutoff
+    lateCancellation: {
+      type: Boolean,
+      default: false,
+    },
+    // Reminder offsets (hours before startsAt) already emailed to the client
+    remindersSent: {
+      type: [Number],
+      default: [],
+    },
+    // iCalendar SEQUENCE; bumped whenever the event calendars show changes
+    calendarSequence: {
+      type: Number,
+      default: 0,
+    },
+    // When the client confirmed they are coming from a reminder email
+    clientConfirmedAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -44,15 +145,53 @@ AppointmentSchema.index({ trainerId: 1 });
 AppointmentSchema.index({ clientId: 1 });
 AppointmentSchema.index({ trainerId: 1, date: 1 });
 AppointmentSchema.index({ clientId: 1, date: 1 });
+AppointmentSchema.index({ seriesId: 1, date: 1 });
+AppointmentSchema.index({ startsAt: 1, status: 1 });
+AppointmentSchema.index({ clientId: 1, status: 1, startsAt: 1 });
 
-// Prevent double-booking: trainer cannot have two non-cancelled appointments at same date+time
-AppointmentSchema.index(
-  { trainerId: 1, date: 1, time: 1 },
-  {
-    unique: true,
-    partialFilterExpression: { status: { $ne: 'cancelled' } },
-    name: 'unique_trainer_slot',
+// Slot lookups. Overlap and capacity are checked by time range when booking
+// (see services/trainerAvailability), so several clients can share a session;
+// scripts/migrate-appointment-sessions.js drops the old unique_trainer_slot index
+AppointmentSchema.index({ trainerId: 1, date: 1, time: 1 });
+
+// Changes to these bump calendarSequence so subscribed calendars update the event
+const CALENDAR_PATHS = [
+  'date',
+  'time',
+  'timezone',
+  'durationMinutes',
+  'trainerId',
+  'clientId',
+  'status',
+];
+
+// Keep startsAt in step with the local date, time and timezone
+AppointmentSchema.pre('validate', function (next) {
+  if (
+    this.date &&
+    this.time &&
+    (!this.startsAt ||
+      this.isModified('date') ||
+      this.isModified('time') ||
+      this.isModified('timezone'))
+  ) {
+    const startsAt = zonedTimeToUtc(this.date, this.time, this.timezone);
+    if (this.startsAt && startsAt.getTime() !== this.startsAt.getTime()) {
+      // A moved session is reminded and confirmed afresh
+      this.remindersSent = [];
+      this.clientConfirmedAt = null;
+    }
+    this.startsAt = startsAt;
   }
-);
+  if (!this.isNew && CALENDAR_PATHS.some(path => this.isModified(path))) {
+    this.calendarSequence = (this.calendarSequence || 0) + 1;
+  }
+  if (this.isModified('status')) {
+    const cancelled = this.status === 'cancelled';
+    this.cancelledAt = cancelled ? this.cancelledAt || new Date() : null;
+    if (!cancelled) this.lateCancellation = false;
+  }
+  next();
+});
 
 module.exports = mongoose.model('Appointment', AppointmentSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+/**
+ * AppointmentSeries Model
+ * The rule a recurring booking was made from. Each occurrence is an ordinary
+ * Appointment carrying seriesId, so occurrences can be moved or cancelled one
+ * at a time; occurrences that clashed at booking time were never created.
+ */
+const AppointmentSeriesSchema = new mongoose.Schema(
+  {
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    trainerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    sessionTypeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SessionType',
+      default: null,
+    },
+    time: {
+      type: String,
+      required: true,
+    },
+    frequency: {
+      type: String,
+      enum: ['weekly', 'biweekly'],
+      required: true,
+    },
+    // First occurrence (UTC midnight)
+    startDate: { type: Date, required: true },
+    // Exactly one of count / until is set
+    count: { type: Number, min: 2, default: null },
+    until: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+AppointmentSeriesSchema.index({ clientId: 1 });
+AppointmentSeriesSchema.index({ trainerId: 1 });
+
+module.exports = mongoose.model('AppointmentSeries', AppointmentSeriesSchema);
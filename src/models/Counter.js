@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+/**
+ * Counter Model
+ * Named sequences for human-readable numbers (e.g. `invoice-2026`).
+ * Incremented atomically with findOneAndUpdate + $inc, so concurrent callers
+ * never receive the same value.
+ */
+const CounterSchema = new mongoose.Schema(
+  {
+    _id: { type: String, required: true },
+    seq: { type: Number, default: 0 },
+  },
+  { versionKey: false }
+);
+
+/**
+ * Next value of a named sequence, starting at 1.
+ * @param {string} name
+ * @returns {Promise<number>}
+ */
+CounterSchema.statics.next = async function (name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', CounterSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+/**
+ * Coupon Model
+ * Admin-managed promo codes applied to membership checkout.
+ * Fixed discounts are in USD and converted when a plan is paid in another
+ * currency.
+ */
+const CouponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z0-9_-]{3,32}$/, 'Code must be 3-32 letters, digits, - or _'],
+    },
+    description: { type: String, trim: true, maxlength: 200 },
+    discountType: {
+      type: String,
+      enum: ['percent', 'fixed'],
+      required: true,
+    },
+    // Percent (1-100) for 'percent', USD amount for 'fixed'
+    discountValue: {
+      type: Number,
+      required: true,
+      min: 0.01,
+      validate: {
+        validator(value) {
+          return this.discountType !== 'percent' || value <= 100;
+        },
+        message: 'Percent discounts cannot exceed 100',
+      },
+    },
+    // Empty = valid for every plan
+    plans: { type: [String], default: [] },
+    maxRedemptions: { type: Number, min: 1, default: null },
+    redemptionCount: { type: Number, default: 0, min: 0 },
+    expiresAt: { type: Date, default: null },
+    firstTimeOnly: { type: Boolean, default: false },
+    active: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+CouponSchema.index({ active: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('Coupon', CouponSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const {
+  MUSCLE_GROUPS,
+  EQUIPMENT,
+  MOVEMENT_PATTERNS,
+} = require('../config/exerciseCatalog');
+const { exerciseSearchTerms } = require('../utils/exerciseNames');
+
+/**
+ * Exercise Model
+ * An entry in the exercise catalogue. Workout logs reference entries by ID so
+ * "Bench Press", "bench press" and "BB Bench" count as one exercise.
+ * `searchTerms` holds the normalized name and aliases and is what names are
+ * matched and searched on; it is rebuilt whenever the name or aliases change.
+ */
+const ExerciseSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      immutable: true,
+      match: [/^[a-z0-9-]{2,60}$/, 'Key must be 2-60 lowercase letters, digits or -'],
+    },
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    aliases: {
+      type: [{ type: String, trim: true, maxlength: 100 }],
+      default: [],
+    },
+    primaryMuscles: {
+      type: [{ type: String, enum: MUSCLE_GROUPS }],
+      validate: [arr => arr.length > 0, 'At least one primary muscle is required'],
+    },
+    secondaryMuscles: {
+      type: [{ type: String, enum: MUSCLE_GROUPS }],
+      default: [],
+    },
+    equipment: { type: String, enum: EQUIPMENT, required: true },
+    movementPattern: { type: String, enum: MOVEMENT_PATTERNS, required: true },
+    // Trained one side at a time; logged weight is per side
+    unilateral: { type: Boolean, default: false },
+    searchTerms: { type: [String], default: [] },
+    isActive: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+ExerciseSchema.pre('validate', function (next) {
+  if (this.isModified('name') || this.isModified('aliases')) {
+    this.searchTerms = exerciseSearchTerms(this.name, this.aliases);
+  }
+  next();
+});
+
+ExerciseSchema.index({ searchTerms: 1 });
+ExerciseSchema.index({ isActive: 1, name: 1 });
+
+module.exports = mongoose.model('Exercise', ExerciseSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+/**
+ * Invoice Model
+ * One numbered invoice per paid membership purchase, issued when the payment is
+ * applied (see services/invoices). Seller, member and tax details are copied
+ * in at issue time so a reissued document always matches the original, even
+ * after the member or business details change. Invoices are never edited;
+ * refunds show up on the billing ledger instead.
+ */
+const InvoiceSchema = new mongoose.Schema(
+  {
+    number: { type: String, required: true, unique: true, immutable: true },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    subscriptionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Subscription' },
+    // The purchase this invoice is for; unique so a payment is invoiced once
+    ledgerEntryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SubscriptionLedger',
+      required: true,
+      unique: true,
+    },
+    issuedAt: { type: Date, default: Date.now },
+    paidAt: Date,
+    seller: {
+      name: { type: String, required: true },
+      address: String,
+      email: String,
+      taxId: String,
+    },
+    billTo: {
+      name: String,
+      email: String,
+    },
+    plan: String,
+    description: { type: String, required: true },
+    periodStart: Date,
+    periodEnd: Date,
+    // Plan price before any coupon
+    subtotal: { type: Number, required: true },
+    discount: { type: Number, default: 0 },
+    couponCode: { type: String, default: null },
+    // Tax included in `total` (prices are tax-inclusive)
+    taxLabel: String,
+    taxRate: { type: Number, default: 0 },
+    taxAmount: { type: Number, default: 0 },
+    total: { type: Number, required: true },
+    currency: { type: String, required: true },
+    provider: String,
+    providerTransactionId: String,
+  },
+  { timestamps: true }
+);
+
+InvoiceSchema.index({ userId: 1, issuedAt: -1 });
+
+const IMMUTABLE_OPS = [
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+];
+IMMUTABLE_OPS.forEach(op => {
+  InvoiceSchema.pre(op, function (next) {
+    next(new Error('Invoices are immutable'));
+  });
+});
+
+module.exports = mongoose.model('Invoice', InvoiceSchema);
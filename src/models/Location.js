@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const { isValidTimeZone } = require('../utils/dateUtils');
+
+/**
+ * Location Model
+ * A gym location. Trainers assigned to a location keep their schedule in its
+ * timezone unless they set their own (see services/timezones).
+ */
+const LocationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    address: {
+      type: String,
+      trim: true,
+      maxlength: 300,
+    },
+    // IANA timezone, e.g. "America/Jamaica"
+    timezone: {
+      type: String,
+      required: true,
+      validate: {
+        validator: isValidTimeZone,
+        message: 'timezone must be an IANA timezone such as "America/Jamaica"',
+      },
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+LocationSchema.index({ name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Location', LocationSchema);
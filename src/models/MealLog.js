@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+/**
+ * MealLog Model
+ * One meal a member logged, in its own collection so history can be paged
+ * and aggregated in the database. Deleted logs keep their document with
+ * deletedAt set.
+ */
+const MealFoodSchema = new mongoose.Schema(
+  {
+    foodName: { type: String, required: true, trim: true, maxlength: 200 },
+    calories: { type: Number, required: true, min: 0 },
+    protein: { type: Number, default: 0, min: 0 },
+    carbs: { type: Number, default: 0, min: 0 },
+    fat: { type: Number, default: 0, min: 0 },
+    quantity: { type: Number, required: true, min: 0.01 },
+    unit: { type: String, enum: ['g', 'ml', 'oz', 'serving'], default: 'g' },
+  },
+  { _id: false }
+);
+
+const MealLogSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    date: { type: Date, required: true, default: Date.now },
+    mealType: {
+      type: String,
+      required: true,
+      enum: ['breakfast', 'lunch', 'dinner', 'snack'],
+    },
+    foods: {
+      type: [MealFoodSchema],
+      required: true,
+      validate: [arr => arr.length > 0, 'At least one food item is required'],
+    },
+    totalCalories: { type: Number, default: 0 },
+    notes: { type: String, trim: true, maxlength: 500 },
+    deletedAt: { type: Date },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// History pages, daily totals and stats
+MealLogSchema.index({ userId: 1, deletedAt: 1, date: -1 });
+MealLogSchema.index({ userId: 1, deletedAt: 1, mealType: 1, date: -1 });
+
+module.exports = mongoose.model('MealLog', MealLogSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+/**
+ * PersonalRecord Model
+ * A member's best lifts for one exercise, kept up to date as workouts are
+ * logged and rebuilt from their workout logs when a log is deleted.
+ * Exercises linked to the catalogue are tracked per entry; unlinked ones per
+ * name, ignoring case. `exerciseKey` is the entry ID or `name:<lowercase name>`.
+ */
+const liftFields = {
+  weight: { type: Number, required: true, min: 0 },
+  reps: { type: Number, required: true, min: 1 },
+  date: { type: Date, required: true },
+  workoutId: { type: mongoose.Schema.Types.ObjectId, ref: 'WorkoutLog' },
+};
+
+const LiftSchema = new mongoose.Schema(liftFields, { _id: false });
+
+const EstimateSchema = new mongoose.Schema(
+  { value: { type: Number, required: true, min: 0 }, ...liftFields },
+  { _id: false }
+);
+
+const VolumeSchema = new mongoose.Schema(
+  {
+    volume: { type: Number, required: true, min: 0 },
+    date: { type: Date, required: true },
+    workoutId: { type: mongoose.Schema.Types.ObjectId, ref: 'WorkoutLog' },
+  },
+  { _id: false }
+);
+
+const PersonalRecordSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    exerciseKey: { type: String, required: true },
+    exerciseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Exercise' },
+    // Name the exercise was last logged under
+    exerciseName: { type: String, required: true, trim: true },
+    heaviestWeight: LiftSchema,
+    estimatedOneRepMax: EstimateSchema,
+    sessionVolume: VolumeSchema,
+    // Most reps done at each weight, heaviest first. A weight only appears if
+    // no heavier weight was lifted for as many reps.
+    repMaxes: { type: [LiftSchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+PersonalRecordSchema.index({ userId: 1, exerciseKey: 1 }, { unique: true });
+// Records page, sorted by name in any case
+PersonalRecordSchema.index(
+  { userId: 1, exerciseName: 1 },
+  { collation: { locale: 'en', strength: 2 } }
+);
+
+module.exports = mongoose.model('PersonalRecord', PersonalRecordSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+/**
+ * Plan Model
+ * Membership plans offered at checkout and granted by admins.
+ * `key` is referenced by subscriptions, the billing ledger and coupons, so it
+ * never changes once created; retire a plan by deactivating it.
+ */
+const PlanSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      immutable: true,
+      match: [/^[a-z0-9-]{2,32}$/, 'Key must be 2-32 lowercase letters, digits or -'],
+    },
+    name: { type: String, required: true, trim: true, maxlength: 60 },
+    description: { type: String, trim: true, maxlength: 300 },
+    durationDays: { type: Number, required: true, min: 1, max: 3650 },
+    // Amount per ISO currency code, e.g. { USD: 115, JMD: 18000 }
+    prices: {
+      type: Map,
+      of: { type: Number, min: 0 },
+      required: true,
+    },
+    // Currency PayPal charges in; must have an entry in `prices`
+    currency: {
+      type: String,
+      required: true,
+      uppercase: true,
+      default: 'USD',
+      validate: {
+        validator(value) {
+          return this.prices?.has?.(value) ?? false;
+        },
+        message: 'A price is required for the billing currency',
+      },
+    },
+    active: { type: Boolean, default: true, index: true },
+    displayOrder: { type: Number, default: 0 },
+    features: {
+      type: [{ type: String, trim: true, maxlength: 120 }],
+      default: [],
+    },
+  },
+  { timestamps: true }
+);
+
+PlanSchema.index({ active: 1, displayOrder: 1 });
+
+module.exports = mongoose.model('Plan', PlanSchema);
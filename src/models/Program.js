@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+/**
+ * Program Model
+ * A multi-week training program a trainer builds and assigns to clients.
+ * Each week lists the days trained, by day of week, and each day the
+ * exercises with their targets. Clients follow the program from the start
+ * date of their assignment (User.assignedPrograms): week 1 is the seven days
+ * from that date, week 2 the seven after, and so on. Edits apply to every
+ * client following the program. Programs are archived (isActive: false)
+ * rather than deleted, so logged workouts keep their link.
+ */
+const ProgramExerciseSchema = new mongoose.Schema(
+  {
+    exerciseName: { type: String, required: true, trim: true, maxlength: 100 },
+    sets: { type: Number, required: true, min: 1, max: 20 },
+    reps: { type: Number, required: true, min: 1, max: 100 },
+    // Load as a percentage of the client's one-rep max; null for bodyweight or free choice
+    percent1RM: { type: Number, min: 1, max: 100, default: null },
+    restSeconds: { type: Number, min: 0, max: 600, default: null },
+    notes: { type: String, trim: true, maxlength: 200 },
+  },
+  { _id: false }
+);
+
+const ProgramDaySchema = new mongoose.Schema({
+  // 0 = Sunday … 6 = Saturday, as in TrainerAvailability
+  dayOfWeek: { type: Number, required: true, min: 0, max: 6 },
+  name: { type: String, required: true, trim: true, maxlength: 60 },
+  exercises: {
+    type: [ProgramExerciseSchema],
+    required: true,
+    validate: [arr => arr.length > 0, 'Each day needs at least one exercise'],
+  },
+});
+
+const ProgramWeekSchema = new mongoose.Schema(
+  {
+    days: {
+      type: [ProgramDaySchema],
+      validate: {
+        validator: days => new Set(days.map(d => d.dayOfWeek)).size === days.length,
+        message: 'A week can only have one workout per day',
+      },
+    },
+  },
+  { _id: false }
+);
+
+const ProgramSchema = new mongoose.Schema(
+  {
+    trainerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    description: { type: String, trim: true, maxlength: 1000 },
+    weeks: {
+      type: [ProgramWeekSchema],
+      required: true,
+      validate: [
+        arr => arr.length > 0 && arr.length <= 52,
+        'A program has between 1 and 52 weeks',
+      ],
+    },
+    isActive: { type: Boolean, default: true },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+ProgramSchema.index({ trainerId: 1, isActive: 1 });
+
+module.exports = mongoose.model('Program', ProgramSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+/**
+ * SessionType Model
+ * A kind of session a trainer offers (e.g. 30-min check-in, 90-min assessment).
+ * Bookings copy the name, duration and buffer onto the Appointment, so editing
+ * a session type never changes sessions that are already booked. Session types
+ * are archived (isActive: false) rather than deleted.
+ */
+const SessionTypeSchema = new mongoose.Schema(
+  {
+    trainerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 60,
+    },
+    // Length of the session itself, in 15-minute steps
+    durationMinutes: {
+      type: Number,
+      required: true,
+      min: 15,
+      max: 240,
+      validate: {
+        validator: value => value % 15 === 0,
+        message: 'durationMinutes must be a multiple of 15',
+      },
+    },
+    // Max clients booked into the same session; null uses the availability window's slotCapacity
+    capacity: {
+      type: Number,
+      min: 1,
+      max: 50,
+      default: null,
+    },
+    // Free time kept after each session before the next one can start
+    bufferMinutes: {
+      type: Number,
+      min: 0,
+      max: 120,
+      default: 0,
+      validate: {
+        validator: value => value % 15 === 0,
+        message: 'bufferMinutes must be a multiple of 15',
+      },
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+SessionTypeSchema.index({ trainerId: 1, isActive: 1 });
+
+module.exports = mongoose.model('SessionType', SessionTypeSchema);
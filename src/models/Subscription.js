@@ -1,5 +1,21 @@
 const mongoose = require('mongoose');
 
+const {
+  SUBSCRIPTION_STATUSES,
+  ACCESS_STATUSES,
+} = require('../config/subscriptionConstants');
+
+const statusChangeSchema = new mongoose.Schema(
+  {
+    from: { type: String, default: null },
+    status: { type: String, enum: SUBSCRIPTION_STATUSES, required: true },
+    changedAt: { type: Date, default: Date.now },
+    reason: String,
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  { _id: false }
+);
+
 const subscriptionSchema = new mongoose.Schema(
   {
     userId: {
@@ -9,22 +25,76 @@ const subscriptionSchema = new mongoose.Schema(
       unique: true,
       index: true,
     },
+    // No default: callers set it through transitionSubscription, and a default
+    // would make legacy documents without one load as trialing
+    status: {
+      type: String,
+      enum: SUBSCRIPTION_STATUSES,
+      required: true,
+      index: true,
+    },
+    // Denormalised access flag derived from status (see pre-validate hook)
     active: {
       type: Boolean,
       default: false,
       index: true,
     },
+    plan: String,
+    currentPeriodStart: Date,
     expiresAt: {
       type: Date,
       required: true,
       index: true,
+      alias: 'currentPeriodEnd',
     },
+    cancelledAt: Date,
+    // PayPal order IDs already credited, so a payment is never applied twice
+    appliedTransactionIds: { type: [String], default: [], select: false },
+    statusHistory: { type: [statusChangeSchema], default: [] },
     paypalTransactionId: String,
     amount: { type: Number, default: 0 },
     currency: { type: String, default: 'jmd' },
     purchasedAt: Date,
   },
-  { timestamps: { currentTime: () => new Date() } }
+  {
+    timestamps: { currentTime: () => new Date() },
+    optimisticConcurrency: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
 );
 
+/**
+ * Status for a subscription saved before the lifecycle existed, which only has
+ * `active` and `expiresAt`. An inactive subscription with time left was ended
+ * early by the old cancel endpoint.
+ * @param {Object} doc
+ * @param {boolean} [doc.active]
+ * @param {Date} [doc.expiresAt]
+ * @param {Date} [now]
+ * @returns {string}
+ */
+subscriptionSchema.statics.legacyStatus = function (
+  { active, expiresAt },
+  now = new Date()
+) {
+  const expired = !expiresAt || expiresAt < now;
+  if (expired) return 'expired';
+  return active ? 'active' : 'cancelled';
+};
+
+// Until scripts/migrate-subscription-status.js has run, work the status out on
+// load so legacy paid subscriptions are not treated as trials
+subscriptionSchema.post('init', function (doc) {
+  if (!doc.status) {
+    doc.status = doc.constructor.legacyStatus(doc);
+  }
+});
+
+// Keep the legacy `active` flag consistent with the lifecycle status
+subscriptionSchema.pre('validate', function (next) {
+  this.active = ACCESS_STATUSES.includes(this.status);
+  next();
+});
+
 module.exports = mongoose.model('Subscription', subscriptionSchema);
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+const LEDGER_ENTRY_TYPES = ['purchase', 'extension', 'refund', 'admin_grant', 'trial'];
+
+/**
+ * SubscriptionLedger Model
+ * Append-only billing history: one row per purchase, extension, refund,
+ * admin grant and free trial. Rows are never updated or deleted so the ledger can answer
+ * "what did this client pay and when" even after Subscription is overwritten.
+ */
+const SubscriptionLedgerSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    subscriptionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subscription',
+    },
+    type: {
+      type: String,
+      enum: LEDGER_ENTRY_TYPES,
+      required: true,
+    },
+    plan: String,
+    // Refunds are stored as negative amounts so sums give net revenue
+    amount: { type: Number, default: 0 },
+    currency: { type: String, default: 'USD' },
+    provider: {
+      type: String,
+      // 'fake' is the in-process provider used in tests and local development
+      enum: ['paypal', 'fake', 'admin'],
+      required: true,
+    },
+    // Provider order (purchases) or refund ID (refunds); null for admin entries
+    providerTransactionId: { type: String, default: null },
+    // Provider capture a purchase was paid with, or the capture a refund returns
+    captureId: { type: String, default: null },
+    couponCode: { type: String, default: null },
+    discountAmount: { type: Number, default: 0 },
+    daysAdded: { type: Number, default: 0 },
+    periodStart: Date,
+    periodEnd: Date,
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    note: { type: String, trim: true, maxlength: 500 },
+    // Set on purchases whose payment did not match the price at checkout; the
+    // time is still credited, this only asks an admin to look at it
+    reviewReason: { type: String, default: null },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+SubscriptionLedgerSchema.index({ userId: 1, createdAt: -1 });
+SubscriptionLedgerSchema.index({ type: 1, createdAt: -1 });
+SubscriptionLedgerSchema.index({ userId: 1, couponCode: 1 });
+SubscriptionLedgerSchema.index({ captureId: 1, type: 1 });
+// One row per provider transaction and type, so a capture seen by both the
+// webhook and the verify-payment call is only recorded once
+SubscriptionLedgerSchema.index(
+  { type: 1, providerTransactionId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { providerTransactionId: { $type: 'string' } },
+    name: 'unique_provider_transaction',
+  }
+);
+
+// Enforce append-only: existing rows cannot be modified or removed
+SubscriptionLedgerSchema.pre('save', function (next) {
+  if (!this.isNew) return next(new Error('Subscription ledger entries are immutable'));
+  next();
+});
+
+const IMMUTABLE_OPS = [
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+];
+IMMUTABLE_OPS.forEach(op => {
+  SubscriptionLedgerSchema.pre(op, function (next) {
+    next(new Error('Subscription ledger entries are immutable'));
+  });
+});
+
+SubscriptionLedgerSchema.statics.ENTRY_TYPES = LEDGER_ENTRY_TYPES;
+
+module.exports = mongoose.model('SubscriptionLedger', SubscriptionLedgerSchema);
@@ -1,5 +1,11 @@
 const mongoose = require('mongoose');
 
+/**
+ * TrainerAvailability Model
+ * One weekly availability window. A day can hold several windows (a split
+ * shift such as 6-10 AM and 4-8 PM), each with its own slot capacity; the
+ * PUT /trainer/availability route keeps windows on the same day from overlapping.
+ */
 const TrainerAvailabilitySchema = new mongoose.Schema(
   {
     trainerId: {
@@ -44,8 +50,9 @@ const TrainerAvailabilitySchema = new mongoose.Schema(
   }
 );
 
-// One availability window per trainer per day
-TrainerAvailabilitySchema.index({ trainerId: 1, dayOfWeek: 1 }, { unique: true });
+// Windows for a trainer's day, in start order. Replaces the old unique
+// { trainerId, dayOfWeek } index; drop it with scripts/migrate-availability-windows.js
+TrainerAvailabilitySchema.index({ trainerId: 1, dayOfWeek: 1, startHour: 1 });
 
 TrainerAvailabilitySchema.path('endHour').validate(function (value) {
   return value > this.startHour;
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+/**
+ * TrainerAvailabilityOverride Model
+ * Date-specific exceptions to a trainer's weekly TrainerAvailability:
+ *   blocked - time off; the whole day, or startHour-endHour only
+ *   extra   - one-off hours on top of (or instead of a day off in) the weekly window
+ * Dates are UTC midnights and the range is inclusive, so a single day has
+ * startDate === endDate.
+ */
+const TrainerAvailabilityOverrideSchema = new mongoose.Schema(
+  {
+    trainerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ['blocked', 'extra'],
+      required: true,
+    },
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, required: true },
+    // Omitted on a blocked override to block the whole day
+    startHour: { type: Number, min: 0, max: 23, default: null },
+    endHour: { type: Number, min: 1, max: 24, default: null },
+    // Max clients per slot during extra hours
+    slotCapacity: { type: Number, min: 1, max: 50, default: 6 },
+    // Shown to the trainer only; never sent to clients
+    reason: { type: String, trim: true, maxlength: 200 },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+TrainerAvailabilityOverrideSchema.index({ trainerId: 1, startDate: 1, endDate: 1 });
+
+TrainerAvailabilityOverrideSchema.path('endDate').validate(function (value) {
+  return !this.startDate || value >= this.startDate;
+}, 'endDate must not be before startDate');
+
+TrainerAvailabilityOverrideSchema.path('endHour').validate(function (value) {
+  if (value === null && this.startHour === null) return this.type === 'blocked';
+  return value !== null && this.startHour !== null && value > this.startHour;
+}, 'endHour must be greater than startHour (hours are required for extra hours)');
+
+module.exports = mongoose.model(
+  'TrainerAvailabilityOverride',
+  TrainerAvailabilityOverrideSchema
+);
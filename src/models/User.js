@@ -2,86 +2,7 @@ const mongoose = require('mongoose');
 
 const bcrypt = require('bcryptjs');
 
-const MealFoodSchema = new mongoose.Schema(
-  {
-    foodName: { type: String, required: true, trim: true, maxlength: 200 },
-    calories: { type: Number, required: true, min: 0 },
-    protein: { type: Number, default: 0, min: 0 },
-    carbs: { type: Number, default: 0, min: 0 },
-    fat: { type: Number, default: 0, min: 0 },
-    quantity: { type: Number, required: true, min: 0.01 },
-    unit: { type: String, enum: ['g', 'ml', 'oz', 'serving'], default: 'g' },
-  },
-  { _id: false }
-);
-
-const MealLogSchema = new mongoose.Schema({
-  date: { type: Date, required: true, default: Date.now },
-  mealType: {
-    type: String,
-    required: true,
-    enum: ['breakfast', 'lunch', 'dinner', 'snack'],
-  },
-  foods: {
-    type: [MealFoodSchema],
-    required: true,
-    validate: [arr => arr.length > 0, 'At least one food item is required'],
-  },
-  totalCalories: { type: Number, default: 0 },
-  notes: { type: String, trim: true, maxlength: 500 },
-  deletedAt: { type: Date },
-});
-
-const WorkoutSetSchema = new mongoose.Schema(
-  {
-    setNumber: { type: Number, required: true, min: 1 },
-    reps: { type: Number, required: true, min: 0 },
-    weight: { type: Number, required: true, min: 0 },
-    rpe: { type: Number, min: 1, max: 10 },
-    completed: { type: Boolean, default: true },
-  },
-  { _id: false }
-);
-
-const WorkoutExerciseSchema = new mongoose.Schema(
-  {
-    exerciseName: { type: String, required: true, trim: true },
-    sets: {
-      type: [WorkoutSetSchema],
-      required: true,
-      validate: [arr => arr.length > 0, 'At least one set is required'],
-    },
-  },
-  { _id: false }
-);
-
-const WorkoutLogSchema = new mongoose.Schema({
-  date: { type: Date, required: true, default: Date.now },
-  programId: { type: mongoose.Schema.Types.ObjectId, ref: 'Program' },
-  workoutName: { type: String, required: true, trim: true },
-  exercises: {
-    type: [WorkoutExerciseSchema],
-    required: true,
-    validate: [arr => arr.length > 0, 'At least one exercise is required'],
-  },
-  totalVolume: { type: Number, default: 0 },
-  duration: { type: Number, min: 0 },
-  notes: { type: String, trim: true, maxlength: 500 },
-  deletedAt: { type: Date },
-});
-
-// Pre-save hook: compute total lifted volume across all exercises
-WorkoutLogSchema.pre('save', function (next) {
-  if (this.exercises) {
-    this.totalVolume = this.exercises.reduce((total, exercise) => {
-      const exerciseVolume = exercise.sets.reduce((setTotal, set) => {
-        return setTotal + set.reps * set.weight;
-      }, 0);
-      return total + exerciseVolume;
-    }, 0);
-  }
-  next();
-});
+const { isValidTimeZone } = require('../utils/dateUtils');
 
 const UserSchema = new mongoose.Schema(
   {
@@ -158,8 +79,6 @@ const UserSchema = new mongoose.Schema(
     weight: { type: Number },
     goals: { type: String },
     reason: { type: String },
-    workoutLogs: { type: [WorkoutLogSchema], default: [] },
-    mealLogs: { type: [MealLogSchema], default: [] },
     schedule: {
       lastReset: { type: Date, default: Date.now },
       plans: [
@@ -178,10 +97,15 @@ const UserSchema = new mongoose.Schema(
     resetPasswordExpires: { type: Date, select: false },
     failedLoginAttempts: { type: Number, default: 0 },
     lockoutUntil: { type: Date },
+    // Programs a trainer put the client on; the one without endedAt is current
     assignedPrograms: [
       {
         programId: { type: mongoose.Schema.Types.ObjectId, ref: 'Program' },
         assignedAt: { type: Date, default: Date.now },
+        assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        // UTC midnight of the client's first program day
+        startDate: { type: Date },
+        endedAt: { type: Date, default: null },
       },
     ],
     purchasedPrograms: [
@@ -272,11 +196,33 @@ const UserSchema = new mongoose.Schema(
       dataAnalytics: { type: Boolean, default: true },
       thirdPartySharing: { type: Boolean, default: false },
     },
+    notificationPreferences: {
+      appointmentReminders: { type: Boolean, default: true },
+      // Emails when a workout goal is reached or its target date passes
+      goalUpdates: { type: Boolean, default: true },
+    },
+    // Secret in the user's subscribable calendar feed URL; rotated from the profile page
+    calendarFeedToken: { type: String, select: false },
     trainerEmailPreference: {
       type: String,
       enum: ['individual', 'daily_digest'],
       default: 'daily_digest',
     },
+    // Trainers: gym location worked from, and an IANA timezone overriding the
+    // location's. Schedules fall back to DEFAULT_TIMEZONE when neither is set
+    locationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location',
+      default: null,
+    },
+    timezone: {
+      type: String,
+      default: null,
+      validate: {
+        validator: value => value === null || isValidTimeZone(value),
+        message: 'timezone must be an IANA timezone such as "America/Jamaica"',
+      },
+    },
     dataDeletedAt: { type: Date },
     deletionReason: { type: String },
 
@@ -291,14 +237,52 @@ const UserSchema = new mongoose.Schema(
     twitterId: { type: String, unique: true, sparse: true },
     appleId: { type: String, unique: true, sparse: true },
 
+    // Checked against personal records after each logged workout (see services/workoutGoals)
     workoutGoals: [
       {
-        exercise: { type: String, required: true, trim: true },
-        targetWeight: { type: Number, required: true, min: 0 },
+        // weight: lift targetWeight; reps: targetReps at targetWeight or heavier;
+        // volume: targetVolume in one session; bodyweight: reach targetWeight
+        metric: {
+          type: String,
+          enum: ['weight', 'reps', 'volume', 'bodyweight'],
+          default: 'weight',
+        },
+        exercise: {
+          type: String,
+          trim: true,
+          required: function () {
+            return this.metric !== 'bodyweight';
+          },
+        },
+        targetWeight: {
+          type: Number,
+          min: 0,
+          required: function () {
+            return this.metric !== 'volume';
+          },
+        },
+        targetReps: {
+          type: Number,
+          min: 1,
+          required: function () {
+            return this.metric === 'reps';
+          },
+        },
+        targetVolume: {
+          type: Number,
+          min: 0,
+          required: function () {
+            return this.metric === 'volume';
+          },
+        },
+        // Value when the goal was set; progress is measured from here
+        startValue: { type: Number },
         targetDate: { type: Date },
         createdAt: { type: Date, default: Date.now },
         achieved: { type: Boolean, default: false },
         achievedAt: { type: Date },
+        // When the member was told the targetDate passed with the goal unmet
+        missedAt: { type: Date },
       },
     ],
 
@@ -346,12 +330,12 @@ UserSchema.methods.comparePassword = function (candidatePassword) {
 UserSchema.index({ role: 1 });
 UserSchema.index({ createdAt: -1 });
 UserSchema.index({ assignedTrainerId: 1 }, { sparse: true });
+UserSchema.index({ calendarFeedToken: 1 }, { unique: true, sparse: true });
 
 UserSchema.index({ 'assignedPrograms.programId': 1 }, { sparse: true });
 UserSchema.index({ 'purchasedPrograms.programId': 1 }, { sparse: true });
-UserSchema.index({ 'workoutLogs.date': -1 }, { sparse: true });
-UserSchema.index({ 'workoutLogs.exercises.exerciseName': 1 }, { sparse: true });
-UserSchema.index({ 'mealLogs.date': -1 }, { sparse: true });
+// Goals past their target date
+UserSchema.index({ 'workoutGoals.targetDate': 1 }, { sparse: true });
 
 // --------------------
 // Subscription Methods (Lazy Loading)
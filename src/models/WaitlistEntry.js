@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+/**
+ * WaitlistEntry Model
+ * A client waiting for a place in a fully booked trainer slot. When a booking
+ * in the slot is cancelled, the oldest waiting entry is offered the place:
+ *   waiting   - in the queue
+ *   offered   - place held for the client until holdExpiresAt
+ *   booked    - client took the place (appointmentId is set)
+ *   expired   - hold ran out without a booking; the next entry is offered
+ *   cancelled - client left the waitlist
+ */
+const WaitlistEntrySchema = new mongoose.Schema(
+  {
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    trainerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // UTC midnight of the slot's date
+    date: { type: Date, required: true },
+    time: { type: String, required: true },
+    sessionTypeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SessionType',
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ['waiting', 'offered', 'booked', 'expired', 'cancelled'],
+      default: 'waiting',
+    },
+    offeredAt: { type: Date, default: null },
+    holdExpiresAt: { type: Date, default: null },
+    appointmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Queue order within a slot
+WaitlistEntrySchema.index({ trainerId: 1, date: 1, time: 1, status: 1, createdAt: 1 });
+WaitlistEntrySchema.index({ clientId: 1, status: 1 });
+// Expiry sweep
+WaitlistEntrySchema.index({ status: 1, holdExpiresAt: 1 });
+
+module.exports = mongoose.model('WaitlistEntry', WaitlistEntrySchema);
@@ -1,9 +1,15 @@
 const mongoose = require('mongoose');
 
+const WEBHOOK_EVENT_STATUSES = ['received', 'processing', 'processed', 'failed'];
+
+// Processed events are kept long enough to investigate billing questions
+const PROCESSED_RETENTION_DAYS = 30;
+
 /**
  * WebhookEvent Model
- * Stores processed webhook events for replay protection
- * Uses MongoDB TTL index for automatic cleanup
+ * Every accepted provider webhook with its full payload and processing outcome.
+ * The unique eventId doubles as replay protection. Failed events are kept until
+ * they are re-run (see services/webhookUtils); processed events expire via TTL.
  */
 const WebhookEventSchema = new mongoose.Schema(
   {
@@ -11,22 +17,40 @@ const WebhookEventSchema = new mongoose.Schema(
       type: String,
       required: true,
       unique: true, // unique already creates an index
-      description: 'Stripe webhook event ID (immutable)',
+      description: 'Provider webhook event ID (immutable)',
     },
     eventType: {
       type: String,
       required: true,
-      description: 'Type of webhook event (e.g., customer.subscription.created)',
+      description: 'Type of webhook event (e.g., PAYMENT.CAPTURE.COMPLETED)',
+    },
+    provider: {
+      type: String,
+      default: 'paypal',
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      description: 'Event body exactly as received',
     },
+    status: {
+      type: String,
+      enum: WEBHOOK_EVENT_STATUSES,
+      default: 'received',
+      index: true,
+    },
+    attempts: { type: Number, default: 0 },
+    lastError: { type: String, default: null },
+    receivedAt: { type: Date, default: Date.now },
+    lastAttemptAt: { type: Date, default: null },
     processedAt: {
       type: Date,
-      default: Date.now,
-      description: 'When this event was first processed',
+      default: null,
+      description: 'When processing last succeeded',
     },
-    // TTL index: MongoDB auto-deletes doc after 24 hours
+    // TTL index: set once processed; unset (kept forever) while failed
     expiresAt: {
       type: Date,
-      default: () => new Date(Date.now() + 24 * 60 * 60 * 1000),
+      default: null,
       index: { expireAfterSeconds: 0 },
       description: 'Document auto-deletion time (TTL)',
     },
@@ -34,4 +58,9 @@ const WebhookEventSchema = new mongoose.Schema(
   { timestamps: false }
 );
 
+WebhookEventSchema.index({ status: 1, receivedAt: -1 });
+
+WebhookEventSchema.statics.STATUSES = WEBHOOK_EVENT_STATUSES;
+WebhookEventSchema.statics.PROCESSED_RETENTION_DAYS = PROCESSED_RETENTION_DAYS;
+
 module.exports = mongoose.model('WebhookEvent', WebhookEventSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+/**
+ * WorkoutLog Model
+ * One workout a member logged. Kept in its own collection rather than on the
+ * User document so history can be paged and aggregated in the database.
+ * Deleted logs keep their document with deletedAt set.
+ */
+const WorkoutSetSchema = new mongoose.Schema(
+  {
+    setNumber: { type: Number, required: true, min: 1 },
+    reps: { type: Number, required: true, min: 0 },
+    weight: { type: Number, required: true, min: 0 },
+    rpe: { type: Number, min: 1, max: 10 },
+    completed: { type: Boolean, default: true },
+  },
+  { _id: false }
+);
+
+const WorkoutExerciseSchema = new mongoose.Schema(
+  {
+    exerciseName: { type: String, required: true, trim: true },
+    // Catalogue entry the name was matched to; unset until it is mapped
+    exerciseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Exercise' },
+    sets: {
+      type: [WorkoutSetSchema],
+      required: true,
+      validate: [arr => arr.length > 0, 'At least one set is required'],
+    },
+  },
+  { _id: false }
+);
+
+const WorkoutLogSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    date: { type: Date, required: true, default: Date.now },
+    programId: { type: mongoose.Schema.Types.ObjectId, ref: 'Program' },
+    // The program day this workout followed, for adherence
+    programDayId: { type: mongoose.Schema.Types.ObjectId },
+    workoutName: { type: String, required: true, trim: true },
+    exercises: {
+      type: [WorkoutExerciseSchema],
+      required: true,
+      validate: [arr => arr.length > 0, 'At least one exercise is required'],
+    },
+    totalVolume: { type: Number, default: 0 },
+    duration: { type: Number, min: 0 },
+    notes: { type: String, trim: true, maxlength: 500 },
+    deletedAt: { type: Date },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Pre-save hook: compute total lifted volume across all exercises
+WorkoutLogSchema.pre('save', function (next) {
+  if (this.exercises) {
+    this.totalVolume = this.exercises.reduce((total, exercise) => {
+      const exerciseVolume = exercise.sets.reduce((setTotal, set) => {
+        return setTotal + set.reps * set.weight;
+      }, 0);
+      return total + exerciseVolume;
+    }, 0);
+  }
+  next();
+});
+
+// History pages and stats
+WorkoutLogSchema.index({ userId: 1, deletedAt: 1, date: -1 });
+// Program adherence
+WorkoutLogSchema.index({ userId: 1, programId: 1 });
+// Exercise progress, matched case-insensitively
+WorkoutLogSchema.index(
+  { userId: 1, 'exercises.exerciseName': 1, date: -1 },
+  { collation: { locale: 'en', strength: 2 } }
+);
+// Exercise progress by catalogue entry
+WorkoutLogSchema.index({ userId: 1, 'exercises.exerciseId': 1, date: -1 });
+
+module.exports = mongoose.model('WorkoutLog', WorkoutLogSchema);
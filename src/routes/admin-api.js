@@ -7,16 +7,54 @@ const {
   bulkDeleteClients,
   createSubscription,
   extendSubscription,
+  refundSubscription,
   getClientProfile,
+  getClientBillingHistory,
 } = require('../controllers/adminController');
+const {
+  listCoupons,
+  createCoupon,
+  updateCoupon,
+  deactivateCoupon,
+} = require('../controllers/couponController');
+const planController = require('../controllers/planController');
+const locationController = require('../controllers/locationController');
+const exerciseController = require('../controllers/exerciseController');
+const { adminGetInvoice } = require('../controllers/invoiceController');
+const {
+  listWebhookEvents,
+  getWebhookEvent,
+  replayWebhookEvent,
+} = require('../controllers/webhookEventController');
 
 // All admin API routes require auth + admin role
 router.use(auth, requireAdmin);
 
 router.get('/revenue', getMonthlyRevenue);
 router.get('/clients/:id', getClientProfile);
+router.get('/clients/:id/billing-history', getClientBillingHistory);
 router.delete('/clients/bulk', bulkDeleteClients);
 router.post('/subscriptions', createSubscription);
 router.post('/subscriptions/:id/extend', extendSubscription);
+router.post('/subscriptions/:id/refund', refundSubscription);
+router.get('/invoices/:id', adminGetInvoice);
+router.get('/plans', planController.adminListPlans);
+router.post('/plans', planController.adminCreatePlan);
+router.patch('/plans/:id', planController.adminUpdatePlan);
+router.delete('/plans/:id', planController.adminDeactivatePlan);
+router.get('/locations', locationController.adminListLocations);
+router.post('/locations', locationController.adminCreateLocation);
+router.patch('/locations/:id', locationController.adminUpdateLocation);
+router.get('/exercises/unmatched', exerciseController.adminListUnmatchedNames);
+router.post('/exercises/merge', exerciseController.adminMergeExerciseNames);
+router.post('/exercises', exerciseController.adminCreateExercise);
+router.patch('/exercises/:id', exerciseController.adminUpdateExercise);
+router.get('/webhook-events', listWebhookEvents);
+router.get('/webhook-events/:id', getWebhookEvent);
+router.post('/webhook-events/:id/replay', replayWebhookEvent);
+router.get('/coupons', listCoupons);
+router.post('/coupons', createCoupon);
+router.patch('/coupons/:id', updateCoupon);
+router.delete('/coupons/:id', deactivateCoupon);
 
 module.exports = router;
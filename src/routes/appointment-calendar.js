@@ -0,0 +1,44 @@
+/**
+ * @swagger
+ * tags:
+ *   name: Appointment Calendar
+ *   description: Subscribable calendar feeds of a user's sessions (public — token in the URL)
+ */
+
+const express = require('express');
+
+const appointmentController = require('../controllers/appointmentController');
+const { apiLimiter } = require('../middleware/rateLimiter');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /appointments/calendar/{token}.ics:
+ *   get:
+ *     summary: Calendar feed of a trainer's or client's sessions
+ *     description: |
+ *       Upcoming sessions plus the last CALENDAR_FEED_PAST_DAYS (default 7) days,
+ *       without cancelled ones. Each event's UID is the appointment ID and its
+ *       SEQUENCE goes up whenever the session changes. Get the URL from
+ *       `GET /users/calendar-feed`.
+ *     tags: [Appointment Calendar]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: iCalendar feed
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Unknown or rotated token
+ */
+router.get('/:token.ics', apiLimiter, appointmentController.getCalendarFeed);
+
+module.exports = router;
@@ -0,0 +1,78 @@
+/**
+ * @swagger
+ * tags:
+ *   name: Appointment Responses
+ *   description: Confirm or cancel a session from a reminder email (public — token in the link)
+ */
+
+const express = require('express');
+
+const appointmentController = require('../controllers/appointmentController');
+const { allowOnlyFields } = require('../middleware/inputValidator');
+const { apiLimiter } = require('../middleware/rateLimiter');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /appointment-responses:
+ *   post:
+ *     summary: Confirm or cancel a session using the token from a reminder email
+ *     tags: [Appointment Responses]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - action
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Signed token from the reminder link; expires when the session starts
+ *               action:
+ *                 type: string
+ *                 enum: [confirm, cancel]
+ *     responses:
+ *       200:
+ *         description: Session confirmed or cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                 appointment:
+ *                   type: object
+ *                   properties:
+ *                     date:
+ *                       type: string
+ *                       format: date
+ *                     time:
+ *                       type: string
+ *                     timezone:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *       400:
+ *         description: Invalid action
+ *       401:
+ *         description: Invalid or expired token
+ *       404:
+ *         description: Appointment not found
+ *       409:
+ *         description: Session is no longer scheduled
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  '/',
+  apiLimiter,
+  allowOnlyFields(['token', 'action'], true),
+  appointmentController.respondToReminder
+);
+
+module.exports = router;
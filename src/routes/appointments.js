@@ -37,12 +37,82 @@
  *         date:
  *           type: string
  *           format: date
+ *           description: Local date in the appointment's timezone
  *         time:
  *           type: string
  *           example: "09:00"
+ *           description: Local start time in the appointment's timezone
+ *         timezone:
+ *           type: string
+ *           example: America/Jamaica
+ *           description: The trainer's IANA timezone when booked
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *           description: Start instant in UTC
+ *         sessionTypeId:
+ *           type: string
+ *           nullable: true
+ *           description: Set on create to book one of the trainer's session types
+ *         sessionName:
+ *           type: string
+ *           nullable: true
+ *         durationMinutes:
+ *           type: integer
+ *           example: 60
+ *         bufferMinutes:
+ *           type: integer
+ *           example: 0
+ *         seriesId:
+ *           type: string
+ *           nullable: true
+ *           description: Set when the appointment is one occurrence of a recurring series
  *         status:
  *           type: string
  *           enum: [scheduled, completed, cancelled, no_show, late]
+ *         cancelledAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lateCancellation:
+ *           type: boolean
+ *           description: The client cancelled inside the late-cancel cutoff
+ *         statusUpdatedAt:
+ *           type: string
+ *           format: date-time
+ *         statusHistory:
+ *           type: array
+ *           description: Every status change, oldest first
+ *           items:
+ *             type: object
+ *             properties:
+ *               from:
+ *                 type: string
+ *                 nullable: true
+ *               status:
+ *                 type: string
+ *               changedAt:
+ *                 type: string
+ *                 format: date-time
+ *               changedBy:
+ *                 type: string
+ *                 nullable: true
+ *                 description: null for changes made by the system
+ *               source:
+ *                 type: string
+ *                 enum: [trainer, client, admin, system]
+ *               reason:
+ *                 type: string
+ *                 nullable: true
+ *                 example: checked_in
+ *         checkedInAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         checkInMethod:
+ *           type: string
+ *           enum: [trainer, code]
+ *           nullable: true
  *         notes:
  *           type: string
  */
@@ -67,9 +137,21 @@ const appointmentController = require('../controllers/appointmentController');
  *       - bearerAuth: []
  *   post:
  *     summary: Create a new appointment booking (requires active subscription)
+ *     description: |
+ *       Send `recurrence: { frequency: weekly|biweekly, count | until }` to book a
+ *       series starting on `date`. Every date is checked on its own; dates that
+ *       cannot be booked are returned in `conflicts` and the rest are booked
+ *       (201 `{ series, appointments, conflicts }`, or 409 when none could be).
+ *
+ *       A client with NO_SHOW_LIMIT no-shows (default 3) in the last
+ *       NO_SHOW_WINDOW_DAYS (default 30) cannot book, join a waitlist or take a
+ *       waitlist offer until NO_SHOW_BLOCK_DAYS (default 14) after the last one.
  *     tags: [Appointments]
  *     security:
  *       - bearerAuth: []
+ *     responses:
+ *       403:
+ *         description: Booking is paused after repeated no-shows; returns `{ msg, blockedUntil }`
  */
 router.get('/', requireAdmin, appointmentController.listAppointments);
 router.post('/', requireActiveSubscription, appointmentController.createAppointment);
@@ -85,6 +167,63 @@ router.post('/', requireActiveSubscription, appointmentController.createAppointm
  */
 router.get('/user', appointmentController.getUserAppointments);
 
+/**
+ * @swagger
+ * /appointments/waitlist:
+ *   get:
+ *     summary: Get the authenticated client's active waitlist entries
+ *     description: Each waiting entry includes its 1-based `position` in the queue.
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *   post:
+ *     summary: Join the waitlist for a fully booked slot (requires active subscription)
+ *     description: |
+ *       Takes the same `trainerId`, `date`, `time` and `sessionTypeId` as a booking.
+ *       When a place in the slot frees up, the oldest waiting client is emailed and
+ *       the place is held for them for WAITLIST_HOLD_MINUTES (default 120); an
+ *       unconfirmed hold passes to the next client.
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Added to the waitlist; returns `{ entry, position }`
+ *       400:
+ *         description: Invalid slot, or the slot still has open places
+ *       409:
+ *         description: Already on the waitlist for this slot
+ */
+router.get('/waitlist', appointmentController.getWaitlist);
+router.post('/waitlist', requireActiveSubscription, appointmentController.joinWaitlist);
+
+/**
+ * @swagger
+ * /appointments/waitlist/{id}:
+ *   delete:
+ *     summary: Leave the waitlist, or turn down an offered place
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ * /appointments/waitlist/{id}/confirm:
+ *   post:
+ *     summary: Book the place held for the client (requires active subscription)
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Appointment booked
+ *       410:
+ *         description: The hold has expired or the offer was withdrawn
+ */
+router.delete('/waitlist/:id', appointmentController.leaveWaitlist);
+router.post(
+  '/waitlist/:id/confirm',
+  requireActiveSubscription,
+  appointmentController.confirmWaitlistOffer
+);
+
 /**
  * @swagger
  * /appointments/{id}:
@@ -95,11 +234,19 @@ router.get('/user', appointmentController.getUserAppointments);
  *       - bearerAuth: []
  *   put:
  *     summary: Update an appointment (admin only via this route)
+ *     description: |
+ *       For a series occurrence, `scope: following` applies the change to this and
+ *       every later scheduled occurrence; a new date shifts each by the same days.
  *     tags: [Appointments]
  *     security:
  *       - bearerAuth: []
  *   delete:
  *     summary: Delete an appointment (trainer, client, or admin)
+ *     description: |
+ *       Pass `?scope=following` to also delete the later occurrences of its series.
+ *       When a client cancels less than LATE_CANCEL_HOURS (default 24) before the
+ *       session, it is kept as cancelled with `lateCancellation` set instead of
+ *       being deleted.
  *     tags: [Appointments]
  *     security:
  *       - bearerAuth: []
@@ -107,9 +254,48 @@ router.get('/user', appointmentController.getUserAppointments);
 router.get('/:id', appointmentController.getAppointmentById);
 router.put(
   '/:id',
-  allowOnlyFields(['trainerId', 'date', 'time', 'status', 'notes'], true),
+  allowOnlyFields(['trainerId', 'date', 'time', 'status', 'notes', 'scope'], true),
   appointmentController.updateAppointment
 );
 router.delete('/:id', appointmentController.deleteAppointment);
 
+/**
+ * @swagger
+ * /appointments/{id}/check-in:
+ *   post:
+ *     summary: Check in to a session with the code shown by the trainer (client only)
+ *     description: |
+ *       Open from CHECK_IN_OPENS_MINUTES (default 30) before the session until it
+ *       ends. The session becomes `completed`, or `late` when checked in more than
+ *       CHECK_IN_LATE_MINUTES (default 10) after the start. Sessions nobody checks
+ *       in to become `no_show` NO_SHOW_GRACE_MINUTES (default 60) after they end.
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: K7QM2X
+ *     responses:
+ *       200:
+ *         description: Checked in; returns `{ msg, appointment }`
+ *       400:
+ *         description: Wrong code, or outside the check-in window
+ *       409:
+ *         description: The session is no longer scheduled
+ */
+router.post(
+  '/:id/check-in',
+  allowOnlyFields(['code'], true),
+  appointmentController.checkIn
+);
+
 module.exports = router;
@@ -10,6 +10,7 @@ const express = require('express');
 
 const router = express.Router();
 const { logger } = require('../services/logger');
+const { deleteMemberLogs } = require('../services/memberLogs');
 const User = require('../models/User');
 const Subscription = require('../models/Subscription');
 // Note: Auth middleware is applied at the router level in server.js
@@ -322,6 +323,7 @@ router.delete('/:id', async (req, res) => {
     }
 
     await User.findByIdAndDelete(req.params.id);
+    await deleteMemberLogs(req.params.id);
     res.json({ msg: 'Client deleted successfully' });
   } catch (err) {
     logger.error('Failed to delete client', { error: err.message });
@@ -0,0 +1,45 @@
+const express = require('express');
+
+const router = express.Router();
+const exerciseController = require('../controllers/exerciseController');
+
+/**
+ * @swagger
+ * /api/v1/exercises:
+ *   get:
+ *     summary: Search the exercise catalogue by name or alias, for autocomplete
+ *     tags: [Exercises]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Start of a word in the exercise name or an alias
+ *       - in: query
+ *         name: muscle
+ *         schema:
+ *           type: string
+ *         description: Primary or secondary muscle group, e.g. chest
+ *       - in: query
+ *         name: equipment
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 25
+ */
+router.get('/', exerciseController.searchExercises);
+
+/**
+ * @swagger
+ * /api/v1/exercises/{id}:
+ *   get:
+ *     summary: Get a catalogue exercise
+ *     tags: [Exercises]
+ */
+router.get('/:id', exerciseController.getExercise);
+
+module.exports = router;
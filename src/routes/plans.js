@@ -15,42 +15,24 @@ const router = express.Router();
  * @swagger
  * /plans:
  *   get:
- *     summary: Get subscription plan catalog (public, no auth required)
+ *     summary: Get the active subscription plans in display order (public, no auth required)
  *     tags: [Plans]
- *     parameters:
- *       - in: query
- *         name: lookupKey
- *         schema:
- *           type: string
- *         description: Filter by a specific plan lookup key
- *       - in: query
- *         name: active
- *         schema:
- *           type: string
- *           enum: ["true", "false"]
- *           default: "true"
- *       - in: query
- *         name: sort
- *         schema:
- *           type: string
- *           enum: [interval, name, unitAmount]
- *           default: interval
  */
 router.get('/', planController.getAllPlans);
 
 /**
  * @swagger
- * /plans/{lookupKey}:
+ * /plans/{key}:
  *   get:
- *     summary: Get a single active plan by its lookup key (public)
+ *     summary: Get a single active plan by its key (public)
  *     tags: [Plans]
  *     parameters:
  *       - in: path
- *         name: lookupKey
+ *         name: key
  *         required: true
  *         schema:
  *           type: string
  */
-router.get('/:lookupKey', planController.getPlanByLookupKey);
+router.get('/:key', planController.getPlanByKey);
 
 module.exports = router;
@@ -4,6 +4,7 @@ const router = express.Router();
 const { body } = require('express-validator');
 
 const subscriptionController = require('../controllers/subscriptionController');
+const { listMyInvoices, getMyInvoice } = require('../controllers/invoiceController');
 const { auth } = require('../middleware/auth');
 const {
   preventNoSQLInjection,
@@ -23,13 +24,35 @@ router.get('/config/paypal-client-id', (req, res) => {
 router.post(
   '/checkout',
   auth,
-  [body('plan').trim().notEmpty().withMessage('Plan is required')],
+  [
+    body('plan').trim().notEmpty().withMessage('Plan is required'),
+    body('couponCode').optional().trim().isLength({ max: 32 }),
+  ],
   handleValidationErrors,
   subscriptionController.createCheckout
 );
 
+router.post(
+  '/coupons/preview',
+  auth,
+  [
+    body('plan').trim().notEmpty().withMessage('Plan is required'),
+    body('couponCode').trim().notEmpty().withMessage('Coupon code is required'),
+  ],
+  handleValidationErrors,
+  subscriptionController.previewCoupon
+);
+
+router.post('/trial', auth, subscriptionController.startTrial);
+
 router.get('/current', auth, subscriptionController.getCurrentSubscription);
 
+router.get('/history', auth, subscriptionController.getHistory);
+
+router.get('/invoices', auth, listMyInvoices);
+
+router.get('/invoices/:id', auth, getMyInvoice);
+
 router.post(
   '/verify-payment/:orderId',
   auth,
@@ -38,4 +61,6 @@ router.post(
 
 router.post('/cancel', auth, subscriptionController.cancel);
 
+router.post('/resume', auth, subscriptionController.resume);
+
 module.exports = router;
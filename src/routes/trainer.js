@@ -6,13 +6,54 @@
  */
 
 const express = require('express');
+const mongoose = require('mongoose');
 
 const router = express.Router();
 const trainerController = require('../controllers/trainerController');
+const programController = require('../controllers/programController');
 const { requireTrainer } = require('../middleware/auth');
 const TrainerAvailability = require('../models/TrainerAvailability');
+const TrainerAvailabilityOverride = require('../models/TrainerAvailabilityOverride');
+const SessionType = require('../models/SessionType');
 const User = require('../models/User');
+const Location = require('../models/Location');
 const { logger } = require('../services/logger');
+const { getTrainerTimezone } = require('../services/timezones');
+const { isValidTimeZone, localDateString } = require('../utils/dateUtils');
+const {
+  findOverlappingWindow,
+  resolveSessionType,
+  getOpenSlots,
+  findAppointmentsInBlock,
+  notifyBlockedClients,
+} = require('../services/trainerAvailability');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Longest range of open slots returned in one request
+const MAX_SLOT_RANGE_DAYS = 62;
+// Longest single time-off or extra-hours override
+const MAX_OVERRIDE_DAYS = 366;
+
+// Parse a YYYY-MM-DD query/body value to a UTC midnight, or null
+function parseDateOnly(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const date = new Date(`${value}T00:00:00.000Z`);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// The trainer's local date today, as a UTC midnight like stored dates
+function localToday(timezone) {
+  return new Date(`${localDateString(new Date(), timezone)}T00:00:00.000Z`);
+}
+
+const SESSION_TYPE_FIELDS = ['name', 'durationMinutes', 'capacity', 'bufferMinutes'];
+
+// Turn a Mongoose ValidationError into a 400 response; rethrow anything else
+function sendValidationError(res, err) {
+  if (err.name !== 'ValidationError') throw err;
+  const message = Object.values(err.errors)[0]?.message || err.message;
+  return res.status(400).json({ success: false, error: message });
+}
 
 /**
  * @swagger
@@ -137,6 +178,61 @@ router.get('/appointments/:id', requireTrainer, trainerController.getAppointment
  */
 router.put('/appointments/:id', requireTrainer, trainerController.updateAppointment);
 
+/**
+ * @swagger
+ * /trainer/appointments/{id}/check-in:
+ *   post:
+ *     summary: Mark the client as arrived (trainer only)
+ *     description: |
+ *       The session becomes `completed`, or `late` when the client arrived more than
+ *       CHECK_IN_LATE_MINUTES (default 10) after the start. The change is kept in
+ *       the appointment's `statusHistory`.
+ *     tags: [Trainer]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Client checked in
+ *       404:
+ *         description: Appointment not found
+ *       409:
+ *         description: The session is no longer scheduled
+ * /trainer/appointments/{id}/check-in-code:
+ *   get:
+ *     summary: Get the code the client scans to check in (trainer only)
+ *     description: Returns `{ code, checkInUrl, qrCode, opensAt, closesAt }`; qrCode is a PNG data URL of checkInUrl.
+ *     tags: [Trainer]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Check-in code
+ *       404:
+ *         description: Appointment not found
+ */
+router.post(
+  '/appointments/:id/check-in',
+  requireTrainer,
+  trainerController.checkInAppointment
+);
+router.get(
+  '/appointments/:id/check-in-code',
+  requireTrainer,
+  trainerController.getCheckInCode
+);
+
 /**
  * @swagger
  * /trainer/client/{clientId}:
@@ -161,6 +257,254 @@ router.put('/appointments/:id', requireTrainer, trainerController.updateAppointm
  */
 router.get('/client/:clientId', requireTrainer, trainerController.getClientInfo);
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Program:
+ *       type: object
+ *       required: [name, weeks]
+ *       properties:
+ *         name:
+ *           type: string
+ *           maxLength: 100
+ *         description:
+ *           type: string
+ *           maxLength: 1000
+ *         weeks:
+ *           type: array
+ *           minItems: 1
+ *           maxItems: 52
+ *           items:
+ *             type: object
+ *             properties:
+ *               days:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [dayOfWeek, name, exercises]
+ *                   properties:
+ *                     dayOfWeek:
+ *                       type: integer
+ *                       minimum: 0
+ *                       maximum: 6
+ *                       description: 0 = Sunday
+ *                     name:
+ *                       type: string
+ *                     exercises:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         required: [exerciseName, sets, reps]
+ *                         properties:
+ *                           exerciseName:
+ *                             type: string
+ *                           sets:
+ *                             type: integer
+ *                           reps:
+ *                             type: integer
+ *                           percent1RM:
+ *                             type: number
+ *                             description: Target load as a percentage of one-rep max
+ *                           restSeconds:
+ *                             type: integer
+ *                           notes:
+ *                             type: string
+ *         isActive:
+ *           type: boolean
+ *
+ * /trainer/programs:
+ *   get:
+ *     summary: List the authenticated trainer's programs, including archived ones
+ *     tags: [Trainer]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Programs
+ *       403:
+ *         description: Trainer access required
+ *   post:
+ *     summary: Create a training program
+ *     tags: [Trainer]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Program'
+ *     responses:
+ *       201:
+ *         description: Program created
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Trainer access required
+ */
+router.get('/programs', requireTrainer, programController.listPrograms);
+router.post('/programs', requireTrainer, programController.createProgram);
+
+/**
+ * @swagger
+ * /trainer/programs/{programId}:
+ *   get:
+ *     summary: Get one of the authenticated trainer's programs
+ *     tags: [Trainer]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: programId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Program
+ *       404:
+ *         description: Program not found
+ *   put:
+ *     summary: Update a program
+ *     description: Clients on the program follow the updated version from now on.
+ *     tags: [Trainer]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: programId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Program'
+ *     responses:
+ *       200:
+ *         description: Program updated
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Program not found
+ *   delete:
+ *     summary: Archive a program
+ *     description: It can no longer be assigned; clients already on it keep following it.
+ *     tags: [Trainer]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: programId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Program archived
+ *       404:
+ *         description: Program not found
+ */
+router.get('/programs/:programId', requireTrainer, programController.getProgram);
+router.put('/programs/:programId', requireTrainer, programController.updateProgram);
+router.delete('/programs/:programId', requireTrainer, programController.archiveProgram);
+
+/**
+ * @swagger
+ * /trainer/client/{clientId}/program:
+ *   get:
+ *     summary: A client's current program, where they are in it and their adherence
+ *     tags: [Trainer]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Today's date for the client (defaults to the gym's date)
+ *     responses:
+ *       200:
+ *         description: Current program, or null when the client has none
+ *       403:
+ *         description: No trainer-client relationship
+ *   post:
+ *     summary: Put a client on one of the trainer's programs
+ *     description: Ends the client's current program, if any.
+ *     tags: [Trainer]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [programId]
+ *             properties:
+ *               programId:
+ *                 type: string
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 description: First day of week 1 (defaults to today)
+ *     responses:
+ *       201:
+ *         description: Program assigned
+ *       400:
+ *         description: Invalid start date or archived program
+ *       403:
+ *         description: No trainer-client relationship
+ *       404:
+ *         description: Program or client not found
+ *   delete:
+ *     summary: Take a client off their current program
+ *     tags: [Trainer]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Program ended
+ *       404:
+ *         description: The client has no current program
+ */
+router.get(
+  '/client/:clientId/program',
+  requireTrainer,
+  programController.getClientProgram
+);
+router.post(
+  '/client/:clientId/program',
+  requireTrainer,
+  programController.assignClientProgram
+);
+router.delete(
+  '/client/:clientId/program',
+  requireTrainer,
+  programController.endClientProgram
+);
+
 /**
  * @swagger
  * /trainer/appointments/bulk-update:
@@ -204,7 +548,10 @@ router.post(
  * @swagger
  * /trainer/{id}/availability:
  *   get:
- *     summary: Get a trainer's weekly availability slots
+ *     summary: Get a trainer's weekly availability and open slots per date
+ *     description: >
+ *       Open slots apply the trainer's time off and extra hours to the weekly
+ *       windows and leave out slots that are fully booked.
  *     tags: [Trainer]
  *     security:
  *       - bearerAuth: []
@@ -215,6 +562,28 @@ router.post(
  *         schema:
  *           type: string
  *         description: Trainer user ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First date (YYYY-MM-DD); defaults to tomorrow in the trainer's timezone
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last date (YYYY-MM-DD, at most 62 days after from); defaults to 14 days
+ *       - in: query
+ *         name: sessionType
+ *         schema:
+ *           type: string
+ *         description: Session type ID; defaults to a one-hour session
+ *       - in: query
+ *         name: includeFull
+ *         schema:
+ *           type: boolean
+ *         description: Also return fully booked slots (remaining 0), e.g. to offer the waitlist
  *     responses:
  *       200:
  *         description: Availability slots
@@ -225,8 +594,12 @@ router.post(
  *               properties:
  *                 success:
  *                   type: boolean
+ *                 timezone:
+ *                   type: string
+ *                   description: IANA timezone the trainer's hours and slot times are in
  *                 availability:
  *                   type: array
+ *                   description: Active weekly windows; a day may have several
  *                   items:
  *                     type: object
  *                     properties:
@@ -240,17 +613,77 @@ router.post(
  *                         type: boolean
  *                       slotCapacity:
  *                         type: integer
+ *                 dates:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       date:
+ *                         type: string
+ *                         format: date
+ *                       slots:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             time:
+ *                               type: string
+ *                             endTime:
+ *                               type: string
+ *                             capacity:
+ *                               type: integer
+ *                             booked:
+ *                               type: integer
+ *                             remaining:
+ *                               type: integer
+ *       400:
+ *         description: Invalid trainer ID, date range or session type
  *       500:
  *         description: Server error
  */
 router.get('/:id/availability', async (req, res) => {
   try {
-    const slots = await TrainerAvailability.find({
-      trainerId: req.params.id,
-      isActive: true,
-    }).sort({ dayOfWeek: 1 });
+    const trainerId = req.params.id;
+    if (!mongoose.isValidObjectId(trainerId)) {
+      return res.status(400).json({ success: false, error: 'Invalid trainer ID' });
+    }
+
+    const timezone = await getTrainerTimezone(trainerId);
+    const from = req.query.from
+      ? parseDateOnly(req.query.from)
+      : new Date(localToday(timezone).getTime() + DAY_MS);
+    const to = req.query.to
+      ? parseDateOnly(req.query.to)
+      : from && new Date(from.getTime() + 13 * DAY_MS);
+
+    if (!from || !to) {
+      return res
+        .status(400)
+        .json({ success: false, error: 'from and to must be dates (YYYY-MM-DD)' });
+    }
+    if (to < from || to - from > MAX_SLOT_RANGE_DAYS * DAY_MS) {
+      return res.status(400).json({
+        success: false,
+        error: `to must be on or after from and at most ${MAX_SLOT_RANGE_DAYS} days later`,
+      });
+    }
 
-    res.json({ success: true, availability: slots });
+    const sessionType = await resolveSessionType(trainerId, req.query.sessionType);
+    if (!sessionType) {
+      return res.status(400).json({ success: false, error: 'Unknown session type' });
+    }
+
+    const [slots, dates] = await Promise.all([
+      TrainerAvailability.find({ trainerId, isActive: true }).sort({
+        dayOfWeek: 1,
+        startHour: 1,
+      }),
+      getOpenSlots(trainerId, from, to, sessionType, {
+        includeFull: req.query.includeFull === 'true',
+      }),
+    ]);
+
+    res.json({ success: true, timezone, availability: slots, dates });
   } catch (err) {
     logger.error('Trainer availability fetch failed', {
       error: err.message,
@@ -262,57 +695,554 @@ router.get('/:id/availability', async (req, res) => {
 
 /**
  * @swagger
- * /trainer/availability:
- *   put:
- *     summary: Set the authenticated trainer's weekly availability
+ * /trainer/availability/overrides:
+ *   get:
+ *     summary: List the authenticated trainer's current and upcoming time off and extra hours
  *     tags: [Trainer]
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - availability
- *             properties:
- *               availability:
- *                 type: array
- *                 items:
- *                   type: object
- *                   required:
- *                     - dayOfWeek
- *                     - startHour
- *                     - endHour
- *                   properties:
- *                     dayOfWeek:
- *                       type: integer
- *                       minimum: 0
- *                       maximum: 6
- *                     startHour:
- *                       type: integer
- *                     endHour:
- *                       type: integer
- *                     isActive:
- *                       type: boolean
- *                       default: true
- *                     slotCapacity:
- *                       type: integer
- *                       default: 6
  *     responses:
  *       200:
- *         description: Availability updated
- *       400:
- *         description: Validation error
+ *         description: Overrides, soonest first
  *       403:
  *         description: Trainer access required
  *       500:
  *         description: Server error
  */
-router.put('/availability', requireTrainer, async (req, res) => {
+router.get('/availability/overrides', requireTrainer, async (req, res) => {
   try {
-    const { availability } = req.body;
+    const overrides = await TrainerAvailabilityOverride.find({
+      trainerId: req.user.id,
+      endDate: { $gte: localToday(await getTrainerTimezone(req.user.id)) },
+    }).sort({ startDate: 1, startHour: 1 });
+
+    res.json({ success: true, overrides });
+  } catch (err) {
+    logger.error('Trainer availability overrides fetch failed', { error: err.message });
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /trainer/availability/overrides:
+ *   post:
+ *     summary: Block time off or add one-off hours for a date range
+ *     description: >
+ *       A blocked override without hours blocks whole days. Scheduled sessions
+ *       inside newly blocked time are returned as affectedAppointments and, with
+ *       notifyClients, their clients are emailed. Sessions are not cancelled.
+ *     tags: [Trainer]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - startDate
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [blocked, extra]
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Inclusive; defaults to startDate
+ *               startHour:
+ *                 type: integer
+ *                 description: Required for extra hours; omit to block whole days
+ *               endHour:
+ *                 type: integer
+ *               slotCapacity:
+ *                 type: integer
+ *                 default: 6
+ *               reason:
+ *                 type: string
+ *               notifyClients:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       201:
+ *         description: Override created
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Trainer access required
+ *       500:
+ *         description: Server error
+ */
+router.post('/availability/overrides', requireTrainer, async (req, res) => {
+  try {
+    const {
+      type,
+      startDate: startRaw,
+      endDate: endRaw = startRaw,
+      startHour = null,
+      endHour = null,
+      slotCapacity = 6,
+      reason,
+      notifyClients = false,
+    } = req.body;
+
+    if (!['blocked', 'extra'].includes(type)) {
+      return res
+        .status(400)
+        .json({ success: false, error: 'type must be "blocked" or "extra"' });
+    }
+
+    const startDate = parseDateOnly(startRaw);
+    const endDate = parseDateOnly(endRaw);
+    if (!startDate || !endDate) {
+      return res.status(400).json({
+        success: false,
+        error: 'startDate and endDate must be dates (YYYY-MM-DD)',
+      });
+    }
+    if (endDate < startDate) {
+      return res
+        .status(400)
+        .json({ success: false, error: 'endDate must not be before startDate' });
+    }
+    if (endDate < localToday(await getTrainerTimezone(req.user.id))) {
+      return res
+        .status(400)
+        .json({ success: false, error: 'Overrides cannot be added for past dates' });
+    }
+    if (endDate - startDate >= MAX_OVERRIDE_DAYS * DAY_MS) {
+      return res.status(400).json({
+        success: false,
+        error: `Overrides can cover at most ${MAX_OVERRIDE_DAYS} days`,
+      });
+    }
+
+    const override = new TrainerAvailabilityOverride({
+      trainerId: req.user.id,
+      type,
+      startDate,
+      endDate,
+      startHour,
+      endHour,
+      slotCapacity: Math.min(50, Math.max(1, parseInt(slotCapacity) || 6)),
+      reason,
+    });
+
+    try {
+      await override.save();
+    } catch (saveErr) {
+      return sendValidationError(res, saveErr);
+    }
+
+    let affected = [];
+    let notified = 0;
+    if (type === 'blocked') {
+      affected = await findAppointmentsInBlock(override);
+      if (notifyClients && affected.length > 0) {
+        const trainer = await User.findById(req.user.id).select('firstName lastName');
+        notified = notifyBlockedClients(
+          affected,
+          `${trainer.firstName} ${trainer.lastName}`
+        );
+      }
+    }
+
+    logger.info('Trainer availability override added', {
+      trainerId: req.user.id,
+      overrideId: override._id,
+      type,
+      affected: affected.length,
+      notified,
+    });
+
+    res.status(201).json({
+      success: true,
+      override,
+      affectedAppointments: affected.map(a => ({
+        _id: a._id,
+        date: a.date,
+        time: a.time,
+        client: a.clientId
+          ? { firstName: a.clientId.firstName, lastName: a.clientId.lastName }
+          : null,
+      })),
+      notified,
+    });
+  } catch (err) {
+    logger.error('Trainer availability override create failed', { error: err.message });
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /trainer/availability/overrides/{overrideId}:
+ *   delete:
+ *     summary: Remove one of the authenticated trainer's overrides
+ *     tags: [Trainer]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: overrideId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Override removed
+ *       403:
+ *         description: Trainer access required
+ *       404:
+ *         description: Override not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/availability/overrides/:overrideId', requireTrainer, async (req, res) => {
+  try {
+    const { overrideId } = req.params;
+    if (!mongoose.isValidObjectId(overrideId)) {
+      return res.status(404).json({ success: false, error: 'Override not found' });
+    }
+
+    const removed = await TrainerAvailabilityOverride.findOneAndDelete({
+      _id: overrideId,
+      trainerId: req.user.id,
+    });
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'Override not found' });
+    }
+
+    logger.info('Trainer availability override removed', {
+      trainerId: req.user.id,
+      overrideId,
+    });
+    res.json({ success: true });
+  } catch (err) {
+    logger.error('Trainer availability override delete failed', { error: err.message });
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /trainer/{id}/session-types:
+ *   get:
+ *     summary: Get the session types a trainer offers
+ *     tags: [Trainer]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trainer user ID
+ *     responses:
+ *       200:
+ *         description: Active session types, shortest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 sessionTypes:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SessionType'
+ *       400:
+ *         description: Invalid trainer ID
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/session-types', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid trainer ID' });
+    }
+
+    const sessionTypes = await SessionType.find({
+      trainerId: req.params.id,
+      isActive: true,
+    }).sort({ durationMinutes: 1, name: 1 });
+
+    res.json({ success: true, sessionTypes });
+  } catch (err) {
+    logger.error('Session types fetch failed', {
+      error: err.message,
+      trainerId: req.params.id,
+    });
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SessionType:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           maxLength: 60
+ *         durationMinutes:
+ *           type: integer
+ *           minimum: 15
+ *           maximum: 240
+ *           description: Multiple of 15
+ *         capacity:
+ *           type: integer
+ *           nullable: true
+ *           description: Clients per session; null uses the availability window's slotCapacity
+ *         bufferMinutes:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 120
+ *           description: Free time kept after each session (multiple of 15)
+ *         isActive:
+ *           type: boolean
+ *
+ * /trainer/session-types:
+ *   get:
+ *     summary: List the authenticated trainer's session types, including archived ones
+ *     tags: [Trainer]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Session types
+ *       403:
+ *         description: Trainer access required
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Add a session type
+ *     tags: [Trainer]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SessionType'
+ *     responses:
+ *       201:
+ *         description: Session type created
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Trainer access required
+ *       500:
+ *         description: Server error
+ */
+router.get('/session-types', requireTrainer, async (req, res) => {
+  try {
+    const sessionTypes = await SessionType.find({ trainerId: req.user.id }).sort({
+      isActive: -1,
+      durationMinutes: 1,
+      name: 1,
+    });
+
+    res.json({ success: true, sessionTypes });
+  } catch (err) {
+    logger.error('Session types fetch failed', { error: err.message });
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+router.post('/session-types', requireTrainer, async (req, res) => {
+  try {
+    const sessionType = new SessionType({ trainerId: req.user.id });
+    SESSION_TYPE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) sessionType[field] = req.body[field];
+    });
+
+    try {
+      await sessionType.save();
+    } catch (saveErr) {
+      return sendValidationError(res, saveErr);
+    }
+
+    logger.info('Session type created', {
+      trainerId: req.user.id,
+      sessionTypeId: sessionType._id.toString(),
+    });
+    res.status(201).json({ success: true, sessionType });
+  } catch (err) {
+    logger.error('Session type create failed', { error: err.message });
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /trainer/session-types/{sessionTypeId}:
+ *   put:
+ *     summary: Update one of the authenticated trainer's session types
+ *     description: >
+ *       Applies to new bookings only; sessions already booked keep the duration
+ *       they were booked with. Set isActive to true to restore an archived type.
+ *     tags: [Trainer]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionTypeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SessionType'
+ *     responses:
+ *       200:
+ *         description: Session type updated
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Session type not found
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Archive one of the authenticated trainer's session types
+ *     description: Clients can no longer book it; existing bookings are unaffected.
+ *     tags: [Trainer]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionTypeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session type archived
+ *       404:
+ *         description: Session type not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/session-types/:sessionTypeId', requireTrainer, async (req, res) => {
+  try {
+    const { sessionTypeId } = req.params;
+    const sessionType = mongoose.isValidObjectId(sessionTypeId)
+      ? await SessionType.findOne({ _id: sessionTypeId, trainerId: req.user.id })
+      : null;
+    if (!sessionType) {
+      return res.status(404).json({ success: false, error: 'Session type not found' });
+    }
+
+    [...SESSION_TYPE_FIELDS, 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) sessionType[field] = req.body[field];
+    });
+
+    try {
+      await sessionType.save();
+    } catch (saveErr) {
+      return sendValidationError(res, saveErr);
+    }
+
+    logger.info('Session type updated', { trainerId: req.user.id, sessionTypeId });
+    res.json({ success: true, sessionType });
+  } catch (err) {
+    logger.error('Session type update failed', { error: err.message });
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+router.delete('/session-types/:sessionTypeId', requireTrainer, async (req, res) => {
+  try {
+    const { sessionTypeId } = req.params;
+    const sessionType = mongoose.isValidObjectId(sessionTypeId)
+      ? await SessionType.findOneAndUpdate(
+          { _id: sessionTypeId, trainerId: req.user.id },
+          { isActive: false },
+          { new: true }
+        )
+      : null;
+    if (!sessionType) {
+      return res.status(404).json({ success: false, error: 'Session type not found' });
+    }
+
+    logger.info('Session type archived', { trainerId: req.user.id, sessionTypeId });
+    res.json({ success: true, sessionType });
+  } catch (err) {
+    logger.error('Session type archive failed', { error: err.message });
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /trainer/availability:
+ *   put:
+ *     summary: Set the authenticated trainer's weekly availability
+ *     description: >
+ *       Replaces all windows on each day that appears in the request; days not
+ *       included are left unchanged. A day may have several non-overlapping
+ *       windows (split shifts), each with its own slotCapacity.
+ *     tags: [Trainer]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - availability
+ *             properties:
+ *               availability:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - dayOfWeek
+ *                     - startHour
+ *                     - endHour
+ *                   properties:
+ *                     dayOfWeek:
+ *                       type: integer
+ *                       minimum: 0
+ *                       maximum: 6
+ *                     startHour:
+ *                       type: integer
+ *                     endHour:
+ *                       type: integer
+ *                     isActive:
+ *                       type: boolean
+ *                       default: true
+ *                     slotCapacity:
+ *                       type: integer
+ *                       default: 6
+ *     responses:
+ *       200:
+ *         description: Availability updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Trainer access required
+ *       500:
+ *         description: Server error
+ */
+router.put('/availability', requireTrainer, async (req, res) => {
+  try {
+    const { availability } = req.body;
 
     if (!Array.isArray(availability) || availability.length === 0) {
       return res
@@ -321,7 +1251,7 @@ router.put('/availability', requireTrainer, async (req, res) => {
     }
 
     const trainerId = req.user.id;
-    const results = [];
+    const windows = [];
 
     for (const slot of availability) {
       const { dayOfWeek, startHour, endHour, isActive = true, slotCapacity = 6 } = slot;
@@ -340,15 +1270,38 @@ router.put('/availability', requireTrainer, async (req, res) => {
       }
 
       const capacity = Math.min(50, Math.max(1, parseInt(slotCapacity) || 6));
+      windows.push({
+        trainerId,
+        dayOfWeek,
+        startHour,
+        endHour,
+        isActive,
+        slotCapacity: capacity,
+      });
+    }
 
-      const updated = await TrainerAvailability.findOneAndUpdate(
-        { trainerId, dayOfWeek },
-        { trainerId, dayOfWeek, startHour, endHour, isActive, slotCapacity: capacity },
-        { upsert: true, new: true }
-      );
-      results.push(updated);
+    const overlap = findOverlappingWindow(windows);
+    if (overlap) {
+      return res.status(400).json({
+        success: false,
+        error: `Availability windows overlap on dayOfWeek ${overlap.dayOfWeek}`,
+      });
     }
 
+    // Insert the new windows before removing the old ones so a failed save
+    // never leaves the day empty
+    let results;
+    try {
+      results = await TrainerAvailability.insertMany(windows);
+    } catch (insertErr) {
+      return sendValidationError(res, insertErr);
+    }
+    await TrainerAvailability.deleteMany({
+      trainerId,
+      dayOfWeek: { $in: [...new Set(windows.map(w => w.dayOfWeek))] },
+      _id: { $nin: results.map(w => w._id) },
+    });
+
     logger.info('Trainer availability updated', { trainerId, slots: results.length });
     res.json({ success: true, availability: results });
   } catch (err) {
@@ -417,4 +1370,107 @@ router.put('/notification-preference', requireTrainer, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /trainer/timezone:
+ *   put:
+ *     summary: Set the timezone the trainer's schedule is kept in
+ *     description: >
+ *       Weekly hours, time off and appointment times are local to the trainer's
+ *       own timezone, else their location's, else the gym default. Send null to
+ *       clear either one. Existing appointments keep their booked instant.
+ *     tags: [Trainer]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               timezone:
+ *                 type: string
+ *                 nullable: true
+ *                 example: America/Jamaica
+ *               locationId:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Timezone updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 timezone:
+ *                   type: string
+ *                   nullable: true
+ *                 locationId:
+ *                   type: string
+ *                   nullable: true
+ *                 effectiveTimezone:
+ *                   type: string
+ *       400:
+ *         description: Invalid timezone or location
+ *       403:
+ *         description: Trainer access required
+ *       500:
+ *         description: Server error
+ */
+router.put('/timezone', requireTrainer, async (req, res) => {
+  try {
+    const { timezone, locationId } = req.body;
+    const updates = {};
+
+    if (timezone !== undefined) {
+      if (timezone !== null && !isValidTimeZone(timezone)) {
+        return res.status(400).json({
+          success: false,
+          error: 'timezone must be an IANA timezone such as "America/Jamaica"',
+        });
+      }
+      updates.timezone = timezone;
+    }
+    if (locationId !== undefined) {
+      if (locationId !== null) {
+        const location = mongoose.isValidObjectId(locationId)
+          ? await Location.findOne({ _id: locationId, isActive: true })
+          : null;
+        if (!location) {
+          return res.status(400).json({ success: false, error: 'Unknown location' });
+        }
+      }
+      updates.locationId = locationId;
+    }
+    if (Object.keys(updates).length === 0) {
+      return res
+        .status(400)
+        .json({ success: false, error: 'timezone or locationId is required' });
+    }
+
+    const trainer = await User.findByIdAndUpdate(req.user.id, updates, { new: true })
+      .select('timezone locationId')
+      .lean();
+    const effectiveTimezone = await getTrainerTimezone(req.user.id);
+    logger.info('Trainer timezone updated', {
+      trainerId: req.user.id,
+      ...updates,
+      effectiveTimezone,
+    });
+    res.json({
+      success: true,
+      timezone: trainer.timezone,
+      locationId: trainer.locationId,
+      effectiveTimezone,
+    });
+  } catch (err) {
+    logger.error('Trainer timezone update failed', { error: err.message });
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
 module.exports = router;
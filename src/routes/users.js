@@ -410,6 +410,111 @@ router.delete(
  */
 router.get('/privacy-settings', ctrl.getPrivacySettings);
 
+/**
+ * @swagger
+ * /users/notification-preferences:
+ *   get:
+ *     summary: Get the current user's notification preferences
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notification preferences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 notificationPreferences:
+ *                   type: object
+ *                   properties:
+ *                     appointmentReminders:
+ *                       type: boolean
+ *                     goalUpdates:
+ *                       type: boolean
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ *   put:
+ *     summary: Update the current user's notification preferences
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               appointmentReminders:
+ *                 type: boolean
+ *                 description: Email reminders before booked sessions
+ *               goalUpdates:
+ *                 type: boolean
+ *                 description: Emails when a workout goal is reached or its target date passes
+ *     responses:
+ *       200:
+ *         description: Notification preferences updated
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/notification-preferences', ctrl.getNotificationPreferences);
+router.put(
+  '/notification-preferences',
+  allowOnlyFields(['appointmentReminders', 'goalUpdates'], true),
+  [
+    body('appointmentReminders')
+      .optional()
+      .isBoolean()
+      .withMessage('Must be true or false'),
+    body('goalUpdates').optional().isBoolean().withMessage('Must be true or false'),
+  ],
+  ctrl.updateNotificationPreferences
+);
+
+/**
+ * @swagger
+ * /users/calendar-feed:
+ *   get:
+ *     summary: Get the URL of the current user's subscribable calendar feed
+ *     description: The feed is created on first request. Anyone with the URL can read the schedule.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Feed URL
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 url:
+ *                   type: string
+ *                   example: https://jefitnessja.com/api/v1/appointments/calendar/3f9c….ics
+ *       404:
+ *         description: User not found
+ * /users/calendar-feed/rotate:
+ *   post:
+ *     summary: Replace the calendar feed URL (the old one stops working)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: New feed URL
+ *       404:
+ *         description: User not found
+ */
+router.get('/calendar-feed', ctrl.getCalendarFeed);
+router.post('/calendar-feed/rotate', ctrl.rotateCalendarFeed);
+
 /**
  * @swagger
  * /users/change-password:
@@ -1,9 +1,19 @@
 const express = require('express');
+const mongoose = require('mongoose');
+
+const sanitizeHtml = require('sanitize-html');
 
 const router = express.Router();
 const workoutController = require('../controllers/workoutController');
+const programController = require('../controllers/programController');
 const User = require('../models/User');
 const { logger } = require('../services/logger');
+const {
+  GOAL_METRICS,
+  goalProgress,
+  goalsWithProgress,
+  startingGoalValue,
+} = require('../services/workoutGoals');
 
 /**
  * @swagger
@@ -43,56 +53,139 @@ router.get('/progress/:exerciseName', workoutController.getExerciseProgress);
 
 /**
  * @swagger
- * /api/v1/workouts/{id}:
+ * /api/v1/workouts/records:
  *   get:
- *     summary: Get a single workout log by ID
+ *     summary: Get the user's personal records for every exercise they have logged
  *     tags: [Workouts]
  */
-router.get('/:id', workoutController.getWorkoutById);
+router.get('/records', workoutController.getPersonalRecords);
 
 /**
  * @swagger
- * /api/v1/workouts/{id}:
- *   delete:
- *     summary: Delete workout log
+ * /api/v1/workouts/program:
+ *   get:
+ *     summary: Get the user's current training program and adherence
  *     tags: [Workouts]
  */
-router.delete('/:id', workoutController.deleteWorkout);
+router.get('/program', programController.getMyProgram);
+
+/**
+ * @swagger
+ * /api/v1/workouts/program/today:
+ *   get:
+ *     summary: Get the workout the user's program has for today
+ *     tags: [Workouts]
+ */
+router.get('/program/today', programController.getTodaysWorkout);
 
 // ── Workout Goals ─────────────────────────────────────────────────────────────
+// Declared before /:id, which would otherwise take "goals" for a workout ID
 
-// GET /api/v1/workouts/goals - list the user's workout goals
+const TARGET_FIELDS = {
+  weight: ['targetWeight'],
+  reps: ['targetReps', 'targetWeight'],
+  volume: ['targetVolume'],
+  bodyweight: ['targetWeight'],
+};
+
+// Goal to create from the request body, or the reason it is invalid
+function parseGoal(body) {
+  const metric = body.metric || 'weight';
+  if (!GOAL_METRICS.includes(metric)) {
+    return { error: `metric must be one of: ${GOAL_METRICS.join(', ')}` };
+  }
+
+  const goal = { _id: new mongoose.Types.ObjectId(), metric, createdAt: new Date() };
+  if (metric !== 'bodyweight') {
+    goal.exercise = sanitizeHtml(String(body.exercise ?? ''), {
+      allowedTags: [],
+      allowedAttributes: {},
+    })
+      .trim()
+      .substring(0, 100);
+    if (!goal.exercise) return { error: 'exercise is required' };
+  }
+
+  // Rep goals at body weight have no weight
+  const values = { ...(metric === 'reps' && { targetWeight: 0 }), ...body };
+  for (const field of TARGET_FIELDS[metric]) {
+    const value = values[field];
+    if (value === undefined) return { error: `${field} is required` };
+    const min = field === 'targetReps' ? 1 : 0;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min) {
+      return {
+        error: `${field} must be ${min ? 'a positive' : 'a non-negative'} number`,
+      };
+    }
+    goal[field] = value;
+  }
+
+  if (body.targetDate) {
+    goal.targetDate = new Date(body.targetDate);
+    if (isNaN(goal.targetDate)) return { error: 'targetDate must be a date' };
+  }
+  return { goal };
+}
+
+/**
+ * @swagger
+ * /api/v1/workouts/goals:
+ *   get:
+ *     summary: List the user's workout goals with progress
+ *     description: Each goal has currentValue, progress (percent) and projectedCompletionDate, projected at the pace since the goal was set.
+ *     tags: [Workouts]
+ */
 router.get('/goals', async (req, res) => {
   try {
-    const user = await User.findById(req.user.id).select('workoutGoals');
+    const user = await User.findById(req.user.id)
+      .select('workoutGoals measurements')
+      .lean();
     if (!user) return res.status(404).json({ success: false, error: 'User not found' });
-    res.json({ success: true, goals: user.workoutGoals || [] });
+    res.json({ success: true, goals: await goalsWithProgress(req.user.id, user) });
   } catch (err) {
     logger.error('Get workout goals error', { userId: req.user.id, error: err.message });
     res.status(500).json({ success: false, error: 'Server error' });
   }
 });
 
-// POST /api/v1/workouts/goals - create a new workout goal
+/**
+ * @swagger
+ * /api/v1/workouts/goals:
+ *   post:
+ *     summary: Create a workout goal
+ *     description: metric is weight (default), reps (targetReps at targetWeight or heavier), volume (targetVolume in one session) or bodyweight (reach targetWeight).
+ *     tags: [Workouts]
+ */
 router.post('/goals', async (req, res) => {
   try {
-    const { exercise, targetWeight, targetDate } = req.body;
-    if (!exercise || targetWeight === undefined) {
-      return res
-        .status(400)
-        .json({ success: false, error: 'exercise and targetWeight are required' });
-    }
-    if (typeof targetWeight !== 'number' || targetWeight < 0) {
+    const { goal, error } = parseGoal(req.body);
+    if (error) return res.status(400).json({ success: false, error });
+
+    const current = await User.findById(req.user.id).select('measurements').lean();
+    if (!current)
+      return res.status(404).json({ success: false, error: 'User not found' });
+
+    goal.startValue = await startingGoalValue(req.user.id, goal, current.measurements);
+    if (goal.metric === 'bodyweight') {
+      if (goal.startValue === null) {
+        return res.status(400).json({
+          success: false,
+          error:
+            'Log your body weight in your measurements before setting a body weight goal',
+        });
+      }
+      if (goal.startValue === goal.targetWeight) {
+        return res
+          .status(400)
+          .json({ success: false, error: 'You are already at this body weight' });
+      }
+    } else if (goal.startValue === null) {
+      goal.startValue = 0;
+    } else if (goalProgress(goal, { value: goal.startValue }).achieved) {
       return res
         .status(400)
-        .json({ success: false, error: 'targetWeight must be a non-negative number' });
+        .json({ success: false, error: 'You have already reached this goal' });
     }
-    const goal = {
-      exercise: String(exercise).trim(),
-      targetWeight,
-      createdAt: new Date(),
-    };
-    if (targetDate) goal.targetDate = new Date(targetDate);
 
     const user = await User.findByIdAndUpdate(
       req.user.id,
@@ -153,4 +246,22 @@ router.delete('/goals/:goalId', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/v1/workouts/{id}:
+ *   get:
+ *     summary: Get a single workout log by ID
+ *     tags: [Workouts]
+ */
+router.get('/:id', workoutController.getWorkoutById);
+
+/**
+ * @swagger
+ * /api/v1/workouts/{id}:
+ *   delete:
+ *     summary: Delete workout log
+ *     tags: [Workouts]
+ */
+router.delete('/:id', workoutController.deleteWorkout);
+
 module.exports = router;
@@ -29,8 +29,14 @@ const {
   startRenewalReminderJob,
   startTrainerDailyEmailJob,
   startTenMinuteReminderJob,
+  startWaitlistHoldJob,
+  startAppointmentReminderJob,
+  startMissedSessionJob,
+  startMissedGoalJob,
 } = require('./jobs');
 const { logger } = require('./services/logger');
+const { seedDefaultPlans } = require('./services/plans');
+const { seedExerciseCatalogue } = require('./services/exercises');
 
 // Middleware
 const { requestLogger } = require('./middleware/requestLogger');
@@ -176,13 +182,8 @@ app.get('/api/health', async (req, res) => {
   };
 
   try {
-    if (process.env.PAYPAL_CLIENT_ID && process.env.PAYPAL_SECRET) {
-      const paypalService = require('./services/paypal');
-      const client = paypalService.getPaypalClient();
-      checks.payment = !!client;
-    } else {
-      checks.payment = false;
-    }
+    const { getPaymentProvider } = require('./services/payments');
+    checks.payment = getPaymentProvider().isConfigured();
   } catch (err) {
     logger.warn('Payment provider health check failed', { error: err.message });
     checks.payment = false;
@@ -265,6 +266,9 @@ const apiRoutes = [
   ['/subscriptions', require('./routes/subscriptions')],
   ['/auth', require('./routes/auth')],
   ['/plans', require('./routes/plans')],
+  ['/appointment-responses', require('./routes/appointment-responses')],
+  // Public feed; must come before the protected /appointments router
+  ['/appointments/calendar', require('./routes/appointment-calendar')],
 ];
 
 apiRoutes.forEach(([route, router]) => app.use(`/api/v1${route}`, versioning, router));
@@ -279,6 +283,7 @@ const protectedRoutes = [
   ['/gdpr', require('./routes/gdpr')],
   ['/workouts', require('./routes/workouts')],
   ['/nutrition', require('./routes/nutrition')],
+  ['/exercises', require('./routes/exercises')],
 ];
 
 protectedRoutes.forEach(([route, router]) => {
@@ -368,9 +373,16 @@ async function startServer() {
     startRenewalReminderJob();
     startTrainerDailyEmailJob();
     startTenMinuteReminderJob();
-
-    // Plans are now hardcoded in config/subscriptionConstants.js
-    logger.info('STARTUP: Plans loaded from configuration');
+    startWaitlistHoldJob();
+    startAppointmentReminderJob();
+    startMissedSessionJob();
+    startMissedGoalJob();
+
+    // Fresh databases get the default plan catalogue; admins manage it from then on
+    await seedDefaultPlans();
+    logger.info('STARTUP: Plan catalogue ready');
+    await seedExerciseCatalogue();
+    logger.info('STARTUP: Exercise catalogue ready');
 
     // Keep-alive pings for production (prevents sleep on free hosts like Render)
     if (process.env.NODE_ENV === 'production') {
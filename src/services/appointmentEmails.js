@@ -12,6 +12,9 @@ const {
   sendAppointmentCancelledClient,
   sendAppointmentUpdatedTrainer,
   sendAppointmentUpdatedClient,
+  sendSeriesConfirmationClient,
+  sendNewSeriesNotification,
+  sendSeriesChanged,
 } = require('./email');
 
 /** Normalize a date to YYYY-MM-DD string, handle string/Date/timestamp */
@@ -58,7 +61,7 @@ async function sendApptEmails(appointment, action, clientName, trainerName, date
   const apptId = appointment._id.toString();
   const apptDate =
     appointment.date instanceof Date ? appointment.date.toISOString() : appointment.date;
-  const { time, clientId, trainerId } = appointment;
+  const { time, clientId, trainerId, durationMinutes, timezone } = appointment;
 
   if (action === 'created') {
     if (clientId?.email) {
@@ -69,7 +72,9 @@ async function sendApptEmails(appointment, action, clientName, trainerName, date
         dateStr,
         time,
         apptId,
-        apptDate
+        apptDate,
+        durationMinutes,
+        timezone
       ).catch(e =>
         logger.warn('Failed to send booking confirmation', { error: e.message })
       );
@@ -84,7 +89,9 @@ async function sendApptEmails(appointment, action, clientName, trainerName, date
         time,
         'cancelled',
         apptId,
-        apptDate
+        apptDate,
+        durationMinutes,
+        timezone
       ).catch(e =>
         logger.warn('Failed to send cancellation to client', { error: e.message })
       );
@@ -98,7 +105,9 @@ async function sendApptEmails(appointment, action, clientName, trainerName, date
         time,
         'cancelled',
         apptId,
-        apptDate
+        apptDate,
+        durationMinutes,
+        timezone
       ).catch(e =>
         logger.warn('Failed to send cancellation to trainer', { error: e.message })
       );
@@ -113,7 +122,9 @@ async function sendApptEmails(appointment, action, clientName, trainerName, date
         time,
         'deleted',
         apptId,
-        apptDate
+        apptDate,
+        durationMinutes,
+        timezone
       ).catch(e =>
         logger.warn('Failed to send deletion to client', { error: e.message })
       );
@@ -127,7 +138,9 @@ async function sendApptEmails(appointment, action, clientName, trainerName, date
         time,
         'deleted',
         apptId,
-        apptDate
+        apptDate,
+        durationMinutes,
+        timezone
       ).catch(e =>
         logger.warn('Failed to send deletion to trainer', { error: e.message })
       );
@@ -141,7 +154,9 @@ async function sendApptEmails(appointment, action, clientName, trainerName, date
         dateStr,
         time,
         apptId,
-        apptDate
+        apptDate,
+        durationMinutes,
+        timezone
       ).catch(e => logger.warn('Failed to send update to client', { error: e.message }));
     }
     if (trainerId?.trainerEmailPreference === 'individual' && trainerId?.email) {
@@ -152,7 +167,9 @@ async function sendApptEmails(appointment, action, clientName, trainerName, date
         dateStr,
         time,
         apptId,
-        apptDate
+        apptDate,
+        durationMinutes,
+        timezone
       ).catch(e => logger.warn('Failed to send update to trainer', { error: e.message }));
     }
   } else if (action === 'created_trainer_individual') {
@@ -164,7 +181,9 @@ async function sendApptEmails(appointment, action, clientName, trainerName, date
         dateStr,
         time,
         apptId,
-        apptDate
+        apptDate,
+        durationMinutes,
+        timezone
       ).catch(e =>
         logger.warn('Failed to send individual appointment notification', {
           error: e.message,
@@ -174,6 +193,68 @@ async function sendApptEmails(appointment, action, clientName, trainerName, date
   }
 }
 
+/**
+ * Send one email per participant for several occurrences of a series.
+ * @param {Object[]} appointments - Occurrences with clientId/trainerId populated, in date order
+ * @param {string} action - 'created' | 'updated' | 'cancelled'
+ * @param {string} clientName
+ * @param {string} trainerName
+ * @param {string[]} [skipped] - Dates that could not be booked (created only)
+ */
+function sendSeriesEmails(appointments, action, clientName, trainerName, skipped = []) {
+  if (appointments.length === 0) return;
+  const { clientId, trainerId } = appointments[0];
+  const occurrences = appointments.map(a => ({
+    appointmentId: a._id.toString(),
+    date: new Date(a.date).toISOString(),
+    dateStr: formatApptDateForEmail(a.date),
+    time: a.time,
+    durationMinutes: a.durationMinutes,
+    timeZone: a.timezone,
+  }));
+  const warn = message => e => logger.warn(message, { error: e.message });
+
+  if (action === 'created') {
+    if (clientId?.email) {
+      sendSeriesConfirmationClient(
+        clientId.email,
+        clientId.firstName,
+        trainerName,
+        occurrences,
+        skipped
+      ).catch(warn('Failed to send series confirmation'));
+    }
+    if (trainerId?.email && trainerId?.trainerEmailPreference === 'individual') {
+      sendNewSeriesNotification(
+        trainerId.email,
+        trainerId.firstName,
+        clientName,
+        occurrences
+      ).catch(warn('Failed to send series notification to trainer'));
+    }
+    return;
+  }
+
+  if (clientId?.email) {
+    sendSeriesChanged(
+      clientId.email,
+      clientId.firstName,
+      trainerName,
+      occurrences,
+      action
+    ).catch(warn(`Failed to send series ${action} to client`));
+  }
+  if (trainerId?.trainerEmailPreference === 'individual' && trainerId?.email) {
+    sendSeriesChanged(
+      trainerId.email,
+      trainerId.firstName,
+      clientName,
+      occurrences,
+      action
+    ).catch(warn(`Failed to send series ${action} to trainer`));
+  }
+}
+
 /** Validate status transition based on role */
 function validateStatusTransition(
   role,
@@ -200,5 +281,6 @@ module.exports = {
   extractApptNames,
   populateAppointmentParticipants,
   sendApptEmails,
+  sendSeriesEmails,
   validateStatusTransition,
 };
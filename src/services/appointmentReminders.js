@@ -0,0 +1,133 @@
+/**
+ * Client reminders before booked sessions.
+ * Each scheduled appointment is reminded at the offsets in
+ * APPOINTMENT_REMINDER_HOURS (e.g. 24 and 2 hours before it starts). Sent
+ * offsets are recorded on the appointment so each reminder goes out at most
+ * once, and clients who turned reminders off are skipped. Every email carries
+ * a signed token that lets the client confirm or cancel without logging in.
+ */
+
+const jwt = require('jsonwebtoken');
+
+const Appointment = require('../models/Appointment');
+const { APPOINTMENT_REMINDER_HOURS } = require('../config/schedulingConstants');
+
+const { logger } = require('./logger');
+const { sendAppointmentReminder } = require('./email');
+const { formatApptDateForEmail } = require('./appointmentEmails');
+
+const HOUR_MS = 60 * 60 * 1000;
+const REMINDER_TOKEN_PURPOSE = 'appointment_reminder';
+
+/**
+ * Token for the confirm/cancel links in a reminder; valid until the session starts.
+ * @param {Object} appointment - With startsAt set
+ * @returns {string}
+ */
+function createReminderToken(appointment) {
+  return jwt.sign(
+    {
+      appointmentId: appointment._id.toString(),
+      purpose: REMINDER_TOKEN_PURPOSE,
+      exp: Math.floor(new Date(appointment.startsAt).getTime() / 1000),
+    },
+    process.env.JWT_SECRET
+  );
+}
+
+/**
+ * @param {string} token
+ * @returns {{ appointmentId: string }|null} null when invalid or expired
+ */
+function verifyReminderToken(token) {
+  if (typeof token !== 'string' || !token) return null;
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    return payload.purpose === REMINDER_TOKEN_PURPOSE ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Reminder offsets that are due for an appointment and not sent yet. A
+ * session booked late gets one reminder for every offset already passed.
+ * @returns {number[]}
+ */
+function dueOffsets(appointment, now, offsets = APPOINTMENT_REMINDER_HOURS) {
+  const hoursLeft = (new Date(appointment.startsAt) - now) / HOUR_MS;
+  const sent = appointment.remindersSent || [];
+  return offsets.filter(h => hoursLeft <= h && !sent.includes(h));
+}
+
+/**
+ * Email the reminders that are due.
+ * @returns {Promise<{ sent: number, skipped: number }>}
+ */
+async function sendAppointmentReminders(now = new Date()) {
+  if (APPOINTMENT_REMINDER_HOURS.length === 0) return { sent: 0, skipped: 0 };
+
+  const appointments = await Appointment.find({
+    status: 'scheduled',
+    startsAt: {
+      $gt: now,
+      $lte: new Date(now.getTime() + APPOINTMENT_REMINDER_HOURS[0] * HOUR_MS),
+    },
+  })
+    .populate('clientId', 'firstName email notificationPreferences')
+    .populate('trainerId', 'firstName lastName')
+    .lean();
+
+  let sent = 0;
+  let skipped = 0;
+  for (const appointment of appointments) {
+    const due = dueOffsets(appointment, now);
+    if (due.length === 0) continue;
+
+    // Claimed before sending so overlapping runs never send a reminder twice
+    const { modifiedCount } = await Appointment.updateOne(
+      { _id: appointment._id, remindersSent: { $nin: due } },
+      { $addToSet: { remindersSent: { $each: due } } }
+    );
+    if (!modifiedCount) continue;
+
+    const client = appointment.clientId;
+    if (
+      !client?.email ||
+      client.notificationPreferences?.appointmentReminders === false
+    ) {
+      skipped++;
+      continue;
+    }
+
+    const trainer = appointment.trainerId;
+    try {
+      await sendAppointmentReminder(
+        client.email,
+        client.firstName,
+        trainer ? `${trainer.firstName} ${trainer.lastName}` : 'your trainer',
+        formatApptDateForEmail(appointment.date),
+        appointment.time,
+        appointment.date,
+        appointment.timezone,
+        createReminderToken(appointment),
+        appointment.sessionName
+      );
+      sent++;
+    } catch (err) {
+      logger.warn('Failed to send appointment reminder', {
+        appointmentId: appointment._id,
+        error: err.message,
+      });
+    }
+  }
+
+  return { sent, skipped };
+}
+
+module.exports = {
+  createReminderToken,
+  verifyReminderToken,
+  dueOffsets,
+  sendAppointmentReminders,
+};
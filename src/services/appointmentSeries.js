@@ -0,0 +1,83 @@
+/**
+ * Recurring appointment series.
+ * Expands a recurrence rule into occurrence dates and validates the rule sent
+ * with POST /appointments.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days between occurrences
+const SERIES_INTERVAL_DAYS = { weekly: 7, biweekly: 14 };
+
+// Upper bound on occurrences booked by one request (six months of weekly sessions)
+const MAX_SERIES_OCCURRENCES = 26;
+
+/**
+ * Validate a recurrence rule from a request body.
+ * @param {Object} recurrence - { frequency, count } or { frequency, until: 'YYYY-MM-DD' }
+ * @param {Date} startDate - First occurrence (UTC midnight)
+ * @returns {{ rule?: { frequency: string, count: number|null, until: Date|null }, error?: string }}
+ */
+function parseRecurrence(recurrence, startDate) {
+  const { frequency, count, until } = recurrence || {};
+
+  if (!SERIES_INTERVAL_DAYS[frequency]) {
+    return { error: 'recurrence.frequency must be "weekly" or "biweekly"' };
+  }
+  if (
+    (count === undefined || count === null) === (until === undefined || until === null)
+  ) {
+    return { error: 'Provide exactly one of recurrence.count or recurrence.until' };
+  }
+
+  if (count !== undefined && count !== null) {
+    if (!Number.isInteger(count) || count < 2 || count > MAX_SERIES_OCCURRENCES) {
+      return {
+        error: `recurrence.count must be a whole number from 2 to ${MAX_SERIES_OCCURRENCES}`,
+      };
+    }
+    return { rule: { frequency, count, until: null } };
+  }
+
+  const untilDate =
+    typeof until === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(until)
+      ? new Date(`${until}T00:00:00.000Z`)
+      : null;
+  if (!untilDate || isNaN(untilDate.getTime())) {
+    return { error: 'recurrence.until must be a date (YYYY-MM-DD)' };
+  }
+  if (untilDate <= startDate) {
+    return { error: 'recurrence.until must be after the first appointment' };
+  }
+  const rule = { frequency, count: null, until: untilDate };
+  if (seriesDates(startDate, rule).length > MAX_SERIES_OCCURRENCES) {
+    return { error: `A series can have at most ${MAX_SERIES_OCCURRENCES} appointments` };
+  }
+  return { rule };
+}
+
+/**
+ * Occurrence dates for a rule, starting with startDate.
+ * @param {Date} startDate - UTC midnight
+ * @param {{ frequency: string, count: number|null, until: Date|null }} rule
+ * @returns {Date[]}
+ */
+function seriesDates(startDate, { frequency, count, until }) {
+  const step = SERIES_INTERVAL_DAYS[frequency] * DAY_MS;
+  const dates = [];
+
+  for (let t = startDate.getTime(); ; t += step) {
+    if (count ? dates.length >= count : t > until.getTime()) break;
+    if (dates.length > MAX_SERIES_OCCURRENCES) break;
+    dates.push(new Date(t));
+  }
+
+  return dates;
+}
+
+module.exports = {
+  SERIES_INTERVAL_DAYS,
+  MAX_SERIES_OCCURRENCES,
+  parseRecurrence,
+  seriesDates,
+};
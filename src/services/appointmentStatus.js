@@ -0,0 +1,225 @@
+/**
+ * Appointment status changes, check-in and automatic no-shows.
+ * Every status change goes through setAppointmentStatus so it is kept in the
+ * appointment's statusHistory with who made it. Clients check in by scanning
+ * the code their trainer shows them, or the trainer marks them as arrived;
+ * either way the session becomes completed, or late when the client arrived
+ * more than CHECK_IN_LATE_MINUTES after the start. Sessions still scheduled
+ * NO_SHOW_GRACE_MINUTES after they end are moved to no_show by a job.
+ */
+
+const crypto = require('crypto');
+
+const Appointment = require('../models/Appointment');
+const {
+  CHECK_IN_OPENS_MINUTES,
+  CHECK_IN_LATE_MINUTES,
+  NO_SHOW_GRACE_MINUTES,
+} = require('../config/schedulingConstants');
+
+const { logger } = require('./logger');
+
+const MINUTE_MS = 60 * 1000;
+// No 0/O or 1/I so a code read out loud can be typed back
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+/**
+ * History entry for a status change, for updates that bypass the document.
+ * @param {string|null} from - Status before the change
+ * @param {string} to - Status after the change
+ * @param {Object} [opts]
+ * @param {string} [opts.changedBy] - User ID of the actor, omitted for system changes
+ * @param {string} [opts.source] - 'trainer', 'client', 'admin' or 'system'
+ * @param {string} [opts.reason] - Why the status changed (e.g. 'checked_in')
+ * @param {Date} [opts.at] - When the change happened (defaults to now)
+ * @returns {Object}
+ */
+function statusHistoryEntry(from, to, { changedBy, source, reason, at } = {}) {
+  return {
+    from: from || null,
+    status: to,
+    changedAt: at || new Date(),
+    changedBy: changedBy || null,
+    source: source || (changedBy ? 'trainer' : 'system'),
+    reason: reason || null,
+  };
+}
+
+/**
+ * Move an appointment to a new status, stamp statusUpdatedAt and record the
+ * change in statusHistory. The caller checks the change is allowed and saves.
+ * @param {Object} appointment - Appointment document
+ * @param {string} to - Target status
+ * @param {Object} [opts] - As for statusHistoryEntry
+ * @returns {Object} The same appointment
+ */
+function setAppointmentStatus(appointment, to, opts = {}) {
+  const entry = statusHistoryEntry(appointment.status, to, opts);
+
+  appointment.status = to;
+  appointment.statusUpdatedAt = entry.changedAt;
+  if (!appointment.statusHistory) appointment.statusHistory = [];
+  appointment.statusHistory.push(entry);
+
+  return appointment;
+}
+
+/**
+ * History source for a user changing an appointment.
+ * @param {Object} user - req.user
+ * @param {Object} appointment
+ * @returns {string}
+ */
+function statusSource(user, appointment) {
+  if (user.role === 'admin') return 'admin';
+  const clientId = appointment.clientId?._id || appointment.clientId;
+  return clientId?.toString() === user.id ? 'client' : 'trainer';
+}
+
+/**
+ * When clients may check in to a session: from CHECK_IN_OPENS_MINUTES before
+ * it starts until it ends.
+ * @param {Object} appointment - With startsAt and durationMinutes
+ * @returns {{ opensAt: Date, closesAt: Date }}
+ */
+function checkInWindow(appointment) {
+  const start = new Date(appointment.startsAt).getTime();
+  return {
+    opensAt: new Date(start - CHECK_IN_OPENS_MINUTES * MINUTE_MS),
+    closesAt: new Date(start + (appointment.durationMinutes || 60) * MINUTE_MS),
+  };
+}
+
+/**
+ * Status for a client arriving at the given time.
+ * @returns {'completed'|'late'}
+ */
+function arrivalStatus(appointment, at = new Date()) {
+  const lateAfter =
+    new Date(appointment.startsAt).getTime() + CHECK_IN_LATE_MINUTES * MINUTE_MS;
+  return at.getTime() > lateAfter ? 'late' : 'completed';
+}
+
+/**
+ * Record the client's arrival and mark the session completed or late.
+ * Trainers may check a client in at any time before the no-show job runs;
+ * scanned codes only work inside the check-in window.
+ *
+ * @param {Object} appointment - Appointment document; the caller saves
+ * @param {Object} opts
+ * @param {'trainer'|'code'} opts.method
+ * @param {string} opts.changedBy - User ID of whoever checked in
+ * @param {Date} [opts.at] - Arrival time (defaults to now)
+ * @returns {Object} The same appointment
+ * @throws {Error} With statusCode 409 when the session is not scheduled, or
+ *   400 when a code is scanned outside the check-in window
+ */
+function checkIn(appointment, { method, changedBy, at = new Date() }) {
+  if (appointment.status !== 'scheduled') {
+    const err = new Error(
+      `This session is already ${appointment.status.replace('_', ' ')}`
+    );
+    err.statusCode = 409;
+    throw err;
+  }
+
+  if (method === 'code') {
+    const { opensAt, closesAt } = checkInWindow(appointment);
+    if (at < opensAt || at > closesAt) {
+      const err = new Error(
+        at < opensAt
+          ? `Check-in opens ${CHECK_IN_OPENS_MINUTES} minutes before the session`
+          : 'Check-in has closed for this session'
+      );
+      err.statusCode = 400;
+      throw err;
+    }
+  }
+
+  appointment.checkedInAt = at;
+  appointment.checkInMethod = method;
+  return setAppointmentStatus(appointment, arrivalStatus(appointment, at), {
+    changedBy,
+    source: method === 'code' ? 'client' : 'trainer',
+    reason: 'checked_in',
+    at,
+  });
+}
+
+/**
+ * @returns {string} A random check-in code, e.g. "K7QM2X"
+ */
+function generateCheckInCode() {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+/**
+ * Whether a scanned or typed code matches the appointment's check-in code.
+ * @param {string|null} expected - The appointment's checkInCode
+ * @param {string} given
+ * @returns {boolean}
+ */
+function checkInCodeMatches(expected, given) {
+  if (!expected || typeof given !== 'string') return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(given.trim().toUpperCase());
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Move scheduled sessions nobody checked in to over to no_show once
+ * NO_SHOW_GRACE_MINUTES have passed since they ended.
+ * @returns {Promise<{ marked: number }>}
+ */
+async function markMissedSessions(now = new Date()) {
+  if (!NO_SHOW_GRACE_MINUTES) return { marked: 0 };
+
+  const graceMs = NO_SHOW_GRACE_MINUTES * MINUTE_MS;
+  const missed = await Appointment.find({
+    status: 'scheduled',
+    checkedInAt: null,
+    startsAt: { $lte: new Date(now.getTime() - graceMs) },
+    $expr: {
+      $lte: [
+        { $add: ['$startsAt', { $multiply: ['$durationMinutes', MINUTE_MS] }, graceMs] },
+        now,
+      ],
+    },
+  });
+
+  let marked = 0;
+  for (const appointment of missed) {
+    try {
+      setAppointmentStatus(appointment, 'no_show', {
+        source: 'system',
+        reason: 'not_checked_in',
+        at: now,
+      });
+      await appointment.save();
+      marked++;
+    } catch (err) {
+      logger.error('Failed to mark missed session as no-show', {
+        appointmentId: appointment._id,
+        error: err.message,
+      });
+    }
+  }
+  return { marked };
+}
+
+module.exports = {
+  statusHistoryEntry,
+  setAppointmentStatus,
+  statusSource,
+  checkInWindow,
+  arrivalStatus,
+  checkIn,
+  generateCheckInCode,
+  checkInCodeMatches,
+  markMissedSessions,
+};
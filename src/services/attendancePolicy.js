@@ -0,0 +1,136 @@
+/**
+ * Cancellation and no-show policy.
+ * A client who cancels less than LATE_CANCEL_HOURS before a session has the
+ * cancellation kept on record as late. Once a client reaches NO_SHOW_LIMIT
+ * no-shows within NO_SHOW_WINDOW_DAYS, booking is paused until
+ * NO_SHOW_BLOCK_DAYS after the most recent one. Trainers and admins see the
+ * resulting attendance record on the client's profile.
+ */
+
+const Appointment = require('../models/Appointment');
+const {
+  LATE_CANCEL_HOURS,
+  NO_SHOW_LIMIT,
+  NO_SHOW_WINDOW_DAYS,
+  NO_SHOW_BLOCK_DAYS,
+} = require('../config/schedulingConstants');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Whether cancelling the appointment now falls inside the late-cancel cutoff.
+ * @param {Object} appointment - With startsAt set
+ * @returns {boolean}
+ */
+function isLateCancellation(
+  appointment,
+  now = new Date(),
+  cutoffHours = LATE_CANCEL_HOURS
+) {
+  if (!cutoffHours || !appointment.startsAt) return false;
+  return new Date(appointment.startsAt) - now < cutoffHours * HOUR_MS;
+}
+
+/**
+ * Booking block earned by the given no-shows, if it is still running.
+ * @param {Date[]} noShowTimes - Start instants of the client's no-shows
+ * @returns {{ until: Date, noShows: number }|null}
+ */
+function noShowBlock(noShowTimes, now = new Date()) {
+  if (!NO_SHOW_LIMIT || !NO_SHOW_BLOCK_DAYS) return null;
+
+  const windowStart = now.getTime() - NO_SHOW_WINDOW_DAYS * DAY_MS;
+  const recent = noShowTimes
+    .map(t => new Date(t).getTime())
+    .filter(t => t >= windowStart && t <= now.getTime());
+  if (recent.length < NO_SHOW_LIMIT) return null;
+
+  const until = new Date(Math.max(...recent) + NO_SHOW_BLOCK_DAYS * DAY_MS);
+  return until > now ? { until, noShows: recent.length } : null;
+}
+
+/**
+ * @param {string} clientId
+ * @returns {Promise<{ until: Date, noShows: number }|null>} null when the client may book
+ */
+async function getBookingBlock(clientId, now = new Date()) {
+  if (!NO_SHOW_LIMIT || !NO_SHOW_BLOCK_DAYS) return null;
+
+  const noShows = await Appointment.find({
+    clientId,
+    status: 'no_show',
+    startsAt: { $gte: new Date(now.getTime() - NO_SHOW_WINDOW_DAYS * DAY_MS), $lte: now },
+  })
+    .select('startsAt')
+    .lean();
+  return noShowBlock(
+    noShows.map(a => a.startsAt),
+    now
+  );
+}
+
+/**
+ * Message for a booking refused because of a block.
+ * @param {{ until: Date, noShows: number }} block
+ * @returns {string}
+ */
+function bookingBlockMessage(block) {
+  return (
+    `Booking is paused until ${block.until.toISOString().slice(0, 10)} after ` +
+    `${block.noShows} missed sessions in the last ${NO_SHOW_WINDOW_DAYS} days`
+  );
+}
+
+/**
+ * Attendance counts over a client's appointments. The attendance rate is the
+ * share of past sessions (completed, late or no-show) the client turned up to.
+ * @param {Object[]} appointments - With status, lateCancellation and startsAt
+ */
+function summarizeAttendance(appointments, now = new Date()) {
+  const count = status => appointments.filter(a => a.status === status).length;
+  const completed = count('completed');
+  const late = count('late');
+  const noShows = count('no_show');
+  const attended = completed + late;
+
+  return {
+    total: appointments.length,
+    upcoming: appointments.filter(
+      a => a.status === 'scheduled' && new Date(a.startsAt) > now
+    ).length,
+    completed,
+    late,
+    noShows,
+    cancelled: count('cancelled'),
+    lateCancellations: appointments.filter(a => a.lateCancellation).length,
+    attendanceRate:
+      attended + noShows > 0 ? Math.round((attended / (attended + noShows)) * 100) : null,
+    bookingBlockedUntil:
+      noShowBlock(
+        appointments.filter(a => a.status === 'no_show').map(a => a.startsAt),
+        now
+      )?.until || null,
+  };
+}
+
+/**
+ * A client's attendance record across all trainers, as the no-show block
+ * applies to every booking they make.
+ * @param {string} clientId
+ */
+async function getAttendanceRecord(clientId, now = new Date()) {
+  const appointments = await Appointment.find({ clientId })
+    .select('status lateCancellation startsAt')
+    .lean();
+  return summarizeAttendance(appointments, now);
+}
+
+module.exports = {
+  isLateCancellation,
+  noShowBlock,
+  getBookingBlock,
+  bookingBlockMessage,
+  summarizeAttendance,
+  getAttendanceRecord,
+};
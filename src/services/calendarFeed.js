@@ -0,0 +1,128 @@
+/**
+ * Subscribable calendar feeds.
+ * Every user can get a secret feed URL that phone calendar apps poll for their
+ * sessions: a trainer's feed lists the sessions they run, anyone else's the
+ * sessions they booked. Events keep the appointment ID as UID (as in the
+ * email invites) and its calendarSequence as SEQUENCE, so moved sessions
+ * update in place. Rotating the token stops the old URL working.
+ */
+
+const crypto = require('crypto');
+
+const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const { getPrimaryAppUrl } = require('../config/security');
+const { CALENDAR_FEED_PAST_DAYS } = require('../config/schedulingConstants');
+
+const { buildIcsFeed, formatApptTime, FROM_NAME } = require('./email/calendar');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FEED_TOKEN_PATTERN = /^[a-f0-9]{48}$/;
+
+/**
+ * @returns {string} A new random feed token
+ */
+function createFeedToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * @param {string} token
+ * @returns {string} The feed URL to subscribe to
+ */
+function feedUrl(token) {
+  return `${getPrimaryAppUrl()}/api/v1/appointments/calendar/${token}.ics`;
+}
+
+/**
+ * The user's feed token, created on first use.
+ * @param {string} userId
+ * @param {Object} [opts]
+ * @param {boolean} [opts.rotate] - Replace the current token
+ * @returns {Promise<string|null>} null when the user does not exist
+ */
+async function getFeedToken(userId, { rotate = false } = {}) {
+  const user = await User.findById(userId).select('+calendarFeedToken').lean();
+  if (!user) return null;
+  if (user.calendarFeedToken && !rotate) return user.calendarFeedToken;
+
+  const token = createFeedToken();
+  await User.updateOne({ _id: userId }, { $set: { calendarFeedToken: token } });
+  return token;
+}
+
+/**
+ * Feed event for one appointment, named after the other participant.
+ * @param {Object} appointment - With clientId and trainerId populated
+ * @param {boolean} asTrainer - The feed belongs to the appointment's trainer
+ * @returns {Object} buildIcsFeed event
+ */
+function feedEvent(appointment, asTrainer) {
+  const other = asTrainer ? appointment.clientId : appointment.trainerId;
+  const otherName = other?.firstName
+    ? `${other.firstName} ${other.lastName || ''}`.trim()
+    : asTrainer
+      ? 'a client'
+      : 'your trainer';
+  const session = appointment.sessionName || 'Training session';
+  const time = formatApptTime(appointment.time, appointment.date, appointment.timezone);
+
+  return {
+    uid: appointment._id.toString(),
+    summary: `${session} with ${otherName}`,
+    description: [
+      `${session} with ${otherName} at JE Fitness.`,
+      `Time: ${time}`,
+      appointment.status !== 'scheduled'
+        ? `Status: ${appointment.status.replace('_', ' ')}`
+        : null,
+    ]
+      .filter(Boolean)
+      .join('\n'),
+    date: appointment.date,
+    time: appointment.time,
+    durationMinutes: appointment.durationMinutes,
+    timeZone: appointment.timezone,
+    organizer: FROM_NAME,
+    sequence: appointment.calendarSequence || 0,
+  };
+}
+
+/**
+ * Calendar feed for the user holding the token: their upcoming sessions plus
+ * the last CALENDAR_FEED_PAST_DAYS days. Cancelled sessions are left out, so
+ * calendar apps drop them on the next poll.
+ * @param {string} token
+ * @returns {Promise<string|null>} iCalendar content, or null for an unknown token
+ */
+async function buildCalendarFeed(token, now = new Date()) {
+  if (typeof token !== 'string' || !FEED_TOKEN_PATTERN.test(token)) return null;
+
+  const user = await User.findOne({ calendarFeedToken: token })
+    .select('role firstName')
+    .lean();
+  if (!user) return null;
+
+  const asTrainer = user.role === 'trainer';
+  const appointments = await Appointment.find({
+    [asTrainer ? 'trainerId' : 'clientId']: user._id,
+    status: { $ne: 'cancelled' },
+    startsAt: { $gte: new Date(now.getTime() - CALENDAR_FEED_PAST_DAYS * DAY_MS) },
+  })
+    .sort({ startsAt: 1 })
+    .populate(asTrainer ? 'clientId' : 'trainerId', 'firstName lastName')
+    .lean();
+
+  return buildIcsFeed(
+    appointments.map(apt => feedEvent(apt, asTrainer)),
+    asTrainer ? 'JE Fitness – Training schedule' : 'JE Fitness – My sessions'
+  );
+}
+
+module.exports = {
+  createFeedToken,
+  feedUrl,
+  getFeedToken,
+  feedEvent,
+  buildCalendarFeed,
+};
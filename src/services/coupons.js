@@ -0,0 +1,126 @@
+const Coupon = require('../models/Coupon');
+const SubscriptionLedger = require('../models/SubscriptionLedger');
+const { ValidationError } = require('../middleware/errorHandler');
+
+const { logger } = require('./logger');
+const { convertAmount } = require('./currency');
+
+// PayPal rejects zero-value orders; free access goes through the trial flow
+const MIN_CHARGE = 1;
+
+function normalizeCode(code) {
+  return String(code || '')
+    .trim()
+    .toUpperCase();
+}
+
+/**
+ * Discount a coupon gives on a price, rounded to cents.
+ * Fixed discounts are set in USD and converted to the price's currency.
+ * @param {Object} coupon
+ * @param {number} price
+ * @param {string} [currency='USD'] - Currency of `price`
+ * @returns {number}
+ * @throws {ValidationError} When a fixed discount cannot be converted
+ */
+function calculateDiscount(coupon, price, currency = 'USD') {
+  let raw;
+  if (coupon.discountType === 'percent') {
+    raw = (price * coupon.discountValue) / 100;
+  } else {
+    raw = convertAmount(coupon.discountValue, 'USD', currency);
+    if (raw === null) {
+      throw new ValidationError(`This coupon cannot be used when paying in ${currency}`);
+    }
+  }
+  return Math.round(Math.min(raw, price) * 100) / 100;
+}
+
+/**
+ * Validate a coupon for a member buying a plan.
+ * @param {Object} opts
+ * @param {string} opts.code - Code as entered by the member
+ * @param {string} opts.planKey
+ * @param {number} opts.price - Full plan price
+ * @param {string} [opts.currency='USD'] - Currency the plan is being paid in
+ * @param {string} opts.userId
+ * @returns {Promise<{ coupon: Object, discount: number, finalPrice: number }>}
+ * @throws {ValidationError} When the coupon cannot be used
+ */
+async function validateCoupon({ code, planKey, price, currency = 'USD', userId }) {
+  const coupon = await Coupon.findOne({ code: normalizeCode(code) }).lean();
+
+  if (!coupon || !coupon.active) {
+    throw new ValidationError('Invalid coupon code');
+  }
+  if (coupon.expiresAt && coupon.expiresAt <= new Date()) {
+    throw new ValidationError('This coupon has expired');
+  }
+  if (coupon.maxRedemptions && coupon.redemptionCount >= coupon.maxRedemptions) {
+    throw new ValidationError('This coupon has reached its redemption limit');
+  }
+  if (coupon.plans.length > 0 && !coupon.plans.includes(planKey)) {
+    throw new ValidationError('This coupon is not valid for the selected plan');
+  }
+
+  const [hasPurchased, alreadyUsed] = await Promise.all([
+    coupon.firstTimeOnly
+      ? SubscriptionLedger.exists({ userId, type: 'purchase' })
+      : Promise.resolve(null),
+    SubscriptionLedger.exists({ userId, couponCode: coupon.code }),
+  ]);
+
+  if (hasPurchased) {
+    throw new ValidationError('This coupon is only valid on your first purchase');
+  }
+  if (alreadyUsed) {
+    throw new ValidationError('You have already used this coupon');
+  }
+
+  const discount = calculateDiscount(coupon, price, currency);
+  const finalPrice = Math.round((price - discount) * 100) / 100;
+
+  if (finalPrice < MIN_CHARGE) {
+    throw new ValidationError('This coupon cannot be applied to the selected plan');
+  }
+
+  return { coupon, discount, finalPrice };
+}
+
+/**
+ * Price an order placed with a coupon should have been charged, whatever
+ * state the coupon is in now (it may have expired or run out since).
+ * @param {string} code
+ * @param {number} price - Full plan price
+ * @param {string} currency - Currency of `price`
+ * @returns {Promise<number|null>} Discounted price, or null for an unknown coupon
+ */
+async function priceWithCoupon(code, price, currency) {
+  const coupon = await Coupon.findOne({ code: normalizeCode(code) }).lean();
+  if (!coupon) return null;
+  return Math.round((price - calculateDiscount(coupon, price, currency)) * 100) / 100;
+}
+
+/**
+ * Count a redemption once the discounted payment has been applied.
+ * The member has already paid, so this never fails the purchase.
+ * @param {string} code
+ */
+async function redeemCoupon(code) {
+  try {
+    await Coupon.updateOne(
+      { code: normalizeCode(code) },
+      { $inc: { redemptionCount: 1 } }
+    );
+  } catch (err) {
+    logger.error('Failed to record coupon redemption', { code, error: err.message });
+  }
+}
+
+module.exports = {
+  normalizeCode,
+  calculateDiscount,
+  validateCoupon,
+  priceWithCoupon,
+  redeemCoupon,
+};
@@ -0,0 +1,38 @@
+const { EXCHANGE_RATES, REPORTING_CURRENCY } = require('../config/subscriptionConstants');
+
+const round2 = n => Math.round(n * 100) / 100;
+
+/**
+ * Upper-case ISO code, e.g. 'jmd' -> 'JMD'.
+ * @param {string} code
+ * @returns {string}
+ */
+function normalizeCurrency(code) {
+  return String(code || '')
+    .trim()
+    .toUpperCase();
+}
+
+/**
+ * Convert an amount between currencies using the EXCHANGE_RATES table.
+ * @param {number} amount
+ * @param {string} from
+ * @param {string} [to=REPORTING_CURRENCY]
+ * @returns {number|null} Rounded to cents, or null when either rate is unknown
+ */
+function convertAmount(amount, from, to = REPORTING_CURRENCY) {
+  const source = normalizeCurrency(from);
+  const target = normalizeCurrency(to);
+  if (source === target) return round2(amount);
+
+  const fromRate = EXCHANGE_RATES[source];
+  const toRate = EXCHANGE_RATES[target];
+  if (!fromRate || !toRate) return null;
+
+  return round2((amount / fromRate) * toRate);
+}
+
+module.exports = {
+  normalizeCurrency,
+  convertAmount,
+};
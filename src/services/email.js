@@ -3,9 +3,11 @@
  *   - core: Resend client + generic sendEmail
  *   - calendar: ICS generation + Google/Apple calendar helpers
  *   - templates/auth: password reset + email verification
- *   - templates/subscriptions: renewal reminders
+ *   - templates/subscriptions: renewal reminders + refund notices + payment receipts
  *   - templates/appointments: booking confirmations + updates + cancellations + daily schedule
+ *     + trainer time-off notices + recurring series notices + waitlist offers
  *   - templates/tickets: support ticket notifications
+ *   - templates/goals: workout goals reached or missed
  */
 
 const { sendEmail } = require('./email/core');
@@ -13,12 +15,15 @@ const auth = require('./email/templates/auth');
 const subscriptions = require('./email/templates/subscriptions');
 const appointments = require('./email/templates/appointments');
 const tickets = require('./email/templates/tickets');
+const goals = require('./email/templates/goals');
 
 module.exports = {
   sendEmail,
   sendPasswordReset: auth.sendPasswordReset,
   sendEmailVerification: auth.sendEmailVerification,
   sendSubscriptionReminder: subscriptions.sendSubscriptionReminder,
+  sendRefundProcessed: subscriptions.sendRefundProcessed,
+  sendPaymentReceived: subscriptions.sendPaymentReceived,
   sendTrainerDailySchedule: appointments.sendTrainerDailySchedule,
   sendAppointmentConfirmationClient: appointments.sendAppointmentConfirmationClient,
   sendNewAppointmentNotification: appointments.sendNewAppointmentNotification,
@@ -26,7 +31,15 @@ module.exports = {
   sendAppointmentCancelledClient: appointments.sendAppointmentCancelledClient,
   sendAppointmentUpdatedTrainer: appointments.sendAppointmentUpdatedTrainer,
   sendAppointmentUpdatedClient: appointments.sendAppointmentUpdatedClient,
+  sendTrainerUnavailableClient: appointments.sendTrainerUnavailableClient,
+  sendWaitlistOffer: appointments.sendWaitlistOffer,
+  sendAppointmentReminder: appointments.sendAppointmentReminder,
+  sendSeriesConfirmationClient: appointments.sendSeriesConfirmationClient,
+  sendNewSeriesNotification: appointments.sendNewSeriesNotification,
+  sendSeriesChanged: appointments.sendSeriesChanged,
   sendNewTicketAdmin: tickets.sendNewTicketAdmin,
   sendTicketReceived: tickets.sendTicketReceived,
   sendTicketFulfilled: tickets.sendTicketFulfilled,
+  sendGoalAchieved: goals.sendGoalAchieved,
+  sendGoalMissed: goals.sendGoalMissed,
 };
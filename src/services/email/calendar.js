@@ -1,3 +1,5 @@
+const { zonedTimeToUtc, timeZoneAbbreviation } = require('../../utils/dateUtils');
+
 const { FROM_EMAIL, FROM_NAME } = require('./core');
 
 /**
@@ -13,75 +15,62 @@ function formatTime24to12(time) {
 }
 
 /**
- * Build an iCalendar (.ics) string for an appointment event.
- * @param {object} opts
- * @param {string} opts.uid        - Stable unique ID (MongoDB appointment _id)
- * @param {string} opts.summary    - Event title
- * @param {string} opts.description
- * @param {string} opts.date       - ISO date string (appointment date)
- * @param {string} opts.time       - "HH:MM" in 24-hour format
- * @param {number} opts.durationMinutes - Default 60
- * @param {string} opts.organizer  - Organizer display name
- * @param {string} opts.method     - 'REQUEST' (new/update) | 'CANCEL'
- * @param {number} opts.sequence   - 0 for new, 1+ for updates/cancels
- * @returns {string} iCalendar content
+ * Format a local appointment time with its timezone (e.g. "9:00 AM EST").
+ * @param {string} time - "HH:MM" local to timeZone
+ * @param {string|Date} date - Local date (ISO string or UTC-midnight Date)
+ * @param {string} [timeZone] - IANA timezone; omitted, only the time is shown
+ * @returns {string}
  */
-function buildIcs({
-  uid,
-  summary,
-  description,
-  date,
-  time,
-  durationMinutes = 60,
-  organizer,
-  method = 'REQUEST',
-  sequence = 0,
-}) {
-  // Parse date + time into UTC components
-  const [year, month, day] = date.split('T')[0].split('-').map(Number);
-  const [hour, minute] = time.split(':').map(Number);
-
-  const pad = n => String(n).padStart(2, '0');
-  const dtStart = `${year}${pad(month)}${pad(day)}T${pad(hour)}${pad(minute)}00`;
-
-  // Calculate end time
-  const startMs = new Date(Date.UTC(year, month - 1, day, hour, minute)).getTime();
-  const endDate = new Date(startMs + durationMinutes * 60 * 1000);
-  const dtEnd = [
-    endDate.getUTCFullYear(),
-    pad(endDate.getUTCMonth() + 1),
-    pad(endDate.getUTCDate()),
-    'T',
-    pad(endDate.getUTCHours()),
-    pad(endDate.getUTCMinutes()),
-    '00',
-  ].join('');
+function formatApptTime(time, date, timeZone) {
+  if (!timeZone || !date) return formatTime24to12(time);
+  const startsAt = zonedTimeToUtc(date, time, timeZone);
+  return `${formatTime24to12(time)} ${timeZoneAbbreviation(startsAt, timeZone)}`;
+}
 
-  const now = new Date();
-  const dtStamp = [
-    now.getUTCFullYear(),
-    pad(now.getUTCMonth() + 1),
-    pad(now.getUTCDate()),
+const pad = n => String(n).padStart(2, '0');
+
+// Escape special chars for iCal text fields
+const esc = s =>
+  (s || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\n/g, '\\n');
+
+function icsTimestamp(date) {
+  return [
+    date.getUTCFullYear(),
+    pad(date.getUTCMonth() + 1),
+    pad(date.getUTCDate()),
     'T',
-    pad(now.getUTCHours()),
-    pad(now.getUTCMinutes()),
-    pad(now.getUTCSeconds()),
-    'Z',
+    pad(date.getUTCHours()),
+    pad(date.getUTCMinutes()),
+    pad(date.getUTCSeconds()),
   ].join('');
+}
 
-  // Escape special chars for iCal text fields
-  const esc = s =>
-    (s || '')
-      .replace(/\\/g, '\\\\')
-      .replace(/;/g, '\\;')
-      .replace(/,/g, '\\,')
-      .replace(/\n/g, '\\n');
-
-  const lines = [
-    'BEGIN:VCALENDAR',
-    'VERSION:2.0',
-    'PRODID:-//JE Fitness//Appointment//EN',
-    `METHOD:${method}`,
+// VEVENT lines for one appointment; see buildIcs for the options
+function veventLines(
+  {
+    uid,
+    summary,
+    description,
+    date,
+    time,
+    durationMinutes = 60,
+    timeZone = 'UTC',
+    organizer,
+    sequence = 0,
+  },
+  method,
+  dtStamp
+) {
+  // Written as UTC instants so every calendar app shows the right local time
+  const startMs = zonedTimeToUtc(date, time, timeZone).getTime();
+  const dtStart = `${icsTimestamp(new Date(startMs))}Z`;
+  const dtEnd = `${icsTimestamp(new Date(startMs + durationMinutes * 60 * 1000))}Z`;
+
+  return [
     'BEGIN:VEVENT',
     `UID:${uid}@jefitnessja.com`,
     `DTSTAMP:${dtStamp}`,
@@ -93,10 +82,67 @@ function buildIcs({
     `SEQUENCE:${sequence}`,
     `STATUS:${method === 'CANCEL' ? 'CANCELLED' : 'CONFIRMED'}`,
     'END:VEVENT',
-    'END:VCALENDAR',
   ];
+}
+
+function wrapCalendar(method, events, headers = []) {
+  const dtStamp = `${icsTimestamp(new Date())}Z`;
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//JE Fitness//Appointment//EN',
+    `METHOD:${method}`,
+    ...headers,
+    ...events.flatMap(event => veventLines(event, method, dtStamp)),
+    'END:VCALENDAR',
+  ].join('\r\n');
+}
 
-  return lines.join('\r\n');
+/**
+ * Build an iCalendar (.ics) string for an appointment event.
+ * @param {object} opts
+ * @param {string} opts.uid        - Stable unique ID (MongoDB appointment _id)
+ * @param {string} opts.summary    - Event title
+ * @param {string} opts.description
+ * @param {string} opts.date       - ISO date string (appointment date)
+ * @param {string} opts.time       - "HH:MM" in 24-hour format, local to timeZone
+ * @param {number} opts.durationMinutes - Default 60
+ * @param {string} opts.timeZone   - IANA timezone of date/time; default UTC
+ * @param {string} opts.organizer  - Organizer display name
+ * @param {string} opts.method     - 'REQUEST' (new/update) | 'CANCEL'
+ * @param {number} opts.sequence   - 0 for new, 1+ for updates/cancels
+ * @returns {string} iCalendar content
+ */
+function buildIcs({ method = 'REQUEST', ...event }) {
+  return wrapCalendar(method, [event]);
+}
+
+/**
+ * Build one iCalendar file holding several appointments, e.g. the occurrences
+ * of a recurring series. Each event keeps its own UID, so a later update or
+ * cancellation of a single occurrence still matches it.
+ * @param {object[]} events - buildIcs options per appointment (without method)
+ * @param {string} method - 'REQUEST' | 'CANCEL'
+ * @returns {string} iCalendar content
+ */
+function buildIcsEvents(events, method = 'REQUEST') {
+  return wrapCalendar(method, events);
+}
+
+/**
+ * Build a subscribable calendar feed of appointments. Calendar apps poll it
+ * and match events by UID, so an appointment changed since the last poll
+ * needs a higher SEQUENCE.
+ * @param {object[]} events - buildIcs options per appointment (without method)
+ * @param {string} name - Calendar name shown in the subscriber's app
+ * @returns {string} iCalendar content
+ */
+function buildIcsFeed(events, name) {
+  return wrapCalendar('PUBLISH', events, [
+    `X-WR-CALNAME:${esc(name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+  ]);
 }
 
 /**
@@ -135,12 +181,15 @@ function calendarButtonsHtml(gcalUrl) {
 /**
  * Build Google Calendar "add event" URL.
  */
-function buildGcalUrl({ summary, description, date, time, durationMinutes = 60 }) {
-  const [year, month, day] = date.split('T')[0].split('-').map(Number);
-  const [hour, minute] = time.split(':').map(Number);
-  const pad = n => String(n).padStart(2, '0');
-
-  const startMs = Date.UTC(year, month - 1, day, hour, minute);
+function buildGcalUrl({
+  summary,
+  description,
+  date,
+  time,
+  durationMinutes = 60,
+  timeZone = 'UTC',
+}) {
+  const startMs = zonedTimeToUtc(date, time, timeZone).getTime();
   const endMs = startMs + durationMinutes * 60 * 1000;
 
   const fmt = ms => {
@@ -160,7 +209,10 @@ function buildGcalUrl({ summary, description, date, time, durationMinutes = 60 }
 
 module.exports = {
   formatTime24to12,
+  formatApptTime,
   buildIcs,
+  buildIcsEvents,
+  buildIcsFeed,
   icsAttachment,
   calendarButtonsHtml,
   buildGcalUrl,
@@ -1,13 +1,18 @@
+const { getPrimaryAppUrl } = require('../../../config/security');
 const { sendEmail } = require('../core');
+const { DEFAULT_TIMEZONE } = require('../../../config/schedulingConstants');
 const {
-  formatTime24to12,
+  formatApptTime,
   buildIcs,
+  buildIcsEvents,
   icsAttachment,
   calendarButtonsHtml,
   buildGcalUrl,
   FROM_NAME,
 } = require('../calendar');
 
+const APP_URL = getPrimaryAppUrl();
+
 /**
  * Send a trainer their daily client schedule.
  * @param {string} to - Trainer email
@@ -66,6 +71,8 @@ async function sendTrainerDailySchedule(to, trainerName, dateStr, appointments)
  * @param {string} time - Appointment time string (e.g. "09:00")
  * @param {string} appointmentId - MongoDB appointment _id
  * @param {string} date - ISO date string
+ * @param {number} [durationMinutes=60] - Session length; sets the calendar event's end
+ * @param {string} [timeZone] - IANA timezone of date and time; defaults to the gym's
  */
 async function sendAppointmentConfirmationClient(
   to,
@@ -74,19 +81,30 @@ async function sendAppointmentConfirmationClient(
   dateStr,
   time,
   appointmentId,
-  date
+  date,
+  durationMinutes = 60,
+  timeZone = DEFAULT_TIMEZONE
 ) {
-  const displayTime = formatTime24to12(time);
+  const displayTime = formatApptTime(time, date, timeZone);
 
   const summary = `Fitness Session with ${trainerName}`;
   const description = `Appointment with trainer ${trainerName} at JE Fitness.\nDate: ${dateStr}\nTime: ${displayTime}`;
-  const gcalUrl = buildGcalUrl({ summary, description, date, time });
+  const gcalUrl = buildGcalUrl({
+    summary,
+    description,
+    date,
+    time,
+    durationMinutes,
+    timeZone,
+  });
   const ics = buildIcs({
     uid: appointmentId,
     summary,
     description,
     date,
     time,
+    durationMinutes,
+    timeZone,
     organizer: FROM_NAME,
     method: 'REQUEST',
     sequence: 0,
@@ -151,19 +169,30 @@ async function sendNewAppointmentNotification(
   dateStr,
   time,
   appointmentId,
-  date
+  date,
+  durationMinutes = 60,
+  timeZone = DEFAULT_TIMEZONE
 ) {
-  const displayTime = formatTime24to12(time);
+  const displayTime = formatApptTime(time, date, timeZone);
 
   const summary = `Fitness Session with ${clientName}`;
   const description = `Appointment with client ${clientName} at JE Fitness.\nDate: ${dateStr}\nTime: ${displayTime}`;
-  const gcalUrl = buildGcalUrl({ summary, description, date, time });
+  const gcalUrl = buildGcalUrl({
+    summary,
+    description,
+    date,
+    time,
+    durationMinutes,
+    timeZone,
+  });
   const ics = buildIcs({
     uid: appointmentId,
     summary,
     description,
     date,
     time,
+    durationMinutes,
+    timeZone,
     organizer: FROM_NAME,
     method: 'REQUEST',
     sequence: 0,
@@ -230,9 +259,11 @@ async function sendAppointmentCancelledTrainer(
   time,
   reason = 'cancelled',
   appointmentId,
-  date
+  date,
+  durationMinutes = 60,
+  timeZone = DEFAULT_TIMEZONE
 ) {
-  const displayTime = formatTime24to12(time);
+  const displayTime = formatApptTime(time, date, timeZone);
   const verb = reason === 'deleted' ? 'removed' : 'cancelled';
   const Verb = reason === 'deleted' ? 'Removed' : 'Cancelled';
 
@@ -242,6 +273,8 @@ async function sendAppointmentCancelledTrainer(
     description: `Appointment with client ${clientName} at JE Fitness.\nDate: ${dateStr}\nTime: ${displayTime}`,
     date,
     time,
+    durationMinutes,
+    timeZone,
     organizer: FROM_NAME,
     method: 'CANCEL',
     sequence: 1,
@@ -307,9 +340,11 @@ async function sendAppointmentCancelledClient(
   time,
   reason = 'cancelled',
   appointmentId,
-  date
+  date,
+  durationMinutes = 60,
+  timeZone = DEFAULT_TIMEZONE
 ) {
-  const displayTime = formatTime24to12(time);
+  const displayTime = formatApptTime(time, date, timeZone);
   const verb = reason === 'deleted' ? 'removed' : 'cancelled';
   const Verb = reason === 'deleted' ? 'Removed' : 'Cancelled';
 
@@ -319,6 +354,8 @@ async function sendAppointmentCancelledClient(
     description: `Appointment with trainer ${trainerName} at JE Fitness.\nDate: ${dateStr}\nTime: ${displayTime}`,
     date,
     time,
+    durationMinutes,
+    timeZone,
     organizer: FROM_NAME,
     method: 'CANCEL',
     sequence: 1,
@@ -384,19 +421,30 @@ async function sendAppointmentUpdatedTrainer(
   dateStr,
   time,
   appointmentId,
-  date
+  date,
+  durationMinutes = 60,
+  timeZone = DEFAULT_TIMEZONE
 ) {
-  const displayTime = formatTime24to12(time);
+  const displayTime = formatApptTime(time, date, timeZone);
 
   const summary = `Fitness Session with ${clientName}`;
   const description = `Updated appointment with client ${clientName} at JE Fitness.\nDate: ${dateStr}\nTime: ${displayTime}`;
-  const gcalUrl = buildGcalUrl({ summary, description, date, time });
+  const gcalUrl = buildGcalUrl({
+    summary,
+    description,
+    date,
+    time,
+    durationMinutes,
+    timeZone,
+  });
   const ics = buildIcs({
     uid: appointmentId,
     summary,
     description,
     date,
     time,
+    durationMinutes,
+    timeZone,
     organizer: FROM_NAME,
     method: 'REQUEST',
     sequence: 1,
@@ -461,19 +509,30 @@ async function sendAppointmentUpdatedClient(
   dateStr,
   time,
   appointmentId,
-  date
+  date,
+  durationMinutes = 60,
+  timeZone = DEFAULT_TIMEZONE
 ) {
-  const displayTime = formatTime24to12(time);
+  const displayTime = formatApptTime(time, date, timeZone);
 
   const summary = `Fitness Session with ${trainerName}`;
   const description = `Updated appointment with trainer ${trainerName} at JE Fitness.\nDate: ${dateStr}\nTime: ${displayTime}`;
-  const gcalUrl = buildGcalUrl({ summary, description, date, time });
+  const gcalUrl = buildGcalUrl({
+    summary,
+    description,
+    date,
+    time,
+    durationMinutes,
+    timeZone,
+  });
   const ics = buildIcs({
     uid: appointmentId,
     summary,
     description,
     date,
     time,
+    durationMinutes,
+    timeZone,
     organizer: FROM_NAME,
     method: 'REQUEST',
     sequence: 1,
@@ -525,6 +584,419 @@ async function sendAppointmentUpdatedClient(
   });
 }
 
+/**
+ * Tell a client their trainer has taken time off over a booked session.
+ * The appointment itself is unchanged, so no calendar update is attached.
+ * @param {string} to - Client email
+ * @param {string} clientName - Client first name
+ * @param {string} trainerName - Full trainer name
+ * @param {string} dateStr - Human-readable date
+ * @param {string} time - Appointment time string (e.g. "09:00")
+ * @param {Date|string} date - Appointment date
+ * @param {string} [timeZone] - IANA timezone of date and time; defaults to the gym's
+ */
+async function sendTrainerUnavailableClient(
+  to,
+  clientName,
+  trainerName,
+  dateStr,
+  time,
+  date,
+  timeZone = DEFAULT_TIMEZONE
+) {
+  const displayTime = formatApptTime(time, date, timeZone);
+
+  return sendEmail({
+    to,
+    subject: `${trainerName} is unavailable for your session on ${dateStr}`,
+    text: [
+      `Hello ${clientName},`,
+      '',
+      `${trainerName} is no longer available for your session:`,
+      '',
+      `  Date:    ${dateStr}`,
+      `  Time:    ${displayTime}`,
+      '',
+      'Please rebook at another time, or contact us if you have questions.',
+      '',
+      '— JE Fitness Team',
+    ].join('\n'),
+    html: `
+      <div style="font-family:Arial,sans-serif;max-width:560px;margin:0 auto">
+        <h2 style="color:#343a40">Your Trainer Is Unavailable</h2>
+        <p>Hello ${clientName},</p>
+        <p>${trainerName} is no longer available for your session:</p>
+        <table style="width:100%;border-collapse:collapse;margin:16px 0">
+          <tr style="background:#f8f9fa">
+            <td style="padding:10px 14px;font-weight:600;border-bottom:1px solid #dee2e6;width:35%">Date</td>
+            <td style="padding:10px 14px;border-bottom:1px solid #dee2e6">${dateStr}</td>
+          </tr>
+          <tr>
+            <td style="padding:10px 14px;font-weight:600">Time</td>
+            <td style="padding:10px 14px">${displayTime}</td>
+          </tr>
+        </table>
+        <p>Please rebook at another time, or contact us if you have any questions.</p>
+        <hr style="border:none;border-top:1px solid #dee2e6;margin:24px 0">
+        <p style="color:#6c757d;font-size:13px">— JE Fitness Team</p>
+      </div>`,
+  });
+}
+
+/**
+ * Offer a waitlisted client a place that has just opened up.
+ * @param {string} to - Client email
+ * @param {string} clientName - Client first name
+ * @param {string} trainerName - Full trainer name
+ * @param {string} dateStr - Human-readable date
+ * @param {string} time - Slot time (e.g. "09:00")
+ * @param {string} entryId - WaitlistEntry _id; the link confirms this offer
+ * @param {number} holdMinutes - How long the place is held
+ * @param {Date|string} date - Slot date
+ * @param {string} [timeZone] - IANA timezone of date and time; defaults to the gym's
+ */
+async function sendWaitlistOffer(
+  to,
+  clientName,
+  trainerName,
+  dateStr,
+  time,
+  entryId,
+  holdMinutes,
+  date,
+  timeZone = DEFAULT_TIMEZONE
+) {
+  const displayTime = formatApptTime(time, date, timeZone);
+  const holdFor =
+    holdMinutes % 60 === 0
+      ? `${holdMinutes / 60} hour${holdMinutes === 60 ? '' : 's'}`
+      : `${holdMinutes} minutes`;
+  const confirmUrl = `${APP_URL}/meet-your-trainer?waitlistOffer=${entryId}`;
+
+  return sendEmail({
+    to,
+    subject: `A spot opened up with ${trainerName} on ${dateStr}`,
+    text: [
+      `Hello ${clientName},`,
+      '',
+      'Good news: a place opened up in the session you were waiting for:',
+      '',
+      `  Trainer: ${trainerName}`,
+      `  Date:    ${dateStr}`,
+      `  Time:    ${displayTime}`,
+      '',
+      `We're holding it for you for ${holdFor}. Confirm your booking here:`,
+      confirmUrl,
+      '',
+      'If you do not confirm in time, the place goes to the next person on the waitlist.',
+      '',
+      '— JE Fitness Team',
+    ].join('\n'),
+    html: `
+      <div style="font-family:Arial,sans-serif;max-width:560px;margin:0 auto">
+        <h2 style="color:#343a40">A Spot Opened Up</h2>
+        <p>Hello ${clientName},</p>
+        <p>Good news: a place opened up in the session you were waiting for:</p>
+        <table style="width:100%;border-collapse:collapse;margin:16px 0">
+          <tr style="background:#f8f9fa">
+            <td style="padding:10px 14px;font-weight:600;border-bottom:1px solid #dee2e6;width:35%">Trainer</td>
+            <td style="padding:10px 14px;border-bottom:1px solid #dee2e6">${trainerName}</td>
+          </tr>
+          <tr>
+            <td style="padding:10px 14px;font-weight:600;border-bottom:1px solid #dee2e6">Date</td>
+            <td style="padding:10px 14px;border-bottom:1px solid #dee2e6">${dateStr}</td>
+          </tr>
+          <tr style="background:#f8f9fa">
+            <td style="padding:10px 14px;font-weight:600">Time</td>
+            <td style="padding:10px 14px">${displayTime}</td>
+          </tr>
+        </table>
+        <p>We're holding it for you for <strong>${holdFor}</strong>.</p>
+        <p style="margin:24px 0">
+          <a href="${confirmUrl}"
+             style="background:#0d6efd;color:#fff;padding:12px 24px;text-decoration:none;border-radius:6px;display:inline-block">
+            Confirm Booking
+          </a>
+        </p>
+        <p style="color:#6c757d">If you do not confirm in time, the place goes to the next person on the waitlist.</p>
+        <hr style="border:none;border-top:1px solid #dee2e6;margin:24px 0">
+        <p style="color:#6c757d;font-size:13px">— JE Fitness Team</p>
+      </div>`,
+  });
+}
+
+/**
+ * Remind a client of an upcoming session, with one-click links to confirm
+ * they are coming or cancel.
+ * @param {string} to - Client email
+ * @param {string} clientName - Client first name
+ * @param {string} trainerName - Full trainer name
+ * @param {string} dateStr - Human-readable date
+ * @param {string} time - Appointment time string (e.g. "09:00")
+ * @param {Date|string} date - Appointment date
+ * @param {string} timeZone - IANA timezone of date and time
+ * @param {string} token - Signed reminder token for the confirm/cancel links
+ * @param {string} [sessionName] - Session type name, when not the default session
+ */
+async function sendAppointmentReminder(
+  to,
+  clientName,
+  trainerName,
+  dateStr,
+  time,
+  date,
+  timeZone,
+  token,
+  sessionName = null
+) {
+  const displayTime = formatApptTime(time, date, timeZone);
+  const session = sessionName || 'training session';
+  const responseUrl = `${APP_URL}/appointment-response?token=${encodeURIComponent(token)}`;
+  const confirmUrl = `${responseUrl}&action=confirm`;
+  const cancelUrl = `${responseUrl}&action=cancel`;
+
+  return sendEmail({
+    to,
+    subject: `Reminder: ${session} with ${trainerName} on ${dateStr} at ${displayTime}`,
+    text: [
+      `Hello ${clientName},`,
+      '',
+      `This is a reminder of your upcoming ${session}:`,
+      '',
+      `  Trainer: ${trainerName}`,
+      `  Date:    ${dateStr}`,
+      `  Time:    ${displayTime}`,
+      '',
+      `Confirm you're coming: ${confirmUrl}`,
+      `Can't make it? Cancel:  ${cancelUrl}`,
+      '',
+      '— JE Fitness Team',
+    ].join('\n'),
+    html: `
+      <div style="font-family:Arial,sans-serif;max-width:560px;margin:0 auto">
+        <h2 style="color:#343a40">Upcoming Session Reminder</h2>
+        <p>Hello ${clientName},</p>
+        <p>This is a reminder of your upcoming ${session}:</p>
+        <table style="width:100%;border-collapse:collapse;margin:16px 0">
+          <tr style="background:#f8f9fa">
+            <td style="padding:10px 14px;font-weight:600;border-bottom:1px solid #dee2e6;width:35%">Trainer</td>
+            <td style="padding:10px 14px;border-bottom:1px solid #dee2e6">${trainerName}</td>
+          </tr>
+          <tr>
+            <td style="padding:10px 14px;font-weight:600;border-bottom:1px solid #dee2e6">Date</td>
+            <td style="padding:10px 14px;border-bottom:1px solid #dee2e6">${dateStr}</td>
+          </tr>
+          <tr style="background:#f8f9fa">
+            <td style="padding:10px 14px;font-weight:600">Time</td>
+            <td style="padding:10px 14px">${displayTime}</td>
+          </tr>
+        </table>
+        <p style="margin:24px 0">
+          <a href="${confirmUrl}"
+             style="background:#198754;color:#fff;padding:12px 24px;text-decoration:none;border-radius:6px;display:inline-block;margin-right:8px">
+            I'll Be There
+          </a>
+          <a href="${cancelUrl}"
+             style="background:#fff;color:#dc3545;border:1px solid #dc3545;padding:11px 23px;text-decoration:none;border-radius:6px;display:inline-block">
+            Cancel Session
+          </a>
+        </p>
+        <p style="color:#6c757d;font-size:13px">You can turn off session reminders in your profile settings.</p>
+        <hr style="border:none;border-top:1px solid #dee2e6;margin:24px 0">
+        <p style="color:#6c757d;font-size:13px">— JE Fitness Team</p>
+      </div>`,
+  });
+}
+
+// ── Recurring series ──────────────────────────────────────────────────────────
+// occurrences: [{ appointmentId, date (ISO), dateStr, time, durationMinutes, timeZone }]
+
+function seriesRowsHtml(occurrences) {
+  return occurrences
+    .map(
+      (o, i) =>
+        `<tr${i % 2 ? '' : ' style="background:#f8f9fa"'}><td style="padding:8px 12px;border-bottom:1px solid #dee2e6">${o.dateStr}</td><td style="padding:8px 12px;border-bottom:1px solid #dee2e6">${formatApptTime(o.time, o.date, o.timeZone)}</td></tr>`
+    )
+    .join('');
+}
+
+function seriesText(occurrences) {
+  return occurrences
+    .map(o => `  ${o.dateStr} at ${formatApptTime(o.time, o.date, o.timeZone)}`)
+    .join('\n');
+}
+
+function seriesIcs(occurrences, summary, withName, method, sequence) {
+  return buildIcsEvents(
+    occurrences.map(o => ({
+      uid: o.appointmentId,
+      summary,
+      description: `Appointment with ${withName} at JE Fitness.\nDate: ${o.dateStr}\nTime: ${formatApptTime(o.time, o.date, o.timeZone)}`,
+      date: o.date,
+      time: o.time,
+      durationMinutes: o.durationMinutes,
+      timeZone: o.timeZone,
+      organizer: FROM_NAME,
+      sequence,
+    })),
+    method
+  );
+}
+
+/**
+ * Confirm a recurring booking to the client, listing every booked date and
+ * any dates that could not be booked. One .ics file carries all occurrences.
+ * @param {string} to - Client email
+ * @param {string} clientName - Client first name
+ * @param {string} trainerName - Full trainer name
+ * @param {Array<Object>} occurrences - Booked occurrences, in date order
+ * @param {string[]} skipped - Human-readable dates that were not booked
+ */
+async function sendSeriesConfirmationClient(
+  to,
+  clientName,
+  trainerName,
+  occurrences,
+  skipped = []
+) {
+  const ics = seriesIcs(
+    occurrences,
+    `Fitness Session with ${trainerName}`,
+    `trainer ${trainerName}`,
+    'REQUEST',
+    0
+  );
+  const skippedText = skipped.length
+    ? ['', 'These dates could not be booked:', ...skipped.map(d => `  ${d}`)]
+    : [];
+  const skippedHtml = skipped.length
+    ? `<p>These dates could not be booked: ${skipped.join('; ')}.</p>`
+    : '';
+
+  return sendEmail({
+    to,
+    subject: `${occurrences.length} sessions booked with ${trainerName}`,
+    text: [
+      `Hello ${clientName},`,
+      '',
+      `Your recurring sessions with ${trainerName} are booked:`,
+      '',
+      seriesText(occurrences),
+      ...skippedText,
+      '',
+      'Open the attached .ics file to add them all to your calendar.',
+      '',
+      '— JE Fitness Team',
+    ].join('\n'),
+    html: `
+      <div style="font-family:Arial,sans-serif;max-width:560px;margin:0 auto">
+        <h2 style="color:#343a40">Recurring Sessions Booked</h2>
+        <p>Hello ${clientName},</p>
+        <p>Your recurring sessions with ${trainerName} are booked:</p>
+        <table style="width:100%;border-collapse:collapse;margin:16px 0">${seriesRowsHtml(occurrences)}</table>
+        ${skippedHtml}
+        <p style="font-size:14px;color:#495057">📎 Open the attached <strong>.ics file</strong> to add them all to your calendar.</p>
+        <hr style="border:none;border-top:1px solid #dee2e6;margin:24px 0">
+        <p style="color:#6c757d;font-size:13px">— JE Fitness Team</p>
+      </div>`,
+    attachments: [icsAttachment(ics)],
+  });
+}
+
+/**
+ * Notify a trainer of a new recurring booking.
+ * @param {string} to - Trainer email
+ * @param {string} trainerName - Trainer first name
+ * @param {string} clientName - Full client name
+ * @param {Array<Object>} occurrences - Booked occurrences, in date order
+ */
+async function sendNewSeriesNotification(to, trainerName, clientName, occurrences) {
+  const ics = seriesIcs(
+    occurrences,
+    `Session with ${clientName}`,
+    `client ${clientName}`,
+    'REQUEST',
+    0
+  );
+
+  return sendEmail({
+    to,
+    subject: `New recurring booking: ${clientName} (${occurrences.length} sessions)`,
+    text: [
+      `Hello ${trainerName},`,
+      '',
+      `${clientName} booked recurring sessions with you:`,
+      '',
+      seriesText(occurrences),
+      '',
+      '— JE Fitness Team',
+    ].join('\n'),
+    html: `
+      <div style="font-family:Arial,sans-serif;max-width:560px;margin:0 auto">
+        <h2 style="color:#343a40">New Recurring Booking</h2>
+        <p>Hello ${trainerName},</p>
+        <p>${clientName} booked recurring sessions with you:</p>
+        <table style="width:100%;border-collapse:collapse;margin:16px 0">${seriesRowsHtml(occurrences)}</table>
+        <hr style="border:none;border-top:1px solid #dee2e6;margin:24px 0">
+        <p style="color:#6c757d;font-size:13px">— JE Fitness Team</p>
+      </div>`,
+    attachments: [icsAttachment(ics)],
+  });
+}
+
+/**
+ * Tell a client or trainer that several occurrences of a series were moved
+ * or cancelled at once ("this and following").
+ * @param {string} to - Recipient email
+ * @param {string} recipientName - Recipient first name
+ * @param {string} withName - Full name of the other participant
+ * @param {Array<Object>} occurrences - Affected occurrences, as they are now
+ * @param {string} change - 'updated' | 'cancelled'
+ */
+async function sendSeriesChanged(to, recipientName, withName, occurrences, change) {
+  const cancelled = change === 'cancelled';
+  const ics = seriesIcs(
+    occurrences,
+    `Fitness Session with ${withName}`,
+    withName,
+    cancelled ? 'CANCEL' : 'REQUEST',
+    1
+  );
+  const heading = cancelled
+    ? 'Recurring Sessions Cancelled'
+    : 'Recurring Sessions Updated';
+  const intro = cancelled
+    ? `These sessions with ${withName} have been cancelled:`
+    : `These sessions with ${withName} have been updated:`;
+
+  return sendEmail({
+    to,
+    subject: `${occurrences.length} sessions with ${withName} ${cancelled ? 'cancelled' : 'updated'}`,
+    text: [
+      `Hello ${recipientName},`,
+      '',
+      intro,
+      '',
+      seriesText(occurrences),
+      '',
+      'The attached .ics file will update your calendar.',
+      '',
+      '— JE Fitness Team',
+    ].join('\n'),
+    html: `
+      <div style="font-family:Arial,sans-serif;max-width:560px;margin:0 auto">
+        <h2 style="color:#343a40">${heading}</h2>
+        <p>Hello ${recipientName},</p>
+        <p>${intro}</p>
+        <table style="width:100%;border-collapse:collapse;margin:16px 0">${seriesRowsHtml(occurrences)}</table>
+        <p style="font-size:14px;color:#495057">📎 Open the attached <strong>.ics file</strong> to update your calendar.</p>
+        <hr style="border:none;border-top:1px solid #dee2e6;margin:24px 0">
+        <p style="color:#6c757d;font-size:13px">— JE Fitness Team</p>
+      </div>`,
+    attachments: [icsAttachment(ics)],
+  });
+}
+
 module.exports = {
   sendTrainerDailySchedule,
   sendAppointmentConfirmationClient,
@@ -533,4 +1005,10 @@ module.exports = {
   sendAppointmentCancelledClient,
   sendAppointmentUpdatedTrainer,
   sendAppointmentUpdatedClient,
+  sendTrainerUnavailableClient,
+  sendWaitlistOffer,
+  sendAppointmentReminder,
+  sendSeriesConfirmationClient,
+  sendNewSeriesNotification,
+  sendSeriesChanged,
 };
@@ -0,0 +1,81 @@
+const { getPrimaryAppUrl } = require('../../../config/security');
+const { sendEmail } = require('../core');
+
+const APP_URL = getPrimaryAppUrl();
+
+function goalEmailHtml(heading, toName, paragraphs) {
+  return `
+      <div style="font-family:Arial,sans-serif;max-width:560px;margin:0 auto">
+        <h2 style="color:#343a40">${heading}</h2>
+        <p>Hello ${toName},</p>
+        ${paragraphs.map(p => `<p>${p}</p>`).join('\n        ')}
+        <p style="margin:24px 0">
+          <a href="${APP_URL}/workout-progress"
+             style="background:#0d6efd;color:#fff;padding:12px 24px;text-decoration:none;border-radius:6px;display:inline-block">
+            View Your Progress
+          </a>
+        </p>
+        <hr style="border:none;border-top:1px solid #dee2e6;margin:24px 0">
+        <p style="color:#6c757d;font-size:13px">— JE Fitness Team</p>
+      </div>`;
+}
+
+/**
+ * Congratulate a member on reaching a workout goal.
+ * @param {string} to
+ * @param {string} toName
+ * @param {Object} goal
+ * @param {string} goal.description - e.g. "Bench Press: 225 lbs"
+ * @param {string} goal.achievedOn - Formatted date it was reached
+ */
+async function sendGoalAchieved(to, toName, goal) {
+  return sendEmail({
+    to,
+    subject: `Goal reached: ${goal.description}`,
+    text: [
+      `Hello ${toName},`,
+      '',
+      `You reached your goal of ${goal.description} on ${goal.achievedOn}. Well done!`,
+      '',
+      `See your progress and set your next goal: ${APP_URL}/workout-progress`,
+      '',
+      '— JE Fitness Team',
+    ].join('\n'),
+    html: goalEmailHtml('Goal Reached 🏆', toName, [
+      `You reached your goal of <strong>${goal.description}</strong> on <strong>${goal.achievedOn}</strong>. Well done!`,
+      'Time to set your next one.',
+    ]),
+  });
+}
+
+/**
+ * Tell a member a workout goal's target date passed before they reached it.
+ * @param {string} to
+ * @param {string} toName
+ * @param {Object} goal
+ * @param {string} goal.description - e.g. "Bench Press: 225 lbs"
+ * @param {string} goal.targetDate - Formatted target date
+ * @param {number} goal.progress - Percent of the way there, 0-100
+ */
+async function sendGoalMissed(to, toName, goal) {
+  return sendEmail({
+    to,
+    subject: `Your goal date has passed: ${goal.description}`,
+    text: [
+      `Hello ${toName},`,
+      '',
+      `The target date for your goal of ${goal.description} was ${goal.targetDate}.`,
+      `You got ${goal.progress}% of the way there. Keep going, or set a new date that fits.`,
+      '',
+      `Review your goals: ${APP_URL}/workout-progress`,
+      '',
+      '— JE Fitness Team',
+    ].join('\n'),
+    html: goalEmailHtml('Goal Date Passed', toName, [
+      `The target date for your goal of <strong>${goal.description}</strong> was <strong>${goal.targetDate}</strong>.`,
+      `You got <strong>${goal.progress}%</strong> of the way there. Keep going, or set a new date that fits.`,
+    ]),
+  });
+}
+
+module.exports = { sendGoalAchieved, sendGoalMissed };
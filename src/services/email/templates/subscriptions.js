@@ -42,6 +42,118 @@ async function sendSubscriptionReminder(to, toName, planName, daysLeft, renewalD
   });
 }
 
+/**
+ * Tell a member a refund has been issued and what it did to their membership.
+ * @param {string} to
+ * @param {string} toName
+ * @param {Object} refund
+ * @param {string} refund.amount - Formatted amount, e.g. "USD 57.50"
+ * @param {number} refund.daysRemoved - Membership days taken off
+ * @param {boolean} refund.accessRevoked - Whether no paid time remains
+ * @param {string} [refund.accessUntil] - Formatted new expiry when time remains
+ */
+async function sendRefundProcessed(
+  to,
+  toName,
+  { amount, daysRemoved, accessRevoked, accessUntil }
+) {
+  const daysLabel = `${daysRemoved} day${daysRemoved !== 1 ? 's' : ''}`;
+  const outcome = accessRevoked
+    ? 'Your membership has ended as no paid time remains.'
+    : `Your membership has been shortened by ${daysLabel} and now runs until ${accessUntil}.`;
+
+  return sendEmail({
+    to,
+    subject: 'Your JE Fitness refund has been processed',
+    text: [
+      `Hello ${toName},`,
+      '',
+      `We have refunded ${amount} to your original payment method.`,
+      outcome,
+      '',
+      'Refunds usually appear on your statement within 5-10 business days.',
+      '',
+      `Manage your subscription: ${APP_URL}/subscriptions`,
+      '',
+      '— JE Fitness Team',
+    ].join('\n'),
+    html: `
+      <div style="font-family:Arial,sans-serif;max-width:560px;margin:0 auto">
+        <h2 style="color:#343a40">Refund Processed</h2>
+        <p>Hello ${toName},</p>
+        <p>We have refunded <strong>${amount}</strong> to your original payment method.</p>
+        <p>${outcome}</p>
+        <p style="color:#6c757d">Refunds usually appear on your statement within 5-10 business days.</p>
+        <p style="margin:24px 0">
+          <a href="${APP_URL}/subscriptions"
+             style="background:#0d6efd;color:#fff;padding:12px 24px;text-decoration:none;border-radius:6px;display:inline-block">
+            Manage Subscription
+          </a>
+        </p>
+        <hr style="border:none;border-top:1px solid #dee2e6;margin:24px 0">
+        <p style="color:#6c757d;font-size:13px">— JE Fitness Team</p>
+      </div>`,
+  });
+}
+
+/**
+ * Confirm a membership payment, with the invoice attached as a PDF.
+ * @param {string} to
+ * @param {string} toName
+ * @param {Object} payment
+ * @param {string} payment.invoiceNumber
+ * @param {string} payment.amount - Formatted amount, e.g. "USD 115.00"
+ * @param {string} payment.description - What was bought, e.g. "1 Month membership"
+ * @param {string} payment.summary - Plain-text invoice summary
+ * @param {Buffer} payment.pdf - Rendered invoice
+ */
+async function sendPaymentReceived(
+  to,
+  toName,
+  { invoiceNumber, amount, description, summary, pdf }
+) {
+  return sendEmail({
+    to,
+    subject: `Payment received - invoice ${invoiceNumber}`,
+    text: [
+      `Hello ${toName},`,
+      '',
+      `Thank you for your payment of ${amount} for your ${description}.`,
+      'Your invoice is attached.',
+      '',
+      summary,
+      '',
+      `Download past invoices: ${APP_URL}/subscriptions`,
+      '',
+      '— JE Fitness Team',
+    ].join('\n'),
+    html: `
+      <div style="font-family:Arial,sans-serif;max-width:560px;margin:0 auto">
+        <h2 style="color:#343a40">Payment Received</h2>
+        <p>Hello ${toName},</p>
+        <p>Thank you for your payment of <strong>${amount}</strong> for your ${description}.</p>
+        <p>Your invoice <strong>${invoiceNumber}</strong> is attached for your records.</p>
+        <p style="margin:24px 0">
+          <a href="${APP_URL}/subscriptions"
+             style="background:#0d6efd;color:#fff;padding:12px 24px;text-decoration:none;border-radius:6px;display:inline-block">
+            Manage Subscription
+          </a>
+        </p>
+        <hr style="border:none;border-top:1px solid #dee2e6;margin:24px 0">
+        <p style="color:#6c757d;font-size:13px">— JE Fitness Team</p>
+      </div>`,
+    attachments: [
+      {
+        filename: `${invoiceNumber}.pdf`,
+        content: pdf.toString('base64'),
+        contentType: 'application/pdf',
+      },
+    ],
+  });
+}
+
 module.exports = {
   sendSubscriptionReminder,
+  sendRefundProcessed,
+  sendPaymentReceived,
 };
@@ -0,0 +1,259 @@
+/**
+ * Exercise catalogue: search, matching logged names to catalogue entries and
+ * merging free-text names into an entry.
+ * Names match an entry when their normalized form (see utils/exerciseNames)
+ * equals the entry's name or one of its aliases. Logged exercises keep the
+ * name the member typed and get the matching entry's exerciseId; names with
+ * no match stay unlinked until an admin merges them into an entry.
+ */
+
+const Exercise = require('../models/Exercise');
+const WorkoutLog = require('../models/WorkoutLog');
+const { DEFAULT_EXERCISES } = require('../config/exerciseCatalog');
+const { normalizeExerciseName, exerciseSearchTerms } = require('../utils/exerciseNames');
+
+const { logger } = require('./logger');
+
+// Must match the collation of the WorkoutLog exercise name index
+const EXERCISE_NAME_COLLATION = { locale: 'en', strength: 2 };
+const SEARCH_LIMIT_MAX = 25;
+const SUGGESTION_LIMIT = 3;
+
+// 0 for an exact name or alias, 1 when one starts with the query, else 2
+function matchRank(exercise, term) {
+  if (exercise.searchTerms.includes(term)) return 0;
+  return exercise.searchTerms.some(t => t.startsWith(term)) ? 1 : 2;
+}
+
+function withoutSearchTerms(exercise) {
+  const result = { ...exercise };
+  delete result.searchTerms;
+  return result;
+}
+
+/**
+ * Active catalogue entries for an autocomplete query. Matches names and
+ * aliases containing a word that starts with the query; exact and prefix
+ * matches come first, then by name.
+ * @param {string} [query]
+ * @param {Object} [opts]
+ * @param {string} [opts.muscle] - Primary or secondary muscle group
+ * @param {string} [opts.equipment]
+ * @param {number} [opts.limit=10] - At most SEARCH_LIMIT_MAX
+ * @returns {Promise<Object[]>} Lean Exercise documents
+ */
+async function searchExercises(query, { muscle, equipment, limit = 10 } = {}) {
+  const term = normalizeExerciseName(query);
+  const filter = { isActive: true };
+  if (muscle) filter.$or = [{ primaryMuscles: muscle }, { secondaryMuscles: muscle }];
+  if (equipment) filter.equipment = equipment;
+  // Normalized terms are only letters, digits and spaces, so safe in a pattern
+  if (term) filter.searchTerms = { $regex: `(^| )${term}` };
+
+  // The catalogue is small enough to rank every match in memory
+  const matches = await Exercise.find(filter).sort({ name: 1 }).lean();
+  if (term) matches.sort((a, b) => matchRank(a, term) - matchRank(b, term));
+
+  return matches
+    .slice(0, Math.min(Math.max(limit, 1), SEARCH_LIMIT_MAX))
+    .map(withoutSearchTerms);
+}
+
+/**
+ * Active catalogue entries for exercise names, by normalized name. A name that
+ * is one entry's name and another's alias goes to the entry it names.
+ * @param {string[]} names
+ * @returns {Promise<Map<string, Object>>} Normalized name → lean Exercise
+ */
+async function findExercisesByNames(names) {
+  const terms = [...new Set(names.map(normalizeExerciseName).filter(Boolean))];
+  const byTerm = new Map();
+  if (terms.length === 0) return byTerm;
+
+  const exercises = await Exercise.find({
+    isActive: true,
+    searchTerms: { $in: terms },
+  }).lean();
+
+  for (const exercise of exercises) {
+    const term = normalizeExerciseName(exercise.name);
+    if (terms.includes(term)) byTerm.set(term, exercise);
+  }
+  for (const exercise of exercises) {
+    for (const term of exercise.searchTerms) {
+      if (terms.includes(term) && !byTerm.has(term)) byTerm.set(term, exercise);
+    }
+  }
+  return byTerm;
+}
+
+/**
+ * Set exerciseId on logged exercises whose name matches a catalogue entry.
+ * @param {Object[]} exercises - Workout log exercises with exerciseName
+ * @returns {Promise<Object[]>} New exercise objects; unmatched ones have no exerciseId
+ */
+async function linkExercises(exercises) {
+  const byTerm = await findExercisesByNames(exercises.map(ex => ex.exerciseName));
+  return exercises.map(exercise => {
+    const match = byTerm.get(normalizeExerciseName(exercise.exerciseName));
+    return match ? { ...exercise, exerciseId: match._id } : exercise;
+  });
+}
+
+/**
+ * Catalogue entries sharing the most words with a name, for names that match
+ * none exactly.
+ * @param {string} name
+ * @param {Object[]} catalogue - Lean Exercise documents
+ * @returns {Object[]} Up to SUGGESTION_LIMIT entries as { _id, name }
+ */
+function suggestExercises(name, catalogue) {
+  const words = new Set(normalizeExerciseName(name).split(' ').filter(Boolean));
+  if (words.size === 0) return [];
+
+  const overlap = term => {
+    const termWords = term.split(' ');
+    const shared = termWords.filter(w => words.has(w)).length;
+    return shared / new Set([...words, ...termWords]).size;
+  };
+
+  return catalogue
+    .map(exercise => ({
+      exercise,
+      score: Math.max(...exercise.searchTerms.map(overlap)),
+    }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, SUGGESTION_LIMIT)
+    .map(({ exercise }) => ({ _id: exercise._id, name: exercise.name }));
+}
+
+/**
+ * Logged exercise names not linked to a catalogue entry, most logged first,
+ * with likely entries to merge them into.
+ * @param {Object} [opts]
+ * @param {number} [opts.limit=50]
+ * @returns {Promise<Array<{ name: string, logCount: number, memberCount: number, lastLoggedAt: Date, suggestions: Object[] }>>}
+ */
+async function unmatchedExerciseNames({ limit = 50 } = {}) {
+  const [rows, catalogue] = await Promise.all([
+    WorkoutLog.aggregate([
+      { $match: { deletedAt: null, 'exercises.exerciseId': null } },
+      { $unwind: '$exercises' },
+      { $match: { 'exercises.exerciseId': null } },
+      {
+        $group: {
+          _id: { $toLower: '$exercises.exerciseName' },
+          name: { $first: '$exercises.exerciseName' },
+          logCount: { $sum: 1 },
+          members: { $addToSet: '$userId' },
+          lastLoggedAt: { $max: '$date' },
+        },
+      },
+      { $sort: { logCount: -1, _id: 1 } },
+      { $limit: limit },
+      {
+        $project: {
+          _id: 0,
+          name: 1,
+          logCount: 1,
+          memberCount: { $size: '$members' },
+          lastLoggedAt: 1,
+        },
+      },
+    ]),
+    Exercise.find({ isActive: true }).select('name searchTerms').lean(),
+  ]);
+
+  return rows.map(row => ({
+    ...row,
+    suggestions: suggestExercises(row.name, catalogue),
+  }));
+}
+
+/**
+ * Map logged exercise names onto a catalogue entry: every logged exercise
+ * with one of the names (any case) is linked to the entry and renamed to it.
+ * @param {string[]} names
+ * @param {string} exerciseId
+ * @param {Object} [opts]
+ * @param {boolean} [opts.addAliases=true] - Add the names to the entry's
+ *   aliases so later logs with them are linked as they are saved
+ * @returns {Promise<{ exercise: Object, logsUpdated: number, aliasesAdded: string[] }|null>}
+ *   null when the entry does not exist
+ */
+async function mergeExerciseNames(names, exerciseId, { addAliases = true } = {}) {
+  const exercise = await Exercise.findById(exerciseId);
+  if (!exercise) return null;
+
+  const cleaned = [...new Set(names.map(name => String(name).trim()).filter(Boolean))];
+  const result = await WorkoutLog.updateMany(
+    { 'exercises.exerciseName': { $in: cleaned } },
+    {
+      $set: {
+        'exercises.$[merged].exerciseId': exercise._id,
+        'exercises.$[merged].exerciseName': exercise.name,
+      },
+    },
+    {
+      arrayFilters: [{ 'merged.exerciseName': { $in: cleaned } }],
+      collation: EXERCISE_NAME_COLLATION,
+    }
+  );
+
+  const aliasesAdded = [];
+  if (addAliases) {
+    const known = new Set(exercise.searchTerms);
+    for (const name of cleaned) {
+      const term = normalizeExerciseName(name);
+      if (!term || known.has(term)) continue;
+      known.add(term);
+      aliasesAdded.push(name);
+    }
+    if (aliasesAdded.length) {
+      exercise.aliases.push(...aliasesAdded);
+      await exercise.save();
+    }
+  }
+
+  return { exercise, logsUpdated: result.modifiedCount, aliasesAdded };
+}
+
+/**
+ * Add catalogue entries from DEFAULT_EXERCISES that are not in the database
+ * yet. Entries already there are left as admins edited them.
+ * @returns {Promise<number>} Number of entries inserted
+ */
+async function seedExerciseCatalogue() {
+  const result = await Exercise.bulkWrite(
+    DEFAULT_EXERCISES.map(exercise => ({
+      updateOne: {
+        filter: { key: exercise.key },
+        update: {
+          $setOnInsert: {
+            ...exercise,
+            searchTerms: exerciseSearchTerms(exercise.name, exercise.aliases),
+          },
+        },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+
+  if (result.upsertedCount > 0) {
+    logger.info('Seeded exercise catalogue', { count: result.upsertedCount });
+  }
+  return result.upsertedCount;
+}
+
+module.exports = {
+  EXERCISE_NAME_COLLATION,
+  searchExercises,
+  findExercisesByNames,
+  linkExercises,
+  suggestExercises,
+  unmatchedExerciseNames,
+  mergeExerciseNames,
+  seedExerciseCatalogue,
+};
@@ -0,0 +1,10 @@
+const issue = require('./invoices/issue');
+const render = require('./invoices/render');
+
+module.exports = {
+  issueInvoice: issue.issueInvoice,
+  issueAndSendInvoice: issue.issueAndSendInvoice,
+  getInvoicesForUser: issue.getInvoicesForUser,
+  renderInvoiceHtml: render.renderInvoiceHtml,
+  renderInvoicePdf: render.renderInvoicePdf,
+};
@@ -0,0 +1,167 @@
+const Invoice = require('../../models/Invoice');
+const Counter = require('../../models/Counter');
+const User = require('../../models/User');
+const {
+  INVOICE_SELLER,
+  INVOICE_TAX,
+  INVOICE_NUMBER_PREFIX,
+} = require('../../config/subscriptionConstants');
+const { logger } = require('../logger');
+const { sendPaymentReceived } = require('../email');
+const { getPlan } = require('../plans');
+
+const { renderInvoicePdf, renderInvoiceText, formatMoney } = require('./render');
+
+const round2 = n => Math.round(n * 100) / 100;
+
+/**
+ * Next invoice number for the year of `date`, e.g. JEF-2026-000042.
+ * @param {Date} [date]
+ * @returns {Promise<string>}
+ */
+async function nextInvoiceNumber(date = new Date()) {
+  const year = date.getUTCFullYear();
+  const seq = await Counter.next(`invoice-${year}`);
+  return `${INVOICE_NUMBER_PREFIX}-${year}-${String(seq).padStart(6, '0')}`;
+}
+
+/**
+ * Tax contained in a tax-inclusive total.
+ * @param {number} total
+ * @param {number} rate - Percent
+ * @returns {number}
+ */
+function includedTax(total, rate) {
+  if (!rate) return 0;
+  return round2(total - total / (1 + rate / 100));
+}
+
+/**
+ * Issue the invoice for a purchase ledger entry, once.
+ * Calling again for the same entry returns the existing invoice.
+ * @param {Object} entry - SubscriptionLedger purchase entry
+ * @returns {Promise<Object>} Invoice document
+ */
+async function issueInvoice(entry) {
+  const existing = await Invoice.findOne({ ledgerEntryId: entry._id });
+  if (existing) return existing;
+
+  const [user, plan] = await Promise.all([
+    User.findById(entry.userId).select('firstName lastName email').lean(),
+    entry.plan ? getPlan(entry.plan, { includeInactive: true }) : null,
+  ]);
+
+  const issuedAt = new Date();
+  const discount = entry.discountAmount || 0;
+
+  try {
+    return await Invoice.create({
+      number: await nextInvoiceNumber(issuedAt),
+      userId: entry.userId,
+      subscriptionId: entry.subscriptionId,
+      ledgerEntryId: entry._id,
+      issuedAt,
+      paidAt: entry.createdAt || issuedAt,
+      seller: INVOICE_SELLER,
+      billTo: {
+        name: [user?.firstName, user?.lastName].filter(Boolean).join(' ') || null,
+        email: user?.email || null,
+      },
+      plan: entry.plan,
+      description: `${plan?.name || entry.plan || 'Membership'} membership`,
+      periodStart: entry.periodStart,
+      periodEnd: entry.periodEnd,
+      subtotal: round2(entry.amount + discount),
+      discount,
+      couponCode: entry.couponCode,
+      taxLabel: INVOICE_TAX.label,
+      taxRate: INVOICE_TAX.rate,
+      taxAmount: includedTax(entry.amount, INVOICE_TAX.rate),
+      total: entry.amount,
+      currency: entry.currency,
+      provider: entry.provider,
+      providerTransactionId: entry.providerTransactionId,
+    });
+  } catch (err) {
+    // Issued concurrently for the same purchase
+    if (err.code === 11000) {
+      const invoice = await Invoice.findOne({ ledgerEntryId: entry._id });
+      if (invoice) return invoice;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Issue the invoice for a purchase and email it to the member as a PDF.
+ * Never throws: a failure here must not undo a payment that has already been
+ * applied, so it is logged and the invoice can be downloaded later.
+ * @param {Object|null} entry - Purchase ledger entry (null when recording failed)
+ * @returns {Promise<Object|null>} The invoice, or null on failure
+ */
+async function issueAndSendInvoice(entry) {
+  if (!entry) return null;
+
+  let invoice;
+  try {
+    invoice = await issueInvoice(entry);
+  } catch (err) {
+    logger.error('Failed to issue invoice', {
+      ledgerEntryId: entry._id?.toString(),
+      error: err.message,
+    });
+    return null;
+  }
+
+  try {
+    if (invoice.billTo?.email) {
+      await sendPaymentReceived(invoice.billTo.email, invoice.billTo.name || 'there', {
+        invoiceNumber: invoice.number,
+        amount: formatMoney(invoice.total, invoice.currency),
+        description: invoice.description,
+        summary: renderInvoiceText(invoice),
+        pdf: renderInvoicePdf(invoice),
+      });
+    }
+  } catch (err) {
+    logger.error('Failed to send payment receipt', {
+      invoiceNumber: invoice.number,
+      error: err.message,
+    });
+  }
+
+  return invoice;
+}
+
+/**
+ * Fetch a page of a member's invoices, newest first.
+ * @param {string} userId
+ * @param {Object} [opts]
+ * @param {number} [opts.page=1]
+ * @param {number} [opts.limit=20]
+ * @returns {Promise<{invoices: Object[], pagination: Object}>}
+ */
+async function getInvoicesForUser(userId, { page = 1, limit = 20 } = {}) {
+  const [invoices, total] = await Promise.all([
+    Invoice.find({ userId })
+      .sort({ issuedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('-__v')
+      .lean(),
+    Invoice.countDocuments({ userId }),
+  ]);
+
+  return {
+    invoices,
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+  };
+}
+
+module.exports = {
+  nextInvoiceNumber,
+  includedTax,
+  issueInvoice,
+  issueAndSendInvoice,
+  getInvoicesForUser,
+};
@@ -0,0 +1,128 @@
+/**
+ * Minimal single-page PDF writer for plain text documents such as invoices.
+ * Only the standard Helvetica fonts are used; every PDF reader ships them, so
+ * no font files are embedded. Text is WinAnsi-encoded and characters outside
+ * Latin-1 print as '?'.
+ *
+ * Coordinates are in points from the top-left corner of a US Letter page.
+ */
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+
+// Advance widths (1/1000 em) for ASCII 32-126, from the standard Adobe AFM files
+// prettier-ignore
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+  ],
+};
+
+// Accented Latin-1 letters are close enough to the average lower-case width
+const FALLBACK_WIDTH = 556;
+
+function toLatin1(text) {
+  return String(text ?? '').replace(/[^\x20-\xff]/g, '?');
+}
+
+/**
+ * Width of `text` in points.
+ * @param {string} text
+ * @param {number} size - Font size in points
+ * @param {boolean} [bold=false]
+ * @returns {number}
+ */
+function textWidth(text, size, bold = false) {
+  const widths = bold ? WIDTHS.bold : WIDTHS.regular;
+  let units = 0;
+  for (const char of toLatin1(text)) {
+    units += widths[char.charCodeAt(0) - 32] ?? FALLBACK_WIDTH;
+  }
+  return (units * size) / 1000;
+}
+
+function escapeText(text) {
+  return toLatin1(text).replace(/[\\()]/g, '\\$&');
+}
+
+const num = n => Number(n.toFixed(2));
+
+function drawText({ x, y, text, size = 10, bold = false, align = 'left', gray = 0 }) {
+  const left = align === 'right' ? x - textWidth(text, size, bold) : x;
+  return [
+    `${gray} g`,
+    'BT',
+    `/${bold ? 'F2' : 'F1'} ${size} Tf`,
+    `${num(left)} ${num(PAGE_HEIGHT - y)} Td`,
+    `(${escapeText(text)}) Tj`,
+    'ET',
+  ].join('\n');
+}
+
+function drawLine({ x1, y1, x2, y2, width = 0.5, gray = 0.8 }) {
+  return [
+    `${gray} G`,
+    `${width} w`,
+    `${num(x1)} ${num(PAGE_HEIGHT - y1)} m`,
+    `${num(x2)} ${num(PAGE_HEIGHT - y2)} l`,
+    'S',
+  ].join('\n');
+}
+
+/**
+ * Render one page of text and rules to a PDF.
+ * @param {Object[]} items - Drawn in order. Either
+ *   `{ text, x, y, size?, bold?, align?: 'left'|'right', gray? }` (y is the
+ *   baseline; right-aligned text ends at x) or
+ *   `{ line: true, x1, y1, x2, y2, width?, gray? }`. gray is 0 (black) to 1.
+ * @param {Object} [opts]
+ * @param {string} [opts.title] - Document title shown by PDF readers
+ * @returns {Buffer}
+ */
+function renderPdf(items, { title } = {}) {
+  const content = items
+    .map(item => (item.line ? drawLine(item) : drawText(item)))
+    .join('\n');
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      '/Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`,
+    `<< /Title (${escapeText(title || '')}) /Producer (JE Fitness) >>`,
+  ];
+
+  // Every character is a single Latin-1 byte, so string lengths are byte offsets
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\n`;
+  pdf += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+}
+
+module.exports = { renderPdf, textWidth, PAGE_WIDTH, PAGE_HEIGHT };
@@ -0,0 +1,280 @@
+const { renderPdf, PAGE_WIDTH } = require('./pdf');
+
+function formatMoney(amount, currency) {
+  const value = Math.abs(amount).toLocaleString('en-US', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+  return `${amount < 0 ? '-' : ''}${currency} ${value}`;
+}
+
+function formatDate(date) {
+  if (!date) return '';
+  return new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'UTC',
+  });
+}
+
+function escapeHtml(str) {
+  return String(str ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * What every rendering of an invoice shows, as plain strings.
+ * @param {Object} invoice - Invoice document or lean object
+ */
+function invoiceView(invoice) {
+  const { currency } = invoice;
+  const totals = [{ label: 'Subtotal', value: formatMoney(invoice.subtotal, currency) }];
+
+  if (invoice.discount > 0) {
+    totals.push({
+      label: invoice.couponCode ? `Discount (${invoice.couponCode})` : 'Discount',
+      value: formatMoney(-invoice.discount, currency),
+    });
+  }
+  totals.push({
+    label: invoice.taxRate
+      ? `${invoice.taxLabel} (${invoice.taxRate}%) included`
+      : `${invoice.taxLabel || 'Tax'}`,
+    value: formatMoney(invoice.taxAmount || 0, currency),
+  });
+  totals.push({
+    label: 'Total paid',
+    value: formatMoney(invoice.total, currency),
+    bold: true,
+  });
+
+  const { seller, billTo = {} } = invoice;
+
+  return {
+    title: `Invoice ${invoice.number}`,
+    number: invoice.number,
+    issued: formatDate(invoice.issuedAt),
+    paid: formatDate(invoice.paidAt || invoice.issuedAt),
+    seller: [
+      seller.address,
+      seller.email,
+      seller.taxId && `Tax ID: ${seller.taxId}`,
+    ].filter(Boolean),
+    sellerName: seller.name,
+    billTo: [billTo.name, billTo.email].filter(Boolean),
+    description: invoice.description,
+    period:
+      invoice.periodStart && invoice.periodEnd
+        ? `${formatDate(invoice.periodStart)} - ${formatDate(invoice.periodEnd)}`
+        : '',
+    amount: formatMoney(invoice.subtotal, currency),
+    totals,
+    reference: invoice.providerTransactionId
+      ? `Payment reference: ${invoice.providerTransactionId}`
+      : '',
+  };
+}
+
+/**
+ * Render an invoice as a standalone, printable HTML page.
+ * @param {Object} invoice
+ * @returns {string}
+ */
+function renderInvoiceHtml(invoice) {
+  const view = invoiceView(invoice);
+  const lines = items => items.map(item => `${escapeHtml(item)}<br>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(view.title)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; color: #212529; max-width: 720px; margin: 40px auto; padding: 0 24px; }
+    .inv-head { display: flex; justify-content: space-between; align-items: flex-start; }
+    .inv-muted { color: #6c757d; font-size: 14px; }
+    h1 { margin: 0 0 4px; font-size: 28px; }
+    table { width: 100%; border-collapse: collapse; margin: 32px 0 16px; }
+    th, td { text-align: left; padding: 10px 0; border-bottom: 1px solid #dee2e6; }
+    .num { text-align: right; }
+    .inv-totals td { border: none; padding: 4px 0; }
+    .inv-total td { font-weight: bold; border-top: 2px solid #212529; padding-top: 8px; }
+    .inv-paid { display: inline-block; border: 2px solid #198754; color: #198754; font-weight: bold; padding: 2px 10px; border-radius: 4px; }
+  </style>
+</head>
+<body>
+  <div class="inv-head">
+    <div>
+      <h1>${escapeHtml(view.sellerName)}</h1>
+      <div class="inv-muted">${lines(view.seller)}</div>
+    </div>
+    <div class="num">
+      <h1>INVOICE</h1>
+      <div class="inv-muted">No. ${escapeHtml(view.number)}<br>Issued ${escapeHtml(view.issued)}</div>
+      <p><span class="inv-paid">PAID ${escapeHtml(view.paid)}</span></p>
+    </div>
+  </div>
+
+  <h3>Billed to</h3>
+  <div>${lines(view.billTo)}</div>
+
+  <table>
+    <thead><tr><th>Description</th><th>Period</th><th class="num">Amount</th></tr></thead>
+    <tbody>
+      <tr>
+        <td>${escapeHtml(view.description)}</td>
+        <td>${escapeHtml(view.period)}</td>
+        <td class="num">${escapeHtml(view.amount)}</td>
+      </tr>
+    </tbody>
+  </table>
+
+  <table class="inv-totals">
+    ${view.totals
+      .map(
+        row => `<tr class="${row.bold ? 'inv-total' : ''}">
+      <td>${escapeHtml(row.label)}</td><td class="num">${escapeHtml(row.value)}</td>
+    </tr>`
+      )
+      .join('\n    ')}
+  </table>
+
+  <p class="inv-muted">${escapeHtml(view.reference)}</p>
+  <p class="inv-muted">Thank you for training with ${escapeHtml(view.sellerName)}.</p>
+</body>
+</html>`;
+}
+
+/**
+ * Render an invoice as plain text (email bodies).
+ * @param {Object} invoice
+ * @returns {string}
+ */
+function renderInvoiceText(invoice) {
+  const view = invoiceView(invoice);
+  return [
+    `Invoice ${view.number} - issued ${view.issued}`,
+    '',
+    `${view.description}${view.period ? ` (${view.period})` : ''}`,
+    ...view.totals.map(row => `${row.label}: ${row.value}`),
+    ...(view.reference ? ['', view.reference] : []),
+  ].join('\n');
+}
+
+/**
+ * Render an invoice as a one-page PDF.
+ * @param {Object} invoice
+ * @returns {Buffer}
+ */
+function renderInvoicePdf(invoice) {
+  const view = invoiceView(invoice);
+  const left = 56;
+  const right = PAGE_WIDTH - 56;
+  const items = [];
+  let y = 80;
+
+  items.push({ text: view.sellerName, x: left, y, size: 18, bold: true });
+  items.push({ text: 'INVOICE', x: right, y, size: 18, bold: true, align: 'right' });
+  view.seller.forEach((line, i) => {
+    items.push({ text: line, x: left, y: y + 18 + i * 14, size: 9, gray: 0.4 });
+  });
+  items.push({
+    text: `No. ${view.number}`,
+    x: right,
+    y: y + 18,
+    size: 10,
+    align: 'right',
+  });
+  items.push({
+    text: `Issued ${view.issued}`,
+    x: right,
+    y: y + 32,
+    size: 9,
+    align: 'right',
+    gray: 0.4,
+  });
+  items.push({
+    text: `PAID ${view.paid}`,
+    x: right,
+    y: y + 50,
+    size: 10,
+    bold: true,
+    align: 'right',
+  });
+
+  y = Math.max(y + 90, y + 32 + view.seller.length * 14);
+  items.push({ text: 'Billed to', x: left, y, size: 10, bold: true });
+  view.billTo.forEach((line, i) => {
+    items.push({ text: line, x: left, y: y + 16 + i * 14, size: 10 });
+  });
+
+  y += 70;
+  items.push({ text: 'Description', x: left, y, size: 9, bold: true, gray: 0.4 });
+  items.push({ text: 'Period', x: 290, y, size: 9, bold: true, gray: 0.4 });
+  items.push({
+    text: 'Amount',
+    x: right,
+    y,
+    size: 9,
+    bold: true,
+    gray: 0.4,
+    align: 'right',
+  });
+  items.push({ line: true, x1: left, y1: y + 8, x2: right, y2: y + 8 });
+
+  y += 26;
+  items.push({ text: view.description, x: left, y, size: 10 });
+  items.push({ text: view.period, x: 290, y, size: 9 });
+  items.push({ text: view.amount, x: right, y, size: 10, align: 'right' });
+  items.push({ line: true, x1: left, y1: y + 10, x2: right, y2: y + 10 });
+
+  y += 32;
+  view.totals.forEach(row => {
+    if (row.bold) {
+      items.push({
+        line: true,
+        x1: 340,
+        y1: y - 12,
+        x2: right,
+        y2: y - 12,
+        width: 1,
+        gray: 0,
+      });
+    }
+    items.push({ text: row.label, x: 340, y, size: 10, bold: row.bold });
+    items.push({
+      text: row.value,
+      x: right,
+      y,
+      size: 10,
+      bold: row.bold,
+      align: 'right',
+    });
+    y += 18;
+  });
+
+  y += 30;
+  if (view.reference) {
+    items.push({ text: view.reference, x: left, y, size: 9, gray: 0.4 });
+  }
+  items.push({
+    text: `Thank you for training with ${view.sellerName}.`,
+    x: left,
+    y: y + 14,
+    size: 9,
+    gray: 0.4,
+  });
+
+  return renderPdf(items, { title: view.title });
+}
+
+module.exports = {
+  formatMoney,
+  renderInvoiceHtml,
+  renderInvoiceText,
+  renderInvoicePdf,
+};
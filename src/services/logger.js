@@ -194,6 +194,14 @@ class Logger {
           : 'unknown date';
         return `User booked appointment${details.appointmentId ? ` #${details.appointmentId}` : ''} on ${dateStr} at ${details.time || 'unknown time'}`;
       },
+      book_appointment_series: () =>
+        `User booked ${details.appointmentIds?.length ?? 0} ${details.frequency || 'recurring'} appointment(s) at ${details.time || 'unknown time'}${details.conflicts ? ` (${details.conflicts} date(s) unavailable)` : ''}`,
+      join_waitlist: () =>
+        `User joined the waitlist for ${details.time || 'unknown time'}${details.position ? ` (position ${details.position})` : ''}`,
+      leave_waitlist: () =>
+        `User ${details.wasOffered ? 'declined a waitlist offer' : 'left the waitlist'}`,
+      confirm_appointment: () =>
+        `User confirmed appointment${details.appointmentId ? ` #${details.appointmentId}` : ''}`,
       cancel_appointment: () =>
         `User cancelled appointment${details.appointmentId ? ` #${details.appointmentId}` : ''}`,
       delete_appointment: () =>
@@ -202,6 +210,10 @@ class Logger {
         `Admin viewed all appointments${details.resultCount != null ? ` (${details.resultCount} results)` : ''}`,
       update_appointment: () =>
         `Admin updated appointment${details.appointmentId ? ` #${details.appointmentId}` : ''}`,
+      update_appointment_series: () =>
+        `Admin updated ${details.appointmentIds?.length ?? 0} appointment(s) in series #${details.seriesId}`,
+      delete_appointment_series: () =>
+        `User deleted ${details.appointmentIds?.length ?? 0} appointment(s) in series #${details.seriesId}`,
       data_processing_consent_granted: () => 'User granted data processing consent',
       health_data_consent_granted: () =>
         `User granted health data consent${details.purpose ? ` for: ${details.purpose}` : ''}`,
@@ -225,6 +237,11 @@ class Logger {
       gdpr_data_deletion: () =>
         `User requested account deletion${details.reason ? ` (reason: ${details.reason})` : ''}`,
       email_verified: () => 'User verified email address',
+      rotate_calendar_feed: () => 'User replaced their calendar feed link',
+      program_created: () =>
+        `Trainer created program${details.programName ? ` "${details.programName}"` : ''}`,
+      program_assigned: () =>
+        `Trainer assigned ${details.programName ? `"${details.programName}"` : 'a program'} to ${details.clientName || 'a client'}`,
     };
     const builder = messages[action];
     return builder ? builder() : action.replace(/_/g, ' ');
@@ -0,0 +1,45 @@
+/**
+ * Members' workout and meal logs as other people see them.
+ * Trainers and admins viewing a client profile get the most recent logs and
+ * the total counts, rather than every log the client has written. Logs are
+ * removed along with their owner when an account is hard-deleted.
+ */
+
+const MealLog = require('../models/MealLog');
+const WorkoutLog = require('../models/WorkoutLog');
+
+// How many of each kind of log a client profile shows
+const PROFILE_LOG_LIMIT = 50;
+
+/**
+ * A member's most recent workout and meal logs, newest first, with totals.
+ * @param {string} userId
+ * @param {number} [limit]
+ * @returns {Promise<{ workoutLogs: Object[], mealLogs: Object[], workoutLogCount: number, mealLogCount: number }>}
+ */
+async function getRecentLogs(userId, limit = PROFILE_LOG_LIMIT) {
+  const filter = { userId, deletedAt: null };
+  const [workoutLogs, mealLogs, workoutLogCount, mealLogCount] = await Promise.all([
+    WorkoutLog.find(filter).sort({ date: -1 }).limit(limit).lean(),
+    MealLog.find(filter).sort({ date: -1 }).limit(limit).lean(),
+    WorkoutLog.countDocuments(filter),
+    MealLog.countDocuments(filter),
+  ]);
+  return { workoutLogs, mealLogs, workoutLogCount, mealLogCount };
+}
+
+/**
+ * Remove every log belonging to a member, or to each of several members.
+ * @param {string|string[]} userIds
+ * @returns {Promise<void>}
+ */
+async function deleteMemberLogs(userIds) {
+  const filter = { userId: Array.isArray(userIds) ? { $in: userIds } : userIds };
+  await Promise.all([WorkoutLog.deleteMany(filter), MealLog.deleteMany(filter)]);
+}
+
+module.exports = {
+  PROFILE_LOG_LIMIT,
+  getRecentLogs,
+  deleteMemberLogs,
+};
@@ -0,0 +1,276 @@
+const crypto = require('crypto');
+
+const { PAYPAL_CURRENCIES } = require('../../config/subscriptionConstants');
+
+/**
+ * In-process fake payment provider for tests and local development
+ * (PAYMENT_PROVIDER=fake). Implements the interface in ./index.js against an
+ * in-memory store; nothing leaves the process.
+ *
+ * IDs are sequential within an instance (FAKE-ORDER-<prefix>1, ...). Orders
+ * are approved as soon as they are created unless `autoApprove` is off, so a
+ * checkout can be verified immediately. Webhooks are signed with an HMAC of
+ * the body and use PayPal's event format; buildWebhookEvent() produces them.
+ */
+
+const DEFAULT_WEBHOOK_SECRET = 'fake-webhook-secret';
+const SIGNATURE_HEADER = 'fake-signature';
+
+const round2 = n => Math.round(n * 100) / 100;
+
+/**
+ * @param {Object} [opts]
+ * @param {string} [opts.idPrefix] - Defaults to a per-process value so IDs
+ *   stay unique across dev server restarts; pass '' for fully predictable IDs
+ * @param {boolean} [opts.autoApprove=true] - Approve orders on creation
+ * @param {string[]} [opts.currencies] - Currencies it can charge in; PayPal's
+ *   by default so local checkouts fail the same way
+ * @param {string} [opts.returnUrl] - Page the approval link returns to
+ * @param {string} [opts.webhookSecret]
+ */
+function createFakeProvider({
+  idPrefix = `${Date.now().toString(36).toUpperCase()}-`,
+  autoApprove = true,
+  currencies = PAYPAL_CURRENCIES,
+  returnUrl = '/pages/subscriptions.html',
+  webhookSecret = process.env.FAKE_PAYMENT_WEBHOOK_SECRET || DEFAULT_WEBHOOK_SECRET,
+} = {}) {
+  let sequence = 0;
+  const orders = new Map();
+  const captures = new Map();
+  const refunds = new Map();
+  const failures = new Map();
+
+  const nextId = kind => `FAKE-${kind}-${idPrefix}${++sequence}`;
+
+  // Reject with the error queued by failNext(), if any
+  function takeFailure(method) {
+    const error = failures.get(method);
+    if (error) {
+      failures.delete(method);
+      throw error;
+    }
+  }
+
+  function findOrder(orderId) {
+    const order = orders.get(orderId);
+    if (!order) {
+      const error = new Error(`Order ${orderId} not found`);
+      error.statusCode = 404;
+      throw error;
+    }
+    return order;
+  }
+
+  function findCapture(captureId) {
+    const capture = captures.get(captureId);
+    if (!capture) {
+      const error = new Error(`Capture ${captureId} not found`);
+      error.statusCode = 404;
+      throw error;
+    }
+    return capture;
+  }
+
+  function sign(body) {
+    return crypto
+      .createHmac('sha256', webhookSecret)
+      .update(JSON.stringify(body))
+      .digest('hex');
+  }
+
+  // Same format as PayPal orders (services/paypal/checkout buildCustomId)
+  function customId({ userId, planKey, couponCode, expectedAmount, expectedCurrency }) {
+    return [
+      userId,
+      planKey,
+      couponCode || '',
+      expectedAmount.toFixed(2),
+      expectedCurrency,
+    ].join(':');
+  }
+
+  return {
+    name: 'fake',
+
+    currencies,
+
+    isConfigured() {
+      return true;
+    },
+
+    async createCheckout({ planKey, planData, userId, couponCode }) {
+      takeFailure('createCheckout');
+
+      const currency = planData.currency || 'USD';
+      if (!currencies.includes(currency)) {
+        throw new Error(`Fake provider cannot charge in ${currency}`);
+      }
+
+      const order = {
+        id: nextId('ORDER'),
+        status: autoApprove ? 'approved' : 'created',
+        userId: String(userId),
+        planKey,
+        couponCode: couponCode || null,
+        captureId: null,
+        amount: round2(planData.price),
+        currency,
+        expectedAmount: round2(planData.price),
+        expectedCurrency: currency,
+      };
+      orders.set(order.id, order);
+
+      return {
+        orderId: order.id,
+        approvalLink: `${returnUrl}?success=true&token=${encodeURIComponent(order.id)}`,
+        status: order.status,
+      };
+    },
+
+    async getOrder(orderId) {
+      takeFailure('getOrder');
+      return { ...findOrder(orderId) };
+    },
+
+    async capture(orderId) {
+      takeFailure('capture');
+
+      const order = findOrder(orderId);
+      if (order.status !== 'approved') {
+        const error = new Error(
+          `Order ${orderId} is ${order.status} and cannot be captured`
+        );
+        error.statusCode = 422;
+        throw error;
+      }
+
+      const capture = {
+        id: nextId('CAPTURE'),
+        orderId,
+        amount: order.amount,
+        currency: order.currency,
+        refunded: 0,
+      };
+      captures.set(capture.id, capture);
+      order.status = 'completed';
+      order.captureId = capture.id;
+
+      return { ...order };
+    },
+
+    async refund(captureId, { amount, currency, note } = {}) {
+      takeFailure('refund');
+
+      const capture = findCapture(captureId);
+      const remaining = round2(capture.amount - capture.refunded);
+      const value = amount === undefined ? remaining : round2(amount);
+
+      if (currency && currency !== capture.currency) {
+        throw new Error(`Refund currency ${currency} does not match ${capture.currency}`);
+      }
+      if (value <= 0 || value > remaining) {
+        throw new Error(`Refund of ${value} exceeds the remaining ${remaining}`);
+      }
+
+      capture.refunded = round2(capture.refunded + value);
+      const refund = {
+        id: nextId('REFUND'),
+        status: 'completed',
+        captureId,
+        amount: value,
+        currency: capture.currency,
+        note: note || null,
+      };
+      refunds.set(refund.id, refund);
+
+      return { id: refund.id, status: refund.status };
+    },
+
+    async verifyWebhook(headers, body) {
+      const signature = headers?.[SIGNATURE_HEADER];
+      if (typeof signature !== 'string') return false;
+
+      const expected = Buffer.from(sign(body));
+      const given = Buffer.from(signature);
+      return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+    },
+
+    // ── Test and dev helpers (not part of the provider interface) ──────────────
+
+    /** Approve an order created with autoApprove off. */
+    approveOrder(orderId) {
+      const order = findOrder(orderId);
+      if (order.status === 'created') order.status = 'approved';
+      return { ...order };
+    },
+
+    /**
+     * Make the next call to `method` reject with `error`.
+     * @param {string} method - createCheckout | getOrder | capture | refund
+     * @param {Error} [error]
+     */
+    failNext(method, error = new Error(`Fake ${method} failure`)) {
+      failures.set(method, error);
+    },
+
+    /**
+     * A signed webhook delivery for a capture or refund, in PayPal's format.
+     * @param {string} eventType - PAYMENT.CAPTURE.COMPLETED | .DENIED | .REFUNDED
+     * @param {string} resourceId - Capture ID, or refund ID for REFUNDED
+     * @returns {{ headers: Object, body: Object }}
+     */
+    buildWebhookEvent(eventType, resourceId) {
+      let resource;
+
+      if (eventType === 'PAYMENT.CAPTURE.REFUNDED') {
+        const refund = refunds.get(resourceId);
+        if (!refund) throw new Error(`Refund ${resourceId} not found`);
+        const capture = findCapture(refund.captureId);
+        resource = {
+          id: refund.id,
+          status: 'COMPLETED',
+          amount: { value: refund.amount.toFixed(2), currency_code: refund.currency },
+          custom_id: customId(findOrder(capture.orderId)),
+          links: [
+            {
+              rel: 'up',
+              href: `https://fake.local/v2/payments/captures/${capture.id}`,
+            },
+          ],
+        };
+      } else {
+        const capture = findCapture(resourceId);
+        const order = findOrder(capture.orderId);
+        resource = {
+          id: capture.id,
+          status: eventType === 'PAYMENT.CAPTURE.DENIED' ? 'DECLINED' : 'COMPLETED',
+          amount: { value: capture.amount.toFixed(2), currency_code: capture.currency },
+          custom_id: customId(order),
+          supplementary_data: { related_ids: { order_id: order.id } },
+        };
+      }
+
+      const body = {
+        id: nextId('EVENT'),
+        event_type: eventType,
+        resource_type: eventType === 'PAYMENT.CAPTURE.REFUNDED' ? 'refund' : 'capture',
+        create_time: new Date().toISOString(),
+        resource,
+      };
+
+      return { headers: { [SIGNATURE_HEADER]: sign(body) }, body };
+    },
+
+    /** Forget all orders, captures and refunds. */
+    reset() {
+      sequence = 0;
+      orders.clear();
+      captures.clear();
+      refunds.clear();
+      failures.clear();
+    },
+  };
+}
+
+module.exports = { createFakeProvider, SIGNATURE_HEADER };
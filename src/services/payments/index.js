@@ -0,0 +1,71 @@
+/**
+ * Payment provider selection.
+ *
+ * Checkout, payment verification, refunds and the webhook route talk to the
+ * active provider through this interface rather than to an SDK directly:
+ *
+ *   name                                   - Stored on ledger entries and webhook events
+ *   currencies                             - ISO codes the provider can charge in
+ *   isConfigured()                         - Whether credentials are present
+ *   createCheckout({ planKey, planData, userId, couponCode })
+ *                                          - { orderId, approvalLink, status }
+ *   getOrder(orderId)                      - PaymentOrder
+ *   capture(orderId)                       - PaymentOrder after capture
+ *   refund(captureId, { amount, currency, note })
+ *                                          - { id, status }
+ *   verifyWebhook(headers, body)           - Promise<boolean>
+ *
+ * Webhook bodies use PayPal's event format for every provider, so the same
+ * handlers in services/paypalWebhooks apply them.
+ *
+ * PAYMENT_PROVIDER selects the implementation: 'paypal' (default) or 'fake',
+ * an in-process provider for tests and local development.
+ *
+ * @typedef {Object} PaymentOrder
+ * @property {string} id
+ * @property {string} status - Lower-case order status ('created', 'approved', 'completed', ...)
+ * @property {string|null} userId - From the order's custom_id
+ * @property {string|null} planKey
+ * @property {string|null} couponCode
+ * @property {string|null} captureId - Set once the order is captured
+ * @property {number} amount - Captured amount, or the order amount before capture
+ * @property {string} currency
+ * @property {number|null} expectedAmount - What checkout priced the order at;
+ *   null for orders created before it was recorded
+ * @property {string|null} expectedCurrency
+ */
+
+const PROVIDERS = {
+  paypal: () => require('./paypal'),
+  fake: () => require('./fake').createFakeProvider(),
+};
+
+let activeProvider = null;
+
+/**
+ * The provider selected by PAYMENT_PROVIDER, created on first use.
+ * @returns {Object}
+ */
+function getPaymentProvider() {
+  if (!activeProvider) {
+    const name = process.env.PAYMENT_PROVIDER || 'paypal';
+    if (!PROVIDERS[name]) {
+      throw new Error(`Unknown PAYMENT_PROVIDER: ${name}`);
+    }
+    if (name === 'fake' && process.env.NODE_ENV === 'production') {
+      throw new Error('The fake payment provider cannot be used in production');
+    }
+    activeProvider = PROVIDERS[name]();
+  }
+  return activeProvider;
+}
+
+/**
+ * Replace the active provider (tests), or pass null to re-read PAYMENT_PROVIDER.
+ * @param {Object|null} provider
+ */
+function setPaymentProvider(provider) {
+  activeProvider = provider;
+}
+
+module.exports = { getPaymentProvider, setPaymentProvider };
@@ -0,0 +1,68 @@
+const paypalService = require('../paypal');
+const { AppError } = require('../../middleware/errorHandler');
+const { PAYPAL_CURRENCIES } = require('../../config/subscriptionConstants');
+
+/**
+ * PayPal implementation of the payment provider interface (see ./index.js).
+ * Thin adapter over services/paypal that flattens PayPal orders into
+ * PaymentOrder objects.
+ */
+
+function toPaymentOrder(result) {
+  const unit = result.purchase_units?.[0];
+  const capture = unit?.payments?.captures?.[0];
+  const amount = capture?.amount || unit?.amount;
+  const { userId, planKey, couponCode, expectedAmount, expectedCurrency } =
+    paypalService.parseCustomId(unit?.custom_id);
+
+  return {
+    id: result.id,
+    status: (result.status || '').toLowerCase(),
+    userId,
+    planKey,
+    couponCode,
+    captureId: capture?.id || null,
+    amount: parseFloat(amount?.value || 0),
+    currency: amount?.currency_code || 'USD',
+    expectedAmount,
+    expectedCurrency,
+  };
+}
+
+module.exports = {
+  name: 'paypal',
+
+  currencies: PAYPAL_CURRENCIES,
+
+  isConfigured() {
+    return !!paypalService.getPaypalClient();
+  },
+
+  async createCheckout({ planKey, planData, userId, couponCode }) {
+    if (!PAYPAL_CURRENCIES.includes(planData.currency)) {
+      throw new Error(`PayPal cannot charge in ${planData.currency}`);
+    }
+    return paypalService.createPaymentLink(planKey, planData, userId, { couponCode });
+  },
+
+  async getOrder(orderId) {
+    return toPaymentOrder(await paypalService.getOrderDetails(orderId));
+  },
+
+  async capture(orderId) {
+    return toPaymentOrder(await paypalService.capturePayment(orderId));
+  },
+
+  async refund(captureId, opts) {
+    const result = await paypalService.refundCapture(captureId, opts);
+    return { id: result.id, status: (result.status || '').toLowerCase() };
+  },
+
+  verifyWebhook(headers, body) {
+    const webhookId = process.env.PAYPAL_WEBHOOK_ID;
+    if (!webhookId) {
+      throw new AppError('Webhook secret not configured', 500);
+    }
+    return paypalService.verifyWebhookSignature(headers, body, webhookId);
+  },
+};
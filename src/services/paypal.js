@@ -4,7 +4,10 @@ const checkout = require('./paypal/checkout');
 module.exports = {
   getPaypalClient,
   verifyWebhookSignature,
+  buildCustomId: checkout.buildCustomId,
+  parseCustomId: checkout.parseCustomId,
   createPaymentLink: checkout.createPaymentLink,
   capturePayment: checkout.capturePayment,
   getOrderDetails: checkout.getOrderDetails,
+  refundCapture: checkout.refundCapture,
 };
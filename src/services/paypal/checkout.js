@@ -3,6 +3,7 @@ const { logger } = require('../logger');
 
 const checkoutNodeJssdk = require('@paypal/checkout-server-sdk');
 const { OrdersCreateRequest, OrdersCaptureRequest, OrdersGetRequest } = checkoutNodeJssdk.orders;
+const { CapturesRefundRequest } = checkoutNodeJssdk.payments;
 
 const PAYPAL_TIMEOUT_MS = 10000;
 
@@ -15,7 +16,33 @@ function withTimeout(promise, ms) {
   ]);
 }
 
-async function createPaymentLink(planKey, planData, userId) {
+/**
+ * Purchase unit custom_id: "userId:planKey:couponCode:amount:currency".
+ * The amount and currency the order was priced at are kept so payments can be
+ * checked against checkout rather than the plan as it is when they arrive.
+ * The coupon field is empty when none was applied.
+ * @param {Object} order
+ * @param {string} order.userId
+ * @param {string} order.planKey
+ * @param {string} [order.couponCode]
+ * @param {number} order.amount
+ * @param {string} order.currency
+ * @returns {string}
+ */
+function buildCustomId({ userId, planKey, couponCode, amount, currency }) {
+  const fields = [userId, planKey, couponCode || '', Number(amount).toFixed(2), currency];
+  return fields.join(':');
+}
+
+/**
+ * Create a PayPal order for a plan.
+ * @param {string} planKey
+ * @param {Object} planData - Plan config; `price` is the amount actually charged
+ * @param {string} userId
+ * @param {Object} [opts]
+ * @param {string} [opts.couponCode] - Validated coupon, carried in custom_id
+ */
+async function createPaymentLink(planKey, planData, userId, { couponCode } = {}) {
   try {
     const client = getPaypalClient();
     if (!client) {
@@ -32,8 +59,14 @@ async function createPaymentLink(planKey, planData, userId) {
             currency_code: planData.currency,
             value: String(planData.price),
           },
-          description: `${planKey} Subscription - ${planData.durationDays} days`,
-          custom_id: `${userId}:${planKey}`,
+          description: `${planData.name || planKey} Subscription - ${planData.durationDays} days`,
+          custom_id: buildCustomId({
+            userId,
+            planKey,
+            couponCode,
+            amount: planData.price,
+            currency: planData.currency,
+          }),
         },
       ],
       application_context: {
@@ -68,6 +101,34 @@ async function createPaymentLink(planKey, planData, userId) {
   }
 }
 
+/**
+ * Split a purchase unit custom_id (see buildCustomId). Orders created before
+ * the checkout price was recorded ("userId:planKey[:couponCode]") have no
+ * expected amount or currency.
+ * @param {string} customId
+ * @returns {{ userId: string|null, planKey: string|null, couponCode: string|null,
+ *   expectedAmount: number|null, expectedCurrency: string|null }}
+ */
+function parseCustomId(customId) {
+  if (!customId) {
+    return {
+      userId: null,
+      planKey: null,
+      couponCode: null,
+      expectedAmount: null,
+      expectedCurrency: null,
+    };
+  }
+  const [userId, planKey = null, couponCode, amount, currency] = customId.split(':');
+  return {
+    userId,
+    planKey,
+    couponCode: couponCode || null,
+    expectedAmount: amount ? parseFloat(amount) : null,
+    expectedCurrency: currency || null,
+  };
+}
+
 async function capturePayment(orderId) {
   try {
     const client = getPaypalClient();
@@ -115,8 +176,54 @@ async function getOrderDetails(orderId) {
   }
 }
 
+/**
+ * Refund all or part of a capture.
+ * @param {string} captureId
+ * @param {Object} [opts]
+ * @param {number} [opts.amount] - Amount to return; omit to refund the remaining balance
+ * @param {string} [opts.currency] - Required with `amount`
+ * @param {string} [opts.note] - Shown to the payer
+ * @returns {Promise<Object>} PayPal refund (`id`, `status`, `amount`)
+ */
+async function refundCapture(captureId, { amount, currency, note } = {}) {
+  try {
+    const client = getPaypalClient();
+    if (!client) {
+      throw new Error('PayPal not initialized');
+    }
+
+    const request = new CapturesRefundRequest(captureId);
+    request.prefer('return=representation');
+    request.requestBody({
+      ...(amount !== undefined && {
+        amount: { value: amount.toFixed(2), currency_code: currency },
+      }),
+      ...(note && { note_to_payer: note.slice(0, 255) }),
+    });
+
+    const response = await withTimeout(client.execute(request), PAYPAL_TIMEOUT_MS);
+
+    logger.debug('PayPal capture refunded', {
+      captureId,
+      refundId: response.result.id,
+      status: response.result.status,
+    });
+
+    return response.result;
+  } catch (error) {
+    logger.error('PayPal refund failed', {
+      captureId,
+      error: error.message,
+    });
+    throw error;
+  }
+}
+
 module.exports = {
+  buildCustomId,
+  parseCustomId,
   createPaymentLink,
   capturePayment,
   getOrderDetails,
+  refundCapture,
 };
@@ -0,0 +1,172 @@
+const Subscription = require('../models/Subscription');
+
+const { logger } = require('./logger');
+const paypalService = require('./paypal');
+const { canTransition, transitionSubscription } = require('./subscriptionLifecycle');
+const { applyPaidRenewal } = require('./subscriptionRenewal');
+const { applyRefund } = require('./subscriptionRefunds');
+
+async function handleCaptureCompleted(capture, provider) {
+  logger.info('PayPal capture completed', { captureId: capture.id });
+
+  const { userId, planKey, couponCode, expectedAmount, expectedCurrency } =
+    paypalService.parseCustomId(capture.custom_id);
+
+  if (!userId) {
+    logger.warn('Capture has no userId in custom_id', { captureId: capture.id });
+    return;
+  }
+
+  // Keyed on the order ID so the verify-payment call for the same order is a no-op
+  const orderId = capture.supplementary_data?.related_ids?.order_id || capture.id;
+  const amount = parseFloat(capture.amount?.value || 0);
+  const currency = capture.amount?.currency_code || 'USD';
+
+  // The money is already taken: a mismatch with the checkout price is credited
+  // and flagged for review rather than failing the event
+  const { subscription, applied } = await applyPaidRenewal({
+    userId,
+    orderId,
+    captureId: capture.id,
+    planKey,
+    amount,
+    currency,
+    expectedAmount,
+    expectedCurrency,
+    couponCode,
+    provider,
+    reason: 'capture_completed',
+  });
+
+  if (!applied) {
+    logger.info('Capture already applied to subscription', {
+      subscriptionId: subscription._id,
+      captureId: capture.id,
+      orderId,
+    });
+    return;
+  }
+
+  logger.info('Subscription activated via webhook', {
+    subscriptionId: subscription._id,
+    captureId: capture.id,
+    orderId,
+    userId,
+    planKey,
+  });
+}
+
+// The refunded capture is only linked from the refund resource, not embedded
+function getRefundedCaptureId(refund) {
+  const up = refund.links?.find(link => link.rel === 'up');
+  return up?.href?.split('/captures/')[1]?.split(/[/?]/)[0] || null;
+}
+
+// Resource is the refund; the membership is shortened rather than ended outright
+async function handleCaptureRefunded(refund, provider) {
+  logger.info('PayPal capture refunded', { refundId: refund.id });
+
+  const { userId } = paypalService.parseCustomId(refund.custom_id);
+
+  if (!userId) {
+    logger.warn('Refund has no userId in custom_id', { refundId: refund.id });
+    return;
+  }
+
+  const { subscription, applied, daysRemoved, accessRevoked } = await applyRefund({
+    userId,
+    refundId: refund.id,
+    captureId: getRefundedCaptureId(refund),
+    amount: parseFloat(refund.amount?.value || 0),
+    currency: refund.amount?.currency_code,
+    provider,
+    reason: 'capture_refunded',
+  });
+
+  if (!subscription) {
+    logger.warn('Subscription not found for refund', { userId, refundId: refund.id });
+    return;
+  }
+
+  if (!applied) {
+    logger.info('Refund already applied to subscription', {
+      subscriptionId: subscription._id,
+      refundId: refund.id,
+    });
+    return;
+  }
+
+  logger.info('Subscription adjusted for refund via webhook', {
+    subscriptionId: subscription._id,
+    refundId: refund.id,
+    daysRemoved,
+    accessRevoked,
+    userId,
+  });
+}
+
+// PAYMENT.CAPTURE.DENIED: access is suspended until the member pays again
+async function handleCaptureDenied(capture) {
+  logger.info('PayPal capture denied', { captureId: capture.id });
+
+  const { userId } = paypalService.parseCustomId(capture.custom_id);
+
+  if (!userId) {
+    logger.warn('Capture has no userId in custom_id', { captureId: capture.id });
+    return;
+  }
+
+  const subscription = await Subscription.findOne({ userId });
+
+  if (!subscription) {
+    logger.warn('Subscription not found for denied capture', { userId });
+    return;
+  }
+
+  if (!canTransition(subscription.status, 'past_due')) {
+    logger.warn('Ignoring denied capture for subscription in terminal state', {
+      subscriptionId: subscription._id,
+      currentStatus: subscription.status,
+    });
+    return;
+  }
+
+  transitionSubscription(subscription, 'past_due', { reason: 'capture_denied' });
+  await subscription.save();
+
+  logger.info('Subscription deactivated via webhook', {
+    subscriptionId: subscription._id,
+    captureId: capture.id,
+    status: 'past_due',
+    userId,
+  });
+}
+
+/**
+ * Apply a PayPal-format webhook event to the member's subscription.
+ * Shared by the webhook route, admin replays and scripts/replay-webhook-events.js;
+ * every handler is idempotent, so running an event twice is harmless.
+ * @param {Object} event - Event body
+ * @param {Object} [stored] - Stored WebhookEvent; its `provider` is recorded on
+ *   ledger entries (PayPal when omitted)
+ * @throws When the event cannot be applied (the caller records the failure)
+ */
+async function dispatchPaypalEvent(event, { provider = 'paypal' } = {}) {
+  switch (event.event_type) {
+    case 'PAYMENT.CAPTURE.COMPLETED':
+      await handleCaptureCompleted(event.resource, provider);
+      break;
+    case 'PAYMENT.CAPTURE.REFUNDED':
+      await handleCaptureRefunded(event.resource, provider);
+      break;
+    case 'PAYMENT.CAPTURE.DENIED':
+      await handleCaptureDenied(event.resource);
+      break;
+    default:
+      throw new Error(`Unsupported webhook event type: ${event.event_type}`);
+  }
+}
+
+module.exports = {
+  dispatchPaypalEvent,
+};
@@ -0,0 +1,332 @@
+/**
+ * Personal records: a member's heaviest weight, most reps at each weight,
+ * best estimated one-rep max and best session volume per exercise.
+ * Records are updated as each workout is logged, reporting the ones it broke,
+ * and rebuilt from the remaining logs when a workout is deleted. Only
+ * completed sets count. A record is only reported as broken when there was
+ * one to beat, so the first time an exercise is logged sets no badges.
+ */
+
+const PersonalRecord = require('../models/PersonalRecord');
+const WorkoutLog = require('../models/WorkoutLog');
+
+const { EXERCISE_NAME_COLLATION } = require('./exercises');
+
+const RECORD_TYPES = {
+  HEAVIEST_WEIGHT: 'heaviest_weight',
+  REP_MAX: 'rep_max',
+  ESTIMATED_ONE_REP_MAX: 'estimated_1rm',
+  SESSION_VOLUME: 'session_volume',
+};
+
+// Estimates from longer sets are too rough to count as a record
+const ESTIMATE_MAX_REPS = 12;
+
+/**
+ * Estimated one-rep max for a set: the mean of the Epley and Brzycki
+ * formulas, which under- and overestimate each other over 2-12 reps.
+ * @param {number} weight
+ * @param {number} reps
+ * @returns {number|null} Rounded to 0.1; null past ESTIMATE_MAX_REPS or for an unloaded set
+ */
+function estimateOneRepMax(weight, reps) {
+  if (!(weight > 0) || !(reps >= 1) || reps > ESTIMATE_MAX_REPS) return null;
+  if (reps === 1) return weight;
+  const epley = weight * (1 + reps / 30);
+  const brzycki = (weight * 36) / (37 - reps);
+  return Math.round(((epley + brzycki) / 2) * 10) / 10;
+}
+
+/**
+ * Set with the best estimated one-rep max.
+ * @param {Object[]} sets
+ * @returns {{ value: number, weight: number, reps: number }|null}
+ */
+function bestOneRepMaxEstimate(sets) {
+  let best = null;
+  for (const set of sets) {
+    const value = estimateOneRepMax(set.weight, set.reps);
+    if (value !== null && (!best || value > best.value)) {
+      best = { value, weight: set.weight, reps: set.reps };
+    }
+  }
+  return best;
+}
+
+/**
+ * Key a record is kept under: the catalogue entry ID for linked exercises,
+ * otherwise the name in any case.
+ * @param {{ exerciseId?: *, exerciseName: string }} exercise
+ * @returns {string}
+ */
+function exerciseKey(exercise) {
+  return exercise.exerciseId
+    ? String(exercise.exerciseId)
+    : `name:${exercise.exerciseName.trim().toLowerCase()}`;
+}
+
+// A workout's exercises by key; an exercise may be logged twice in a workout
+function groupExercises(exercises) {
+  const groups = new Map();
+  for (const exercise of exercises) {
+    const key = exerciseKey(exercise);
+    const group = groups.get(key) || {
+      exerciseId: exercise.exerciseId,
+      exerciseName: exercise.exerciseName,
+      sets: [],
+    };
+    group.sets.push(...exercise.sets);
+    groups.set(key, group);
+  }
+  return groups;
+}
+
+function emptyRecord(userId, key, exercise) {
+  return {
+    userId,
+    exerciseKey: key,
+    exerciseId: exercise.exerciseId,
+    exerciseName: exercise.exerciseName,
+    repMaxes: [],
+  };
+}
+
+/**
+ * Lift with the most reps at the weight or heavier.
+ * @param {Object[]} repMaxes - A record's repMaxes
+ * @param {number} weight
+ * @returns {Object|null} { weight, reps, date, workoutId }
+ */
+function bestLiftAtLeast(repMaxes, weight) {
+  return repMaxes.reduce(
+    (best, lift) =>
+      lift.weight >= weight && lift.reps > (best?.reps || 0) ? lift : best,
+    null
+  );
+}
+
+// Most reps done at the weight or heavier
+function repsAtLeast(repMaxes, weight) {
+  return bestLiftAtLeast(repMaxes, weight)?.reps || 0;
+}
+
+/**
+ * Apply one workout's sets for an exercise to its record.
+ * @param {Object} record - Plain record, updated in place
+ * @param {Object[]} sets
+ * @param {{ date: Date, workoutId: * }} workout
+ * @returns {Object[]} Records broken, as { type, value, previous, weight, reps }
+ */
+function applySession(record, sets, { date, workoutId }) {
+  const done = sets.filter(
+    set => set.completed !== false && set.reps >= 1 && set.weight >= 0
+  );
+  const broken = [];
+  if (done.length === 0) return broken;
+
+  const lift = set => ({ weight: set.weight, reps: set.reps, date, workoutId });
+  const beat = (type, value, previous, set) => {
+    if (previous !== undefined) {
+      broken.push({ type, value, previous, weight: set?.weight, reps: set?.reps });
+    }
+  };
+
+  const heaviest = done.reduce((best, set) =>
+    set.weight > best.weight || (set.weight === best.weight && set.reps > best.reps)
+      ? set
+      : best
+  );
+  if (heaviest.weight > 0 && heaviest.weight > (record.heaviestWeight?.weight || 0)) {
+    beat(
+      RECORD_TYPES.HEAVIEST_WEIGHT,
+      heaviest.weight,
+      record.heaviestWeight?.weight,
+      heaviest
+    );
+    record.heaviestWeight = lift(heaviest);
+  }
+
+  const estimate = bestOneRepMaxEstimate(done);
+  if (estimate && estimate.value > (record.estimatedOneRepMax?.value || 0)) {
+    beat(
+      RECORD_TYPES.ESTIMATED_ONE_REP_MAX,
+      estimate.value,
+      record.estimatedOneRepMax?.value,
+      estimate
+    );
+    record.estimatedOneRepMax = { value: estimate.value, ...lift(estimate) };
+  }
+
+  const volume = done.reduce((sum, set) => sum + set.reps * set.weight, 0);
+  if (volume > 0 && volume > (record.sessionVolume?.volume || 0)) {
+    beat(RECORD_TYPES.SESSION_VOLUME, volume, record.sessionVolume?.volume);
+    record.sessionVolume = { volume, date, workoutId };
+  }
+
+  // Heaviest sets first, so a lighter set only counts if it beat them on reps
+  const before = record.repMaxes;
+  const byWeight = [...done].sort((a, b) => b.weight - a.weight || b.reps - a.reps);
+  for (const set of byWeight) {
+    if (set.reps <= repsAtLeast(record.repMaxes, set.weight)) continue;
+    // A weight never lifted before is a heaviest weight record, not a rep record
+    if (before.some(prev => prev.weight >= set.weight)) {
+      beat(RECORD_TYPES.REP_MAX, set.reps, repsAtLeast(before, set.weight), set);
+    }
+    record.repMaxes = [
+      ...record.repMaxes.filter(prev => prev.weight > set.weight || prev.reps > set.reps),
+      lift(set),
+    ].sort((a, b) => b.weight - a.weight);
+  }
+
+  return broken;
+}
+
+// Logs with any of the exercises, oldest first
+function findLogsWithExercises(userId, keys) {
+  const ids = keys.filter(key => !key.startsWith('name:'));
+  const names = keys.filter(key => key.startsWith('name:')).map(key => key.slice(5));
+  const matches = [];
+  if (ids.length) matches.push({ 'exercises.exerciseId': { $in: ids } });
+  if (names.length) matches.push({ 'exercises.exerciseName': { $in: names } });
+
+  return WorkoutLog.find({ userId, deletedAt: null, $or: matches })
+    .collation(EXERCISE_NAME_COLLATION)
+    .sort({ date: 1, _id: 1 })
+    .select('date exercises')
+    .lean();
+}
+
+// Records for the exercises built from the user's logs; exercises never done are left out
+async function buildRecords(userId, exercisesByKey, { excludeWorkoutId } = {}) {
+  const records = new Map();
+  if (exercisesByKey.size === 0) return records;
+
+  const logs = await findLogsWithExercises(userId, [...exercisesByKey.keys()]);
+  for (const log of logs) {
+    if (excludeWorkoutId && String(log._id) === String(excludeWorkoutId)) continue;
+    for (const [key, group] of groupExercises(log.exercises)) {
+      if (!exercisesByKey.has(key)) continue;
+      const record = records.get(key) || emptyRecord(userId, key, group);
+      record.exerciseName = group.exerciseName;
+      applySession(record, group.sets, { date: log.date, workoutId: log._id });
+      records.set(key, record);
+    }
+  }
+
+  for (const [key, record] of records) {
+    if (record.repMaxes.length === 0) records.delete(key);
+  }
+  return records;
+}
+
+// Every completed set adds a rep max, so a record without one has nothing in it
+async function saveRecords(userId, records) {
+  const ops = [...records.values()].map(record => {
+    const filter = { userId, exerciseKey: record.exerciseKey };
+    if (record.repMaxes.length === 0) return { deleteOne: { filter } };
+    return {
+      replaceOne: {
+        filter,
+        replacement: {
+          userId,
+          exerciseKey: record.exerciseKey,
+          exerciseId: record.exerciseId,
+          exerciseName: record.exerciseName,
+          heaviestWeight: record.heaviestWeight,
+          estimatedOneRepMax: record.estimatedOneRepMax,
+          sessionVolume: record.sessionVolume,
+          repMaxes: record.repMaxes,
+          createdAt: record.createdAt,
+        },
+        upsert: true,
+      },
+    };
+  });
+  if (ops.length) await PersonalRecord.bulkWrite(ops, { ordered: false });
+}
+
+/**
+ * Update the user's records with a workout they just logged. Exercises with
+ * no record yet have theirs built from earlier logs first.
+ * @param {string} userId
+ * @param {Object} workout - The saved WorkoutLog
+ * @returns {Promise<Object[]>} Records broken, as
+ *   { exerciseName, exerciseId, type, value, previous, weight, reps }
+ */
+async function updateRecordsForWorkout(userId, workout) {
+  const groups = groupExercises(workout.exercises);
+  const existing = await PersonalRecord.find({
+    userId,
+    exerciseKey: { $in: [...groups.keys()] },
+  }).lean();
+
+  const records = new Map(existing.map(record => [record.exerciseKey, record]));
+  const missing = new Map([...groups].filter(([key]) => !records.has(key)));
+  const built = await buildRecords(userId, missing, { excludeWorkoutId: workout._id });
+  for (const [key, record] of built) records.set(key, record);
+
+  const broken = [];
+  for (const [key, group] of groups) {
+    const record = records.get(key) || emptyRecord(userId, key, group);
+    record.exerciseName = group.exerciseName;
+    const session = { date: workout.date, workoutId: workout._id };
+    for (const result of applySession(record, group.sets, session)) {
+      broken.push({
+        exerciseName: group.exerciseName,
+        exerciseId: group.exerciseId || null,
+        ...result,
+      });
+    }
+    records.set(key, record);
+  }
+
+  await saveRecords(userId, records);
+  return broken;
+}
+
+/**
+ * Rebuild the user's records for exercises from their remaining logs, e.g.
+ * after a workout with them is deleted. Records with no logs left are removed.
+ * @param {string} userId
+ * @param {Object[]} exercises - Each with exerciseId or exerciseName
+ * @returns {Promise<void>}
+ */
+async function recomputeRecords(userId, exercises) {
+  const exercisesByKey = new Map(
+    exercises.map(exercise => [exerciseKey(exercise), exercise])
+  );
+  const records = await buildRecords(userId, exercisesByKey);
+  for (const [key, exercise] of exercisesByKey) {
+    if (!records.has(key)) records.set(key, emptyRecord(userId, key, exercise));
+  }
+  await saveRecords(userId, records);
+}
+
+/**
+ * Move records kept under exercise names onto the catalogue entry the names
+ * were merged into (see mergeExerciseNames), for every member who has them.
+ * @param {string[]} names
+ * @param {string} exerciseId
+ * @returns {Promise<number>} Number of members whose records were rebuilt
+ */
+async function recomputeMergedRecords(names, exerciseId) {
+  const named = names.map(exerciseName => ({ exerciseName: String(exerciseName) }));
+  const userIds = await PersonalRecord.distinct('userId', {
+    exerciseKey: { $in: named.map(exerciseKey) },
+  });
+  for (const userId of userIds) {
+    await recomputeRecords(userId, [{ exerciseId }, ...named]);
+  }
+  return userIds.length;
+}
+
+module.exports = {
+  RECORD_TYPES,
+  estimateOneRepMax,
+  bestOneRepMaxEstimate,
+  bestLiftAtLeast,
+  exerciseKey,
+  updateRecordsForWorkout,
+  recomputeRecords,
+  recomputeMergedRecords,
+};
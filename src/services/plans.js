@@ -0,0 +1,97 @@
+const Plan = require('../models/Plan');
+const { DEFAULT_PLANS } = require('../config/subscriptionConstants');
+
+const { logger } = require('./logger');
+
+/**
+ * Flatten a plan document into the shape checkout and billing code use.
+ * `price` is the amount charged in the billing currency.
+ * @param {Object} plan - Lean Plan document
+ * @returns {Object}
+ */
+function toPlanData(plan) {
+  const prices =
+    plan.prices instanceof Map ? Object.fromEntries(plan.prices) : { ...plan.prices };
+
+  return {
+    key: plan.key,
+    name: plan.name,
+    description: plan.description || '',
+    durationDays: plan.durationDays,
+    price: prices[plan.currency] ?? 0,
+    priceJMD: prices.JMD ?? null,
+    currency: plan.currency,
+    prices,
+    features: plan.features || [],
+    displayOrder: plan.displayOrder,
+    active: plan.active,
+  };
+}
+
+/**
+ * Plan data repriced in another currency the plan is sold in.
+ * @param {Object} planData - From toPlanData
+ * @param {string} [currency] - ISO code; defaults to the plan's billing currency
+ * @returns {Object|null} Plan data with `price` and `currency` swapped, or null
+ *   when the plan has no price in that currency
+ */
+function priceInCurrency(planData, currency) {
+  const code = String(currency || planData.currency).toUpperCase();
+  const price = planData.prices?.[code];
+  if (price === undefined || price === null) return null;
+  return { ...planData, price, currency: code };
+}
+
+/**
+ * Plans in display order.
+ * @param {Object} [opts]
+ * @param {boolean} [opts.includeInactive=false]
+ * @returns {Promise<Object[]>} Plan data (see toPlanData)
+ */
+async function listPlans({ includeInactive = false } = {}) {
+  const filter = includeInactive ? {} : { active: true };
+  const plans = await Plan.find(filter).sort({ displayOrder: 1, durationDays: 1 }).lean();
+  return plans.map(toPlanData);
+}
+
+/**
+ * Look up a plan by key.
+ * Payments for a plan retired mid-checkout still need its terms, hence
+ * `includeInactive`.
+ * @param {string} key
+ * @param {Object} [opts]
+ * @param {boolean} [opts.includeInactive=false]
+ * @returns {Promise<Object|null>} Plan data, or null when not offered
+ */
+async function getPlan(key, { includeInactive = false } = {}) {
+  if (!key || typeof key !== 'string') return null;
+
+  const filter = { key: key.toLowerCase() };
+  if (!includeInactive) filter.active = true;
+
+  const plan = await Plan.findOne(filter).lean();
+  return plan ? toPlanData(plan) : null;
+}
+
+/**
+ * Insert the default catalogue when the collection is empty, so a fresh
+ * deployment can take payments before an admin has created any plans.
+ * @returns {Promise<number>} Number of plans inserted
+ */
+async function seedDefaultPlans() {
+  const count = await Plan.estimatedDocumentCount();
+  if (count > 0) return 0;
+
+  const docs = Object.entries(DEFAULT_PLANS).map(([key, plan]) => ({ key, ...plan }));
+  await Plan.insertMany(docs);
+  logger.info('Seeded default subscription plans', { count: docs.length });
+  return docs.length;
+}
+
+module.exports = {
+  toPlanData,
+  priceInCurrency,
+  listPlans,
+  getPlan,
+  seedDefaultPlans,
+};
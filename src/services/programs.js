@@ -0,0 +1,198 @@
+/**
+ * Training programs: where a client is in their program and how closely they
+ * follow it. Dates are calendar days stored as UTC midnights, like
+ * appointment dates. A client's program starts on the assignment's startDate;
+ * each program week covers the seven days after the previous one, and a
+ * program day falls on the date in its week with the day's dayOfWeek.
+ * Workouts logged against a program day (WorkoutLog.programDayId) count
+ * towards adherence.
+ */
+
+const Program = require('../models/Program');
+const User = require('../models/User');
+const WorkoutLog = require('../models/WorkoutLog');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The client's current program assignment, i.e. the latest one not ended.
+ * @param {Object} user - With assignedPrograms
+ * @returns {Object|null}
+ */
+function currentAssignment(user) {
+  const current = (user.assignedPrograms || []).filter(a => !a.endedAt && a.startDate);
+  return current.length ? current[current.length - 1] : null;
+}
+
+/**
+ * Every program day with the date it falls on for a given start date.
+ * @param {Object} program
+ * @param {Date} startDate - UTC midnight of the first program day
+ * @returns {Array<{ week: number, day: Object, date: Date }>} In date order
+ */
+function programSchedule(program, startDate) {
+  const start = new Date(startDate).getTime();
+  const schedule = [];
+  program.weeks.forEach((week, weekIndex) => {
+    const weekStart = new Date(start + weekIndex * 7 * DAY_MS);
+    week.days.forEach(day => {
+      const offset = (day.dayOfWeek - weekStart.getUTCDay() + 7) % 7;
+      schedule.push({
+        week: weekIndex + 1,
+        day,
+        date: new Date(weekStart.getTime() + offset * DAY_MS),
+      });
+    });
+  });
+  return schedule.sort((a, b) => a.date - b.date);
+}
+
+/**
+ * The program day scheduled on a date, if any.
+ * @param {Object} program
+ * @param {Date} startDate
+ * @param {Date} date - UTC midnight
+ * @returns {{ week: number, day: Object, date: Date }|null}
+ */
+function programDayOn(program, startDate, date) {
+  return (
+    programSchedule(program, startDate).find(
+      entry => entry.date.getTime() === date.getTime()
+    ) || null
+  );
+}
+
+/**
+ * Find a program day by its ID.
+ * @param {Object} program
+ * @param {string} dayId
+ * @returns {{ week: number, day: Object }|null}
+ */
+function findProgramDay(program, dayId) {
+  for (let i = 0; i < program.weeks.length; i++) {
+    const day = program.weeks[i].days.find(d => d._id.toString() === String(dayId));
+    if (day) return { week: i + 1, day };
+  }
+  return null;
+}
+
+/**
+ * How closely a client has followed their program up to a date. Days before
+ * the date count as due; the date itself only once it has been logged.
+ * @param {string} userId
+ * @param {Object} assignment - From User.assignedPrograms
+ * @param {Object} program
+ * @param {Date} today - UTC midnight
+ * @returns {Promise<{ totalDays: number, dueDays: number, completedDays: number, adherenceRate: number|null, completedDayIds: string[] }>}
+ */
+async function getAdherence(userId, assignment, program, today) {
+  const schedule = programSchedule(program, assignment.startDate);
+  const loggedIds = await WorkoutLog.distinct('programDayId', {
+    userId,
+    programId: program._id,
+    deletedAt: null,
+    programDayId: { $in: schedule.map(entry => entry.day._id) },
+  });
+  const logged = new Set(loggedIds.map(id => id.toString()));
+
+  const due = schedule.filter(
+    entry => entry.date < today || logged.has(entry.day._id.toString())
+  );
+  const completedDays = due.filter(entry => logged.has(entry.day._id.toString())).length;
+
+  return {
+    totalDays: schedule.length,
+    dueDays: due.length,
+    completedDays,
+    adherenceRate: due.length ? Math.round((completedDays / due.length) * 100) : null,
+    completedDayIds: [...logged],
+  };
+}
+
+/**
+ * A client's current program with where they are in it and their adherence.
+ * @param {string} userId
+ * @param {Date} today - UTC midnight of the client's local date
+ * @returns {Promise<Object|null>} null when the client has no current program
+ */
+async function getProgramStatus(userId, today) {
+  const user = await User.findById(userId).select('assignedPrograms').lean();
+  const assignment = user && currentAssignment(user);
+  if (!assignment) return null;
+
+  const program = await Program.findById(assignment.programId).lean();
+  if (!program) return null;
+
+  const startDate = new Date(assignment.startDate);
+  const endDate = new Date(startDate.getTime() + (program.weeks.length * 7 - 1) * DAY_MS);
+  const dayIndex = Math.floor((today - startDate) / DAY_MS);
+  const todayEntry = programDayOn(program, startDate, today);
+  const adherence = await getAdherence(userId, assignment, program, today);
+
+  return {
+    program,
+    startDate,
+    endDate,
+    // Current week, 0 before the start and weeks + 1 once finished
+    currentWeek:
+      dayIndex < 0 ? 0 : Math.min(Math.floor(dayIndex / 7) + 1, program.weeks.length + 1),
+    today: todayEntry && {
+      week: todayEntry.week,
+      day: todayEntry.day,
+      logged: adherence.completedDayIds.includes(todayEntry.day._id.toString()),
+    },
+    adherence,
+  };
+}
+
+/**
+ * Put a client on a program from startDate, ending their current program.
+ * @param {string} clientId
+ * @param {string} programId
+ * @param {Object} opts
+ * @param {string} opts.assignedBy - Trainer ID
+ * @param {Date} opts.startDate - UTC midnight
+ * @returns {Promise<void>}
+ */
+async function assignProgram(clientId, programId, { assignedBy, startDate }) {
+  await endProgram(clientId);
+  await User.updateOne(
+    { _id: clientId },
+    {
+      $push: {
+        assignedPrograms: {
+          programId,
+          assignedAt: new Date(),
+          assignedBy,
+          startDate,
+          endedAt: null,
+        },
+      },
+    }
+  );
+}
+
+/**
+ * End the client's current program, if any.
+ * @param {string} clientId
+ * @returns {Promise<boolean>} Whether a program was ended
+ */
+async function endProgram(clientId) {
+  const result = await User.updateOne(
+    { _id: clientId },
+    { $set: { 'assignedPrograms.$[current].endedAt': new Date() } },
+    { arrayFilters: [{ 'current.endedAt': null }] }
+  );
+  return result.modifiedCount > 0;
+}
+
+module.exports = {
+  currentAssignment,
+  programSchedule,
+  programDayOn,
+  findProgramDay,
+  getAdherence,
+  getProgramStatus,
+  assignProgram,
+  endProgram,
+};
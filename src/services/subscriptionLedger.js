@@ -0,0 +1,80 @@
+const SubscriptionLedger = require('../models/SubscriptionLedger');
+
+const { logger } = require('./logger');
+
+/**
+ * Append a row to the billing ledger.
+ * Failures are logged rather than thrown so a ledger outage never undoes a
+ * payment or admin action that has already been applied to the Subscription.
+ * A repeat of an already-recorded provider transaction is silently skipped.
+ *
+ * @param {Object} entry
+ * @param {string} entry.userId - Member the entry belongs to
+ * @param {string} [entry.subscriptionId] - Subscription the entry changed
+ * @param {string} entry.type - purchase | extension | refund | admin_grant | trial
+ * @param {string} entry.provider - paypal | admin
+ * @param {number} [entry.amount] - Amount charged (negative for refunds)
+ * @param {string} [entry.currency]
+ * @param {string} [entry.plan] - Plan key
+ * @param {string} [entry.providerTransactionId] - PayPal order or refund ID
+ * @param {string} [entry.captureId] - PayPal capture paid or refunded
+ * @param {string} [entry.couponCode] - Coupon applied to a purchase
+ * @param {number} [entry.discountAmount] - Amount taken off by the coupon
+ * @param {number} [entry.daysAdded] - Membership days granted (negative when removed)
+ * @param {Date} [entry.periodStart]
+ * @param {Date} [entry.periodEnd]
+ * @param {string} [entry.actorId] - Admin who made the change
+ * @param {string} [entry.note]
+ * @param {string} [entry.reviewReason] - Why a purchase needs an admin's review
+ * @returns {Promise<Object|null>} The created entry, or null on failure
+ */
+async function recordLedgerEntry(entry) {
+  try {
+    return await SubscriptionLedger.create(entry);
+  } catch (err) {
+    if (err.code === 11000) {
+      logger.info('Subscription ledger entry already recorded', {
+        type: entry.type,
+        providerTransactionId: entry.providerTransactionId,
+      });
+      return null;
+    }
+    logger.error('Failed to record subscription ledger entry', {
+      userId: entry.userId?.toString(),
+      type: entry.type,
+      providerTransactionId: entry.providerTransactionId,
+      error: err.message,
+    });
+    return null;
+  }
+}
+
+/**
+ * Fetch a page of a member's ledger, newest first.
+ * @param {string} userId
+ * @param {Object} [opts]
+ * @param {number} [opts.page=1]
+ * @param {number} [opts.limit=20]
+ * @returns {Promise<{entries: Object[], pagination: Object}>}
+ */
+async function getLedgerForUser(userId, { page = 1, limit = 20 } = {}) {
+  const skip = (page - 1) * limit;
+
+  const [entries, total] = await Promise.all([
+    SubscriptionLedger.find({ userId })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('actorId', 'firstName lastName')
+      .select('-__v')
+      .lean(),
+    SubscriptionLedger.countDocuments({ userId }),
+  ]);
+
+  return {
+    entries,
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+  };
+}
+
+module.exports = { recordLedgerEntry, getLedgerForUser };
@@ -0,0 +1,76 @@
+const {
+  ACCESS_STATUSES,
+  SUBSCRIPTION_TRANSITIONS,
+} = require('../config/subscriptionConstants');
+
+/**
+ * Whether a subscription in the given status may use member-only features.
+ * @param {string} status
+ * @returns {boolean}
+ */
+function hasAccess(status) {
+  return ACCESS_STATUSES.includes(status);
+}
+
+/**
+ * Whether the lifecycle allows moving from one status to another.
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+  return (SUBSCRIPTION_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Move a subscription to a new status and record the change in statusHistory.
+ * The caller saves. Unsaved documents (`isNew`) may start in any status,
+ * recorded with `from: null`. Anything else, including a plain object, must
+ * already have a `status` the move is allowed from.
+ *
+ * @param {Object} subscription - Subscription document, or an object with
+ *   `status` and optionally `statusHistory`
+ * @param {string} to - Target status
+ * @param {Object} [opts]
+ * @param {string} [opts.reason] - Why the status changed (e.g. 'payment_verified')
+ * @param {string} [opts.changedBy] - User ID of the actor, omitted for system changes
+ * @param {Date} [opts.at] - When the change happened (defaults to now)
+ * @returns {Object} The same subscription
+ * @throws {Error} With statusCode 409 when the transition is not allowed
+ */
+function transitionSubscription(subscription, to, { reason, changedBy, at } = {}) {
+  const from = subscription.isNew ? null : subscription.status;
+
+  if (from !== null && !canTransition(from, to)) {
+    const err = new Error(`Cannot change subscription from ${from} to ${to}`);
+    err.statusCode = 409;
+    throw err;
+  }
+
+  const changedAt = at || new Date();
+
+  subscription.status = to;
+  subscription.active = hasAccess(to);
+  if (to === 'cancel_at_period_end' || to === 'cancelled') {
+    subscription.cancelledAt = subscription.cancelledAt || changedAt;
+  } else if (to === 'active' || to === 'trialing') {
+    subscription.cancelledAt = null;
+  }
+
+  if (!subscription.statusHistory) subscription.statusHistory = [];
+  subscription.statusHistory.push({
+    from,
+    status: to,
+    changedAt,
+    reason: reason || null,
+    changedBy: changedBy || null,
+  });
+
+  return subscription;
+}
+
+module.exports = {
+  hasAccess,
+  canTransition,
+  transitionSubscription,
+};
@@ -0,0 +1,204 @@
+const Subscription = require('../models/Subscription');
+const SubscriptionLedger = require('../models/SubscriptionLedger');
+const User = require('../models/User');
+const { addDays, daysBetween } = require('../utils/dateUtils');
+
+const { logger } = require('./logger');
+const { sendRefundProcessed } = require('./email');
+const {
+  hasAccess,
+  canTransition,
+  transitionSubscription,
+} = require('./subscriptionLifecycle');
+const { recordLedgerEntry } = require('./subscriptionLedger');
+
+/**
+ * Membership days a refund takes back from a purchase.
+ * The share of purchased days removed tracks the share of the payment
+ * returned; working from cumulative totals keeps repeated partial refunds
+ * from drifting through rounding.
+ *
+ * @param {Object} opts
+ * @param {number} opts.paidAmount - Amount the purchase charged
+ * @param {number} opts.daysPurchased - Days the purchase granted
+ * @param {number} opts.previouslyRefunded - Amount already refunded on the purchase
+ * @param {number} opts.refundAmount - Amount being refunded now
+ * @returns {number} Whole days to remove (never more than were purchased)
+ */
+function proratedDaysToRemove({
+  paidAmount,
+  daysPurchased,
+  previouslyRefunded,
+  refundAmount,
+}) {
+  if (!paidAmount || paidAmount <= 0) return daysPurchased;
+
+  const daysFor = refunded =>
+    Math.round(daysPurchased * Math.min(1, refunded / paidAmount));
+  return daysFor(previouslyRefunded + refundAmount) - daysFor(previouslyRefunded);
+}
+
+/**
+ * The purchase a capture paid for and how much of it has been refunded so far.
+ * Purchases recorded before capture IDs were stored fall back to the
+ * subscription's current payment and period.
+ */
+async function getRefundablePurchase(subscription, captureId) {
+  const [purchase, refunds] = captureId
+    ? await Promise.all([
+        SubscriptionLedger.findOne({ type: 'purchase', captureId }).lean(),
+        SubscriptionLedger.find({ type: 'refund', captureId }).select('amount').lean(),
+      ])
+    : [null, []];
+
+  return {
+    paidAmount: purchase ? purchase.amount : subscription.amount,
+    daysPurchased: purchase
+      ? purchase.daysAdded
+      : Math.max(0, daysBetween(subscription.currentPeriodStart, subscription.expiresAt)),
+    previouslyRefunded: refunds.reduce((sum, entry) => sum + Math.abs(entry.amount), 0),
+  };
+}
+
+function formatDate(date) {
+  return date.toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+}
+
+async function notifyMember(
+  userId,
+  { amount, currency, daysRemoved, accessRevoked, expiresAt }
+) {
+  try {
+    const user = await User.findById(userId).select('email firstName').lean();
+    if (!user?.email) return;
+
+    await sendRefundProcessed(user.email, user.firstName || 'there', {
+      amount: `${currency} ${amount.toFixed(2)}`,
+      daysRemoved,
+      accessRevoked,
+      accessUntil: accessRevoked ? null : formatDate(expiresAt),
+    });
+  } catch (err) {
+    logger.error('Failed to send refund email', {
+      userId: userId.toString(),
+      error: err.message,
+    });
+  }
+}
+
+/**
+ * Apply a provider refund to the member's subscription exactly once.
+ * The admin refund endpoint and the PAYMENT.CAPTURE.REFUNDED webhook both land
+ * here; the refund ID is remembered on the subscription like order IDs are in
+ * applyPaidRenewal, so whichever arrives second is a no-op.
+ * Membership is shortened in proportion to the amount refunded; access is
+ * only revoked once no paid time is left.
+ *
+ * @param {Object} refund
+ * @param {string} refund.userId
+ * @param {string} refund.refundId - Provider refund ID (idempotency key)
+ * @param {string} [refund.captureId] - Capture the refund returns money from
+ * @param {number} refund.amount - Amount refunded (positive)
+ * @param {string} refund.currency
+ * @param {string} [refund.provider='paypal'] - Payment provider name
+ * @param {string} refund.reason - Recorded in statusHistory when access ends
+ * @param {string} [refund.actorId] - Admin who issued the refund
+ * @param {string} [refund.note]
+ * @returns {Promise<{ subscription: Object|null, applied: boolean, daysRemoved?: number, accessRevoked?: boolean }>}
+ */
+async function applyRefund(refund, attempt = 0) {
+  const {
+    userId,
+    refundId,
+    captureId,
+    currency,
+    provider = 'paypal',
+    reason,
+    actorId,
+    note,
+  } = refund;
+  const amount = Math.abs(refund.amount);
+
+  const subscription = await Subscription.findOne({ userId }).select(
+    '+appliedTransactionIds'
+  );
+
+  if (!subscription) {
+    return { subscription: null, applied: false };
+  }
+  if (subscription.appliedTransactionIds?.includes(refundId)) {
+    return { subscription, applied: false };
+  }
+
+  const purchase = await getRefundablePurchase(subscription, captureId);
+  const daysRemoved = proratedDaysToRemove({ ...purchase, refundAmount: amount });
+
+  const now = new Date();
+  const previousExpiry = subscription.expiresAt;
+  let expiresAt = addDays(previousExpiry, -daysRemoved);
+  const accessRevoked = expiresAt <= now;
+
+  if (accessRevoked) {
+    expiresAt = now < previousExpiry ? now : previousExpiry;
+    if (
+      hasAccess(subscription.status) &&
+      canTransition(subscription.status, 'refunded')
+    ) {
+      transitionSubscription(subscription, 'refunded', {
+        reason,
+        changedBy: actorId,
+        at: now,
+      });
+    }
+  }
+
+  subscription.expiresAt = expiresAt;
+  subscription.appliedTransactionIds.push(refundId);
+
+  try {
+    await subscription.save();
+  } catch (err) {
+    // Lost a race with the other refund path: reload and re-check once
+    if (attempt === 0 && err.name === 'VersionError') {
+      return applyRefund(refund, attempt + 1);
+    }
+    throw err;
+  }
+
+  await recordLedgerEntry({
+    userId: subscription.userId,
+    subscriptionId: subscription._id,
+    type: 'refund',
+    provider,
+    providerTransactionId: refundId,
+    captureId: captureId || null,
+    plan: subscription.plan,
+    amount: -amount,
+    currency: currency || subscription.currency,
+    daysAdded: -daysRemoved,
+    periodStart: expiresAt,
+    periodEnd: previousExpiry,
+    actorId: actorId || null,
+    note,
+  });
+
+  await notifyMember(subscription.userId, {
+    amount,
+    currency: currency || subscription.currency,
+    daysRemoved,
+    accessRevoked,
+    expiresAt,
+  });
+
+  return { subscription, applied: true, daysRemoved, accessRevoked };
+}
+
+module.exports = {
+  proratedDaysToRemove,
+  getRefundablePurchase,
+  applyRefund,
+};
@@ -0,0 +1,201 @@
+const Subscription = require('../models/Subscription');
+const { addDays } = require('../utils/dateUtils');
+
+const { hasAccess, transitionSubscription } = require('./subscriptionLifecycle');
+const { recordLedgerEntry } = require('./subscriptionLedger');
+const { redeemCoupon } = require('./coupons');
+const { getPlan, priceInCurrency } = require('./plans');
+const { issueAndSendInvoice } = require('./invoices');
+const { normalizeCurrency } = require('./currency');
+const { logger } = require('./logger');
+
+// Orders whose plan can no longer be found are credited as this plan
+const FALLBACK_PLAN_KEY = '1-month';
+
+/**
+ * Work out the period a renewal or extension of `days` should cover.
+ * Paid time still owed is kept: the new period runs from the later of now
+ * and the current expiresAt. Free trial days are not carried over.
+ *
+ * @param {Object|null} subscription - Existing subscription, if any
+ * @param {number} days - Days being added
+ * @param {Date} [now]
+ * @returns {{ stacked: boolean, from: Date, periodStart: Date, periodEnd: Date }}
+ *   `from` is where the added days start; `periodStart` is the start of the
+ *   whole paid-up period (unchanged when stacking)
+ */
+function computeRenewalWindow(subscription, days, now = new Date()) {
+  const stacked =
+    !!subscription &&
+    hasAccess(subscription.status) &&
+    subscription.status !== 'trialing' &&
+    !!subscription.expiresAt &&
+    subscription.expiresAt > now;
+
+  const from = stacked ? subscription.expiresAt : now;
+
+  return {
+    stacked,
+    from,
+    periodStart: stacked ? subscription.currentPeriodStart || now : now,
+    periodEnd: addDays(from, days),
+  };
+}
+
+/**
+ * Compare a payment with the price its order was created at.
+ * Plan prices, coupons and exchange rates can all change while a member is
+ * paying, so the check is against the checkout snapshot carried on the order,
+ * never the catalogue as it is now.
+ *
+ * @param {Object} payment
+ * @param {number} payment.amount
+ * @param {string} payment.currency
+ * @param {number|null} [payment.expectedAmount] - From the order's checkout snapshot
+ * @param {string|null} [payment.expectedCurrency]
+ * @returns {string|null} What does not match, or null when the payment matches
+ *   (or the order predates the snapshot)
+ */
+function checkoutMismatch({ amount, currency, expectedAmount, expectedCurrency }) {
+  if (expectedAmount === null || expectedAmount === undefined) return null;
+
+  if (
+    normalizeCurrency(currency) !== normalizeCurrency(expectedCurrency) ||
+    Math.abs(expectedAmount - amount) >= 0.01
+  ) {
+    return `Paid ${currency} ${amount} for an order priced at ${expectedCurrency} ${expectedAmount}`;
+  }
+  return null;
+}
+
+/**
+ * Apply a paid order to the member's subscription exactly once.
+ * Both the verify-payment call and the capture webhook land here; the order
+ * ID is remembered on the subscription so whichever arrives second is a no-op.
+ * Concurrent calls are serialised by the schema's optimistic concurrency: the
+ * loser reloads and sees the order as already applied. The member is emailed
+ * an invoice for each applied order.
+ *
+ * The money has already been taken by the time a payment gets here, so it is
+ * always credited. A payment that does not match its checkout snapshot is
+ * flagged on its ledger entry for an admin to review instead.
+ *
+ * @param {Object} payment
+ * @param {string} payment.userId
+ * @param {string} payment.orderId - Provider order ID (idempotency key)
+ * @param {string} [payment.captureId] - Provider capture, needed to refund later
+ * @param {string} payment.planKey
+ * @param {number} payment.amount
+ * @param {string} payment.currency
+ * @param {number|null} [payment.expectedAmount] - Checkout snapshot (see checkoutMismatch)
+ * @param {string|null} [payment.expectedCurrency]
+ * @param {string} [payment.couponCode] - Coupon the order was discounted with
+ * @param {string} [payment.provider='paypal'] - Payment provider name
+ * @param {string} payment.reason - Recorded in statusHistory
+ * @param {string} [payment.changedBy] - Acting user, omitted for webhooks
+ * @returns {Promise<{ subscription: Object, applied: boolean }>}
+ */
+async function applyPaidRenewal(payment, attempt = 0) {
+  const {
+    userId,
+    orderId,
+    captureId,
+    planKey,
+    amount,
+    currency,
+    couponCode,
+    provider = 'paypal',
+    reason,
+    changedBy,
+  } = payment;
+
+  let subscription = await Subscription.findOne({ userId }).select(
+    '+appliedTransactionIds'
+  );
+
+  if (subscription?.appliedTransactionIds?.includes(orderId)) {
+    return { subscription, applied: false };
+  }
+
+  if (!subscription) {
+    subscription = new Subscription({ userId });
+  }
+
+  const planData =
+    (await getPlan(planKey, { includeInactive: true })) ||
+    (await getPlan(FALLBACK_PLAN_KEY, { includeInactive: true }));
+  if (!planData) {
+    throw new Error(`Unknown plan for order ${orderId}: ${planKey}`);
+  }
+
+  const { key: plan, durationDays } = planData;
+  // Coupon discounts are relative to the price in the currency actually paid
+  const listPrice = (priceInCurrency(planData, currency) || planData).price;
+  const now = new Date();
+  const { from, periodStart, periodEnd } = computeRenewalWindow(
+    subscription,
+    durationDays,
+    now
+  );
+
+  subscription.plan = plan;
+  subscription.paypalTransactionId = orderId;
+  subscription.amount = amount;
+  subscription.currency = currency;
+  subscription.purchasedAt = now;
+  subscription.currentPeriodStart = periodStart;
+  subscription.expiresAt = periodEnd;
+  subscription.appliedTransactionIds.push(orderId);
+  transitionSubscription(subscription, 'active', { reason, changedBy, at: now });
+
+  try {
+    await subscription.save();
+  } catch (err) {
+    // Lost a race with the other payment path: reload and re-check once
+    if (attempt === 0 && (err.name === 'VersionError' || err.code === 11000)) {
+      return applyPaidRenewal(payment, attempt + 1);
+    }
+    throw err;
+  }
+
+  if (couponCode) {
+    await redeemCoupon(couponCode);
+  }
+
+  const reviewReason = checkoutMismatch(payment);
+  if (reviewReason) {
+    logger.warn('Payment does not match its checkout price', {
+      orderId,
+      userId: userId.toString(),
+      reviewReason,
+    });
+  }
+
+  const purchase = await recordLedgerEntry({
+    userId,
+    subscriptionId: subscription._id,
+    type: 'purchase',
+    provider,
+    providerTransactionId: orderId,
+    captureId: captureId || null,
+    plan,
+    amount,
+    currency,
+    couponCode: couponCode || null,
+    discountAmount: couponCode ? Math.max(0, listPrice - amount) : 0,
+    daysAdded: durationDays,
+    periodStart: from,
+    periodEnd,
+    reviewReason,
+  });
+
+  await issueAndSendInvoice(purchase);
+
+  return { subscription, applied: true };
+}
+
+module.exports = {
+  computeRenewalWindow,
+  checkoutMismatch,
+  applyPaidRenewal,
+};
@@ -0,0 +1,37 @@
+/**
+ * Which timezone a trainer's schedule is kept in: the trainer's own setting,
+ * else their gym location's, else DEFAULT_TIMEZONE. Weekly availability hours,
+ * appointment times and "book at least one day ahead" are all local to it.
+ */
+
+const User = require('../models/User');
+const { DEFAULT_TIMEZONE } = require('../config/schedulingConstants');
+
+// Fields to select (with locationId populated) for trainerTimezone
+const TRAINER_TIMEZONE_FIELDS = 'timezone locationId';
+
+/**
+ * @param {Object} trainer - User with locationId populated (or not set)
+ * @returns {string} IANA timezone
+ */
+function trainerTimezone(trainer) {
+  return trainer?.timezone || trainer?.locationId?.timezone || DEFAULT_TIMEZONE;
+}
+
+/**
+ * @param {string} trainerId
+ * @returns {Promise<string>} IANA timezone
+ */
+async function getTrainerTimezone(trainerId) {
+  const trainer = await User.findById(trainerId)
+    .select(TRAINER_TIMEZONE_FIELDS)
+    .populate('locationId', 'timezone')
+    .lean();
+  return trainerTimezone(trainer);
+}
+
+module.exports = {
+  TRAINER_TIMEZONE_FIELDS,
+  trainerTimezone,
+  getTrainerTimezone,
+};
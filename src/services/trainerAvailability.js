@@ -0,0 +1,416 @@
+/**
+ * Trainer availability resolution.
+ * Combines the weekly TrainerAvailability windows with date-specific
+ * TrainerAvailabilityOverride rows into the hours a client can actually book,
+ * then lays a session type's start times over those hours. Existing bookings
+ * are compared by time range (duration plus buffer), so sessions of different
+ * lengths never overlap.
+ */
+
+const mongoose = require('mongoose');
+
+const Appointment = require('../models/Appointment');
+const SessionType = require('../models/SessionType');
+const TrainerAvailability = require('../models/TrainerAvailability');
+const TrainerAvailabilityOverride = require('../models/TrainerAvailabilityOverride');
+
+const { logger } = require('./logger');
+const { sendTrainerUnavailableClient } = require('./email');
+const { formatApptDateForEmail } = require('./appointmentEmails');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_SLOT_CAPACITY = 6;
+
+// Used when a trainer has no session types or the client doesn't pick one;
+// matches appointments booked before session types existed
+const DEFAULT_SESSION_TYPE = Object.freeze({
+  _id: null,
+  name: 'Training session',
+  durationMinutes: 60,
+  bufferMinutes: 0,
+  capacity: null,
+});
+
+const toDateStr = date => new Date(date).toISOString().slice(0, 10);
+const pad = n => String(n).padStart(2, '0');
+const minutesToTime = minutes => `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+const timeToMinutes = time => {
+  const [h, m] = time.split(':').map(Number);
+  return h * 60 + m;
+};
+const isWholeDay = override =>
+  override.startHour === null || override.startHour === undefined;
+
+function setHours(hours, start, end, capacity) {
+  for (let hour = start; hour < end; hour++) hours.set(hour, capacity);
+}
+
+/**
+ * Bookable hours on one date. Extra hours are added to the weekly windows
+ * first and blocks applied last, so time off always wins.
+ * @param {Object[]} windows - Active weekly windows for the date's weekday
+ * @param {Object[]} overrides - Overrides covering the date
+ * @returns {Map<number, number>} Hour -> slot capacity
+ */
+function resolveDayHours(windows, overrides) {
+  const hours = new Map();
+
+  windows.forEach(w => {
+    setHours(hours, w.startHour, w.endHour, w.slotCapacity ?? DEFAULT_SLOT_CAPACITY);
+  });
+  overrides
+    .filter(o => o.type === 'extra')
+    .forEach(o => {
+      setHours(hours, o.startHour, o.endHour, o.slotCapacity ?? DEFAULT_SLOT_CAPACITY);
+    });
+  overrides
+    .filter(o => o.type === 'blocked')
+    .forEach(o => {
+      if (isWholeDay(o)) {
+        hours.clear();
+        return;
+      }
+      for (let hour = o.startHour; hour < o.endHour; hour++) hours.delete(hour);
+    });
+
+  return hours;
+}
+
+/**
+ * First active window that overlaps an earlier active window on the same day.
+ * @param {Object[]} windows - Weekly windows ({ dayOfWeek, startHour, endHour, isActive })
+ * @returns {Object|null}
+ */
+function findOverlappingWindow(windows) {
+  const active = windows
+    .filter(w => w.isActive !== false)
+    .sort((a, b) => a.dayOfWeek - b.dayOfWeek || a.startHour - b.startHour);
+
+  for (let i = 1; i < active.length; i++) {
+    const prev = active[i - 1];
+    if (active[i].dayOfWeek === prev.dayOfWeek && active[i].startHour < prev.endHour) {
+      return active[i];
+    }
+  }
+  return null;
+}
+
+function coversDate(override, date) {
+  return override.startDate <= date && override.endDate >= date;
+}
+
+/**
+ * Bookable hours for a trainer on one date.
+ * @param {string} trainerId
+ * @param {Date} date - UTC midnight
+ * @returns {Promise<Map<number, number>>} Hour -> slot capacity
+ */
+async function getBookableHours(trainerId, date) {
+  const [windows, overrides] = await Promise.all([
+    TrainerAvailability.find({
+      trainerId,
+      dayOfWeek: date.getUTCDay(),
+      isActive: true,
+    }).lean(),
+    TrainerAvailabilityOverride.find({
+      trainerId,
+      startDate: { $lte: date },
+      endDate: { $gte: date },
+    }).lean(),
+  ]);
+
+  return resolveDayHours(windows, overrides);
+}
+
+// Appointments in the same session share a type and start time
+const sessionKey = (sessionTypeId, time) => `${sessionTypeId || 'default'} ${time}`;
+
+// Minutes an appointment keeps the trainer busy: [start, end of buffer)
+function appointmentRange(appointment) {
+  const start = timeToMinutes(appointment.time);
+  const duration = appointment.durationMinutes ?? DEFAULT_SESSION_TYPE.durationMinutes;
+  return { start, end: start + duration + (appointment.bufferMinutes ?? 0) };
+}
+
+/**
+ * Start times for a session type on one date. Starts run back to back
+ * (duration + buffer apart) from the beginning of each block of open hours,
+ * and a session must end inside that block. A start is left out when it
+ * overlaps a different session already booked; joining the same session
+ * counts toward its capacity instead.
+ * @param {Map<number, number>} hours - From resolveDayHours
+ * @param {Object} sessionType - SessionType or DEFAULT_SESSION_TYPE
+ * @param {Object[]} appointments - Non-cancelled appointments on the date
+ * @returns {Array<{ time: string, endTime: string, capacity: number,
+ *   booked: number, remaining: number }>}
+ */
+function buildDaySlots(hours, sessionType, appointments) {
+  const duration = sessionType.durationMinutes;
+  const step = duration + (sessionType.bufferMinutes || 0);
+  const ranges = appointments.map(a => ({
+    ...appointmentRange(a),
+    key: sessionKey(a.sessionTypeId, a.time),
+  }));
+
+  // Runs of consecutive open hours, e.g. [[6, 10], [16, 20]]
+  const runs = [];
+  [...hours.keys()]
+    .sort((a, b) => a - b)
+    .forEach(hour => {
+      const last = runs[runs.length - 1];
+      if (last && last[1] === hour) last[1] = hour + 1;
+      else runs.push([hour, hour + 1]);
+    });
+
+  const slots = [];
+  runs.forEach(([runStart, runEnd]) => {
+    for (let start = runStart * 60; start + duration <= runEnd * 60; start += step) {
+      const end = start + step;
+      const time = minutesToTime(start);
+      const key = sessionKey(sessionType._id, time);
+
+      const overlapping = ranges.filter(r => r.start < end && start < r.end);
+      if (overlapping.some(r => r.key !== key)) continue;
+
+      let capacity = sessionType.capacity;
+      if (!capacity) {
+        capacity = Infinity;
+        for (let hour = Math.floor(start / 60); hour * 60 < start + duration; hour++) {
+          capacity = Math.min(capacity, hours.get(hour));
+        }
+      }
+
+      slots.push({
+        time,
+        endTime: minutesToTime(start + duration),
+        capacity,
+        booked: overlapping.length,
+        remaining: Math.max(0, capacity - overlapping.length),
+      });
+    }
+  });
+
+  return slots;
+}
+
+/**
+ * Session type a client asked for, or the default one-hour session when none
+ * is given.
+ * @param {string} trainerId
+ * @param {string} [sessionTypeId]
+ * @returns {Promise<Object|null>} null when the id isn't one of the trainer's active types
+ */
+async function resolveSessionType(trainerId, sessionTypeId) {
+  if (!sessionTypeId) return DEFAULT_SESSION_TYPE;
+  if (!mongoose.isValidObjectId(sessionTypeId)) return null;
+
+  const sessionType = await SessionType.findOne({
+    _id: sessionTypeId,
+    trainerId,
+    isActive: true,
+  }).lean();
+  return sessionType;
+}
+
+const APPOINTMENT_SLOT_FIELDS = 'date time sessionTypeId durationMinutes bufferMinutes';
+
+/**
+ * Every start time for a session type on one date, including full ones.
+ * @param {string} trainerId
+ * @param {Date} date - UTC midnight
+ * @param {Object} [sessionType]
+ * @param {Object} [options]
+ * @param {Array<string>} [options.excludeIds] - Appointments to leave out, e.g.
+ *   ones being moved that would otherwise block their own new times
+ * @returns {Promise<Array<Object>>} See buildDaySlots
+ */
+async function getDaySlots(
+  trainerId,
+  date,
+  sessionType = DEFAULT_SESSION_TYPE,
+  { excludeIds = [] } = {}
+) {
+  const [hours, appointments] = await Promise.all([
+    getBookableHours(trainerId, date),
+    Appointment.find({
+      trainerId,
+      date,
+      status: { $ne: 'cancelled' },
+      ...(excludeIds.length > 0 && { _id: { $nin: excludeIds } }),
+    })
+      .select(APPOINTMENT_SLOT_FIELDS)
+      .lean(),
+  ]);
+
+  return buildDaySlots(hours, sessionType, appointments);
+}
+
+/**
+ * Open slots per date, with slots already at capacity left out.
+ * @param {string} trainerId
+ * @param {Date} from - UTC midnight, inclusive
+ * @param {Date} to - UTC midnight, inclusive
+ * @param {Object} [sessionType] - SessionType; defaults to the one-hour session
+ * @param {Object} [options]
+ * @param {boolean} [options.includeFull=false] - Keep full slots (remaining 0)
+ * @returns {Promise<Array<{ date: string, slots: Array<{ time: string,
+ *   endTime: string, capacity: number, booked: number, remaining: number }> }>>}
+ */
+async function getOpenSlots(
+  trainerId,
+  from,
+  to,
+  sessionType = DEFAULT_SESSION_TYPE,
+  { includeFull = false } = {}
+) {
+  const [weekly, overrides, appointments] = await Promise.all([
+    TrainerAvailability.find({ trainerId, isActive: true }).lean(),
+    TrainerAvailabilityOverride.find({
+      trainerId,
+      startDate: { $lte: to },
+      endDate: { $gte: from },
+    }).lean(),
+    Appointment.find({
+      trainerId,
+      date: { $gte: from, $lte: to },
+      status: { $ne: 'cancelled' },
+    })
+      .select(APPOINTMENT_SLOT_FIELDS)
+      .lean(),
+  ]);
+
+  const windowsByDay = new Map();
+  weekly.forEach(w => {
+    windowsByDay.set(w.dayOfWeek, [...(windowsByDay.get(w.dayOfWeek) || []), w]);
+  });
+
+  const days = [];
+  for (let t = from.getTime(); t <= to.getTime(); t += DAY_MS) {
+    const date = new Date(t);
+    const dateStr = toDateStr(date);
+    const hours = resolveDayHours(
+      windowsByDay.get(date.getUTCDay()) || [],
+      overrides.filter(o => coversDate(o, date))
+    );
+    const booked = appointments.filter(a => toDateStr(a.date) === dateStr);
+
+    days.push({
+      date: dateStr,
+      slots: buildDaySlots(hours, sessionType, booked).filter(
+        slot => includeFull || slot.remaining > 0
+      ),
+    });
+  }
+
+  return days;
+}
+
+/**
+ * Whether a just-saved appointment keeps its place. Bookings on the date are
+ * admitted oldest first, each only if it fits beside those already admitted,
+ * so when two clients race for the last place exactly one of them wins.
+ * @param {Object} appointment - Saved appointment
+ * @param {number} capacity - Capacity of its session
+ * @returns {Promise<boolean>}
+ */
+async function confirmBooking(appointment, capacity) {
+  const sameDay = await Appointment.find({
+    trainerId: appointment.trainerId,
+    date: appointment.date,
+    status: { $ne: 'cancelled' },
+  })
+    .select(APPOINTMENT_SLOT_FIELDS)
+    .sort({ _id: 1 })
+    .lean();
+
+  const myKey = sessionKey(appointment.sessionTypeId, appointment.time);
+  const admitted = [];
+
+  for (const other of sameDay) {
+    const range = {
+      ...appointmentRange(other),
+      key: sessionKey(other.sessionTypeId, other.time),
+    };
+    const clashes = admitted.some(
+      a => a.key !== range.key && a.start < range.end && range.start < a.end
+    );
+    const full =
+      range.key === myKey && admitted.filter(a => a.key === myKey).length >= capacity;
+
+    if (other._id.equals(appointment._id)) return !clashes && !full;
+    if (!clashes && !full) admitted.push(range);
+  }
+
+  return false;
+}
+
+/**
+ * Scheduled appointments that fall inside a blocked override.
+ * @param {Object} override - Blocked TrainerAvailabilityOverride
+ * @returns {Promise<Object[]>} Appointments with clientId populated
+ */
+async function findAppointmentsInBlock(override) {
+  const appointments = await Appointment.find({
+    trainerId: override.trainerId,
+    date: { $gte: override.startDate, $lte: override.endDate },
+    status: 'scheduled',
+  })
+    .populate('clientId', 'firstName lastName email')
+    .sort({ date: 1, time: 1 });
+
+  if (isWholeDay(override)) return appointments;
+
+  return appointments.filter(a => {
+    const start = timeToMinutes(a.time);
+    const end = start + (a.durationMinutes ?? DEFAULT_SESSION_TYPE.durationMinutes);
+    return start < override.endHour * 60 && end > override.startHour * 60;
+  });
+}
+
+/**
+ * Email each client whose session falls inside newly blocked time. The
+ * appointments are left in place for the trainer or client to rebook.
+ * @param {Object[]} appointments - From findAppointmentsInBlock
+ * @param {string} trainerName
+ * @returns {number} Emails queued
+ */
+function notifyBlockedClients(appointments, trainerName) {
+  let queued = 0;
+
+  appointments.forEach(appointment => {
+    const client = appointment.clientId;
+    if (!client?.email) return;
+
+    sendTrainerUnavailableClient(
+      client.email,
+      client.firstName,
+      trainerName,
+      formatApptDateForEmail(appointment.date),
+      appointment.time,
+      appointment.date,
+      appointment.timezone
+    ).catch(e =>
+      logger.warn('Failed to notify client of trainer time off', {
+        appointmentId: appointment._id.toString(),
+        error: e.message,
+      })
+    );
+    queued++;
+  });
+
+  return queued;
+}
+
+module.exports = {
+  DEFAULT_SESSION_TYPE,
+  resolveDayHours,
+  findOverlappingWindow,
+  getBookableHours,
+  buildDaySlots,
+  resolveSessionType,
+  getDaySlots,
+  getOpenSlots,
+  confirmBooking,
+  findAppointmentsInBlock,
+  notifyBlockedClients,
+};
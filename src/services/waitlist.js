@@ -0,0 +1,257 @@
+/**
+ * Waitlist for fully booked trainer slots.
+ * When a booking is cancelled, moved or deleted, the freed place is offered to
+ * the oldest waiting client and held for them for WAITLIST_HOLD_MINUTES. Other
+ * clients can't book a held place; a hold that runs out passes to the next
+ * client in the queue.
+ */
+
+const WaitlistEntry = require('../models/WaitlistEntry');
+const User = require('../models/User');
+const { localDateString } = require('../utils/dateUtils');
+
+const { logger } = require('./logger');
+const { sendWaitlistOffer } = require('./email');
+const { formatApptDateForEmail } = require('./appointmentEmails');
+const { resolveSessionType, getDaySlots } = require('./trainerAvailability');
+const { getTrainerTimezone } = require('./timezones');
+
+// How long an offered place is held before it passes to the next client
+const WAITLIST_HOLD_MINUTES =
+  Number.parseInt(process.env.WAITLIST_HOLD_MINUTES ?? '120', 10) || 120;
+
+// Entries still queued for their slot
+const OPEN_WAITLIST_STATUSES = ['waiting', 'offered'];
+
+const toDateStr = date => new Date(date).toISOString().slice(0, 10);
+const idOf = ref => ref?._id ?? ref;
+
+// Query matching one slot; a null sessionTypeId is the default one-hour session
+const slotQuery = ({ trainerId, date, time, sessionTypeId }) => ({
+  trainerId: idOf(trainerId),
+  date,
+  time,
+  sessionTypeId: idOf(sessionTypeId) || null,
+});
+
+/**
+ * Places in a slot currently held for offered clients.
+ * @param {Object} slot - { trainerId, date, time, sessionTypeId }
+ * @param {string} [exceptClientId] - Leave out this client's own hold
+ * @returns {Promise<number>}
+ */
+function countHolds(slot, exceptClientId = null, now = new Date()) {
+  const query = { ...slotQuery(slot), status: 'offered', holdExpiresAt: { $gt: now } };
+  if (exceptClientId) query.clientId = { $ne: exceptClientId };
+  return WaitlistEntry.countDocuments(query);
+}
+
+/**
+ * 1-based place of a waiting entry in its slot's queue; null once it has left the queue.
+ */
+async function queuePosition(entry) {
+  if (entry.status !== 'waiting') return null;
+  const ahead = await WaitlistEntry.countDocuments({
+    ...slotQuery(entry),
+    status: 'waiting',
+    createdAt: { $lt: entry.createdAt },
+  });
+  return ahead + 1;
+}
+
+// Never throws; offers are sent in the background
+async function notifyOffer(entry) {
+  try {
+    const [client, trainer] = await Promise.all([
+      User.findById(entry.clientId).select('firstName email').lean(),
+      User.findById(entry.trainerId).select('firstName lastName').lean(),
+    ]);
+    if (!client?.email) return;
+
+    await sendWaitlistOffer(
+      client.email,
+      client.firstName,
+      trainer ? `${trainer.firstName} ${trainer.lastName}` : 'your trainer',
+      formatApptDateForEmail(entry.date),
+      entry.time,
+      entry._id.toString(),
+      WAITLIST_HOLD_MINUTES,
+      entry.date,
+      await getTrainerTimezone(entry.trainerId)
+    );
+  } catch (err) {
+    logger.warn('Failed to send waitlist offer', {
+      entryId: entry._id,
+      error: err.message,
+    });
+  }
+}
+
+// Offer the free places of one slot to the front of its queue
+async function offerSlot(slot, now) {
+  const query = slotQuery(slot);
+  const sessionType = await resolveSessionType(query.trainerId, query.sessionTypeId);
+  if (!sessionType) return [];
+
+  const daySlots = await getDaySlots(query.trainerId, query.date, sessionType);
+  const daySlot = daySlots.find(s => s.time === query.time);
+  if (!daySlot) return [];
+
+  let free = daySlot.remaining - (await countHolds(query, null, now));
+  const holdExpiresAt = new Date(now.getTime() + WAITLIST_HOLD_MINUTES * 60 * 1000);
+  const offered = [];
+
+  while (free > 0) {
+    // Claimed one at a time so concurrent releases never offer an entry twice
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { ...query, status: 'waiting' },
+      { $set: { status: 'offered', offeredAt: now, holdExpiresAt } },
+      { sort: { createdAt: 1 }, new: true }
+    );
+    if (!entry) break;
+    offered.push(entry);
+    free--;
+  }
+
+  offered.forEach(notifyOffer);
+  return offered;
+}
+
+/**
+ * Offer any free places on a trainer's date to waiting clients. Every queued
+ * slot on the date is checked, since a freed session can open overlapping
+ * slots of other session types too.
+ * @param {string} trainerId
+ * @param {Date} date - UTC midnight
+ * @returns {Promise<Object[]>} Entries that were offered a place
+ */
+async function offerFreedPlaces(trainerId, date, now = new Date()) {
+  // Dates that can no longer be booked are swept by expireWaitlistHolds
+  const timezone = await getTrainerTimezone(trainerId);
+  if (toDateStr(date) <= localDateString(now, timezone)) return [];
+
+  const waiting = await WaitlistEntry.find({ trainerId, date, status: 'waiting' })
+    .select('trainerId date time sessionTypeId')
+    .lean();
+
+  const slots = new Map();
+  waiting.forEach(entry => {
+    slots.set(`${entry.time} ${entry.sessionTypeId || 'default'}`, entry);
+  });
+
+  const offered = [];
+  for (const slot of slots.values()) {
+    offered.push(...(await offerSlot(slot, now)));
+  }
+  return offered;
+}
+
+/**
+ * Offer the places freed by cancelled, moved or deleted appointments. Runs in
+ * the background like the booking emails and never throws.
+ * @param {Object[]} appointments - Appointments (or their previous trainer/date) that freed a place
+ */
+function releaseSlots(appointments) {
+  const days = new Map();
+  appointments.forEach(a => {
+    const trainerId = idOf(a.trainerId);
+    days.set(`${trainerId} ${toDateStr(a.date)}`, { trainerId, date: new Date(a.date) });
+  });
+
+  days.forEach(({ trainerId, date }) => {
+    offerFreedPlaces(trainerId, date).catch(err =>
+      logger.error('Failed to offer freed places to waitlist', {
+        trainerId,
+        date: toDateStr(date),
+        error: err.message,
+      })
+    );
+  });
+}
+
+/**
+ * Mark a client's waitlist entry for a slot as booked once they have booked it.
+ * @param {Object} appointment - Saved appointment
+ */
+function markWaitlistBooked(appointment) {
+  return WaitlistEntry.updateMany(
+    {
+      ...slotQuery(appointment),
+      clientId: idOf(appointment.clientId),
+      status: { $in: OPEN_WAITLIST_STATUSES },
+    },
+    { $set: { status: 'booked', appointmentId: appointment._id, holdExpiresAt: null } }
+  );
+}
+
+/**
+ * Expire holds that ran out and pass their places on, and drop waiting
+ * entries whose date can no longer be booked.
+ * @returns {Promise<{ expiredHolds: number, expiredEntries: number }>}
+ */
+async function expireWaitlistHolds(now = new Date()) {
+  const stale = await WaitlistEntry.find({
+    status: 'offered',
+    holdExpiresAt: { $lte: now },
+  })
+    .select('trainerId date')
+    .lean();
+
+  if (stale.length) {
+    await WaitlistEntry.updateMany(
+      { _id: { $in: stale.map(e => e._id) }, status: 'offered' },
+      { $set: { status: 'expired' } }
+    );
+  }
+
+  // "Today" is local to each trainer, and no timezone is more than a day
+  // ahead of UTC, so only entries before the day after tomorrow can be past
+  const cutoff = new Date(`${toDateStr(now)}T00:00:00.000Z`);
+  cutoff.setUTCDate(cutoff.getUTCDate() + 2);
+  const candidates = await WaitlistEntry.find({
+    status: { $in: OPEN_WAITLIST_STATUSES },
+    date: { $lt: cutoff },
+  })
+    .select('trainerId date')
+    .lean();
+
+  const todayByTrainer = new Map();
+  const pastIds = [];
+  for (const entry of candidates) {
+    const key = entry.trainerId.toString();
+    if (!todayByTrainer.has(key)) {
+      todayByTrainer.set(
+        key,
+        localDateString(now, await getTrainerTimezone(entry.trainerId))
+      );
+    }
+    if (toDateStr(entry.date) <= todayByTrainer.get(key)) pastIds.push(entry._id);
+  }
+
+  let modifiedCount = 0;
+  if (pastIds.length) {
+    ({ modifiedCount } = await WaitlistEntry.updateMany(
+      { _id: { $in: pastIds }, status: { $in: OPEN_WAITLIST_STATUSES } },
+      { $set: { status: 'expired' } }
+    ));
+  }
+
+  const days = new Map();
+  stale.forEach(e => days.set(`${e.trainerId} ${toDateStr(e.date)}`, e));
+  for (const { trainerId, date } of days.values()) {
+    await offerFreedPlaces(trainerId, date, now);
+  }
+
+  return { expiredHolds: stale.length, expiredEntries: modifiedCount };
+}
+
+module.exports = {
+  WAITLIST_HOLD_MINUTES,
+  OPEN_WAITLIST_STATUSES,
+  countHolds,
+  queuePosition,
+  offerFreedPlaces,
+  releaseSlots,
+  markWaitlistBooked,
+  expireWaitlistHolds,
+};
@@ -1,56 +1,102 @@
 const WebhookEvent = require('../models/WebhookEvent');
+const { addDays } = require('../utils/dateUtils');
 
 const { logger } = require('./logger');
 
+// A 'processing' event this old is assumed to have died with its worker
+const STALE_PROCESSING_MS = 10 * 60 * 1000;
+
 /**
- * SECURITY: Helper to check if webhook event has been processed (replay protection)
- * Uses MongoDB for persistence across server restarts and instances
- * @param {string} eventId - Stripe webhook event ID
- * @returns {Promise<boolean>} True if event was already processed
+ * Store an incoming webhook event with its full payload.
+ * Storing is idempotent on the provider's event ID: a redelivery returns the
+ * existing record untouched, so its status tells the caller what happened
+ * the first time.
+ * @param {Object} event - Event body as received (must have `id` and `event_type`)
+ * @param {string} [provider='paypal']
+ * @returns {Promise<Object>} The WebhookEvent document
  */
-async function isWebhookEventProcessed(eventId) {
-  try {
-    const exists = await WebhookEvent.exists({ eventId });
-    return !!exists;
-  } catch (err) {
-    // If database is down, log error and fall back to safe behavior
-    // (reject the event to prevent potential duplicate processing)
-    logger.error('Failed to check webhook event status', { error: err.message });
-    return true; // Assume processed on error (safe failure)
-  }
+function recordWebhookEvent(event, provider = 'paypal') {
+  return WebhookEvent.findOneAndUpdate(
+    { eventId: event.id },
+    {
+      $setOnInsert: {
+        eventId: event.id,
+        eventType: event.event_type,
+        provider,
+        payload: event,
+        status: 'received',
+        attempts: 0,
+        receivedAt: new Date(),
+      },
+    },
+    { upsert: true, new: true }
+  );
 }
 
 /**
- * SECURITY: Mark webhook event as processed
- * Uses MongoDB TTL index for automatic cleanup after 24 hours
- * This prevents memory leaks and works across multiple server instances
- * @param {string} eventId - Stripe webhook event ID
- * @param {string} eventType - Type of webhook event
- * @returns {Promise<void>}
+ * Run a stored event through its handler and record the outcome.
+ * The event is claimed atomically first, so concurrent deliveries or replays
+ * never process it twice; already-processed events are skipped unless
+ * `force` is set (handlers are idempotent, so forcing is safe).
+ *
+ * @param {string} id - WebhookEvent _id
+ * @param {Function} handler - async (payload, storedEvent) => void
+ * @param {Object} [opts]
+ * @param {boolean} [opts.force=false] - Also re-run processed events
+ * @returns {Promise<{ skipped: boolean, status?: string, error?: string, event?: Object }>}
  */
-async function markWebhookEventProcessed(eventId, eventType = 'unknown') {
+async function runWebhookEvent(id, handler, { force = false } = {}) {
+  const now = new Date();
+  const claimable = [
+    { status: { $in: ['received', 'failed'] } },
+    { status: 'processing', lastAttemptAt: { $lt: new Date(now - STALE_PROCESSING_MS) } },
+  ];
+  if (force) claimable.push({ status: 'processed' });
+
+  const event = await WebhookEvent.findOneAndUpdate(
+    { _id: id, $or: claimable },
+    { $set: { status: 'processing', lastAttemptAt: now }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!event) {
+    return { skipped: true };
+  }
+
   try {
-    // $setOnInsert is a no-op if doc already exists — atomic, race-condition safe
-    await WebhookEvent.findOneAndUpdate(
-      { eventId },
-      {
-        $setOnInsert: {
-          eventId,
-          eventType,
-          processedAt: new Date(),
-          // expiresAt defaults to 24h from now via schema default
-        },
-      },
-      { upsert: true }
-    );
-    logger.info('Webhook event marked as processed', { eventId });
+    await handler(event.payload, event);
+
+    event.set({
+      status: 'processed',
+      processedAt: new Date(),
+      lastError: null,
+      expiresAt: addDays(new Date(), WebhookEvent.PROCESSED_RETENTION_DAYS),
+    });
+    await event.save();
+    logger.info('Webhook event processed', {
+      eventId: event.eventId,
+      attempts: event.attempts,
+    });
+
+    return { skipped: false, status: 'processed', event };
   } catch (err) {
-    // Log error but don't throw - webhook processing should continue
-    logger.error('Failed to mark webhook event as processed', {
-      eventId,
+    logger.error('Webhook event failed', {
+      eventId: event.eventId,
+      eventType: event.eventType,
+      attempts: event.attempts,
       error: err.message,
     });
+
+    event.set({ status: 'failed', lastError: err.message, expiresAt: null });
+    await event.save().catch(saveErr =>
+      logger.error('Failed to record webhook event failure', {
+        eventId: event.eventId,
+        error: saveErr.message,
+      })
+    );
+
+    return { skipped: false, status: 'failed', error: err.message, event };
   }
 }
 
-module.exports = { isWebhookEventProcessed, markWebhookEventProcessed };
+module.exports = { recordWebhookEvent, runWebhookEvent };
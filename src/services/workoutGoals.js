@@ -0,0 +1,355 @@
+/**
+ * Workout goals: where each goal stands against the member's personal
+ * records, marking goals reached after each logged workout, and telling
+ * members about goals whose target date passed unmet.
+ * Exercise goals are matched to records like logged exercises are, through
+ * the exercise catalogue. Progress runs from the value when the goal was set
+ * (startValue) to the target; body weight goals may go down.
+ */
+
+const PersonalRecord = require('../models/PersonalRecord');
+const User = require('../models/User');
+const { DEFAULT_TIMEZONE } = require('../config/schedulingConstants');
+const { addDays } = require('../utils/dateUtils');
+const { normalizeExerciseName } = require('../utils/exerciseNames');
+
+const { sendGoalAchieved, sendGoalMissed } = require('./email');
+const { findExercisesByNames } = require('./exercises');
+const { logger } = require('./logger');
+const { bestLiftAtLeast, exerciseKey } = require('./personalRecords');
+
+const GOAL_METRICS = ['weight', 'reps', 'volume', 'bodyweight'];
+const GOAL_USER_FIELDS =
+  'firstName email notificationPreferences workoutGoals measurements';
+
+// Goals from before metrics existed are weight goals
+const goalMetric = goal => goal.metric || 'weight';
+
+function targetValue(goal) {
+  switch (goalMetric(goal)) {
+    case 'reps':
+      return goal.targetReps;
+    case 'volume':
+      return goal.targetVolume;
+    default:
+      return goal.targetWeight;
+  }
+}
+
+/**
+ * One-line summary of a goal for emails, e.g. "Bench Press: 225 lbs".
+ * @param {Object} goal
+ * @returns {string}
+ */
+function describeGoal(goal) {
+  switch (goalMetric(goal)) {
+    case 'reps': {
+      const load = goal.targetWeight ? `${goal.targetWeight} lbs` : 'body weight';
+      return `${goal.exercise}: ${goal.targetReps} reps at ${load}`;
+    }
+    case 'volume':
+      return `${goal.exercise}: ${goal.targetVolume.toLocaleString('en-US')} lbs in one session`;
+    case 'bodyweight':
+      return `Body weight: ${goal.targetWeight} lbs`;
+    default:
+      return `${goal.exercise}: ${goal.targetWeight} lbs`;
+  }
+}
+
+function formatGoalDate(date, timeZone) {
+  return new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone,
+  });
+}
+
+const wantsGoalEmails = user =>
+  Boolean(user.email) && user.notificationPreferences?.goalUpdates !== false;
+
+function latestBodyweight(measurements = []) {
+  return measurements
+    .filter(m => typeof m.weight === 'number')
+    .reduce((latest, m) => (!latest || m.date > latest.date ? m : latest), null);
+}
+
+function recordValue(goal, record) {
+  if (!record) return null;
+  switch (goalMetric(goal)) {
+    case 'reps': {
+      const lift = bestLiftAtLeast(record.repMaxes || [], goal.targetWeight || 0);
+      return lift && { value: lift.reps, date: lift.date };
+    }
+    case 'volume':
+      return (
+        record.sessionVolume && {
+          value: record.sessionVolume.volume,
+          date: record.sessionVolume.date,
+        }
+      );
+    default:
+      return (
+        record.heaviestWeight && {
+          value: record.heaviestWeight.weight,
+          date: record.heaviestWeight.date,
+        }
+      );
+  }
+}
+
+/**
+ * Where each goal stands now: the member's best for its exercise, or their
+ * latest logged body weight.
+ * @param {string} userId
+ * @param {Object[]} goals
+ * @param {Object[]} [measurements] - The member's body measurements
+ * @returns {Promise<Map<string, { value: number, date: Date }>>} By goal ID;
+ *   goals with nothing logged toward them yet are left out
+ */
+async function currentGoalValues(userId, goals, measurements) {
+  const values = new Map();
+
+  const bodyweight = latestBodyweight(measurements);
+  if (bodyweight) {
+    for (const goal of goals.filter(g => goalMetric(g) === 'bodyweight')) {
+      values.set(String(goal._id), { value: bodyweight.weight, date: bodyweight.date });
+    }
+  }
+
+  const exerciseGoals = goals.filter(g => goalMetric(g) !== 'bodyweight');
+  if (exerciseGoals.length === 0) return values;
+
+  const byTerm = await findExercisesByNames(exerciseGoals.map(g => g.exercise));
+  const recordKeys = goal => {
+    const nameKey = exerciseKey({ exerciseName: goal.exercise });
+    const entry = byTerm.get(normalizeExerciseName(goal.exercise));
+    // Logs from before the name was linked to the catalogue are still kept under it
+    return entry ? [exerciseKey({ exerciseId: entry._id }), nameKey] : [nameKey];
+  };
+
+  const records = await PersonalRecord.find({
+    userId,
+    exerciseKey: { $in: [...new Set(exerciseGoals.flatMap(recordKeys))] },
+  }).lean();
+  const byKey = new Map(records.map(record => [record.exerciseKey, record]));
+
+  for (const goal of exerciseGoals) {
+    const record = recordKeys(goal)
+      .map(key => byKey.get(key))
+      .find(Boolean);
+    const value = recordValue(goal, record);
+    if (value) values.set(String(goal._id), value);
+  }
+  return values;
+}
+
+/**
+ * How far a goal has come and when it will be reached at the pace since it
+ * was set.
+ * @param {Object} goal
+ * @param {{ value: number, date: Date }|null} current - From currentGoalValues
+ * @param {Date} [now]
+ * @returns {{ currentValue: number|null, progress: number, achieved: boolean, projectedCompletionDate: Date|null }}
+ *   progress is a whole percent, 100 only once achieved
+ */
+function goalProgress(goal, current, now = new Date()) {
+  if (!current) {
+    return {
+      currentValue: null,
+      progress: 0,
+      achieved: false,
+      projectedCompletionDate: null,
+    };
+  }
+
+  const target = targetValue(goal);
+  const start = goal.startValue ?? 0;
+  // Only body weight may be aimed lower; exercise goals are always to beat a best
+  const direction = goalMetric(goal) === 'bodyweight' && target < start ? -1 : 1;
+  const achieved = (current.value - target) * direction >= 0;
+  const gained = current.value - start;
+
+  let progress = 100;
+  let projectedCompletionDate = null;
+  if (!achieved) {
+    progress = Math.min(99, Math.max(0, Math.floor((gained / (target - start)) * 100)));
+    const elapsed = now - new Date(goal.createdAt);
+    if (gained * direction > 0 && elapsed > 0) {
+      const remaining = target - current.value;
+      projectedCompletionDate = new Date(now.getTime() + (remaining / gained) * elapsed);
+    }
+  }
+
+  return { currentValue: current.value, progress, achieved, projectedCompletionDate };
+}
+
+/**
+ * The member's goals with currentValue, progress and projectedCompletionDate.
+ * @param {string} userId
+ * @param {Object} user - Lean user with workoutGoals and measurements
+ * @param {Date} [now]
+ * @returns {Promise<Object[]>}
+ */
+async function goalsWithProgress(userId, user, now = new Date()) {
+  const goals = user.workoutGoals || [];
+  const values = await currentGoalValues(userId, goals, user.measurements);
+  return goals.map(goal => {
+    const status = goalProgress(goal, values.get(String(goal._id)) || null, now);
+    return {
+      ...goal,
+      currentValue: status.currentValue,
+      // Goals marked achieved by hand stay achieved
+      progress: goal.achieved ? 100 : status.progress,
+      projectedCompletionDate: goal.achieved ? null : status.projectedCompletionDate,
+    };
+  });
+}
+
+/**
+ * Where a new goal starts from, so progress is measured from today.
+ * @param {string} userId
+ * @param {Object} goal - With a provisional _id
+ * @param {Object[]} [measurements]
+ * @returns {Promise<number|null>} null when nothing has been logged toward it
+ */
+async function startingGoalValue(userId, goal, measurements) {
+  const values = await currentGoalValues(userId, [goal], measurements);
+  return values.get(String(goal._id))?.value ?? null;
+}
+
+/**
+ * Mark the member's open goals they have now reached, and email them.
+ * Called after each logged workout.
+ * @param {string} userId
+ * @param {Object} [opts]
+ * @param {Date} [opts.now]
+ * @returns {Promise<Object[]>} Goals reached, with currentValue and progress
+ */
+async function evaluateGoals(userId, { now = new Date() } = {}) {
+  const user = await User.findById(userId).select(GOAL_USER_FIELDS).lean();
+  const open = (user?.workoutGoals || []).filter(goal => !goal.achieved);
+  if (open.length === 0) return [];
+
+  const values = await currentGoalValues(userId, open, user.measurements);
+  const reached = [];
+  for (const goal of open) {
+    const current = values.get(String(goal._id));
+    if (!current || !goalProgress(goal, current, now).achieved) continue;
+
+    // Only the evaluation that marks the goal sends the email
+    const result = await User.updateOne(
+      {
+        _id: userId,
+        workoutGoals: { $elemMatch: { _id: goal._id, achieved: { $ne: true } } },
+      },
+      { $set: { 'workoutGoals.$.achieved': true, 'workoutGoals.$.achievedAt': now } }
+    );
+    if (result.modifiedCount === 0) continue;
+
+    reached.push({
+      ...goal,
+      achieved: true,
+      achievedAt: now,
+      currentValue: current.value,
+      progress: 100,
+    });
+    if (!wantsGoalEmails(user)) continue;
+    try {
+      await sendGoalAchieved(user.email, user.firstName, {
+        description: describeGoal(goal),
+        achievedOn: formatGoalDate(now, DEFAULT_TIMEZONE),
+      });
+    } catch (err) {
+      logger.error('Failed to send goal achieved email', {
+        userId,
+        goalId: goal._id,
+        error: err.message,
+      });
+    }
+  }
+
+  if (reached.length) {
+    logger.info('Workout goals reached', { userId, count: reached.length });
+  }
+  return reached;
+}
+
+/**
+ * Email members about open goals whose target date has passed, once per goal.
+ * Goals reached since the member's last workout are marked first.
+ * @param {Object} [opts]
+ * @param {Date} [opts.now]
+ * @returns {Promise<{ missed: number }>} Goals newly marked missed
+ */
+async function notifyMissedGoals({ now = new Date() } = {}) {
+  // Target dates are calendar days; one has passed once the whole day is over
+  const cutoff = addDays(now, -1);
+  const isMissed = goal =>
+    !goal.achieved && !goal.missedAt && goal.targetDate && goal.targetDate <= cutoff;
+
+  const users = await User.find({
+    workoutGoals: {
+      $elemMatch: {
+        achieved: { $ne: true },
+        missedAt: null,
+        targetDate: { $lte: cutoff },
+      },
+    },
+  })
+    .select('_id')
+    .lean();
+
+  let missed = 0;
+  for (const { _id: userId } of users) {
+    try {
+      await evaluateGoals(userId, { now });
+      const user = await User.findById(userId).select(GOAL_USER_FIELDS).lean();
+      const goals = (user?.workoutGoals || []).filter(isMissed);
+      if (goals.length === 0) continue;
+
+      const values = await currentGoalValues(userId, goals, user.measurements);
+      for (const goal of goals) {
+        const result = await User.updateOne(
+          {
+            _id: userId,
+            workoutGoals: { $elemMatch: { _id: goal._id, missedAt: null } },
+          },
+          { $set: { 'workoutGoals.$.missedAt': now } }
+        );
+        if (result.modifiedCount === 0) continue;
+        missed++;
+
+        if (!wantsGoalEmails(user)) continue;
+        const { progress } = goalProgress(
+          goal,
+          values.get(String(goal._id)) || null,
+          now
+        );
+        await sendGoalMissed(user.email, user.firstName, {
+          description: describeGoal(goal),
+          // Stored as midnight UTC of the chosen day
+          targetDate: formatGoalDate(goal.targetDate, 'UTC'),
+          progress,
+        });
+      }
+    } catch (err) {
+      logger.error('Failed to process missed workout goals', {
+        userId,
+        error: err.message,
+      });
+    }
+  }
+
+  return { missed };
+}
+
+module.exports = {
+  GOAL_METRICS,
+  describeGoal,
+  goalProgress,
+  goalsWithProgress,
+  startingGoalValue,
+  evaluateGoals,
+  notifyMissedGoals,
+};
@@ -0,0 +1,22 @@
+/**
+ * Mock of a Mongoose query for model methods like find and findById.
+ * Each chained call returns the same query so tests can check its arguments
+ * (e.g. `expect(query.sort).toHaveBeenCalledWith({ date: -1 })`), and lean()
+ * resolves to `result`.
+ * @param {*} result - What the query resolves to
+ * @returns {Object}
+ */
+function chain(result) {
+  const query = {
+    select: jest.fn(() => query),
+    sort: jest.fn(() => query),
+    skip: jest.fn(() => query),
+    limit: jest.fn(() => query),
+    collation: jest.fn(() => query),
+    populate: jest.fn(() => query),
+    lean: jest.fn().mockResolvedValue(result),
+  };
+  return query;
+}
+
+module.exports = { chain };
@@ -10,8 +10,12 @@
  * Requirements:
  * - Running server: npm run dev
  * - Run with: npm run test:integration
+ * - Checkout tests need the server started with PAYMENT_PROVIDER=fake; they
+ *   are skipped against PayPal
  */
 
+const crypto = require('crypto');
+
 const { TestClient } = require('./test-helper');
 
 let client;
@@ -289,4 +293,116 @@ describe('Subscription Flow (Integration)', () => {
       })
     );
   });
+
+  describe('Checkout with the fake payment provider', () => {
+    const buyerEmail = `buyer-sub-${Date.now()}@example.com`;
+    let buyerId = null;
+    let buyerToken = null;
+
+    // Signed the way services/payments/fake.js verifies webhooks
+    function signFakeWebhook(body) {
+      const secret = process.env.FAKE_PAYMENT_WEBHOOK_SECRET || 'fake-webhook-secret';
+      return crypto
+        .createHmac('sha256', secret)
+        .update(JSON.stringify(body))
+        .digest('hex');
+    }
+
+    // Returns the checkout data, or null when the server is not using the fake provider
+    async function fakeCheckout() {
+      client.setToken(buyerToken);
+      const res = await client.post('/subscriptions/checkout', { plan: '1-month' });
+      if (res.status !== 200 || res.body.data?.provider !== 'fake') return null;
+      return res.body.data;
+    }
+
+    beforeEach(
+      skip(async () => {
+        const res = await client.post('/auth/register', {
+          email: buyerEmail,
+          password: 'BuyerPass123!',
+        });
+        if (res.status === 201 || res.status === 200) {
+          buyerId = res.body.user?._id || res.body._id;
+          buyerToken = res.body.token;
+        }
+      })
+    );
+
+    afterEach(
+      skip(async () => {
+        if (buyerToken && buyerId) {
+          client.setToken(buyerToken);
+          await client.delete(`/users/${buyerId}`).catch(() => {});
+        }
+      })
+    );
+
+    it(
+      'activates the subscription once per order',
+      skip(async () => {
+        if (!buyerToken) return;
+        const checkout = await fakeCheckout();
+        if (!checkout) return;
+
+        expect(checkout.orderId).toMatch(/^FAKE-ORDER-/);
+
+        const first = await client.post(
+          `/subscriptions/verify-payment/${checkout.orderId}`
+        );
+        expect(first.status).toBe(200);
+        expect(first.body.data.status).toBe('active');
+
+        // Verifying the same order again must not add more time
+        const second = await client.post(
+          `/subscriptions/verify-payment/${checkout.orderId}`
+        );
+        expect(second.status).toBe(200);
+        expect(second.body.data.expiresAt).toBe(first.body.data.expiresAt);
+      })
+    );
+
+    it(
+      'treats the capture webhook for a verified order as already applied',
+      skip(async () => {
+        if (!buyerToken) return;
+        const checkout = await fakeCheckout();
+        if (!checkout) return;
+
+        const verified = await client.post(
+          `/subscriptions/verify-payment/${checkout.orderId}`
+        );
+        expect(verified.status).toBe(200);
+
+        const history = await client.get('/subscriptions/history');
+        const purchase = history.body.data.entries.find(
+          entry => entry.providerTransactionId === checkout.orderId
+        );
+        expect(purchase.provider).toBe('fake');
+
+        const body = {
+          id: `FAKE-EVENT-TEST-${Date.now()}`,
+          event_type: 'PAYMENT.CAPTURE.COMPLETED',
+          resource: {
+            id: purchase.captureId,
+            amount: { value: String(purchase.amount), currency_code: purchase.currency },
+            custom_id: `${buyerId}:1-month`,
+            supplementary_data: { related_ids: { order_id: checkout.orderId } },
+          },
+        };
+        const webhookUrl = `${client.baseUrl}/webhooks`;
+
+        const unsigned = await client.post(webhookUrl, body);
+        expect(unsigned.status).toBe(400);
+
+        const signed = await client.post(webhookUrl, body, {
+          'fake-signature': signFakeWebhook(body),
+        });
+        expect(signed.status).toBe(200);
+
+        const current = await client.get('/subscriptions/current');
+        expect(current.body.data.expiresAt).toBe(verified.body.data.expiresAt);
+      })
+    );
+  });
 });
@@ -23,11 +23,28 @@ describe('Subscription Schema', () => {
     });
   });
 
-  it('should default status to trialing', () => {
+  it('should not default status', async () => {
     const sub = new Subscription({
       userId: new mongoose.Types.ObjectId(),
+      expiresAt: new Date(),
     });
-    expect(sub.status).toBe('trialing');
+    expect(sub.status).toBeUndefined();
+    await expect(sub.validate()).rejects.toThrow(/status/);
+  });
+
+  it('should work out the status of legacy subscriptions on load', () => {
+    const userId = new mongoose.Types.ObjectId();
+    const future = new Date(Date.now() + 10 * 86400000);
+    const past = new Date(Date.now() - 86400000);
+    const load = doc =>
+      Subscription.hydrate({ _id: new mongoose.Types.ObjectId(), userId, ...doc });
+
+    expect(load({ active: true, expiresAt: future }).status).toBe('active');
+    expect(load({ active: false, expiresAt: future }).status).toBe('cancelled');
+    expect(load({ active: true, expiresAt: past }).status).toBe('expired');
+    expect(load({ status: 'trialing', active: true, expiresAt: future }).status).toBe(
+      'trialing'
+    );
   });
 
   it('should store queuedPlan as nested doc', () => {
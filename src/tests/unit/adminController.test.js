@@ -5,30 +5,56 @@ const {
   bulkDeleteClients,
   getMonthlyRevenue,
 } = require('../../controllers/adminController');
+const MealLog = require('../../models/MealLog');
 const User = require('../../models/User');
-const Subscription = require('../../models/Subscription');
+const WorkoutLog = require('../../models/WorkoutLog');
+const SubscriptionLedger = require('../../models/SubscriptionLedger');
 
+jest.mock('../../models/MealLog');
 jest.mock('../../models/User');
 jest.mock('../../models/Subscription');
+jest.mock('../../models/SubscriptionLedger');
+jest.mock('../../models/WorkoutLog');
 jest.mock('stripe');
 jest.mock('../../services/logger', () => ({
-  logAdminAction: jest.fn(),
-  error: jest.fn(),
+  logger: {
+    logAdminAction: jest.fn(),
+    error: jest.fn(),
+  },
 }));
 
 describe('adminController.getMonthlyRevenue', () => {
-  it('returns 0 when no active subscriptions', async () => {
-    Subscription.find.mockReturnValue({
-      lean: jest.fn().mockResolvedValue([]),
-    });
+  it('returns 0 when there were no payments this month', async () => {
+    SubscriptionLedger.aggregate.mockResolvedValue([]);
     const req = {};
     const res = { json: jest.fn() };
     await getMonthlyRevenue(req, res);
-    expect(res.json).toHaveBeenCalledWith({
-      revenue: 0,
-      currency: 'jmd',
-      month: expect.any(String),
-    });
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({
+        revenue: 0,
+        currency: 'USD',
+        month: expect.any(String),
+        byCurrency: [],
+      })
+    );
+  });
+
+  it('reports revenue per currency and a converted total', async () => {
+    SubscriptionLedger.aggregate.mockResolvedValue([
+      { _id: 'JMD', revenue: 31200, payments: 2, refunds: 0 },
+      { _id: 'USD', revenue: 115, payments: 1, refunds: 0 },
+      { _id: 'XYZ', revenue: 10, payments: 1, refunds: 0 },
+    ]);
+    const res = { json: jest.fn() };
+    await getMonthlyRevenue({}, res);
+    const body = res.json.mock.calls[0][0];
+    expect(body.byCurrency).toEqual([
+      { currency: 'JMD', revenue: 31200, payments: 2, refunds: 0, converted: 200 },
+      { currency: 'USD', revenue: 115, payments: 1, refunds: 0, converted: 115 },
+      { currency: 'XYZ', revenue: 10, payments: 1, refunds: 0, converted: null },
+    ]);
+    expect(body.revenue).toBe(315);
+    expect(body.unconverted).toEqual(['XYZ']);
   });
 });
 
@@ -46,4 +72,19 @@ describe('adminController.bulkDeleteClients', () => {
     await bulkDeleteClients(req, res);
     expect(res.status).toHaveBeenCalledWith(400);
   });
+
+  it("removes the deleted clients' workout and meal logs", async () => {
+    User.find.mockReturnValue({
+      lean: jest.fn().mockResolvedValue([{ _id: 'u1' }, { _id: 'u2' }]),
+    });
+    const req = { body: { userIds: ['u1', 'u2', 'u3'] }, user: { id: 'adminId' } };
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+    await bulkDeleteClients(req, res);
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ deletedCount: 2 }));
+    expect(User.deleteMany).toHaveBeenCalledWith({ _id: { $in: ['u1', 'u2'] } });
+    expect(WorkoutLog.deleteMany).toHaveBeenCalledWith({ userId: { $in: ['u1', 'u2'] } });
+    expect(MealLog.deleteMany).toHaveBeenCalledWith({ userId: { $in: ['u1', 'u2'] } });
+  });
 });
@@ -0,0 +1,194 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../models/Appointment');
+jest.mock('../../models/AppointmentSeries');
+jest.mock('../../models/WaitlistEntry');
+jest.mock('../../models/User');
+jest.mock('../../services/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+  logAdminAction: jest.fn(),
+  logUserAction: jest.fn(),
+}));
+jest.mock('../../services/trainerAvailability', () => ({
+  resolveSessionType: jest.fn(),
+  getDaySlots: jest.fn(),
+  confirmBooking: jest.fn(),
+}));
+jest.mock('../../services/waitlist', () => ({
+  OPEN_WAITLIST_STATUSES: ['waiting', 'offered'],
+  countHolds: jest.fn().mockResolvedValue(0),
+  queuePosition: jest.fn(),
+  releaseSlots: jest.fn(),
+  markWaitlistBooked: jest.fn(),
+}));
+jest.mock('../../services/appointmentEmails', () => ({
+  normalizeAppointmentDate: jest.requireActual('../../services/appointmentEmails')
+    .normalizeAppointmentDate,
+  formatApptDateForEmail: jest.fn(),
+  extractApptNames: jest.fn(() => ({ clientName: 'Ana', trainerName: 'Tom' })),
+  populateAppointmentParticipants: jest.fn(),
+  sendApptEmails: jest.fn(),
+  sendSeriesEmails: jest.fn(),
+  validateStatusTransition: jest.fn(),
+}));
+jest.mock('../../services/attendancePolicy', () => ({
+  isLateCancellation: jest.fn(),
+  getBookingBlock: jest.fn(),
+  bookingBlockMessage: jest.fn(),
+}));
+
+const Appointment = require('../../models/Appointment');
+const { getDaySlots, resolveSessionType } = require('../../services/trainerAvailability');
+const { isLateCancellation } = require('../../services/attendancePolicy');
+const { sendSeriesEmails } = require('../../services/appointmentEmails');
+const {
+  updateAppointment,
+  deleteAppointment,
+} = require('../../controllers/appointmentController');
+
+const DAY = 86400000;
+const sessionType = { _id: null, durationMinutes: 60, bufferMinutes: 0, capacity: null };
+
+describe('appointmentController series edits', () => {
+  const trainerId = new mongoose.Types.ObjectId();
+  const clientId = new mongoose.Types.ObjectId();
+  const seriesId = new mongoose.Types.ObjectId();
+  let occurrences, mockReq, mockRes;
+
+  function makeOccurrence(daysAhead, overrides = {}) {
+    const date = new Date(Math.floor(Date.now() / DAY + daysAhead) * DAY);
+    return {
+      _id: new mongoose.Types.ObjectId(),
+      seriesId,
+      trainerId,
+      clientId,
+      date,
+      time: '10:00',
+      timezone: 'America/Jamaica',
+      sessionTypeId: null,
+      status: 'scheduled',
+      statusHistory: [],
+      save: jest.fn().mockResolvedValue(true),
+      ...overrides,
+    };
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    occurrences = [makeOccurrence(7, { status: 'confirmed' }), makeOccurrence(14)];
+    Appointment.findById.mockResolvedValue(occurrences[0]);
+    Appointment.find.mockReturnValue({ sort: jest.fn().mockResolvedValue(occurrences) });
+    Appointment.findOne.mockResolvedValue(null);
+    resolveSessionType.mockResolvedValue(sessionType);
+    getDaySlots.mockResolvedValue([{ time: '11:00', capacity: 1, remaining: 1 }]);
+    mockRes = {
+      json: jest.fn().mockReturnThis(),
+      status: jest.fn().mockReturnThis(),
+    };
+  });
+
+  describe('updateAppointment with scope "following"', () => {
+    beforeEach(() => {
+      mockReq = {
+        user: { id: 'admin-1', role: 'admin' },
+        params: { id: String(occurrences[0]._id) },
+        body: { scope: 'following', time: '11:00' },
+      };
+    });
+
+    it('checks each moved occurrence without counting the series against itself', async () => {
+      await updateAppointment(mockReq, mockRes);
+
+      expect(getDaySlots).toHaveBeenCalledTimes(2);
+      const excludeIds = occurrences.map(o => o._id);
+      expect(getDaySlots).toHaveBeenCalledWith(
+        String(trainerId),
+        occurrences[1].date,
+        sessionType,
+        { excludeIds }
+      );
+      expect(Appointment.findOne).toHaveBeenCalledWith(
+        expect.objectContaining({ clientId, _id: { $nin: excludeIds } })
+      );
+      expect(occurrences.map(o => o.time)).toEqual(['11:00', '11:00']);
+      occurrences.forEach(o => expect(o.save).toHaveBeenCalled());
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ updated: 2 }));
+    });
+
+    it('moves nothing when any occurrence would clash', async () => {
+      getDaySlots
+        .mockResolvedValueOnce([{ time: '11:00', capacity: 1, remaining: 1 }])
+        .mockResolvedValueOnce([{ time: '11:00', capacity: 1, remaining: 0 }]);
+
+      await updateAppointment(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(409);
+      const { conflicts } = mockRes.json.mock.calls[0][0];
+      expect(conflicts).toEqual([
+        expect.objectContaining({ appointmentId: occurrences[1]._id, status: 409 }),
+      ]);
+      occurrences.forEach(o => {
+        expect(o.time).toBe('10:00');
+        expect(o.save).not.toHaveBeenCalled();
+      });
+      expect(sendSeriesEmails).not.toHaveBeenCalled();
+    });
+
+    it('applies the one-per-day rule at the new dates', async () => {
+      mockReq.body = {
+        scope: 'following',
+        date: new Date(occurrences[0].date.getTime() + DAY).toISOString(),
+      };
+      getDaySlots.mockResolvedValue([{ time: '10:00', capacity: 1, remaining: 1 }]);
+      Appointment.findOne
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ _id: new mongoose.Types.ObjectId() });
+
+      await updateAppointment(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(409);
+      expect(mockRes.json.mock.calls[0][0].conflicts[0].msg).toBe(
+        'You can only book one appointment per day'
+      );
+    });
+
+    it('does not check availability for a cancellation', async () => {
+      mockReq.body = { scope: 'following', status: 'cancelled' };
+
+      await updateAppointment(mockReq, mockRes);
+
+      expect(getDaySlots).not.toHaveBeenCalled();
+      expect(occurrences.map(o => o.status)).toEqual(['cancelled', 'cancelled']);
+    });
+  });
+
+  describe('deleteAppointment with scope "following"', () => {
+    it("records late cancellations from each occurrence's own status", async () => {
+      mockReq = {
+        user: { id: String(clientId), role: 'client' },
+        params: { id: String(occurrences[0]._id) },
+        query: { scope: 'following' },
+      };
+      isLateCancellation.mockImplementation(o => o === occurrences[0]);
+
+      await deleteAppointment(mockReq, mockRes);
+
+      const [late, other] = occurrences;
+      expect(late.status).toBe('cancelled');
+      expect(late.lateCancellation).toBe(true);
+      expect(late.statusHistory).toEqual([
+        expect.objectContaining({
+          from: 'confirmed',
+          status: 'cancelled',
+          source: 'client',
+          reason: 'late_cancellation',
+        }),
+      ]);
+      expect(late.save).toHaveBeenCalled();
+      expect(Appointment.deleteMany).toHaveBeenCalledWith({ _id: { $in: [other._id] } });
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({ deleted: 2, lateCancellations: 1 })
+      );
+    });
+  });
+});
@@ -0,0 +1,148 @@
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('../../models/Appointment');
+jest.mock('../../services/email', () => ({
+  sendAppointmentReminder: jest.fn().mockResolvedValue(undefined),
+}));
+jest.mock('../../services/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+const Appointment = require('../../models/Appointment');
+const { sendAppointmentReminder } = require('../../services/email');
+const {
+  createReminderToken,
+  verifyReminderToken,
+  dueOffsets,
+  sendAppointmentReminders,
+} = require('../../services/appointmentReminders');
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = new Date('2026-06-01T12:00:00.000Z');
+
+function appointmentIn(hours, overrides = {}) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    date: new Date('2026-06-02T00:00:00.000Z'),
+    time: '09:00',
+    timezone: 'America/Jamaica',
+    startsAt: new Date(now.getTime() + hours * HOUR_MS),
+    remindersSent: [],
+    sessionName: null,
+    clientId: { firstName: 'Ana', email: 'ana@example.com' },
+    trainerId: { firstName: 'Tom', lastName: 'Trainer' },
+    ...overrides,
+  };
+}
+
+const findReturning = appointments => ({
+  populate: jest.fn().mockReturnValue({
+    populate: jest.fn().mockReturnValue({
+      lean: jest.fn().mockResolvedValue(appointments),
+    }),
+  }),
+});
+
+describe('appointmentReminders', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Appointment.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  describe('dueOffsets', () => {
+    it('is empty before the first reminder', () => {
+      expect(dueOffsets(appointmentIn(30), now, [24, 2])).toEqual([]);
+    });
+
+    it('returns the offsets passed and not yet sent', () => {
+      expect(dueOffsets(appointmentIn(20), now, [24, 2])).toEqual([24]);
+      expect(dueOffsets(appointmentIn(1, { remindersSent: [24] }), now, [24, 2])).toEqual(
+        [2]
+      );
+    });
+
+    it('catches up every passed offset for a late booking', () => {
+      expect(dueOffsets(appointmentIn(1), now, [24, 2])).toEqual([24, 2]);
+    });
+  });
+
+  describe('reminder tokens', () => {
+    it('round-trips the appointment id', () => {
+      const appointment = appointmentIn(24, { startsAt: new Date(Date.now() + HOUR_MS) });
+      const payload = verifyReminderToken(createReminderToken(appointment));
+      expect(payload.appointmentId).toBe(appointment._id.toString());
+    });
+
+    it('rejects expired, foreign and missing tokens', () => {
+      const expired = appointmentIn(0, { startsAt: new Date(Date.now() - HOUR_MS) });
+      expect(verifyReminderToken(createReminderToken(expired))).toBeNull();
+      expect(verifyReminderToken(jwt.sign({ id: 'user' }, 'test-secret'))).toBeNull();
+      expect(verifyReminderToken(undefined)).toBeNull();
+    });
+  });
+
+  describe('sendAppointmentReminders', () => {
+    it('claims the due offsets and emails the client', async () => {
+      const appointment = appointmentIn(20);
+      Appointment.find.mockReturnValue(findReturning([appointment]));
+
+      await expect(sendAppointmentReminders(now)).resolves.toEqual({
+        sent: 1,
+        skipped: 0,
+      });
+
+      expect(Appointment.updateOne).toHaveBeenCalledWith(
+        { _id: appointment._id, remindersSent: { $nin: [24] } },
+        { $addToSet: { remindersSent: { $each: [24] } } }
+      );
+      expect(sendAppointmentReminder).toHaveBeenCalledWith(
+        'ana@example.com',
+        'Ana',
+        'Tom Trainer',
+        'Tuesday, June 2, 2026',
+        '09:00',
+        appointment.date,
+        'America/Jamaica',
+        expect.any(String),
+        null
+      );
+    });
+
+    it('sends nothing when another run already claimed the reminder', async () => {
+      Appointment.find.mockReturnValue(findReturning([appointmentIn(20)]));
+      Appointment.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      await expect(sendAppointmentReminders(now)).resolves.toEqual({
+        sent: 0,
+        skipped: 0,
+      });
+      expect(sendAppointmentReminder).not.toHaveBeenCalled();
+    });
+
+    it('skips clients who turned reminders off', async () => {
+      const optedOut = appointmentIn(1, {
+        clientId: {
+          firstName: 'Ana',
+          email: 'ana@example.com',
+          notificationPreferences: { appointmentReminders: false },
+        },
+      });
+      Appointment.find.mockReturnValue(findReturning([optedOut, appointmentIn(30)]));
+
+      await expect(sendAppointmentReminders(now)).resolves.toEqual({
+        sent: 0,
+        skipped: 1,
+      });
+      expect(Appointment.updateOne).toHaveBeenCalledTimes(1);
+      expect(sendAppointmentReminder).not.toHaveBeenCalled();
+    });
+  });
+});
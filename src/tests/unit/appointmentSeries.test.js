@@ -0,0 +1,77 @@
+const {
+  MAX_SERIES_OCCURRENCES,
+  parseRecurrence,
+  seriesDates,
+} = require('../../services/appointmentSeries');
+
+const start = new Date('2026-06-01T00:00:00.000Z');
+const isoDates = dates => dates.map(d => d.toISOString().slice(0, 10));
+
+describe('appointmentSeries', () => {
+  describe('seriesDates', () => {
+    it('repeats weekly for the given count', () => {
+      const dates = seriesDates(start, { frequency: 'weekly', count: 3, until: null });
+      expect(isoDates(dates)).toEqual(['2026-06-01', '2026-06-08', '2026-06-15']);
+    });
+
+    it('repeats every two weeks up to and including until', () => {
+      const dates = seriesDates(start, {
+        frequency: 'biweekly',
+        count: null,
+        until: new Date('2026-06-29T00:00:00.000Z'),
+      });
+      expect(isoDates(dates)).toEqual(['2026-06-01', '2026-06-15', '2026-06-29']);
+    });
+  });
+
+  describe('parseRecurrence', () => {
+    it('accepts a count', () => {
+      expect(parseRecurrence({ frequency: 'weekly', count: 4 }, start)).toEqual({
+        rule: { frequency: 'weekly', count: 4, until: null },
+      });
+    });
+
+    it('accepts an end date', () => {
+      const { rule } = parseRecurrence(
+        { frequency: 'biweekly', until: '2026-07-01' },
+        start
+      );
+      expect(rule.until).toEqual(new Date('2026-07-01T00:00:00.000Z'));
+    });
+
+    it('rejects an unknown frequency', () => {
+      expect(parseRecurrence({ frequency: 'daily', count: 4 }, start).error).toMatch(
+        /frequency/
+      );
+    });
+
+    it('requires exactly one of count or until', () => {
+      expect(parseRecurrence({ frequency: 'weekly' }, start).error).toMatch(
+        /exactly one/
+      );
+      expect(
+        parseRecurrence({ frequency: 'weekly', count: 2, until: '2026-07-01' }, start)
+          .error
+      ).toMatch(/exactly one/);
+    });
+
+    it('caps the number of occurrences', () => {
+      expect(
+        parseRecurrence({ frequency: 'weekly', count: MAX_SERIES_OCCURRENCES + 1 }, start)
+          .error
+      ).toMatch(/count/);
+      expect(
+        parseRecurrence({ frequency: 'weekly', until: '2027-06-01' }, start).error
+      ).toMatch(/at most/);
+    });
+
+    it('rejects an end date on or before the first appointment', () => {
+      expect(
+        parseRecurrence({ frequency: 'weekly', until: '2026-06-01' }, start).error
+      ).toMatch(/after the first/);
+      expect(
+        parseRecurrence({ frequency: 'weekly', until: 'next month' }, start).error
+      ).toMatch(/YYYY-MM-DD/);
+    });
+  });
+});
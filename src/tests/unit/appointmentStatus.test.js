@@ -0,0 +1,199 @@
+jest.mock('../../models/Appointment');
+
+const Appointment = require('../../models/Appointment');
+const {
+  statusHistoryEntry,
+  setAppointmentStatus,
+  statusSource,
+  checkInWindow,
+  arrivalStatus,
+  checkIn,
+  generateCheckInCode,
+  checkInCodeMatches,
+  markMissedSessions,
+} = require('../../services/appointmentStatus');
+
+const MINUTE_MS = 60 * 1000;
+const startsAt = new Date('2026-06-01T14:00:00.000Z');
+const minutesFromStart = minutes => new Date(startsAt.getTime() + minutes * MINUTE_MS);
+
+function makeAppointment(overrides = {}) {
+  return {
+    _id: 'apt1',
+    clientId: 'client1',
+    status: 'scheduled',
+    startsAt,
+    durationMinutes: 60,
+    statusHistory: [],
+    save: jest.fn().mockResolvedValue(true),
+    ...overrides,
+  };
+}
+
+describe('appointmentStatus', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('setAppointmentStatus', () => {
+    it('changes the status and records who changed it', () => {
+      const apt = makeAppointment();
+      const at = minutesFromStart(5);
+      setAppointmentStatus(apt, 'completed', {
+        changedBy: 'trainer1',
+        source: 'trainer',
+        at,
+      });
+
+      expect(apt.status).toBe('completed');
+      expect(apt.statusUpdatedAt).toBe(at);
+      expect(apt.statusHistory).toEqual([
+        {
+          from: 'scheduled',
+          status: 'completed',
+          changedAt: at,
+          changedBy: 'trainer1',
+          source: 'trainer',
+          reason: null,
+        },
+      ]);
+    });
+
+    it('records changes without an actor as system changes', () => {
+      expect(statusHistoryEntry('scheduled', 'no_show')).toMatchObject({
+        changedBy: null,
+        source: 'system',
+      });
+    });
+  });
+
+  describe('statusSource', () => {
+    it('tells admins, clients and trainers apart', () => {
+      const apt = makeAppointment();
+      expect(statusSource({ id: 'admin1', role: 'admin' }, apt)).toBe('admin');
+      expect(statusSource({ id: 'client1', role: 'user' }, apt)).toBe('client');
+      expect(statusSource({ id: 'trainer1', role: 'trainer' }, apt)).toBe('trainer');
+    });
+  });
+
+  describe('checkInWindow', () => {
+    it('opens before the start and closes when the session ends', () => {
+      expect(checkInWindow(makeAppointment())).toEqual({
+        opensAt: minutesFromStart(-30),
+        closesAt: minutesFromStart(60),
+      });
+    });
+  });
+
+  describe('arrivalStatus', () => {
+    it('is completed up to the late threshold and late after it', () => {
+      const apt = makeAppointment();
+      expect(arrivalStatus(apt, minutesFromStart(-10))).toBe('completed');
+      expect(arrivalStatus(apt, minutesFromStart(10))).toBe('completed');
+      expect(arrivalStatus(apt, minutesFromStart(11))).toBe('late');
+    });
+  });
+
+  describe('checkIn', () => {
+    it('marks a scanned arrival and records it as the client', () => {
+      const apt = makeAppointment();
+      const at = minutesFromStart(-5);
+      checkIn(apt, { method: 'code', changedBy: 'client1', at });
+
+      expect(apt.status).toBe('completed');
+      expect(apt.checkedInAt).toBe(at);
+      expect(apt.checkInMethod).toBe('code');
+      expect(apt.statusHistory[0]).toMatchObject({
+        source: 'client',
+        reason: 'checked_in',
+      });
+    });
+
+    it('records a late arrival as late', () => {
+      const apt = makeAppointment();
+      checkIn(apt, {
+        method: 'trainer',
+        changedBy: 'trainer1',
+        at: minutesFromStart(20),
+      });
+      expect(apt.status).toBe('late');
+      expect(apt.statusHistory[0].source).toBe('trainer');
+    });
+
+    it('refuses codes outside the check-in window', () => {
+      expect(() =>
+        checkIn(makeAppointment(), { method: 'code', at: minutesFromStart(-45) })
+      ).toThrow(expect.objectContaining({ statusCode: 400 }));
+      expect(() =>
+        checkIn(makeAppointment(), { method: 'code', at: minutesFromStart(61) })
+      ).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    it('lets the trainer check in after the session ends', () => {
+      const apt = makeAppointment();
+      checkIn(apt, { method: 'trainer', at: minutesFromStart(75) });
+      expect(apt.status).toBe('late');
+    });
+
+    it('refuses sessions that are no longer scheduled', () => {
+      expect(() =>
+        checkIn(makeAppointment({ status: 'no_show' }), {
+          method: 'trainer',
+          at: minutesFromStart(0),
+        })
+      ).toThrow(expect.objectContaining({ statusCode: 409 }));
+    });
+  });
+
+  describe('check-in codes', () => {
+    it('generates six-character codes without ambiguous characters', () => {
+      const code = generateCheckInCode();
+      expect(code).toMatch(/^[A-HJ-NP-Z2-9]{6}$/);
+    });
+
+    it('matches codes regardless of case and surrounding spaces', () => {
+      expect(checkInCodeMatches('K7QM2X', ' k7qm2x ')).toBe(true);
+      expect(checkInCodeMatches('K7QM2X', 'K7QM2Y')).toBe(false);
+      expect(checkInCodeMatches('K7QM2X', 'K7QM')).toBe(false);
+      expect(checkInCodeMatches(null, 'K7QM2X')).toBe(false);
+      expect(checkInCodeMatches('K7QM2X', undefined)).toBe(false);
+    });
+  });
+
+  describe('markMissedSessions', () => {
+    it('moves scheduled sessions past the grace period to no_show', async () => {
+      const now = minutesFromStart(150);
+      const apt = makeAppointment();
+      Appointment.find.mockResolvedValue([apt]);
+
+      const result = await markMissedSessions(now);
+
+      expect(Appointment.find).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 'scheduled',
+          checkedInAt: null,
+          startsAt: { $lte: minutesFromStart(90) },
+        })
+      );
+      expect(apt.status).toBe('no_show');
+      expect(apt.statusHistory[0]).toMatchObject({
+        from: 'scheduled',
+        status: 'no_show',
+        changedBy: null,
+        source: 'system',
+        reason: 'not_checked_in',
+      });
+      expect(apt.save).toHaveBeenCalled();
+      expect(result).toEqual({ marked: 1 });
+    });
+
+    it('keeps going when one session fails to save', async () => {
+      const failing = makeAppointment({
+        save: jest.fn().mockRejectedValue(new Error('db down')),
+      });
+      Appointment.find.mockResolvedValue([failing, makeAppointment({ _id: 'apt2' })]);
+
+      expect(await markMissedSessions(minutesFromStart(150))).toEqual({ marked: 1 });
+    });
+  });
+});
@@ -0,0 +1,111 @@
+jest.mock('../../models/Appointment');
+
+const Appointment = require('../../models/Appointment');
+const {
+  isLateCancellation,
+  noShowBlock,
+  getBookingBlock,
+  bookingBlockMessage,
+  summarizeAttendance,
+} = require('../../services/attendancePolicy');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const now = new Date('2026-06-01T12:00:00.000Z');
+const daysAgo = days => new Date(now.getTime() - days * DAY_MS);
+
+describe('attendancePolicy', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('isLateCancellation', () => {
+    it('is late inside the cutoff and not outside it', () => {
+      const startsIn = hours => ({ startsAt: new Date(now.getTime() + hours * HOUR_MS) });
+      expect(isLateCancellation(startsIn(5), now, 24)).toBe(true);
+      expect(isLateCancellation(startsIn(30), now, 24)).toBe(false);
+    });
+
+    it('is never late when the cutoff is off', () => {
+      expect(isLateCancellation({ startsAt: now }, now, 0)).toBe(false);
+    });
+  });
+
+  describe('noShowBlock', () => {
+    it('allows booking below the no-show limit', () => {
+      expect(noShowBlock([daysAgo(1), daysAgo(2)], now)).toBeNull();
+    });
+
+    it('blocks until the block period after the latest no-show', () => {
+      expect(noShowBlock([daysAgo(10), daysAgo(2), daysAgo(5)], now)).toEqual({
+        until: new Date(daysAgo(2).getTime() + 14 * DAY_MS),
+        noShows: 3,
+      });
+    });
+
+    it('ignores no-shows outside the window', () => {
+      expect(noShowBlock([daysAgo(40), daysAgo(2), daysAgo(5)], now)).toBeNull();
+    });
+
+    it('lifts the block once it has run', () => {
+      expect(noShowBlock([daysAgo(20), daysAgo(18), daysAgo(16)], now)).toBeNull();
+    });
+  });
+
+  describe('getBookingBlock', () => {
+    it('looks up the no-shows in the window', async () => {
+      Appointment.find.mockReturnValue({
+        select: jest.fn().mockReturnValue({
+          lean: jest
+            .fn()
+            .mockResolvedValue([1, 3, 6].map(d => ({ startsAt: daysAgo(d) }))),
+        }),
+      });
+
+      const block = await getBookingBlock('client-1', now);
+
+      expect(Appointment.find).toHaveBeenCalledWith({
+        clientId: 'client-1',
+        status: 'no_show',
+        startsAt: { $gte: daysAgo(30), $lte: now },
+      });
+      expect(block.until).toEqual(new Date(daysAgo(1).getTime() + 14 * DAY_MS));
+      expect(bookingBlockMessage(block)).toBe(
+        'Booking is paused until 2026-06-14 after 3 missed sessions in the last 30 days'
+      );
+    });
+  });
+
+  describe('summarizeAttendance', () => {
+    it('counts each outcome and the attendance rate', () => {
+      const record = summarizeAttendance(
+        [
+          { status: 'completed', startsAt: daysAgo(9) },
+          { status: 'completed', startsAt: daysAgo(8) },
+          { status: 'late', startsAt: daysAgo(7) },
+          { status: 'no_show', startsAt: daysAgo(6) },
+          { status: 'cancelled', lateCancellation: true, startsAt: daysAgo(5) },
+          { status: 'cancelled', startsAt: daysAgo(4) },
+          { status: 'scheduled', startsAt: new Date(now.getTime() + DAY_MS) },
+        ],
+        now
+      );
+
+      expect(record).toEqual({
+        total: 7,
+        upcoming: 1,
+        completed: 2,
+        late: 1,
+        noShows: 1,
+        cancelled: 2,
+        lateCancellations: 1,
+        attendanceRate: 75,
+        bookingBlockedUntil: null,
+      });
+    });
+
+    it('has no attendance rate before any session has been held', () => {
+      expect(summarizeAttendance([], now).attendanceRate).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,133 @@
+jest.mock('../../models/Appointment');
+jest.mock('../../models/User');
+
+const Appointment = require('../../models/Appointment');
+const User = require('../../models/User');
+const {
+  createFeedToken,
+  getFeedToken,
+  feedEvent,
+  buildCalendarFeed,
+} = require('../../services/calendarFeed');
+const { chain } = require('../helpers/queryChain');
+
+const now = new Date('2026-06-01T12:00:00.000Z');
+const token = 'a'.repeat(48);
+
+function makeAppointment(overrides = {}) {
+  return {
+    _id: { toString: () => 'apt1' },
+    clientId: { firstName: 'Cara', lastName: 'Client' },
+    trainerId: { firstName: 'Tom', lastName: 'Trainer' },
+    date: new Date('2026-06-02T00:00:00.000Z'),
+    time: '09:00',
+    timezone: 'UTC',
+    durationMinutes: 45,
+    status: 'scheduled',
+    calendarSequence: 2,
+    ...overrides,
+  };
+}
+
+describe('calendarFeed', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getFeedToken', () => {
+    it('returns the existing token', async () => {
+      User.findById.mockReturnValue(chain({ _id: 'u1', calendarFeedToken: token }));
+
+      expect(await getFeedToken('u1')).toBe(token);
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('creates a token on first use and replaces it on rotation', async () => {
+      User.findById.mockReturnValue(chain({ _id: 'u1' }));
+      const created = await getFeedToken('u1');
+      expect(created).toMatch(/^[a-f0-9]{48}$/);
+
+      User.findById.mockReturnValue(chain({ _id: 'u1', calendarFeedToken: created }));
+      const rotated = await getFeedToken('u1', { rotate: true });
+      expect(rotated).not.toBe(created);
+      expect(User.updateOne).toHaveBeenLastCalledWith(
+        { _id: 'u1' },
+        { $set: { calendarFeedToken: rotated } }
+      );
+    });
+
+    it('returns null for an unknown user', async () => {
+      User.findById.mockReturnValue(chain(null));
+      expect(await getFeedToken('missing')).toBeNull();
+    });
+  });
+
+  describe('feedEvent', () => {
+    it('names the event after the other participant', () => {
+      expect(feedEvent(makeAppointment(), true).summary).toBe(
+        'Training session with Cara Client'
+      );
+      expect(
+        feedEvent(makeAppointment({ sessionName: 'Assessment' }), false).summary
+      ).toBe('Assessment with Tom Trainer');
+    });
+
+    it('keeps the appointment ID as UID and its sequence', () => {
+      expect(feedEvent(makeAppointment(), true)).toMatchObject({
+        uid: 'apt1',
+        sequence: 2,
+        durationMinutes: 45,
+      });
+    });
+  });
+
+  describe('buildCalendarFeed', () => {
+    it('ignores malformed tokens without a lookup', async () => {
+      expect(await buildCalendarFeed('../etc', now)).toBeNull();
+      expect(User.findOne).not.toHaveBeenCalled();
+    });
+
+    it('returns null for an unknown token', async () => {
+      User.findOne.mockReturnValue(chain(null));
+      expect(await buildCalendarFeed(token, now)).toBeNull();
+    });
+
+    it("lists a trainer's sessions as a published calendar", async () => {
+      User.findOne.mockReturnValue(chain({ _id: 'trainer1', role: 'trainer' }));
+      const query = chain([makeAppointment()]);
+      Appointment.find.mockReturnValue(query);
+
+      const ics = await buildCalendarFeed(token, now);
+
+      expect(Appointment.find).toHaveBeenCalledWith({
+        trainerId: 'trainer1',
+        status: { $ne: 'cancelled' },
+        startsAt: { $gte: new Date('2026-05-25T12:00:00.000Z') },
+      });
+      expect(query.populate).toHaveBeenCalledWith('clientId', 'firstName lastName');
+      expect(ics).toContain('METHOD:PUBLISH');
+      expect(ics).toContain('X-WR-CALNAME:JE Fitness – Training schedule');
+      expect(ics).toContain('UID:apt1@jefitnessja.com');
+      expect(ics).toContain('SEQUENCE:2');
+      expect(ics).toContain('DTSTART:20260602T090000Z');
+      expect(ics).toContain('DTEND:20260602T094500Z');
+    });
+
+    it("lists a client's booked sessions", async () => {
+      User.findOne.mockReturnValue(chain({ _id: 'client1', role: 'user' }));
+      Appointment.find.mockReturnValue(chain([]));
+
+      const ics = await buildCalendarFeed(token, now);
+
+      expect(Appointment.find).toHaveBeenCalledWith(
+        expect.objectContaining({ clientId: 'client1' })
+      );
+      expect(ics).toContain('X-WR-CALNAME:JE Fitness – My sessions');
+      expect(ics).not.toContain('BEGIN:VEVENT');
+    });
+  });
+
+  it('creates distinct tokens', () => {
+    expect(createFeedToken()).not.toBe(createFeedToken());
+  });
+});
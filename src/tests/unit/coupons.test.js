@@ -0,0 +1,179 @@
+jest.mock('../../models/Coupon');
+jest.mock('../../models/SubscriptionLedger');
+jest.mock('../../services/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const Coupon = require('../../models/Coupon');
+const SubscriptionLedger = require('../../models/SubscriptionLedger');
+const { logger } = require('../../services/logger');
+const { ValidationError } = require('../../middleware/errorHandler');
+const {
+  normalizeCode,
+  calculateDiscount,
+  validateCoupon,
+  priceWithCoupon,
+  redeemCoupon,
+} = require('../../services/coupons');
+
+const DAY = 86400000;
+
+function mockCoupon(overrides = {}) {
+  const coupon = {
+    code: 'SPRING20',
+    discountType: 'percent',
+    discountValue: 20,
+    plans: [],
+    maxRedemptions: null,
+    redemptionCount: 0,
+    expiresAt: null,
+    firstTimeOnly: false,
+    active: true,
+    ...overrides,
+  };
+  Coupon.findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue(coupon) });
+  return coupon;
+}
+
+const request = { code: ' spring20 ', planKey: '1-month', price: 18, userId: 'user1' };
+
+describe('coupons service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    SubscriptionLedger.exists.mockResolvedValue(null);
+  });
+
+  describe('normalizeCode', () => {
+    it('trims and upper-cases codes', () => {
+      expect(normalizeCode(' spring20 ')).toBe('SPRING20');
+      expect(normalizeCode(undefined)).toBe('');
+    });
+  });
+
+  describe('calculateDiscount', () => {
+    it('applies percentage discounts rounded to cents', () => {
+      expect(
+        calculateDiscount({ discountType: 'percent', discountValue: 15 }, 49.99)
+      ).toBe(7.5);
+    });
+
+    it('caps fixed discounts at the price', () => {
+      expect(calculateDiscount({ discountType: 'fixed', discountValue: 50 }, 18)).toBe(
+        18
+      );
+      expect(calculateDiscount({ discountType: 'fixed', discountValue: 5 }, 18)).toBe(5);
+    });
+
+    it('converts fixed USD discounts to the currency being paid', () => {
+      expect(
+        calculateDiscount({ discountType: 'fixed', discountValue: 10 }, 18000, 'JMD')
+      ).toBe(1560);
+      expect(
+        calculateDiscount({ discountType: 'percent', discountValue: 20 }, 18000, 'JMD')
+      ).toBe(3600);
+    });
+
+    it('rejects fixed discounts in a currency without an exchange rate', () => {
+      expect(() =>
+        calculateDiscount({ discountType: 'fixed', discountValue: 10 }, 100, 'XYZ')
+      ).toThrow(ValidationError);
+    });
+  });
+
+  describe('validateCoupon', () => {
+    it('returns the discounted price for a valid coupon', async () => {
+      mockCoupon();
+
+      const result = await validateCoupon(request);
+
+      expect(Coupon.findOne).toHaveBeenCalledWith({ code: 'SPRING20' });
+      expect(result.discount).toBe(3.6);
+      expect(result.finalPrice).toBe(14.4);
+    });
+
+    it('rejects unknown and inactive coupons', async () => {
+      Coupon.findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
+      await expect(validateCoupon(request)).rejects.toThrow('Invalid coupon code');
+
+      mockCoupon({ active: false });
+      await expect(validateCoupon(request)).rejects.toBeInstanceOf(ValidationError);
+    });
+
+    it('rejects expired and exhausted coupons', async () => {
+      mockCoupon({ expiresAt: new Date(Date.now() - DAY) });
+      await expect(validateCoupon(request)).rejects.toThrow('expired');
+
+      mockCoupon({ maxRedemptions: 10, redemptionCount: 10 });
+      await expect(validateCoupon(request)).rejects.toThrow('redemption limit');
+    });
+
+    it('rejects coupons restricted to other plans', async () => {
+      mockCoupon({ plans: ['12-month'] });
+
+      await expect(validateCoupon(request)).rejects.toThrow('selected plan');
+    });
+
+    it('rejects first-time coupons for members who have purchased before', async () => {
+      mockCoupon({ firstTimeOnly: true });
+      SubscriptionLedger.exists.mockImplementation(async filter =>
+        filter.type === 'purchase' ? { _id: 'entry1' } : null
+      );
+
+      await expect(validateCoupon(request)).rejects.toThrow('first purchase');
+    });
+
+    it('rejects a coupon the member has already used', async () => {
+      mockCoupon();
+      SubscriptionLedger.exists.mockImplementation(async filter =>
+        filter.couponCode === 'SPRING20' ? { _id: 'entry1' } : null
+      );
+
+      await expect(validateCoupon(request)).rejects.toThrow('already used');
+    });
+
+    it('rejects discounts that would leave nothing to charge', async () => {
+      mockCoupon({ discountType: 'fixed', discountValue: 18 });
+
+      await expect(validateCoupon(request)).rejects.toThrow('cannot be applied');
+    });
+  });
+
+  describe('priceWithCoupon', () => {
+    it('prices an order with a coupon that has since run out', async () => {
+      mockCoupon({ active: false, maxRedemptions: 1, redemptionCount: 1 });
+
+      await expect(priceWithCoupon('spring20', 18000, 'JMD')).resolves.toBe(14400);
+    });
+
+    it('returns null for an unknown coupon', async () => {
+      Coupon.findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
+
+      await expect(priceWithCoupon('NOPE', 115, 'USD')).resolves.toBeNull();
+    });
+  });
+
+  describe('redeemCoupon', () => {
+    it('increments the redemption count', async () => {
+      Coupon.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+      await redeemCoupon('spring20');
+
+      expect(Coupon.updateOne).toHaveBeenCalledWith(
+        { code: 'SPRING20' },
+        { $inc: { redemptionCount: 1 } }
+      );
+    });
+
+    it('logs instead of throwing when the update fails', async () => {
+      Coupon.updateOne.mockRejectedValue(new Error('db down'));
+
+      await expect(redeemCoupon('SPRING20')).resolves.toBeUndefined();
+      expect(logger.error).toHaveBeenCalled();
+    });
+  });
+});
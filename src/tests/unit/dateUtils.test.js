@@ -6,6 +6,9 @@ const {
   addFixedYears,
   addDays,
   isLeapYear,
+  isValidTimeZone,
+  localDateString,
+  zonedTimeToUtc,
 } = require('../../utils/dateUtils');
 
 // ---------------------------------------------------------------------------
@@ -232,7 +235,9 @@ describe('calculateSubscriptionEndDate', () => {
   });
 
   it('throws for an unknown plan name', () => {
-    expect(() => calculateSubscriptionEndDate('2-month', new Date(2026, 2, 31))).toThrow();
+    expect(() =>
+      calculateSubscriptionEndDate('2-month', new Date(2026, 2, 31))
+    ).toThrow();
   });
 
   it('throws for a null start date', () => {
@@ -244,6 +249,64 @@ describe('calculateSubscriptionEndDate', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// Timezones
+// ---------------------------------------------------------------------------
+
+describe('isValidTimeZone', () => {
+  it('accepts IANA timezones', () => {
+    expect(isValidTimeZone('America/Jamaica')).toBe(true);
+    expect(isValidTimeZone('UTC')).toBe(true);
+  });
+
+  it('rejects anything else', () => {
+    expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+    expect(isValidTimeZone('')).toBe(false);
+    expect(isValidTimeZone(null)).toBe(false);
+  });
+});
+
+describe('localDateString', () => {
+  it('returns the calendar date in the given timezone', () => {
+    const instant = new Date('2026-06-02T03:00:00.000Z');
+    expect(localDateString(instant, 'UTC')).toBe('2026-06-02');
+    expect(localDateString(instant, 'America/Jamaica')).toBe('2026-06-01');
+  });
+});
+
+describe('zonedTimeToUtc', () => {
+  it('converts a local date and time to an instant', () => {
+    expect(zonedTimeToUtc('2026-06-01', '09:30', 'America/Jamaica').toISOString()).toBe(
+      '2026-06-01T14:30:00.000Z'
+    );
+    expect(
+      zonedTimeToUtc(new Date('2026-06-01T00:00:00.000Z'), '09:30', 'Pacific/Auckland')
+    ).toEqual(new Date('2026-05-31T21:30:00.000Z'));
+  });
+
+  it('follows daylight saving time', () => {
+    expect(zonedTimeToUtc('2026-01-15', '09:00', 'America/New_York').toISOString()).toBe(
+      '2026-01-15T14:00:00.000Z'
+    );
+    expect(zonedTimeToUtc('2026-07-15', '09:00', 'America/New_York').toISOString()).toBe(
+      '2026-07-15T13:00:00.000Z'
+    );
+  });
+
+  it('moves a time skipped by the spring-forward change past the gap', () => {
+    // 02:30 does not exist in New York on 2026-03-08
+    expect(zonedTimeToUtc('2026-03-08', '02:30', 'America/New_York').toISOString()).toBe(
+      '2026-03-08T07:30:00.000Z'
+    );
+  });
+
+  it('uses the first of two repeated times when clocks go back', () => {
+    expect(zonedTimeToUtc('2026-11-01', '01:30', 'America/New_York').toISOString()).toBe(
+      '2026-11-01T05:30:00.000Z'
+    );
+  });
+});
+
 // ---------------------------------------------------------------------------
 // Cleanup
 // ---------------------------------------------------------------------------
@@ -261,3 +261,65 @@ describe('sendEmailVerification', () => {
     expect(mockSend).not.toHaveBeenCalled();
   });
 });
+
+// ── Calendar invites ──────────────────────────────────────────────────────────
+describe('calendar invites', () => {
+  const {
+    buildIcs,
+    buildIcsEvents,
+    buildGcalUrl,
+    formatApptTime,
+  } = require('../../services/email/calendar');
+  const event = {
+    uid: 'appt1',
+    summary: 'Assessment',
+    description: '',
+    date: '2026-06-01T00:00:00.000Z',
+    time: '09:30',
+  };
+
+  it('ends the ICS event after the session duration', () => {
+    const ics = buildIcs({ ...event, durationMinutes: 90 });
+    expect(ics).toContain('DTSTART:20260601T093000');
+    expect(ics).toContain('DTEND:20260601T110000');
+  });
+
+  it('defaults to a one-hour event', () => {
+    expect(buildIcs(event)).toContain('DTEND:20260601T103000');
+  });
+
+  it('puts every occurrence of a series in one calendar', () => {
+    const ics = buildIcsEvents(
+      [event, { ...event, uid: 'appt2', date: '2026-06-08T00:00:00.000Z' }],
+      'CANCEL'
+    );
+    expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+    expect(ics).toContain('UID:appt1@jefitnessja.com');
+    expect(ics).toContain('UID:appt2@jefitnessja.com');
+    expect(ics).toContain('DTSTART:20260608T093000');
+    expect(ics.match(/STATUS:CANCELLED/g)).toHaveLength(2);
+    expect(ics.match(/METHOD:CANCEL/g)).toHaveLength(1);
+  });
+
+  it('passes the end time to Google Calendar', () => {
+    const url = new URL(buildGcalUrl({ ...event, durationMinutes: 30 }));
+    expect(url.searchParams.get('dates')).toBe('20260601T093000Z/20260601T100000Z');
+  });
+
+  it("writes the local time in the trainer's timezone as a UTC instant", () => {
+    const ics = buildIcs({ ...event, timeZone: 'America/Jamaica' });
+    expect(ics).toContain('DTSTART:20260601T143000Z');
+    expect(ics).toContain('DTEND:20260601T153000Z');
+
+    const url = new URL(buildGcalUrl({ ...event, timeZone: 'America/New_York' }));
+    expect(url.searchParams.get('dates')).toBe('20260601T133000Z/20260601T143000Z');
+  });
+
+  it('labels appointment times with their timezone', () => {
+    expect(formatApptTime('09:30', event.date, 'America/New_York')).toBe('9:30 AM EDT');
+    expect(formatApptTime('14:00', '2026-01-15T00:00:00.000Z', 'America/New_York')).toBe(
+      '2:00 PM EST'
+    );
+    expect(formatApptTime('09:30', event.date)).toBe('9:30 AM');
+  });
+});
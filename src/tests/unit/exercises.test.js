@@ -0,0 +1,234 @@
+jest.mock('../../models/Exercise');
+jest.mock('../../models/WorkoutLog');
+
+const Exercise = require('../../models/Exercise');
+const WorkoutLog = require('../../models/WorkoutLog');
+const { DEFAULT_EXERCISES } = require('../../config/exerciseCatalog');
+const {
+  searchExercises,
+  findExercisesByNames,
+  linkExercises,
+  suggestExercises,
+  mergeExerciseNames,
+  seedExerciseCatalogue,
+} = require('../../services/exercises');
+const {
+  normalizeExerciseName,
+  exerciseSearchTerms,
+} = require('../../utils/exerciseNames');
+const { chain } = require('../helpers/queryChain');
+
+function makeExercise(name, aliases = [], overrides = {}) {
+  return {
+    _id: `id-${normalizeExerciseName(name)}`,
+    name,
+    aliases,
+    searchTerms: exerciseSearchTerms(name, aliases),
+    ...overrides,
+  };
+}
+
+const bench = makeExercise('Bench Press', ['BB Bench', 'Flat Bench']);
+const inclineBench = makeExercise('Incline Bench Press', ['Incline Bench']);
+const squat = makeExercise('Back Squat', ['Squat', 'BB Squat']);
+
+describe('exercises', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('normalizeExerciseName', () => {
+    it('ignores case, punctuation and spacing', () => {
+      expect(normalizeExerciseName('  Pull-Up!! ')).toBe('pull up');
+      expect(normalizeExerciseName("Farmer's  Walk")).toBe('farmers walk');
+      expect(normalizeExerciseName(null)).toBe('');
+    });
+  });
+
+  describe('catalogue seed data', () => {
+    it('has unique keys and no name or alias shared between entries', () => {
+      const keys = DEFAULT_EXERCISES.map(ex => ex.key);
+      expect(new Set(keys).size).toBe(keys.length);
+
+      const owners = new Map();
+      for (const exercise of DEFAULT_EXERCISES) {
+        for (const term of exerciseSearchTerms(exercise.name, exercise.aliases)) {
+          expect([term, owners.get(term)]).toEqual([term, undefined]);
+          owners.set(term, exercise.key);
+        }
+      }
+    });
+  });
+
+  describe('searchExercises', () => {
+    it('matches the start of any word and ranks exact and prefix matches first', async () => {
+      const query = chain([bench, inclineBench]);
+      Exercise.find.mockReturnValue(query);
+
+      const results = await searchExercises('Incline');
+
+      expect(Exercise.find).toHaveBeenCalledWith({
+        isActive: true,
+        searchTerms: { $regex: '(^| )incline' },
+      });
+      expect(results.map(ex => ex.name)).toEqual(['Incline Bench Press', 'Bench Press']);
+      expect(results[0]).not.toHaveProperty('searchTerms');
+    });
+
+    it('filters by muscle and equipment and caps the limit', async () => {
+      Exercise.find.mockReturnValue(chain(Array(30).fill(bench)));
+
+      const results = await searchExercises('', {
+        muscle: 'chest',
+        equipment: 'barbell',
+        limit: 100,
+      });
+
+      expect(Exercise.find).toHaveBeenCalledWith({
+        isActive: true,
+        equipment: 'barbell',
+        $or: [{ primaryMuscles: 'chest' }, { secondaryMuscles: 'chest' }],
+      });
+      expect(results).toHaveLength(25);
+    });
+  });
+
+  describe('findExercisesByNames', () => {
+    it('maps names to entries by name or alias', async () => {
+      Exercise.find.mockReturnValue(chain([bench, squat]));
+
+      const byTerm = await findExercisesByNames(['bb bench', 'SQUAT', 'Zercher Carry']);
+
+      expect(Exercise.find).toHaveBeenCalledWith({
+        isActive: true,
+        searchTerms: { $in: ['bb bench', 'squat', 'zercher carry'] },
+      });
+      expect(byTerm.get('bb bench')).toBe(bench);
+      expect(byTerm.get('squat')).toBe(squat);
+      expect(byTerm.has('zercher carry')).toBe(false);
+    });
+
+    it("prefers the entry a name names over one it's an alias of", async () => {
+      const frontSquat = makeExercise('Front Squat', ['Back Squat']);
+      Exercise.find.mockReturnValue(chain([frontSquat, squat]));
+
+      const byTerm = await findExercisesByNames(['Back Squat']);
+      expect(byTerm.get('back squat')).toBe(squat);
+    });
+
+    it('skips the lookup without names', async () => {
+      expect((await findExercisesByNames(['  '])).size).toBe(0);
+      expect(Exercise.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('linkExercises', () => {
+    it('sets exerciseId where the name matches the catalogue', async () => {
+      Exercise.find.mockReturnValue(chain([bench]));
+
+      const linked = await linkExercises([
+        { exerciseName: 'Flat Bench', sets: [] },
+        { exerciseName: 'Mystery Move', sets: [] },
+      ]);
+
+      expect(linked).toEqual([
+        { exerciseName: 'Flat Bench', exerciseId: bench._id, sets: [] },
+        { exerciseName: 'Mystery Move', sets: [] },
+      ]);
+    });
+  });
+
+  describe('suggestExercises', () => {
+    it('suggests entries sharing the most words', () => {
+      const suggestions = suggestExercises('incline bench db', [
+        bench,
+        inclineBench,
+        squat,
+      ]);
+      expect(suggestions.map(s => s.name)).toEqual([
+        'Incline Bench Press',
+        'Bench Press',
+      ]);
+    });
+  });
+
+  describe('mergeExerciseNames', () => {
+    function mockEntry() {
+      const entry = {
+        ...makeExercise('Bench Press', ['BB Bench']),
+        save: jest.fn().mockResolvedValue(true),
+      };
+      Exercise.findById.mockResolvedValue(entry);
+      return entry;
+    }
+
+    it('links and renames logged exercises with the names in any case', async () => {
+      const entry = mockEntry();
+      WorkoutLog.updateMany.mockResolvedValue({ modifiedCount: 4 });
+
+      const result = await mergeExerciseNames(
+        ['bench', ' BB Bench ', 'bench'],
+        entry._id
+      );
+
+      expect(WorkoutLog.updateMany).toHaveBeenCalledWith(
+        { 'exercises.exerciseName': { $in: ['bench', 'BB Bench'] } },
+        {
+          $set: {
+            'exercises.$[merged].exerciseId': entry._id,
+            'exercises.$[merged].exerciseName': 'Bench Press',
+          },
+        },
+        {
+          arrayFilters: [{ 'merged.exerciseName': { $in: ['bench', 'BB Bench'] } }],
+          collation: { locale: 'en', strength: 2 },
+        }
+      );
+      expect(result.logsUpdated).toBe(4);
+      // BB Bench is already an alias
+      expect(result.aliasesAdded).toEqual(['bench']);
+      expect(entry.aliases).toEqual(['BB Bench', 'bench']);
+      expect(entry.save).toHaveBeenCalled();
+    });
+
+    it('leaves the aliases alone when asked to', async () => {
+      const entry = mockEntry();
+      WorkoutLog.updateMany.mockResolvedValue({ modifiedCount: 1 });
+
+      const result = await mergeExerciseNames(['bench'], entry._id, {
+        addAliases: false,
+      });
+
+      expect(result.aliasesAdded).toEqual([]);
+      expect(entry.save).not.toHaveBeenCalled();
+    });
+
+    it('returns null for an unknown entry', async () => {
+      Exercise.findById.mockResolvedValue(null);
+      expect(await mergeExerciseNames(['bench'], 'missing')).toBeNull();
+      expect(WorkoutLog.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('seedExerciseCatalogue', () => {
+    it('inserts missing entries without touching edited ones', async () => {
+      Exercise.bulkWrite.mockResolvedValue({ upsertedCount: 2 });
+
+      expect(await seedExerciseCatalogue()).toBe(2);
+
+      const [ops, options] = Exercise.bulkWrite.mock.calls[0];
+      expect(options).toEqual({ ordered: false });
+      expect(ops).toHaveLength(DEFAULT_EXERCISES.length);
+      expect(ops[0].updateOne).toMatchObject({
+        filter: { key: 'barbell-bench-press' },
+        upsert: true,
+        update: {
+          $setOnInsert: expect.objectContaining({
+            name: 'Bench Press',
+            searchTerms: expect.arrayContaining(['bench press', 'bb bench']),
+          }),
+        },
+      });
+    });
+  });
+});
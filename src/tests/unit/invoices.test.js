@@ -0,0 +1,246 @@
+jest.mock('../../models/Invoice', () => ({
+  findOne: jest.fn(),
+  create: jest.fn(),
+}));
+jest.mock('../../models/Counter', () => ({
+  next: jest.fn(),
+}));
+jest.mock('../../models/User', () => ({
+  findById: jest.fn(),
+}));
+jest.mock('../../services/plans', () => ({
+  getPlan: jest.fn().mockResolvedValue({ key: '1-month', name: '1 Month' }),
+}));
+jest.mock('../../services/email', () => ({
+  sendPaymentReceived: jest.fn().mockResolvedValue(undefined),
+}));
+jest.mock('../../services/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const mongoose = require('mongoose');
+
+const Invoice = require('../../models/Invoice');
+const Counter = require('../../models/Counter');
+const User = require('../../models/User');
+const { sendPaymentReceived } = require('../../services/email');
+const {
+  nextInvoiceNumber,
+  includedTax,
+  issueInvoice,
+  issueAndSendInvoice,
+} = require('../../services/invoices/issue');
+const {
+  renderInvoiceHtml,
+  renderInvoicePdf,
+  renderInvoiceText,
+} = require('../../services/invoices/render');
+const { textWidth } = require('../../services/invoices/pdf');
+
+const invoice = {
+  _id: new mongoose.Types.ObjectId(),
+  number: 'JEF-2026-000042',
+  issuedAt: new Date('2026-03-01T12:00:00Z'),
+  paidAt: new Date('2026-03-01T12:00:00Z'),
+  seller: { name: 'JE Fitness', address: 'Kingston, Jamaica', taxId: '123-456' },
+  billTo: { name: 'Ana <Smith>', email: 'ana@example.com' },
+  description: '1 Month membership',
+  periodStart: new Date('2026-03-01T00:00:00Z'),
+  periodEnd: new Date('2026-03-31T00:00:00Z'),
+  subtotal: 115,
+  discount: 23,
+  couponCode: 'SPRING20',
+  taxLabel: 'GCT',
+  taxRate: 15,
+  taxAmount: 12,
+  total: 92,
+  currency: 'USD',
+  providerTransactionId: 'ORDER-1',
+};
+
+const entry = {
+  _id: new mongoose.Types.ObjectId(),
+  userId: new mongoose.Types.ObjectId(),
+  subscriptionId: new mongoose.Types.ObjectId(),
+  type: 'purchase',
+  provider: 'paypal',
+  providerTransactionId: 'ORDER-1',
+  plan: '1-month',
+  amount: 92,
+  currency: 'USD',
+  couponCode: 'SPRING20',
+  discountAmount: 23,
+  periodStart: invoice.periodStart,
+  periodEnd: invoice.periodEnd,
+};
+
+function mockUser(user) {
+  User.findById.mockReturnValue({
+    select: jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue(user) }),
+  });
+}
+
+describe('invoices', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('includedTax', () => {
+    it('extracts the tax from a tax-inclusive total', () => {
+      expect(includedTax(115, 15)).toBe(15);
+      expect(includedTax(92, 15)).toBe(12);
+    });
+
+    it('is zero without a tax rate', () => {
+      expect(includedTax(115, 0)).toBe(0);
+    });
+  });
+
+  describe('nextInvoiceNumber', () => {
+    it('numbers invoices per year', async () => {
+      Counter.next.mockResolvedValue(42);
+
+      await expect(nextInvoiceNumber(new Date('2026-06-01T00:00:00Z'))).resolves.toBe(
+        'JEF-2026-000042'
+      );
+      expect(Counter.next).toHaveBeenCalledWith('invoice-2026');
+    });
+  });
+
+  describe('issueInvoice', () => {
+    it('returns the existing invoice for an already invoiced purchase', async () => {
+      Invoice.findOne.mockResolvedValue(invoice);
+
+      await expect(issueInvoice(entry)).resolves.toBe(invoice);
+      expect(Invoice.create).not.toHaveBeenCalled();
+      expect(Counter.next).not.toHaveBeenCalled();
+    });
+
+    it('copies the purchase, member and plan onto a new invoice', async () => {
+      Invoice.findOne.mockResolvedValue(null);
+      Counter.next.mockResolvedValue(7);
+      mockUser({ firstName: 'Ana', lastName: 'Smith', email: 'ana@example.com' });
+      Invoice.create.mockImplementation(async doc => doc);
+
+      const issued = await issueInvoice(entry);
+
+      expect(issued).toMatchObject({
+        number: expect.stringMatching(/^JEF-\d{4}-000007$/),
+        ledgerEntryId: entry._id,
+        billTo: { name: 'Ana Smith', email: 'ana@example.com' },
+        description: '1 Month membership',
+        subtotal: 115,
+        discount: 23,
+        total: 92,
+        currency: 'USD',
+        providerTransactionId: 'ORDER-1',
+      });
+    });
+
+    it('returns the winner when the same purchase is invoiced concurrently', async () => {
+      Invoice.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(invoice);
+      Counter.next.mockResolvedValue(8);
+      mockUser(null);
+      Invoice.create.mockRejectedValue(Object.assign(new Error('dup'), { code: 11000 }));
+
+      await expect(issueInvoice(entry)).resolves.toBe(invoice);
+    });
+  });
+
+  describe('issueAndSendInvoice', () => {
+    it('emails the invoice as a PDF', async () => {
+      Invoice.findOne.mockResolvedValue(invoice);
+
+      await issueAndSendInvoice(entry);
+
+      expect(sendPaymentReceived).toHaveBeenCalledWith(
+        'ana@example.com',
+        'Ana <Smith>',
+        expect.objectContaining({
+          invoiceNumber: 'JEF-2026-000042',
+          amount: 'USD 92.00',
+          pdf: expect.any(Buffer),
+        })
+      );
+    });
+
+    it('never throws', async () => {
+      Invoice.findOne.mockRejectedValue(new Error('db down'));
+
+      await expect(issueAndSendInvoice(entry)).resolves.toBeNull();
+      await expect(issueAndSendInvoice(null)).resolves.toBeNull();
+      expect(sendPaymentReceived).not.toHaveBeenCalled();
+    });
+
+    it('keeps the invoice when the email fails', async () => {
+      Invoice.findOne.mockResolvedValue(invoice);
+      sendPaymentReceived.mockRejectedValueOnce(new Error('smtp'));
+
+      await expect(issueAndSendInvoice(entry)).resolves.toBe(invoice);
+    });
+  });
+
+  describe('rendering', () => {
+    it('renders the invoice lines as escaped HTML', () => {
+      const html = renderInvoiceHtml(invoice);
+
+      expect(html).toContain('JEF-2026-000042');
+      expect(html).toContain('Ana &lt;Smith&gt;');
+      expect(html).toContain('Discount (SPRING20)');
+      expect(html).toContain('GCT (15%) included');
+      expect(html).toContain('USD 92.00');
+      expect(html).toContain('March 1, 2026 - March 31, 2026');
+    });
+
+    it('renders a plain-text summary', () => {
+      const text = renderInvoiceText(invoice);
+
+      expect(text).toContain('Invoice JEF-2026-000042 - issued March 1, 2026');
+      expect(text).toContain('Total paid: USD 92.00');
+      expect(text).toContain('Payment reference: ORDER-1');
+    });
+
+    it('renders a well-formed PDF', () => {
+      const pdf = renderInvoicePdf(invoice).toString('latin1');
+
+      expect(pdf.startsWith('%PDF-1.4\n')).toBe(true);
+      expect(pdf.trimEnd().endsWith('%%EOF')).toBe(true);
+      expect(pdf).toContain('(No. JEF-2026-000042) Tj');
+      expect(pdf).toContain('(Ana <Smith>) Tj');
+
+      // Every xref entry points at the start of its object
+      const xrefAt = Number(pdf.match(/startxref\n(\d+)/)[1]);
+      expect(pdf.slice(xrefAt, xrefAt + 4)).toBe('xref');
+      const offsets = pdf
+        .slice(xrefAt)
+        .match(/^\d{10} 00000 n $/gm)
+        .map(line => Number(line.slice(0, 10)));
+      offsets.forEach((offset, i) => {
+        expect(pdf.slice(offset, offset + `${i + 1} 0 obj`.length)).toBe(
+          `${i + 1} 0 obj`
+        );
+      });
+    });
+
+    it('escapes PDF string delimiters', () => {
+      const pdf = renderInvoicePdf({
+        ...invoice,
+        description: 'Membership (promo) \\ special',
+      }).toString('latin1');
+
+      expect(pdf).toContain('(Membership \\(promo\\) \\\\ special) Tj');
+    });
+
+    it('measures text with the Helvetica metrics', () => {
+      expect(textWidth('0', 10)).toBeCloseTo(5.56);
+      expect(textWidth('USD 1.00', 10)).toBeCloseTo(
+        (722 + 667 + 722 + 278 + 556 * 3 + 278) / 100
+      );
+    });
+  });
+});
@@ -23,7 +23,7 @@ describe('Cleanup Jobs', () => {
       jest.clearAllMocks();
     });
 
-    it('should cancel expired active subscription', async () => {
+    it('should expire an active subscription past its period end', async () => {
       const userId = new mongoose.Types.ObjectId();
       const yesterday = new Date(Date.now() - 86400000);
       const subId = new mongoose.Types.ObjectId();
@@ -32,8 +32,31 @@ describe('Cleanup Jobs', () => {
         _id: subId,
         userId,
         status: 'active',
-        currentPeriodEnd: yesterday,
-        queuedPlan: null,
+        expiresAt: yesterday,
+        save: jest.fn().mockResolvedValue(true),
+      };
+
+      Subscription.find.mockResolvedValue([mockSub]);
+
+      await cleanupExpiredSubscriptions();
+
+      expect(mockSub.status).toBe('expired');
+      expect(mockSub.active).toBe(false);
+      expect(mockSub.statusHistory[0]).toMatchObject({
+        from: 'active',
+        status: 'expired',
+        reason: 'period_ended',
+      });
+      expect(mockSub.save).toHaveBeenCalled();
+    });
+
+    it('should cancel a subscription pending cancellation at period end', async () => {
+      const mockSub = {
+        _id: new mongoose.Types.ObjectId(),
+        userId: new mongoose.Types.ObjectId(),
+        status: 'cancel_at_period_end',
+        cancelledAt: new Date(Date.now() - 5 * 86400000),
+        expiresAt: new Date(Date.now() - 86400000),
         save: jest.fn().mockResolvedValue(true),
       };
 
@@ -42,7 +65,7 @@ describe('Cleanup Jobs', () => {
       await cleanupExpiredSubscriptions();
 
       expect(mockSub.status).toBe('cancelled');
-      expect(mockSub.canceledAt).toBeDefined();
+      expect(mockSub.active).toBe(false);
       expect(mockSub.save).toHaveBeenCalled();
     });
 
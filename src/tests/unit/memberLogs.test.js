@@ -0,0 +1,60 @@
+jest.mock('../../models/WorkoutLog');
+jest.mock('../../models/MealLog');
+
+const WorkoutLog = require('../../models/WorkoutLog');
+const MealLog = require('../../models/MealLog');
+const {
+  PROFILE_LOG_LIMIT,
+  getRecentLogs,
+  deleteMemberLogs,
+} = require('../../services/memberLogs');
+const { chain } = require('../helpers/queryChain');
+
+describe('memberLogs', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getRecentLogs', () => {
+    it('returns the newest active logs with their totals', async () => {
+      const workouts = chain([{ workoutName: 'Legs' }]);
+      const meals = chain([{ mealType: 'lunch' }]);
+      WorkoutLog.find.mockReturnValue(workouts);
+      MealLog.find.mockReturnValue(meals);
+      WorkoutLog.countDocuments.mockResolvedValue(120);
+      MealLog.countDocuments.mockResolvedValue(1);
+
+      const logs = await getRecentLogs('u1');
+
+      const filter = { userId: 'u1', deletedAt: null };
+      expect(WorkoutLog.find).toHaveBeenCalledWith(filter);
+      expect(MealLog.countDocuments).toHaveBeenCalledWith(filter);
+      expect(workouts.sort).toHaveBeenCalledWith({ date: -1 });
+      expect(workouts.limit).toHaveBeenCalledWith(PROFILE_LOG_LIMIT);
+      expect(logs).toEqual({
+        workoutLogs: [{ workoutName: 'Legs' }],
+        mealLogs: [{ mealType: 'lunch' }],
+        workoutLogCount: 120,
+        mealLogCount: 1,
+      });
+    });
+  });
+
+  describe('deleteMemberLogs', () => {
+    it('removes deleted and active logs alike', async () => {
+      await deleteMemberLogs('u1');
+
+      expect(WorkoutLog.deleteMany).toHaveBeenCalledWith({ userId: 'u1' });
+      expect(MealLog.deleteMany).toHaveBeenCalledWith({ userId: 'u1' });
+    });
+
+    it('removes the logs of several members at once', async () => {
+      await deleteMemberLogs(['u1', 'u2']);
+
+      expect(WorkoutLog.deleteMany).toHaveBeenCalledWith({
+        userId: { $in: ['u1', 'u2'] },
+      });
+      expect(MealLog.deleteMany).toHaveBeenCalledWith({ userId: { $in: ['u1', 'u2'] } });
+    });
+  });
+});
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 
+jest.mock('../../models/MealLog');
 jest.mock('../../models/User');
 jest.mock('sanitize-html', () => str => str);
 jest.mock('../../services/logger', () => ({
@@ -11,6 +12,7 @@ jest.mock('../../middleware/errorHandler', () => {
   return { ...actual, asyncHandler: fn => fn };
 });
 
+const MealLog = require('../../models/MealLog');
 const User = require('../../models/User');
 const { logUserAction } = require('../../services/logger');
 const {
@@ -21,12 +23,18 @@ const {
   getStatsSummary,
   getDailyTotals,
 } = require('../../controllers/nutritionController');
+const { chain } = require('../helpers/queryChain');
 
-function makeSubdocArray(items) {
-  const arr = [...items];
-  arr.id = searchId =>
-    arr.find(item => item._id.toString() === searchId.toString()) ?? null;
-  return arr;
+function makeMeal(overrides = {}) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    mealType: 'breakfast',
+    date: new Date(),
+    totalCalories: 200,
+    foods: [{ foodName: 'Oatmeal', calories: 200 }],
+    deletedAt: null,
+    ...overrides,
+  };
 }
 
 function makeUser(overrides = {}) {
@@ -35,12 +43,14 @@ function makeUser(overrides = {}) {
     firstName: 'Test',
     lastName: 'User',
     email: 'test@example.com',
-    mealLogs: makeSubdocArray([]),
-    save: jest.fn().mockResolvedValue(true),
     ...overrides,
   };
 }
 
+function mockUserLookup(user) {
+  User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+}
+
 describe('nutritionController', () => {
   let mockReq, mockRes, mockUserId;
 
@@ -106,21 +116,16 @@ describe('nutritionController', () => {
         mealType: 'breakfast',
         foods: [{ foodName: 'Egg', calories: 80 }],
       };
-      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+      mockUserLookup(null);
       const { NotFoundError } = require('../../middleware/errorHandler');
       await expect(logMeal(mockReq, mockRes)).rejects.toBeInstanceOf(NotFoundError);
+      expect(MealLog.create).not.toHaveBeenCalled();
     });
 
     it('creates meal log successfully and returns 201', async () => {
-      const mealId = new mongoose.Types.ObjectId();
-      const mockUser = makeUser();
-      mockUser.mealLogs.push({
-        _id: mealId,
-        mealType: 'breakfast',
-        foods: [],
-        totalCalories: 150,
-      });
-      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
+      const meal = makeMeal({ totalCalories: 150 });
+      mockUserLookup(makeUser());
+      MealLog.create.mockResolvedValue(meal);
 
       mockReq.body = {
         mealType: 'breakfast',
@@ -129,16 +134,20 @@ describe('nutritionController', () => {
 
       await logMeal(mockReq, mockRes);
 
-      expect(mockUser.save).toHaveBeenCalled();
-      expect(mockRes.status).toHaveBeenCalledWith(201);
-      expect(mockRes.json).toHaveBeenCalledWith(
-        expect.objectContaining({ success: true })
+      expect(MealLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          userId: mockReq.user.id,
+          mealType: 'breakfast',
+          totalCalories: 150,
+        })
       );
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+      expect(mockRes.json).toHaveBeenCalledWith({ success: true, meal });
     });
 
     it('calls logUserAction with meal_logged', async () => {
-      const mockUser = makeUser();
-      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
+      mockUserLookup(makeUser());
+      MealLog.create.mockResolvedValue(makeMeal());
       mockReq.body = {
         mealType: 'dinner',
         foods: [{ foodName: 'Steak', calories: 400 }],
@@ -154,8 +163,8 @@ describe('nutritionController', () => {
     });
 
     it('defaults unit to g for unknown unit', async () => {
-      const mockUser = makeUser();
-      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
+      mockUserLookup(makeUser());
+      MealLog.create.mockResolvedValue(makeMeal());
       mockReq.body = {
         mealType: 'snack',
         foods: [{ foodName: 'Chips', calories: 200, unit: 'bags' }],
@@ -163,8 +172,8 @@ describe('nutritionController', () => {
 
       await logMeal(mockReq, mockRes);
 
-      const pushed = mockUser.mealLogs[mockUser.mealLogs.length - 1];
-      expect(pushed.foods[0].unit).toBe('g');
+      const created = MealLog.create.mock.calls[0][0];
+      expect(created.foods[0].unit).toBe('g');
     });
   });
 
@@ -172,88 +181,82 @@ describe('nutritionController', () => {
 
   describe('getMeals', () => {
     it('returns paginated meals excluding soft-deleted', async () => {
-      const id1 = new mongoose.Types.ObjectId();
-      const id2 = new mongoose.Types.ObjectId();
-      const meals = makeSubdocArray([
-        {
-          _id: id1,
-          mealType: 'breakfast',
-          date: new Date(),
-          totalCalories: 300,
-          foods: [],
-          deletedAt: null,
-        },
-        {
-          _id: id2,
-          mealType: 'lunch',
-          date: new Date(),
-          totalCalories: 500,
-          foods: [],
-          deletedAt: new Date(),
-        },
-      ]);
-      const mockUser = makeUser({ mealLogs: meals });
-      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
+      const meal = makeMeal();
+      MealLog.find.mockReturnValue(chain([meal]));
+      MealLog.countDocuments.mockResolvedValue(1);
 
       await getMeals(mockReq, mockRes);
 
+      expect(MealLog.find).toHaveBeenCalledWith({
+        userId: mockReq.user.id,
+        deletedAt: null,
+      });
       const call = mockRes.json.mock.calls[0][0];
       expect(call.success).toBe(true);
-      expect(call.meals).toHaveLength(1);
-      expect(call.meals[0]._id).toEqual(id1);
+      expect(call.meals).toEqual([meal]);
     });
 
-    it('filters by mealType query param', async () => {
-      const meals = makeSubdocArray([
-        {
-          _id: new mongoose.Types.ObjectId(),
-          mealType: 'breakfast',
-          date: new Date(),
-          totalCalories: 300,
-          foods: [],
-          deletedAt: null,
-        },
-        {
-          _id: new mongoose.Types.ObjectId(),
-          mealType: 'dinner',
-          date: new Date(),
-          totalCalories: 600,
-          foods: [],
-          deletedAt: null,
-        },
-      ]);
-      const mockUser = makeUser({ mealLogs: meals });
-      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
-      mockReq.query = { mealType: 'breakfast' };
+    it('filters by mealType and date range in the query', async () => {
+      MealLog.find.mockReturnValue(chain([]));
+      MealLog.countDocuments.mockResolvedValue(0);
+      mockReq.query = {
+        mealType: 'lunch',
+        startDate: '2024-01-01',
+        endDate: '2024-01-31',
+      };
 
       await getMeals(mockReq, mockRes);
 
-      const call = mockRes.json.mock.calls[0][0];
-      expect(call.meals).toHaveLength(1);
-      expect(call.meals[0].mealType).toBe('breakfast');
+      const filter = MealLog.find.mock.calls[0][0];
+      expect(filter.mealType).toBe('lunch');
+      expect(filter.date.$gte).toEqual(new Date('2024-01-01'));
+      expect(filter.date.$lte.getDate()).toBe(31);
+      expect(filter.date.$lte.getHours()).toBe(23);
+      expect(MealLog.countDocuments).toHaveBeenCalledWith(filter);
+    });
+
+    it('ignores an unknown mealType', async () => {
+      MealLog.find.mockReturnValue(chain([]));
+      MealLog.countDocuments.mockResolvedValue(0);
+      mockReq.query = { mealType: 'brunch' };
+
+      await getMeals(mockReq, mockRes);
+
+      expect(MealLog.find.mock.calls[0][0].mealType).toBeUndefined();
+    });
+
+    it('puts newest first unless sortOrder=asc', async () => {
+      const newestFirst = chain([]);
+      const oldestFirst = chain([]);
+      MealLog.find.mockReturnValueOnce(newestFirst).mockReturnValueOnce(oldestFirst);
+      MealLog.countDocuments.mockResolvedValue(0);
+
+      await getMeals(mockReq, mockRes);
+      mockReq.query = { sortOrder: 'asc' };
+      await getMeals(mockReq, mockRes);
+
+      expect(newestFirst.sort).toHaveBeenCalledWith({ date: -1, _id: -1 });
+      expect(oldestFirst.sort).toHaveBeenCalledWith({ date: 1, _id: 1 });
     });
 
     it('returns correct pagination metadata', async () => {
-      const meals = makeSubdocArray(
-        Array.from({ length: 5 }, () => ({
-          _id: new mongoose.Types.ObjectId(),
-          mealType: 'snack',
-          date: new Date(),
-          totalCalories: 100,
-          foods: [],
-          deletedAt: null,
-        }))
-      );
-      const mockUser = makeUser({ mealLogs: meals });
-      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
+      const query = chain([makeMeal(), makeMeal()]);
+      MealLog.find.mockReturnValue(query);
+      MealLog.countDocuments.mockResolvedValue(5);
       mockReq.query = { page: '2', limit: '2' };
 
       await getMeals(mockReq, mockRes);
 
+      expect(query.skip).toHaveBeenCalledWith(2);
+      expect(query.limit).toHaveBeenCalledWith(2);
       const call = mockRes.json.mock.calls[0][0];
-      expect(call.pagination.currentPage).toBe(2);
-      expect(call.pagination.totalMeals).toBe(5);
-      expect(call.pagination.hasPrevPage).toBe(true);
+      expect(call.pagination).toEqual({
+        currentPage: 2,
+        totalPages: 3,
+        totalMeals: 5,
+        hasNextPage: true,
+        hasPrevPage: true,
+      });
     });
   });
 
@@ -261,55 +264,29 @@ describe('nutritionController', () => {
 
   describe('getMealById', () => {
     it('throws ValidationError for invalid ObjectId', async () => {
-      mockReq.params = { id: 'notanid' };
+      mockReq.params = { id: 'bad' };
       const { ValidationError } = require('../../middleware/errorHandler');
       await expect(getMealById(mockReq, mockRes)).rejects.toBeInstanceOf(ValidationError);
     });
 
-    it('throws NotFoundError when meal does not exist', async () => {
+    it('throws NotFoundError when meal does not exist or is soft-deleted', async () => {
       const mealId = new mongoose.Types.ObjectId();
       mockReq.params = { id: mealId.toString() };
-      const mockUser = makeUser({ mealLogs: makeSubdocArray([]) });
-      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
-
-      const { NotFoundError } = require('../../middleware/errorHandler');
-      await expect(getMealById(mockReq, mockRes)).rejects.toBeInstanceOf(NotFoundError);
-    });
-
-    it('throws NotFoundError when meal is soft-deleted', async () => {
-      const mealId = new mongoose.Types.ObjectId();
-      mockReq.params = { id: mealId.toString() };
-      const meals = makeSubdocArray([
-        {
-          _id: mealId,
-          mealType: 'lunch',
-          date: new Date(),
-          totalCalories: 400,
-          foods: [],
-          deletedAt: new Date(),
-        },
-      ]);
-      const mockUser = makeUser({ mealLogs: meals });
-      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
+      MealLog.findOne.mockReturnValue(chain(null));
 
       const { NotFoundError } = require('../../middleware/errorHandler');
       await expect(getMealById(mockReq, mockRes)).rejects.toBeInstanceOf(NotFoundError);
+      expect(MealLog.findOne).toHaveBeenCalledWith({
+        _id: mealId.toString(),
+        userId: mockReq.user.id,
+        deletedAt: null,
+      });
     });
 
     it('returns meal for valid id', async () => {
-      const mealId = new mongoose.Types.ObjectId();
-      mockReq.params = { id: mealId.toString() };
-      const meal = {
-        _id: mealId,
-        mealType: 'snack',
-        date: new Date(),
-        totalCalories: 150,
-        foods: [],
-        deletedAt: null,
-      };
-      const meals = makeSubdocArray([meal]);
-      const mockUser = makeUser({ mealLogs: meals });
-      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
+      const meal = makeMeal();
+      mockReq.params = { id: meal._id.toString() };
+      MealLog.findOne.mockReturnValue(chain(meal));
 
       await getMealById(mockReq, mockRes);
 
@@ -321,39 +298,30 @@ describe('nutritionController', () => {
 
   describe('deleteMeal', () => {
     it('throws ValidationError for invalid ObjectId', async () => {
-      mockReq.params = { id: 'bad-id' };
+      mockReq.params = { id: 'bad' };
       const { ValidationError } = require('../../middleware/errorHandler');
       await expect(deleteMeal(mockReq, mockRes)).rejects.toBeInstanceOf(ValidationError);
     });
 
     it('throws NotFoundError when meal not found', async () => {
-      const mealId = new mongoose.Types.ObjectId();
-      mockReq.params = { id: mealId.toString() };
-      const mockUser = makeUser({ mealLogs: makeSubdocArray([]) });
-      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
+      mockReq.params = { id: new mongoose.Types.ObjectId().toString() };
+      mockUserLookup(makeUser());
+      MealLog.findOne.mockResolvedValue(null);
 
       const { NotFoundError } = require('../../middleware/errorHandler');
       await expect(deleteMeal(mockReq, mockRes)).rejects.toBeInstanceOf(NotFoundError);
     });
 
     it('soft-deletes meal, saves, calls logUserAction', async () => {
-      const mealId = new mongoose.Types.ObjectId();
-      mockReq.params = { id: mealId.toString() };
-      const meal = {
-        _id: mealId,
-        mealType: 'breakfast',
-        date: new Date(),
-        totalCalories: 200,
-        foods: [],
-        deletedAt: null,
-      };
-      const mockUser = makeUser({ mealLogs: makeSubdocArray([meal]) });
-      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
+      const meal = makeMeal({ save: jest.fn().mockResolvedValue(true) });
+      mockReq.params = { id: meal._id.toString() };
+      mockUserLookup(makeUser());
+      MealLog.findOne.mockResolvedValue(meal);
 
       await deleteMeal(mockReq, mockRes);
 
       expect(meal.deletedAt).toBeInstanceOf(Date);
-      expect(mockUser.save).toHaveBeenCalled();
+      expect(meal.save).toHaveBeenCalled();
       expect(logUserAction).toHaveBeenCalledWith(
         mockReq.user.id,
         'meal_deleted',
@@ -369,107 +337,87 @@ describe('nutritionController', () => {
   // ── getStatsSummary ────────────────────────────────────────────────────────
 
   describe('getStatsSummary', () => {
+    function mockSummary(summary) {
+      MealLog.aggregate.mockResolvedValue([
+        { totals: [], topFoods: [], mealTypes: [], lastMeal: [], ...summary },
+      ]);
+    }
+
     it('returns zero-state when no active meals', async () => {
-      const mockUser = makeUser({ mealLogs: makeSubdocArray([]) });
-      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
+      mockSummary({});
 
       await getStatsSummary(mockReq, mockRes);
 
       expect(mockRes.json).toHaveBeenCalledWith({
         success: true,
-        stats: expect.objectContaining({
+        stats: {
           totalMeals: 0,
           dailyAverageCalories: 0,
           last7DaysCalories: 0,
           topFoods: [],
+          mealTypeBreakdown: { breakfast: 0, lunch: 0, dinner: 0, snack: 0 },
           lastMeal: null,
-        }),
+        },
       });
     });
 
     it('excludes soft-deleted meals from stats', async () => {
-      const meals = makeSubdocArray([
-        {
-          _id: new mongoose.Types.ObjectId(),
-          mealType: 'breakfast',
-          date: new Date(),
-          totalCalories: 500,
-          foods: [{ foodName: 'Eggs' }],
-          deletedAt: new Date(),
-        },
-      ]);
-      const mockUser = makeUser({ mealLogs: meals });
-      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
+      mockSummary({});
 
       await getStatsSummary(mockReq, mockRes);
 
-      const call = mockRes.json.mock.calls[0][0];
-      expect(call.stats.totalMeals).toBe(0);
+      const [match] = MealLog.aggregate.mock.calls[0][0];
+      expect(match.$match.userId.toString()).toBe(mockReq.user.id);
+      expect(match.$match.deletedAt).toBeNull();
     });
 
-    it('computes mealTypeBreakdown correctly', async () => {
-      const meals = makeSubdocArray([
-        {
-          _id: new mongoose.Types.ObjectId(),
-          mealType: 'breakfast',
-          date: new Date(),
-          totalCalories: 300,
-          foods: [{ foodName: 'Toast' }],
-          deletedAt: null,
-        },
-        {
-          _id: new mongoose.Types.ObjectId(),
-          mealType: 'breakfast',
-          date: new Date(),
-          totalCalories: 250,
-          foods: [{ foodName: 'Bagel' }],
-          deletedAt: null,
-        },
-        {
-          _id: new mongoose.Types.ObjectId(),
-          mealType: 'lunch',
-          date: new Date(),
-          totalCalories: 600,
-          foods: [{ foodName: 'Sandwich' }],
-          deletedAt: null,
-        },
-      ]);
-      const mockUser = makeUser({ mealLogs: meals });
-      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
+    it('computes mealTypeBreakdown and daily average', async () => {
+      mockSummary({
+        totals: [
+          {
+            totalMeals: 3,
+            totalCalories: 1500,
+            last7DaysCalories: 900,
+            days: ['2024-01-01', '2024-01-02'],
+          },
+        ],
+        mealTypes: [
+          { _id: 'breakfast', count: 2 },
+          { _id: 'dinner', count: 1 },
+        ],
+        lastMeal: [{ mealType: 'dinner', date: new Date(), totalCalories: 600 }],
+      });
 
       await getStatsSummary(mockReq, mockRes);
 
-      const call = mockRes.json.mock.calls[0][0];
-      expect(call.stats.mealTypeBreakdown.breakfast).toBe(2);
-      expect(call.stats.mealTypeBreakdown.lunch).toBe(1);
+      const { stats } = mockRes.json.mock.calls[0][0];
+      expect(stats.totalMeals).toBe(3);
+      expect(stats.dailyAverageCalories).toBe(750);
+      expect(stats.last7DaysCalories).toBe(900);
+      expect(stats.mealTypeBreakdown).toEqual({
+        breakfast: 2,
+        lunch: 0,
+        dinner: 1,
+        snack: 0,
+      });
+      expect(stats.lastMeal.mealType).toBe('dinner');
     });
 
     it('returns topFoods by frequency', async () => {
-      const meals = makeSubdocArray([
-        {
-          _id: new mongoose.Types.ObjectId(),
-          mealType: 'breakfast',
-          date: new Date(),
-          totalCalories: 300,
-          foods: [{ foodName: 'Oats' }, { foodName: 'Banana' }],
-          deletedAt: null,
-        },
-        {
-          _id: new mongoose.Types.ObjectId(),
-          mealType: 'lunch',
-          date: new Date(),
-          totalCalories: 400,
-          foods: [{ foodName: 'Oats' }],
-          deletedAt: null,
-        },
-      ]);
-      const mockUser = makeUser({ mealLogs: meals });
-      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
+      mockSummary({
+        totals: [
+          { totalMeals: 2, totalCalories: 400, last7DaysCalories: 0, days: ['d'] },
+        ],
+        topFoods: [
+          { _id: 'Rice', count: 3 },
+          { _id: 'Egg', count: 1 },
+        ],
+      });
 
       await getStatsSummary(mockReq, mockRes);
 
-      const call = mockRes.json.mock.calls[0][0];
-      expect(call.stats.topFoods[0]).toBe('Oats');
+      const { stats } = mockRes.json.mock.calls[0][0];
+      expect(stats.topFoods).toEqual(['Rice', 'Egg']);
     });
   });
 
@@ -477,8 +425,7 @@ describe('nutritionController', () => {
 
   describe('getDailyTotals', () => {
     it('returns empty array when no meals in range', async () => {
-      const mockUser = makeUser({ mealLogs: makeSubdocArray([]) });
-      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
+      MealLog.aggregate.mockResolvedValue([]);
 
       await getDailyTotals(mockReq, mockRes);
 
@@ -489,44 +436,42 @@ describe('nutritionController', () => {
 
     it('caps days at 90', async () => {
       mockReq.query = { days: '200' };
-      const mockUser = makeUser({ mealLogs: makeSubdocArray([]) });
-      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
+      MealLog.aggregate.mockResolvedValue([]);
 
       await getDailyTotals(mockReq, mockRes);
 
-      expect(User.findById).toHaveBeenCalled();
+      const [match] = MealLog.aggregate.mock.calls[0][0];
+      const days = (Date.now() - match.$match.date.$gte) / (24 * 60 * 60 * 1000);
+      expect(Math.round(days)).toBe(90);
     });
 
-    it('aggregates meals by day', async () => {
-      const today = new Date();
-      today.setHours(12, 0, 0, 0);
-      const meals = makeSubdocArray([
-        {
-          _id: new mongoose.Types.ObjectId(),
-          mealType: 'breakfast',
-          date: today,
-          totalCalories: 300,
-          foods: [{ protein: 10, carbs: 40, fat: 5 }],
-          deletedAt: null,
-        },
+    it('returns rounded per-day totals', async () => {
+      MealLog.aggregate.mockResolvedValue([
         {
-          _id: new mongoose.Types.ObjectId(),
-          mealType: 'lunch',
-          date: today,
-          totalCalories: 500,
-          foods: [{ protein: 20, carbs: 60, fat: 10 }],
-          deletedAt: null,
+          _id: '2024-01-01',
+          totalCalories: 800.4,
+          totalProtein: 30.6,
+          totalCarbs: 100,
+          totalFat: 15.2,
+          mealCount: 2,
         },
       ]);
-      const mockUser = makeUser({ mealLogs: meals });
-      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
 
       await getDailyTotals(mockReq, mockRes);
 
-      const call = mockRes.json.mock.calls[0][0];
-      expect(call.dailyTotals).toHaveLength(1);
-      expect(call.dailyTotals[0].totalCalories).toBe(800);
-      expect(call.dailyTotals[0].mealCount).toBe(2);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        dailyTotals: [
+          {
+            date: '2024-01-01',
+            totalCalories: 800,
+            totalProtein: 31,
+            totalCarbs: 100,
+            totalFat: 15,
+            mealCount: 2,
+          },
+        ],
+      });
     });
   });
 });
@@ -0,0 +1,273 @@
+jest.mock('../../services/paypal', () => ({
+  ...jest.requireActual('../../services/paypal/checkout'),
+  getPaypalClient: jest.fn(),
+  verifyWebhookSignature: jest.fn(),
+  createPaymentLink: jest.fn(),
+  capturePayment: jest.fn(),
+  getOrderDetails: jest.fn(),
+  refundCapture: jest.fn(),
+}));
+
+const paypalService = require('../../services/paypal');
+const { getPaymentProvider, setPaymentProvider } = require('../../services/payments');
+const { createFakeProvider } = require('../../services/payments/fake');
+const paypalProvider = require('../../services/payments/paypal');
+
+const planData = { name: '1 Month', price: 29.99, currency: 'USD', durationDays: 30 };
+
+describe('payment providers', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    setPaymentProvider(null);
+    jest.clearAllMocks();
+  });
+
+  describe('getPaymentProvider', () => {
+    it('defaults to PayPal', () => {
+      delete process.env.PAYMENT_PROVIDER;
+      expect(getPaymentProvider().name).toBe('paypal');
+    });
+
+    it('selects the fake provider outside production', () => {
+      process.env.PAYMENT_PROVIDER = 'fake';
+      process.env.NODE_ENV = 'development';
+      expect(getPaymentProvider().name).toBe('fake');
+    });
+
+    it('refuses the fake provider in production', () => {
+      process.env.PAYMENT_PROVIDER = 'fake';
+      process.env.NODE_ENV = 'production';
+      expect(() => getPaymentProvider()).toThrow(/production/);
+    });
+
+    it('rejects unknown providers', () => {
+      process.env.PAYMENT_PROVIDER = 'stripe';
+      expect(() => getPaymentProvider()).toThrow('Unknown PAYMENT_PROVIDER: stripe');
+    });
+  });
+
+  describe('fake provider', () => {
+    let provider;
+
+    beforeEach(() => {
+      provider = createFakeProvider({ idPrefix: '' });
+    });
+
+    async function checkout(extra = {}) {
+      return provider.createCheckout({
+        planKey: '1-month',
+        planData,
+        userId: 'user-1',
+        ...extra,
+      });
+    }
+
+    it('creates approved orders with predictable IDs', async () => {
+      const link = await checkout({ couponCode: 'SAVE10' });
+
+      expect(link.orderId).toBe('FAKE-ORDER-1');
+      expect(link.approvalLink).toContain('token=FAKE-ORDER-1');
+      expect(await provider.getOrder(link.orderId)).toMatchObject({
+        status: 'approved',
+        userId: 'user-1',
+        planKey: '1-month',
+        couponCode: 'SAVE10',
+        captureId: null,
+        amount: 29.99,
+        currency: 'USD',
+        expectedAmount: 29.99,
+        expectedCurrency: 'USD',
+      });
+    });
+
+    it('refuses currencies PayPal cannot charge in', async () => {
+      await expect(
+        checkout({ planData: { ...planData, price: 4700, currency: 'JMD' } })
+      ).rejects.toThrow('cannot charge in JMD');
+    });
+
+    it('captures an approved order once', async () => {
+      const { orderId } = await checkout();
+
+      const captured = await provider.capture(orderId);
+      expect(captured).toMatchObject({
+        status: 'completed',
+        captureId: 'FAKE-CAPTURE-2',
+      });
+
+      await expect(provider.capture(orderId)).rejects.toThrow(/completed/);
+    });
+
+    it('waits for approval when autoApprove is off', async () => {
+      provider = createFakeProvider({ idPrefix: '', autoApprove: false });
+      const { orderId, status } = await checkout();
+
+      expect(status).toBe('created');
+      await expect(provider.capture(orderId)).rejects.toThrow(/created/);
+
+      provider.approveOrder(orderId);
+      expect((await provider.capture(orderId)).status).toBe('completed');
+    });
+
+    it('refunds up to the captured amount', async () => {
+      const { orderId } = await checkout();
+      const { captureId } = await provider.capture(orderId);
+
+      await expect(provider.refund(captureId, { amount: 10 })).resolves.toMatchObject({
+        status: 'completed',
+      });
+      await expect(provider.refund(captureId, { amount: 25 })).rejects.toThrow(
+        /remaining 19.99/
+      );
+      // No amount refunds the rest
+      await provider.refund(captureId);
+      await expect(provider.refund(captureId, { amount: 0.01 })).rejects.toThrow();
+    });
+
+    it('fails the next call on request', async () => {
+      provider.failNext('createCheckout', new Error('boom'));
+
+      await expect(checkout()).rejects.toThrow('boom');
+      await expect(checkout()).resolves.toHaveProperty('orderId');
+    });
+
+    it('signs webhooks it builds and rejects tampered ones', async () => {
+      const { orderId } = await checkout();
+      const { captureId } = await provider.capture(orderId);
+      const { headers, body } = provider.buildWebhookEvent(
+        'PAYMENT.CAPTURE.COMPLETED',
+        captureId
+      );
+
+      expect(body.resource).toMatchObject({
+        id: captureId,
+        custom_id: 'user-1:1-month::29.99:USD',
+        supplementary_data: { related_ids: { order_id: orderId } },
+      });
+      await expect(provider.verifyWebhook(headers, body)).resolves.toBe(true);
+
+      body.resource.amount.value = '0.01';
+      await expect(provider.verifyWebhook(headers, body)).resolves.toBe(false);
+      await expect(provider.verifyWebhook({}, body)).resolves.toBe(false);
+    });
+
+    it('links refund webhooks to the refunded capture', async () => {
+      const { orderId } = await checkout();
+      const { captureId } = await provider.capture(orderId);
+      const refund = await provider.refund(captureId, { amount: 5 });
+
+      const { body } = provider.buildWebhookEvent('PAYMENT.CAPTURE.REFUNDED', refund.id);
+
+      expect(body.resource.amount).toEqual({ value: '5.00', currency_code: 'USD' });
+      expect(body.resource.links[0].href).toMatch(new RegExp(`/captures/${captureId}$`));
+    });
+  });
+
+  describe('PayPal provider', () => {
+    it('flattens captured orders', async () => {
+      paypalService.capturePayment.mockResolvedValue({
+        id: 'ORDER-1',
+        status: 'COMPLETED',
+        purchase_units: [
+          {
+            custom_id: 'user-1:3-month:SAVE10',
+            payments: {
+              captures: [
+                { id: 'CAP-1', amount: { value: '70.00', currency_code: 'JMD' } },
+              ],
+            },
+          },
+        ],
+      });
+
+      await expect(paypalProvider.capture('ORDER-1')).resolves.toEqual({
+        id: 'ORDER-1',
+        status: 'completed',
+        userId: 'user-1',
+        planKey: '3-month',
+        couponCode: 'SAVE10',
+        captureId: 'CAP-1',
+        amount: 70,
+        currency: 'JMD',
+        // Created before the checkout price was recorded in custom_id
+        expectedAmount: null,
+        expectedCurrency: null,
+      });
+    });
+
+    it('uses the order amount before capture', async () => {
+      paypalService.getOrderDetails.mockResolvedValue({
+        id: 'ORDER-1',
+        status: 'APPROVED',
+        purchase_units: [
+          {
+            custom_id: 'user-1:1-month::29.99:USD',
+            amount: { value: '29.99', currency_code: 'USD' },
+          },
+        ],
+      });
+
+      await expect(paypalProvider.getOrder('ORDER-1')).resolves.toMatchObject({
+        status: 'approved',
+        captureId: null,
+        amount: 29.99,
+        couponCode: null,
+        expectedAmount: 29.99,
+        expectedCurrency: 'USD',
+      });
+    });
+
+    it('refuses currencies PayPal cannot charge in', async () => {
+      await expect(
+        paypalProvider.createCheckout({
+          planKey: '1-month',
+          planData: { ...planData, currency: 'JMD' },
+          userId: 'user-1',
+        })
+      ).rejects.toThrow('PayPal cannot charge in JMD');
+      expect(paypalService.createPaymentLink).not.toHaveBeenCalled();
+    });
+
+    it('records the checkout price in custom_id', () => {
+      const customId = paypalService.buildCustomId({
+        userId: 'user-1',
+        planKey: '3-month',
+        couponCode: 'SAVE10',
+        amount: 207,
+        currency: 'USD',
+      });
+
+      expect(customId).toBe('user-1:3-month:SAVE10:207.00:USD');
+      expect(paypalService.parseCustomId(customId)).toEqual({
+        userId: 'user-1',
+        planKey: '3-month',
+        couponCode: 'SAVE10',
+        expectedAmount: 207,
+        expectedCurrency: 'USD',
+      });
+    });
+
+    it('requires a webhook ID to verify webhooks', () => {
+      delete process.env.PAYPAL_WEBHOOK_ID;
+      expect(() => paypalProvider.verifyWebhook({}, {})).toThrow(
+        'Webhook secret not configured'
+      );
+    });
+
+    it('verifies webhooks against the configured webhook ID', async () => {
+      process.env.PAYPAL_WEBHOOK_ID = 'WH-ID';
+      paypalService.verifyWebhookSignature.mockResolvedValue(true);
+
+      await expect(paypalProvider.verifyWebhook({ a: 1 }, { id: 'E' })).resolves.toBe(
+        true
+      );
+      expect(paypalService.verifyWebhookSignature).toHaveBeenCalledWith(
+        { a: 1 },
+        { id: 'E' },
+        'WH-ID'
+      );
+    });
+  });
+});
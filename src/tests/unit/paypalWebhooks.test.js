@@ -0,0 +1,70 @@
+jest.mock('../../services/subscriptionRenewal', () => ({
+  applyPaidRenewal: jest.fn(),
+}));
+jest.mock('../../services/subscriptionRefunds', () => ({
+  applyRefund: jest.fn(),
+}));
+jest.mock('../../services/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+
+const { applyPaidRenewal } = require('../../services/subscriptionRenewal');
+const { createFakeProvider } = require('../../services/payments/fake');
+const { dispatchPaypalEvent } = require('../../services/paypalWebhooks');
+
+describe('paypalWebhooks', () => {
+  describe('PAYMENT.CAPTURE.COMPLETED', () => {
+    let provider;
+
+    async function capturedEvent(planData) {
+      const { orderId } = await provider.createCheckout({
+        planKey: '1-month',
+        planData,
+        userId: 'user-1',
+        couponCode: 'SPRING20',
+      });
+      const { captureId } = await provider.capture(orderId);
+      return provider.buildWebhookEvent('PAYMENT.CAPTURE.COMPLETED', captureId).body;
+    }
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      provider = createFakeProvider({ idPrefix: '' });
+      applyPaidRenewal.mockResolvedValue({
+        subscription: { _id: 'sub-1' },
+        applied: true,
+      });
+    });
+
+    it('credits the capture with the price checkout recorded on the order', async () => {
+      const event = await capturedEvent({ price: 92, currency: 'USD' });
+
+      await dispatchPaypalEvent(event, { provider: 'fake' });
+
+      expect(applyPaidRenewal).toHaveBeenCalledWith({
+        userId: 'user-1',
+        orderId: 'FAKE-ORDER-1',
+        captureId: 'FAKE-CAPTURE-2',
+        planKey: '1-month',
+        amount: 92,
+        currency: 'USD',
+        expectedAmount: 92,
+        expectedCurrency: 'USD',
+        couponCode: 'SPRING20',
+        provider: 'fake',
+        reason: 'capture_completed',
+      });
+    });
+
+    it('still credits a capture that does not match its checkout price', async () => {
+      const event = await capturedEvent({ price: 92, currency: 'USD' });
+      event.resource.amount.value = '80.00';
+
+      await expect(dispatchPaypalEvent(event)).resolves.toBeUndefined();
+
+      expect(applyPaidRenewal).toHaveBeenCalledWith(
+        expect.objectContaining({ amount: 80, expectedAmount: 92 })
+      );
+    });
+  });
+});
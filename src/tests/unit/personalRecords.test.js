@@ -0,0 +1,224 @@
+jest.mock('../../models/PersonalRecord');
+jest.mock('../../models/WorkoutLog');
+
+const mongoose = require('mongoose');
+
+const PersonalRecord = require('../../models/PersonalRecord');
+const WorkoutLog = require('../../models/WorkoutLog');
+const {
+  estimateOneRepMax,
+  bestOneRepMaxEstimate,
+  updateRecordsForWorkout,
+  recomputeRecords,
+  recomputeMergedRecords,
+} = require('../../services/personalRecords');
+const { chain } = require('../helpers/queryChain');
+
+function makeLog(sets, overrides = {}) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    date: new Date('2026-03-02T10:00:00Z'),
+    exercises: [
+      {
+        exerciseName: 'Bench Press',
+        sets: sets.map(([weight, reps], i) => ({
+          setNumber: i + 1,
+          weight,
+          reps,
+          completed: true,
+        })),
+      },
+    ],
+    ...overrides,
+  };
+}
+
+// Record as saved by the last bulkWrite, by exerciseKey
+function savedRecords() {
+  const [ops] = PersonalRecord.bulkWrite.mock.calls.at(-1);
+  return Object.fromEntries(
+    ops.map(op =>
+      op.replaceOne
+        ? [op.replaceOne.filter.exerciseKey, op.replaceOne.replacement]
+        : [op.deleteOne.filter.exerciseKey, null]
+    )
+  );
+}
+
+describe('personalRecords', () => {
+  const userId = 'user-1';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    PersonalRecord.find.mockReturnValue(chain([]));
+    PersonalRecord.bulkWrite.mockResolvedValue({});
+    WorkoutLog.find.mockReturnValue(chain([]));
+  });
+
+  describe('estimateOneRepMax', () => {
+    it('averages the Epley and Brzycki estimates', () => {
+      // Epley 116.7, Brzycki 112.5
+      expect(estimateOneRepMax(100, 5)).toBe(114.6);
+      expect(estimateOneRepMax(140, 1)).toBe(140);
+    });
+
+    it('does not estimate unloaded or long sets', () => {
+      expect(estimateOneRepMax(0, 10)).toBeNull();
+      expect(estimateOneRepMax(60, 13)).toBeNull();
+    });
+
+    it('picks the set with the best estimate', () => {
+      const sets = [
+        { weight: 100, reps: 5 },
+        { weight: 110, reps: 1 },
+        { weight: 50, reps: 20 },
+      ];
+      expect(bestOneRepMaxEstimate(sets)).toEqual({ value: 114.6, weight: 100, reps: 5 });
+    });
+  });
+
+  describe('updateRecordsForWorkout', () => {
+    it('builds records from earlier logs and reports what the workout beat', async () => {
+      const earlier = makeLog([
+        [100, 5],
+        [90, 8],
+      ]);
+      WorkoutLog.find.mockReturnValue(chain([earlier]));
+      const workout = makeLog(
+        [
+          [105, 3],
+          [90, 10],
+        ],
+        { date: new Date('2026-03-09T10:00:00Z') }
+      );
+
+      const broken = await updateRecordsForWorkout(userId, workout);
+
+      expect(WorkoutLog.find).toHaveBeenCalledWith({
+        userId,
+        deletedAt: null,
+        $or: [{ 'exercises.exerciseName': { $in: ['bench press'] } }],
+      });
+      // 1215 lbs of volume is short of the earlier 1220
+      expect(broken).toEqual([
+        expect.objectContaining({
+          exerciseName: 'Bench Press',
+          exerciseId: null,
+          type: 'heaviest_weight',
+          value: 105,
+          previous: 100,
+        }),
+        expect.objectContaining({ type: 'estimated_1rm', value: 120, previous: 114.6 }),
+        expect.objectContaining({ type: 'rep_max', value: 10, previous: 8, weight: 90 }),
+      ]);
+
+      const record = savedRecords()['name:bench press'];
+      expect(record.heaviestWeight).toMatchObject({ weight: 105, reps: 3 });
+      expect(record.repMaxes.map(({ weight, reps }) => [weight, reps])).toEqual([
+        [105, 3],
+        [100, 5],
+        [90, 10],
+      ]);
+    });
+
+    it('only counts more reps when no heavier set matched them', async () => {
+      PersonalRecord.find.mockReturnValue(
+        chain([
+          {
+            exerciseKey: 'name:bench press',
+            exerciseName: 'Bench Press',
+            heaviestWeight: { weight: 100, reps: 6 },
+            repMaxes: [
+              { weight: 100, reps: 6 },
+              { weight: 80, reps: 10 },
+            ],
+          },
+        ])
+      );
+
+      const broken = await updateRecordsForWorkout(
+        userId,
+        makeLog([
+          [90, 6],
+          [80, 9],
+          [70, 11],
+        ])
+      );
+
+      expect(WorkoutLog.find).not.toHaveBeenCalled();
+      expect(broken.filter(record => record.type === 'rep_max')).toEqual([
+        expect.objectContaining({ value: 11, previous: 10, weight: 70 }),
+      ]);
+    });
+
+    it('sets no badges the first time an exercise is logged', async () => {
+      const workout = makeLog([[60, 10]]);
+
+      expect(await updateRecordsForWorkout(userId, workout)).toEqual([]);
+      expect(savedRecords()['name:bench press']).toMatchObject({
+        exerciseName: 'Bench Press',
+        heaviestWeight: { weight: 60, reps: 10 },
+        sessionVolume: { volume: 600 },
+      });
+    });
+
+    it('ignores sets that were not completed', async () => {
+      PersonalRecord.find.mockReturnValue(
+        chain([
+          {
+            exerciseKey: 'name:bench press',
+            exerciseName: 'Bench Press',
+            heaviestWeight: { weight: 100, reps: 1 },
+            repMaxes: [{ weight: 100, reps: 1 }],
+          },
+        ])
+      );
+      const workout = makeLog([[120, 1]]);
+      workout.exercises[0].sets[0].completed = false;
+
+      expect(await updateRecordsForWorkout(userId, workout)).toEqual([]);
+    });
+
+    it('keeps linked exercises under their catalogue entry', async () => {
+      const benchId = new mongoose.Types.ObjectId();
+      const workout = makeLog([[60, 10]]);
+      workout.exercises.push({ ...workout.exercises[0], exerciseId: benchId });
+
+      await updateRecordsForWorkout(userId, workout);
+
+      expect(Object.keys(savedRecords()).sort()).toEqual(
+        [String(benchId), 'name:bench press'].sort()
+      );
+    });
+  });
+
+  describe('recomputeRecords', () => {
+    it('rebuilds from the remaining logs and removes records with none left', async () => {
+      WorkoutLog.find.mockReturnValue(chain([makeLog([[80, 5]])]));
+
+      await recomputeRecords(userId, [
+        { exerciseName: 'Bench Press' },
+        { exerciseName: 'Cable Fly' },
+      ]);
+
+      const records = savedRecords();
+      expect(records['name:bench press'].heaviestWeight).toMatchObject({ weight: 80 });
+      expect(records['name:cable fly']).toBeNull();
+    });
+  });
+
+  describe('recomputeMergedRecords', () => {
+    it('rebuilds records of members who had them under the merged names', async () => {
+      const benchId = new mongoose.Types.ObjectId();
+      PersonalRecord.distinct.mockResolvedValue(['user-1', 'user-2']);
+
+      expect(await recomputeMergedRecords(['BB Bench'], benchId)).toBe(2);
+
+      expect(PersonalRecord.distinct).toHaveBeenCalledWith('userId', {
+        exerciseKey: { $in: ['name:bb bench'] },
+      });
+      expect(PersonalRecord.bulkWrite).toHaveBeenCalledTimes(2);
+      expect(Object.keys(savedRecords())).toEqual([String(benchId), 'name:bb bench']);
+    });
+  });
+});
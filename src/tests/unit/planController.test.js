@@ -0,0 +1,59 @@
+jest.mock('../../models/Plan');
+jest.mock('../../services/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+  logAdminAction: jest.fn(),
+}));
+jest.mock('../../services/plans', () => ({
+  ...jest.requireActual('../../services/plans'),
+  listPlans: jest.fn(),
+  getPlan: jest.fn(),
+}));
+
+const { listPlans, getPlan } = require('../../services/plans');
+const { getAllPlans, getPlanByKey } = require('../../controllers/planController');
+
+const usdPlan = { key: '1-month', name: '1 Month', price: 115, currency: 'USD' };
+const jmdPlan = { key: '3-month', name: '3 Months', price: 36000, currency: 'JMD' };
+
+describe('planController', () => {
+  let mockRes;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockRes = {
+      json: jest.fn().mockReturnThis(),
+      status: jest.fn().mockReturnThis(),
+    };
+  });
+
+  describe('getAllPlans', () => {
+    it("formats each price in the plan's own currency", async () => {
+      listPlans.mockResolvedValue([usdPlan, jmdPlan]);
+
+      await getAllPlans({}, mockRes);
+
+      const { plans } = mockRes.json.mock.calls[0][0];
+      expect(plans[0].displayPrice).toBe('$115.00');
+      expect(plans[1].displayPrice).toMatch(/^JMD\s36,000\.00$/);
+      expect(plans[1]).toMatchObject({ price: 36000, currency: 'JMD' });
+    });
+  });
+
+  describe('getPlanByKey', () => {
+    it("formats the price in the plan's own currency", async () => {
+      getPlan.mockResolvedValue({ ...usdPlan, price: 99, currency: 'EUR' });
+
+      await getPlanByKey({ params: { key: '1-month' } }, mockRes);
+
+      expect(mockRes.json.mock.calls[0][0].plan.displayPrice).toBe('€99.00');
+    });
+
+    it('returns 404 for an unknown plan', async () => {
+      getPlan.mockResolvedValue(null);
+
+      await getPlanByKey({ params: { key: 'nope' } }, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+    });
+  });
+});
@@ -0,0 +1,146 @@
+jest.mock('../../models/Plan');
+jest.mock('../../services/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const Plan = require('../../models/Plan');
+const { DEFAULT_PLANS } = require('../../config/subscriptionConstants');
+const {
+  toPlanData,
+  priceInCurrency,
+  listPlans,
+  getPlan,
+  seedDefaultPlans,
+} = require('../../services/plans');
+
+const storedPlan = {
+  key: '3-month',
+  name: '3 Months',
+  durationDays: 90,
+  prices: { USD: 230, JMD: 36000 },
+  currency: 'USD',
+  features: ['Workout tracking'],
+  displayOrder: 2,
+  active: true,
+};
+
+function mockFind(result) {
+  const sort = jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue(result) });
+  Plan.find.mockReturnValue({ sort });
+  return sort;
+}
+
+describe('plans service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('toPlanData', () => {
+    it('exposes the billing-currency price and the JMD price', () => {
+      const data = toPlanData(storedPlan);
+
+      expect(data).toMatchObject({
+        key: '3-month',
+        price: 230,
+        priceJMD: 36000,
+        currency: 'USD',
+        durationDays: 90,
+      });
+    });
+
+    it('accepts prices stored as a Map on hydrated documents', () => {
+      const data = toPlanData({
+        ...storedPlan,
+        prices: new Map([
+          ['USD', 230],
+          ['JMD', 36000],
+        ]),
+      });
+
+      expect(data.prices).toEqual({ USD: 230, JMD: 36000 });
+      expect(data.price).toBe(230);
+    });
+  });
+
+  describe('priceInCurrency', () => {
+    it('reprices the plan in another of its currencies', () => {
+      const data = priceInCurrency(toPlanData(storedPlan), 'jmd');
+
+      expect(data).toMatchObject({ key: '3-month', price: 36000, currency: 'JMD' });
+    });
+
+    it('defaults to the billing currency', () => {
+      expect(priceInCurrency(toPlanData(storedPlan))).toMatchObject({
+        price: 230,
+        currency: 'USD',
+      });
+    });
+
+    it('returns null when the plan is not sold in the currency', () => {
+      expect(priceInCurrency(toPlanData(storedPlan), 'EUR')).toBeNull();
+    });
+  });
+
+  describe('listPlans', () => {
+    it('returns active plans in display order', async () => {
+      const sort = mockFind([storedPlan]);
+
+      const plans = await listPlans();
+
+      expect(Plan.find).toHaveBeenCalledWith({ active: true });
+      expect(sort).toHaveBeenCalledWith({ displayOrder: 1, durationDays: 1 });
+      expect(plans.map(plan => plan.key)).toEqual(['3-month']);
+    });
+
+    it('includes retired plans on request', async () => {
+      mockFind([]);
+
+      await listPlans({ includeInactive: true });
+
+      expect(Plan.find).toHaveBeenCalledWith({});
+    });
+  });
+
+  describe('getPlan', () => {
+    it('only finds active plans by default', async () => {
+      Plan.findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue(storedPlan) });
+
+      const plan = await getPlan('3-Month');
+
+      expect(Plan.findOne).toHaveBeenCalledWith({ key: '3-month', active: true });
+      expect(plan.price).toBe(230);
+    });
+
+    it('returns null for missing keys without querying', async () => {
+      expect(await getPlan(undefined)).toBeNull();
+      expect(await getPlan({ $ne: null })).toBeNull();
+      expect(Plan.findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('seedDefaultPlans', () => {
+    it('inserts the defaults into an empty collection', async () => {
+      Plan.estimatedDocumentCount.mockResolvedValue(0);
+      Plan.insertMany.mockResolvedValue([]);
+
+      const inserted = await seedDefaultPlans();
+
+      expect(inserted).toBe(Object.keys(DEFAULT_PLANS).length);
+      expect(Plan.insertMany).toHaveBeenCalledWith(
+        expect.arrayContaining([expect.objectContaining({ key: '1-month' })])
+      );
+    });
+
+    it('leaves an existing catalogue alone', async () => {
+      Plan.estimatedDocumentCount.mockResolvedValue(3);
+
+      expect(await seedDefaultPlans()).toBe(0);
+      expect(Plan.insertMany).not.toHaveBeenCalled();
+    });
+  });
+});
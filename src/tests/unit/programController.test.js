@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../models/Appointment');
+jest.mock('../../models/User');
+jest.mock('../../services/programs');
+jest.mock('../../services/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+  logUserAction: jest.fn(),
+}));
+jest.mock('../../middleware/errorHandler', () => {
+  const actual = jest.requireActual('../../middleware/errorHandler');
+  return { ...actual, asyncHandler: fn => fn };
+});
+
+const Appointment = require('../../models/Appointment');
+const Program = require('../../models/Program');
+const User = require('../../models/User');
+const { assignProgram, getProgramStatus } = require('../../services/programs');
+const {
+  createProgram,
+  assignClientProgram,
+  getTodaysWorkout,
+} = require('../../controllers/programController');
+
+function makeWeeks(exercise = {}) {
+  return [
+    {
+      days: [
+        {
+          dayOfWeek: 1,
+          name: 'Lower',
+          exercises: [
+            { exerciseName: 'Squat', sets: 5, reps: 5, percent1RM: 75, ...exercise },
+          ],
+        },
+      ],
+    },
+  ];
+}
+
+describe('programController', () => {
+  let mockReq, mockRes;
+  const trainerId = new mongoose.Types.ObjectId().toString();
+  const clientId = new mongoose.Types.ObjectId().toString();
+  const programId = new mongoose.Types.ObjectId().toString();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(Program.prototype, 'save').mockResolvedValue();
+    mockReq = { user: { id: trainerId }, body: {}, params: {}, query: {} };
+    mockRes = {
+      json: jest.fn().mockReturnThis(),
+      status: jest.fn().mockReturnThis(),
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createProgram', () => {
+    it("saves the trainer's program and returns 201", async () => {
+      mockReq.body = { name: '  Strength block ', weeks: makeWeeks() };
+
+      await createProgram(mockReq, mockRes);
+
+      const { program } = mockRes.json.mock.calls[0][0];
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+      expect(program.name).toBe('Strength block');
+      expect(program.trainerId.toString()).toBe(trainerId);
+      expect(program.weeks[0].days[0].exercises[0]).toMatchObject({
+        exerciseName: 'Squat',
+        sets: 5,
+        percent1RM: 75,
+        restSeconds: null,
+      });
+    });
+
+    it('rejects targets outside the allowed ranges', async () => {
+      mockReq.body = { name: 'Block', weeks: makeWeeks({ sets: 0 }) };
+
+      await expect(createProgram(mockReq, mockRes)).rejects.toMatchObject({
+        statusCode: 400,
+      });
+      expect(Program.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('rejects a program without weeks', async () => {
+      mockReq.body = { name: 'Block', weeks: [] };
+      await expect(createProgram(mockReq, mockRes)).rejects.toMatchObject({
+        message: 'A program needs at least one week',
+      });
+    });
+  });
+
+  describe('assignClientProgram', () => {
+    beforeEach(() => {
+      mockReq.params = { clientId };
+      mockReq.body = { programId, startDate: '2026-06-01' };
+    });
+
+    it("refuses clients the trainer hasn't worked with", async () => {
+      Appointment.exists.mockResolvedValue(null);
+      await expect(assignClientProgram(mockReq, mockRes)).rejects.toMatchObject({
+        statusCode: 403,
+      });
+      expect(assignProgram).not.toHaveBeenCalled();
+    });
+
+    it('refuses archived programs', async () => {
+      Appointment.exists.mockResolvedValue({ _id: 'apt1' });
+      jest
+        .spyOn(Program, 'findOne')
+        .mockResolvedValue({ _id: programId, isActive: false });
+
+      await expect(assignClientProgram(mockReq, mockRes)).rejects.toMatchObject({
+        message: 'This program is archived',
+      });
+    });
+
+    it('assigns the program from the start date', async () => {
+      Appointment.exists.mockResolvedValue({ _id: 'apt1' });
+      jest
+        .spyOn(Program, 'findOne')
+        .mockResolvedValue({ _id: programId, name: 'Block', isActive: true });
+      User.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue({ firstName: 'Cara', lastName: 'Client' }),
+      });
+      getProgramStatus.mockResolvedValue({ currentWeek: 1 });
+
+      await assignClientProgram(mockReq, mockRes);
+
+      expect(assignProgram).toHaveBeenCalledWith(clientId, programId, {
+        assignedBy: trainerId,
+        startDate: new Date('2026-06-01T00:00:00.000Z'),
+      });
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        current: { currentWeek: 1 },
+      });
+    });
+  });
+
+  describe('getTodaysWorkout', () => {
+    it("uses the client's local date", async () => {
+      mockReq.query = { date: '2026-06-03' };
+      getProgramStatus.mockResolvedValue({
+        program: { _id: programId, name: 'Block' },
+        today: { week: 1, day: { name: 'Lower' }, logged: false },
+      });
+
+      await getTodaysWorkout(mockReq, mockRes);
+
+      expect(getProgramStatus).toHaveBeenCalledWith(
+        trainerId,
+        new Date('2026-06-03T00:00:00.000Z')
+      );
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        workout: {
+          programId,
+          programName: 'Block',
+          week: 1,
+          day: { name: 'Lower' },
+          logged: false,
+        },
+      });
+    });
+
+    it('returns null on rest days', async () => {
+      getProgramStatus.mockResolvedValue({ today: null });
+      await getTodaysWorkout(mockReq, mockRes);
+      expect(mockRes.json).toHaveBeenCalledWith({ success: true, workout: null });
+    });
+  });
+});
@@ -0,0 +1,195 @@
+jest.mock('../../models/Program');
+jest.mock('../../models/User');
+jest.mock('../../models/WorkoutLog');
+
+const Program = require('../../models/Program');
+const User = require('../../models/User');
+const WorkoutLog = require('../../models/WorkoutLog');
+const {
+  currentAssignment,
+  programSchedule,
+  programDayOn,
+  findProgramDay,
+  getAdherence,
+  getProgramStatus,
+  assignProgram,
+  endProgram,
+} = require('../../services/programs');
+const { chain } = require('../helpers/queryChain');
+
+const day = iso => new Date(`${iso}T00:00:00.000Z`);
+
+function makeDay(id, dayOfWeek) {
+  return { _id: { toString: () => id }, dayOfWeek, name: id, exercises: [] };
+}
+
+// Monday, Wednesday and Friday for two weeks
+function makeProgram() {
+  return {
+    _id: 'program1',
+    name: 'Strength block',
+    weeks: [
+      { days: [makeDay('w1mon', 1), makeDay('w1wed', 3), makeDay('w1fri', 5)] },
+      { days: [makeDay('w2mon', 1), makeDay('w2wed', 3), makeDay('w2fri', 5)] },
+    ],
+  };
+}
+
+// Wednesday, so week 1's Monday falls after its Friday
+const startDate = day('2026-06-03');
+
+describe('programs', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('currentAssignment', () => {
+    it('is the latest assignment that has not ended', () => {
+      const user = {
+        assignedPrograms: [
+          { programId: 'old', startDate, endedAt: day('2026-05-01') },
+          { programId: 'legacy' },
+          { programId: 'current', startDate, endedAt: null },
+        ],
+      };
+      expect(currentAssignment(user).programId).toBe('current');
+      expect(currentAssignment({ assignedPrograms: [] })).toBeNull();
+    });
+  });
+
+  describe('programSchedule', () => {
+    it('places each day on the next matching weekday of its week', () => {
+      const schedule = programSchedule(makeProgram(), startDate);
+
+      expect(schedule.map(entry => [entry.week, entry.day.name, entry.date])).toEqual([
+        [1, 'w1wed', day('2026-06-03')],
+        [1, 'w1fri', day('2026-06-05')],
+        [1, 'w1mon', day('2026-06-08')],
+        [2, 'w2wed', day('2026-06-10')],
+        [2, 'w2fri', day('2026-06-12')],
+        [2, 'w2mon', day('2026-06-15')],
+      ]);
+    });
+  });
+
+  describe('programDayOn', () => {
+    it('finds the day scheduled on a date', () => {
+      const entry = programDayOn(makeProgram(), startDate, day('2026-06-12'));
+      expect(entry).toMatchObject({ week: 2, day: { name: 'w2fri' } });
+      expect(programDayOn(makeProgram(), startDate, day('2026-06-11'))).toBeNull();
+    });
+  });
+
+  describe('findProgramDay', () => {
+    it('finds a day by ID with its week', () => {
+      expect(findProgramDay(makeProgram(), 'w2mon')).toMatchObject({
+        week: 2,
+        day: { dayOfWeek: 1 },
+      });
+      expect(findProgramDay(makeProgram(), 'missing')).toBeNull();
+    });
+  });
+
+  describe('getAdherence', () => {
+    it('counts past days as due and today only once logged', async () => {
+      WorkoutLog.distinct.mockResolvedValue(['w1wed', 'w1mon']);
+
+      const adherence = await getAdherence(
+        'client1',
+        { startDate },
+        makeProgram(),
+        day('2026-06-08')
+      );
+
+      expect(WorkoutLog.distinct).toHaveBeenCalledWith(
+        'programDayId',
+        expect.objectContaining({
+          userId: 'client1',
+          programId: 'program1',
+          deletedAt: null,
+        })
+      );
+      expect(adherence).toEqual({
+        totalDays: 6,
+        dueDays: 3,
+        completedDays: 2,
+        adherenceRate: 67,
+        completedDayIds: ['w1wed', 'w1mon'],
+      });
+    });
+
+    it('has no rate before anything is due', async () => {
+      WorkoutLog.distinct.mockResolvedValue([]);
+      const adherence = await getAdherence(
+        'client1',
+        { startDate },
+        makeProgram(),
+        startDate
+      );
+      expect(adherence.adherenceRate).toBeNull();
+    });
+  });
+
+  describe('getProgramStatus', () => {
+    it("returns the client's week, today's workout and adherence", async () => {
+      User.findById.mockReturnValue(
+        chain({ assignedPrograms: [{ programId: 'program1', startDate, endedAt: null }] })
+      );
+      Program.findById.mockReturnValue(chain(makeProgram()));
+      WorkoutLog.distinct.mockResolvedValue(['w2wed']);
+
+      const status = await getProgramStatus('client1', day('2026-06-10'));
+
+      expect(status.currentWeek).toBe(2);
+      expect(status.endDate).toEqual(day('2026-06-16'));
+      expect(status.today).toMatchObject({
+        week: 2,
+        day: { name: 'w2wed' },
+        logged: true,
+      });
+      expect(status.adherence).toMatchObject({ dueDays: 4, completedDays: 1 });
+    });
+
+    it('returns null without a current program', async () => {
+      User.findById.mockReturnValue(chain({ assignedPrograms: [] }));
+      expect(await getProgramStatus('client1', startDate)).toBeNull();
+      expect(Program.findById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('assignProgram', () => {
+    it('ends the current program before adding the new one', async () => {
+      User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+      await assignProgram('client1', 'program2', { assignedBy: 'trainer1', startDate });
+
+      expect(User.updateOne).toHaveBeenNthCalledWith(
+        1,
+        { _id: 'client1' },
+        { $set: { 'assignedPrograms.$[current].endedAt': expect.any(Date) } },
+        { arrayFilters: [{ 'current.endedAt': null }] }
+      );
+      expect(User.updateOne).toHaveBeenNthCalledWith(
+        2,
+        { _id: 'client1' },
+        {
+          $push: {
+            assignedPrograms: expect.objectContaining({
+              programId: 'program2',
+              assignedBy: 'trainer1',
+              startDate,
+              endedAt: null,
+            }),
+          },
+        }
+      );
+    });
+  });
+
+  describe('endProgram', () => {
+    it('reports whether there was a program to end', async () => {
+      User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+      expect(await endProgram('client1')).toBe(false);
+    });
+  });
+});
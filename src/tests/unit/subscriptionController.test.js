@@ -1,12 +1,22 @@
 const mongoose = require('mongoose');
 
 const Subscription = require('../../models/Subscription');
-const User = require('../../models/User');
-const stripeService = require('../../services/stripe');
+const { createFakeProvider } = require('../../services/payments/fake');
+const { setPaymentProvider } = require('../../services/payments');
+const { getPlan } = require('../../services/plans');
+const { applyPaidRenewal } = require('../../services/subscriptionRenewal');
 
 jest.mock('../../models/Subscription');
 jest.mock('../../models/User');
-jest.mock('../../services/stripe');
+jest.mock('../../services/plans', () => ({
+  ...jest.requireActual('../../services/plans'),
+  getPlan: jest.fn(),
+}));
+jest.mock('../../services/subscriptionRenewal', () => ({
+  applyPaidRenewal: jest.fn(),
+  checkoutMismatch: jest.requireActual('../../services/subscriptionRenewal')
+    .checkoutMismatch,
+}));
 jest.mock('../../services/logger', () => ({
   logger: {
     info: jest.fn(),
@@ -26,20 +36,34 @@ jest.mock('../../middleware/errorHandler', () => {
 const {
   getCurrentSubscription,
   createCheckout,
-  verifyCheckoutSession,
+  verifyPayment,
   cancel,
 } = require('../../controllers/subscriptionController');
 
+const oneMonth = {
+  key: '1-month',
+  name: '1 Month',
+  durationDays: 30,
+  price: 18,
+  currency: 'USD',
+  prices: { USD: 18, EUR: 17, JMD: 2800 },
+};
+
 describe('subscriptionController', () => {
-  let mockReq, mockRes, mockNext;
+  let mockReq, mockRes, mockNext, provider;
 
   beforeEach(() => {
     jest.clearAllMocks();
+    provider = createFakeProvider({ idPrefix: '' });
+    setPaymentProvider(provider);
+    getPlan.mockResolvedValue(oneMonth);
     mockReq = {
       user: {
         _id: new mongoose.Types.ObjectId(),
         email: 'test@example.com',
       },
+      body: {},
+      params: {},
     };
     mockRes = {
       json: jest.fn().mockReturnThis(),
@@ -48,56 +72,38 @@ describe('subscriptionController', () => {
     mockNext = jest.fn();
   });
 
-  describe('getCurrentSubscription', () => {
-    it('should return active subscription with daysLeft', async () => {
-      const userId = mockReq.user._id;
-      const now = new Date();
-      const periodEnd = new Date(now.getTime() + 10 * 86400000);
+  afterAll(() => {
+    setPaymentProvider(null);
+  });
 
+  describe('getCurrentSubscription', () => {
+    it('should return the subscription with daysLeft', async () => {
+      const expiresAt = new Date(Date.now() + 10 * 86400000);
       const mockSub = {
-        userId,
         status: 'active',
-        plan: '1-month',
-        currentPeriodEnd: periodEnd,
-        toObject: jest.fn().mockReturnValue({
-          _id: new mongoose.Types.ObjectId(),
-          userId,
-          status: 'active',
-          plan: '1-month',
-          currentPeriodEnd: periodEnd,
-        }),
+        expiresAt,
+        toObject: jest
+          .fn()
+          .mockReturnValue({ status: 'active', plan: '1-month', expiresAt }),
       };
-
       Subscription.findOne.mockReturnValue({
         select: jest.fn().mockResolvedValue(mockSub),
       });
 
       await getCurrentSubscription(mockReq, mockRes, mockNext);
 
-      expect(Subscription.findOne).toHaveBeenCalledWith({
-        userId: mockReq.user._id,
-        status: { $in: ['active', 'trialing'] },
-      });
-      expect(mockRes.json).toHaveBeenCalledWith({
-        success: true,
-        data: expect.objectContaining({
-          status: 'active',
-          daysLeft: expect.any(Number),
-        }),
-      });
-    });
-
-    it('should return null if no active subscription', async () => {
-      Subscription.findOne.mockReturnValue({
-        select: jest.fn().mockResolvedValue(null),
+      expect(Subscription.findOne).toHaveBeenCalledWith({ userId: mockReq.user._id });
+      const { data } = mockRes.json.mock.calls[0][0];
+      expect(data).toMatchObject({
+        status: 'active',
+        active: true,
+        cancelAtPeriodEnd: false,
       });
-
-      await getCurrentSubscription(mockReq, mockRes, mockNext);
-
-      expect(mockRes.json).toHaveBeenCalledWith({ success: true, data: null });
+      expect(data.daysLeft).toBeGreaterThan(0);
+      expect(data.daysLeft).toBeLessThanOrEqual(10);
     });
 
-    it('should ignore cancelled subscription', async () => {
+    it('should return null if there is no subscription', async () => {
       Subscription.findOne.mockReturnValue({
         select: jest.fn().mockResolvedValue(null),
       });
@@ -106,429 +112,217 @@ describe('subscriptionController', () => {
 
       expect(mockRes.json).toHaveBeenCalledWith({ success: true, data: null });
     });
-
-    it('should calculate daysLeft correctly for upcoming period end', async () => {
-      const userId = mockReq.user._id;
-      const now = new Date();
-      const periodEnd = new Date(now.getTime() + 5 * 86400000); // 5 days from now
-
-      const mockSub = {
-        userId,
-        status: 'active',
-        plan: '1-month',
-        currentPeriodEnd: periodEnd,
-        toObject: jest.fn().mockReturnValue({
-          _id: new mongoose.Types.ObjectId(),
-          userId,
-          status: 'active',
-          plan: '1-month',
-          currentPeriodEnd: periodEnd,
-        }),
-      };
-
-      Subscription.findOne.mockReturnValue({
-        select: jest.fn().mockResolvedValue(mockSub),
-      });
-
-      await getCurrentSubscription(mockReq, mockRes, mockNext);
-
-      const callArgs = mockRes.json.mock.calls[0][0];
-      expect(callArgs.data.daysLeft).toBeGreaterThan(0);
-      expect(callArgs.data.daysLeft).toBeLessThanOrEqual(5);
-    });
   });
 
   describe('createCheckout', () => {
-    it('should create checkout session for valid plan', async () => {
-      mockReq.body = { plan: '1-month', queued: false };
-
-      const mockCustomer = { id: 'cus_123' };
-      const mockSession = { id: 'cs_123', url: 'https://checkout.stripe.com' };
-
-      stripeService.createOrRetrieveCustomer.mockResolvedValue(mockCustomer);
-      Subscription.findOne.mockResolvedValue(null);
-      stripeService.createCheckoutSession.mockResolvedValue(mockSession);
+    it('should create an order with the payment provider', async () => {
+      mockReq.body = { plan: '1-month', currency: 'EUR' };
 
       await createCheckout(mockReq, mockRes, mockNext);
 
-      expect(stripeService.createOrRetrieveCustomer).toHaveBeenCalledWith(
-        mockReq.user.email,
-        null,
-        expect.objectContaining({
-          userId: expect.any(String)
-        })
-      );
-      expect(stripeService.createCheckoutSession).toHaveBeenCalledWith(
-        mockCustomer.id,
-        '1-month',
-        null,
-        { plan: '1-month' }
-      );
-      expect(mockRes.json).toHaveBeenCalledWith({
-        sessionId: 'cs_123',
-        url: 'https://checkout.stripe.com',
+      const { data } = mockRes.json.mock.calls[0][0];
+      expect(data).toMatchObject({
+        provider: 'fake',
+        orderId: 'FAKE-ORDER-1',
+        finalPrice: 17,
+        currency: 'EUR',
+      });
+      expect(await provider.getOrder('FAKE-ORDER-1')).toMatchObject({
+        userId: mockReq.user._id.toString(),
+        planKey: '1-month',
+        amount: 17,
+        expectedAmount: 17,
+        expectedCurrency: 'EUR',
       });
     });
 
-    it('should reject invalid plan', async () => {
-      mockReq.body = { plan: 'invalid-plan', queued: false };
+    it('should not send a price the provider cannot charge in', async () => {
+      mockReq.body = { plan: '1-month', currency: 'JMD' };
 
       await createCheckout(mockReq, mockRes, mockNext);
 
       expect(mockRes.status).toHaveBeenCalledWith(400);
-      expect(mockRes.json).toHaveBeenCalledWith({ error: 'Invalid plan' });
+      expect(mockRes.json).toHaveBeenCalledWith({
+        error: 'Payments in JMD are not supported',
+      });
     });
 
-    it('should create queued checkout session for upgrade with existing active subscription', async () => {
-      mockReq.body = { plan: '3-month', queued: true };
-
-      const futureDate = new Date(Date.now() + 10 * 86400000);
-      const mockCurrentSub = { status: 'active', currentPeriodEnd: futureDate };
-      const mockCustomer = { id: 'cus_123' };
-      const mockSession = {
-        id: 'cs_queued_123',
-        url: 'https://checkout.stripe.com/queued',
-      };
-
-      stripeService.createOrRetrieveCustomer.mockResolvedValue(mockCustomer);
-      Subscription.findOne.mockResolvedValue(mockCurrentSub);
-      stripeService.createQueuedCheckoutSession.mockResolvedValue(mockSession);
+    it('should reject an invalid plan', async () => {
+      getPlan.mockResolvedValue(null);
+      mockReq.body = { plan: 'invalid-plan' };
 
       await createCheckout(mockReq, mockRes, mockNext);
 
-      expect(stripeService.createQueuedCheckoutSession).toHaveBeenCalledWith(
-        mockCustomer.id,
-        '3-month',
-        expect.any(Number),
-        expect.any(String),
-        expect.any(String)
-      );
-      expect(mockRes.json).toHaveBeenCalledWith({
-        sessionId: 'cs_queued_123',
-        url: 'https://checkout.stripe.com/queued',
-      });
-      expect(stripeService.createCheckoutSession).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({ error: 'Invalid plan' });
     });
 
-    it('should reject queued with no current subscription', async () => {
-      mockReq.body = { plan: '3-month', queued: true };
-      Subscription.findOne.mockResolvedValue(null);
+    it('should reject a currency the plan is not sold in', async () => {
+      mockReq.body = { plan: '1-month', currency: 'GBP' };
 
       await createCheckout(mockReq, mockRes, mockNext);
 
       expect(mockRes.status).toHaveBeenCalledWith(400);
-      expect(mockRes.json).toHaveBeenCalledWith({
-        error:
-          'No active subscription to queue upgrade after. Subscribe directly instead.',
-      });
-      expect(stripeService.createCheckoutSession).not.toHaveBeenCalled();
     });
 
-    it('should handle all valid plans', async () => {
-      const plans = ['1-month', '3-month', '6-month', '12-month'];
-      const mockCustomer = { id: 'cus_123' };
-      const mockSession = { id: 'cs_123', url: 'https://checkout.stripe.com' };
+    it('should return 500 when the provider fails', async () => {
+      provider.failNext('createCheckout');
+      mockReq.body = { plan: '1-month' };
 
-      stripeService.createOrRetrieveCustomer.mockResolvedValue(mockCustomer);
-      Subscription.findOne.mockResolvedValue(null);
-      stripeService.createCheckoutSession.mockResolvedValue(mockSession);
-
-      for (const plan of plans) {
-        jest.clearAllMocks();
-        mockReq.body = { plan, queued: false };
-
-        await createCheckout(mockReq, mockRes, mockNext);
+      await createCheckout(mockReq, mockRes, mockNext);
 
-        expect(stripeService.createCheckoutSession).toHaveBeenCalledWith(
-          mockCustomer.id,
-          plan,
-          null,
-          { plan }
-        );
-      }
+      expect(mockRes.status).toHaveBeenCalledWith(500);
     });
   });
 
-  describe('verifyCheckoutSession', () => {
-    it('should verify and return subscription', async () => {
-      mockReq.params = { sessionId: 'cs_123' };
-
-      const mockSession = {
-        payment_status: 'paid',
-        customer: 'cus_123',
-        subscription: 'sub_123',
-      };
+  describe('verifyPayment', () => {
+    async function placeOrder(userId = mockReq.user._id) {
+      const { orderId } = await provider.createCheckout({
+        planKey: '1-month',
+        planData: oneMonth,
+        userId,
+      });
+      return orderId;
+    }
+
+    it('should capture an approved order and apply it to the subscription', async () => {
+      const expiresAt = new Date(Date.now() + 30 * 86400000);
+      applyPaidRenewal.mockResolvedValue({
+        applied: true,
+        subscription: {
+          expiresAt,
+          toObject: () => ({ status: 'active', expiresAt, appliedTransactionIds: ['x'] }),
+        },
+      });
+      mockReq.params = { orderId: await placeOrder() };
 
-      const mockUser = {
-        _id: mockReq.user._id,
-        email: mockReq.user.email,
-        stripeCustomerId: 'cus_123',
-        save: jest.fn(),
-      };
+      await verifyPayment(mockReq, mockRes, mockNext);
 
-      const periodEnd = new Date(Date.now() + 30 * 86400000);
-      const mockSub = {
-        userId: mockReq.user._id,
-        stripeSubscriptionId: 'sub_123',
-        status: 'active',
-        plan: '1-month',
-        currentPeriodEnd: periodEnd,
-        toObject: jest.fn().mockReturnValue({
-          _id: new mongoose.Types.ObjectId(),
+      expect(applyPaidRenewal).toHaveBeenCalledWith(
+        expect.objectContaining({
           userId: mockReq.user._id,
-          stripeSubscriptionId: 'sub_123',
-          status: 'active',
-          plan: '1-month',
-          currentPeriodEnd: periodEnd,
-        }),
-      };
-
-      stripeService.getCheckoutSession.mockResolvedValue(mockSession);
-      User.findById.mockResolvedValue(mockUser);
-      Subscription.findOne.mockResolvedValue(mockSub);
-
-      await verifyCheckoutSession(mockReq, mockRes, mockNext);
-
-      expect(stripeService.getCheckoutSession).toHaveBeenCalledWith('cs_123');
-      expect(mockRes.json).toHaveBeenCalledWith({
-        success: true,
-        data: expect.objectContaining({
-          status: 'active',
-          plan: '1-month',
-          daysLeft: expect.any(Number),
-        }),
-      });
+          orderId: 'FAKE-ORDER-1',
+          captureId: 'FAKE-CAPTURE-2',
+          planKey: '1-month',
+          amount: 18,
+          expectedAmount: 18,
+          expectedCurrency: 'USD',
+          provider: 'fake',
+        })
+      );
+      const { data } = mockRes.json.mock.calls[0][0];
+      expect(data.status).toBe('active');
+      expect(data.appliedTransactionIds).toBeUndefined();
     });
 
-    it('should reject unpaid session', async () => {
-      mockReq.params = { sessionId: 'cs_123' };
-
-      const mockSession = {
-        payment_status: 'unpaid',
-      };
+    it('should not capture an order that no longer matches its checkout price', async () => {
+      const orderId = await placeOrder();
+      const order = await provider.getOrder(orderId);
+      provider.getOrder = jest.fn().mockResolvedValue({ ...order, amount: 1 });
+      provider.capture = jest.fn();
+      mockReq.params = { orderId };
 
-      stripeService.getCheckoutSession.mockResolvedValue(mockSession);
-
-      await verifyCheckoutSession(mockReq, mockRes, mockNext);
+      await verifyPayment(mockReq, mockRes, mockNext);
 
       expect(mockRes.status).toHaveBeenCalledWith(400);
-      expect(mockRes.json).toHaveBeenCalledWith({ error: 'Invalid or unpaid session' });
+      expect(provider.capture).not.toHaveBeenCalled();
+      expect(applyPaidRenewal).not.toHaveBeenCalled();
     });
 
-    it('should reject if session is null', async () => {
-      mockReq.params = { sessionId: 'cs_123' };
-
-      stripeService.getCheckoutSession.mockResolvedValue(null);
+    it('should credit an already captured order even when the plan has been repriced', async () => {
+      getPlan.mockResolvedValue({ ...oneMonth, price: 25, prices: { USD: 25 } });
+      applyPaidRenewal.mockResolvedValue({
+        applied: true,
+        subscription: { expiresAt: new Date(), toObject: () => ({ status: 'active' }) },
+      });
+      const orderId = await placeOrder();
+      await provider.capture(orderId);
+      mockReq.params = { orderId };
 
-      await verifyCheckoutSession(mockReq, mockRes, mockNext);
+      await verifyPayment(mockReq, mockRes, mockNext);
 
-      expect(mockRes.status).toHaveBeenCalledWith(400);
-      expect(mockRes.json).toHaveBeenCalledWith({ error: 'Invalid or unpaid session' });
+      expect(mockRes.status).not.toHaveBeenCalled();
+      expect(applyPaidRenewal).toHaveBeenCalledWith(
+        expect.objectContaining({
+          amount: 18,
+          expectedAmount: 18,
+          expectedCurrency: 'USD',
+        })
+      );
     });
 
-    it('should reject customer mismatch', async () => {
-      mockReq.params = { sessionId: 'cs_123' };
-
-      const mockSession = {
-        payment_status: 'paid',
-        customer: 'cus_123',
-        subscription: 'sub_123',
-      };
+    it('should reject an order that was not approved', async () => {
+      provider = createFakeProvider({ idPrefix: '', autoApprove: false });
+      setPaymentProvider(provider);
+      mockReq.params = { orderId: await placeOrder() };
 
-      const mockUser = {
-        _id: mockReq.user._id,
-        email: mockReq.user.email,
-        stripeCustomerId: 'cus_different',
-        save: jest.fn(),
-      };
+      await verifyPayment(mockReq, mockRes, mockNext);
 
-      stripeService.getCheckoutSession.mockResolvedValue(mockSession);
-      User.findById.mockResolvedValue(mockUser);
-
-      await verifyCheckoutSession(mockReq, mockRes, mockNext);
-
-      expect(mockRes.status).toHaveBeenCalledWith(403);
-      expect(mockRes.json).toHaveBeenCalledWith({ error: 'Customer mismatch' });
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({ error: 'Payment not approved' });
+      expect(applyPaidRenewal).not.toHaveBeenCalled();
     });
 
-    it('should create customer if missing', async () => {
-      mockReq.params = { sessionId: 'cs_123' };
-
-      const mockSession = {
-        payment_status: 'paid',
-        customer: 'cus_123',
-        subscription: 'sub_123',
-      };
+    it("should reject another account's order", async () => {
+      mockReq.params = { orderId: await placeOrder(new mongoose.Types.ObjectId()) };
 
-      const mockUser = {
-        _id: mockReq.user._id,
-        email: mockReq.user.email,
-        stripeCustomerId: null,
-        save: jest.fn(),
-      };
+      await verifyPayment(mockReq, mockRes, mockNext);
 
-      const mockNewCustomer = { id: 'cus_123' };
-
-      const periodEnd = new Date(Date.now() + 30 * 86400000);
-      const mockSub = {
-        userId: mockReq.user._id,
-        stripeSubscriptionId: 'sub_123',
-        status: 'active',
-        plan: '1-month',
-        currentPeriodEnd: periodEnd,
-        toObject: jest.fn().mockReturnValue({
-          _id: new mongoose.Types.ObjectId(),
-          userId: mockReq.user._id,
-          stripeSubscriptionId: 'sub_123',
-          status: 'active',
-          plan: '1-month',
-          currentPeriodEnd: periodEnd,
-        }),
-      };
-
-      stripeService.getCheckoutSession.mockResolvedValue(mockSession);
-      User.findById.mockResolvedValue(mockUser);
-      stripeService.createOrRetrieveCustomer.mockResolvedValue(mockNewCustomer);
-      Subscription.findOne.mockResolvedValue(mockSub);
-
-      await verifyCheckoutSession(mockReq, mockRes, mockNext);
-
-      expect(stripeService.createOrRetrieveCustomer).toHaveBeenCalledWith(
-        mockUser.email,
-        null,
-        expect.objectContaining({
-          userId: expect.any(String)
-        })
-      );
-      expect(mockUser.save).toHaveBeenCalled();
-      expect(mockRes.json).toHaveBeenCalledWith({
-        success: true,
-        data: expect.objectContaining({
-          status: 'active',
-        }),
-      });
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+      expect(applyPaidRenewal).not.toHaveBeenCalled();
     });
 
-    it('should reject if subscription not found', async () => {
-      mockReq.params = { sessionId: 'cs_123' };
-
-      const mockSession = {
-        payment_status: 'paid',
-        customer: 'cus_123',
-        subscription: 'sub_123',
-      };
+    it('should reject an order with no account on it', async () => {
+      const orderId = await placeOrder();
+      const order = await provider.getOrder(orderId);
+      provider.getOrder = jest.fn().mockResolvedValue({ ...order, userId: null });
+      mockReq.params = { orderId };
 
-      const mockUser = {
-        _id: mockReq.user._id,
-        email: mockReq.user.email,
-        stripeCustomerId: 'cus_123',
-        save: jest.fn(),
-      };
-
-      stripeService.getCheckoutSession.mockResolvedValue(mockSession);
-      User.findById.mockResolvedValue(mockUser);
-      Subscription.findOne.mockResolvedValue(null);
+      await verifyPayment(mockReq, mockRes, mockNext);
 
-      await verifyCheckoutSession(mockReq, mockRes, mockNext);
-
-      expect(mockRes.status).toHaveBeenCalledWith(400);
-      expect(mockRes.json).toHaveBeenCalledWith({ error: 'Subscription not found' });
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+      expect(applyPaidRenewal).not.toHaveBeenCalled();
     });
   });
 
   describe('cancel', () => {
-    it('should cancel immediately and update DB', async () => {
-      mockReq.params = { subscriptionId: 'sub_db_123' };
-      mockReq.body = { atPeriodEnd: false };
-
+    it('should keep paid time until the end of the period', async () => {
       const mockSub = {
-        _id: 'sub_db_123',
-        userId: mockReq.user._id,
         status: 'active',
-        stripeSubscriptionId: 'stripe_sub_123',
-        canceledAt: null,
+        expiresAt: new Date(Date.now() + 10 * 86400000),
         save: jest.fn(),
       };
-
       Subscription.findOne.mockResolvedValue(mockSub);
-      stripeService.cancelSubscription.mockResolvedValue({});
 
       await cancel(mockReq, mockRes, mockNext);
 
-      expect(stripeService.cancelSubscription).toHaveBeenCalledWith(
-        'stripe_sub_123',
-        false
-      );
-      expect(mockSub.status).toBe('cancelled');
-      expect(mockSub.canceledAt).toBeDefined();
+      expect(mockSub.status).toBe('cancel_at_period_end');
+      expect(mockSub.cancelledAt).toBeInstanceOf(Date);
       expect(mockSub.save).toHaveBeenCalled();
-      expect(mockRes.json).toHaveBeenCalledWith({
-        message: 'Subscription cancelled immediately',
-      });
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          message: 'Subscription will end at the close of the current period',
+        })
+      );
     });
 
-    it('should schedule cancellation at period end', async () => {
-      mockReq.params = { subscriptionId: 'sub_db_123' };
-      mockReq.body = { atPeriodEnd: true };
-
-      const mockSub = {
-        _id: 'sub_db_123',
-        userId: mockReq.user._id,
-        status: 'active',
-        stripeSubscriptionId: 'stripe_sub_123',
-      };
-
+    it('should end a trial immediately', async () => {
+      const mockSub = { status: 'trialing', expiresAt: new Date(), save: jest.fn() };
       Subscription.findOne.mockResolvedValue(mockSub);
-      stripeService.cancelSubscription.mockResolvedValue({});
 
       await cancel(mockReq, mockRes, mockNext);
 
-      expect(stripeService.cancelSubscription).toHaveBeenCalledWith(
-        'stripe_sub_123',
-        true
-      );
-      expect(mockRes.json).toHaveBeenCalledWith({
-        message: 'Cancellation scheduled for period end',
-      });
+      expect(mockSub.status).toBe('cancelled');
+      expect(mockRes.json.mock.calls[0][0].data.daysLeft).toBe(0);
     });
 
     it('should reject if subscription not found', async () => {
-      mockReq.params = { subscriptionId: 'sub_db_123' };
-      mockReq.body = { atPeriodEnd: false };
-
       Subscription.findOne.mockResolvedValue(null);
 
       await cancel(mockReq, mockRes, mockNext);
 
       expect(mockRes.status).toHaveBeenCalledWith(404);
-      expect(mockRes.json).toHaveBeenCalledWith({
-        error: 'No active subscription found',
-      });
-    });
-
-    it('should not require stripeSubscriptionId to cancel immediately', async () => {
-      mockReq.params = { subscriptionId: 'sub_db_123' };
-      mockReq.body = { atPeriodEnd: false };
-
-      const mockSub = {
-        _id: 'sub_db_123',
-        userId: mockReq.user._id,
-        status: 'active',
-        stripeSubscriptionId: null,
-        canceledAt: null,
-        save: jest.fn(),
-      };
-
-      Subscription.findOne.mockResolvedValue(mockSub);
-
-      await cancel(mockReq, mockRes, mockNext);
-
-      expect(stripeService.cancelSubscription).not.toHaveBeenCalled();
-      expect(mockSub.save).toHaveBeenCalled();
-      expect(mockRes.json).toHaveBeenCalledWith({
-        message: 'Subscription cancelled immediately',
-      });
+      expect(mockRes.json).toHaveBeenCalledWith({ error: 'No subscription found' });
     });
   });
-
 });
@@ -3,9 +3,6 @@
  *
  * Verifies that the subscription countdown is computed correctly end-to-end:
  * controller → computeDaysLeft → daysLeftUntil (dateUtils).
- *
- * stripeService.getStripe is mocked to return null so the auto-heal path is
- * never triggered; tests exercise the normal read path only.
  */
 
 const express = require('express');
@@ -32,14 +29,6 @@ jest.mock('../../models/User', () => ({
   findOne: jest.fn(),
 }));
 
-jest.mock('../../services/stripe', () => ({
-  // Return null so the auto-heal branch is skipped in all tests
-  getStripe: jest.fn().mockReturnValue(null),
-  getPlanPricing: jest.fn().mockResolvedValue([]),
-  createOrRetrieveCustomer: jest.fn(),
-  getPlanNameFromPriceId: jest.fn(),
-}));
-
 jest.mock('../../middleware/auth', () => ({
   auth: (req, res, next) => {
     req.user = { _id: 'user_test_id' };
@@ -0,0 +1,87 @@
+jest.mock('../../services/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const mongoose = require('mongoose');
+
+const SubscriptionLedger = require('../../models/SubscriptionLedger');
+const { logger } = require('../../services/logger');
+const { recordLedgerEntry } = require('../../services/subscriptionLedger');
+
+describe('SubscriptionLedger', () => {
+  const baseEntry = () => ({
+    userId: new mongoose.Types.ObjectId(),
+    type: 'purchase',
+    provider: 'paypal',
+    providerTransactionId: 'ORDER-123',
+    amount: 115,
+    currency: 'USD',
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('model', () => {
+    it('rejects unknown entry types', async () => {
+      const entry = new SubscriptionLedger({ ...baseEntry(), type: 'gift' });
+      await expect(entry.validate()).rejects.toThrow();
+    });
+
+    it('refuses to save an existing entry', async () => {
+      const entry = new SubscriptionLedger(baseEntry());
+      entry.isNew = false;
+      await expect(entry.save()).rejects.toThrow(
+        'Subscription ledger entries are immutable'
+      );
+    });
+
+    it('refuses query updates', async () => {
+      await expect(
+        SubscriptionLedger.updateOne(
+          { _id: new mongoose.Types.ObjectId() },
+          { amount: 0 }
+        )
+      ).rejects.toThrow('Subscription ledger entries are immutable');
+    });
+  });
+
+  describe('recordLedgerEntry', () => {
+    it('creates the entry', async () => {
+      const entry = baseEntry();
+      jest.spyOn(SubscriptionLedger, 'create').mockResolvedValue({ _id: 'l1', ...entry });
+
+      const result = await recordLedgerEntry(entry);
+
+      expect(SubscriptionLedger.create).toHaveBeenCalledWith(entry);
+      expect(result._id).toBe('l1');
+    });
+
+    it('skips an already-recorded provider transaction', async () => {
+      const dupErr = Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      jest.spyOn(SubscriptionLedger, 'create').mockRejectedValue(dupErr);
+
+      const result = await recordLedgerEntry(baseEntry());
+
+      expect(result).toBeNull();
+      expect(logger.error).not.toHaveBeenCalled();
+    });
+
+    it('logs and swallows other failures', async () => {
+      jest.spyOn(SubscriptionLedger, 'create').mockRejectedValue(new Error('db down'));
+
+      const result = await recordLedgerEntry(baseEntry());
+
+      expect(result).toBeNull();
+      expect(logger.error).toHaveBeenCalledWith(
+        'Failed to record subscription ledger entry',
+        expect.objectContaining({ error: 'db down' })
+      );
+    });
+  });
+});
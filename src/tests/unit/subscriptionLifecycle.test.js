@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+const Subscription = require('../../models/Subscription');
+const {
+  hasAccess,
+  canTransition,
+  transitionSubscription,
+} = require('../../services/subscriptionLifecycle');
+
+describe('subscriptionLifecycle', () => {
+  describe('hasAccess', () => {
+    it('grants access to trialing, active and cancel_at_period_end', () => {
+      expect(hasAccess('trialing')).toBe(true);
+      expect(hasAccess('active')).toBe(true);
+      expect(hasAccess('cancel_at_period_end')).toBe(true);
+    });
+
+    it('denies access to ended or unpaid states', () => {
+      ['past_due', 'cancelled', 'expired', 'refunded'].forEach(status => {
+        expect(hasAccess(status)).toBe(false);
+      });
+    });
+  });
+
+  describe('canTransition', () => {
+    it('allows renewing an active subscription', () => {
+      expect(canTransition('active', 'active')).toBe(true);
+    });
+
+    it('rejects moving an expired subscription to cancel_at_period_end', () => {
+      expect(canTransition('expired', 'cancel_at_period_end')).toBe(false);
+    });
+
+    it('rejects unknown statuses', () => {
+      expect(canTransition('paused', 'active')).toBe(false);
+    });
+  });
+
+  describe('transitionSubscription', () => {
+    it('updates status, active flag and records history', () => {
+      const adminId = new mongoose.Types.ObjectId();
+      const at = new Date('2026-01-01T00:00:00Z');
+      const sub = { status: 'active', active: true, statusHistory: [] };
+
+      transitionSubscription(sub, 'cancel_at_period_end', {
+        reason: 'member_cancelled',
+        changedBy: adminId,
+        at,
+      });
+
+      expect(sub.status).toBe('cancel_at_period_end');
+      expect(sub.active).toBe(true);
+      expect(sub.cancelledAt).toEqual(at);
+      expect(sub.statusHistory).toEqual([
+        {
+          from: 'active',
+          status: 'cancel_at_period_end',
+          changedAt: at,
+          reason: 'member_cancelled',
+          changedBy: adminId,
+        },
+      ]);
+    });
+
+    it('clears cancelledAt when a subscription is resumed', () => {
+      const sub = { status: 'cancel_at_period_end', cancelledAt: new Date() };
+
+      transitionSubscription(sub, 'active');
+
+      expect(sub.cancelledAt).toBeNull();
+      expect(sub.statusHistory).toHaveLength(1);
+    });
+
+    it('throws a 409 error for an invalid transition', () => {
+      const sub = { status: 'expired' };
+
+      expect(() => transitionSubscription(sub, 'past_due')).toThrow(
+        'Cannot change subscription from expired to past_due'
+      );
+      try {
+        transitionSubscription(sub, 'past_due');
+      } catch (err) {
+        expect(err.statusCode).toBe(409);
+      }
+      expect(sub.status).toBe('expired');
+    });
+
+    it('lets a new document start in any status', () => {
+      const sub = new Subscription({
+        userId: new mongoose.Types.ObjectId(),
+        expiresAt: new Date(Date.now() + 86400000),
+      });
+
+      transitionSubscription(sub, 'active', { reason: 'payment_verified' });
+
+      expect(sub.status).toBe('active');
+      expect(sub.active).toBe(true);
+      expect(sub.statusHistory[0].from).toBeNull();
+    });
+  });
+
+  describe('Subscription model', () => {
+    it('exposes expiresAt as currentPeriodEnd', () => {
+      const expiresAt = new Date(Date.now() + 86400000);
+      const sub = new Subscription({ userId: new mongoose.Types.ObjectId(), expiresAt });
+
+      expect(sub.currentPeriodEnd).toEqual(expiresAt);
+      expect(sub.toObject().currentPeriodEnd).toEqual(expiresAt);
+    });
+
+    it('derives active from status on validation', async () => {
+      const sub = new Subscription({
+        userId: new mongoose.Types.ObjectId(),
+        status: 'refunded',
+        active: true,
+        expiresAt: new Date(Date.now() + 86400000),
+      });
+
+      await sub.validate();
+
+      expect(sub.active).toBe(false);
+    });
+  });
+});
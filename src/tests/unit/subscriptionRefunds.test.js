@@ -0,0 +1,186 @@
+jest.mock('../../models/Subscription');
+jest.mock('../../models/SubscriptionLedger');
+jest.mock('../../models/User');
+jest.mock('../../services/subscriptionLedger', () => ({
+  recordLedgerEntry: jest.fn().mockResolvedValue(null),
+}));
+jest.mock('../../services/email', () => ({
+  sendRefundProcessed: jest.fn().mockResolvedValue(undefined),
+}));
+jest.mock('../../services/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const Subscription = require('../../models/Subscription');
+const SubscriptionLedger = require('../../models/SubscriptionLedger');
+const User = require('../../models/User');
+const { recordLedgerEntry } = require('../../services/subscriptionLedger');
+const { sendRefundProcessed } = require('../../services/email');
+const {
+  proratedDaysToRemove,
+  applyRefund,
+} = require('../../services/subscriptionRefunds');
+
+const DAY = 86400000;
+
+describe('subscriptionRefunds', () => {
+  describe('proratedDaysToRemove', () => {
+    it('removes the refunded share of the purchased days', () => {
+      expect(
+        proratedDaysToRemove({
+          paidAmount: 230,
+          daysPurchased: 90,
+          previouslyRefunded: 0,
+          refundAmount: 115,
+        })
+      ).toBe(45);
+    });
+
+    it('never removes more than was purchased across repeated refunds', () => {
+      const purchase = { paidAmount: 115, daysPurchased: 30 };
+      const first = proratedDaysToRemove({
+        ...purchase,
+        previouslyRefunded: 0,
+        refundAmount: 38.33,
+      });
+      const second = proratedDaysToRemove({
+        ...purchase,
+        previouslyRefunded: 38.33,
+        refundAmount: 38.33,
+      });
+      const third = proratedDaysToRemove({
+        ...purchase,
+        previouslyRefunded: 76.66,
+        refundAmount: 100,
+      });
+
+      expect(first + second + third).toBe(30);
+    });
+  });
+
+  describe('applyRefund', () => {
+    const userId = 'user1';
+    const refund = {
+      userId,
+      refundId: 'REFUND-1',
+      captureId: 'CAPTURE-1',
+      amount: 115,
+      currency: 'USD',
+      reason: 'capture_refunded',
+    };
+
+    function mockSubscription(sub) {
+      Subscription.findOne.mockReturnValue({
+        select: jest.fn().mockResolvedValue(sub),
+      });
+    }
+
+    function mockLedger({ purchase, refunds = [] }) {
+      SubscriptionLedger.findOne.mockReturnValue({
+        lean: jest.fn().mockResolvedValue(purchase),
+      });
+      SubscriptionLedger.find.mockReturnValue({
+        select: jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue(refunds) }),
+      });
+    }
+
+    function buildSubscription(overrides = {}) {
+      return {
+        _id: 'sub1',
+        userId,
+        status: 'active',
+        plan: '3-month',
+        currency: 'USD',
+        expiresAt: new Date(Date.now() + 80 * DAY),
+        appliedTransactionIds: ['ORDER-1'],
+        statusHistory: [],
+        save: jest.fn().mockResolvedValue(true),
+        ...overrides,
+      };
+    }
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      User.findById.mockReturnValue({
+        select: jest.fn().mockReturnValue({
+          lean: jest.fn().mockResolvedValue({ email: 'a@b.com', firstName: 'Ana' }),
+        }),
+      });
+    });
+
+    it('shortens the membership in proportion to a partial refund', async () => {
+      const sub = buildSubscription();
+      const previousExpiry = sub.expiresAt;
+      mockSubscription(sub);
+      mockLedger({ purchase: { amount: 230, daysAdded: 90 } });
+
+      const result = await applyRefund(refund);
+
+      expect(result).toMatchObject({
+        applied: true,
+        daysRemoved: 45,
+        accessRevoked: false,
+      });
+      expect(sub.expiresAt).toEqual(new Date(previousExpiry.getTime() - 45 * DAY));
+      expect(sub.status).toBe('active');
+      expect(sub.appliedTransactionIds).toContain('REFUND-1');
+      expect(recordLedgerEntry).toHaveBeenCalledWith(
+        expect.objectContaining({
+          type: 'refund',
+          providerTransactionId: 'REFUND-1',
+          captureId: 'CAPTURE-1',
+          amount: -115,
+          daysAdded: -45,
+        })
+      );
+      expect(sendRefundProcessed).toHaveBeenCalledWith(
+        'a@b.com',
+        'Ana',
+        expect.objectContaining({ amount: 'USD 115.00', accessRevoked: false })
+      );
+    });
+
+    it('revokes access once no paid time remains', async () => {
+      const sub = buildSubscription({ expiresAt: new Date(Date.now() + 20 * DAY) });
+      mockSubscription(sub);
+      mockLedger({ purchase: { amount: 115, daysAdded: 30 } });
+
+      const result = await applyRefund(refund);
+
+      expect(result.accessRevoked).toBe(true);
+      expect(sub.status).toBe('refunded');
+      expect(sub.expiresAt.getTime()).toBeLessThanOrEqual(Date.now());
+      expect(sub.statusHistory[0]).toMatchObject({
+        from: 'active',
+        status: 'refunded',
+        reason: 'capture_refunded',
+      });
+    });
+
+    it('is a no-op for a refund that was already applied', async () => {
+      const sub = buildSubscription({ appliedTransactionIds: ['ORDER-1', 'REFUND-1'] });
+      mockSubscription(sub);
+
+      const result = await applyRefund(refund);
+
+      expect(result.applied).toBe(false);
+      expect(sub.save).not.toHaveBeenCalled();
+      expect(recordLedgerEntry).not.toHaveBeenCalled();
+      expect(sendRefundProcessed).not.toHaveBeenCalled();
+    });
+
+    it('returns without a subscription to adjust', async () => {
+      mockSubscription(null);
+
+      await expect(applyRefund(refund)).resolves.toEqual({
+        subscription: null,
+        applied: false,
+      });
+    });
+  });
+});
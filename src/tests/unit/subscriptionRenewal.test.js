@@ -0,0 +1,341 @@
+jest.mock('../../models/Subscription');
+jest.mock('../../services/subscriptionLedger', () => ({
+  recordLedgerEntry: jest.fn().mockResolvedValue(null),
+}));
+jest.mock('../../services/coupons', () => ({
+  redeemCoupon: jest.fn().mockResolvedValue(undefined),
+}));
+jest.mock('../../services/plans', () => ({
+  getPlan: jest.fn().mockResolvedValue({
+    key: '1-month',
+    durationDays: 30,
+    price: 115,
+    prices: { USD: 115, JMD: 18000 },
+    currency: 'USD',
+  }),
+  priceInCurrency: jest.requireActual('../../services/plans').priceInCurrency,
+}));
+jest.mock('../../services/invoices', () => ({
+  issueAndSendInvoice: jest.fn().mockResolvedValue(null),
+}));
+jest.mock('../../services/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const mongoose = require('mongoose');
+
+const Subscription = require('../../models/Subscription');
+const { recordLedgerEntry } = require('../../services/subscriptionLedger');
+const { redeemCoupon } = require('../../services/coupons');
+const { getPlan } = require('../../services/plans');
+const { issueAndSendInvoice } = require('../../services/invoices');
+const { logger } = require('../../services/logger');
+const {
+  computeRenewalWindow,
+  checkoutMismatch,
+  applyPaidRenewal,
+} = require('../../services/subscriptionRenewal');
+
+const DAY = 86400000;
+
+describe('subscriptionRenewal', () => {
+  describe('computeRenewalWindow', () => {
+    const now = new Date('2026-03-01T12:00:00Z');
+
+    it('stacks onto remaining time for a subscription with access', () => {
+      const expiresAt = new Date(now.getTime() + 20 * DAY);
+      const periodStart = new Date(now.getTime() - 10 * DAY);
+      const sub = { status: 'active', expiresAt, currentPeriodStart: periodStart };
+
+      const window = computeRenewalWindow(sub, 30, now);
+
+      expect(window.stacked).toBe(true);
+      expect(window.from).toEqual(expiresAt);
+      expect(window.periodStart).toEqual(periodStart);
+      expect(window.periodEnd).toEqual(new Date(expiresAt.getTime() + 30 * DAY));
+    });
+
+    it('stacks onto a pending cancellation', () => {
+      const expiresAt = new Date(now.getTime() + 5 * DAY);
+      const sub = { status: 'cancel_at_period_end', expiresAt };
+
+      expect(computeRenewalWindow(sub, 30, now).stacked).toBe(true);
+    });
+
+    it('does not carry over free trial days', () => {
+      const sub = { status: 'trialing', expiresAt: new Date(now.getTime() + 4 * DAY) };
+
+      expect(computeRenewalWindow(sub, 30, now).from).toEqual(now);
+    });
+
+    it('starts from now when the period has already lapsed', () => {
+      const sub = { status: 'active', expiresAt: new Date(now.getTime() - 3 * DAY) };
+
+      const window = computeRenewalWindow(sub, 30, now);
+
+      expect(window.stacked).toBe(false);
+      expect(window.from).toEqual(now);
+      expect(window.periodEnd).toEqual(new Date(now.getTime() + 30 * DAY));
+    });
+
+    it('does not stack onto revoked time', () => {
+      const sub = { status: 'refunded', expiresAt: new Date(now.getTime() + 20 * DAY) };
+
+      expect(computeRenewalWindow(sub, 30, now).from).toEqual(now);
+    });
+
+    it('starts from now with no subscription', () => {
+      expect(computeRenewalWindow(null, 30, now).periodStart).toEqual(now);
+    });
+  });
+
+  describe('checkoutMismatch', () => {
+    const payment = {
+      amount: 115,
+      currency: 'USD',
+      expectedAmount: 115,
+      expectedCurrency: 'USD',
+    };
+
+    it('accepts the amount and currency the order was priced at', () => {
+      expect(checkoutMismatch(payment)).toBeNull();
+      expect(checkoutMismatch({ ...payment, currency: 'usd' })).toBeNull();
+    });
+
+    it('ignores the current plan price, so repricing mid-checkout is not a mismatch', () => {
+      expect(checkoutMismatch({ ...payment, amount: 92, expectedAmount: 92 })).toBeNull();
+      expect(getPlan).not.toHaveBeenCalled();
+    });
+
+    it('reports a different amount or currency', () => {
+      expect(checkoutMismatch({ ...payment, amount: 1 })).toBe(
+        'Paid USD 1 for an order priced at USD 115'
+      );
+      expect(checkoutMismatch({ ...payment, currency: 'EUR' })).toMatch(/Paid EUR 115/);
+    });
+
+    it('cannot check orders created before the checkout price was recorded', () => {
+      expect(
+        checkoutMismatch({ amount: 1, currency: 'USD', expectedAmount: null })
+      ).toBeNull();
+    });
+  });
+
+  describe('applyPaidRenewal', () => {
+    const userId = new mongoose.Types.ObjectId();
+
+    const payment = {
+      userId,
+      orderId: 'ORDER-1',
+      planKey: '1-month',
+      amount: 115,
+      currency: 'USD',
+      reason: 'payment_verified',
+    };
+
+    function mockFindOne(result) {
+      Subscription.findOne.mockReturnValue({
+        select: jest.fn().mockResolvedValue(result),
+      });
+    }
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+    });
+
+    it('extends from the current expiry and records the order', async () => {
+      const expiresAt = new Date(Date.now() + 20 * DAY);
+      const sub = {
+        _id: new mongoose.Types.ObjectId(),
+        status: 'active',
+        expiresAt,
+        appliedTransactionIds: [],
+        statusHistory: [],
+        save: jest.fn().mockResolvedValue(true),
+      };
+      mockFindOne(sub);
+
+      const result = await applyPaidRenewal(payment);
+
+      expect(result.applied).toBe(true);
+      expect(sub.expiresAt).toEqual(new Date(expiresAt.getTime() + 30 * DAY));
+      expect(sub.appliedTransactionIds).toEqual(['ORDER-1']);
+      expect(sub.save).toHaveBeenCalled();
+      expect(recordLedgerEntry).toHaveBeenCalledWith(
+        expect.objectContaining({
+          type: 'purchase',
+          providerTransactionId: 'ORDER-1',
+          daysAdded: 30,
+          periodStart: expiresAt,
+        })
+      );
+    });
+
+    it('invoices the recorded purchase', async () => {
+      const entry = { _id: new mongoose.Types.ObjectId(), type: 'purchase' };
+      recordLedgerEntry.mockResolvedValueOnce(entry);
+      mockFindOne({
+        status: 'expired',
+        appliedTransactionIds: [],
+        statusHistory: [],
+        save: jest.fn().mockResolvedValue(true),
+      });
+
+      await applyPaidRenewal(payment);
+
+      expect(issueAndSendInvoice).toHaveBeenCalledWith(entry);
+    });
+
+    it('redeems the coupon and records the discount', async () => {
+      const sub = {
+        status: 'trialing',
+        appliedTransactionIds: [],
+        statusHistory: [],
+        save: jest.fn().mockResolvedValue(true),
+      };
+      mockFindOne(sub);
+
+      await applyPaidRenewal({ ...payment, amount: 92, couponCode: 'SPRING20' });
+
+      expect(redeemCoupon).toHaveBeenCalledWith('SPRING20');
+      expect(recordLedgerEntry).toHaveBeenCalledWith(
+        expect.objectContaining({ couponCode: 'SPRING20', discountAmount: 23 })
+      );
+    });
+
+    it('records the discount against the price in the currency paid', async () => {
+      mockFindOne({
+        status: 'expired',
+        appliedTransactionIds: [],
+        statusHistory: [],
+        save: jest.fn().mockResolvedValue(true),
+      });
+
+      await applyPaidRenewal({
+        ...payment,
+        amount: 14400,
+        currency: 'JMD',
+        couponCode: 'SPRING20',
+      });
+
+      expect(recordLedgerEntry).toHaveBeenCalledWith(
+        expect.objectContaining({ currency: 'JMD', discountAmount: 3600 })
+      );
+    });
+
+    it('credits a payment that does not match its checkout price and flags it for review', async () => {
+      const sub = {
+        status: 'expired',
+        appliedTransactionIds: [],
+        statusHistory: [],
+        save: jest.fn().mockResolvedValue(true),
+      };
+      mockFindOne(sub);
+
+      const result = await applyPaidRenewal({
+        ...payment,
+        amount: 100,
+        expectedAmount: 115,
+        expectedCurrency: 'USD',
+      });
+
+      expect(result.applied).toBe(true);
+      expect(sub.status).toBe('active');
+      expect(recordLedgerEntry).toHaveBeenCalledWith(
+        expect.objectContaining({
+          amount: 100,
+          reviewReason: 'Paid USD 100 for an order priced at USD 115',
+        })
+      );
+      expect(logger.warn).toHaveBeenCalled();
+    });
+
+    it('does not flag a payment that matches its checkout price', async () => {
+      mockFindOne({
+        status: 'expired',
+        appliedTransactionIds: [],
+        statusHistory: [],
+        save: jest.fn().mockResolvedValue(true),
+      });
+
+      await applyPaidRenewal({
+        ...payment,
+        expectedAmount: 115,
+        expectedCurrency: 'USD',
+      });
+
+      expect(recordLedgerEntry).toHaveBeenCalledWith(
+        expect.objectContaining({ reviewReason: null })
+      );
+    });
+
+    it('looks up retired plans and falls back when a plan no longer exists', async () => {
+      const sub = {
+        status: 'expired',
+        appliedTransactionIds: [],
+        statusHistory: [],
+        save: jest.fn().mockResolvedValue(true),
+      };
+      mockFindOne(sub);
+      getPlan.mockResolvedValueOnce(null);
+
+      await applyPaidRenewal({ ...payment, planKey: 'summer-special' });
+
+      expect(getPlan).toHaveBeenNthCalledWith(1, 'summer-special', {
+        includeInactive: true,
+      });
+      expect(sub.plan).toBe('1-month');
+      expect(sub.status).toBe('active');
+    });
+
+    it('is a no-op for an order that was already applied', async () => {
+      const expiresAt = new Date(Date.now() + 50 * DAY);
+      const sub = {
+        status: 'active',
+        expiresAt,
+        appliedTransactionIds: ['ORDER-1'],
+        save: jest.fn(),
+      };
+      mockFindOne(sub);
+
+      const result = await applyPaidRenewal(payment);
+
+      expect(result.applied).toBe(false);
+      expect(sub.expiresAt).toEqual(expiresAt);
+      expect(sub.save).not.toHaveBeenCalled();
+      expect(recordLedgerEntry).not.toHaveBeenCalled();
+      expect(issueAndSendInvoice).not.toHaveBeenCalled();
+    });
+
+    it('reloads once after losing a concurrent save', async () => {
+      const racing = {
+        status: 'active',
+        expiresAt: new Date(Date.now() + 20 * DAY),
+        appliedTransactionIds: [],
+        statusHistory: [],
+        save: jest
+          .fn()
+          .mockRejectedValue(Object.assign(new Error('stale'), { name: 'VersionError' })),
+      };
+      const winner = {
+        status: 'active',
+        expiresAt: new Date(Date.now() + 50 * DAY),
+        appliedTransactionIds: ['ORDER-1'],
+        save: jest.fn(),
+      };
+      Subscription.findOne
+        .mockReturnValueOnce({ select: jest.fn().mockResolvedValue(racing) })
+        .mockReturnValueOnce({ select: jest.fn().mockResolvedValue(winner) });
+
+      const result = await applyPaidRenewal(payment);
+
+      expect(result).toEqual({ subscription: winner, applied: false });
+      expect(recordLedgerEntry).not.toHaveBeenCalled();
+    });
+  });
+});
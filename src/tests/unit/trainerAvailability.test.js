@@ -0,0 +1,398 @@
+jest.mock('../../models/Appointment');
+jest.mock('../../models/SessionType');
+jest.mock('../../models/TrainerAvailability');
+jest.mock('../../models/TrainerAvailabilityOverride');
+jest.mock('../../services/email', () => ({
+  sendTrainerUnavailableClient: jest.fn().mockResolvedValue(undefined),
+}));
+jest.mock('../../services/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const mongoose = require('mongoose');
+
+const Appointment = require('../../models/Appointment');
+const SessionType = require('../../models/SessionType');
+const TrainerAvailability = require('../../models/TrainerAvailability');
+const TrainerAvailabilityOverride = require('../../models/TrainerAvailabilityOverride');
+const { sendTrainerUnavailableClient } = require('../../services/email');
+const {
+  DEFAULT_SESSION_TYPE,
+  resolveDayHours,
+  findOverlappingWindow,
+  getBookableHours,
+  buildDaySlots,
+  resolveSessionType,
+  getOpenSlots,
+  confirmBooking,
+  findAppointmentsInBlock,
+  notifyBlockedClients,
+} = require('../../services/trainerAvailability');
+
+const utc = str => new Date(`${str}T00:00:00.000Z`);
+const lean = value => ({ lean: jest.fn().mockResolvedValue(value) });
+
+// 2026-06-01 is a Monday
+const weeklyMonday = { dayOfWeek: 1, startHour: 9, endHour: 12, slotCapacity: 2 };
+
+describe('trainerAvailability service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('resolveDayHours', () => {
+    it('opens the weekly window', () => {
+      const hours = resolveDayHours([weeklyMonday], []);
+
+      expect([...hours.entries()]).toEqual([
+        [9, 2],
+        [10, 2],
+        [11, 2],
+      ]);
+    });
+
+    it('opens every window of a split shift with its own capacity', () => {
+      const hours = resolveDayHours(
+        [
+          { dayOfWeek: 1, startHour: 6, endHour: 8, slotCapacity: 4 },
+          { dayOfWeek: 1, startHour: 16, endHour: 18, slotCapacity: 8 },
+        ],
+        []
+      );
+
+      expect([...hours.entries()]).toEqual([
+        [6, 4],
+        [7, 4],
+        [16, 8],
+        [17, 8],
+      ]);
+    });
+
+    it('removes the whole day for a blocked day', () => {
+      const hours = resolveDayHours(
+        [weeklyMonday],
+        [{ type: 'blocked', startHour: null }]
+      );
+
+      expect(hours.size).toBe(0);
+    });
+
+    it('removes only the blocked hours for a partial-day block', () => {
+      const hours = resolveDayHours(
+        [weeklyMonday],
+        [{ type: 'blocked', startHour: 10, endHour: 11 }]
+      );
+
+      expect([...hours.keys()]).toEqual([9, 11]);
+    });
+
+    it('adds one-off extra hours with their own capacity', () => {
+      const hours = resolveDayHours(
+        [],
+        [{ type: 'extra', startHour: 18, endHour: 20, slotCapacity: 4 }]
+      );
+
+      expect([...hours.entries()]).toEqual([
+        [18, 4],
+        [19, 4],
+      ]);
+    });
+
+    it('lets time off win over extra hours on the same day', () => {
+      const hours = resolveDayHours(
+        [weeklyMonday],
+        [
+          { type: 'extra', startHour: 12, endHour: 14, slotCapacity: 2 },
+          { type: 'blocked', startHour: 13, endHour: 24 },
+        ]
+      );
+
+      expect([...hours.keys()]).toEqual([9, 10, 11, 12]);
+    });
+  });
+
+  describe('findOverlappingWindow', () => {
+    it('accepts back-to-back windows and the same hours on different days', () => {
+      expect(
+        findOverlappingWindow([
+          { dayOfWeek: 1, startHour: 6, endHour: 10 },
+          { dayOfWeek: 1, startHour: 10, endHour: 12 },
+          { dayOfWeek: 2, startHour: 6, endHour: 10 },
+        ])
+      ).toBeNull();
+    });
+
+    it('returns the window that overlaps another on the same day', () => {
+      const late = { dayOfWeek: 1, startHour: 9, endHour: 12 };
+
+      expect(
+        findOverlappingWindow([late, { dayOfWeek: 1, startHour: 6, endHour: 10 }])
+      ).toBe(late);
+    });
+
+    it('ignores inactive windows', () => {
+      expect(
+        findOverlappingWindow([
+          { dayOfWeek: 1, startHour: 6, endHour: 10 },
+          { dayOfWeek: 1, startHour: 8, endHour: 12, isActive: false },
+        ])
+      ).toBeNull();
+    });
+  });
+
+  describe('getBookableHours', () => {
+    it('applies overrides covering the date to its weekday windows', async () => {
+      TrainerAvailability.find.mockReturnValue(lean([weeklyMonday]));
+      TrainerAvailabilityOverride.find.mockReturnValue(
+        lean([{ type: 'blocked', startHour: 9, endHour: 10 }])
+      );
+
+      const hours = await getBookableHours('trainer1', utc('2026-06-01'));
+
+      expect(TrainerAvailability.find).toHaveBeenCalledWith({
+        trainerId: 'trainer1',
+        dayOfWeek: 1,
+        isActive: true,
+      });
+      expect(TrainerAvailabilityOverride.find).toHaveBeenCalledWith({
+        trainerId: 'trainer1',
+        startDate: { $lte: utc('2026-06-01') },
+        endDate: { $gte: utc('2026-06-01') },
+      });
+      expect([...hours.keys()]).toEqual([10, 11]);
+    });
+  });
+
+  describe('buildDaySlots', () => {
+    const morning = new Map([
+      [9, 2],
+      [10, 2],
+      [11, 2],
+    ]);
+    const checkIn = {
+      _id: new mongoose.Types.ObjectId(),
+      durationMinutes: 30,
+      bufferMinutes: 0,
+      capacity: 1,
+    };
+    const times = slots => slots.map(slot => slot.time);
+
+    it('offers back-to-back starts that end inside the open hours', () => {
+      const slots = buildDaySlots(morning, checkIn, []);
+
+      expect(times(slots)).toEqual([
+        '09:00',
+        '09:30',
+        '10:00',
+        '10:30',
+        '11:00',
+        '11:30',
+      ]);
+      expect(slots[5]).toEqual({
+        time: '11:30',
+        endTime: '12:00',
+        capacity: 1,
+        booked: 0,
+        remaining: 1,
+      });
+    });
+
+    it('spaces starts by duration plus buffer', () => {
+      const assessment = {
+        _id: 'a1',
+        durationMinutes: 90,
+        bufferMinutes: 30,
+        capacity: 1,
+      };
+
+      expect(times(buildDaySlots(morning, assessment, []))).toEqual(['09:00']);
+      expect(
+        times(buildDaySlots(new Map([...morning, [12, 2]]), assessment, []))
+      ).toEqual(['09:00', '11:00']);
+    });
+
+    it('takes capacity from the availability window for the default session', () => {
+      const slots = buildDaySlots(morning, DEFAULT_SESSION_TYPE, [{ time: '10:00' }]);
+
+      expect(slots.map(s => [s.time, s.remaining])).toEqual([
+        ['09:00', 2],
+        ['10:00', 1],
+        ['11:00', 2],
+      ]);
+    });
+
+    it('leaves out starts that overlap a different session, including its buffer', () => {
+      const slots = buildDaySlots(morning, checkIn, [
+        { time: '09:00', durationMinutes: 60, bufferMinutes: 30 },
+      ]);
+
+      expect(times(slots)).toEqual(['10:30', '11:00', '11:30']);
+    });
+
+    it('counts clients already booked into the same session', () => {
+      const slots = buildDaySlots(morning, { ...checkIn, capacity: 3 }, [
+        { time: '09:00', sessionTypeId: checkIn._id, durationMinutes: 30 },
+      ]);
+
+      expect(slots[0]).toMatchObject({ time: '09:00', booked: 1, remaining: 2 });
+    });
+  });
+
+  describe('resolveSessionType', () => {
+    it('falls back to the default one-hour session', async () => {
+      await expect(resolveSessionType('trainer1')).resolves.toBe(DEFAULT_SESSION_TYPE);
+      expect(SessionType.findOne).not.toHaveBeenCalled();
+    });
+
+    it("returns null for an id that isn't one of the trainer's active types", async () => {
+      SessionType.findOne.mockReturnValue(lean(null));
+      const id = new mongoose.Types.ObjectId().toString();
+
+      await expect(resolveSessionType('trainer1', 'nope')).resolves.toBeNull();
+      await expect(resolveSessionType('trainer1', id)).resolves.toBeNull();
+      expect(SessionType.findOne).toHaveBeenCalledWith({
+        _id: id,
+        trainerId: 'trainer1',
+        isActive: true,
+      });
+    });
+  });
+
+  describe('confirmBooking', () => {
+    const ids = [1, 2, 3].map(() => new mongoose.Types.ObjectId());
+
+    function mockSameDay(appointments) {
+      Appointment.find.mockReturnValue({
+        select: jest.fn().mockReturnValue({
+          sort: jest.fn().mockReturnValue(lean(appointments)),
+        }),
+      });
+    }
+
+    it('keeps the earlier booking when two race for the last place', async () => {
+      const first = { _id: ids[0], time: '09:00' };
+      const second = { _id: ids[1], time: '09:00' };
+      mockSameDay([first, second]);
+
+      await expect(confirmBooking(first, 1)).resolves.toBe(true);
+      await expect(confirmBooking(second, 1)).resolves.toBe(false);
+      await expect(confirmBooking(second, 2)).resolves.toBe(true);
+    });
+
+    it('rejects a booking that overlaps an earlier, different session', async () => {
+      const long = { _id: ids[0], time: '09:00', durationMinutes: 90 };
+      const short = { _id: ids[1], time: '10:00', durationMinutes: 30 };
+      mockSameDay([long, short]);
+
+      await expect(confirmBooking(short, 6)).resolves.toBe(false);
+    });
+
+    it('ignores earlier bookings that were themselves rejected', async () => {
+      const first = { _id: ids[0], time: '09:00' };
+      const rejected = { _id: ids[1], time: '09:30', durationMinutes: 60 };
+      const next = { _id: ids[2], time: '10:00' };
+      mockSameDay([first, rejected, next]);
+
+      await expect(confirmBooking(next, 1)).resolves.toBe(true);
+    });
+  });
+
+  describe('getOpenSlots', () => {
+    function mockAppointments(appointments) {
+      Appointment.find.mockReturnValue({
+        select: jest.fn().mockReturnValue(lean(appointments)),
+      });
+    }
+
+    it('returns open slots per date with bookings and overrides applied', async () => {
+      TrainerAvailability.find.mockReturnValue(lean([weeklyMonday]));
+      TrainerAvailabilityOverride.find.mockReturnValue(
+        lean([
+          {
+            type: 'blocked',
+            startDate: utc('2026-06-08'),
+            endDate: utc('2026-06-08'),
+            startHour: null,
+          },
+        ])
+      );
+      mockAppointments([
+        { date: utc('2026-06-01'), time: '09:00' },
+        { date: utc('2026-06-01'), time: '09:00' },
+        { date: utc('2026-06-01'), time: '10:00' },
+      ]);
+
+      const days = await getOpenSlots('trainer1', utc('2026-06-01'), utc('2026-06-08'));
+
+      expect(days).toHaveLength(8);
+      expect(days[0]).toEqual({
+        date: '2026-06-01',
+        slots: [
+          { time: '10:00', endTime: '11:00', capacity: 2, booked: 1, remaining: 1 },
+          { time: '11:00', endTime: '12:00', capacity: 2, booked: 0, remaining: 2 },
+        ],
+      });
+      expect(days[1]).toEqual({ date: '2026-06-02', slots: [] });
+      expect(days[7]).toEqual({ date: '2026-06-08', slots: [] });
+    });
+  });
+
+  describe('findAppointmentsInBlock', () => {
+    it('keeps only sessions that overlap a partial-day block', async () => {
+      const appointments = [
+        { _id: new mongoose.Types.ObjectId(), time: '09:00' },
+        { _id: new mongoose.Types.ObjectId(), time: '11:00', durationMinutes: 90 },
+        { _id: new mongoose.Types.ObjectId(), time: '13:00' },
+      ];
+      Appointment.find.mockReturnValue({
+        populate: jest.fn().mockReturnValue({
+          sort: jest.fn().mockResolvedValue(appointments),
+        }),
+      });
+
+      const result = await findAppointmentsInBlock({
+        trainerId: 'trainer1',
+        startDate: utc('2026-06-01'),
+        endDate: utc('2026-06-01'),
+        startHour: 12,
+        endHour: 17,
+      });
+
+      expect(result).toEqual([appointments[1], appointments[2]]);
+    });
+  });
+
+  describe('notifyBlockedClients', () => {
+    it('emails each booked client', () => {
+      const queued = notifyBlockedClients(
+        [
+          {
+            _id: new mongoose.Types.ObjectId(),
+            date: utc('2026-06-01'),
+            time: '09:00',
+            timezone: 'America/Jamaica',
+            clientId: { email: 'ana@example.com', firstName: 'Ana' },
+          },
+          { _id: new mongoose.Types.ObjectId(), time: '10:00', clientId: null },
+        ],
+        'Jo Trainer'
+      );
+
+      expect(queued).toBe(1);
+      expect(sendTrainerUnavailableClient).toHaveBeenCalledWith(
+        'ana@example.com',
+        'Ana',
+        'Jo Trainer',
+        'Monday, June 1, 2026',
+        '09:00',
+        utc('2026-06-01'),
+        'America/Jamaica'
+      );
+    });
+  });
+});
@@ -7,6 +7,12 @@ jest.mock('../../services/logger', () => ({
   logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
   logUserAction: jest.fn(),
 }));
+jest.mock('../../services/attendancePolicy', () => ({
+  getAttendanceRecord: jest.fn(),
+}));
+jest.mock('../../services/memberLogs', () => ({
+  getRecentLogs: jest.fn().mockResolvedValue({}),
+}));
 jest.mock('../../middleware/errorHandler', () => {
   const actual = jest.requireActual('../../middleware/errorHandler');
   return { ...actual, asyncHandler: fn => fn };
@@ -16,6 +22,8 @@ const User = require('../../models/User');
 const Appointment = require('../../models/Appointment');
 const Subscription = require('../../models/Subscription');
 const { logUserAction } = require('../../services/logger');
+const { getAttendanceRecord } = require('../../services/attendancePolicy');
+const { getRecentLogs } = require('../../services/memberLogs');
 const trainerController = require('../../controllers/trainerController');
 
 function makeAppointment(overrides = {}) {
@@ -384,12 +392,25 @@ describe('trainerController', () => {
         sort: jest.fn().mockResolvedValue(appointments),
       });
       Subscription.findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
+      const attendance = { total: 2, completed: 1, noShows: 0, attendanceRate: 100 };
+      getAttendanceRecord.mockResolvedValue(attendance);
+      const logs = {
+        workoutLogs: [{ workoutName: 'Legs' }],
+        mealLogs: [],
+        workoutLogCount: 12,
+        mealLogCount: 0,
+      };
+      getRecentLogs.mockResolvedValue(logs);
 
       await trainerController.getClientInfo(mockReq, mockRes);
 
       const call = mockRes.json.mock.calls[0][0];
+      expect(call.client).toMatchObject({ firstName: 'Jane', ...logs });
+      expect(getRecentLogs).toHaveBeenCalledWith(clientId.toString());
       expect(call.appointmentCount).toBe(2);
       expect(call.completedCount).toBe(1);
+      expect(call.attendance).toBe(attendance);
+      expect(getAttendanceRecord).toHaveBeenCalledWith(clientId.toString());
     });
   });
 
@@ -438,21 +459,116 @@ describe('trainerController', () => {
       ).rejects.toBeInstanceOf(AuthorizationError);
     });
 
-    it('calls updateMany and returns updatedCount', async () => {
-      const id1 = new mongoose.Types.ObjectId().toString();
-      mockReq.body = { appointmentIds: [id1], status: 'completed' };
-      Appointment.find.mockResolvedValue([{ _id: id1 }]);
-      Appointment.updateMany.mockResolvedValue({ modifiedCount: 1 });
+    function mockTrainerLookup() {
       User.findById.mockReturnValue({
         select: jest.fn().mockReturnValue({
           lean: jest.fn().mockReturnValue({ catch: jest.fn().mockResolvedValue({}) }),
         }),
       });
+    }
+
+    it('saves each appointment with its status change recorded', async () => {
+      const appts = [
+        makeAppointment({ trainerId: mockTrainerId, statusHistory: [] }),
+        makeAppointment({
+          trainerId: mockTrainerId,
+          status: 'late',
+          notes: 'Earlier note',
+        }),
+      ];
+      mockReq.body = {
+        appointmentIds: appts.map(a => a._id.toString()),
+        status: 'completed',
+      };
+      Appointment.find.mockResolvedValue(appts);
+      mockTrainerLookup();
+
+      await trainerController.bulkUpdateAppointments(mockReq, mockRes);
+
+      expect(Appointment.updateMany).not.toHaveBeenCalled();
+      for (const appt of appts) {
+        expect(appt.status).toBe('completed');
+        expect(appt.save).toHaveBeenCalled();
+      }
+      expect(appts[1].statusHistory[0]).toMatchObject({
+        from: 'late',
+        status: 'completed',
+        changedBy: mockReq.user.id,
+        source: 'trainer',
+        reason: 'bulk_update',
+      });
+      expect(appts[1].notes).toMatch(/^Earlier note\n\[.*\] Bulk marked as completed\.$/);
+      expect(mockRes.json).toHaveBeenCalledWith({ success: true, updatedCount: 2 });
+    });
+
+    it('clears the cancellation when a cancelled appointment is moved on', async () => {
+      const RealAppointment = jest.requireActual('../../models/Appointment');
+      const appt = new RealAppointment({
+        trainerId: mockTrainerId,
+        clientId: new mongoose.Types.ObjectId(),
+        date: new Date('2026-03-02T00:00:00Z'),
+        time: '10:00',
+        status: 'cancelled',
+        cancelledAt: new Date('2026-03-01T00:00:00Z'),
+        lateCancellation: true,
+      });
+      appt.isNew = false;
+      // Validation runs the model's pre-validate hook without a database
+      appt.save = jest.fn(() => appt.validate());
+      mockReq.body = { appointmentIds: [appt._id.toString()], status: 'no_show' };
+      Appointment.find.mockResolvedValue([appt]);
+      mockTrainerLookup();
 
       await trainerController.bulkUpdateAppointments(mockReq, mockRes);
 
-      expect(Appointment.updateMany).toHaveBeenCalled();
-      expect(mockRes.json).toHaveBeenCalledWith({ success: true, updatedCount: 1 });
+      expect(appt.status).toBe('no_show');
+      expect(appt.cancelledAt).toBeNull();
+      expect(appt.lateCancellation).toBe(false);
+      expect(appt.statusHistory.at(-1)).toMatchObject({
+        from: 'cancelled',
+        status: 'no_show',
+      });
+    });
+  });
+
+  // ── checkInAppointment ─────────────────────────────────────────────────────
+
+  describe('checkInAppointment', () => {
+    it('checks the client in and records the trainer in the history', async () => {
+      mockReq.params = { id: new mongoose.Types.ObjectId().toString() };
+      const appt = makeAppointment({
+        trainerId: mockTrainerId,
+        startsAt: new Date(Date.now() - 5 * 60 * 1000),
+        durationMinutes: 60,
+      });
+      Appointment.findById.mockResolvedValue(appt);
+
+      await trainerController.checkInAppointment(mockReq, mockRes);
+
+      expect(appt.status).toBe('completed');
+      expect(appt.checkInMethod).toBe('trainer');
+      expect(appt.statusHistory[0]).toMatchObject({
+        from: 'scheduled',
+        changedBy: mockReq.user.id,
+        source: 'trainer',
+      });
+      expect(appt.save).toHaveBeenCalled();
+      expect(logUserAction).toHaveBeenCalledWith(
+        'appointment_checked_in',
+        mockReq.user.id,
+        expect.any(Object)
+      );
+    });
+
+    it('refuses sessions that are no longer scheduled', async () => {
+      mockReq.params = { id: new mongoose.Types.ObjectId().toString() };
+      const appt = makeAppointment({ trainerId: mockTrainerId, status: 'cancelled' });
+      Appointment.findById.mockResolvedValue(appt);
+
+      await expect(
+        trainerController.checkInAppointment(mockReq, mockRes)
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(appt.save).not.toHaveBeenCalled();
     });
   });
 });
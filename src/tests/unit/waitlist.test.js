@@ -0,0 +1,247 @@
+jest.mock('../../models/WaitlistEntry');
+jest.mock('../../models/User');
+jest.mock('../../services/email', () => ({
+  sendWaitlistOffer: jest.fn().mockResolvedValue(undefined),
+}));
+jest.mock('../../services/trainerAvailability', () => ({
+  resolveSessionType: jest.fn(),
+  getDaySlots: jest.fn(),
+}));
+jest.mock('../../services/timezones', () => ({
+  getTrainerTimezone: jest.fn(),
+}));
+jest.mock('../../services/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const mongoose = require('mongoose');
+
+const WaitlistEntry = require('../../models/WaitlistEntry');
+const User = require('../../models/User');
+const { sendWaitlistOffer } = require('../../services/email');
+const { resolveSessionType, getDaySlots } = require('../../services/trainerAvailability');
+const { getTrainerTimezone } = require('../../services/timezones');
+const {
+  WAITLIST_HOLD_MINUTES,
+  countHolds,
+  queuePosition,
+  offerFreedPlaces,
+  markWaitlistBooked,
+  expireWaitlistHolds,
+} = require('../../services/waitlist');
+
+const utc = str => new Date(`${str}T00:00:00.000Z`);
+const selectLean = value => ({
+  select: jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue(value) }),
+});
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+const trainerId = new mongoose.Types.ObjectId();
+const clientId = new mongoose.Types.ObjectId();
+const now = new Date('2026-06-01T10:00:00.000Z');
+const slotDate = utc('2026-06-03');
+
+function waitingEntry(overrides = {}) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    clientId,
+    trainerId,
+    date: slotDate,
+    time: '09:00',
+    sessionTypeId: null,
+    ...overrides,
+  };
+}
+
+describe('waitlist service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resolveSessionType.mockResolvedValue({ _id: null, durationMinutes: 60 });
+    getTrainerTimezone.mockResolvedValue('UTC');
+    User.findById.mockImplementation(id =>
+      selectLean(
+        id === clientId
+          ? { firstName: 'Ana', email: 'ana@example.com' }
+          : { firstName: 'Tom', lastName: 'Trainer' }
+      )
+    );
+  });
+
+  describe('countHolds', () => {
+    it('counts live holds in the slot, leaving out the given client', async () => {
+      WaitlistEntry.countDocuments.mockResolvedValue(1);
+
+      await countHolds(
+        { trainerId, date: slotDate, time: '09:00', sessionTypeId: null },
+        clientId,
+        now
+      );
+
+      expect(WaitlistEntry.countDocuments).toHaveBeenCalledWith({
+        trainerId,
+        date: slotDate,
+        time: '09:00',
+        sessionTypeId: null,
+        status: 'offered',
+        holdExpiresAt: { $gt: now },
+        clientId: { $ne: clientId },
+      });
+    });
+  });
+
+  describe('queuePosition', () => {
+    it('counts the waiting entries ahead', async () => {
+      WaitlistEntry.countDocuments.mockResolvedValue(2);
+
+      await expect(
+        queuePosition({ ...waitingEntry(), status: 'waiting', createdAt: now })
+      ).resolves.toBe(3);
+    });
+
+    it('is null for an entry no longer waiting', async () => {
+      await expect(queuePosition({ ...waitingEntry(), status: 'offered' })).resolves.toBe(
+        null
+      );
+    });
+  });
+
+  describe('offerFreedPlaces', () => {
+    it('offers each free place to the front of the queue and emails them', async () => {
+      WaitlistEntry.find.mockReturnValue(selectLean([waitingEntry(), waitingEntry()]));
+      getDaySlots.mockResolvedValue([{ time: '09:00', capacity: 4, remaining: 2 }]);
+      WaitlistEntry.countDocuments.mockResolvedValue(1); // one place already held
+      const next = { ...waitingEntry(), status: 'offered' };
+      WaitlistEntry.findOneAndUpdate.mockResolvedValueOnce(next).mockResolvedValue(null);
+
+      const offered = await offerFreedPlaces(trainerId, slotDate, now);
+      await flushPromises();
+
+      expect(offered).toEqual([next]);
+      expect(WaitlistEntry.findOneAndUpdate).toHaveBeenCalledTimes(1);
+      expect(WaitlistEntry.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ time: '09:00', status: 'waiting' }),
+        {
+          $set: {
+            status: 'offered',
+            offeredAt: now,
+            holdExpiresAt: new Date(now.getTime() + WAITLIST_HOLD_MINUTES * 60 * 1000),
+          },
+        },
+        { sort: { createdAt: 1 }, new: true }
+      );
+      expect(sendWaitlistOffer).toHaveBeenCalledWith(
+        'ana@example.com',
+        'Ana',
+        'Tom Trainer',
+        expect.any(String),
+        '09:00',
+        next._id.toString(),
+        WAITLIST_HOLD_MINUTES,
+        slotDate,
+        'UTC'
+      );
+    });
+
+    it('offers nothing while the slot is still full', async () => {
+      WaitlistEntry.find.mockReturnValue(selectLean([waitingEntry()]));
+      getDaySlots.mockResolvedValue([{ time: '09:00', capacity: 4, remaining: 1 }]);
+      WaitlistEntry.countDocuments.mockResolvedValue(1);
+
+      await expect(offerFreedPlaces(trainerId, slotDate, now)).resolves.toEqual([]);
+      expect(WaitlistEntry.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('skips dates that can no longer be booked', async () => {
+      await expect(offerFreedPlaces(trainerId, utc('2026-06-01'), now)).resolves.toEqual(
+        []
+      );
+      expect(WaitlistEntry.find).not.toHaveBeenCalled();
+    });
+
+    it("judges bookable dates by the trainer's local date", async () => {
+      // 13:00 UTC on June 1 is already June 2 in Auckland
+      getTrainerTimezone.mockResolvedValue('Pacific/Auckland');
+      const evening = new Date('2026-06-01T13:00:00.000Z');
+
+      await expect(
+        offerFreedPlaces(trainerId, utc('2026-06-02'), evening)
+      ).resolves.toEqual([]);
+      expect(WaitlistEntry.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('markWaitlistBooked', () => {
+    it("closes the client's open entries for the booked slot", async () => {
+      const appointment = {
+        _id: new mongoose.Types.ObjectId(),
+        clientId,
+        trainerId: { _id: trainerId, firstName: 'Tom' },
+        date: slotDate,
+        time: '09:00',
+        sessionTypeId: null,
+      };
+
+      await markWaitlistBooked(appointment);
+
+      expect(WaitlistEntry.updateMany).toHaveBeenCalledWith(
+        {
+          trainerId,
+          date: slotDate,
+          time: '09:00',
+          sessionTypeId: null,
+          clientId,
+          status: { $in: ['waiting', 'offered'] },
+        },
+        {
+          $set: { status: 'booked', appointmentId: appointment._id, holdExpiresAt: null },
+        }
+      );
+    });
+  });
+
+  describe('expireWaitlistHolds', () => {
+    it('expires lapsed holds and offers their places again', async () => {
+      const stale = waitingEntry();
+      const past = waitingEntry({ date: utc('2026-06-01') });
+      const upcoming = waitingEntry({ date: utc('2026-06-02') });
+      WaitlistEntry.find
+        .mockReturnValueOnce(selectLean([stale]))
+        .mockReturnValueOnce(selectLean([past, upcoming]))
+        .mockReturnValueOnce(selectLean([]));
+      WaitlistEntry.updateMany
+        .mockResolvedValueOnce({ modifiedCount: 1 })
+        .mockResolvedValueOnce({ modifiedCount: 1 });
+
+      await expect(expireWaitlistHolds(now)).resolves.toEqual({
+        expiredHolds: 1,
+        expiredEntries: 1,
+      });
+
+      expect(WaitlistEntry.updateMany).toHaveBeenNthCalledWith(
+        1,
+        { _id: { $in: [stale._id] }, status: 'offered' },
+        { $set: { status: 'expired' } }
+      );
+      // Entries for the trainer's today or earlier can't be booked any more
+      expect(WaitlistEntry.find).toHaveBeenNthCalledWith(2, {
+        status: { $in: ['waiting', 'offered'] },
+        date: { $lt: utc('2026-06-03') },
+      });
+      expect(WaitlistEntry.updateMany).toHaveBeenNthCalledWith(
+        2,
+        { _id: { $in: [past._id] }, status: { $in: ['waiting', 'offered'] } },
+        { $set: { status: 'expired' } }
+      );
+      expect(WaitlistEntry.find).toHaveBeenLastCalledWith({
+        trainerId,
+        date: slotDate,
+        status: 'waiting',
+      });
+    });
+  });
+});
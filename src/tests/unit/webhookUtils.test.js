@@ -0,0 +1,116 @@
+jest.mock('../../models/WebhookEvent', () => ({
+  findOneAndUpdate: jest.fn(),
+  PROCESSED_RETENTION_DAYS: 30,
+}));
+jest.mock('../../services/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const WebhookEvent = require('../../models/WebhookEvent');
+const { recordWebhookEvent, runWebhookEvent } = require('../../services/webhookUtils');
+
+function storedEvent(overrides = {}) {
+  const event = {
+    _id: 'evt-doc-1',
+    eventId: 'WH-1',
+    eventType: 'PAYMENT.CAPTURE.COMPLETED',
+    payload: { id: 'WH-1', event_type: 'PAYMENT.CAPTURE.COMPLETED' },
+    attempts: 1,
+    set: jest.fn(function (fields) {
+      Object.assign(this, fields);
+    }),
+    save: jest.fn().mockResolvedValue(true),
+    ...overrides,
+  };
+  return event;
+}
+
+describe('webhookUtils', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('recordWebhookEvent', () => {
+    it('stores the full payload once per event ID', async () => {
+      const body = { id: 'WH-1', event_type: 'PAYMENT.CAPTURE.COMPLETED', resource: {} };
+      WebhookEvent.findOneAndUpdate.mockResolvedValue({ _id: 'evt-doc-1' });
+
+      await recordWebhookEvent(body);
+
+      expect(WebhookEvent.findOneAndUpdate).toHaveBeenCalledWith(
+        { eventId: 'WH-1' },
+        {
+          $setOnInsert: expect.objectContaining({
+            payload: body,
+            status: 'received',
+            provider: 'paypal',
+          }),
+        },
+        { upsert: true, new: true }
+      );
+    });
+  });
+
+  describe('runWebhookEvent', () => {
+    it('marks the event processed and schedules it for expiry', async () => {
+      const event = storedEvent();
+      WebhookEvent.findOneAndUpdate.mockResolvedValue(event);
+      const handler = jest.fn().mockResolvedValue(undefined);
+
+      const result = await runWebhookEvent('evt-doc-1', handler);
+
+      expect(handler).toHaveBeenCalledWith(event.payload, event);
+      expect(result).toMatchObject({ skipped: false, status: 'processed' });
+      expect(event.status).toBe('processed');
+      expect(event.expiresAt).toBeInstanceOf(Date);
+      expect(event.save).toHaveBeenCalled();
+    });
+
+    it('keeps failed events with the error for later replay', async () => {
+      const event = storedEvent();
+      WebhookEvent.findOneAndUpdate.mockResolvedValue(event);
+
+      const result = await runWebhookEvent(
+        'evt-doc-1',
+        jest.fn().mockRejectedValue(new Error('db timeout'))
+      );
+
+      expect(result).toMatchObject({ status: 'failed', error: 'db timeout' });
+      expect(event.status).toBe('failed');
+      expect(event.lastError).toBe('db timeout');
+      expect(event.expiresAt).toBeNull();
+    });
+
+    it('skips events it cannot claim', async () => {
+      WebhookEvent.findOneAndUpdate.mockResolvedValue(null);
+      const handler = jest.fn();
+
+      const result = await runWebhookEvent('evt-doc-1', handler);
+
+      expect(result).toEqual({ skipped: true });
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('only claims processed events when forced', async () => {
+      WebhookEvent.findOneAndUpdate.mockResolvedValue(null);
+
+      await runWebhookEvent('evt-doc-1', jest.fn());
+      await runWebhookEvent('evt-doc-1', jest.fn(), { force: true });
+
+      const [plain, forced] = WebhookEvent.findOneAndUpdate.mock.calls.map(
+        ([filter]) => filter.$or
+      );
+      expect(plain).not.toContainEqual({ status: 'processed' });
+      expect(forced).toContainEqual({ status: 'processed' });
+      expect(WebhookEvent.findOneAndUpdate.mock.calls[0][1]).toMatchObject({
+        $set: { status: 'processing' },
+        $inc: { attempts: 1 },
+      });
+    });
+  });
+});
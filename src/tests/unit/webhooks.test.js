@@ -75,13 +75,6 @@ jest.mock('../../models/WebhookEvent', () => ({
   findOne: jest.fn(),
 }));
 
-// --------------------
-// 🧪 MOCK STRIPE SERVICE
-// --------------------
-jest.mock('../../services/stripe', () => ({
-  getPlanNameFromPriceId: jest.fn().mockResolvedValue('1-month'),
-}));
-
 // --------------------
 // 📦 IMPORT AFTER MOCKS
 // --------------------
@@ -91,7 +84,6 @@ const {
   markWebhookEventProcessed,
 } = require('../../services/webhookUtils');
 const User = require('../../models/User');
-const { getPlanNameFromPriceId } = require('../../services/stripe');
 
 // Get Subscription with the lean() mock attached
 const SubscriptionModule = require('../../models/Subscription');
@@ -160,8 +152,6 @@ describe('Stripe Webhook Tests', () => {
         data: [{ price: { id: 'price_1month', unit_amount: 5000, currency: 'jmd' } }],
       },
     });
-
-    getPlanNameFromPriceId.mockResolvedValue('1-month');
   });
 
   // --------------------
@@ -381,8 +371,6 @@ describe('Stripe Webhook Tests', () => {
         },
       });
 
-      getPlanNameFromPriceId.mockResolvedValue('3-month');
-
       const res = await request(app)
         .post('/webhooks/stripe')
         .set('stripe-signature', 'good_sig')
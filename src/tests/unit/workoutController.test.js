@@ -1,33 +1,49 @@
 const mongoose = require('mongoose');
 
+jest.mock('../../models/Exercise');
+jest.mock('../../models/PersonalRecord');
+jest.mock('../../models/Program');
 jest.mock('../../models/User');
+jest.mock('../../models/WorkoutLog');
 jest.mock('sanitize-html', () => str => str);
 jest.mock('../../services/logger', () => ({
   logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
   logUserAction: jest.fn(),
 }));
+jest.mock('../../services/personalRecords', () => ({
+  ...jest.requireActual('../../services/personalRecords'),
+  updateRecordsForWorkout: jest.fn(),
+  recomputeRecords: jest.fn(),
+}));
+jest.mock('../../services/workoutGoals', () => ({
+  evaluateGoals: jest.fn(),
+}));
 jest.mock('../../middleware/errorHandler', () => {
   const actual = jest.requireActual('../../middleware/errorHandler');
   return { ...actual, asyncHandler: fn => fn };
 });
 
+const Exercise = require('../../models/Exercise');
+const Program = require('../../models/Program');
 const User = require('../../models/User');
-const { logUserAction } = require('../../services/logger');
+const WorkoutLog = require('../../models/WorkoutLog');
+const PersonalRecord = require('../../models/PersonalRecord');
+const { logger, logUserAction } = require('../../services/logger');
+const {
+  updateRecordsForWorkout,
+  recomputeRecords,
+} = require('../../services/personalRecords');
+const { evaluateGoals } = require('../../services/workoutGoals');
 const {
   logWorkout,
   getWorkouts,
   getWorkoutById,
   deleteWorkout,
   getExerciseProgress,
+  getPersonalRecords,
   getStatsSummary,
 } = require('../../controllers/workoutController');
-
-function makeSubdocArray(items) {
-  const arr = [...items];
-  arr.id = searchId =>
-    arr.find(item => item._id.toString() === searchId.toString()) ?? null;
-  return arr;
-}
+const { chain } = require('../helpers/queryChain');
 
 function makeWorkout(overrides = {}) {
   return {
@@ -53,17 +69,23 @@ function makeUser(overrides = {}) {
     firstName: 'Test',
     lastName: 'User',
     email: 'test@example.com',
-    workoutLogs: makeSubdocArray([]),
-    save: jest.fn().mockResolvedValue(true),
     ...overrides,
   };
 }
 
+function mockUserLookup(user) {
+  User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+}
+
 describe('workoutController', () => {
   let mockReq, mockRes, mockUserId;
 
   beforeEach(() => {
     jest.clearAllMocks();
+    Exercise.find.mockReturnValue(chain([]));
+    updateRecordsForWorkout.mockResolvedValue([]);
+    recomputeRecords.mockResolvedValue();
+    evaluateGoals.mockResolvedValue([]);
     mockUserId = new mongoose.Types.ObjectId();
     mockReq = {
       user: { _id: mockUserId, id: mockUserId.toString() },
@@ -105,16 +127,16 @@ describe('workoutController', () => {
           { exerciseName: 'Push-up', sets: [{ setNumber: 1, reps: 20, weight: 0 }] },
         ],
       };
-      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+      mockUserLookup(null);
       const { NotFoundError } = require('../../middleware/errorHandler');
       await expect(logWorkout(mockReq, mockRes)).rejects.toBeInstanceOf(NotFoundError);
+      expect(WorkoutLog.create).not.toHaveBeenCalled();
     });
 
     it('creates workout log successfully and returns 201', async () => {
       const workout = makeWorkout();
-      const mockUser = makeUser();
-      mockUser.workoutLogs.push(workout);
-      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
+      mockUserLookup(makeUser());
+      WorkoutLog.create.mockResolvedValue(workout);
 
       mockReq.body = {
         workoutName: 'Push Day',
@@ -125,16 +147,115 @@ describe('workoutController', () => {
 
       await logWorkout(mockReq, mockRes);
 
-      expect(mockUser.save).toHaveBeenCalled();
+      expect(WorkoutLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({ userId: mockReq.user.id, workoutName: 'Push Day' })
+      );
       expect(mockRes.status).toHaveBeenCalledWith(201);
-      expect(mockRes.json).toHaveBeenCalledWith(
-        expect.objectContaining({ success: true })
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        workout,
+        personalRecords: [],
+        goalsAchieved: [],
+      });
+    });
+
+    it('returns the personal records the workout broke', async () => {
+      const workout = makeWorkout();
+      const broken = [
+        {
+          exerciseName: 'Bench Press',
+          type: 'heaviest_weight',
+          value: 100,
+          previous: 95,
+        },
+      ];
+      mockUserLookup(makeUser());
+      WorkoutLog.create.mockResolvedValue(workout);
+      updateRecordsForWorkout.mockResolvedValue(broken);
+      mockReq.body = {
+        workoutName: 'Push Day',
+        exercises: [
+          {
+            exerciseName: 'Bench Press',
+            sets: [{ setNumber: 1, reps: 10, weight: 100 }],
+          },
+        ],
+      };
+
+      await logWorkout(mockReq, mockRes);
+
+      expect(updateRecordsForWorkout).toHaveBeenCalledWith(mockReq.user.id, workout);
+      expect(mockRes.json.mock.calls[0][0].personalRecords).toEqual(broken);
+    });
+
+    it('still returns 201 when the record update fails', async () => {
+      mockUserLookup(makeUser());
+      WorkoutLog.create.mockResolvedValue(makeWorkout());
+      updateRecordsForWorkout.mockRejectedValue(new Error('db down'));
+      mockReq.body = {
+        workoutName: 'Push Day',
+        exercises: [
+          {
+            exerciseName: 'Bench Press',
+            sets: [{ setNumber: 1, reps: 10, weight: 100 }],
+          },
+        ],
+      };
+
+      await logWorkout(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+      expect(mockRes.json.mock.calls[0][0].personalRecords).toEqual([]);
+      expect(logger.error).toHaveBeenCalledWith(
+        'Personal record update failed',
+        expect.objectContaining({ error: 'db down' })
       );
     });
 
+    it('returns the goals the workout reached', async () => {
+      const reached = [{ exercise: 'Bench Press', targetWeight: 100, achieved: true }];
+      mockUserLookup(makeUser());
+      WorkoutLog.create.mockResolvedValue(makeWorkout());
+      evaluateGoals.mockResolvedValue(reached);
+      mockReq.body = {
+        workoutName: 'Push Day',
+        exercises: [
+          {
+            exerciseName: 'Bench Press',
+            sets: [{ setNumber: 1, reps: 10, weight: 100 }],
+          },
+        ],
+      };
+
+      await logWorkout(mockReq, mockRes);
+
+      expect(evaluateGoals).toHaveBeenCalledWith(mockReq.user.id);
+      expect(mockRes.json.mock.calls[0][0].goalsAchieved).toEqual(reached);
+    });
+
+    it('still returns 201 when goal evaluation fails', async () => {
+      mockUserLookup(makeUser());
+      WorkoutLog.create.mockResolvedValue(makeWorkout());
+      evaluateGoals.mockRejectedValue(new Error('db down'));
+      mockReq.body = {
+        workoutName: 'Push Day',
+        exercises: [
+          {
+            exerciseName: 'Bench Press',
+            sets: [{ setNumber: 1, reps: 10, weight: 100 }],
+          },
+        ],
+      };
+
+      await logWorkout(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+      expect(mockRes.json.mock.calls[0][0].goalsAchieved).toEqual([]);
+    });
+
     it('calls logUserAction with workout_logged', async () => {
-      const mockUser = makeUser();
-      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
+      mockUserLookup(makeUser());
+      WorkoutLog.create.mockResolvedValue(makeWorkout());
       mockReq.body = {
         workoutName: 'Pull Day',
         exercises: [
@@ -150,6 +271,94 @@ describe('workoutController', () => {
         expect.any(Object)
       );
     });
+
+    it('links exercises to the catalogue entry their name matches', async () => {
+      const benchId = new mongoose.Types.ObjectId();
+      Exercise.find.mockReturnValue(
+        chain([
+          {
+            _id: benchId,
+            name: 'Bench Press',
+            searchTerms: ['bench press', 'bb bench'],
+          },
+        ])
+      );
+      mockUserLookup(makeUser());
+      WorkoutLog.create.mockResolvedValue(makeWorkout());
+      mockReq.body = {
+        workoutName: 'Push Day',
+        exercises: [
+          { exerciseName: 'BB Bench', sets: [{ setNumber: 1, reps: 5, weight: 100 }] },
+          {
+            exerciseName: 'Zercher Carry',
+            sets: [{ setNumber: 1, reps: 1, weight: 60 }],
+          },
+        ],
+      };
+
+      await logWorkout(mockReq, mockRes);
+
+      const { exercises } = WorkoutLog.create.mock.calls[0][0];
+      expect(exercises[0]).toMatchObject({
+        exerciseName: 'BB Bench',
+        exerciseId: benchId,
+      });
+      expect(exercises[1].exerciseId).toBeUndefined();
+    });
+
+    describe('program link', () => {
+      const programId = new mongoose.Types.ObjectId();
+      const dayId = new mongoose.Types.ObjectId();
+
+      beforeEach(() => {
+        mockReq.body = {
+          workoutName: 'Lower A',
+          programId: programId.toString(),
+          programDayId: dayId.toString(),
+          exercises: [
+            { exerciseName: 'Squat', sets: [{ setNumber: 1, reps: 5, weight: 100 }] },
+          ],
+        };
+      });
+
+      it('links the workout to a day of an assigned program', async () => {
+        mockUserLookup(makeUser({ assignedPrograms: [{ programId }] }));
+        Program.findById.mockReturnValue(
+          chain({ _id: programId, weeks: [{ days: [{ _id: dayId, exercises: [] }] }] })
+        );
+        WorkoutLog.create.mockResolvedValue(makeWorkout());
+
+        await logWorkout(mockReq, mockRes);
+
+        expect(WorkoutLog.create).toHaveBeenCalledWith(
+          expect.objectContaining({
+            programId: programId.toString(),
+            programDayId: dayId.toString(),
+          })
+        );
+      });
+
+      it('rejects a program the user is not on', async () => {
+        mockUserLookup(makeUser({ assignedPrograms: [] }));
+
+        await expect(logWorkout(mockReq, mockRes)).rejects.toMatchObject({
+          message: 'You are not on this program',
+          statusCode: 400,
+        });
+        expect(WorkoutLog.create).not.toHaveBeenCalled();
+      });
+
+      it('rejects a day that is not in the program', async () => {
+        mockUserLookup(makeUser({ assignedPrograms: [{ programId }] }));
+        Program.findById.mockReturnValue(
+          chain({ _id: programId, weeks: [{ days: [] }] })
+        );
+
+        await expect(logWorkout(mockReq, mockRes)).rejects.toMatchObject({
+          message: 'Program day not found',
+        });
+      });
+    });
   });
 
   // ── getWorkouts ────────────────────────────────────────────────────────────
@@ -157,44 +366,69 @@ describe('workoutController', () => {
   describe('getWorkouts', () => {
     it('returns paginated workouts excluding soft-deleted', async () => {
       const w1 = makeWorkout({ workoutName: 'A' });
-      const w2 = makeWorkout({ workoutName: 'B', deletedAt: new Date() });
-      const mockUser = makeUser({ workoutLogs: makeSubdocArray([w1, w2]) });
-      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
+      WorkoutLog.find.mockReturnValue(chain([w1]));
+      WorkoutLog.countDocuments.mockResolvedValue(1);
 
       await getWorkouts(mockReq, mockRes);
 
+      expect(WorkoutLog.find).toHaveBeenCalledWith({
+        userId: mockReq.user.id,
+        deletedAt: null,
+      });
       const call = mockRes.json.mock.calls[0][0];
       expect(call.success).toBe(true);
-      expect(call.workouts).toHaveLength(1);
-      expect(call.workouts[0].workoutName).toBe('A');
+      expect(call.workouts).toEqual([w1]);
     });
 
     it('returns correct pagination shape', async () => {
-      const workouts = makeSubdocArray(
-        Array.from({ length: 3 }, (_, i) => makeWorkout({ workoutName: `W${i}` }))
-      );
-      const mockUser = makeUser({ workoutLogs: workouts });
-      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
+      const query = chain([makeWorkout(), makeWorkout()]);
+      WorkoutLog.find.mockReturnValue(query);
+      WorkoutLog.countDocuments.mockResolvedValue(3);
       mockReq.query = { page: '1', limit: '2' };
 
       await getWorkouts(mockReq, mockRes);
 
+      expect(query.skip).toHaveBeenCalledWith(0);
+      expect(query.limit).toHaveBeenCalledWith(2);
       const call = mockRes.json.mock.calls[0][0];
       expect(call.pagination.totalWorkouts).toBe(3);
       expect(call.pagination.totalPages).toBe(2);
       expect(call.pagination.hasNextPage).toBe(true);
     });
 
-    it('default sort (no param) puts oldest first', async () => {
-      const older = makeWorkout({ workoutName: 'Old', date: new Date('2024-01-01') });
-      const newer = makeWorkout({ workoutName: 'New', date: new Date('2024-06-01') });
-      const mockUser = makeUser({ workoutLogs: makeSubdocArray([newer, older]) });
-      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
+    it('skips earlier pages in the database', async () => {
+      const query = chain([]);
+      WorkoutLog.find.mockReturnValue(query);
+      WorkoutLog.countDocuments.mockResolvedValue(45);
+      mockReq.query = { page: '3', limit: '20' };
 
       await getWorkouts(mockReq, mockRes);
 
+      expect(query.skip).toHaveBeenCalledWith(40);
       const call = mockRes.json.mock.calls[0][0];
-      expect(call.workouts[0].workoutName).toBe('Old');
+      expect(call.pagination.hasNextPage).toBe(false);
+      expect(call.pagination.hasPrevPage).toBe(true);
+    });
+
+    it('default sort (no param) puts newest first', async () => {
+      const query = chain([]);
+      WorkoutLog.find.mockReturnValue(query);
+      WorkoutLog.countDocuments.mockResolvedValue(0);
+
+      await getWorkouts(mockReq, mockRes);
+
+      expect(query.sort).toHaveBeenCalledWith({ date: -1, _id: -1 });
+    });
+
+    it('sortOrder=asc puts oldest first', async () => {
+      const query = chain([]);
+      WorkoutLog.find.mockReturnValue(query);
+      WorkoutLog.countDocuments.mockResolvedValue(0);
+      mockReq.query = { sortOrder: 'asc' };
+
+      await getWorkouts(mockReq, mockRes);
+
+      expect(query.sort).toHaveBeenCalledWith({ date: 1, _id: 1 });
     });
   });
 
@@ -209,37 +443,27 @@ describe('workoutController', () => {
       );
     });
 
-    it('throws NotFoundError when workout not found', async () => {
+    it('throws NotFoundError when workout not found or soft-deleted', async () => {
       const wid = new mongoose.Types.ObjectId();
       mockReq.params = { id: wid.toString() };
-      const mockUser = makeUser({ workoutLogs: makeSubdocArray([]) });
-      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
-
-      const { NotFoundError } = require('../../middleware/errorHandler');
-      await expect(getWorkoutById(mockReq, mockRes)).rejects.toBeInstanceOf(
-        NotFoundError
-      );
-    });
-
-    it('throws NotFoundError when workout is soft-deleted', async () => {
-      const wid = new mongoose.Types.ObjectId();
-      mockReq.params = { id: wid.toString() };
-      const workout = makeWorkout({ _id: wid, deletedAt: new Date() });
-      const mockUser = makeUser({ workoutLogs: makeSubdocArray([workout]) });
-      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
+      WorkoutLog.findOne.mockReturnValue(chain(null));
 
       const { NotFoundError } = require('../../middleware/errorHandler');
       await expect(getWorkoutById(mockReq, mockRes)).rejects.toBeInstanceOf(
         NotFoundError
       );
+      expect(WorkoutLog.findOne).toHaveBeenCalledWith({
+        _id: wid.toString(),
+        userId: mockReq.user.id,
+        deletedAt: null,
+      });
     });
 
     it('returns workout for valid id', async () => {
       const wid = new mongoose.Types.ObjectId();
       mockReq.params = { id: wid.toString() };
       const workout = makeWorkout({ _id: wid });
-      const mockUser = makeUser({ workoutLogs: makeSubdocArray([workout]) });
-      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
+      WorkoutLog.findOne.mockReturnValue(chain(workout));
 
       await getWorkoutById(mockReq, mockRes);
 
@@ -261,8 +485,8 @@ describe('workoutController', () => {
     it('throws NotFoundError when workout not found', async () => {
       const wid = new mongoose.Types.ObjectId();
       mockReq.params = { id: wid.toString() };
-      const mockUser = makeUser({ workoutLogs: makeSubdocArray([]) });
-      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
+      mockUserLookup(makeUser());
+      WorkoutLog.findOne.mockResolvedValue(null);
 
       const { NotFoundError } = require('../../middleware/errorHandler');
       await expect(deleteWorkout(mockReq, mockRes)).rejects.toBeInstanceOf(NotFoundError);
@@ -271,14 +495,14 @@ describe('workoutController', () => {
     it('soft-deletes workout, saves, calls logUserAction', async () => {
       const wid = new mongoose.Types.ObjectId();
       mockReq.params = { id: wid.toString() };
-      const workout = makeWorkout({ _id: wid });
-      const mockUser = makeUser({ workoutLogs: makeSubdocArray([workout]) });
-      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
+      const workout = makeWorkout({ _id: wid, save: jest.fn().mockResolvedValue(true) });
+      mockUserLookup(makeUser());
+      WorkoutLog.findOne.mockResolvedValue(workout);
 
       await deleteWorkout(mockReq, mockRes);
 
       expect(workout.deletedAt).toBeInstanceOf(Date);
-      expect(mockUser.save).toHaveBeenCalled();
+      expect(workout.save).toHaveBeenCalled();
       expect(logUserAction).toHaveBeenCalledWith(
         mockReq.user.id,
         'workout_deleted',
@@ -289,6 +513,18 @@ describe('workoutController', () => {
         message: 'Workout deleted successfully',
       });
     });
+
+    it("rebuilds the records of the deleted workout's exercises", async () => {
+      const wid = new mongoose.Types.ObjectId();
+      mockReq.params = { id: wid.toString() };
+      const workout = makeWorkout({ _id: wid, save: jest.fn().mockResolvedValue(true) });
+      mockUserLookup(makeUser());
+      WorkoutLog.findOne.mockResolvedValue(workout);
+
+      await deleteWorkout(mockReq, mockRes);
+
+      expect(recomputeRecords).toHaveBeenCalledWith(mockReq.user.id, workout.exercises);
+    });
   });
 
   // ── getExerciseProgress ────────────────────────────────────────────────────
@@ -296,8 +532,7 @@ describe('workoutController', () => {
   describe('getExerciseProgress', () => {
     it('returns zero-state when no sessions found', async () => {
       mockReq.params = { exerciseName: encodeURIComponent('Deadlift') };
-      const mockUser = makeUser({ workoutLogs: makeSubdocArray([]) });
-      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
+      WorkoutLog.find.mockReturnValue(chain([]));
 
       await getExerciseProgress(mockReq, mockRes);
 
@@ -309,16 +544,53 @@ describe('workoutController', () => {
 
     it('is case-insensitive when matching exercise names', async () => {
       mockReq.params = { exerciseName: 'bench press' };
-      const workout = makeWorkout();
-      const mockUser = makeUser({ workoutLogs: makeSubdocArray([workout]) });
-      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
+      const query = chain([makeWorkout()]);
+      WorkoutLog.find.mockReturnValue(query);
 
       await getExerciseProgress(mockReq, mockRes);
 
+      expect(WorkoutLog.find).toHaveBeenCalledWith({
+        userId: mockReq.user.id,
+        deletedAt: null,
+        'exercises.exerciseName': 'bench press',
+      });
+      expect(query.collation).toHaveBeenCalledWith({ locale: 'en', strength: 2 });
       const call = mockRes.json.mock.calls[0][0];
       expect(call.data.sessions).toHaveLength(1);
     });
 
+    it('includes logs linked to the catalogue entry under other names', async () => {
+      const benchId = new mongoose.Types.ObjectId();
+      Exercise.find.mockReturnValue(
+        chain([{ _id: benchId, name: 'Bench Press', searchTerms: ['bench press'] }])
+      );
+      mockReq.params = { exerciseName: 'Bench Press' };
+      const workout = makeWorkout({
+        exercises: [
+          {
+            exerciseName: 'BB Bench',
+            exerciseId: benchId,
+            sets: [{ setNumber: 1, reps: 5, weight: 140, completed: true }],
+          },
+        ],
+      });
+      WorkoutLog.find.mockReturnValue(chain([workout]));
+
+      await getExerciseProgress(mockReq, mockRes);
+
+      expect(WorkoutLog.find).toHaveBeenCalledWith({
+        userId: mockReq.user.id,
+        deletedAt: null,
+        $or: [
+          { 'exercises.exerciseId': benchId },
+          { 'exercises.exerciseName': 'Bench Press' },
+        ],
+      });
+      const call = mockRes.json.mock.calls[0][0];
+      expect(call.exercise).toMatchObject({ _id: benchId, name: 'Bench Press' });
+      expect(call.data.maxWeight).toBe(140);
+    });
+
     it('computes maxWeight and totalReps correctly', async () => {
       mockReq.params = { exerciseName: 'Bench Press' };
       const workout = makeWorkout({
@@ -332,8 +604,7 @@ describe('workoutController', () => {
           },
         ],
       });
-      const mockUser = makeUser({ workoutLogs: makeSubdocArray([workout]) });
-      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
+      WorkoutLog.find.mockReturnValue(chain([workout]));
 
       await getExerciseProgress(mockReq, mockRes);
 
@@ -341,14 +612,58 @@ describe('workoutController', () => {
       expect(call.data.maxWeight).toBe(120);
       expect(call.data.totalReps).toBe(18);
     });
+
+    it('reports the best estimated one-rep max from completed sets', async () => {
+      mockReq.params = { exerciseName: 'Bench Press' };
+      const workout = makeWorkout({
+        exercises: [
+          {
+            exerciseName: 'Bench Press',
+            sets: [
+              { setNumber: 1, reps: 5, weight: 100, completed: true },
+              { setNumber: 2, reps: 1, weight: 150, completed: false },
+            ],
+          },
+        ],
+      });
+      WorkoutLog.find.mockReturnValue(chain([workout]));
+
+      await getExerciseProgress(mockReq, mockRes);
+
+      const call = mockRes.json.mock.calls[0][0];
+      expect(call.data.sessions[0].estimatedOneRepMax).toBe(114.6);
+      expect(call.data.bestEstimatedOneRepMax).toBe(114.6);
+    });
+  });
+
+  // ── getPersonalRecords ─────────────────────────────────────────────────────
+
+  describe('getPersonalRecords', () => {
+    it("returns the user's records sorted by exercise name in any case", async () => {
+      const records = [{ exerciseName: 'Bench Press', repMaxes: [] }];
+      const query = chain(records);
+      PersonalRecord.find.mockReturnValue(query);
+
+      await getPersonalRecords(mockReq, mockRes);
+
+      expect(PersonalRecord.find).toHaveBeenCalledWith({ userId: mockReq.user.id });
+      expect(query.collation).toHaveBeenCalledWith({ locale: 'en', strength: 2 });
+      expect(query.sort).toHaveBeenCalledWith({ exerciseName: 1 });
+      expect(mockRes.json).toHaveBeenCalledWith({ success: true, records });
+    });
   });
 
   // ── getStatsSummary ────────────────────────────────────────────────────────
 
   describe('getStatsSummary', () => {
+    function mockSummary(summary) {
+      WorkoutLog.aggregate.mockResolvedValue([
+        { totals: [], lastWorkout: [], mostTrainedExercise: [], ...summary },
+      ]);
+    }
+
     it('returns zero-state when no active workouts', async () => {
-      const mockUser = makeUser({ workoutLogs: makeSubdocArray([]) });
-      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
+      mockSummary({});
 
       await getStatsSummary(mockReq, mockRes);
 
@@ -364,45 +679,41 @@ describe('workoutController', () => {
       });
     });
 
-    it('computes totalWorkouts excluding soft-deleted', async () => {
-      const w1 = makeWorkout({ totalVolume: 1000 });
-      const w2 = makeWorkout({ totalVolume: 500, deletedAt: new Date() });
-      const mockUser = makeUser({ workoutLogs: makeSubdocArray([w1, w2]) });
-      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
+    it("aggregates only the user's active workouts", async () => {
+      mockSummary({});
 
       await getStatsSummary(mockReq, mockRes);
 
-      const call = mockRes.json.mock.calls[0][0];
-      expect(call.stats.totalWorkouts).toBe(1);
+      const [match] = WorkoutLog.aggregate.mock.calls[0][0];
+      expect(match.$match.userId.toString()).toBe(mockReq.user.id);
+      expect(match.$match.deletedAt).toBeNull();
     });
 
-    it('identifies mostTrainedExercise correctly', async () => {
-      const w1 = makeWorkout({ exercises: [{ exerciseName: 'Squat', sets: [] }] });
-      const w2 = makeWorkout({
-        exercises: [
-          { exerciseName: 'Squat', sets: [] },
-          { exerciseName: 'Bench', sets: [] },
-        ],
+    it('returns the aggregated stats', async () => {
+      const lastWorkout = {
+        workoutName: 'Leg Day',
+        date: new Date(),
+        duration: 45,
+        totalVolume: 2000,
+      };
+      mockSummary({
+        totals: [{ totalWorkouts: 2, totalVolume: 7000.4, weeklyVolume: 2000.2 }],
+        lastWorkout: [lastWorkout],
+        mostTrainedExercise: [{ _id: 'squat', name: 'Squat', count: 2 }],
       });
-      const mockUser = makeUser({ workoutLogs: makeSubdocArray([w1, w2]) });
-      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
 
       await getStatsSummary(mockReq, mockRes);
 
-      const call = mockRes.json.mock.calls[0][0];
-      expect(call.stats.mostTrainedExercise).toBe('Squat');
-    });
-
-    it('computes weeklyVolume only from last 7 days', async () => {
-      const recent = makeWorkout({ date: new Date(), totalVolume: 2000 });
-      const old = makeWorkout({ date: new Date('2020-01-01'), totalVolume: 5000 });
-      const mockUser = makeUser({ workoutLogs: makeSubdocArray([recent, old]) });
-      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(mockUser) });
-
-      await getStatsSummary(mockReq, mockRes);
-
-      const call = mockRes.json.mock.calls[0][0];
-      expect(call.stats.weeklyVolume).toBe(2000);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        stats: {
+          totalWorkouts: 2,
+          lastWorkout,
+          mostTrainedExercise: 'Squat',
+          weeklyVolume: 2000,
+          totalVolume: 7000,
+        },
+      });
     });
   });
 });
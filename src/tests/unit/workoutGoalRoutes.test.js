@@ -0,0 +1,146 @@
+// src/tests/unit/workoutGoalRoutes.test.js
+//
+// Route-level tests for the workout goal endpoints.
+// Uses supertest against the workouts router so the handlers are actually invoked.
+
+jest.mock('../../models/User');
+
+jest.mock('../../services/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+jest.mock('../../services/workoutGoals', () => ({
+  ...jest.requireActual('../../services/workoutGoals'),
+  goalsWithProgress: jest.fn(),
+  startingGoalValue: jest.fn(),
+}));
+
+const send = name => jest.fn((_req, res) => res.json({ handler: name }));
+
+jest.mock('../../controllers/workoutController', () => ({
+  logWorkout: send('logWorkout'),
+  getWorkouts: send('getWorkouts'),
+  getWorkoutById: send('getWorkoutById'),
+  deleteWorkout: send('deleteWorkout'),
+  getExerciseProgress: send('getExerciseProgress'),
+  getPersonalRecords: send('getPersonalRecords'),
+  getStatsSummary: send('getStatsSummary'),
+}));
+
+jest.mock('../../controllers/programController', () => ({
+  getMyProgram: send('getMyProgram'),
+  getTodaysWorkout: send('getTodaysWorkout'),
+}));
+
+const express = require('express');
+
+const request = require('supertest');
+
+const User = require('../../models/User');
+const { goalsWithProgress, startingGoalValue } = require('../../services/workoutGoals');
+const workoutRoutes = require('../../routes/workouts');
+const { chain } = require('../helpers/queryChain');
+
+const userId = '507f1f77bcf86cd799439011';
+
+const app = express();
+app.use(express.json());
+app.use((req, _res, next) => {
+  req.user = { id: userId };
+  next();
+});
+app.use('/api/v1/workouts', workoutRoutes);
+
+describe('workout goal routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    User.findById.mockReturnValue(chain({ workoutGoals: [], measurements: [] }));
+    User.findByIdAndUpdate.mockReturnValue({
+      select: jest.fn().mockResolvedValue({ workoutGoals: ['saved'] }),
+    });
+    startingGoalValue.mockResolvedValue(null);
+  });
+
+  describe('GET /api/v1/workouts/goals', () => {
+    it('lists goals with progress rather than looking up a workout called "goals"', async () => {
+      goalsWithProgress.mockResolvedValue([{ exercise: 'Bench Press', progress: 40 }]);
+
+      const res = await request(app).get('/api/v1/workouts/goals');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({
+        success: true,
+        goals: [{ exercise: 'Bench Press', progress: 40 }],
+      });
+    });
+  });
+
+  describe('POST /api/v1/workouts/goals', () => {
+    const post = body => request(app).post('/api/v1/workouts/goals').send(body);
+
+    it('creates a rep goal at body weight from where the member is now', async () => {
+      startingGoalValue.mockResolvedValue(8);
+
+      const res = await post({ metric: 'reps', exercise: 'Pull Up', targetReps: 12 });
+
+      expect(res.status).toBe(201);
+      const [, update] = User.findByIdAndUpdate.mock.calls[0];
+      expect(update.$push.workoutGoals).toMatchObject({
+        metric: 'reps',
+        exercise: 'Pull Up',
+        targetReps: 12,
+        targetWeight: 0,
+        startValue: 8,
+      });
+    });
+
+    it('starts exercise goals with nothing logged from zero', async () => {
+      const res = await post({ metric: 'volume', exercise: 'Squat', targetVolume: 8000 });
+
+      expect(res.status).toBe(201);
+      const [, update] = User.findByIdAndUpdate.mock.calls[0];
+      expect(update.$push.workoutGoals).toMatchObject({ startValue: 0 });
+    });
+
+    it.each([
+      [{ metric: 'speed', exercise: 'Run' }, /metric must be one of/],
+      [{ metric: 'weight', targetWeight: 100 }, /exercise is required/],
+      [{ metric: 'reps', exercise: 'Pull Up' }, /targetReps is required/],
+      [{ metric: 'reps', exercise: 'Pull Up', targetReps: 0 }, /targetReps must be/],
+      [
+        { metric: 'volume', exercise: 'Squat', targetVolume: '8000' },
+        /targetVolume must be/,
+      ],
+      [
+        { exercise: 'Squat', targetWeight: 100, targetDate: 'soon' },
+        /targetDate must be/,
+      ],
+    ])('rejects %j', async (body, message) => {
+      const res = await post(body);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatch(message);
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('requires a logged body weight for body weight goals', async () => {
+      const res = await post({ metric: 'bodyweight', targetWeight: 170 });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatch(/Log your body weight/);
+    });
+
+    it('rejects goals the member has already reached', async () => {
+      startingGoalValue.mockResolvedValue(225);
+
+      const res = await post({ exercise: 'Bench Press', targetWeight: 200 });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('You have already reached this goal');
+    });
+  });
+});
@@ -0,0 +1,288 @@
+jest.mock('../../models/PersonalRecord');
+jest.mock('../../models/User');
+jest.mock('../../services/email', () => ({
+  sendGoalAchieved: jest.fn(),
+  sendGoalMissed: jest.fn(),
+}));
+jest.mock('../../services/exercises', () => ({
+  findExercisesByNames: jest.fn(),
+}));
+jest.mock('../../services/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+
+const mongoose = require('mongoose');
+
+const PersonalRecord = require('../../models/PersonalRecord');
+const User = require('../../models/User');
+const { sendGoalAchieved, sendGoalMissed } = require('../../services/email');
+const { findExercisesByNames } = require('../../services/exercises');
+const {
+  describeGoal,
+  goalProgress,
+  goalsWithProgress,
+  evaluateGoals,
+  notifyMissedGoals,
+} = require('../../services/workoutGoals');
+const { chain } = require('../helpers/queryChain');
+
+function makeGoal(overrides = {}) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    metric: 'weight',
+    exercise: 'Bench Press',
+    targetWeight: 200,
+    startValue: 100,
+    achieved: false,
+    createdAt: new Date('2026-03-01T00:00:00Z'),
+    ...overrides,
+  };
+}
+
+const benchRecord = {
+  exerciseKey: 'name:bench press',
+  heaviestWeight: { weight: 150, reps: 3, date: new Date('2026-03-10T00:00:00Z') },
+  sessionVolume: { volume: 4000, date: new Date('2026-03-10T00:00:00Z') },
+  repMaxes: [
+    { weight: 150, reps: 3 },
+    { weight: 100, reps: 8 },
+  ],
+};
+
+describe('workoutGoals', () => {
+  const userId = 'user-1';
+  const now = new Date('2026-03-11T00:00:00Z');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    findExercisesByNames.mockResolvedValue(new Map());
+    PersonalRecord.find.mockReturnValue(chain([benchRecord]));
+    User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    sendGoalAchieved.mockResolvedValue();
+    sendGoalMissed.mockResolvedValue();
+  });
+
+  describe('describeGoal', () => {
+    it('describes each kind of goal', () => {
+      expect(describeGoal(makeGoal())).toBe('Bench Press: 200 lbs');
+      expect(
+        describeGoal(makeGoal({ metric: 'reps', targetReps: 12, targetWeight: 0 }))
+      ).toBe('Bench Press: 12 reps at body weight');
+      expect(describeGoal(makeGoal({ metric: 'volume', targetVolume: 5000 }))).toBe(
+        'Bench Press: 5,000 lbs in one session'
+      );
+      expect(describeGoal({ metric: 'bodyweight', targetWeight: 170 })).toBe(
+        'Body weight: 170 lbs'
+      );
+    });
+  });
+
+  describe('goalProgress', () => {
+    it('measures progress from the start value and projects the pace since the goal was set', () => {
+      // 50 of 100 lbs gained in 10 days
+      const status = goalProgress(makeGoal(), { value: 150 }, now);
+
+      expect(status).toEqual({
+        currentValue: 150,
+        progress: 50,
+        achieved: false,
+        projectedCompletionDate: new Date('2026-03-21T00:00:00Z'),
+      });
+    });
+
+    it('handles goals that go down', () => {
+      const goal = makeGoal({ metric: 'bodyweight', targetWeight: 170, startValue: 190 });
+
+      expect(goalProgress(goal, { value: 185 }, now).progress).toBe(25);
+      expect(goalProgress(goal, { value: 170 }, now)).toMatchObject({
+        progress: 100,
+        achieved: true,
+        projectedCompletionDate: null,
+      });
+    });
+
+    it('does not reach 100% or project a date before the goal is met', () => {
+      expect(goalProgress(makeGoal(), { value: 199.9 }, now).progress).toBe(99);
+      expect(goalProgress(makeGoal(), { value: 90 }, now)).toMatchObject({
+        progress: 0,
+        projectedCompletionDate: null,
+      });
+      expect(goalProgress(makeGoal(), null, now)).toMatchObject({
+        currentValue: null,
+        progress: 0,
+      });
+    });
+  });
+
+  describe('goalsWithProgress', () => {
+    it('matches goals to records and the latest body weight', async () => {
+      const goals = [
+        makeGoal(),
+        makeGoal({ metric: 'reps', targetReps: 10, targetWeight: 100, startValue: 6 }),
+        makeGoal({ metric: 'volume', targetVolume: 5000, startValue: 3000 }),
+        makeGoal({
+          metric: 'bodyweight',
+          exercise: undefined,
+          targetWeight: 170,
+          startValue: 190,
+        }),
+      ];
+      const measurements = [
+        { date: new Date('2026-03-09T00:00:00Z'), weight: 180 },
+        { date: new Date('2026-03-02T00:00:00Z'), weight: 188 },
+      ];
+
+      const result = await goalsWithProgress(
+        userId,
+        { workoutGoals: goals, measurements },
+        now
+      );
+
+      expect(result.map(g => [g.currentValue, g.progress])).toEqual([
+        [150, 50],
+        [8, 50],
+        [4000, 50],
+        [180, 50],
+      ]);
+    });
+
+    it('prefers the record under the catalogue entry the exercise is linked to', async () => {
+      const benchId = new mongoose.Types.ObjectId();
+      findExercisesByNames.mockResolvedValue(
+        new Map([['bench press', { _id: benchId }]])
+      );
+      PersonalRecord.find.mockReturnValue(
+        chain([
+          benchRecord,
+          {
+            ...benchRecord,
+            exerciseKey: String(benchId),
+            heaviestWeight: { weight: 175 },
+          },
+        ])
+      );
+
+      const [goal] = await goalsWithProgress(userId, { workoutGoals: [makeGoal()] }, now);
+
+      expect(PersonalRecord.find).toHaveBeenCalledWith({
+        userId,
+        exerciseKey: { $in: [String(benchId), 'name:bench press'] },
+      });
+      expect(goal.currentValue).toBe(175);
+    });
+  });
+
+  describe('evaluateGoals', () => {
+    function mockUser(overrides = {}) {
+      User.findById.mockReturnValue(
+        chain({
+          _id: userId,
+          firstName: 'Ana',
+          email: 'ana@example.com',
+          notificationPreferences: {},
+          ...overrides,
+        })
+      );
+    }
+
+    it('marks goals reached and emails the member', async () => {
+      const reached = makeGoal({ targetWeight: 150 });
+      mockUser({ workoutGoals: [reached, makeGoal()] });
+
+      const result = await evaluateGoals(userId, { now });
+
+      expect(result).toEqual([
+        expect.objectContaining({ _id: reached._id, achieved: true, progress: 100 }),
+      ]);
+      expect(User.updateOne).toHaveBeenCalledTimes(1);
+      expect(User.updateOne).toHaveBeenCalledWith(
+        {
+          _id: userId,
+          workoutGoals: { $elemMatch: { _id: reached._id, achieved: { $ne: true } } },
+        },
+        { $set: { 'workoutGoals.$.achieved': true, 'workoutGoals.$.achievedAt': now } }
+      );
+      expect(sendGoalAchieved).toHaveBeenCalledWith(
+        'ana@example.com',
+        'Ana',
+        expect.objectContaining({ description: 'Bench Press: 150 lbs' })
+      );
+    });
+
+    it('does not email when another evaluation marked the goal first', async () => {
+      mockUser({ workoutGoals: [makeGoal({ targetWeight: 150 })] });
+      User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      expect(await evaluateGoals(userId, { now })).toEqual([]);
+      expect(sendGoalAchieved).not.toHaveBeenCalled();
+    });
+
+    it('marks goals without emailing members who turned goal emails off', async () => {
+      mockUser({
+        workoutGoals: [makeGoal({ targetWeight: 150 })],
+        notificationPreferences: { goalUpdates: false },
+      });
+
+      expect(await evaluateGoals(userId, { now })).toHaveLength(1);
+      expect(sendGoalAchieved).not.toHaveBeenCalled();
+    });
+
+    it('skips the lookup when every goal is already achieved', async () => {
+      mockUser({ workoutGoals: [makeGoal({ achieved: true })] });
+
+      expect(await evaluateGoals(userId, { now })).toEqual([]);
+      expect(PersonalRecord.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('notifyMissedGoals', () => {
+    it('emails each goal whose target date passed unmet once', async () => {
+      const missed = makeGoal({ targetDate: new Date('2026-03-09T00:00:00Z') });
+      const dueToday = makeGoal({ targetDate: new Date('2026-03-11T00:00:00Z') });
+      User.find.mockReturnValue(chain([{ _id: userId }]));
+      User.findById.mockReturnValue(
+        chain({
+          _id: userId,
+          firstName: 'Ana',
+          email: 'ana@example.com',
+          workoutGoals: [missed, dueToday],
+        })
+      );
+
+      expect(await notifyMissedGoals({ now })).toEqual({ missed: 1 });
+
+      expect(User.updateOne).toHaveBeenCalledWith(
+        {
+          _id: userId,
+          workoutGoals: { $elemMatch: { _id: missed._id, missedAt: null } },
+        },
+        { $set: { 'workoutGoals.$.missedAt': now } }
+      );
+      expect(sendGoalMissed).toHaveBeenCalledTimes(1);
+      expect(sendGoalMissed).toHaveBeenCalledWith('ana@example.com', 'Ana', {
+        description: 'Bench Press: 200 lbs',
+        targetDate: 'March 9, 2026',
+        progress: 50,
+      });
+      expect(sendGoalAchieved).not.toHaveBeenCalled();
+    });
+
+    it('carries on with other members when one fails', async () => {
+      User.find.mockReturnValue(chain([{ _id: 'user-1' }, { _id: 'user-2' }]));
+      User.findById
+        .mockReturnValueOnce({
+          select: () => ({ lean: () => Promise.reject(new Error('db down')) }),
+        })
+        .mockReturnValue(
+          chain({
+            _id: 'user-2',
+            workoutGoals: [makeGoal({ targetDate: new Date('2026-03-01T00:00:00Z') })],
+          })
+        );
+
+      expect(await notifyMissedGoals({ now })).toEqual({ missed: 1 });
+      // Without an email address there is no one to tell
+      expect(sendGoalMissed).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -1,5 +1,6 @@
 /**
- * Date utility functions for subscription calculations
+ * Date utility functions for subscription calculations and timezone-aware
+ * appointment scheduling
  */
 
 /**
@@ -157,13 +158,12 @@ function daysBetween(startDate, endDate) {
 }
 
 /**
- * Calculate the next renewal date from a period-end date using StripePlan
- * interval/intervalCount fields (anniversary logic).
- * This mirrors what Stripe itself does when it advances a billing cycle.
+ * Calculate the next renewal date from a period-end date by advancing it a
+ * whole number of months or years (anniversary logic).
  *
  * @param {Date}   periodEnd      - Current period end (= next bill date)
- * @param {string} interval       - StripePlan.interval  ('month' | 'year')
- * @param {number} [intervalCount=1] - StripePlan.intervalCount
+ * @param {string} interval       - Billing interval ('month' | 'year')
+ * @param {number} [intervalCount=1] - Number of intervals to advance
  * @returns {Date} Next renewal date
  */
 function calculateNextRenewalDate(periodEnd, interval, intervalCount = 1) {
@@ -193,6 +193,127 @@ function daysLeftUntil(periodEnd) {
   return Math.max(0, daysBetween(new Date(), periodEnd));
 }
 
+// ── Timezones ──────────────────────────────────────────────────────────────────
+// Appointments keep a local calendar date (UTC midnight) plus a local "HH:MM"
+// in an IANA timezone; these helpers move between that and real instants.
+
+const zonedFormatters = new Map();
+
+function zonedFormatter(timeZone) {
+  if (!zonedFormatters.has(timeZone)) {
+    zonedFormatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+      })
+    );
+  }
+  return zonedFormatters.get(timeZone);
+}
+
+/**
+ * Whether a string is an IANA timezone this runtime knows (e.g. "America/Jamaica").
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    zonedFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock fields of an instant in a timezone.
+ * @param {Date} date
+ * @param {string} timeZone - IANA timezone
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number }}
+ */
+function zonedParts(date, timeZone) {
+  const parts = {};
+  zonedFormatter(timeZone)
+    .formatToParts(date)
+    .forEach(({ type, value }) => {
+      if (type !== 'literal') parts[type] = Number(value);
+    });
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+}
+
+/**
+ * The local calendar date of an instant, e.g. "today" for a trainer.
+ * @param {Date} date
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} YYYY-MM-DD
+ */
+function localDateString(date, timeZone) {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// Milliseconds the timezone is ahead of UTC at an instant
+function timeZoneOffsetMs(date, timeZone) {
+  const { year, month, day, hour, minute, second } = zonedParts(date, timeZone);
+  const wallMs = Date.UTC(year, month - 1, day, hour, minute, second);
+  return wallMs - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * The instant a local date and time happen in a timezone. A time repeated by
+ * a DST change resolves to its first occurrence; a time skipped by one
+ * resolves to the same distance after the gap (02:30 → 03:30).
+ * @param {string|Date} date - YYYY-MM-DD, or a UTC-midnight Date holding the local date
+ * @param {string} time - "HH:MM", 24-hour
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date}
+ */
+function zonedTimeToUtc(date, time, timeZone) {
+  const dateStr = typeof date === 'string' ? date : date.toISOString();
+  const [year, month, day] = dateStr.slice(0, 10).split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallMs = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Offsets either side of any DST change on this date
+  const earlier = timeZoneOffsetMs(new Date(wallMs - 86400000), timeZone);
+  const later = timeZoneOffsetMs(new Date(wallMs + 86400000), timeZone);
+  const fits = offset => timeZoneOffsetMs(new Date(wallMs - offset), timeZone) === offset;
+
+  if (fits(earlier)) return new Date(wallMs - earlier);
+  if (fits(later)) return new Date(wallMs - later);
+  // Skipped time: keep the pre-change offset, which lands after the gap
+  return new Date(wallMs - earlier);
+}
+
+/**
+ * Short name of a timezone at an instant, e.g. "EST" or "GMT-5".
+ * @param {Date} date
+ * @param {string} timeZone - IANA timezone
+ * @returns {string}
+ */
+function timeZoneAbbreviation(date, timeZone) {
+  return (
+    new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+      .formatToParts(date)
+      .find(part => part.type === 'timeZoneName')?.value || timeZone
+  );
+}
+
 module.exports = {
   calculateSubscriptionEndDate,
   calculateNextRenewalDate,
@@ -204,4 +325,9 @@ module.exports = {
   addDays,
   isLeapYear,
   daysBetween,
+  isValidTimeZone,
+  zonedParts,
+  localDateString,
+  zonedTimeToUtc,
+  timeZoneAbbreviation,
 };
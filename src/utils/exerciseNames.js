@@ -0,0 +1,33 @@
+/**
+ * Exercise name matching for the exercise catalogue
+ */
+
+/**
+ * Reduce an exercise name to the form catalogue names and aliases are matched
+ * on: lowercase words without punctuation, so "Pull-Up", "pull up" and
+ * "PULL UP!" are the same name.
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeExerciseName(name) {
+  return String(name ?? '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Terms a catalogue entry is matched on: its normalized name and aliases.
+ * @param {string} name
+ * @param {string[]} [aliases]
+ * @returns {string[]}
+ */
+function exerciseSearchTerms(name, aliases = []) {
+  return [...new Set([name, ...aliases].map(normalizeExerciseName).filter(Boolean))];
+}
+
+module.exports = {
+  normalizeExerciseName,
+  exerciseSearchTerms,
+};